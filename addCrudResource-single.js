@@ -10,7 +10,13 @@ import {
     getTestTemplateMemoryJS,
     getTestTemplateMongoTS,
     getTestTemplateMySQLTS,
-    getTestTemplateMemoryTS
+    getTestTemplateMemoryTS,
+    getTestTemplatePostgresJS,
+    getTestTemplatePostgresTS,
+    getTestTemplateSQLiteJS,
+    getTestTemplateSQLiteTS,
+    withTestAuthentication,
+    withTestReferences
 } from './src/templates/tests/index.js';
 import {
     sanitizeError,
@@ -18,29 +24,128 @@ import {
     isPathInProject,
     validateResourceName,
     getProjectConfig,
+    getAppFilePath,
+    loadTemplateOverrides,
+    loadPlugins,
     hasCrudStructure,
     writeFiles,
     updateServerWithRoute,
+    updateServerWithGraphql,
+    updateGraphqlWithResource,
     generateResourceTypes,
-    fileExists
+    fileExists,
+    parseFieldDefinitions,
+    getDefaultResourceFields,
+    getReferenceFields,
+    getNestedRoutes,
+    getNextMigrationNumber,
+    readPackageJson,
+    isProtectOption,
+    isSoftDeleteOption,
+    isBulkOption,
+    parseBulkOption,
+    isEtagOption,
+    parseProtectOptions,
+    usesRoles,
+    getResourceFilePaths,
+    recordGeneratedFiles,
+    getRecordedFields,
+    updateConfigResources,
+    ensureDirectory,
+    writeFile,
+    enableDryRun,
+    isDryRun,
+    loadPlannedChanges,
+    printPlannedChanges
 } from './src/utils/index.js';
+import {
+    getMigrationFileName,
+    getCreateTableMigrationTemplate,
+    getMigrationScripts,
+    getMigrateScriptTemplate
+} from './src/templates/migrations/index.js';
+import {
+    getListQueryTemplate,
+    getListQueryTemplateTS,
+    getErrorsTemplate,
+    getErrorsTemplateTS,
+    getBulkTemplate,
+    getBulkTemplateTS,
+    getPatchTemplate,
+    getPatchTemplateTS,
+    getEtagTemplate,
+    getEtagTemplateTS
+} from './src/templates/utils/index.js';
+import { getValidationDependencies, getGraphqlDependencies } from './src/templates/packageJson/index.js';
+import { getEnvConfigTemplate, getEnvConfigTemplateTS } from './src/templates/project/index.js';
 import {
     getModelTemplate,
     getControllerTemplate,
     getServiceTemplate,
-    getRoutesTemplate
+    getRoutesTemplate,
+    getSchemaTemplate
 } from './src/templates/addResource/index.js';
+import {
+    getValidateMiddlewareTemplate,
+    getValidateMiddlewareTemplateTS
+} from './src/templates/middlewares/index.js';
+import {
+    getGraphqlIndexTemplate,
+    getGraphqlIndexTemplateTS,
+    getGraphqlUtilsTemplate,
+    getGraphqlUtilsTemplateTS,
+    getGraphqlResourceTemplate,
+    getGraphqlResourceTemplateTS
+} from './src/templates/graphql/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Get resource name from command line arguments
+// Types every GraphQL schema (or src/graphql/index) already defines
+const GRAPHQL_RESERVED_NAMES = ['Query', 'Mutation', 'Subscription', 'String', 'Int', 'Float', 'Boolean', 'ID', 'ListMeta', 'ListFilter', 'ListFilterOperator'];
+
+// Get resource name, optional field definitions, --protect, --soft-delete, --bulk and --etag from command line arguments.
+// --graphql also exposes the resource through src/graphql (/graphql).
+// --dry-run prints the changes as a diff (or JSON with --json) without writing them.
+const DRY_RUN_FLAGS = ['--dry-run', '--json'];
+const GRAPHQL_FLAG = '--graphql';
 const resourceName = process.argv[2];
+const resourceArgs = process.argv.slice(3).filter(arg => !DRY_RUN_FLAGS.includes(arg) && arg !== GRAPHQL_FLAG);
+const fieldDefinitions = resourceArgs.filter(arg => !isProtectOption(arg) && !isSoftDeleteOption(arg) && !isBulkOption(arg) && !isEtagOption(arg));
+const protectOptions = resourceArgs.filter(isProtectOption);
+const softDelete = resourceArgs.some(isSoftDeleteOption);
+const bulkOption = resourceArgs.filter(isBulkOption).pop();
+const etag = resourceArgs.some(isEtagOption);
+const graphqlRequested = process.argv.slice(3).includes(GRAPHQL_FLAG);
+const jsonOutput = process.argv.includes('--json');
+
+if (process.argv.includes('--dry-run')) {
+    enableDryRun();
+    // add-crud passes the changes planned for the previous resources on stdin
+    if (process.env.LAZYCRUD_PLANNED_CHANGES === 'stdin') {
+        try {
+            loadPlannedChanges(JSON.parse(fs.readFileSync(0, 'utf8')).changes);
+        } catch (error) {
+            console.error('❌ Error: Invalid planned changes on stdin:', sanitizeError(error));
+            process.exit(1);
+        }
+    }
+} else if (jsonOutput) {
+    console.error('❌ Error: --json can only be used with --dry-run');
+    process.exit(1);
+}
 
 if (!resourceName) {
     console.error('❌ Error: Please provide a resource name');
-    console.log('\nUsage: add-crud <ResourceName>');
+    console.log('\nUsage: add-crud <ResourceName> [field:type[!] ...] [--protect[=<scope>[:<roles>]]] [--soft-delete] [--bulk[=<max>]] [--etag] [--graphql] [--dry-run [--json]]');
     console.log('Example: add-crud User');
+    console.log('Example: add-crud Product title:string! price:number stock:int tags:string[]');
+    console.log('Example: add-crud Product --protect=write:admin');
+    console.log('Example: add-crud Order --soft-delete');
+    console.log('Example: add-crud Product title:string! --bulk=500');
+    console.log('Example: add-crud Order --etag');
+    console.log('Example: add-crud Comment body:string! post:ref!:Post');
+    console.log('Example: add-crud Post title:string! --graphql');
     process.exit(1);
 }
 
@@ -58,6 +163,20 @@ try {
     process.exit(1);
 }
 
+// Parse field definitions (null keeps the default name/description fields)
+// route access rules (null keeps every route public) and the largest bulk batch
+let fields = null;
+let access = null;
+let bulkMaxItems = null;
+try {
+    fields = fieldDefinitions.length > 0 ? parseFieldDefinitions(fieldDefinitions, { softDelete, etag }) : null;
+    access = parseProtectOptions(protectOptions);
+    bulkMaxItems = bulkOption ? parseBulkOption(bulkOption) : null;
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+
 // Check if we're in an Express CRUD project
 const currentDir = process.cwd();
 const srcDir = path.join(currentDir, 'src');
@@ -68,16 +187,71 @@ if (!hasCrudStructure(currentDir)) {
     process.exit(1);
 }
 
-// Detect project configuration
-const config = getProjectConfig(currentDir);
-const { isTypeScript, database: dbChoice, extension: ext } = config;
+// Read the project configuration (lazycrud.config.json, or detected from package.json)
+let config;
+try {
+    config = getProjectConfig(currentDir);
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+const { isTypeScript, database: dbChoice, extension: ext, apiPrefix } = config;
+
+// Project templates in .lazycrud/templates replace the bundled ones;
+// lazy-crud-plugin-* packages hook into the files written below
+try {
+    const templateOverrides = await loadTemplateOverrides(currentDir);
+    if (templateOverrides.length > 0) {
+        console.log(`🎨 Using template overrides: ${templateOverrides.map(({ layer, name }) => `${layer}/${name}`).join(', ')}`);
+    }
+    const plugins = await loadPlugins(currentDir);
+    if (plugins.length > 0) {
+        console.log(`🧩 Using plugins: ${plugins.map(({ name }) => name).join(', ')}`);
+    }
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+
+// Protected routes use the middleware generated by add-auth
+if (access) {
+    const authMiddlewarePath = path.join(srcDir, 'middlewares', `authMiddleware.${ext}`);
+    if (!fs.existsSync(authMiddlewarePath)) {
+        console.error('❌ Error: --protect needs authentication. Run "add-auth" first.');
+        process.exit(1);
+    }
+    if (usesRoles(access) && !fs.readFileSync(authMiddlewarePath, 'utf8').includes('export const requireRole')) {
+        console.error(`❌ Error: src/middlewares/authMiddleware.${ext} has no requireRole middleware (it was generated by an older add-auth).`);
+        console.error('   Add requireRole and the role claim manually, or protect the routes without roles (--protect=write).');
+        process.exit(1);
+    }
+}
+
+// Once a project has a GraphQL endpoint, every new resource joins it
+const graphqlIndexPath = path.join(srcDir, 'graphql', `index.${ext}`);
+const hasGraphqlEndpoint = fileExists(graphqlIndexPath);
+let graphql = graphqlRequested || hasGraphqlEndpoint;
+if (graphql && access) {
+    // /graphql does not check tokens, so protected resources stay REST-only
+    if (graphqlRequested) {
+        console.error('❌ Error: --graphql cannot be combined with --protect: the /graphql endpoint does not check tokens.');
+        process.exit(1);
+    }
+    console.log(`💡 ${resourceName} is protected, so it is not added to the GraphQL endpoint (/graphql does not check tokens)`);
+    graphql = false;
+}
+if (graphql && GRAPHQL_RESERVED_NAMES.includes(resourceName)) {
+    console.error(`❌ Error: "${resourceName}" is a reserved GraphQL type name. Please choose a different resource name.`);
+    process.exit(1);
+}
 
 console.log(`✅ Detected: ${isTypeScript ? 'TypeScript' : 'JavaScript'} project`);
-console.log(`✅ Detected: ${dbChoice === 'mongodb' ? 'MongoDB (mongoose)' : dbChoice === 'mysql' ? 'MySQL (mysql2)' : 'In-memory storage'}`);
+console.log(`✅ Detected: ${dbChoice === 'mongodb' ? 'MongoDB (mongoose)' : dbChoice === 'mysql' ? 'MySQL (mysql2)' : dbChoice === 'postgres' ? 'PostgreSQL (pg)' : dbChoice === 'sqlite' ? 'SQLite (better-sqlite3)' : 'In-memory storage'}`);
 
 // Generate names
 const resourceLower = resourceName.toLowerCase();
 const resourcePlural = resourceLower + 's';
+const mountPath = `${apiPrefix}/${resourcePlural}`;
 const routeFileName = `${resourceLower}Routes.${ext}`;
 // ESM/TS convention: import paths always use the compiled '.js' extension,
 // even when the source file itself is '.ts' (TS2691 otherwise).
@@ -87,54 +261,139 @@ const serviceFileName = `${resourceLower}Service.${ext}`;
 const modelFileName = `${resourceName}.${ext}`;
 
 console.log(`\n🚀 Adding new CRUD resource: ${resourceName}\n`);
+if (fields) {
+    console.log(`📋 Fields: ${fields.map(field => `${field.name} (${field.tsType}${field.required ? ', required' : ''})`).join(', ')}\n`);
+}
 
 // Check if resource already exists
 const modelPath = path.join(srcDir, 'models', modelFileName);
-if (fs.existsSync(modelPath)) {
+if (fileExists(modelPath)) {
     console.error(`❌ Error: Resource "${resourceName}" already exists`);
     process.exit(1);
 }
 
+// Referenced resources must exist: the service checks records against their models,
+// and the generated tests create a record of each one (from the fields recorded in the manifest)
+const references = getReferenceFields(fields).map(field => {
+    if (field.ref === resourceName) {
+        return { field, fields };
+    }
+    if (!fileExists(path.join(srcDir, 'models', `${field.ref}.${ext}`))) {
+        console.error(`❌ Error: Field "${field.name}" references ${field.ref}, which does not exist in this project`);
+        console.error(`   Add it first: add-crud ${field.ref}`);
+        process.exit(1);
+    }
+    // Resources generated by older versions have no recorded fields
+    let target = null;
+    try {
+        target = getRecordedFields(currentDir, field.ref);
+    } catch (error) {
+        console.error(`❌ Error: ${sanitizeError(error)}`);
+        process.exit(1);
+    }
+    return { field, fields: target ? target.fields : getDefaultResourceFields() };
+});
+const nestedRoutes = getNestedRoutes(resourceName, fields, apiPrefix);
+const templateOptions = { softDelete, bulk: bulkMaxItems ? { maxItems: bulkMaxItems } : null, etag };
+
 // Write files
 const files = [
     { 
         path: path.join(srcDir, 'models', modelFileName), 
-        content: getModelTemplate(resourceName, dbChoice, ext, isTypeScript),
+        content: getModelTemplate(resourceName, dbChoice, ext, isTypeScript, fields, templateOptions),
         type: 'Model'
     },
     { 
         path: path.join(srcDir, 'services', serviceFileName), 
-        content: getServiceTemplate(resourceName, dbChoice, modelFileName, isTypeScript),
+        content: getServiceTemplate(resourceName, dbChoice, modelFileName, isTypeScript, fields, templateOptions),
         type: 'Service'
     },
     { 
         path: path.join(srcDir, 'controllers', controllerFileName), 
-        content: getControllerTemplate(resourceName, modelFileName, isTypeScript),
+        content: getControllerTemplate(resourceName, modelFileName, isTypeScript, fields, templateOptions),
         type: 'Controller'
     },
     { 
         path: path.join(srcDir, 'routes', routeFileName), 
-        content: getRoutesTemplate(resourceName, ext),
+        content: getRoutesTemplate(resourceName, ext, access, fields, templateOptions),
         type: 'Routes'
+    },
+    {
+        path: path.join(srcDir, 'schemas', `${resourceLower}Schema.${ext}`),
+        content: getSchemaTemplate(resourceName, isTypeScript, fields),
+        type: 'Schema'
     }
 ];
 
+// The routes validate request bodies with src/middlewares/validate
+// (projects generated before it existed get it now, along with the zod dependency)
+const validateMiddlewarePath = path.join(srcDir, 'middlewares', `validate.${ext}`);
+const needsValidateMiddleware = !fileExists(validateMiddlewarePath);
+if (needsValidateMiddleware) {
+    files.push({
+        path: validateMiddlewarePath,
+        content: isTypeScript ? getValidateMiddlewareTemplateTS() : getValidateMiddlewareTemplate(),
+        type: 'Middleware'
+    });
+}
+
+// GraphQL types and resolvers over the same service (the endpoint and its helpers
+// are created with the first resource that uses them)
+const graphqlUtilsPath = path.join(srcDir, 'graphql', `utils.${ext}`);
+if (graphql) {
+    // References resolve to the record when the target resource is in the endpoint too
+    const linkedTypes = [resourceName, ...references
+        .map(({ field }) => field.ref)
+        .filter(ref => fileExists(path.join(srcDir, 'graphql', `${ref.toLowerCase()}Graphql.${ext}`)))];
+    const graphqlOptions = { ...templateOptions, linkedTypes };
+    files.push({
+        path: path.join(srcDir, 'graphql', `${resourceLower}Graphql.${ext}`),
+        content: isTypeScript
+            ? getGraphqlResourceTemplateTS(resourceName, dbChoice, fields || getDefaultResourceFields(), graphqlOptions)
+            : getGraphqlResourceTemplate(resourceName, dbChoice, fields || getDefaultResourceFields(), graphqlOptions),
+        type: 'GraphQL'
+    });
+    if (!fileExists(graphqlUtilsPath)) {
+        files.push({
+            path: graphqlUtilsPath,
+            content: isTypeScript ? getGraphqlUtilsTemplateTS() : getGraphqlUtilsTemplate(),
+            type: 'GraphQL'
+        });
+    }
+    if (!hasGraphqlEndpoint) {
+        const indexOptions = { hasLogger: fileExists(path.join(srcDir, 'utils', `logger.${ext}`)) };
+        files.push({
+            path: graphqlIndexPath,
+            content: isTypeScript ? getGraphqlIndexTemplateTS([resourceName], indexOptions) : getGraphqlIndexTemplate([resourceName], indexOptions),
+            type: 'GraphQL'
+        });
+    }
+}
+
 // Add test file
 const testsDir = path.join(currentDir, 'tests');
-if (!fs.existsSync(testsDir)) {
-    fs.mkdirSync(testsDir, { recursive: true });
-}
+ensureDirectory(testsDir);
 
 const testFileName = `${resourceName}.test.${ext}`;
 let testContent;
 if (isTypeScript) {
-    testContent = dbChoice === 'mongodb' ? getTestTemplateMongoTS(resourceName) :
-                  dbChoice === 'mysql' ? getTestTemplateMySQLTS(resourceName) :
-                  getTestTemplateMemoryTS(resourceName);
+    testContent = dbChoice === 'mongodb' ? getTestTemplateMongoTS(resourceName, fields, templateOptions) :
+                  dbChoice === 'mysql' ? getTestTemplateMySQLTS(resourceName, fields, templateOptions) :
+                  dbChoice === 'postgres' ? getTestTemplatePostgresTS(resourceName, fields, templateOptions) :
+                  dbChoice === 'sqlite' ? getTestTemplateSQLiteTS(resourceName, fields, templateOptions) :
+                  getTestTemplateMemoryTS(resourceName, fields, templateOptions);
 } else {
-    testContent = dbChoice === 'mongodb' ? getTestTemplateMongoJS(resourceName) :
-                  dbChoice === 'mysql' ? getTestTemplateMySQLJS(resourceName) :
-                  getTestTemplateMemoryJS(resourceName);
+    testContent = dbChoice === 'mongodb' ? getTestTemplateMongoJS(resourceName, fields, templateOptions) :
+                  dbChoice === 'mysql' ? getTestTemplateMySQLJS(resourceName, fields, templateOptions) :
+                  dbChoice === 'postgres' ? getTestTemplatePostgresJS(resourceName, fields, templateOptions) :
+                  dbChoice === 'sqlite' ? getTestTemplateSQLiteJS(resourceName, fields, templateOptions) :
+                  getTestTemplateMemoryJS(resourceName, fields, templateOptions);
+}
+if (references.length > 0) {
+    testContent = withTestReferences(testContent, references, dbChoice, isTypeScript);
+}
+if (access) {
+    testContent = withTestAuthentication(testContent, access, isTypeScript);
 }
 files.push({
     path: path.join(testsDir, testFileName),
@@ -148,7 +407,7 @@ if (isTypeScript) {
     const typeFileName = `${resourceName}.types.ts`;
     const typeFilePath = path.join(typesDir, typeFileName);
     
-    const typeContent = generateResourceTypes(resourceName, dbChoice);
+    const typeContent = generateResourceTypes(resourceName, dbChoice, fields, templateOptions);
     files.push({
         path: typeFilePath,
         content: typeContent,
@@ -156,9 +415,94 @@ if (isTypeScript) {
     });
 }
 
+// List endpoints share src/utils/listQuery (projects generated before it existed get it now)
+const listQueryPath = path.join(srcDir, 'utils', `listQuery.${ext}`);
+if (!fileExists(listQueryPath)) {
+    files.push({
+        path: listQueryPath,
+        content: isTypeScript ? getListQueryTemplateTS(dbChoice) : getListQueryTemplate(dbChoice),
+        type: 'Utility'
+    });
+}
+
+// Services and the validate middleware throw the AppError classes of src/utils/errors
+const errorsPath = path.join(srcDir, 'utils', `errors.${ext}`);
+if (!fileExists(errorsPath)) {
+    files.push({
+        path: errorsPath,
+        content: isTypeScript ? getErrorsTemplateTS() : getErrorsTemplate(),
+        type: 'Utility'
+    });
+}
+
+// The bulk endpoints share src/utils/bulk (checks and per-item results)
+const bulkPath = path.join(srcDir, 'utils', `bulk.${ext}`);
+if (bulkMaxItems && !fileExists(bulkPath)) {
+    files.push({
+        path: bulkPath,
+        content: isTypeScript ? getBulkTemplateTS() : getBulkTemplate(),
+        type: 'Utility'
+    });
+}
+
+// PATCH routes read merge patches and JSON Patches with src/utils/patch
+const patchPath = path.join(srcDir, 'utils', `patch.${ext}`);
+if (!fileExists(patchPath)) {
+    files.push({
+        path: patchPath,
+        content: isTypeScript ? getPatchTemplateTS() : getPatchTemplate(),
+        type: 'Utility'
+    });
+}
+
+// Versioned resources answer with ETags and check If-Match with src/utils/etag
+const etagPath = path.join(srcDir, 'utils', `etag.${ext}`);
+if (etag && !fileExists(etagPath)) {
+    files.push({
+        path: etagPath,
+        content: isTypeScript ? getEtagTemplateTS() : getEtagTemplate(),
+        type: 'Utility'
+    });
+}
+
+// Add a numbered migration for SQL databases (applied with npm run migrate)
+const usesMigrations = dbChoice === 'mysql' || dbChoice === 'postgres';
+const migrateScriptPath = path.join(currentDir, 'scripts', 'migrate.js');
+const needsMigrateScript = usesMigrations && !fileExists(migrateScriptPath);
+if (usesMigrations) {
+    const migrationsDir = path.join(currentDir, 'migrations');
+    const migrationFileName = getMigrationFileName(getNextMigrationNumber(migrationsDir), resourceName);
+    files.push({
+        path: path.join(migrationsDir, migrationFileName),
+        content: getCreateTableMigrationTemplate(resourceName, fields || getDefaultResourceFields(), dbChoice, templateOptions),
+        type: 'Migration'
+    });
+
+    // Projects generated before migrations existed get the runner on first use
+    if (needsMigrateScript) {
+        files.push({
+            path: migrateScriptPath,
+            content: getMigrateScriptTemplate(dbChoice, isTypeScript),
+            type: 'Migration runner'
+        });
+
+        // The runner connects with the settings of src/config/env (projects generated before it existed get it now)
+        const envConfigPath = path.join(srcDir, 'config', `env.${ext}`);
+        if (!fileExists(envConfigPath)) {
+            const envOptions = { auth: fileExists(path.join(srcDir, 'middlewares', `authMiddleware.${ext}`)) };
+            files.push({
+                path: envConfigPath,
+                content: isTypeScript ? getEnvConfigTemplateTS(dbChoice, envOptions) : getEnvConfigTemplate(dbChoice, envOptions),
+                type: 'Config'
+            });
+        }
+    }
+}
+
 // Write all files
+let writtenFiles;
 try {
-    writeFiles(files, false);
+    writtenFiles = writeFiles(files, false);
 } catch (error) {
     console.error(`❌ Error: Failed to create resource "${resourceName}": ${sanitizeError(error)}`);
     process.exit(1);
@@ -167,37 +511,172 @@ files.forEach(file => {
     console.log(`✅ Created ${file.type}: ${path.basename(file.path)}`);
 });
 
-// Update server.js/server.ts
-const serverPath = path.join(srcDir, `server.${ext}`);
-const updated = updateServerWithRoute(serverPath, resourceName, ext);
+// Record the resource's own files as written (after plugin transforms) so remove-crud
+// can detect later edits, and its fields for gen-openapi and resources that reference it
+try {
+    const resourceFilePaths = getResourceFilePaths(resourceName, ext);
+    recordGeneratedFiles(currentDir, resourceName, writtenFiles.filter(file =>
+        resourceFilePaths.includes(path.relative(currentDir, file.path).split(path.sep).join('/'))), fields || getDefaultResourceFields());
+} catch (error) {
+    console.log(`⚠ Could not update .lazycrud-manifest.json: ${sanitizeError(error)}`);
+}
+
+// List the resource in lazycrud.config.json (projects without one are left alone)
+try {
+    updateConfigResources(currentDir, resourceName);
+} catch (error) {
+    console.log(`⚠ Could not update lazycrud.config.json: ${sanitizeError(error)}`);
+}
+
+// Register the migrate scripts in package.json if they are missing
+if (needsMigrateScript) {
+    try {
+        const packageJson = readPackageJson(currentDir);
+        const migrationScripts = getMigrationScripts(isTypeScript);
+        const missingScripts = Object.keys(migrationScripts).filter(name => !packageJson.scripts?.[name]);
+        if (missingScripts.length > 0) {
+            packageJson.scripts = { ...packageJson.scripts };
+            missingScripts.forEach(name => {
+                packageJson.scripts[name] = migrationScripts[name];
+            });
+            writeFile(validatePath(path.join(currentDir, 'package.json')), JSON.stringify(packageJson, null, 2));
+            console.log(`✅ Added ${missingScripts.join(', ')} scripts to package.json`);
+        }
+    } catch (error) {
+        console.log(`⚠ Could not update package.json: ${sanitizeError(error)}`);
+        console.log('  Please add "migrate": "node scripts/migrate.js up" to your scripts');
+    }
+}
+
+// Register zod in package.json if it is missing
+if (needsValidateMiddleware) {
+    try {
+        const packageJson = readPackageJson(currentDir);
+        const dependencies = getValidationDependencies();
+        const missingDependencies = Object.keys(dependencies).filter(name => !packageJson.dependencies?.[name]);
+        if (missingDependencies.length > 0) {
+            packageJson.dependencies = { ...packageJson.dependencies };
+            missingDependencies.forEach(name => {
+                packageJson.dependencies[name] = dependencies[name];
+            });
+            writeFile(validatePath(path.join(currentDir, 'package.json')), JSON.stringify(packageJson, null, 2));
+            console.log(`✅ Added ${missingDependencies.join(', ')} to package.json dependencies (run npm install)`);
+        }
+    } catch (error) {
+        console.log(`⚠ Could not update package.json: ${sanitizeError(error)}`);
+        console.log('  Please install zod: npm install zod');
+    }
+}
+
+// Register the GraphQL packages in package.json if they are missing
+if (graphql) {
+    try {
+        const packageJson = readPackageJson(currentDir);
+        const dependencies = getGraphqlDependencies();
+        const missingDependencies = Object.keys(dependencies).filter(name => !packageJson.dependencies?.[name]);
+        if (missingDependencies.length > 0) {
+            packageJson.dependencies = { ...packageJson.dependencies };
+            missingDependencies.forEach(name => {
+                packageJson.dependencies[name] = dependencies[name];
+            });
+            writeFile(validatePath(path.join(currentDir, 'package.json')), JSON.stringify(packageJson, null, 2));
+            console.log(`✅ Added ${missingDependencies.join(', ')} to package.json dependencies (run npm install)`);
+        }
+    } catch (error) {
+        console.log(`⚠ Could not update package.json: ${sanitizeError(error)}`);
+        console.log(`  Please install them: npm install ${Object.keys(getGraphqlDependencies()).join(' ')}`);
+    }
+}
+
+// Update app.js/app.ts (server.js/server.ts in projects generated before the split)
+const appFile = getAppFilePath(currentDir, ext);
+const updated = updateServerWithRoute(path.join(currentDir, appFile), resourceName, ext, mountPath, nestedRoutes);
 
 if (updated) {
-    console.log(`✅ Updated server.${ext} with ${resourceName} routes`);
+    console.log(`✅ Updated ${path.basename(appFile)} with ${resourceName} routes`);
 } else {
-    console.log(`⚠ Could not automatically update server.${ext}`);
+    console.log(`⚠ Could not automatically update ${path.basename(appFile)}`);
     console.log('  Please add the route manually:');
     console.log(`  import ${resourceLower}Routes from './routes/${routeImportFileName}';`);
-    console.log(`  app.use('/api/${resourcePlural}', ${resourceLower}Routes);`);
+    console.log(`  app.use('${mountPath}', ${resourceLower}Routes);`);
+    if (nestedRoutes.length > 0) {
+        console.log(`  import { ${nestedRoutes.map(route => route.variable).join(', ')} } from './routes/${routeImportFileName}';`);
+        nestedRoutes.forEach(route => console.log(`  app.use('${route.mountPath}', ${route.variable});`));
+    }
+}
+
+// Register the resource in the GraphQL endpoint, or mount the endpoint it just created
+if (graphql && hasGraphqlEndpoint) {
+    if (updateGraphqlWithResource(graphqlIndexPath, resourceName)) {
+        console.log(`✅ Updated index.${ext} with ${resourceName} GraphQL types`);
+    } else {
+        console.log(`⚠ Could not automatically update src/graphql/index.${ext}`);
+        console.log('  Please register the resource manually:');
+        console.log(`  import * as ${resourceLower}Graphql from './${resourceLower}Graphql.js';`);
+        console.log(`  const resources = [..., ${resourceLower}Graphql];`);
+    }
+} else if (graphql) {
+    if (updateServerWithGraphql(path.join(currentDir, appFile))) {
+        console.log(`✅ Updated ${path.basename(appFile)} with the /graphql endpoint`);
+    } else {
+        console.log(`⚠ Could not automatically mount /graphql in ${path.basename(appFile)}`);
+        console.log('  Please add it manually before the 404 handler:');
+        console.log("  import { graphqlHandler } from './graphql/index.js';");
+        console.log("  app.all('/graphql', graphqlHandler);");
+    }
+}
+
+if (isDryRun()) {
+    printPlannedChanges({ json: jsonOutput });
+    process.exit(0);
 }
 
 console.log(`\n✨ CRUD resource "${resourceName}" created successfully!\n`);
+// Access requirement shown next to each endpoint
+const accessNote = (method) => {
+    const roles = access && access[method];
+    if (!roles) return '';
+    return roles.length > 0 ? ` (roles: ${roles.join(', ')})` : ' (authenticated)';
+};
+
 console.log('📝 Your new endpoints are ready:');
-console.log(`   GET    /api/${resourcePlural}      - Get all ${resourcePlural}`);
-console.log(`   GET    /api/${resourcePlural}/:id  - Get ${resourceLower} by id`);
-console.log(`   POST   /api/${resourcePlural}      - Create ${resourceLower}`);
-console.log(`   PUT    /api/${resourcePlural}/:id  - Update ${resourceLower}`);
-console.log(`   DELETE /api/${resourcePlural}/:id  - Delete ${resourceLower}`);
-
-if (dbChoice === 'mysql') {
-    console.log('\n💡 MySQL Note:');
-    console.log(`   You may need to create the table manually:`);
-    console.log(`   CREATE TABLE ${resourcePlural} (`);
-    console.log(`       id INT AUTO_INCREMENT PRIMARY KEY,`);
-    console.log(`       name VARCHAR(255) NOT NULL,`);
-    console.log(`       description TEXT,`);
-    console.log(`       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,`);
-    console.log(`       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP`);
-    console.log(`   );`);
+console.log(`   GET    ${mountPath}      - Get all ${resourcePlural}${accessNote('get')}`);
+console.log(`   GET    ${mountPath}/:id  - Get ${resourceLower} by id${accessNote('get')}`);
+console.log(`   POST   ${mountPath}      - Create ${resourceLower}${accessNote('post')}`);
+console.log(`   PUT    ${mountPath}/:id  - Replace ${resourceLower}${accessNote('put')}`);
+console.log(`   PATCH  ${mountPath}/:id  - Update ${resourceLower} (merge patch or JSON Patch)${accessNote('put')}`);
+console.log(`   DELETE ${mountPath}/:id  - Delete ${resourceLower}${softDelete ? ' (moves it to the trash)' : ''}${accessNote('delete')}`);
+if (softDelete) {
+    console.log(`   GET    ${mountPath}/trash  - Get deleted ${resourcePlural}${accessNote('delete')}`);
+    console.log(`   POST   ${mountPath}/:id/restore  - Restore a deleted ${resourceLower}${accessNote('delete')}`);
+}
+if (bulkMaxItems) {
+    console.log(`   POST   ${mountPath}/bulk  - Create up to ${bulkMaxItems} ${resourcePlural}${accessNote('post')}`);
+    console.log(`   PATCH  ${mountPath}/bulk  - Update up to ${bulkMaxItems} ${resourcePlural}${accessNote('put')}`);
+    console.log(`   DELETE ${mountPath}/bulk  - Delete up to ${bulkMaxItems} ${resourcePlural}${accessNote('delete')}`);
+}
+if (etag) {
+    console.log(`   ETag on GET, POST, PUT and PATCH: send it back as If-Match to get 412 instead of overwriting a newer ${resourceLower}`);
+}
+nestedRoutes.forEach(({ field, mountPath: nestedPath }) => {
+    console.log(`   GET    ${nestedPath}  - Get the ${resourcePlural} of a ${field.ref.toLowerCase()}${accessNote('get')}`);
+});
+if (nestedRoutes.length > 0) {
+    console.log(`   Expand references with GET ${mountPath}/:id?include=${nestedRoutes.map(({ field }) => field.name).join(',')}`);
+}
+if (graphql) {
+    const resourceCamel = resourceName.charAt(0).toLowerCase() + resourceName.slice(1);
+    const operations = [`${resourceCamel}s`, resourceCamel, `create${resourceName}`, `update${resourceName}`, `delete${resourceName}`,
+        ...(softDelete ? [`deleted${resourceName}s`, `restore${resourceName}`] : [])];
+    console.log(`   POST   /graphql  - ${operations.join(', ')}`);
+}
+
+if (dbChoice === 'mysql' || dbChoice === 'postgres') {
+    console.log(`\n💡 ${dbChoice === 'mysql' ? 'MySQL' : 'PostgreSQL'} Note:`);
+    console.log(`   Run "npm run migrate" to create the ${resourcePlural} table.`);
+} else if (dbChoice === 'sqlite') {
+    console.log('\n💡 SQLite Note:');
+    console.log(`   The ${resourcePlural} table is created automatically when the model is first loaded.`);
 }
 
 console.log('');
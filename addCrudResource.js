@@ -5,34 +5,70 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { spawn } from 'child_process';
 import { validatePath, validateResourceName, isPathInProject } from './src/validators/index.js';
-import { sanitizeError } from './src/utils/index.js';
+import {
+    sanitizeError,
+    isFieldDefinition,
+    isProtectOption,
+    isSoftDeleteOption,
+    isBulkOption,
+    isEtagOption,
+    enableDryRun,
+    loadPlannedChanges,
+    printPlannedChanges,
+    parseCommandLine,
+    getCliCommand,
+    formatCommandHelp
+} from './src/utils/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Get resource names from command line arguments (can be multiple)
-const resourceNames = process.argv.slice(2);
+// Get resources from command line arguments (can be multiple).
+// Field definitions (e.g. "title:string!"), --protect, --soft-delete, --bulk and --etag belong to the resource before them.
+// --graphql and --dry-run (optionally with --json) apply to the whole command.
+const { positionals: args, options } = parseCommandLine('add');
+const graphql = Boolean(options.graphql);
+const dryRun = Boolean(options['dry-run']);
+const jsonOutput = Boolean(options.json);
+const resources = [];
 
-if (resourceNames.length === 0) {
+if (dryRun) {
+    enableDryRun();
+}
+
+if (args.length === 0) {
     console.error('❌ Error: Please provide at least one resource name');
-    console.log('\nUsage: add-crud <ResourceName> [<ResourceName2> ...]');
-    console.log('Example: add-crud User');
-    console.log('Example: add-crud User Product Book');
+    console.log(`\n${formatCommandHelp(getCliCommand('add'))}`);
     process.exit(1);
 }
 
-// Validate all resource names first
+// Validate all resource names first (field definitions are validated per resource)
 try {
-    resourceNames.forEach(name => validateResourceName(name));
+    for (const arg of args) {
+        const isOption = isProtectOption(arg) || isSoftDeleteOption(arg) || isBulkOption(arg) || isEtagOption(arg);
+        if (isFieldDefinition(arg) || isOption) {
+            if (resources.length === 0) {
+                throw new Error(`${isOption ? 'Option' : 'Field definition'} "${arg}" must follow a resource name`);
+            }
+            resources[resources.length - 1].args.push(arg);
+        } else {
+            validateResourceName(arg);
+            resources.push({ name: arg, args: [] });
+        }
+    }
 } catch (error) {
     console.error('❌ Error:', sanitizeError(error));
     process.exit(1);
 }
 
+const resourceNames = resources.map(resource => resource.name);
+
 console.log(`\n🚀 Creating ${resourceNames.length} resource${resourceNames.length > 1 ? 's' : ''}...\n`);
 
 let successCount = 0;
 let failCount = 0;
+// In a dry run each resource sees the changes planned for the ones before it
+let plannedChanges = [];
 
 // Get the original add-crud script path
 const originalScript = path.join(__dirname, 'addCrudResource-single.js');
@@ -50,21 +86,32 @@ try {
 
 // Process resources sequentially with safe spawn
 for (let index = 0; index < resourceNames.length; index++) {
-    const resourceName = resourceNames[index];
+    const { name: resourceName, args: resourceArgs } = resources[index];
     console.log(`\n[${index + 1}/${resourceNames.length}] Processing: ${resourceName}`);
     console.log('-'.repeat(50));
     
     try {
         // Use spawn with array arguments (safe from injection)
         await new Promise((resolve, reject) => {
-            const child = spawn('node', [originalScript, resourceName], {
-                stdio: 'inherit',
+            const commandArgs = [...(graphql ? ['--graphql'] : []), ...(dryRun ? ['--dry-run', '--json'] : [])];
+            const child = spawn('node', [originalScript, resourceName, ...resourceArgs, ...commandArgs], {
+                stdio: dryRun ? ['pipe', 'pipe', 'inherit'] : 'inherit',
                 cwd: process.cwd(),
+                env: dryRun ? { ...process.env, LAZYCRUD_PLANNED_CHANGES: 'stdin' } : process.env,
                 shell: false // Important: disable shell to prevent injection
             });
+
+            let output = '';
+            if (dryRun) {
+                child.stdout.on('data', (chunk) => { output += chunk; });
+                child.stdin.end(JSON.stringify({ changes: plannedChanges }));
+            }
             
             child.on('close', (code) => {
                 if (code === 0) {
+                    if (dryRun) {
+                        plannedChanges = JSON.parse(output).changes;
+                    }
                     successCount++;
                     resolve();
                 } else {
@@ -80,9 +127,14 @@ for (let index = 0; index < resourceNames.length; index++) {
     }
 }
 
+if (dryRun) {
+    loadPlannedChanges(plannedChanges);
+    printPlannedChanges({ json: jsonOutput });
+}
+
 // Summary
 console.log('\n' + '='.repeat(50));
-console.log(`✨ Summary: ${successCount} resource${successCount !== 1 ? 's' : ''} created successfully`);
+console.log(`✨ Summary: ${successCount} resource${successCount !== 1 ? 's' : ''} ${dryRun ? 'planned' : 'created successfully'}`);
 if (failCount > 0) {
     console.log(`⚠️  ${failCount} resource${failCount !== 1 ? 's' : ''} failed`);
 }
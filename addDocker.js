@@ -9,10 +9,17 @@ import {
     validatePath,
     validateProjectName,
     readPackageJson,
-    detectDatabase,
+    getProjectConfig,
+    getAppFilePath,
+    loadTemplateOverrides,
+    loadPlugins,
+    sanitizeError,
     fileExists,
-    getProjectExtension,
-    isTypeScriptProject
+    writeFile,
+    enableDryRun,
+    isDryRun,
+    printPlannedChanges,
+    parseCommandLine
 } from './src/utils/index.js';
 import {
     getDockerfileTemplate,
@@ -24,6 +31,13 @@ import {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// --dry-run prints the changes as a diff (or JSON with --json) without writing them
+const { options } = parseCommandLine('docker');
+const jsonOutput = Boolean(options.json);
+if (options['dry-run']) {
+    enableDryRun();
+}
+
 // Check if we're in an Express CRUD project
 const currentDir = process.cwd();
 const packageJson = readPackageJson(currentDir);
@@ -34,23 +48,51 @@ if (!packageJson) {
     process.exit(1);
 }
 
-// Detect database type
-const dbChoice = detectDatabase(currentDir);
+// Read the project configuration (lazycrud.config.json, or detected from package.json)
+let projectConfig;
+try {
+    projectConfig = getProjectConfig(currentDir);
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+const { database: dbChoice, isTypeScript, extension: serverExt } = projectConfig;
+
+// Project templates in .lazycrud/templates replace the bundled ones;
+// lazy-crud-plugin-* packages hook into the files written below
+try {
+    const templateOverrides = await loadTemplateOverrides(currentDir);
+    if (templateOverrides.length > 0) {
+        console.log(`🎨 Using template overrides: ${templateOverrides.map(({ layer, name }) => `${layer}/${name}`).join(', ')}`);
+    }
+    const plugins = await loadPlugins(currentDir);
+    if (plugins.length > 0) {
+        console.log(`🧩 Using plugins: ${plugins.map(({ name }) => name).join(', ')}`);
+    }
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
 
 if (dbChoice === 'mongodb') {
     console.log('✅ Detected: MongoDB (mongoose)');
 } else if (dbChoice === 'mysql') {
     console.log('✅ Detected: MySQL (mysql2)');
+} else if (dbChoice === 'postgres') {
+    console.log('✅ Detected: PostgreSQL (pg)');
+} else if (dbChoice === 'sqlite') {
+    console.log('✅ Detected: SQLite (better-sqlite3)');
 } else {
     console.log('ℹ️  No database detected, creating Docker setup for Node.js app only');
 }
 
-console.log(`\n🐳 Setting up Docker for ${dbChoice === 'mongodb' ? 'MongoDB' : dbChoice === 'mysql' ? 'MySQL' : 'Node.js app'}...\n`);
+console.log(`\n🐳 Setting up Docker for ${dbChoice === 'mongodb' ? 'MongoDB' : dbChoice === 'mysql' ? 'MySQL' : dbChoice === 'postgres' ? 'PostgreSQL' : dbChoice === 'sqlite' ? 'SQLite' : 'Node.js app'}...\n`);
 
 // Get project name and validate it
 let projectName;
 try {
-    projectName = validateProjectName(packageJson.name || 'express-app');
+    projectName = packageJson.name || 'express-app';
+    validateProjectName(projectName);
 } catch (error) {
     console.error(`❌ Error: ${error.message}`);
     console.error('Using fallback name: express-app');
@@ -59,35 +101,36 @@ try {
 
 // Generate secure passwords if needed
 const mongoExpressPassword = dbChoice === 'mongodb' ? crypto.randomBytes(16).toString('hex') : '';
-const mysqlPassword = dbChoice === 'mysql' ? crypto.randomBytes(24).toString('hex') : '';
+const dbPassword = dbChoice === 'mysql' || dbChoice === 'postgres' ? crypto.randomBytes(24).toString('hex') : '';
 
 // Get templates
-const isTypeScript = isTypeScriptProject(currentDir);
-const dockerfileTemplate = getDockerfileTemplate(isTypeScript);
+// Projects generated before migrations existed have no runner to call on startup
+const hasMigrations = fileExists(path.join(currentDir, 'scripts', 'migrate.js'));
+const dockerfileTemplate = getDockerfileTemplate(isTypeScript, dbChoice, hasMigrations);
 const dockerignoreTemplate = getDockerIgnoreTemplate();
-const dockerComposeContent = getDockerComposeTemplate(dbChoice, projectName, mongoExpressPassword, mysqlPassword);
+const dockerComposeContent = getDockerComposeTemplate(dbChoice, projectName, mongoExpressPassword, dbPassword);
 const dockerReadmeContent = getDockerReadmeTemplate(dbChoice, projectName);
 
 // Create Docker files with path validation
 try {
     // Create Dockerfile
     const dockerfilePath = validatePath(path.join(currentDir, 'Dockerfile'));
-    fs.writeFileSync(dockerfilePath, dockerfileTemplate);
+    writeFile(dockerfilePath, dockerfileTemplate);
     console.log('✅ Created Dockerfile');
 
     // Create .dockerignore
     const dockerignorePath = validatePath(path.join(currentDir, '.dockerignore'));
-    fs.writeFileSync(dockerignorePath, dockerignoreTemplate);
+    writeFile(dockerignorePath, dockerignoreTemplate);
     console.log('✅ Created .dockerignore');
 
     // Create docker-compose.yml
     const dockerComposePath = validatePath(path.join(currentDir, 'docker-compose.yml'));
-    fs.writeFileSync(dockerComposePath, dockerComposeContent);
+    writeFile(dockerComposePath, dockerComposeContent);
     console.log('✅ Created docker-compose.yml');
 
     // Create README.docker.md
     const dockerReadmePath = validatePath(path.join(currentDir, 'README.docker.md'));
-    fs.writeFileSync(dockerReadmePath, dockerReadmeContent);
+    writeFile(dockerReadmePath, dockerReadmeContent);
     console.log('✅ Created README.docker.md');
 } catch (error) {
     console.error(`❌ Error: Failed to create Docker files: ${error.message}`);
@@ -111,19 +154,30 @@ if (fs.existsSync(envPath)) {
 # DB_USER=root
 # DB_PASSWORD=rootpassword
 # DB_NAME=${projectName}
+`;
+        needsUpdate = true;
+    } else if (dbChoice === 'postgres' && !envContent.includes('# Docker')) {
+        envContent += `\n# Docker PostgreSQL Connection (when using docker-compose)
+# DB_HOST=postgres
+# DB_PASSWORD=<password from docker-compose.yml>
+`;
+        needsUpdate = true;
+    } else if (dbChoice === 'sqlite' && !envContent.includes('# Docker')) {
+        envContent += `\n# Docker SQLite file (stored in the sqlite-data volume when using docker-compose)
+# DB_FILE=/app/data/${projectName}.sqlite
 `;
         needsUpdate = true;
     }
     
     if (needsUpdate) {
-        fs.writeFileSync(envPath, envContent);
+        writeFile(envPath, envContent);
         console.log('✅ Updated .env with Docker configuration');
     }
 }
 
-// Add health check endpoint to server.js/server.ts if it doesn't exist
-const serverExt = getProjectExtension(currentDir);
-const serverPath = validatePath(path.join(currentDir, 'src', `server.${serverExt}`));
+// Add health check endpoint to app.js/app.ts (server.js/server.ts in older projects) if it doesn't exist
+const appFile = getAppFilePath(currentDir, serverExt);
+const serverPath = validatePath(path.join(currentDir, appFile));
 if (fs.existsSync(serverPath)) {
     let serverContent = fs.readFileSync(serverPath, 'utf8');
 
@@ -133,14 +187,19 @@ if (fs.existsSync(serverPath)) {
         if (insertPoint !== -1) {
             const healthRoute = `\n// Health check endpoint for Docker\napp.get('/health', (req, res) => {\n    res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });\n});\n\n`;
             serverContent = serverContent.slice(0, insertPoint) + healthRoute + serverContent.slice(insertPoint);
-            fs.writeFileSync(serverPath, serverContent);
-            console.log(`✅ Added /health endpoint to server.${serverExt}`);
+            writeFile(serverPath, serverContent);
+            console.log(`✅ Added /health endpoint to ${path.basename(appFile)}`);
         } else {
-            console.log(`⚠️  Could not find insertion point in server.${serverExt} - please add a /health endpoint manually`);
+            console.log(`⚠️  Could not find insertion point in ${path.basename(appFile)} - please add a /health endpoint manually`);
         }
     }
 } else {
-    console.log(`⚠️  Could not find src/server.${serverExt} - please add a /health endpoint manually`);
+    console.log(`⚠️  Could not find ${appFile} - please add a /health endpoint manually`);
+}
+
+if (isDryRun()) {
+    printPlannedChanges({ json: jsonOutput });
+    process.exit(0);
 }
 
 console.log('\n✨ Docker setup complete!\n');
@@ -155,7 +214,12 @@ if (dbChoice === 'mongodb') {
     console.log('');
 } else if (dbChoice === 'mysql') {
     console.log('🔒 Security Note:');
-    console.log(`   MySQL root password: ${mysqlPassword ? mysqlPassword.substring(0, 16) + '...' : 'See docker-compose.yml'}`);
+    console.log(`   MySQL root password: ${dbPassword ? dbPassword.substring(0, 16) + '...' : 'See docker-compose.yml'}`);
+    console.log('   ⚠️  Set DB_PASSWORD in .env for production!');
+    console.log('');
+} else if (dbChoice === 'postgres') {
+    console.log('🔒 Security Note:');
+    console.log(`   PostgreSQL password: ${dbPassword ? dbPassword.substring(0, 16) + '...' : 'See docker-compose.yml'}`);
     console.log('   ⚠️  Set DB_PASSWORD in .env for production!');
     console.log('');
 }
@@ -170,6 +234,10 @@ if (dbChoice === 'mongodb') {
     console.log('  5. Mongo Express UI: http://localhost:8081');
 } else if (dbChoice === 'mysql') {
     console.log('  5. phpMyAdmin: http://localhost:8080');
+} else if (dbChoice === 'postgres') {
+    console.log('  5. Adminer: http://localhost:8080');
+} else if (dbChoice === 'sqlite') {
+    console.log('  5. Data is kept in the sqlite-data volume across restarts');
 }
 
 console.log('\n📖 Full documentation: README.docker.md');
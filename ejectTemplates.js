@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import {
+    sanitizeError,
+    validatePath,
+    isPathInProject,
+    TEMPLATES_DIR,
+    TEMPLATE_LAYERS,
+    getBundledTemplates,
+    loadTemplateOverrides,
+    getEjectedTemplateFiles,
+    fileExists,
+    writeFile,
+    enableDryRun,
+    isDryRun,
+    printPlannedChanges,
+    parseCommandLine
+} from './src/utils/index.js';
+
+// Parse command line arguments: eject-templates [<layer> ...] [--force] [--dry-run [--json]]
+const { positionals, options } = parseCommandLine('eject');
+const layers = [...new Set(positionals)];
+const force = Boolean(options.force);
+const jsonOutput = Boolean(options.json);
+
+if (options['dry-run']) {
+    enableDryRun();
+}
+
+const currentDir = validatePath(process.cwd());
+
+// Without layers: list what can be overridden and what already is
+if (layers.length === 0) {
+    let overrides;
+    try {
+        overrides = await loadTemplateOverrides(currentDir);
+    } catch (error) {
+        console.error('❌ Error:', sanitizeError(error));
+        process.exit(1);
+    }
+
+    console.log(`\n🎨 Template layers (override them in ${TEMPLATES_DIR}/<layer>):\n`);
+    for (const layer of TEMPLATE_LAYERS) {
+        const templates = await getBundledTemplates(layer);
+        const names = Object.keys(templates)
+            .filter(name => typeof templates[name] === 'function')
+            .map(name => overrides.some(override => override.layer === layer && override.name === name) ? `${name} (overridden)` : name);
+        console.log(`${layer}:`);
+        console.log(`   ${names.join(', ')}\n`);
+    }
+    console.log('Usage: eject-templates <layer> [<layer> ...] [--force]');
+    console.log('Example: eject-templates addResource shared');
+    process.exit(0);
+}
+
+try {
+    for (const layer of layers) {
+        if (!TEMPLATE_LAYERS.includes(layer)) {
+            throw new Error(`Unknown template layer "${layer}". Available layers: ${TEMPLATE_LAYERS.join(', ')}`);
+        }
+    }
+
+    // Check every file first so a refused eject writes nothing
+    const files = [];
+    for (const layer of layers) {
+        for (const { fileName, content } of await getEjectedTemplateFiles(layer)) {
+            const filePath = path.join(currentDir, TEMPLATES_DIR, layer, fileName);
+            if (!isPathInProject(filePath, currentDir)) {
+                throw new Error('Security: File path is outside project directory');
+            }
+            files.push({ filePath, relativePath: `${TEMPLATES_DIR}/${layer}/${fileName}`, content });
+        }
+    }
+
+    const existing = files.filter(file => fileExists(file.filePath));
+    if (existing.length > 0 && !force) {
+        throw new Error(`${existing.map(file => file.relativePath).join(', ')} already exist${existing.length === 1 ? 's' : ''}. Re-run with --force to overwrite`);
+    }
+
+    // Ejected files are ES modules, also when lazy-crud runs outside a "type": "module" project
+    const packageJsonPath = path.join(currentDir, TEMPLATES_DIR, 'package.json');
+    if (!fileExists(packageJsonPath)) {
+        files.push({ filePath: packageJsonPath, relativePath: `${TEMPLATES_DIR}/package.json`, content: '{\n  "type": "module"\n}\n' });
+    }
+
+    for (const file of files) {
+        writeFile(file.filePath, file.content);
+        console.log(`✅ Created ${file.relativePath}`);
+    }
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+
+if (isDryRun()) {
+    printPlannedChanges({ json: jsonOutput });
+    process.exit(0);
+}
+
+console.log(`\n✨ Ejected ${layers.join(', ')} to ${TEMPLATES_DIR}`);
+console.log('💡 Edit the functions you want to change and delete the rest;');
+console.log('   lazy-crud, add-crud, add-auth and add-docker use them instead of the bundled templates.');
@@ -12,20 +12,51 @@ import {
     isExpressProject,
     isTypeScriptProject,
     getProjectExtension,
+    detectDatabase,
+    getProjectConfig,
+    getAppFilePath,
+    loadTemplateOverrides,
+    loadPlugins,
     ensureDirectory,
     writeFile,
-    updateServerWithRoute
+    readFileSafe,
+    updateServerWithRoute,
+    getNextMigrationNumber,
+    enableDryRun,
+    isDryRun,
+    printPlannedChanges,
+    parseCommandLine
 } from './src/utils/index.js';
 import {
   getUserModelTemplate,
+  getRefreshTokenModelTemplate,
   getAuthControllerTemplate,
   getAuthRoutesTemplate,
   getAuthMiddlewareTemplate
 } from './src/templates/auth/index.js';
+import {
+  getMigrationFileName,
+  getAuthMigrationTemplate,
+  getMigrationScripts,
+  getMigrateScriptTemplate
+} from './src/templates/migrations/index.js';
+import {
+  getEnvConfigTemplate,
+  getEnvConfigTemplateTS,
+  getEnvConfigAuthSection
+} from './src/templates/project/index.js';
+import {
+  getErrorsTemplate,
+  getErrorsTemplateTS
+} from './src/templates/utils/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// --dry-run prints the changes as a diff (or JSON with --json) without writing them
+const { options } = parseCommandLine("auth");
+const jsonOutput = Boolean(options.json);
+
 // Security: Sanitize string to prevent injection attacks
 function sanitizeString(input) {
   if (typeof input !== 'string') {
@@ -59,16 +90,88 @@ function createUserModel() {
   if (fs.existsSync(modelPath)) {
     console.log("⚠ User." + ext + " already exists - skipping creation");
     console.log("  Please add bcrypt and JWT methods to your existing User model");
-    return;
+    return false;
   }
 
   ensureDirectory(modelDir);
 
   const isTS = ext === 'ts';
-  const modelContent = getUserModelTemplate(isTS);
+  const dbChoice = detectDatabase(process.cwd());
+  const modelContent = getUserModelTemplate(isTS, dbChoice);
 
   writeFile(modelPath, modelContent);
-  console.log("✓ Created User model with bcrypt (User." + ext + ")");
+  console.log("✓ Created User model with bcrypt (User." + ext + ", " + (dbChoice === 'memory' ? "in-memory" : dbChoice) + ")");
+  return true;
+}
+
+// Create the refresh token model (tokens are stored hashed)
+function createRefreshTokenModel() {
+  const ext = getProjectExtension(process.cwd());
+  const modelPath = path.join(process.cwd(), "src", "models", `RefreshToken.${ext}`);
+
+  // Security: Validate paths
+  validatePath(modelPath);
+  if (!isPathInProject(modelPath, process.cwd())) {
+    throw new Error("Security: Attempted to write outside project directory");
+  }
+
+  if (fs.existsSync(modelPath)) {
+    console.log("⚠ RefreshToken." + ext + " already exists - skipping creation");
+    return;
+  }
+
+  writeFile(modelPath, getRefreshTokenModelTemplate(ext === 'ts', detectDatabase(process.cwd())));
+  console.log("✓ Created RefreshToken model (RefreshToken." + ext + ")");
+}
+
+// Create the users/refresh_tokens migration for MySQL/PostgreSQL projects
+function createAuthMigration(includeUsers) {
+  const dbChoice = detectDatabase(process.cwd());
+  if (dbChoice !== 'mysql' && dbChoice !== 'postgres') {
+    return;
+  }
+
+  const migrationsDir = path.join(process.cwd(), "migrations");
+  const migrationPath = path.join(migrationsDir, getMigrationFileName(getNextMigrationNumber(migrationsDir), includeUsers ? 'User' : 'refresh_token'));
+  const migrateScriptPath = path.join(process.cwd(), "scripts", "migrate.js");
+
+  // Security: Validate paths
+  validatePath(migrationPath);
+  validatePath(migrateScriptPath);
+  if (!isPathInProject(migrationPath, process.cwd()) || !isPathInProject(migrateScriptPath, process.cwd())) {
+    throw new Error("Security: Attempted to write outside project directory");
+  }
+
+  ensureDirectory(migrationsDir);
+  writeFile(migrationPath, getAuthMigrationTemplate(dbChoice, includeUsers));
+  console.log("✓ Created auth tables migration (" + path.basename(migrationPath) + ")");
+
+  // Projects generated before migrations existed get the runner too
+  if (!fs.existsSync(migrateScriptPath)) {
+    ensureDirectory(path.dirname(migrateScriptPath));
+    writeFile(migrateScriptPath, getMigrateScriptTemplate(dbChoice, isTypeScriptProject()));
+    console.log("✓ Created migration runner (scripts/migrate.js)");
+  }
+}
+
+// Create src/utils/errors (projects made before it existed), thrown by the auth controller and middleware
+function createErrorsModule() {
+  const ext = getProjectExtension(process.cwd());
+  const errorsPath = path.join(process.cwd(), "src", "utils", `errors.${ext}`);
+
+  // Security: Validate path
+  validatePath(errorsPath);
+  if (!isPathInProject(errorsPath, process.cwd())) {
+    throw new Error("Security: Attempted to write outside project directory");
+  }
+
+  if (fs.existsSync(errorsPath)) {
+    return;
+  }
+
+  ensureDirectory(path.dirname(errorsPath));
+  writeFile(errorsPath, ext === 'ts' ? getErrorsTemplateTS() : getErrorsTemplate());
+  console.log("✓ Created application errors (errors." + ext + ")");
 }
 
 // Create auth controller with JWT
@@ -136,19 +239,19 @@ function createAuthMiddleware() {
   console.log("✓ Created auth middleware");
 }
 
-// Update server.js/server.ts to include auth routes
-function updateServerJs() {
+// Update app.js/app.ts (server.js/server.ts in older projects) to include auth routes
+function updateServerJs(authPath) {
   const ext = getProjectExtension(process.cwd());
-  const serverPath = path.join(process.cwd(), 'src', `server.${ext}`);
+  const appFile = getAppFilePath(process.cwd(), ext);
 
-  // Use the utility function to update server with auth routes
-  const success = updateServerWithRoute(serverPath, 'auth', ext, '/api/auth');
+  // Use the utility function to update the app with auth routes
+  const success = updateServerWithRoute(path.join(process.cwd(), appFile), 'auth', ext, authPath);
 
   if (!success) {
-    console.log("⚠ Could not automatically update server." + ext);
+    console.log("⚠ Could not automatically update " + appFile);
     console.log("  Please add auth routes manually:");
     console.log("  import authRoutes from './routes/authRoutes.js';");
-    console.log("  app.use('/api/auth', authRoutes);");
+    console.log("  app.use('" + authPath + "', authRoutes);");
   }
 }
 
@@ -192,6 +295,19 @@ function updatePackageJson() {
     dependenciesAdded = true;
   }
 
+  // The users migration needs the migrate scripts
+  const dbChoice = detectDatabase(process.cwd());
+  if (dbChoice === 'mysql' || dbChoice === 'postgres') {
+    const migrationScripts = getMigrationScripts(isTypeScriptProject());
+    packageJson.scripts = packageJson.scripts || {};
+    for (const name of Object.keys(migrationScripts)) {
+      if (!packageJson.scripts[name]) {
+        packageJson.scripts[name] = migrationScripts[name];
+        dependenciesAdded = true;
+      }
+    }
+  }
+
   // Add TypeScript type definitions if it's a TypeScript project
   const isTS = isTypeScriptProject();
   if (isTS) {
@@ -211,7 +327,7 @@ function updatePackageJson() {
   }
 
   if (dependenciesAdded) {
-    fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2));
+    writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
     console.log("✓ Updated package.json with auth dependencies");
     console.log("\n📦 Please run: npm install");
   } else {
@@ -249,14 +365,68 @@ function updateEnvFile() {
   // Security: Generate a strong random secret (64 bytes = 128 hex chars)
   const randomSecret = crypto.randomBytes(64).toString("hex");
 
-  const authEnvContent = "\n# JWT Authentication\n# Security: Change this secret in production!\nJWT_SECRET=" + randomSecret + "\nJWT_EXPIRES_IN=24h\n# Note: Consider implementing rate limiting for auth endpoints\n# Recommended: express-rate-limit package\n";
+  const authEnvContent = "\n# JWT Authentication\n# Security: Change this secret in production!\nJWT_SECRET=" + randomSecret + "\n# Access tokens are short-lived; clients renew them with POST /api/auth/refresh\nJWT_EXPIRES_IN=15m\nREFRESH_TOKEN_TTL_DAYS=7\n# Note: Consider implementing rate limiting for auth endpoints\n# Recommended: express-rate-limit package\n";
 
-  fs.writeFileSync(envPath, envContent + authEnvContent);
+  writeFile(envPath, envContent + authEnvContent);
   console.log("✓ Updated .env with JWT configuration");
 }
 
+// Add the JWT settings to the validated configuration (src/config/env)
+function updateEnvConfig() {
+  const ext = getProjectExtension(process.cwd());
+  const isTS = ext === 'ts';
+  const configPath = path.join(process.cwd(), "src", "config", `env.${ext}`);
+
+  // Security: Validate path
+  validatePath(configPath);
+  if (!isPathInProject(configPath, process.cwd())) {
+    throw new Error("Security: Attempted to write outside project directory");
+  }
+
+  // Projects generated before config/env existed get the whole module
+  if (!fs.existsSync(configPath)) {
+    const dbChoice = detectDatabase(process.cwd());
+    ensureDirectory(path.dirname(configPath));
+    writeFile(configPath, isTS ? getEnvConfigTemplateTS(dbChoice, { auth: true }) : getEnvConfigTemplate(dbChoice, { auth: true }));
+    console.log("✓ Created src/config/env." + ext + " with the JWT settings");
+    return;
+  }
+
+  let configContent = readFileSafe(configPath);
+  if (/^\s+jwt: \{$/m.test(configContent)) {
+    console.log("✓ JWT settings already in config/env");
+    return;
+  }
+
+  // The jwt section goes last in the config object (and in the Config interface)
+  const { types, values } = getEnvConfigAuthSection(isTS);
+  const configEnd = configContent.match(/\n    \};\n\n    return \{ config, errors \};/);
+  const interfaceEnd = configContent.match(/^(export interface Config \{\n[\s\S]*?)\n\}$/m);
+  if (!configEnd || (isTS && !interfaceEnd)) {
+    console.log("⚠ Could not automatically update src/config/env." + ext);
+    console.log("  Please read JWT_SECRET (required), JWT_EXPIRES_IN and REFRESH_TOKEN_TTL_DAYS there as config.jwt.secret, config.jwt.expiresIn and config.jwt.refreshTokenTtlDays");
+    return;
+  }
+  configContent = configContent.replace(configEnd[0], values + configEnd[0]);
+  if (isTS) {
+    configContent = configContent.replace(interfaceEnd[0], interfaceEnd[1] + types + "\n}");
+  }
+  // Projects without string settings have no string parser yet
+  if (!/^const asString = /m.test(configContent)) {
+    configContent = configContent.replace(/^const asInteger = /m,
+      (isTS ? "const asString = (value: string): string => value;" : "const asString = (value) => value;") + "\n\n$&");
+  }
+
+  writeFile(configPath, configContent);
+  console.log("✓ Added the JWT settings to src/config/env." + ext + " (JWT_SECRET is required)");
+}
+
 // Main function
-function main() {
+async function main() {
+  if (options["dry-run"]) {
+    enableDryRun();
+  }
+
   console.log("\n🔐 Setting up authentication with bcrypt and JWT...\n");
 
   try {
@@ -275,36 +445,76 @@ function main() {
       process.exit(1);
     }
 
+    // Project templates in .lazycrud/templates replace the bundled ones;
+    // lazy-crud-plugin-* packages hook into the auth files written below
+    const templateOverrides = await loadTemplateOverrides(process.cwd());
+    if (templateOverrides.length > 0) {
+      console.log(`🎨 Using template overrides: ${templateOverrides.map(({ layer, name }) => `${layer}/${name}`).join(", ")}\n`);
+    }
+    const plugins = await loadPlugins(process.cwd());
+    if (plugins.length > 0) {
+      console.log(`🧩 Using plugins: ${plugins.map(({ name }) => name).join(", ")}\n`);
+    }
+
+    // Auth routes live under the project's API prefix (lazycrud.config.json)
+    const authPath = getProjectConfig(process.cwd()).apiPrefix + "/auth";
+
     // Create auth files
-    createUserModel();
+    // An existing User model already has its own storage
+    const userModelCreated = createUserModel();
+    createRefreshTokenModel();
+    createAuthMigration(userModelCreated);
+    createErrorsModule();
     createAuthController();
     createAuthRoutes();
     createAuthMiddleware();
-    updateServerJs();
+    updateServerJs(authPath);
     updatePackageJson();
     updateEnvFile();
+    updateEnvConfig();
+
+    if (isDryRun()) {
+      printPlannedChanges({ json: jsonOutput });
+      return;
+    }
 
     console.log("\n✅ Authentication setup complete!\n");
     console.log("📋 What was created:");
+    const dbChoice = detectDatabase(process.cwd());
     console.log("  • User model with bcrypt password hashing (or skipped if exists)");
-    console.log("  • Auth controller with JWT token generation");
-    console.log("  • Auth routes (register, login, me)");
-    console.log("  • Auth middleware for protected routes");
-    console.log("  • Updated server.js with auth routes");
+    if (dbChoice === 'mysql' || dbChoice === 'postgres') {
+      console.log("  • Migration for the users and refresh_tokens tables");
+    }
+    console.log("  • RefreshToken model (hashed, rotating refresh tokens)");
+    console.log("  • Auth controller with JWT access and refresh tokens");
+    console.log("  • Auth routes (register, login, refresh, logout, me)");
+    console.log("  • Auth middleware for protected routes (verifyToken, requireRole)");
+    console.log("  • Updated " + path.basename(getAppFilePath(process.cwd())) + " with auth routes");
     console.log("  • Added bcryptjs and jsonwebtoken to package.json");
     console.log("  • Generated JWT_SECRET in .env\n");
     console.log("📝 Available endpoints:");
-    console.log("  POST   /api/auth/register  - Register new user");
-    console.log("  POST   /api/auth/login     - Login user");
-    console.log("  GET    /api/auth/me        - Get current user (protected)\n");
+    console.log("  POST   " + authPath + "/register  - Register new user");
+    console.log("  POST   " + authPath + "/login     - Login user");
+    console.log("  POST   " + authPath + "/refresh   - Exchange a refresh token for new tokens");
+    console.log("  POST   " + authPath + "/logout    - Revoke a refresh token");
+    console.log("  GET    " + authPath + "/me        - Get current user (protected)\n");
     console.log("🔒 To protect your routes:");
     console.log("  In your route file, import and use authMiddleware:");
-    console.log("  import { authMiddleware } from '../middlewares/authMiddleware.js';");
-    console.log("  router.get('/protected', authMiddleware, yourController);\n");
+    console.log("  import { verifyToken, requireRole } from '../middlewares/authMiddleware.js';");
+    console.log("  router.get('/protected', verifyToken, yourController);");
+    console.log("  router.delete('/:id', verifyToken, requireRole('admin'), yourController);");
+    console.log("  Or generate protected resources: add-crud Product --protect=write:admin");
+    console.log("  New users get the 'user' role; change users.role in the database to promote them\n");
     console.log("⚠️  Remember to:");
     console.log("  1. Run: npm install");
-    console.log("  2. Change JWT_SECRET in .env to a secure value");
-    console.log("  3. Replace in-memory storage with a real database");
+    if (dbChoice === 'mysql' || dbChoice === 'postgres') {
+      console.log("  2. Run: npm run migrate (creates the users and refresh_tokens tables)");
+    } else if (dbChoice === 'memory') {
+      console.log("  2. Users are kept in memory and lost on restart - pick a database for production");
+    } else {
+      console.log("  2. Users are stored in your " + (dbChoice === 'mongodb' ? "MongoDB" : "SQLite") + " database");
+    }
+    console.log("  3. Change JWT_SECRET in .env to a secure value");
     console.log("  4. If User.js existed before, add bcrypt methods manually\n");
   } catch (error) {
     console.error("❌ Error:", sanitizeError(error));
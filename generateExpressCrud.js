@@ -9,7 +9,21 @@ import {
     createPromptInterface,
     promptLanguage,
     promptDatabase,
-    sanitizeError
+    sanitizeError,
+    getDefaultItemFields,
+    getResourceFilePaths,
+    recordGeneratedFiles,
+    createConfig,
+    CONFIG_FILE_NAME,
+    ensureDirectory,
+    writeFile,
+    loadTemplateOverrides,
+    loadPlugins,
+    addPluginMiddleware,
+    enableDryRun,
+    isDryRun,
+    printPlannedChanges,
+    parseCommandLine
 } from './src/utils/index.js';
 import {
     getTsConfigTemplate,
@@ -17,6 +31,7 @@ import {
     getItemTypesTemplate,
     getCommonTypesTemplate,
     getServerTemplateTS,
+    getAppTemplateTS,
     getDatabaseConfigTemplateTS,
     getRoutesTemplateTS,
     getControllerTemplateTS,
@@ -31,13 +46,20 @@ import {
     getTestTemplateMemoryJS,
     getTestTemplateMongoTS,
     getTestTemplateMySQLTS,
-    getTestTemplateMemoryTS
+    getTestTemplateMemoryTS,
+    getTestTemplatePostgresJS,
+    getTestTemplatePostgresTS,
+    getTestTemplateSQLiteJS,
+    getTestTemplateSQLiteTS
 } from './src/templates/tests/index.js';
 import {
     getDatabaseConfigTemplate,
     getServerTemplate,
+    getAppTemplate,
     getRoutesTemplate,
     getEnvTemplate,
+    getEnvConfigTemplate,
+    getEnvConfigTemplateTS,
     getGitignoreTemplate,
     getReadmeTemplate
 } from './src/templates/project/index.js';
@@ -47,18 +69,50 @@ import {
     getCorsMiddlewareTemplate,
     getCorsMiddlewareTemplateTS,
     getErrorHandlerTemplate,
-    getErrorHandlerTemplateTS
+    getErrorHandlerTemplateTS,
+    getValidateMiddlewareTemplate,
+    getValidateMiddlewareTemplateTS,
+    getRequestLoggerTemplate,
+    getRequestLoggerTemplateTS
 } from './src/templates/middlewares/index.js';
+import { getSchemaTemplate } from './src/templates/addResource/index.js';
+import {
+    getListQueryTemplate,
+    getListQueryTemplateTS,
+    getErrorsTemplate,
+    getErrorsTemplateTS,
+    getLoggerTemplate,
+    getLoggerTemplateTS,
+    getHealthTemplate,
+    getHealthTemplateTS,
+    getShutdownTemplate,
+    getShutdownTemplateTS,
+    getPatchTemplate,
+    getPatchTemplateTS
+} from './src/templates/utils/index.js';
 import {
     getControllerTemplate,
     getServiceTemplate,
     getModelTemplate
 } from './src/templates/javascript/index.js';
+import {
+    getGraphqlIndexTemplate,
+    getGraphqlIndexTemplateTS,
+    getGraphqlUtilsTemplate,
+    getGraphqlUtilsTemplateTS,
+    getGraphqlResourceTemplate,
+    getGraphqlResourceTemplateTS
+} from './src/templates/graphql/index.js';
 import {
     getPackageJsonTemplate,
     getNextStepsText,
     getDatabaseDisplayName
 } from './src/templates/packageJson/index.js';
+import {
+    getMigrationFileName,
+    getCreateTableMigrationTemplate,
+    getMigrateScriptTemplate
+} from './src/templates/migrations/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -76,7 +130,7 @@ function normalizeLanguageFlag(value) {
 }
 
 /**
- * Normalize a --db/--database value to 'mongodb', 'mysql' or 'memory'.
+ * Normalize a --db/--database value to 'mongodb', 'mysql', 'postgres', 'sqlite' or 'memory'.
  * @param {string} value
  * @returns {string|null} Normalized value, or null if not recognized
  */
@@ -84,36 +138,27 @@ function normalizeDatabaseFlag(value) {
     const normalized = String(value).trim().toLowerCase();
     if (['mongodb', 'mongo'].includes(normalized)) return 'mongodb';
     if (normalized === 'mysql') return 'mysql';
+    if (['postgres', 'postgresql', 'pg'].includes(normalized)) return 'postgres';
+    if (['sqlite', 'sqlite3'].includes(normalized)) return 'sqlite';
     if (['memory', 'in-memory', 'none'].includes(normalized)) return 'memory';
     return null;
 }
 
-// Parse command line arguments: the first non-flag argument is the project
-// name; --lang/--language and --db/--database let CI pipelines and other
+// Parse command line arguments: lazy-crud new [project-name] [--lang=<language>] [--db=<database>] [--graphql] [--soft-delete].
+// --lang/--language and --db/--database let CI pipelines and other
 // non-interactive/piped-stdin usages skip the prompts entirely.
-const rawArgs = process.argv.slice(2);
-const positionalArgs = [];
-let langFlagRaw = null;
-let dbFlagRaw = null;
-
-for (const arg of rawArgs) {
-    const flagMatch = arg.match(/^--(lang|language|db|database)(?:=(.*))?$/);
-    if (!flagMatch) {
-        positionalArgs.push(arg);
-        continue;
-    }
-
-    const [, flagName, flagValue] = flagMatch;
-    if (flagValue === undefined) {
-        console.error(`❌ Error: Missing value for --${flagName}. Use --${flagName}=<value>.`);
-        process.exit(1);
-    }
-
-    if (flagName === 'lang' || flagName === 'language') {
-        langFlagRaw = flagValue;
-    } else {
-        dbFlagRaw = flagValue;
-    }
+// --graphql also serves the Item resource at /graphql (src/graphql).
+// --soft-delete gives the Item resource a trash, like add-crud --soft-delete.
+// --dry-run prints the files as a diff (or JSON with --json) without writing them.
+const { positionals: positionalArgs, options } = parseCommandLine('new');
+const langFlagRaw = options.lang ?? null;
+const dbFlagRaw = options.db ?? null;
+const graphql = Boolean(options.graphql);
+const softDelete = Boolean(options['soft-delete']);
+const jsonOutput = Boolean(options.json);
+
+if (options['dry-run']) {
+    enableDryRun();
 }
 
 let cliLanguage = null;
@@ -129,7 +174,7 @@ let cliDatabase = null;
 if (dbFlagRaw !== null) {
     cliDatabase = normalizeDatabaseFlag(dbFlagRaw);
     if (!cliDatabase) {
-        console.error(`❌ Error: Invalid --db value "${dbFlagRaw}". Expected "mongodb", "mysql" or "memory".`);
+        console.error(`❌ Error: Invalid --db value "${dbFlagRaw}". Expected "mongodb", "mysql", "postgres", "sqlite" or "memory".`);
         process.exit(1);
     }
 }
@@ -160,6 +205,22 @@ if (fs.existsSync(projectPath)) {
     process.exit(1);
 }
 
+// House-style templates from .lazycrud/templates and lazy-crud-plugin-* packages
+// installed in the directory lazy-crud runs in
+try {
+    const templateOverrides = await loadTemplateOverrides(process.cwd());
+    if (templateOverrides.length > 0) {
+        console.log(`🎨 Using template overrides: ${templateOverrides.map(({ layer, name }) => `${layer}/${name}`).join(', ')}`);
+    }
+    const plugins = await loadPlugins(process.cwd());
+    if (plugins.length > 0) {
+        console.log(`🧩 Using plugins: ${plugins.map(({ name }) => name).join(', ')}`);
+    }
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+
 // Main async function
 async function createProject() {
     // Reuse a single readline interface across every prompt in this
@@ -170,7 +231,7 @@ async function createProject() {
     let rl = null;
     const getPromptInterface = () => {
         if (!rl) {
-            rl = createPromptInterface();
+            rl = createPromptInterface(isDryRun() ? process.stderr : process.stdout);
         }
         return rl;
     };
@@ -194,7 +255,10 @@ async function createProject() {
     
     console.log(`\n🚀 Creating Express CRUD project: ${projectName}`);
     console.log(`💻 Language: ${isTypeScript ? 'TypeScript' : 'JavaScript'}`);
-    console.log(`📊 Database: ${dbChoice === 'mongodb' ? 'MongoDB' : dbChoice === 'mysql' ? 'MySQL' : 'In-Memory'}`);
+    console.log(`📊 Database: ${dbChoice === 'mongodb' ? 'MongoDB' : dbChoice === 'mysql' ? 'MySQL' : dbChoice === 'postgres' ? 'PostgreSQL' : dbChoice === 'sqlite' ? 'SQLite' : 'In-Memory'}`);
+
+// MySQL and PostgreSQL tables are created by versioned migrations (npm run migrate)
+const usesMigrations = dbChoice === 'mysql' || dbChoice === 'postgres';
 
 // Create directory structure
 const directories = [
@@ -205,15 +269,19 @@ const directories = [
     path.join(projectPath, 'src', 'services'),
     path.join(projectPath, 'src', 'models'),
     path.join(projectPath, 'src', 'middlewares'),
+    path.join(projectPath, 'src', 'schemas'),
     path.join(projectPath, 'src', 'config'),
+    path.join(projectPath, 'src', 'utils'),
     path.join(projectPath, 'tests'),
-    ...(isTypeScript ? [path.join(projectPath, 'src', 'types')] : [])
+    ...(isTypeScript ? [path.join(projectPath, 'src', 'types')] : []),
+    ...(graphql ? [path.join(projectPath, 'src', 'graphql')] : []),
+    ...(usesMigrations ? [path.join(projectPath, 'migrations'), path.join(projectPath, 'scripts')] : [])
 ];
 
 directories.forEach(dir => {
     if (!fs.existsSync(dir)) {
         try {
-            fs.mkdirSync(dir, { recursive: true });
+            ensureDirectory(dir);
             console.log(`✅ Created directory: ${path.relative(process.cwd(), dir)}`);
         } catch (error) {
             console.error(`❌ Error creating directory ${dir}: ${sanitizeError(error)}`);
@@ -222,42 +290,74 @@ directories.forEach(dir => {
     }
 });
 
+// Options of the Item resource (the same as add-crud's)
+const itemOptions = { softDelete };
+
 // Generate package.json
-const packageJson = getPackageJsonTemplate(projectName, dbChoice, isTypeScript);
+const packageJson = getPackageJsonTemplate(projectName, dbChoice, isTypeScript, { graphql });
 
 // Write all files
 const files = [
     { path: path.join(projectPath, 'package.json'), content: JSON.stringify(packageJson, null, 2) },
     { path: path.join(projectPath, `src/server.${ext}`), content: isTypeScript ? getServerTemplateTS('Item', dbChoice, projectName) : getServerTemplate('Item', dbChoice) },
-    { path: path.join(projectPath, `src/routes/itemRoutes.${ext}`), content: isTypeScript ? getRoutesTemplateTS('Item') : getRoutesTemplate('Item') },
-    { path: path.join(projectPath, `src/controllers/itemController.${ext}`), content: isTypeScript ? getControllerTemplateTS('Item', dbChoice) : getControllerTemplate('Item', dbChoice) },
-    { path: path.join(projectPath, `src/services/itemService.${ext}`), content: isTypeScript ? getServiceTemplateTS('Item', dbChoice) : getServiceTemplate('Item', dbChoice) },
-    { path: path.join(projectPath, `src/models/Item.${ext}`), content: isTypeScript ? getModelTemplateTS('Item', dbChoice) : getModelTemplate('Item', dbChoice) },
+    { path: path.join(projectPath, `src/app.${ext}`), content: addPluginMiddleware(isTypeScript ? getAppTemplateTS('Item', dbChoice, { graphql, softDelete }) : getAppTemplate('Item', dbChoice, { graphql, softDelete }), { database: dbChoice, isTypeScript }) },
+    { path: path.join(projectPath, `src/config/env.${ext}`), content: isTypeScript ? getEnvConfigTemplateTS(dbChoice) : getEnvConfigTemplate(dbChoice) },
+    { path: path.join(projectPath, `src/routes/itemRoutes.${ext}`), content: isTypeScript ? getRoutesTemplateTS('Item', itemOptions) : getRoutesTemplate('Item', itemOptions) },
+    { path: path.join(projectPath, `src/controllers/itemController.${ext}`), content: isTypeScript ? getControllerTemplateTS('Item', dbChoice, itemOptions) : getControllerTemplate('Item', dbChoice, itemOptions) },
+    { path: path.join(projectPath, `src/services/itemService.${ext}`), content: isTypeScript ? getServiceTemplateTS('Item', dbChoice, itemOptions) : getServiceTemplate('Item', dbChoice, itemOptions) },
+    { path: path.join(projectPath, `src/models/Item.${ext}`), content: isTypeScript ? getModelTemplateTS('Item', dbChoice, itemOptions) : getModelTemplate('Item', dbChoice, itemOptions) },
+    { path: path.join(projectPath, `src/schemas/itemSchema.${ext}`), content: getSchemaTemplate('Item', isTypeScript, getDefaultItemFields()) },
     { path: path.join(projectPath, `src/middlewares/security.${ext}`), content: isTypeScript ? getSecurityMiddlewareTemplateTS() : getSecurityMiddlewareTemplate() },
     { path: path.join(projectPath, `src/middlewares/cors.${ext}`), content: isTypeScript ? getCorsMiddlewareTemplateTS() : getCorsMiddlewareTemplate() },
     { path: path.join(projectPath, `src/middlewares/errorHandler.${ext}`), content: isTypeScript ? getErrorHandlerTemplateTS() : getErrorHandlerTemplate() },
+    { path: path.join(projectPath, `src/middlewares/validate.${ext}`), content: isTypeScript ? getValidateMiddlewareTemplateTS() : getValidateMiddlewareTemplate() },
+    { path: path.join(projectPath, `src/middlewares/requestLogger.${ext}`), content: isTypeScript ? getRequestLoggerTemplateTS() : getRequestLoggerTemplate() },
+    { path: path.join(projectPath, `src/utils/listQuery.${ext}`), content: isTypeScript ? getListQueryTemplateTS(dbChoice) : getListQueryTemplate(dbChoice) },
+    { path: path.join(projectPath, `src/utils/errors.${ext}`), content: isTypeScript ? getErrorsTemplateTS() : getErrorsTemplate() },
+    { path: path.join(projectPath, `src/utils/patch.${ext}`), content: isTypeScript ? getPatchTemplateTS() : getPatchTemplate() },
+    { path: path.join(projectPath, `src/utils/logger.${ext}`), content: isTypeScript ? getLoggerTemplateTS() : getLoggerTemplate() },
+    { path: path.join(projectPath, `src/utils/health.${ext}`), content: isTypeScript ? getHealthTemplateTS(dbChoice) : getHealthTemplate(dbChoice) },
+    { path: path.join(projectPath, `src/utils/shutdown.${ext}`), content: isTypeScript ? getShutdownTemplateTS(dbChoice) : getShutdownTemplate(dbChoice) },
     { path: path.join(projectPath, '.env'), content: getEnvTemplate(dbChoice, projectName) },
-    { path: path.join(projectPath, '.gitignore'), content: isTypeScript ? getGitignoreTemplate() + 'dist/\n' : getGitignoreTemplate() },
-    { path: path.join(projectPath, 'README.md'), content: getReadmeTemplate(dbChoice, projectName) }
+    { path: path.join(projectPath, '.gitignore'), content: isTypeScript ? getGitignoreTemplate(dbChoice) + 'dist/\n' : getGitignoreTemplate(dbChoice) },
+    { path: path.join(projectPath, 'README.md'), content: getReadmeTemplate(dbChoice, projectName, { graphql }) },
+    { path: path.join(projectPath, CONFIG_FILE_NAME), content: `${JSON.stringify(createConfig({ language: langChoice, database: dbChoice, resources: ['Item'] }), null, 2)}\n` }
 ];
 
 // Add TypeScript specific files
 if (isTypeScript) {
     files.push(
         { path: path.join(projectPath, 'tsconfig.json'), content: getTsConfigTemplate() },
-        { path: path.join(projectPath, `src/types/Item.types.${ext}`), content: getItemTypesTemplate(dbChoice) },
+        { path: path.join(projectPath, `src/types/Item.types.${ext}`), content: getItemTypesTemplate(dbChoice, itemOptions) },
         { path: path.join(projectPath, `src/types/index.${ext}`), content: getCommonTypesTemplate() }
     );
 }
 
-// Add database config file if using MongoDB or MySQL
-if (dbChoice === 'mongodb' || dbChoice === 'mysql') {
+// GraphQL endpoint for the Item resource
+if (graphql) {
+    files.push(
+        { path: path.join(projectPath, `src/graphql/index.${ext}`), content: isTypeScript ? getGraphqlIndexTemplateTS(['Item']) : getGraphqlIndexTemplate(['Item']) },
+        { path: path.join(projectPath, `src/graphql/utils.${ext}`), content: isTypeScript ? getGraphqlUtilsTemplateTS() : getGraphqlUtilsTemplate() },
+        { path: path.join(projectPath, `src/graphql/itemGraphql.${ext}`), content: isTypeScript ? getGraphqlResourceTemplateTS('Item', dbChoice, getDefaultItemFields(), itemOptions) : getGraphqlResourceTemplate('Item', dbChoice, getDefaultItemFields(), itemOptions) }
+    );
+}
+
+// Add database config file if using a database
+if (dbChoice !== 'memory') {
     files.push({
         path: path.join(projectPath, `src/config/database.${ext}`),
         content: isTypeScript ? getDatabaseConfigTemplateTS(dbChoice, projectName) : getDatabaseConfigTemplate(dbChoice)
     });
 }
 
+// Add the first migration and the migration runner
+if (usesMigrations) {
+    files.push(
+        { path: path.join(projectPath, 'migrations', getMigrationFileName(1, 'Item')), content: getCreateTableMigrationTemplate('Item', getDefaultItemFields(), dbChoice, itemOptions) },
+        { path: path.join(projectPath, 'scripts', 'migrate.js'), content: getMigrateScriptTemplate(dbChoice, isTypeScript) }
+    );
+}
+
 // Add Jest configuration file
 files.push({
     path: path.join(projectPath, 'jest.config.js'),
@@ -268,22 +368,27 @@ files.push({
 const testFileName = `Item.test.${isTypeScript ? 'ts' : 'js'}`;
 let testContent;
 if (isTypeScript) {
-    testContent = dbChoice === 'mongodb' ? getTestTemplateMongoTS('Item') :
-                  dbChoice === 'mysql' ? getTestTemplateMySQLTS('Item') :
-                  getTestTemplateMemoryTS('Item');
+    testContent = dbChoice === 'mongodb' ? getTestTemplateMongoTS('Item', null, itemOptions) :
+                  dbChoice === 'mysql' ? getTestTemplateMySQLTS('Item', null, itemOptions) :
+                  dbChoice === 'postgres' ? getTestTemplatePostgresTS('Item', getDefaultItemFields(), itemOptions) :
+                  dbChoice === 'sqlite' ? getTestTemplateSQLiteTS('Item', getDefaultItemFields(), itemOptions) :
+                  getTestTemplateMemoryTS('Item', null, itemOptions);
 } else {
-    testContent = dbChoice === 'mongodb' ? getTestTemplateMongoJS('Item') :
-                  dbChoice === 'mysql' ? getTestTemplateMySQLJS('Item') :
-                  getTestTemplateMemoryJS('Item');
+    testContent = dbChoice === 'mongodb' ? getTestTemplateMongoJS('Item', null, itemOptions) :
+                  dbChoice === 'mysql' ? getTestTemplateMySQLJS('Item', null, itemOptions) :
+                  dbChoice === 'postgres' ? getTestTemplatePostgresJS('Item', getDefaultItemFields(), itemOptions) :
+                  dbChoice === 'sqlite' ? getTestTemplateSQLiteJS('Item', getDefaultItemFields(), itemOptions) :
+                  getTestTemplateMemoryJS('Item', null, itemOptions);
 }
 files.push({
     path: path.join(projectPath, 'tests', testFileName),
     content: testContent
 });
 
+const writtenFiles = [];
 files.forEach(file => {
     try {
-        fs.writeFileSync(file.path, file.content);
+        writtenFiles.push({ path: file.path, content: writeFile(file.path, file.content) });
         console.log(`✅ Created file: ${path.relative(process.cwd(), file.path)}`);
     } catch (error) {
         console.error(`❌ Error creating file ${file.path}: ${sanitizeError(error)}`);
@@ -291,6 +396,17 @@ files.forEach(file => {
     }
 });
 
+// Record the Item resource files as written (after plugin transforms) so remove-crud
+// can detect later edits, and its fields
+const itemFilePaths = getResourceFilePaths('Item', ext);
+recordGeneratedFiles(projectPath, 'Item', writtenFiles.filter(file =>
+    itemFilePaths.includes(path.relative(projectPath, file.path).split(path.sep).join('/'))), getDefaultItemFields());
+
+if (isDryRun()) {
+    printPlannedChanges({ json: jsonOutput });
+    return;
+}
+
 const nextSteps = getNextStepsText(projectName, dbChoice);
 
 console.log(`
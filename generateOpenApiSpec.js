@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import {
+    validatePath,
+    isPathInProject,
+    readPackageJson,
+    validateProjectName,
+    getProjectConfig,
+    getAppFilePath,
+    sanitizeError,
+    findRouteResources,
+    getRecordedFields,
+    parseRouteAccess,
+    readFileSafe,
+    updateServerWithSwaggerUi,
+    toYaml,
+    writeFile,
+    enableDryRun,
+    isDryRun,
+    printPlannedChanges,
+    parseCommandLine
+} from './src/utils/index.js';
+import {
+    getResourceSchemas,
+    getResourcePaths,
+    getAuthPaths,
+    getHealthCheckPath,
+    getOpenApiDocument
+} from './src/templates/openapi/index.js';
+
+// Parse command line arguments: --format=json|yaml picks the output file,
+// --swagger-ui also mounts Swagger UI at /docs in the app file,
+// --dry-run prints the changes as a diff (or JSON with --json) without writing them
+const { options } = parseCommandLine('openapi');
+const mountSwaggerUi = Boolean(options['swagger-ui']);
+const jsonOutput = Boolean(options.json);
+
+let format = 'json';
+if (options.format !== undefined) {
+    format = options.format.trim().toLowerCase() === 'yml' ? 'yaml' : options.format.trim().toLowerCase();
+    if (format !== 'json' && format !== 'yaml') {
+        console.error(`❌ Error: Invalid --format value "${options.format}". Expected "json" or "yaml".`);
+        process.exit(1);
+    }
+}
+
+if (options['dry-run']) {
+    enableDryRun();
+}
+
+// Check if we're in an Express CRUD project
+const currentDir = validatePath(process.cwd());
+const routesDir = path.join(currentDir, 'src', 'routes');
+const packageJsonPath = path.join(currentDir, 'package.json');
+
+if (!isPathInProject(routesDir, currentDir) || !isPathInProject(packageJsonPath, currentDir)) {
+    console.error('❌ Error: Security violation - paths outside project directory');
+    process.exit(1);
+}
+
+if (!fs.existsSync(routesDir) || !fs.existsSync(packageJsonPath)) {
+    console.error('❌ Error: Not in an Express CRUD project directory');
+    console.error('Please run this command from the root of your Express CRUD project');
+    process.exit(1);
+}
+
+console.log('🚀 Generating OpenAPI specification...\n');
+
+const packageJson = readPackageJson(currentDir);
+let projectName = 'Express CRUD API';
+try {
+    projectName = packageJson.name || 'express-crud-api';
+    validateProjectName(projectName);
+} catch (error) {
+    console.warn(`⚠️  Invalid project name, using default: ${error.message}`);
+    projectName = 'Express CRUD API';
+}
+
+// lazycrud.config.json, or detected from package.json for older projects
+let projectConfig;
+try {
+    projectConfig = getProjectConfig(currentDir);
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+const { database: dbChoice, extension: ext, isTypeScript, apiPrefix } = projectConfig;
+
+let routeResources;
+try {
+    routeResources = findRouteResources(currentDir);
+} catch (error) {
+    console.error('❌ Error reading routes directory:', error.message);
+    process.exit(1);
+}
+
+if (routeResources.length === 0) {
+    console.error('❌ No route files found in src/routes/');
+    process.exit(1);
+}
+
+console.log(`Found ${routeResources.length} route file(s):`);
+
+// Schemas come from the fields add-crud recorded in .lazycrud-manifest.json
+let paths = {};
+let schemas = {};
+let hasAuth = false;
+
+for (const { file, baseName, resourceName, routePath, isAuth } of routeResources) {
+    if (isAuth) {
+        console.log(`  ✅ Auth (${apiPrefix}/auth)`);
+        paths = { ...paths, ...getAuthPaths(apiPrefix) };
+        hasAuth = true;
+        continue;
+    }
+
+    const servicePath = path.join(currentDir, 'src', 'services', `${baseName.toLowerCase()}Service.${ext}`);
+    let serviceSource = '';
+    try {
+        serviceSource = readFileSafe(servicePath, currentDir) || '';
+    } catch (error) {
+        console.warn(`  ⚠️  Could not read ${path.basename(servicePath)}: ${error.message}`);
+    }
+    let recorded = null;
+    try {
+        recorded = getRecordedFields(currentDir, baseName);
+    } catch (error) {
+        console.warn(`  ⚠️  Could not read the fields of ${resourceName}: ${error.message}`);
+    }
+
+    // Routes protected with add-crud --protect need a bearer token;
+    // add-crud --soft-delete adds the trash and restore routes;
+    // add-crud --bulk adds the /bulk routes (the service holds the largest batch);
+    // routes using validate() answer invalid bodies with 422;
+    // PATCH /:id takes merge patches and JSON Patches, and add-crud --etag versions the records
+    let access = null;
+    let softDelete = false;
+    let bulk = null;
+    let validation = false;
+    let patch = false;
+    const etag = serviceSource.includes("from '../utils/etag.js'");
+    try {
+        const routesSource = readFileSafe(path.join(routesDir, file), currentDir);
+        access = parseRouteAccess(routesSource);
+        softDelete = routesSource.includes("router.post('/:id/restore',");
+        validation = routesSource.includes("from '../middlewares/validate.js'");
+        patch = routesSource.includes("router.patch('/:id',");
+        if (routesSource.includes("router.post('/bulk',")) {
+            const maxItems = (serviceSource.match(/const BULK_MAX_ITEMS = (\d+);/) || [])[1];
+            bulk = { maxItems: maxItems ? Number(maxItems) : null };
+        }
+    } catch (error) {
+        console.warn(`  ⚠️  Could not read ${file}: ${error.message}`);
+    }
+    hasAuth = hasAuth || Boolean(access);
+
+    // The manifest holds the resource's real casing (e.g. OrderItem for orderitemRoutes);
+    // resources generated by older versions get a generic schema
+    const name = recorded ? recorded.resourceName : resourceName;
+    const fields = recorded ? recorded.fields : null;
+    console.log(`  ✅ ${name} (${apiPrefix}/${routePath})${fields ? '' : ' - fields unknown, using a generic schema'}${access ? ' - protected' : ''}`);
+
+    paths = { ...paths, ...getResourcePaths(name, routePath, fields, dbChoice, access, apiPrefix, { softDelete, bulk, validation, patch, etag }) };
+    schemas = { ...schemas, ...getResourceSchemas(name, fields, dbChoice) };
+}
+
+// Projects with src/utils/health also serve the liveness/readiness probes
+paths = { ...paths, ...getHealthCheckPath({ probes: fs.existsSync(path.join(currentDir, 'src', 'utils', `health.${ext}`)) }) };
+
+// Projects with the AppError errorHandler answer errors with application/problem+json
+let problemDetails = false;
+try {
+    const errorHandlerPath = path.join(currentDir, 'src', 'middlewares', `errorHandler.${ext}`);
+    problemDetails = fs.existsSync(errorHandlerPath)
+        && readFileSafe(errorHandlerPath, currentDir).includes('application/problem+json');
+} catch (error) {
+    console.warn(`  ⚠️  Could not read errorHandler.${ext}: ${error.message}`);
+}
+
+const document = getOpenApiDocument({
+    title: projectName,
+    version: packageJson.version || '1.0.0',
+    paths,
+    schemas,
+    hasAuth,
+    problemDetails
+});
+
+// Swagger UI serves openapi.json, so it is written whenever the UI is mounted
+const outputs = format === 'yaml' ? ['openapi.yaml'] : ['openapi.json'];
+if (mountSwaggerUi && format === 'yaml') {
+    outputs.push('openapi.json');
+}
+
+try {
+    for (const fileName of outputs) {
+        const outputPath = path.join(currentDir, fileName);
+
+        // Security: Verify output path is within project
+        if (!isPathInProject(outputPath, currentDir)) {
+            console.error('❌ Error: Invalid output path');
+            process.exit(1);
+        }
+
+        if (fs.existsSync(outputPath)) {
+            console.log(`⚠️  ${fileName} already exists, overwriting...`);
+        }
+
+        const content = fileName.endsWith('.yaml') ? toYaml(document) : `${JSON.stringify(document, null, 2)}\n`;
+
+        // Security: Limit output size (sanity check)
+        if (content.length > 10 * 1024 * 1024) {
+            console.error('❌ Error: Generated specification is too large');
+            process.exit(1);
+        }
+
+        writeFile(outputPath, content, { mode: 0o644 });
+    }
+} catch (error) {
+    console.error(`❌ Error writing specification: ${error.message}`);
+    process.exit(1);
+}
+
+let addedDependencies = false;
+if (mountSwaggerUi) {
+    const appFile = getAppFilePath(currentDir, ext);
+    try {
+        if (updateServerWithSwaggerUi(path.join(currentDir, appFile))) {
+            console.log(`\n✅ Mounted Swagger UI at /docs in ${appFile}`);
+        } else {
+            console.log(`\nℹ️  Swagger UI is already mounted (or ${appFile} could not be updated)`);
+        }
+
+        packageJson.dependencies = packageJson.dependencies || {};
+        if (!packageJson.dependencies['swagger-ui-express']) {
+            packageJson.dependencies['swagger-ui-express'] = '^5.0.1';
+            addedDependencies = true;
+        }
+        if (isTypeScript) {
+            packageJson.devDependencies = packageJson.devDependencies || {};
+            if (!packageJson.devDependencies['@types/swagger-ui-express']) {
+                packageJson.devDependencies['@types/swagger-ui-express'] = '^4.1.6';
+                addedDependencies = true;
+            }
+        }
+        if (addedDependencies) {
+            writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+        }
+    } catch (error) {
+        console.error(`❌ Error mounting Swagger UI: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (isDryRun()) {
+    printPlannedChanges({ json: jsonOutput });
+    process.exit(0);
+}
+
+console.log(`\n✨ OpenAPI specification generated successfully!`);
+console.log(`📁 File${outputs.length > 1 ? 's' : ''}: ${outputs.join(', ')}`);
+console.log(`\n📝 Next steps:`);
+if (addedDependencies) {
+    console.log(`   npm install`);
+}
+if (mountSwaggerUi) {
+    console.log(`   npm run dev, then open http://localhost:3000/docs`);
+}
+console.log(`   Re-run gen-openapi after adding or changing resources`);
@@ -9,7 +9,14 @@ import {
     isPathInProject,
     readPackageJson,
     validateProjectName,
-    fileExists
+    findRouteResources,
+    getProjectConfig,
+    sanitizeError,
+    writeFile,
+    enableDryRun,
+    isDryRun,
+    printPlannedChanges,
+    parseCommandLine
 } from './src/utils/index.js';
 import {
     getResourceCollectionItem,
@@ -21,6 +28,13 @@ import {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// --dry-run prints the changes as a diff (or JSON with --json) without writing them
+const { options } = parseCommandLine('postman');
+const jsonOutput = Boolean(options.json);
+if (options['dry-run']) {
+    enableDryRun();
+}
+
 // Check if we're in an Express CRUD project
 const currentDir = validatePath(process.cwd());
 const srcDir = path.join(currentDir, 'src');
@@ -58,87 +72,53 @@ let projectName = 'Express CRUD API';
 
 if (packageJson) {
     try {
-        projectName = validateProjectName(packageJson.name || 'express-crud-api');
+        projectName = packageJson.name || 'express-crud-api';
+        validateProjectName(projectName);
     } catch (error) {
         console.warn(`⚠️  Invalid project name, using default: ${error.message}`);
         projectName = 'Express CRUD API';
     }
 }
 
+// Resources are mounted under the project's API prefix (lazycrud.config.json, default /api)
+let apiPrefix;
+let ext;
+try {
+    ({ apiPrefix, extension: ext } = getProjectConfig(currentDir));
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+
 // Scan routes directory with security checks
-let routeFiles;
+let routeResources;
 try {
-    const files = fs.readdirSync(routesDir);
-    
-    // Validate each file
-    routeFiles = files.filter(file => {
-        // Security: Check for valid filename pattern (support both .js and .ts)
-        const validPattern = /^[a-zA-Z0-9_-]+Routes\.(js|ts)$/;
-        if (!validPattern.test(file)) {
-            return false;
-        }
-        
-        // Verify it's actually a file and within routes directory
-        const filePath = path.join(routesDir, file);
-        if (!isPathInProject(filePath, currentDir)) {
-            return false;
-        }
-        
-        try {
-            const stats = fs.statSync(filePath);
-            return stats.isFile();
-        } catch {
-            return false;
-        }
-    });
+    routeResources = findRouteResources(currentDir);
 } catch (error) {
     console.error('❌ Error reading routes directory:', error.message);
     process.exit(1);
 }
 
-if (routeFiles.length === 0) {
+if (routeResources.length === 0) {
     console.error('❌ No route files found in src/routes/');
     process.exit(1);
 }
 
-console.log(`Found ${routeFiles.length} route file(s):`);
+console.log(`Found ${routeResources.length} route file(s):`);
 
 // Generate collection items
-const collectionItems = [];
-
-routeFiles.forEach(file => {
-    // Security: Sanitize the base name (support both .js and .ts)
-    const baseName = file.replace(/Routes\.(js|ts)$/, '').replace(/[^a-zA-Z0-9_-]/g, '');
-    
-    // Validate length
-    if (baseName.length === 0 || baseName.length > 100) {
-        console.log(`  ⚠️  Skipping invalid file: ${file}`);
-        return;
-    }
-    
-    const resourceName = baseName.charAt(0).toUpperCase() + baseName.slice(1);
-
-    // The "auth" routes file is a special case: it's mounted at '/api/auth'
-    // (not pluralized) and exposes register/login/me instead of generic CRUD
-    // endpoints. Treating it like a regular resource produced a wrong path
-    // ('/api/auths') and incorrect CRUD operations in the generated collection.
-    if (baseName.toLowerCase() === 'auth') {
-        console.log(`  ✅ Auth (/api/auth)`);
-        collectionItems.push(getAuthCollectionItem());
-        return;
+const collectionItems = routeResources.map(({ resourceName, routePath, isAuth }) => {
+    if (isAuth) {
+        console.log(`  ✅ Auth (${apiPrefix}/auth)`);
+        return getAuthCollectionItem(apiPrefix);
     }
 
-    const routePath = baseName.toLowerCase() + 's';
-
-    console.log(`  ✅ ${resourceName} (/${routePath})`);
-
-    const resourceItem = getResourceCollectionItem(resourceName);
-
-    collectionItems.push(resourceItem);
+    console.log(`  ✅ ${resourceName} (${apiPrefix}/${routePath})`);
+    return getResourceCollectionItem(resourceName, apiPrefix);
 });
 
-// Add health check
-collectionItems.push(getHealthCheckItem());
+// Add health check (and the liveness/readiness probes of projects that have src/utils/health)
+collectionItems.push(getHealthCheckItem({ probes: fs.existsSync(path.join(srcDir, 'utils', `health.${ext}`)) }));
 
 // Create collection object
 const collection = getPostmanCollection(projectName, collectionItems);
@@ -166,7 +146,11 @@ try {
         process.exit(1);
     }
     
-    fs.writeFileSync(outputPath, collectionString, { mode: 0o644 }); // Read-write for owner, read for others
+    writeFile(outputPath, collectionString, { mode: 0o644 }); // Read-write for owner, read for others
+    if (isDryRun()) {
+        printPlannedChanges({ json: jsonOutput });
+        process.exit(0);
+    }
     console.log(`\n✨ Postman Collection generated successfully!`);
     console.log(`📁 File: postman-collection.json`);
     console.log(`\n📝 Import to Postman:`);
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname } from 'path';
+import {
+    sanitizeError,
+    CLI_COMMANDS,
+    getCliCommand,
+    getToolVersion,
+    findClosestName,
+    parseArgs,
+    validateProjectName,
+    formatGeneralHelp,
+    loadPlugins,
+    getPluginCommands
+} from './src/utils/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Run a command's script in this process, as if it had been started with the given arguments
+ * @param {string} script - Script file in the package root
+ * @param {Array<string>} args - Arguments for the script
+ */
+async function runScript(script, args) {
+    const scriptPath = path.join(__dirname, script);
+    process.argv = [process.argv[0], scriptPath, ...args];
+    await import(pathToFileURL(scriptPath).href);
+}
+
+/**
+ * Load the plugins of the current directory for their commands
+ * @returns {Promise<Array<object>>} Commands registered by plugins
+ */
+async function loadPluginCommands() {
+    try {
+        await loadPlugins(process.cwd());
+    } catch (error) {
+        console.error('❌ Error:', sanitizeError(error));
+        process.exit(1);
+    }
+    return getPluginCommands();
+}
+
+/**
+ * Print the help of a plugin command
+ * @param {object} command - Entry of getPluginCommands()
+ */
+function printPluginCommandHelp(command) {
+    console.log(`lazy-crud ${command.name}${command.description ? ` - ${command.description}` : ''}`);
+    console.log(`\nUsage: lazy-crud ${command.usage || command.name} [--dry-run [--json]]`);
+    console.log(`Provided by ${command.pluginName}`);
+}
+
+/**
+ * Whether "lazy-crud <name> [args...]" can be the "lazy-crud <project-name>" shortcut:
+ * the name is a valid project name and "new" accepts the other arguments
+ * @param {string} name - First argument
+ * @param {Array<string>} args - Arguments after it
+ * @returns {boolean} True when the arguments can create a project
+ */
+function isProjectShortcut(name, args) {
+    try {
+        validateProjectName(name);
+        parseArgs([name, ...args], getCliCommand('new'));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// lazy-crud <command> [args...]; "lazy-crud <project-name>" is kept as a shortcut for "new"
+// (names of commands run the command: "lazy-crud new auth" creates a project named auth)
+const [first, ...rest] = process.argv.slice(2);
+
+if (first === undefined || first === '--help' || first === '-h') {
+    console.log(formatGeneralHelp(await loadPluginCommands()));
+    process.exit(0);
+}
+if (first === '--version' || first === '-v') {
+    console.log(getToolVersion());
+    process.exit(0);
+}
+
+// "lazy-crud help <command>" is the same as "lazy-crud <command> --help"
+const helpRequested = first === 'help';
+const name = helpRequested ? rest[0] : first;
+const args = helpRequested ? ['--help'] : rest;
+
+if (helpRequested && name === undefined) {
+    console.log(formatGeneralHelp(await loadPluginCommands()));
+    process.exit(0);
+}
+
+const command = getCliCommand(name);
+if (command) {
+    await runScript(command.script, args);
+} else if (name.startsWith('-')) {
+    // Options before the project name, e.g. "lazy-crud --db=sqlite my-api"
+    await runScript(getCliCommand('new').script, [name, ...args]);
+} else {
+    const pluginCommands = await loadPluginCommands();
+    const pluginCommand = pluginCommands.find(entry => entry.name === name);
+
+    if (pluginCommand && args.some(arg => arg === '--help' || arg === '-h')) {
+        printPluginCommandHelp(pluginCommand);
+    } else if (pluginCommand) {
+        await runScript(getCliCommand('plugin').script, [name, ...args]);
+    } else {
+        const commandNames = [...CLI_COMMANDS.flatMap(entry => [entry.name, entry.bin]), ...pluginCommands.map(entry => entry.name)];
+        const suggestion = findClosestName(name, commandNames);
+        const wantsHelp = helpRequested || args.some(arg => arg === '--help' || arg === '-h');
+
+        // Valid project names create the project, even when they are close to a command name
+        if (wantsHelp || (suggestion && !isProjectShortcut(name, args))) {
+            console.error(`❌ Error: Unknown command "${name}"${suggestion ? `. Did you mean "${suggestion}"?` : ''}`);
+            if (!helpRequested) {
+                console.error(`To create a project named "${name}", run: lazy-crud new ${name}`);
+            }
+            console.error('Run "lazy-crud --help" for the list of commands.');
+            process.exit(1);
+        }
+
+        await runScript(getCliCommand('new').script, [name, ...args]);
+    }
+}
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import {
+    sanitizeError,
+    validatePath,
+    isPathInProject,
+    validateResourceName,
+    getProjectConfig,
+    getAppFilePath,
+    hasCrudStructure,
+    getResourceFilePaths,
+    getGeneratedFileStatus,
+    forgetResource,
+    updateConfigResources,
+    removeRouteFromServer,
+    removeResourceFromGraphql,
+    readFileSafe,
+    promptConfirm,
+    MANIFEST_FILE_NAME,
+    parseCommandLine,
+    getCliCommand,
+    formatCommandHelp
+} from './src/utils/index.js';
+
+// Parse command line arguments: remove-crud <ResourceName> [--yes] [--force]
+const { positionals, options } = parseCommandLine('remove');
+const resourceName = positionals[0] || null;
+const skipConfirmation = Boolean(options.yes);
+const force = Boolean(options.force);
+
+if (!resourceName) {
+    console.error('❌ Error: Please provide a resource name');
+    console.log(`\n${formatCommandHelp(getCliCommand('remove'))}`);
+    process.exit(1);
+}
+
+try {
+    validateResourceName(resourceName);
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+
+// Check if we're in an Express CRUD project
+const currentDir = validatePath(process.cwd());
+
+if (!hasCrudStructure(currentDir)) {
+    console.error('❌ Error: Not in an Express CRUD project directory');
+    console.error('Please run this command from the root of your Express CRUD project');
+    process.exit(1);
+}
+
+let projectConfig;
+try {
+    projectConfig = getProjectConfig(currentDir);
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+const { database: dbChoice, extension: ext } = projectConfig;
+const resourceLower = resourceName.toLowerCase();
+const resourcePlural = resourceLower + 's';
+// The routes are mounted in src/app (src/server in projects generated before the split)
+const appFile = getAppFilePath(currentDir, ext);
+const serverPath = path.join(currentDir, appFile);
+const relativeFilePaths = getResourceFilePaths(resourceName, ext);
+// Resources generated with --graphql are registered in the GraphQL endpoint
+const graphqlIndexFile = `src/graphql/index.${ext}`;
+const graphqlIndexPath = path.join(currentDir, graphqlIndexFile);
+
+let fileStatus;
+try {
+    fileStatus = getGeneratedFileStatus(currentDir, resourceName, relativeFilePaths);
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+
+const routesVariable = `${resourceLower}Routes`;
+const serverContent = readFileSafe(serverPath, currentDir) || '';
+const serverReferencesRoutes = serverContent.includes(`./routes/${routesVariable}.js'`);
+const graphqlVariable = `${resourceLower}Graphql`;
+const graphqlReferencesResource = (readFileSafe(graphqlIndexPath, currentDir) || '').includes(`import * as ${graphqlVariable} from`);
+
+if (fileStatus.length === 0 && !serverReferencesRoutes) {
+    console.error(`❌ Error: Resource "${resourceName}" was not found in this project`);
+    process.exit(1);
+}
+
+// Other files that still import the resource (e.g. a model used by another service)
+const removedImportPaths = relativeFilePaths.map(relativePath =>
+    `/${path.posix.basename(relativePath).replace(/\.ts$/, '.js')}'`);
+const referencedBy = [];
+for (const dir of ['src', 'tests']) {
+    const stack = [path.join(currentDir, dir)];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (!fs.existsSync(current)) continue;
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+            const entryPath = path.join(current, entry.name);
+            const relativePath = path.relative(currentDir, entryPath).split(path.sep).join('/');
+            if (entry.isDirectory()) {
+                stack.push(entryPath);
+            } else if (/\.(js|ts)$/.test(entry.name) && entryPath !== serverPath && entryPath !== graphqlIndexPath && !relativeFilePaths.includes(relativePath)) {
+                const content = readFileSafe(entryPath, currentDir) || '';
+                if (removedImportPaths.some(importPath => content.includes(importPath))) {
+                    referencedBy.push(relativePath);
+                }
+            }
+        }
+    }
+}
+
+// Show what will be removed
+const statusLabels = {
+    unchanged: '',
+    modified: ' (modified since generation)',
+    untracked: ` (not recorded in ${MANIFEST_FILE_NAME})`
+};
+
+console.log(`\n🗑️  Removing CRUD resource: ${resourceName}\n`);
+console.log('Files to delete:');
+fileStatus.forEach(file => console.log(`   - ${file.path}${statusLabels[file.status]}`));
+if (fileStatus.length === 0) {
+    console.log('   (none)');
+}
+if (serverReferencesRoutes) {
+    console.log(`\n${appFile}: remove the ${routesVariable} import and app.use() lines`);
+}
+if (graphqlReferencesResource) {
+    console.log(`${graphqlIndexFile}: unregister ${graphqlVariable}`);
+}
+if (referencedBy.length > 0) {
+    console.log(`\n⚠️  Still imported by: ${referencedBy.join(', ')}`);
+}
+
+const changedFiles = fileStatus.filter(file => file.status !== 'unchanged');
+if ((changedFiles.length > 0 || referencedBy.length > 0) && !force) {
+    console.error(`\n❌ Error: ${changedFiles.length > 0
+        ? 'Some files were modified or not generated by add-crud'
+        : `Other files still import ${resourceName}`}. Re-run with --force to remove the resource anyway.`);
+    process.exit(1);
+}
+
+if (!skipConfirmation) {
+    let confirmed = false;
+    try {
+        confirmed = await promptConfirm('\nRemove these files?', false);
+    } catch (error) {
+        console.error('\n❌ Error:', sanitizeError(error));
+        console.error('   Use --yes to remove without confirmation.');
+        process.exit(1);
+    }
+    if (!confirmed) {
+        console.log('Cancelled - nothing was removed.');
+        process.exit(0);
+    }
+}
+
+try {
+    for (const file of fileStatus) {
+        const filePath = path.join(currentDir, file.path);
+        if (!isPathInProject(filePath, currentDir)) {
+            throw new Error('Security: File path is outside project directory');
+        }
+        fs.unlinkSync(filePath);
+        console.log(`✅ Deleted ${file.path}`);
+    }
+
+    const removedLines = removeRouteFromServer(serverPath, resourceName);
+    if (removedLines.length > 0) {
+        console.log(`✅ Updated ${path.basename(appFile)}: removed ${removedLines.length} line${removedLines.length > 1 ? 's' : ''}`);
+    } else if (serverReferencesRoutes) {
+        console.log(`⚠ Could not remove the ${routesVariable} lines from ${path.basename(appFile)} - please remove them manually`);
+    }
+
+    const remainingGraphqlResources = removeResourceFromGraphql(graphqlIndexPath, resourceName);
+    if (remainingGraphqlResources) {
+        console.log(`✅ Updated ${graphqlIndexFile}: unregistered ${graphqlVariable}`);
+        if (remainingGraphqlResources.length === 0) {
+            // A schema needs at least one query, so the endpoint would fail to start
+            console.log(`⚠ No resource is left in the GraphQL endpoint: remove src/graphql and the /graphql lines of ${path.basename(appFile)},`);
+            console.log('  or add a resource with add-crud <ResourceName> --graphql');
+        }
+    }
+
+    forgetResource(currentDir, resourceName);
+    updateConfigResources(currentDir, resourceName, false);
+} catch (error) {
+    console.error(`❌ Error: Failed to remove resource "${resourceName}": ${sanitizeError(error)}`);
+    process.exit(1);
+}
+
+console.log(`\n✨ CRUD resource "${resourceName}" removed.`);
+
+// Data is never dropped automatically
+if (dbChoice === 'mysql' || dbChoice === 'postgres') {
+    console.log(`\n💡 The ${resourcePlural} migration was kept because it may already be applied.`);
+    console.log(`   Add a new migration that drops the ${resourcePlural} table when you no longer need the data.`);
+} else if (dbChoice === 'sqlite') {
+    console.log(`\n💡 The ${resourcePlural} table is still in the SQLite database file.`);
+} else if (dbChoice === 'mongodb') {
+    console.log(`\n💡 The ${resourcePlural} collection is still in MongoDB.`);
+}
+console.log('💡 Re-run gen-postman / gen-openapi to update your API docs.\n');
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+import {
+    sanitizeError,
+    validatePath,
+    loadPlugins,
+    getPluginCommands,
+    enableDryRun,
+    isDryRun,
+    printPlannedChanges,
+    parseCommandLine
+} from './src/utils/index.js';
+
+// Parse command line arguments: run-plugin [<command> [args...]] [--dry-run [--json]]
+// Everything after the command name is passed to the plugin, except the dry-run flags
+const { positionals, options } = parseCommandLine('plugin');
+const [commandName, ...commandArgs] = positionals;
+const jsonOutput = Boolean(options.json);
+
+if (options['dry-run']) {
+    enableDryRun();
+}
+
+const currentDir = validatePath(process.cwd());
+
+let plugins;
+try {
+    plugins = await loadPlugins(currentDir);
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+
+const commands = getPluginCommands();
+
+// Without a command: list the installed plugins and their commands
+if (!commandName) {
+    if (plugins.length === 0) {
+        console.log('\n🧩 No plugins found.');
+        console.log('💡 Install one with: npm install --save-dev lazy-crud-plugin-<name>');
+        process.exit(0);
+    }
+
+    console.log('\n🧩 Plugins:\n');
+    for (const plugin of plugins) {
+        console.log(`${plugin.name}${plugin.version ? ` ${plugin.version}` : ''}`);
+        for (const command of commands.filter(entry => entry.pluginName === plugin.name)) {
+            console.log(`   ${command.usage || command.name}${command.description ? ` - ${command.description}` : ''}`);
+        }
+        console.log('');
+    }
+    console.log('Usage: run-plugin <command> [args...] [--dry-run [--json]]');
+    process.exit(0);
+}
+
+const command = commands.find(entry => entry.name === commandName);
+if (!command) {
+    console.error(`❌ Error: Unknown plugin command "${commandName}"`);
+    if (commands.length > 0) {
+        console.log(`Available commands: ${commands.map(entry => entry.name).join(', ')}`);
+    } else {
+        console.log('No installed plugin registers a command');
+    }
+    process.exit(1);
+}
+
+try {
+    await command.run(commandArgs);
+} catch (error) {
+    console.error('❌ Error:', sanitizeError(error));
+    process.exit(1);
+}
+
+if (isDryRun()) {
+    printPlannedChanges({ json: jsonOutput });
+    process.exit(0);
+}
@@ -13,6 +13,9 @@ export const SECURITY_LIMITS = {
     MIN_PROJECT_NAME_LENGTH: 1,
     MAX_RESOURCE_NAME_LENGTH: 100,
     MIN_RESOURCE_NAME_LENGTH: 1,
+    MAX_FIELD_NAME_LENGTH: 64, // MySQL column name limit
+    MIN_FIELD_NAME_LENGTH: 1,
+    MAX_FIELDS_PER_RESOURCE: 50,
     
     // Rate limiting for generated code
     RATE_LIMIT_WINDOW_MS: 15 * 60 * 1000, // 15 minutes
@@ -45,7 +48,23 @@ export const RESERVED_NAMES = {
         // Node.js globals
         'process', 'global', 'console', 'Buffer', 'module',
         'exports', 'require', '__dirname', '__filename'
-    ]
+    ],
+
+    // Fields managed by the generated models themselves
+    fields: [
+        'id', '_id', '__v', 'createdAt', 'updatedAt',
+        'created_at', 'updated_at', 'constructor', 'prototype'
+    ],
+
+    // Query parameters of the generated list endpoints (GET /?page=2&sort=-price),
+    // a field of the same name could never be filtered on
+    listQuery: ['page', 'limit', 'sort', 'include', 'includeDeleted'],
+
+    // Fields (and their SQL columns) the add-crud options add to the generated models
+    optionFields: {
+        softDelete: { option: '--soft-delete', fields: ['deletedAt', 'deleted_at'] },
+        etag: { option: '--etag', fields: ['version'] }
+    }
 };
 
 /**
@@ -1,15 +1,20 @@
 // Controller templates for adding new resources
 // Supports both JavaScript and TypeScript
-import { generateAllControllerMethods, generateControllerImports } from '../shared/controllerHelpers.js';
+import { generateAllControllerMethods, generateControllerImports, generateControllerUtilImports } from '../shared/index.js';
 
 /**
  * Generate Controller template for a new resource
  * @param {string} resourceName - Resource name (e.g., "User")
  * @param {string} modelFileName - Model file name
  * @param {boolean} isTypeScript - Whether this is a TypeScript project
+ * @param {Array<object>|null} [fields] - Field definitions from the add-crud field DSL
+ *   (reference fields add ?include= support and nested list handlers)
+ * @param {Object} [options] - { softDelete } adds the trash and restore handlers;
+ *   { bulk } adds the bulk handlers (answers built with src/utils/bulk);
+ *   { etag } adds ETag headers and If-Match checks (src/utils/etag)
  * @returns {string} Controller template code
  */
-export function getControllerTemplate(resourceName, modelFileName, isTypeScript) {
+export function getControllerTemplate(resourceName, modelFileName, isTypeScript, fields = null, options = {}) {
     const resourceLower = resourceName.toLowerCase();
     // Note: the actual service file is always named with a lowercase resource
     // prefix (e.g. 'productService.js'), and import specifiers always use '.js'
@@ -22,9 +27,10 @@ export function getControllerTemplate(resourceName, modelFileName, isTypeScript)
     const typeImports = isTypeScript ? generateControllerImports(true) + '\n' : '';
     
     // Generate all CRUD methods using shared helper
-    const methods = generateAllControllerMethods(resourceName, `${resourceLower}Service`, isTypeScript);
+    const methods = generateAllControllerMethods(resourceName, `${resourceLower}Service`, isTypeScript, fields || [], options);
     
     return `${typeImports}import * as ${resourceLower}Service from '../services/${serviceFileName}';
+${generateControllerUtilImports(resourceName, options)}
 
 ${methods}
 `;
@@ -1,6 +1,17 @@
 // Central export point for addResource templates
+// Projects can override them in .lazycrud/templates/addResource (see src/utils/templateUtils.js)
 
-export { getModelTemplate } from './modelTemplates.js';
-export { getControllerTemplate } from './controllerTemplates.js';
-export { getServiceTemplate } from './serviceTemplates.js';
-export { getRoutesTemplate } from './routesTemplates.js';
+import { defineTemplateLayer } from '../../utils/templateUtils.js';
+import * as modelTemplates from './modelTemplates.js';
+import * as controllerTemplates from './controllerTemplates.js';
+import * as serviceTemplates from './serviceTemplates.js';
+import * as routesTemplates from './routesTemplates.js';
+import * as schemaTemplates from './schemaTemplates.js';
+
+export const {
+    getModelTemplate,
+    getControllerTemplate,
+    getServiceTemplate,
+    getRoutesTemplate,
+    getSchemaTemplate
+} = defineTemplateLayer('addResource', modelTemplates, controllerTemplates, serviceTemplates, routesTemplates, schemaTemplates);
@@ -1,7 +1,8 @@
 // Model templates for adding new resources
 // Supports both JavaScript and TypeScript, with MongoDB, MySQL, and In-Memory storage
 
-import { generateModel } from '../shared/modelHelpers.js';
+import { generateModel } from '../shared/index.js';
+import { getDefaultResourceFields } from '../../utils/fieldUtils.js';
 
 /**
  * Generate Model template for a new resource
@@ -9,14 +10,12 @@ import { generateModel } from '../shared/modelHelpers.js';
  * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', or 'memory'
  * @param {string} ext - File extension: 'js' or 'ts'
  * @param {boolean} isTypeScript - Whether this is a TypeScript project
+ * @param {Array<object>|null} fields - Field definitions from the add-crud field DSL
+ *   (defaults to name + description)
+ * @param {Object} [options] - { softDelete } from --soft-delete
  * @returns {string} Model template code
  */
-export function getModelTemplate(resourceName, dbChoice, ext, isTypeScript) {
-    // For addResource, we only use name and description (no price)
-    const fields = [
-        { name: 'name', type: 'String', required: true, trim: true, maxlength: 255, tsType: 'string', displayName: 'Name' },
-        { name: 'description', type: 'String', trim: true, maxlength: 2000, tsType: 'string', default: '' }
-    ];
-    
-    return generateModel(resourceName, dbChoice, isTypeScript, { fields });
+export function getModelTemplate(resourceName, dbChoice, ext, isTypeScript, fields = null, options = {}) {
+    // For addResource, we only use name and description (no price) unless fields were declared
+    return generateModel(resourceName, dbChoice, isTypeScript, { ...options, fields: fields || getDefaultResourceFields() });
 }
@@ -1,4 +1,19 @@
 // Routes template for adding new resources
+import { usesRoles } from '../../utils/accessUtils.js';
+import { getNestedRoutes } from '../../utils/fieldUtils.js';
+
+/**
+ * Build the auth middleware that runs before a route handler
+ * @param {object|null} access - Roles keyed by HTTP method (see parseProtectOptions)
+ * @param {string} method - HTTP method ('get', 'post', 'put', 'delete')
+ * @returns {string} Middleware arguments (with trailing ", ") or ''
+ */
+function getRouteGuards(access, method) {
+    const roles = access && access[method];
+    if (!roles) return '';
+    if (roles.length === 0) return 'verifyToken, ';
+    return `verifyToken, requireRole(${roles.map(role => `'${role}'`).join(', ')}), `;
+}
 
 /**
  * Generate routes template for a new resource
@@ -6,35 +21,72 @@
  * @param {string} ext - File extension ('js' or 'ts'), kept for call-signature
  *   consistency with other addResource templates. Not used for import paths:
  *   those always use '.js' (required by NodeNext module resolution even in TS projects).
- * @returns {string} Routes template code
+ * @param {object|null} [access] - Roles keyed by HTTP method from --protect; routes without a rule stay public
+ * @param {Array<object>|null} [fields] - Field definitions; each reference field gets a nested
+ *   router (e.g. postCommentRoutes, mounted at /api/posts/:postId/comments)
+ * @param {Object} [options] - { softDelete } adds GET /trash and POST /:id/restore,
+ *   guarded like DELETE; { bulk } adds POST, PATCH and DELETE /bulk, guarded like
+ *   POST, PUT and DELETE (items are validated one by one in the service)
+ * @returns {string} Routes template code (POST and PUT bodies go through validate() with
+ *   the create schema of src/schemas/<resource>Schema, after the auth guards; PATCH is
+ *   guarded like PUT and its patch is checked in the service)
  */
-export function getRoutesTemplate(resourceName, ext = 'js') {
+export function getRoutesTemplate(resourceName, ext = 'js', access = null, fields = null, options = {}) {
     const resourceLower = resourceName.toLowerCase();
     const resourcePlural = resourceLower + 's';
     // Note: Import specifiers always use '.js', even in TypeScript projects
     // (Node's NodeNext module resolution requires this - it maps to the compiled output).
     const controllerFileName = `${resourceLower}Controller.js`;
+    const guard = (method) => getRouteGuards(access, method);
+    const authImport = access
+        ? `\nimport { ${usesRoles(access) ? 'verifyToken, requireRole' : 'verifyToken'} } from '../middlewares/authMiddleware.js';`
+        : '';
+    const nestedRoutes = getNestedRoutes(resourceName, fields).map(({ field, variable, mountPath }) => `
+// GET the ${resourcePlural} of a ${field.ref.toLowerCase()} (mounted at ${mountPath})
+export const ${variable} = express.Router({ mergeParams: true });
+${variable}.get('/', ${guard('get')}${resourceLower}Controller.get${resourceName}sBy${field.name.charAt(0).toUpperCase()}${field.name.slice(1)});
+`).join('');
 
     return `import express from 'express';
 import * as ${resourceLower}Controller from '../controllers/${controllerFileName}';
+import { validate } from '../middlewares/validate.js';
+import { create${resourceName}Schema } from '../schemas/${resourceLower}Schema.js';
+import { PATCH_TYPES } from '../utils/patch.js';${authImport}
 
 const router = express.Router();
 
-// GET all ${resourcePlural}
-router.get('/', ${resourceLower}Controller.getAll${resourceName}s);
+// Merge patch and JSON Patch bodies (app.js only parses application/json)
+const parsePatchBody = express.json({ type: PATCH_TYPES });
 
+// GET all ${resourcePlural}
+router.get('/', ${guard('get')}${resourceLower}Controller.getAll${resourceName}s);
+${options.softDelete ? `
+// GET soft-deleted ${resourcePlural} (registered before /:id)
+router.get('/trash', ${guard('delete')}${resourceLower}Controller.getDeleted${resourceName}s);
+` : ''}${options.bulk ? `
+// Bulk create, update and delete (registered before /:id)
+router.post('/bulk', ${guard('post')}${resourceLower}Controller.bulkCreate${resourceName}s);
+router.patch('/bulk', ${guard('put')}${resourceLower}Controller.bulkUpdate${resourceName}s);
+router.delete('/bulk', ${guard('delete')}${resourceLower}Controller.bulkDelete${resourceName}s);
+` : ''}
 // GET ${resourceLower} by id
-router.get('/:id', ${resourceLower}Controller.get${resourceName}ById);
+router.get('/:id', ${guard('get')}${resourceLower}Controller.get${resourceName}ById);
 
 // POST create new ${resourceLower}
-router.post('/', ${resourceLower}Controller.create${resourceName});
+router.post('/', ${guard('post')}validate(create${resourceName}Schema), ${resourceLower}Controller.create${resourceName});
 
-// PUT update ${resourceLower}
-router.put('/:id', ${resourceLower}Controller.update${resourceName});
+// PUT replace ${resourceLower} (the whole ${resourceLower}, like POST)
+router.put('/:id', ${guard('put')}validate(create${resourceName}Schema), ${resourceLower}Controller.replace${resourceName});
 
-// DELETE ${resourceLower}
-router.delete('/:id', ${resourceLower}Controller.delete${resourceName});
+// PATCH update ${resourceLower} (JSON Merge Patch or JSON Patch)
+router.patch('/:id', ${guard('put')}parsePatchBody, ${resourceLower}Controller.patch${resourceName});
 
+// DELETE ${resourceLower}
+router.delete('/:id', ${guard('delete')}${resourceLower}Controller.delete${resourceName});
+${options.softDelete ? `
+// POST restore a soft-deleted ${resourceLower}
+router.post('/:id/restore', ${guard('delete')}${resourceLower}Controller.restore${resourceName});
+` : ''}${nestedRoutes}
 export default router;
 `;
 }
@@ -0,0 +1,17 @@
+// Validation schema templates for adding new resources
+// Request body rules checked by the validate() middleware of the routes
+
+import { generateValidationSchema } from '../shared/index.js';
+import { getDefaultResourceFields } from '../../utils/fieldUtils.js';
+
+/**
+ * Generate the zod schema file of a new resource (src/schemas/<resource>Schema)
+ * @param {string} resourceName - Resource name (e.g., "User")
+ * @param {boolean} isTypeScript - Whether this is a TypeScript project
+ * @param {Array<object>|null} fields - Field definitions from the add-crud field DSL
+ *   (defaults to name + description)
+ * @returns {string} Schema template code
+ */
+export function getSchemaTemplate(resourceName, isTypeScript, fields = null) {
+    return generateValidationSchema(resourceName, fields || getDefaultResourceFields(), isTypeScript);
+}
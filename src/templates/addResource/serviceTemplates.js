@@ -1,7 +1,7 @@
 // Service templates for adding new resources
 // Business logic layer with validation
 
-import { generateServiceImports, generateServiceMethods } from '../shared/serviceHelpers.js';
+import { generateServiceImports, generateServiceMethods, generateErrorImports, generateBulkImports } from '../shared/index.js';
 
 /**
  * Generate Service template for a new resource
@@ -9,15 +9,23 @@ import { generateServiceImports, generateServiceMethods } from '../shared/servic
  * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', or 'memory'
  * @param {string} modelFileName - Model file name
  * @param {boolean} isTypeScript - Whether this is a TypeScript project
+ * @param {Array<object>|null} fields - Field definitions from the add-crud field DSL
+ *   (defaults to name + description)
+ * @param {Object} [options] - { softDelete } from --soft-delete, { bulk: { maxItems } } from --bulk,
+ *   { etag } from --etag
  * @returns {string} Service template code
  */
-export function getServiceTemplate(resourceName, dbChoice, modelFileName, isTypeScript) {
+export function getServiceTemplate(resourceName, dbChoice, modelFileName, isTypeScript, fields = null, options = {}) {
     // Note: import specifiers always use '.js', even in TypeScript projects
     // (Node's NodeNext module resolution requires this - it maps to the compiled output).
     const modelImportFileName = modelFileName.replace(/\.(js|ts)$/, '.js');
-    const imports = generateServiceImports(resourceName, modelImportFileName, dbChoice, isTypeScript);
-    // For addResource, we only use name and description (no price)
-    const methods = generateServiceMethods(resourceName, dbChoice, isTypeScript, ['name', 'description']);
+    // For addResource, we only use name and description (no price) unless fields were declared
+    const methods = generateServiceMethods(resourceName, dbChoice, isTypeScript, fields || ['name', 'description'], options);
+    const imports = [
+        generateServiceImports(resourceName, modelImportFileName, dbChoice, isTypeScript, fields || [], options),
+        generateErrorImports(methods),
+        options.bulk ? generateBulkImports(resourceName) : ''
+    ].filter(Boolean).join('\n');
     
     return `${imports}
 
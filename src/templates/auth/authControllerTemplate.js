@@ -1,9 +1,9 @@
-// Auth Controller templates with JWT token generation
+// Auth Controller templates with JWT access tokens and rotating refresh tokens
 // Supports both JavaScript and TypeScript
-import { jwtHelpers, generateAuthControllerMethods } from '../shared/authHelpers.js';
+import { jwtHelpers, generateAuthControllerMethods } from '../shared/index.js';
 
 /**
- * Generate auth controller template with JWT
+ * Generate auth controller template with JWT access and refresh tokens
  * @param {boolean} isTypeScript - Whether to generate TypeScript code
  * @returns {string} Auth controller template code
  */
@@ -12,34 +12,50 @@ export function getAuthControllerTemplate(isTypeScript) {
     const methods = generateAuthControllerMethods(isTypeScript);
     
     if (isTypeScript) {
-        return `import { Request, Response } from 'express';
+        return `import { Request, Response, NextFunction } from 'express';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-
-${jwtHelpers.generateConfig()}
+import RefreshToken from '../models/RefreshToken.js';
+import { config } from '../config/env.js';
+import { BadRequestError, UnauthorizedError, NotFoundError } from '../utils/errors.js';
 
 ${jwtHelpers.generateTokenFunction(true)}
 
+${jwtHelpers.generateRefreshTokenFunctions(true)}
+
 ${methods.register}
 
 ${methods.login}
 
+${methods.refresh}
+
+${methods.logout}
+
 ${methods.getProfile}
 `;
     }
     
     // JavaScript version
-    return `import jwt from 'jsonwebtoken';
+    return `import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-
-${jwtHelpers.generateConfig()}
+import RefreshToken from '../models/RefreshToken.js';
+import { config } from '../config/env.js';
+import { BadRequestError, UnauthorizedError, NotFoundError } from '../utils/errors.js';
 
 ${jwtHelpers.generateTokenFunction(false)}
 
+${jwtHelpers.generateRefreshTokenFunctions(false)}
+
 ${methods.register}
 
 ${methods.login}
 
+${methods.refresh}
+
+${methods.logout}
+
 ${methods.getProfile}
 `;
 }
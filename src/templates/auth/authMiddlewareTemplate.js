@@ -1,28 +1,32 @@
-// Auth Middleware template with JWT verification
+// Auth Middleware template with JWT verification and role checks
 // Supports both JavaScript and TypeScript
-import { jwtHelpers } from '../shared/authHelpers.js';
+import { jwtHelpers, generateRoleMiddleware } from '../shared/index.js';
 
 /**
- * Generate auth middleware template with JWT verification
+ * Generate auth middleware template (verifyToken and requireRole)
  * @param {boolean} isTypeScript - Whether to generate TypeScript code
  * @returns {string} Auth middleware template code
  */
 export function getAuthMiddlewareTemplate(isTypeScript) {
     if (isTypeScript) {
         return `import jwt from 'jsonwebtoken';
-
-${jwtHelpers.generateConfig()}
+import { config } from '../config/env.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/errors.js';
 
 ${jwtHelpers.generateVerificationMiddleware(true)}
+
+${generateRoleMiddleware(true)}
 `;
     }
     
     // JavaScript version
     return `import jwt from 'jsonwebtoken';
-
-${jwtHelpers.generateConfig()}
+import { config } from '../config/env.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/errors.js';
 
 ${jwtHelpers.generateVerificationMiddleware(false)}
+
+${generateRoleMiddleware(false)}
 `;
 }
 
@@ -7,17 +7,19 @@
  */
 export function getAuthRoutesTemplate() {
     return `import express from 'express';
-import { register, login, getCurrentUser } from '../controllers/authController.js';
-import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { register, login, refresh, logout, getProfile } from '../controllers/authController.js';
+import { verifyToken } from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
 
 // Protected routes
-router.get('/me', authMiddleware, getCurrentUser);
+router.get('/me', verifyToken, getProfile);
 
 export default router;
 `;
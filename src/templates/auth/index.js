@@ -1,6 +1,19 @@
 // Central export point for auth templates
+// Projects can override them in .lazycrud/templates/auth (see src/utils/templateUtils.js)
 
-export { getUserModelTemplate } from './userModelTemplate.js';
-export { getAuthControllerTemplate } from './authControllerTemplate.js';
-export { getAuthRoutesTemplate } from './authRoutesTemplate.js';
-export { getAuthMiddlewareTemplate } from './authMiddlewareTemplate.js';
+import { defineTemplateLayer } from '../../utils/templateUtils.js';
+import * as userModelTemplate from './userModelTemplate.js';
+import * as refreshTokenModelTemplate from './refreshTokenModelTemplate.js';
+import * as authControllerTemplate from './authControllerTemplate.js';
+import * as authRoutesTemplate from './authRoutesTemplate.js';
+import * as authMiddlewareTemplate from './authMiddlewareTemplate.js';
+
+export const {
+    getUserModelTemplate,
+    getUsersTableSQL,
+    getRefreshTokenModelTemplate,
+    getRefreshTokensTableSQL,
+    getAuthControllerTemplate,
+    getAuthRoutesTemplate,
+    getAuthMiddlewareTemplate
+} = defineTemplateLayer('auth', userModelTemplate, refreshTokenModelTemplate, authControllerTemplate, authRoutesTemplate, authMiddlewareTemplate);
@@ -0,0 +1,226 @@
+// Refresh token model templates for authentication
+// Tokens are stored as SHA-256 hashes; each login starts a "family" that every
+// rotated token inherits, so a reused token can revoke the whole chain.
+
+import { resolveTemplate } from '../../utils/templateUtils.js';
+
+/**
+ * Generate the SQL that creates the refresh_tokens table
+ * @param {string} dbChoice - 'mysql', 'postgres' or 'sqlite'
+ * @returns {string} CREATE TABLE (and index) statements
+ */
+export function getRefreshTokensTableSQL(dbChoice) {
+    if (dbChoice === 'mysql') {
+        return `CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    family VARCHAR(36) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_refresh_tokens_family (family),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);`;
+    }
+
+    const columns = dbChoice === 'postgres' ? [
+        'id SERIAL PRIMARY KEY',
+        'user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE',
+        'token_hash CHAR(64) NOT NULL UNIQUE',
+        'family VARCHAR(36) NOT NULL',
+        'expires_at TIMESTAMPTZ NOT NULL',
+        'revoked_at TIMESTAMPTZ',
+        'created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP'
+    ] : [
+        'id INTEGER PRIMARY KEY AUTOINCREMENT',
+        'user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE',
+        'token_hash TEXT NOT NULL UNIQUE',
+        'family TEXT NOT NULL',
+        'expires_at TEXT NOT NULL',
+        'revoked_at TEXT',
+        'created_at TEXT DEFAULT CURRENT_TIMESTAMP'
+    ];
+
+    return `CREATE TABLE IF NOT EXISTS refresh_tokens (
+${columns.map(c => `    ${c}`).join(',\n')}
+);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (family);`;
+}
+
+/**
+ * Database-specific parts of the RefreshToken model
+ * @param {string} dbChoice - Database choice
+ * @param {boolean} isTypeScript - Whether to generate TypeScript code
+ * @returns {{imports: string, setup: string, create: string, findByHash: string, revoke: string, revokeFamily: string}}
+ *   Code snippets for the bodies of the model methods
+ */
+function getRefreshTokenStorage(dbChoice, isTypeScript) {
+    const t = (annotation) => isTypeScript ? annotation : '';
+
+    if (dbChoice === 'mongodb') {
+        return {
+            imports: `import mongoose from 'mongoose';`,
+            setup: `const refreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  // TTL index: MongoDB deletes tokens once they expire
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+export const RefreshTokenModel = mongoose.models.RefreshToken || mongoose.model('RefreshToken', refreshTokenSchema);
+
+function toToken(doc${t(': any')})${t(': RefreshTokenData | undefined')} {
+  if (!doc) return undefined;
+  return { id: doc._id.toString(), userId: doc.userId.toString(), family: doc.family, expiresAt: doc.expiresAt, revokedAt: doc.revokedAt || null };
+}`,
+            create: `await RefreshTokenModel.create(data);`,
+            findByHash: `return toToken(await RefreshTokenModel.findOne({ tokenHash }).lean());`,
+            revoke: `const result = await RefreshTokenModel.updateOne({ _id: id, revokedAt: null }, { revokedAt: new Date() });
+    return result.modifiedCount === 1;`,
+            revokeFamily: `await RefreshTokenModel.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });`
+        };
+    }
+
+    if (dbChoice === 'memory') {
+        return {
+            imports: `import crypto from 'crypto';`,
+            setup: `// In-memory storage (lost on restart, like the in-memory users)
+const tokens${t(': (RefreshTokenData & { tokenHash: string })[]')} = [];`,
+            create: `tokens.push({ id: crypto.randomUUID(), ...data, revokedAt: null });`,
+            findByHash: `const token = tokens.find(t => t.tokenHash === tokenHash);
+    if (!token) return undefined;
+    return { id: token.id, userId: token.userId, family: token.family, expiresAt: token.expiresAt, revokedAt: token.revokedAt };`,
+            revoke: `const token = tokens.find(t => t.id === id);
+    if (!token || token.revokedAt) return false;
+    token.revokedAt = new Date();
+    return true;`,
+            revokeFamily: `tokens
+      .filter(t => t.family === family && !t.revokedAt)
+      .forEach(t => { t.revokedAt = new Date(); });`
+        };
+    }
+
+    const toToken = `function toToken(row${t(': any')})${t(': RefreshTokenData | undefined')} {
+  if (!row) return undefined;
+  return {
+    id: String(row.id),
+    userId: String(row.user_id),
+    family: row.family,
+    expiresAt: new Date(row.expires_at),
+    revokedAt: row.revoked_at ? new Date(row.revoked_at) : null
+  };
+}`;
+
+    if (dbChoice === 'postgres') {
+        return {
+            imports: `import db from '../config/database.js';`,
+            setup: `// The refresh_tokens table is created by a migration (npm run migrate)
+
+${toToken}`,
+            create: `await db.query(
+      'INSERT INTO refresh_tokens (user_id, token_hash, family, expires_at) VALUES ($1, $2, $3, $4)',
+      [data.userId, data.tokenHash, data.family, data.expiresAt]
+    );`,
+            findByHash: `const { rows } = await db.query('SELECT * FROM refresh_tokens WHERE token_hash = $1', [tokenHash]);
+    return toToken(rows[0]);`,
+            revoke: `const result = await db.query('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL', [id]);
+    return result.rowCount === 1;`,
+            revokeFamily: `await db.query('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family = $1 AND revoked_at IS NULL', [family]);`
+        };
+    }
+
+    if (dbChoice === 'sqlite') {
+        return {
+            imports: `import db from '../config/database.js';`,
+            setup: `// Create the table on first connect
+db.exec(\`
+    ${resolveTemplate('auth', 'getRefreshTokensTableSQL', getRefreshTokensTableSQL)('sqlite').split('\n').join('\n    ')}
+\`);
+
+// Dates are stored as ISO 8601 text
+${toToken}`,
+            create: `db.prepare('INSERT INTO refresh_tokens (user_id, token_hash, family, expires_at) VALUES (?, ?, ?, ?)')
+      .run(data.userId, data.tokenHash, data.family, data.expiresAt.toISOString());`,
+            findByHash: `return toToken(db.prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?').get(tokenHash));`,
+            revoke: `const result = db.prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+      .run(new Date().toISOString(), id);
+    return result.changes === 1;`,
+            revokeFamily: `db.prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE family = ? AND revoked_at IS NULL')
+      .run(new Date().toISOString(), family);`
+        };
+    }
+
+    return {
+        imports: `import db from '../config/database.js';${isTypeScript ? `
+import { RowDataPacket, ResultSetHeader } from 'mysql2';` : ''}`,
+        setup: `// The refresh_tokens table is created by a migration (npm run migrate)
+
+${toToken}`,
+        create: `await db.query(
+      'INSERT INTO refresh_tokens (user_id, token_hash, family, expires_at) VALUES (?, ?, ?, ?)',
+      [data.userId, data.tokenHash, data.family, data.expiresAt]
+    );`,
+        findByHash: `const [rows] = await db.query${t('<RowDataPacket[]>')}('SELECT * FROM refresh_tokens WHERE token_hash = ?', [tokenHash]);
+    return toToken(rows[0]);`,
+        revoke: `const [result] = await db.query${t('<ResultSetHeader>')}('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [id]);
+    return result.affectedRows === 1;`,
+        revokeFamily: `await db.query('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family = ? AND revoked_at IS NULL', [family]);`
+    };
+}
+
+/**
+ * Generate the RefreshToken model template
+ * @param {boolean} isTypeScript - Whether to generate TypeScript code
+ * @param {string} dbChoice - Database choice (mongodb, mysql, postgres, sqlite, memory)
+ * @returns {string} RefreshToken model template code
+ */
+export function getRefreshTokenModelTemplate(isTypeScript, dbChoice = 'memory') {
+    const t = (annotation) => isTypeScript ? annotation : '';
+    const storage = getRefreshTokenStorage(dbChoice, isTypeScript);
+
+    const types = isTypeScript ? `
+interface RefreshTokenData {
+  id: string;
+  userId: string;
+  family: string;
+  expiresAt: Date;
+  revokedAt: Date | null;
+}
+
+interface RefreshTokenInput {
+  userId: string;
+  tokenHash: string;
+  family: string;
+  expiresAt: Date;
+}
+` : '';
+
+    return `${storage.imports}
+${types}
+${storage.setup}
+
+class RefreshToken {
+  async create(data${t(': RefreshTokenInput')})${t(': Promise<void>')} {
+    ${storage.create}
+  }
+
+  async findByHash(tokenHash${t(': string')})${t(': Promise<RefreshTokenData | undefined>')} {
+    ${storage.findByHash}
+  }
+
+  // Returns false if the token was already revoked, e.g. by a concurrent refresh
+  async revoke(id${t(': string')})${t(': Promise<boolean>')} {
+    ${storage.revoke}
+  }
+
+  async revokeFamily(family${t(': string')})${t(': Promise<void>')} {
+    ${storage.revokeFamily}
+  }
+}
+
+export default new RefreshToken();
+`;
+}
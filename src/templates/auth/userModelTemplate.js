@@ -1,20 +1,28 @@
 // User Model templates for authentication
-// Supports both JavaScript and TypeScript with bcrypt password hashing
+// Supports both JavaScript and TypeScript with bcrypt password hashing.
+// Every variant exposes the same methods (create, findByEmail, findById,
+// comparePassword), so the auth controller does not depend on the database.
+// Invalid input and duplicate emails are thrown as AppErrors (src/utils/errors).
+// New users get the 'user' role; promote them in the database (see README).
+
+import { resolveTemplate } from '../../utils/templateUtils.js';
 
 /**
- * Generate User model template with authentication methods
+ * Generate the in-memory User model (accounts are lost on restart)
  * @param {boolean} isTypeScript - Whether to generate TypeScript code
  * @returns {string} User model template code
  */
-export function getUserModelTemplate(isTypeScript) {
+function getMemoryUserModelTemplate(isTypeScript) {
     if (isTypeScript) {
         return `import bcrypt from 'bcryptjs';
+import { BadRequestError, ConflictError } from '../utils/errors.js';
 
 interface UserData {
   id: string;
   username: string;
   email: string;
   password: string;
+  role: string;
   createdAt: Date;
 }
 
@@ -32,19 +40,19 @@ class User {
   async create(userData: UserInput): Promise<UserWithoutPassword> {
     // Security: Input validation
     if (!userData.email || typeof userData.email !== 'string' || userData.email.length > 255) {
-      throw new Error('Invalid email');
+      throw new BadRequestError('Invalid email', 'INVALID_USER');
     }
     if (!userData.password || typeof userData.password !== 'string' || userData.password.length < 6 || userData.password.length > 128) {
-      throw new Error('Password must be between 6 and 128 characters');
+      throw new BadRequestError('Password must be between 6 and 128 characters', 'INVALID_USER');
     }
     if (!userData.username || typeof userData.username !== 'string' || userData.username.length > 100) {
-      throw new Error('Invalid username');
+      throw new BadRequestError('Invalid username', 'INVALID_USER');
     }
 
     // Check if user already exists
     const existingUser = this.users.find(u => u.email === userData.email);
     if (existingUser) {
-      throw new Error('User already exists');
+      throw new ConflictError('User already exists', 'USER_EXISTS');
     }
 
     // Hash password with bcrypt (10 rounds)
@@ -56,6 +64,7 @@ class User {
       username: userData.username,
       email: userData.email,
       password: hashedPassword,
+      role: 'user',
       createdAt: new Date()
     };
 
@@ -69,7 +78,7 @@ class User {
   async findByEmail(email: string): Promise<UserData | undefined> {
     // Security: Input validation
     if (!email || typeof email !== 'string' || email.length > 255) {
-      throw new Error('Invalid email');
+      throw new BadRequestError('Invalid email', 'INVALID_EMAIL');
     }
     return this.users.find(u => u.email === email);
   }
@@ -77,7 +86,7 @@ class User {
   async findById(id: string): Promise<UserWithoutPassword | null> {
     // Security: Input validation
     if (!id || typeof id !== 'string' || id.length > 100) {
-      throw new Error('Invalid id');
+      throw new BadRequestError('Invalid id', 'INVALID_ID');
     }
     const user = this.users.find(u => u.id === id);
     if (!user) return null;
@@ -90,7 +99,7 @@ class User {
   async comparePassword(plainPassword: string, hashedPassword: string): Promise<boolean> {
     // Security: Input validation
     if (!plainPassword || typeof plainPassword !== 'string' || plainPassword.length > 128) {
-      throw new Error('Invalid password');
+      throw new BadRequestError('Invalid password', 'INVALID_PASSWORD');
     }
     return await bcrypt.compare(plainPassword, hashedPassword);
   }
@@ -102,6 +111,7 @@ export default new User();
     
     // JavaScript version
     return `import bcrypt from 'bcryptjs';
+import { BadRequestError, ConflictError } from '../utils/errors.js';
 
 class User {
   constructor() {
@@ -111,19 +121,19 @@ class User {
   async create(userData) {
     // Security: Input validation
     if (!userData.email || typeof userData.email !== 'string' || userData.email.length > 255) {
-      throw new Error('Invalid email');
+      throw new BadRequestError('Invalid email', 'INVALID_USER');
     }
     if (!userData.password || typeof userData.password !== 'string' || userData.password.length < 6 || userData.password.length > 128) {
-      throw new Error('Password must be between 6 and 128 characters');
+      throw new BadRequestError('Password must be between 6 and 128 characters', 'INVALID_USER');
     }
     if (!userData.username || typeof userData.username !== 'string' || userData.username.length > 100) {
-      throw new Error('Invalid username');
+      throw new BadRequestError('Invalid username', 'INVALID_USER');
     }
 
     // Check if user already exists
     const existingUser = this.users.find(u => u.email === userData.email);
     if (existingUser) {
-      throw new Error('User already exists');
+      throw new ConflictError('User already exists', 'USER_EXISTS');
     }
 
     // Hash password with bcrypt (10 rounds)
@@ -135,6 +145,7 @@ class User {
       username: userData.username,
       email: userData.email,
       password: hashedPassword,
+      role: 'user',
       createdAt: new Date()
     };
 
@@ -148,7 +159,7 @@ class User {
   async findByEmail(email) {
     // Security: Input validation
     if (!email || typeof email !== 'string' || email.length > 255) {
-      throw new Error('Invalid email');
+      throw new BadRequestError('Invalid email', 'INVALID_EMAIL');
     }
     return this.users.find(u => u.email === email);
   }
@@ -156,7 +167,7 @@ class User {
   async findById(id) {
     // Security: Input validation
     if (!id || typeof id !== 'string' || id.length > 100) {
-      throw new Error('Invalid id');
+      throw new BadRequestError('Invalid id', 'INVALID_ID');
     }
     const user = this.users.find(u => u.id === id);
     if (!user) return null;
@@ -169,7 +180,7 @@ class User {
   async comparePassword(plainPassword, hashedPassword) {
     // Security: Input validation
     if (!plainPassword || typeof plainPassword !== 'string' || plainPassword.length > 128) {
-      throw new Error('Invalid password');
+      throw new BadRequestError('Invalid password', 'INVALID_PASSWORD');
     }
     return await bcrypt.compare(plainPassword, hashedPassword);
   }
@@ -178,3 +189,277 @@ class User {
 export default new User();
 `;
 }
+
+/**
+ * Generate the CREATE TABLE statement of the users table
+ * Emails are unique; the models store them trimmed and lowercased.
+ * role defaults to 'user' and is copied into the JWT for requireRole().
+ * @param {string} dbChoice - 'mysql', 'postgres' or 'sqlite'
+ * @returns {string} CREATE TABLE statement
+ */
+export function getUsersTableSQL(dbChoice) {
+    const columns = dbChoice === 'postgres' ? [
+        'id SERIAL PRIMARY KEY',
+        'username VARCHAR(100) NOT NULL',
+        'email VARCHAR(255) NOT NULL UNIQUE',
+        'password VARCHAR(255) NOT NULL',
+        "role VARCHAR(50) NOT NULL DEFAULT 'user'",
+        'created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP',
+        'updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP'
+    ] : dbChoice === 'sqlite' ? [
+        'id INTEGER PRIMARY KEY AUTOINCREMENT',
+        'username TEXT NOT NULL',
+        'email TEXT NOT NULL UNIQUE',
+        'password TEXT NOT NULL',
+        "role TEXT NOT NULL DEFAULT 'user'",
+        'created_at TEXT DEFAULT CURRENT_TIMESTAMP',
+        'updated_at TEXT DEFAULT CURRENT_TIMESTAMP'
+    ] : [
+        'id INT AUTO_INCREMENT PRIMARY KEY',
+        'username VARCHAR(100) NOT NULL',
+        'email VARCHAR(255) NOT NULL UNIQUE',
+        'password VARCHAR(255) NOT NULL',
+        "role VARCHAR(50) NOT NULL DEFAULT 'user'",
+        'created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+        'updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+    ];
+
+    return `CREATE TABLE IF NOT EXISTS users (
+${columns.map(c => `    ${c}`).join(',\n')}
+);`;
+}
+
+/**
+ * Database-specific parts of a persistent User model
+ * @param {string} dbChoice - 'mongodb', 'mysql', 'postgres' or 'sqlite'
+ * @param {boolean} isTypeScript - Whether to generate TypeScript code
+ * @returns {{imports: string, setup: string, duplicateCode: string, insert: string, findByEmail: string, findById: string}}
+ *   Code snippets; insert is the body of insertUser(username, email, password)
+ */
+function getUserStorage(dbChoice, isTypeScript) {
+    const t = (annotation) => isTypeScript ? annotation : '';
+
+    if (dbChoice === 'mongodb') {
+        return {
+            imports: `import mongoose from 'mongoose';`,
+            setup: `const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, trim: true, maxlength: 100 },
+  // unique creates the email index that rejects duplicate accounts
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true, maxlength: 255 },
+  password: { type: String, required: true },
+  role: { type: String, required: true, default: 'user', maxlength: 50 }
+}, { timestamps: true });
+
+export const UserModel = mongoose.models.User || mongoose.model('User', userSchema);
+
+function toUser(doc${t(': any')})${t(': UserData | undefined')} {
+  if (!doc) return undefined;
+  return { id: doc._id.toString(), username: doc.username, email: doc.email, password: doc.password, role: doc.role, createdAt: doc.createdAt };
+}`,
+            duplicateCode: 'error.code === 11000',
+            insert: `const doc = await UserModel.create({ username, email, password });
+  return toUser(doc.toObject())${t('!')};`,
+            findByEmail: `return toUser(await UserModel.findOne({ email: normalizeEmail(email) }).lean());`,
+            findById: `if (!mongoose.isValidObjectId(id)) return null;
+    const user = toUser(await UserModel.findById(id).lean());`
+        };
+    }
+
+    const toUser = (createdAt) => `function toUser(row${t(': any')})${t(': UserData | undefined')} {
+  if (!row) return undefined;
+  return { id: String(row.id), username: row.username, email: row.email, password: row.password, role: row.role, createdAt: ${createdAt} };
+}`;
+
+    if (dbChoice === 'postgres') {
+        return {
+            imports: `import db from '../config/database.js';`,
+            setup: `// The users table is created by a migration (npm run migrate)
+
+${toUser('row.created_at')}`,
+            duplicateCode: "error.code === '23505'",
+            insert: `const { rows } = await db.query(
+    'INSERT INTO users (username, email, password) VALUES ($1, $2, $3) RETURNING *',
+    [username, email, password]
+  );
+  return toUser(rows[0])${t('!')};`,
+            findByEmail: `const { rows } = await db.query('SELECT * FROM users WHERE email = $1', [normalizeEmail(email)]);
+    return toUser(rows[0]);`,
+            findById: `if (!/^\\d+$/.test(id)) return null;
+    const { rows } = await db.query('SELECT * FROM users WHERE id = $1', [id]);
+    const user = toUser(rows[0]);`
+        };
+    }
+
+    if (dbChoice === 'sqlite') {
+        return {
+            imports: `import db from '../config/database.js';`,
+            setup: `// Create the table on first connect
+db.exec(\`
+    ${resolveTemplate('auth', 'getUsersTableSQL', getUsersTableSQL)('sqlite').replace(/;$/, '').split('\n').join('\n    ')}
+\`);
+
+// SQLite stores CURRENT_TIMESTAMP as UTC text without a timezone
+${toUser("new Date(row.created_at.replace(' ', 'T') + 'Z')")}`,
+            duplicateCode: "error.code === 'SQLITE_CONSTRAINT_UNIQUE'",
+            insert: `const result = db.prepare('INSERT INTO users (username, email, password) VALUES (?, ?, ?)').run(username, email, password);
+  return toUser(db.prepare('SELECT * FROM users WHERE id = ?').get(result.lastInsertRowid))${t('!')};`,
+            findByEmail: `return toUser(db.prepare('SELECT * FROM users WHERE email = ?').get(normalizeEmail(email)));`,
+            findById: `if (!/^\\d+$/.test(id)) return null;
+    const user = toUser(db.prepare('SELECT * FROM users WHERE id = ?').get(id));`
+        };
+    }
+
+    return {
+        imports: `import db from '../config/database.js';${isTypeScript ? `
+import { RowDataPacket, ResultSetHeader } from 'mysql2';` : ''}`,
+        setup: `// The users table is created by a migration (npm run migrate)
+
+${toUser('row.created_at')}`,
+        duplicateCode: "error.code === 'ER_DUP_ENTRY'",
+        insert: `const [result] = await db.query${t('<ResultSetHeader>')}(
+    'INSERT INTO users (username, email, password) VALUES (?, ?, ?)',
+    [username, email, password]
+  );
+  const [rows] = await db.query${t('<RowDataPacket[]>')}('SELECT * FROM users WHERE id = ?', [result.insertId]);
+  return toUser(rows[0])${t('!')};`,
+        findByEmail: `const [rows] = await db.query${t('<RowDataPacket[]>')}('SELECT * FROM users WHERE email = ?', [normalizeEmail(email)]);
+    return toUser(rows[0]);`,
+        findById: `if (!/^\\d+$/.test(id)) return null;
+    const [rows] = await db.query${t('<RowDataPacket[]>')}('SELECT * FROM users WHERE id = ?', [id]);
+    const user = toUser(rows[0]);`
+    };
+}
+
+/**
+ * Generate a User model stored in the project's database
+ * @param {boolean} isTypeScript - Whether to generate TypeScript code
+ * @param {string} dbChoice - 'mongodb', 'mysql', 'postgres' or 'sqlite'
+ * @returns {string} User model template code
+ */
+function getPersistentUserModelTemplate(isTypeScript, dbChoice) {
+    const t = (annotation) => isTypeScript ? annotation : '';
+    const storage = getUserStorage(dbChoice, isTypeScript);
+
+    const types = isTypeScript ? `
+interface UserData {
+  id: string;
+  username: string;
+  email: string;
+  password: string;
+  role: string;
+  createdAt: Date;
+}
+
+interface UserInput {
+  username: string;
+  email: string;
+  password: string;
+}
+
+type UserWithoutPassword = Omit<UserData, 'password'>;
+` : '';
+
+    return `import bcrypt from 'bcryptjs';
+import { BadRequestError, ConflictError } from '../utils/errors.js';
+${storage.imports}
+${types}
+${storage.setup}
+
+// Returns the stored user, including the password hash
+async function insertUser(username${t(': string')}, email${t(': string')}, password${t(': string')})${t(': Promise<UserData>')} {
+  ${storage.insert}
+}
+
+// Emails are compared case-insensitively
+function normalizeEmail(email${t(': string')})${t(': string')} {
+  return email.trim().toLowerCase();
+}
+
+class User {
+  async create(userData${t(': UserInput')})${t(': Promise<UserWithoutPassword>')} {
+    // Security: Input validation
+    if (!userData.email || typeof userData.email !== 'string' || userData.email.length > 255) {
+      throw new BadRequestError('Invalid email', 'INVALID_USER');
+    }
+    if (!userData.password || typeof userData.password !== 'string' || userData.password.length < 6 || userData.password.length > 128) {
+      throw new BadRequestError('Password must be between 6 and 128 characters', 'INVALID_USER');
+    }
+    if (!userData.username || typeof userData.username !== 'string' || userData.username.length > 100) {
+      throw new BadRequestError('Invalid username', 'INVALID_USER');
+    }
+
+    // Check if user already exists
+    const email = normalizeEmail(userData.email);
+    const existingUser = await this.findByEmail(email);
+    if (existingUser) {
+      throw new ConflictError('User already exists', 'USER_EXISTS');
+    }
+
+    // Hash password with bcrypt (10 rounds)
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(userData.password, salt);
+
+    let user${t(': UserData')};
+    try {
+      user = await insertUser(userData.username, email, hashedPassword);
+    } catch (error${t(': any')}) {
+      // The unique email index catches registrations racing past the check above
+      if (${storage.duplicateCode}) {
+        throw new ConflictError('User already exists', 'USER_EXISTS');
+      }
+      throw error;
+    }
+
+    // Return user without password
+    const { password, ...userWithoutPassword } = user;
+    return userWithoutPassword;
+  }
+
+  async findByEmail(email${t(': string')})${t(': Promise<UserData | undefined>')} {
+    // Security: Input validation
+    if (!email || typeof email !== 'string' || email.length > 255) {
+      throw new BadRequestError('Invalid email', 'INVALID_EMAIL');
+    }
+    ${storage.findByEmail}
+  }
+
+  async findById(id${t(': string')})${t(': Promise<UserWithoutPassword | null>')} {
+    // Security: Input validation
+    if (!id || typeof id !== 'string' || id.length > 100) {
+      throw new BadRequestError('Invalid id', 'INVALID_ID');
+    }
+    ${storage.findById}
+    if (!user) return null;
+
+    // Return user without password
+    const { password, ...userWithoutPassword } = user;
+    return userWithoutPassword;
+  }
+
+  async comparePassword(plainPassword${t(': string')}, hashedPassword${t(': string')})${t(': Promise<boolean>')} {
+    // Security: Input validation
+    if (!plainPassword || typeof plainPassword !== 'string' || plainPassword.length > 128) {
+      throw new BadRequestError('Invalid password', 'INVALID_PASSWORD');
+    }
+    return await bcrypt.compare(plainPassword, hashedPassword);
+  }
+}
+
+export default new User();
+`;
+}
+
+/**
+ * Generate User model template with authentication methods
+ * MongoDB, MySQL, PostgreSQL and SQLite projects store users in their database;
+ * only in-memory projects keep them in an array.
+ * @param {boolean} isTypeScript - Whether to generate TypeScript code
+ * @param {string} dbChoice - Database choice (mongodb, mysql, postgres, sqlite, memory)
+ * @returns {string} User model template code
+ */
+export function getUserModelTemplate(isTypeScript, dbChoice = 'memory') {
+    if (['mongodb', 'mysql', 'postgres', 'sqlite'].includes(dbChoice)) {
+        return getPersistentUserModelTemplate(isTypeScript, dbChoice);
+    }
+    return getMemoryUserModelTemplate(isTypeScript);
+}
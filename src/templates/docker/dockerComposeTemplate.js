@@ -2,13 +2,13 @@
 
 /**
  * Generate docker-compose.yml template based on database choice
- * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', or 'memory'
+ * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', 'postgres', 'sqlite', or 'memory'
  * @param {string} projectName - Project name for container naming
  * @param {string} mongoExpressPassword - Secure password for Mongo Express (if MongoDB)
- * @param {string} mysqlPassword - Secure password for MySQL (if MySQL)
+ * @param {string} dbPassword - Secure database password (if MySQL or PostgreSQL)
  * @returns {string} docker-compose.yml content
  */
-export function getDockerComposeTemplate(dbChoice, projectName, mongoExpressPassword = '', mysqlPassword = '') {
+export function getDockerComposeTemplate(dbChoice, projectName, mongoExpressPassword = '', dbPassword = '') {
     const baseService = `  app:
     build: .
     container_name: ${projectName}-app
@@ -74,7 +74,7 @@ services:
 ${baseService}
       - DB_HOST=mysql
       - DB_USER=\${DB_USER:-root}
-      - DB_PASSWORD=\${DB_PASSWORD:-${mysqlPassword}}
+      - DB_PASSWORD=\${DB_PASSWORD:-${dbPassword}}
       - DB_NAME=\${DB_NAME:-${projectName}}
     depends_on:
       mysql:
@@ -89,14 +89,14 @@ ${baseService}
     ports:
       - "3306:3306"
     environment:
-      - MYSQL_ROOT_PASSWORD=\${DB_PASSWORD:-${mysqlPassword}}
+      - MYSQL_ROOT_PASSWORD=\${DB_PASSWORD:-${dbPassword}}
       - MYSQL_DATABASE=\${DB_NAME:-${projectName}}
     volumes:
       - mysql-data:/var/lib/mysql
     networks:
       - app-network
     healthcheck:
-      test: ["CMD", "mysqladmin", "ping", "-h", "localhost", "-u", "root", "-p\${DB_PASSWORD:-${mysqlPassword}}"]
+      test: ["CMD", "mysqladmin", "ping", "-h", "localhost", "-u", "root", "-p\${DB_PASSWORD:-${dbPassword}}"]
       interval: 10s
       timeout: 5s
       retries: 5
@@ -124,6 +124,82 @@ networks:
 volumes:
   mysql-data:
     driver: local
+`;
+    } else if (dbChoice === 'postgres') {
+        return `version: '3.8'
+
+services:
+${baseService}
+      - DB_HOST=postgres
+      - DB_PORT=5432
+      - DB_USER=\${DB_USER:-postgres}
+      - DB_PASSWORD=\${DB_PASSWORD:-${dbPassword}}
+      - DB_NAME=\${DB_NAME:-${projectName}}
+    depends_on:
+      postgres:
+        condition: service_healthy
+    networks:
+      - app-network
+
+  postgres:
+    image: postgres:16-alpine
+    container_name: ${projectName}-postgres
+    restart: unless-stopped
+    ports:
+      - "5432:5432"
+    environment:
+      - POSTGRES_USER=\${DB_USER:-postgres}
+      - POSTGRES_PASSWORD=\${DB_PASSWORD:-${dbPassword}}
+      - POSTGRES_DB=\${DB_NAME:-${projectName}}
+    volumes:
+      - postgres-data:/var/lib/postgresql/data
+    networks:
+      - app-network
+    healthcheck:
+      test: ["CMD-SHELL", "pg_isready -U \${DB_USER:-postgres} -d \${DB_NAME:-${projectName}}"]
+      interval: 10s
+      timeout: 5s
+      retries: 5
+
+  adminer:
+    image: adminer:latest
+    container_name: ${projectName}-adminer
+    restart: unless-stopped
+    ports:
+      - "8080:8080"
+    environment:
+      - ADMINER_DEFAULT_SERVER=postgres
+    depends_on:
+      - postgres
+    networks:
+      - app-network
+
+networks:
+  app-network:
+    driver: bridge
+
+volumes:
+  postgres-data:
+    driver: local
+`;
+    } else if (dbChoice === 'sqlite') {
+        return `version: '3.8'
+
+services:
+${baseService}
+      - DB_FILE=/app/data/${projectName}.sqlite
+    volumes:
+      - sqlite-data:/app/data
+    networks:
+      - app-network
+
+networks:
+  app-network:
+    driver: bridge
+
+volumes:
+  sqlite-data:
+    driver: local
 `;
     } else {
         // In-memory - just Node.js app
@@ -21,5 +21,8 @@ coverage
 .nyc_output
 dist
 build
+*.sqlite
+*.sqlite-shm
+*.sqlite-wal
 `;
 }
@@ -2,7 +2,7 @@
 
 /**
  * Generate Docker README template
- * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', or 'memory'
+ * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', 'postgres', 'sqlite', or 'memory'
  * @param {string} projectName - Project name
  * @returns {string} README.docker.md content
  */
@@ -12,7 +12,8 @@ export function getDockerReadmeTemplate(dbChoice, projectName) {
     const dbCommands = getDbCommands(dbChoice, projectName);
     const envVars = getEnvVars(dbChoice, projectName);
     const dbLogs = dbChoice === 'mongodb' ? 'docker-compose logs mongodb' : 
-                  dbChoice === 'mysql' ? 'docker-compose logs mysql' : '';
+                  dbChoice === 'mysql' ? 'docker-compose logs mysql' :
+                  dbChoice === 'postgres' ? 'docker-compose logs postgres' : '';
     const learnMore = getLearnMore(dbChoice);
 
     return `# Docker Setup Guide
@@ -185,6 +186,7 @@ function getDbSection(dbChoice, projectName) {
 - **Data**: Persisted in Docker volume \`mysql-data\`
 - **Root Password**: Auto-generated secure password (see docker-compose.yml or set \`DB_PASSWORD\` in .env)
 - **Database Name**: Set in .env as \`DB_NAME\` (default: ${projectName})
+- **Tables**: The app container runs \`scripts/migrate.js\` before starting, so pending migrations are applied on every \`docker-compose up\`
 - ⚠️  **Security**: Set strong \`DB_PASSWORD\` in .env for production!
 
 ### phpMyAdmin (Database UI)
@@ -192,6 +194,27 @@ function getDbSection(dbChoice, projectName) {
 - **Username**: root
 - **Password**: Same as DB_PASSWORD from docker-compose.yml or .env
 - Manage your MySQL database through a web interface
+`;
+    } else if (dbChoice === 'postgres') {
+        return `### PostgreSQL
+- **Database**: Running on port 5432
+- **Data**: Persisted in Docker volume \`postgres-data\`
+- **Password**: Auto-generated secure password (see docker-compose.yml or set \`DB_PASSWORD\` in .env)
+- **Database Name**: Set in .env as \`DB_NAME\` (default: ${projectName})
+- **Tables**: The app container runs \`scripts/migrate.js\` before starting, so pending migrations are applied on every \`docker-compose up\`
+- ⚠️  **Security**: Set strong \`DB_PASSWORD\` in .env for production!
+
+### Adminer (Database UI)
+- **URL**: http://localhost:8080
+- **System**: PostgreSQL, **Server**: postgres
+- **Username**: postgres (or \`DB_USER\` from .env)
+- **Password**: Same as DB_PASSWORD from docker-compose.yml or .env
+`;
+    } else if (dbChoice === 'sqlite') {
+        return `### SQLite
+- **Database**: File inside the app container (no separate database service)
+- **Data**: Persisted in Docker volume \`sqlite-data\` (mounted at \`/app/data\`)
+- **File**: \`/app/data/${projectName}.sqlite\` (set via \`DB_FILE\`)
 `;
     }
     return '';
@@ -205,6 +228,8 @@ function getUIAccess(dbChoice) {
         return '\n🌐 **Mongo Express UI**: http://localhost:8081 (credentials in docker-compose.yml)';
     } else if (dbChoice === 'mysql') {
         return '\n🌐 **phpMyAdmin**: http://localhost:8080 (root/[see docker-compose.yml])';
+    } else if (dbChoice === 'postgres') {
+        return '\n🌐 **Adminer**: http://localhost:8080 (postgres/[see docker-compose.yml])';
     }
     return '';
 }
@@ -217,6 +242,10 @@ function getServicesStarted(dbChoice) {
         return '- MongoDB database\n- Mongo Express UI';
     } else if (dbChoice === 'mysql') {
         return '- MySQL database\n- phpMyAdmin UI';
+    } else if (dbChoice === 'postgres') {
+        return '- PostgreSQL database\n- Adminer UI';
+    } else if (dbChoice === 'sqlite') {
+        return '- SQLite database file (sqlite-data volume)';
     }
     return '';
 }
@@ -250,6 +279,30 @@ docker-compose exec mysql mysqldump -u root -p${projectName} > backup.sql
 # Restore database
 docker-compose exec mysql mysql -u root -p${projectName} < backup.sql
 \`\`\`
+`;
+    } else if (dbChoice === 'postgres') {
+        return `### PostgreSQL Commands
+\`\`\`bash
+# Access psql shell
+docker-compose exec postgres psql -U postgres -d ${projectName}
+
+# Backup database
+docker-compose exec postgres pg_dump -U postgres ${projectName} > backup.sql
+
+# Restore database
+docker-compose exec -T postgres psql -U postgres -d ${projectName} < backup.sql
+\`\`\`
+`;
+    } else if (dbChoice === 'sqlite') {
+        return `### SQLite Commands
+\`\`\`bash
+# Backup database file
+docker cp ${projectName}-app:/app/data/${projectName}.sqlite ./backup.sqlite
+
+# Restore database file (then restart the app)
+docker cp ./backup.sqlite ${projectName}-app:/app/data/${projectName}.sqlite
+docker-compose restart app
+\`\`\`
 `;
     }
     return '';
@@ -266,6 +319,14 @@ function getEnvVars(dbChoice, projectName) {
 DB_USER=root
 DB_PASSWORD=rootpassword
 DB_NAME=${projectName}`;
+    } else if (dbChoice === 'postgres') {
+        return `DB_HOST=postgres
+DB_PORT=5432
+DB_USER=postgres
+DB_PASSWORD=your-secure-password
+DB_NAME=${projectName}`;
+    } else if (dbChoice === 'sqlite') {
+        return `DB_FILE=/app/data/${projectName}.sqlite`;
     }
     return '';
 }
@@ -278,6 +339,10 @@ function getLearnMore(dbChoice) {
         return '- [MongoDB Docker Hub](https://hub.docker.com/_/mongo)';
     } else if (dbChoice === 'mysql') {
         return '- [MySQL Docker Hub](https://hub.docker.com/_/mysql)';
+    } else if (dbChoice === 'postgres') {
+        return '- [PostgreSQL Docker Hub](https://hub.docker.com/_/postgres)';
+    } else if (dbChoice === 'sqlite') {
+        return '- [better-sqlite3 documentation](https://github.com/WiseLibs/better-sqlite3)';
     }
     return '';
 }
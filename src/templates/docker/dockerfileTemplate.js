@@ -5,9 +5,29 @@
  * Generate Dockerfile template
  * @param {boolean} isTypeScript - Whether the project is TypeScript (needs a compile step
  *   because `npm start` runs the compiled output under dist/, not the source in src/)
+ * @param {string} [dbChoice] - Database choice (SQLite needs a writable data directory)
+ * @param {boolean} [hasMigrations] - Whether the project has scripts/migrate.js; MySQL and
+ *   PostgreSQL containers then apply pending migrations before the server starts
  * @returns {string} Dockerfile template content
  */
-export function getDockerfileTemplate(isTypeScript = false) {
+export function getDockerfileTemplate(isTypeScript = false, dbChoice = 'memory', hasMigrations = true) {
+    const usesMigrations = hasMigrations && (dbChoice === 'mysql' || dbChoice === 'postgres');
+    const migrationFiles = usesMigrations ? `
+
+# Copy the migration runner and SQL migrations
+COPY --from=builder --chown=nodejs:nodejs /app/scripts ./scripts
+COPY --from=builder --chown=nodejs:nodejs /app/migrations ./migrations` : '';
+    // npm run migrate builds TypeScript projects first, but the image already holds dist/ (and no tsc)
+    const startCommand = usesMigrations
+        ? `# Apply pending migrations, then start the application
+CMD ["sh", "-c", "${isTypeScript ? 'node scripts/migrate.js up' : 'npm run migrate'} && npm start"]`
+        : null;
+
+    const dataDir = dbChoice === 'sqlite' ? `
+# SQLite data directory (mounted as a volume by docker-compose.yml)
+RUN mkdir -p /app/data && chown nodejs:nodejs /app/data
+` : '';
+
     if (isTypeScript) {
         return `# Multi-stage build for smaller image
 FROM node:18-alpine AS builder
@@ -42,8 +62,8 @@ COPY package*.json ./
 RUN npm ci --only=production
 
 # Copy compiled output from builder
-COPY --from=builder --chown=nodejs:nodejs /app/dist ./dist
-
+COPY --from=builder --chown=nodejs:nodejs /app/dist ./dist${migrationFiles}
+${dataDir}
 # Switch to non-root user
 USER nodejs
 
@@ -54,8 +74,8 @@ EXPOSE 3000
 HEALTHCHECK --interval=30s --timeout=3s --start-period=40s --retries=3 \\
   CMD node -e "require('http').get('http://localhost:3000/health', (r) => {process.exit(r.statusCode === 200 ? 0 : 1)})"
 
-# Start the compiled application
-CMD ["npm", "start"]
+${startCommand || `# Start the compiled application
+CMD ["npm", "start"]`}
 `;
     }
 
@@ -87,7 +107,7 @@ RUN addgroup -g 1001 -S nodejs && \\
 # Copy dependencies and source from builder
 COPY --from=builder --chown=nodejs:nodejs /app/node_modules ./node_modules
 COPY --chown=nodejs:nodejs . .
-
+${dataDir}
 # Switch to non-root user
 USER nodejs
 
@@ -98,7 +118,7 @@ EXPOSE 3000
 HEALTHCHECK --interval=30s --timeout=3s --start-period=40s --retries=3 \\
   CMD node -e "require('http').get('http://localhost:3000/health', (r) => {process.exit(r.statusCode === 200 ? 0 : 1)})"
 
-# Start the application
-CMD ["npm", "start"]
+${startCommand || `# Start the application
+CMD ["npm", "start"]`}
 `;
 }
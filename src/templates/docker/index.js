@@ -1,6 +1,15 @@
 // Central export point for Docker templates
+// Projects can override them in .lazycrud/templates/docker (see src/utils/templateUtils.js)
 
-export { getDockerfileTemplate } from './dockerfileTemplate.js';
-export { getDockerIgnoreTemplate } from './dockerIgnoreTemplate.js';
-export { getDockerComposeTemplate } from './dockerComposeTemplate.js';
-export { getDockerReadmeTemplate } from './dockerReadmeTemplate.js';
+import { defineTemplateLayer } from '../../utils/templateUtils.js';
+import * as dockerfileTemplate from './dockerfileTemplate.js';
+import * as dockerIgnoreTemplate from './dockerIgnoreTemplate.js';
+import * as dockerComposeTemplate from './dockerComposeTemplate.js';
+import * as dockerReadmeTemplate from './dockerReadmeTemplate.js';
+
+export const {
+    getDockerfileTemplate,
+    getDockerIgnoreTemplate,
+    getDockerComposeTemplate,
+    getDockerReadmeTemplate
+} = defineTemplateLayer('docker', dockerfileTemplate, dockerIgnoreTemplate, dockerComposeTemplate, dockerReadmeTemplate);
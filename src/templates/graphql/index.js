@@ -0,0 +1,16 @@
+// Central export for the GraphQL templates (src/graphql)
+// Projects can override them in .lazycrud/templates/graphql (see src/utils/templateUtils.js)
+
+import { defineTemplateLayer } from '../../utils/templateUtils.js';
+import * as schemaTemplate from './schemaTemplate.js';
+import * as utilsTemplate from './utilsTemplate.js';
+import * as resourceTemplate from './resourceTemplate.js';
+
+export const {
+    getGraphqlIndexTemplate,
+    getGraphqlIndexTemplateTS,
+    getGraphqlUtilsTemplate,
+    getGraphqlUtilsTemplateTS,
+    getGraphqlResourceTemplate,
+    getGraphqlResourceTemplateTS
+} = defineTemplateLayer('graphql', schemaTemplate, utilsTemplate, resourceTemplate);
@@ -0,0 +1,178 @@
+// GraphQL resource templates (src/graphql/<resource>Graphql.js|ts)
+// Type definitions built from the resource fields, and resolvers calling its service
+
+import { getFieldKind, getReferenceFields } from '../../utils/fieldUtils.js';
+
+// GraphQL scalar of each field kind (dates travel as ISO strings, ids as ID)
+const SCALAR_TYPES = {
+    string: 'String',
+    number: 'Float',
+    int: 'Int',
+    boolean: 'Boolean',
+    date: 'String',
+    ref: 'ID'
+};
+
+/**
+ * Get the GraphQL type of a field
+ * @param {object} field - Field definition (see parseFieldDefinition)
+ * @param {boolean} isInput - Input types take ids for references
+ * @param {Array<string>} linkedTypes - Resources with a GraphQL type (references to them resolve to the record)
+ * @returns {string} GraphQL type, e.g. 'String!', '[Int!]' or 'Post'
+ */
+function getGraphqlFieldType(field, isInput, linkedTypes) {
+    const kind = getFieldKind(field);
+    if (kind === 'ref' && !isInput && linkedTypes.includes(field.ref)) {
+        // The referenced record may have been deleted since, so the relation is nullable
+        return field.ref;
+    }
+    const scalar = SCALAR_TYPES[kind] || 'String';
+    const type = field.isArray ? `[${scalar}!]` : scalar;
+    return field.required && (isInput || kind !== 'ref') ? `${type}!` : type;
+}
+
+/**
+ * Generate the GraphQL module of a resource
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', 'postgres', 'sqlite', or 'memory'
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Array<object>} fields - Field definitions
+ * @param {Object} [options] - { softDelete } adds the trash query and restore mutation;
+ *   { linkedTypes } lists the resources references can resolve to (default: the resource itself)
+ * @returns {string} GraphQL module code
+ */
+function generateGraphqlResourceModule(resourceName, dbChoice, isTypeScript, fields, options = {}) {
+    const t = (annotation) => isTypeScript ? annotation : '';
+    const resourceLower = resourceName.toLowerCase();
+    const resourceCamel = resourceName.charAt(0).toLowerCase() + resourceName.slice(1);
+    const linkedTypes = options.linkedTypes || [resourceName];
+    const softDelete = Boolean(options.softDelete);
+    const relations = getReferenceFields(fields).filter(field => linkedTypes.includes(field.ref));
+
+    // SQL rows keep the column names of the timestamps
+    const isSQL = dbChoice === 'mysql' || dbChoice === 'postgres' || dbChoice === 'sqlite';
+    const timestamps = [
+        ['createdAt', isSQL ? 'created_at' : 'createdAt'],
+        ['updatedAt', isSQL ? 'updated_at' : 'updatedAt'],
+        ...(softDelete ? [['deletedAt', isSQL ? 'deleted_at' : 'deletedAt']] : [])
+    ];
+
+    const services = [
+        `getAll${resourceName}s`,
+        `get${resourceName}ById`,
+        `get${resourceName}sByIds`,
+        `create${resourceName}`,
+        `update${resourceName}`,
+        `delete${resourceName}`,
+        ...(softDelete ? [`restore${resourceName}`, `getDeleted${resourceName}s`] : [])
+    ];
+    const listArgs = 'page: Int, limit: Int, sort: String, filter: [ListFilter!]';
+    const inputFields = (partial) => fields
+        .map(field => `        ${field.name}: ${getGraphqlFieldType(partial ? { ...field, required: false } : field, true, linkedTypes)}`)
+        .join('\n');
+
+    const parent = `${resourceCamel}${t(': Row')}`;
+    const fieldResolvers = [
+        ...fields.filter(field => getFieldKind(field) === 'date').map(field => field.isArray
+            ? `        ${field.name}: (${parent}) => ${resourceCamel}.${field.name}?.map(toDateString) ?? null`
+            : `        ${field.name}: (${parent}) => toDateString(${resourceCamel}.${field.name})`),
+        ...relations.map(field => `        ${field.name}: (${parent}, _args${t(': unknown')}, { loaders }${t(': GraphqlContext')}) =>
+            ${resourceCamel}.${field.name} === undefined || ${resourceCamel}.${field.name} === null ? null : loaders.${field.ref}.load(String(${resourceCamel}.${field.name}))`),
+        ...timestamps.map(([name, key]) => `        ${name}: (${parent}) => toDateString(${resourceCamel}.${key})`)
+    ];
+    const idArgs = `{ id }${t(': { id: string }')}`;
+
+    return `// GraphQL schema and resolvers for ${resourceName}
+// The resolvers call the same service functions as the REST controller
+import { ${services.join(', ')} } from '../services/${resourceLower}Service.js';
+import { create${resourceName}Schema, update${resourceName}Schema } from '../schemas/${resourceLower}Schema.js';
+import { createBatchLoader, toDateString, toListQuery, validateInput } from './utils.js';
+${isTypeScript ? `import type { ${relations.length > 0 ? 'GraphqlContext, ' : ''}ListArgs } from './utils.js';
+
+// Records as the service returns them (documents or rows)
+type Row = Record<string, any>;
+` : ''}
+export const name = '${resourceName}';
+
+export const typeDefs = \`
+    type ${resourceName} {
+        id: ID!
+${fields.map(field => `        ${field.name}: ${getGraphqlFieldType(field, false, linkedTypes)}`).join('\n')}
+${timestamps.map(([name]) => `        ${name}: String`).join('\n')}
+    }
+
+    type ${resourceName}List {
+        data: [${resourceName}!]!
+        meta: ListMeta!
+    }
+
+    input Create${resourceName}Input {
+${inputFields(false)}
+    }
+
+    input Update${resourceName}Input {
+${inputFields(true)}
+    }
+
+    type Query {
+        ${resourceCamel}s(${listArgs}): ${resourceName}List!
+        ${resourceCamel}(id: ID!): ${resourceName}!${softDelete ? `
+        deleted${resourceName}s(${listArgs}): ${resourceName}List!` : ''}
+    }
+
+    type Mutation {
+        create${resourceName}(input: Create${resourceName}Input!): ${resourceName}!
+        update${resourceName}(id: ID!, input: Update${resourceName}Input!): ${resourceName}!
+        delete${resourceName}(id: ID!): Boolean!${softDelete ? `
+        restore${resourceName}(id: ID!): ${resourceName}!` : ''}
+    }
+\`;
+
+// Batches the lookups of ${resourceName} references made while resolving one request
+export const createLoader = () => createBatchLoader(get${resourceName}sByIds);
+
+export const resolvers = {
+    Query: {
+        ${resourceCamel}s: (_parent${t(': unknown')}, args${t(': ListArgs')}) => getAll${resourceName}s(toListQuery(args)),
+        ${resourceCamel}: (_parent${t(': unknown')}, ${idArgs}) => get${resourceName}ById(id)${softDelete ? `,
+        deleted${resourceName}s: (_parent${t(': unknown')}, args${t(': ListArgs')}) => getDeleted${resourceName}s(toListQuery(args))` : ''}
+    },
+    Mutation: {
+        create${resourceName}: (_parent${t(': unknown')}, { input }${t(': { input: unknown }')}) => create${resourceName}(validateInput(create${resourceName}Schema, input)),
+        update${resourceName}: (_parent${t(': unknown')}, { id, input }${t(': { id: string; input: unknown }')}) => update${resourceName}(id, validateInput(update${resourceName}Schema, input)),
+        delete${resourceName}: async (_parent${t(': unknown')}, ${idArgs}) => {
+            await delete${resourceName}(id);
+            return true;
+        }${softDelete ? `,
+        restore${resourceName}: (_parent${t(': unknown')}, ${idArgs}) => restore${resourceName}(id)` : ''}
+    },
+    ${resourceName}: {
+${fieldResolvers.join(',\n')}
+    }
+};
+`;
+}
+
+/**
+ * Generate the JavaScript GraphQL module of a resource (src/graphql/<resource>Graphql.js)
+ * @param {string} resourceName - Resource name
+ * @param {string} dbChoice - Database choice
+ * @param {Array<object>} fields - Field definitions
+ * @param {Object} [options] - { softDelete, linkedTypes }
+ * @returns {string} GraphQL module code
+ */
+export function getGraphqlResourceTemplate(resourceName, dbChoice, fields, options = {}) {
+    return generateGraphqlResourceModule(resourceName, dbChoice, false, fields, options);
+}
+
+/**
+ * Generate the TypeScript GraphQL module of a resource (src/graphql/<resource>Graphql.ts)
+ * @param {string} resourceName - Resource name
+ * @param {string} dbChoice - Database choice
+ * @param {Array<object>} fields - Field definitions
+ * @param {Object} [options] - { softDelete, linkedTypes }
+ * @returns {string} GraphQL module code
+ */
+export function getGraphqlResourceTemplateTS(resourceName, dbChoice, fields, options = {}) {
+    return generateGraphqlResourceModule(resourceName, dbChoice, true, fields, options);
+}
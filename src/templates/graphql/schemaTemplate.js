@@ -0,0 +1,127 @@
+// GraphQL endpoint templates (src/graphql/index.js|ts)
+// Merges the resource modules into one schema served at /graphql (graphql-http)
+
+/**
+ * Get the variable a resource module is imported as in src/graphql/index
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @returns {string} Variable name (e.g., 'productGraphql')
+ */
+function getGraphqlModuleVariable(resourceName) {
+    return `${resourceName.toLowerCase()}Graphql`;
+}
+
+/**
+ * Generate the GraphQL endpoint module
+ * @param {Array<string>} resourceNames - Resources exposed through GraphQL
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Object} [options] - { hasLogger } logs unexpected errors with src/utils/logger (console.error otherwise)
+ * @returns {string} GraphQL endpoint code
+ */
+function generateGraphqlIndexModule(resourceNames, isTypeScript, options = {}) {
+    const hasLogger = options.hasLogger !== false;
+    const imports = resourceNames.map(name => `import * as ${getGraphqlModuleVariable(name)} from './${name.toLowerCase()}Graphql.js';`);
+    const logError = hasLogger
+        ? "logger.error({ err: original }, 'GraphQL resolver failed');"
+        : "console.error('GraphQL resolver failed:', original);";
+
+    return `import { makeExecutableSchema } from '@graphql-tools/schema';
+import { GraphQLError } from 'graphql';
+import { createHandler } from 'graphql-http/lib/use/express';
+import { AppError, ValidationError } from '../utils/errors.js';
+${hasLogger ? "import { logger } from '../utils/logger.js';\n" : ''}${isTypeScript ? "import type { GraphqlResource } from './utils.js';\n" : ''}${imports.join('\n')}
+
+// GraphQL endpoint (POST /graphql, or GET for queries)
+// Each <resource>Graphql module brings its types, queries, mutations and DataLoader;
+// the resolvers call the same services as the REST controllers.
+
+// Resources exposed through GraphQL (add-crud registers new ones here)
+const resources${isTypeScript ? ': GraphqlResource[]' : ''} = [${resourceNames.map(getGraphqlModuleVariable).join(', ')}];
+
+// Types shared by the resources: list metadata and filters (see src/utils/listQuery)
+const sharedTypeDefs = \`
+    type ListMeta {
+        total: Int!
+        page: Int!
+        limit: Int!
+        totalPages: Int!
+    }
+
+    enum ListFilterOperator {
+        eq
+        ne
+        gt
+        gte
+        lt
+        lte
+        in
+    }
+
+    # { field: "price", op: gte, value: "10" } is ?price[gte]=10 in REST; "in" takes a comma-separated list
+    input ListFilter {
+        field: String!
+        op: ListFilterOperator = eq
+        value: String!
+    }
+\`;
+
+export const schema = makeExecutableSchema({
+    typeDefs: [sharedTypeDefs, ...resources.map((resource) => resource.typeDefs)],
+    resolvers: resources.map((resource) => resource.resolvers)
+});
+
+// Errors thrown by the services keep their message, and extensions.code matches the
+// "code" of the REST problem details; anything unexpected is logged and masked
+const formatError = (error${isTypeScript ? ': Readonly<GraphQLError | Error>' : ''})${isTypeScript ? ': GraphQLError | Error' : ''} => {
+    // Syntax and schema validation errors have no original error
+    if (!(error instanceof GraphQLError) || !error.originalError || error.originalError instanceof GraphQLError) {
+        return error;
+    }
+
+    const original = error.originalError;
+    const location = { nodes: error.nodes, path: error.path };
+    if (original instanceof AppError) {
+        return new GraphQLError(original.message, {
+            ...location,
+            extensions: {
+                code: original.code,
+                status: original.status,
+                ...(original instanceof ValidationError && original.errors.length > 0 ? { errors: original.errors } : {})
+            }
+        });
+    }
+
+    ${logError}
+    return new GraphQLError('Internal server error', { ...location, extensions: { code: 'INTERNAL_ERROR', status: 500 } });
+};
+
+// Every request gets its own DataLoaders: lookups are batched within a request
+// and never cached across requests
+export const graphqlHandler = createHandler({
+    schema,
+    context: () => ({
+        loaders: Object.fromEntries(resources.map((resource) => [resource.name, resource.createLoader()]))
+    }),
+    formatError
+});
+`;
+}
+
+/**
+ * Generate the JavaScript GraphQL endpoint (src/graphql/index.js)
+ * @param {Array<string>} resourceNames - Resources exposed through GraphQL
+ * @param {Object} [options] - { hasLogger }
+ * @returns {string} GraphQL endpoint code
+ */
+export function getGraphqlIndexTemplate(resourceNames, options = {}) {
+    return generateGraphqlIndexModule(resourceNames, false, options);
+}
+
+/**
+ * Generate the TypeScript GraphQL endpoint (src/graphql/index.ts)
+ * @param {Array<string>} resourceNames - Resources exposed through GraphQL
+ * @param {Object} [options] - { hasLogger }
+ * @returns {string} GraphQL endpoint code
+ */
+export function getGraphqlIndexTemplateTS(resourceNames, options = {}) {
+    return generateGraphqlIndexModule(resourceNames, true, options);
+}
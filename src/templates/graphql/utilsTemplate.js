@@ -0,0 +1,99 @@
+// GraphQL helper templates (src/graphql/utils.js|ts)
+// Input validation, list arguments and DataLoaders shared by the resource modules
+
+/**
+ * Generate the GraphQL helpers module
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {string} GraphQL helpers code
+ */
+function generateGraphqlUtilsModule(isTypeScript) {
+    const t = (annotation) => isTypeScript ? annotation : '';
+
+    return `import DataLoader from 'dataloader';
+${isTypeScript ? `import { ZodSchema } from 'zod';
+import { FieldError, ValidationError } from '../utils/errors.js';
+
+// Context of every resolver: one DataLoader per resource, created for each request
+export interface GraphqlContext {
+    loaders: Record<string, DataLoader<string, any>>;
+}
+
+// What each <resource>Graphql module exports (see index.ts)
+export interface GraphqlResource {
+    name: string;
+    typeDefs: string;
+    resolvers: Record<string, Record<string, (...args: any[]) => unknown>>;
+    createLoader: () => DataLoader<string, any>;
+}
+
+export interface ListFilter {
+    field: string;
+    op: string;
+    value: string;
+}
+
+export interface ListArgs {
+    page?: number | null;
+    limit?: number | null;
+    sort?: string | null;
+    filter?: ListFilter[] | null;
+}
+` : `import { ValidationError } from '../utils/errors.js';
+`}
+// Check mutation input against the zod schemas of src/schemas, like validate() does for
+// REST bodies: invalid input is a ValidationError listing every field, valid input
+// comes back parsed (unknown fields dropped, strings trimmed)
+export const validateInput = (schema${t(': ZodSchema')}, input${t(': unknown')}) => {
+    const result = schema.safeParse(input ?? {});
+
+    if (!result.success) {
+        const errors${t(': FieldError[]')} = result.error.issues.map((issue) => ({
+            field: issue.path.join('.'),
+            message: issue.message
+        }));
+        throw new ValidationError('Validation failed', errors);
+    }
+
+    return result.data;
+};
+
+// Turn list arguments into the query the services parse, e.g.
+// { page: 2, filter: [{ field: "price", op: gte, value: "10" }] } -> { page: 2, 'price[gte]': '10' }
+export const toListQuery = ({ filter, ...args }${t(': ListArgs')})${t(': Record<string, unknown>')} => ({
+    ...Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined && value !== null)),
+    ...Object.fromEntries((filter ?? []).map(({ field, op, value }) => [\`\${field}[\${op}]\`, value]))
+});
+
+// Load records by id, batching every lookup made while resolving a request (e.g. the
+// post of each comment in a list) into a single getByIds call; unknown ids load null
+export const createBatchLoader = (getByIds${t(': (ids: string[]) => Promise<any[]>')}) => new DataLoader${t('<string, any>')}(async (ids) => {
+    const records = await getByIds([...ids]);
+    const byId = new Map(records.map((record) => [String(record.id), record]));
+    return ids.map((id) => byId.get(id) ?? null);
+});
+
+// Dates come back as Date objects (MongoDB, MySQL, PostgreSQL) or as strings (SQLite, in-memory)
+export const toDateString = (value${t(': unknown')})${t(': string | null')} => {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return value === undefined || value === null ? null : String(value);
+};
+`;
+}
+
+/**
+ * Generate the JavaScript GraphQL helpers (src/graphql/utils.js)
+ * @returns {string} GraphQL helpers code
+ */
+export function getGraphqlUtilsTemplate() {
+    return generateGraphqlUtilsModule(false);
+}
+
+/**
+ * Generate the TypeScript GraphQL helpers (src/graphql/utils.ts)
+ * @returns {string} GraphQL helpers code
+ */
+export function getGraphqlUtilsTemplateTS() {
+    return generateGraphqlUtilsModule(true);
+}
@@ -1,20 +1,22 @@
 // Shared Controller Template - JavaScript
 // HTTP handling only, delegates business logic to service layer
-import { generateAllControllerMethods } from '../shared/controllerHelpers.js';
+import { generateAllControllerMethods, generateControllerUtilImports } from '../shared/index.js';
 
 /**
  * Generate JavaScript controller template
  * @param {string} resourceName - Resource name (e.g., 'Product', 'User')
  * @param {string} dbChoice - Database choice (mongodb, mysql, memory)
+ * @param {Object} [options] - { softDelete } adds the trash and restore handlers
  * @returns {string} Controller template code
  */
-export function getControllerTemplate(resourceName, dbChoice) {
+export function getControllerTemplate(resourceName, dbChoice, options = {}) {
     const lowerResource = resourceName.toLowerCase();
     
     // Generate all CRUD methods using shared helper
-    const methods = generateAllControllerMethods(resourceName, `${lowerResource}Service`, false);
+    const methods = generateAllControllerMethods(resourceName, `${lowerResource}Service`, false, [], options);
     
     return `import * as ${lowerResource}Service from '../services/${lowerResource}Service.js';
+${generateControllerUtilImports(resourceName, options)}
 
 ${methods}
 `;
@@ -1,6 +1,14 @@
 // JavaScript Templates Index
 // Central export for all JavaScript templates
+// Projects can override them in .lazycrud/templates/javascript (see src/utils/templateUtils.js)
 
-export { getControllerTemplate } from './controllerTemplate.js';
-export { getServiceTemplate } from './serviceTemplate.js';
-export { getModelTemplate } from './modelTemplate.js';
+import { defineTemplateLayer } from '../../utils/templateUtils.js';
+import * as controllerTemplate from './controllerTemplate.js';
+import * as serviceTemplate from './serviceTemplate.js';
+import * as modelTemplate from './modelTemplate.js';
+
+export const {
+    getControllerTemplate,
+    getServiceTemplate,
+    getModelTemplate
+} = defineTemplateLayer('javascript', controllerTemplate, serviceTemplate, modelTemplate);
@@ -1,14 +1,15 @@
 // Shared Model Templates - JavaScript
 // Database access layer
 
-import { generateModel } from '../shared/modelHelpers.js';
+import { generateModel } from '../shared/index.js';
 
 /**
  * Generate JavaScript model template
  * @param {string} resourceName - Resource name (e.g., 'Product', 'User')
  * @param {string} dbChoice - Database choice (mongodb, mysql, memory)
+ * @param {Object} [options] - { softDelete } from lazy-crud new --soft-delete
  * @returns {string} Model template code
  */
-export function getModelTemplate(resourceName, dbChoice) {
-    return generateModel(resourceName, dbChoice, false);
+export function getModelTemplate(resourceName, dbChoice, options = {}) {
+    return generateModel(resourceName, dbChoice, false, options);
 }
@@ -1,18 +1,22 @@
 // Shared Service Template - JavaScript
 // Business logic layer with validation
 
-import { generateServiceImports, generateServiceMethods } from '../shared/serviceHelpers.js';
+import { generateServiceImports, generateServiceMethods, generateErrorImports } from '../shared/index.js';
 
 /**
  * Generate JavaScript service template
  * @param {string} resourceName - Resource name (e.g., 'Product', 'User')
  * @param {string} dbChoice - Database choice (mongodb, mysql, memory)
+ * @param {Object} [options] - { softDelete } from lazy-crud new --soft-delete
  * @returns {string} Service template code
  */
-export function getServiceTemplate(resourceName, dbChoice) {
+export function getServiceTemplate(resourceName, dbChoice, options = {}) {
     const modelFileName = `${resourceName}.js`;
-    const imports = generateServiceImports(resourceName, modelFileName, dbChoice, false);
-    const methods = generateServiceMethods(resourceName, dbChoice, false);
+    const methods = generateServiceMethods(resourceName, dbChoice, false, ['name', 'description', 'price'], options);
+    const imports = [
+        generateServiceImports(resourceName, modelFileName, dbChoice, false, [], options),
+        generateErrorImports(methods)
+    ].filter(Boolean).join('\n');
     
     return `${imports}
 
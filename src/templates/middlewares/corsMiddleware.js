@@ -6,18 +6,17 @@
  */
 export function getCorsMiddlewareTemplate() {
     return `import cors from 'cors';
+import { config } from '../config/env.js';
 
-// CORS configuration with whitelist
-const allowedOrigins = process.env.ALLOWED_ORIGINS 
-    ? process.env.ALLOWED_ORIGINS.split(',') 
-    : ['http://localhost:3000', 'http://localhost:5173'];
+// CORS configuration with whitelist (ALLOWED_ORIGINS, see config/env.js)
+const allowedOrigins = config.allowedOrigins;
 
 const corsOptions = {
     origin: (origin, callback) => {
         // Allow requests with no origin (like mobile apps or curl requests)
         if (!origin) return callback(null, true);
         
-        if (process.env.NODE_ENV === 'production') {
+        if (config.isProduction) {
             if (allowedOrigins.indexOf(origin) !== -1) {
                 callback(null, true);
             } else {
@@ -29,6 +28,8 @@ const corsOptions = {
         }
     },
     credentials: true,
+    // Response headers browser scripts may read (ETag: see add-crud --etag)
+    exposedHeaders: ['ETag'],
     optionsSuccessStatus: 200
 };
 
@@ -42,18 +43,17 @@ export const corsMiddleware = cors(corsOptions);
  */
 export function getCorsMiddlewareTemplateTS() {
     return `import cors, { CorsOptions } from 'cors';
+import { config } from '../config/env.js';
 
-// CORS configuration with whitelist
-const allowedOrigins: string[] = process.env.ALLOWED_ORIGINS 
-    ? process.env.ALLOWED_ORIGINS.split(',') 
-    : ['http://localhost:3000', 'http://localhost:5173'];
+// CORS configuration with whitelist (ALLOWED_ORIGINS, see config/env.ts)
+const allowedOrigins: string[] = config.allowedOrigins;
 
 const corsOptions: CorsOptions = {
     origin: (origin, callback) => {
         // Allow requests with no origin (like mobile apps or curl requests)
         if (!origin) return callback(null, true);
         
-        if (process.env.NODE_ENV === 'production') {
+        if (config.isProduction) {
             if (allowedOrigins.indexOf(origin) !== -1) {
                 callback(null, true);
             } else {
@@ -65,6 +65,8 @@ const corsOptions: CorsOptions = {
         }
     },
     credentials: true,
+    // Response headers browser scripts may read (ETag: see add-crud --etag)
+    exposedHeaders: ['ETag'],
     optionsSuccessStatus: 200
 };
 
@@ -2,28 +2,53 @@
 
 /**
  * Generate error handler middleware template
+ * Errors become RFC 7807 problem details (application/problem+json); the
+ * AppError classes of src/utils/errors decide the status and the stable code.
+ * Unexpected errors are logged through the request's child logger.
  * @returns {string} Error handler middleware code
  */
 export function getErrorHandlerTemplate() {
-    return `// Global error handling middleware
+    return `import { STATUS_CODES } from 'http';
+import { AppError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/env.js';
+
+// Global error handling middleware
+// Every error is answered with an RFC 7807 problem details body:
+// { type, title, status, detail, instance, code } (+ errors for validation failures)
 export const errorHandler = (err, req, res, next) => {
-    console.error(err.stack);
-    
-    // Don't expose error details in production
-    const errorMessage = process.env.NODE_ENV === 'production' 
-        ? 'Something went wrong!' 
+    const isAppError = err instanceof AppError;
+    // Errors raised by Express itself (e.g. malformed JSON bodies) carry a 4xx status
+    const status = isAppError ? err.status
+        : err.status >= 400 && err.status < 500 ? err.status
+        : 500;
+
+    // Unexpected errors are logged with their stack (and the request ID, via req.log);
+    // the access log of requestLogger already records every 4xx
+    if (status >= 500) {
+        (req.log ?? logger).error({ err }, 'Unhandled error');
+    }
+
+    // Don't expose unexpected error details in production
+    const detail = status >= 500 && config.isProduction
+        ? 'Something went wrong!'
         : err.message;
-    
-    res.status(err.status || 500).json({ 
-        error: errorMessage 
+
+    res.status(status).type('application/problem+json').json({
+        type: 'about:blank',
+        title: STATUS_CODES[status],
+        status,
+        detail,
+        instance: req.originalUrl,
+        code: isAppError ? err.code : status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST',
+        success: false,
+        ...(err instanceof ValidationError && err.errors.length > 0 && { errors: err.errors })
     });
 };
 
 // 404 handler
-export const notFoundHandler = (req, res) => {
-    res.status(404).json({
-        error: 'Route not found'
-    });
+export const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(\`Route \${req.method} \${req.originalUrl} not found\`, 'ROUTE_NOT_FOUND'));
 };
 `;
 }
@@ -33,31 +58,51 @@ export const notFoundHandler = (req, res) => {
  * @returns {string} TypeScript error handler middleware code
  */
 export function getErrorHandlerTemplateTS() {
-    return `import { Request, Response, NextFunction } from 'express';
+    return `import { STATUS_CODES } from 'http';
+import { Request, Response, NextFunction } from 'express';
+import { AppError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/env.js';
 
-interface CustomError extends Error {
+interface HttpError extends Error {
     status?: number;
 }
 
 // Global error handling middleware
-export const errorHandler = (err: CustomError, req: Request, res: Response, next: NextFunction): void => {
-    console.error(err.stack);
-    
-    // Don't expose error details in production
-    const errorMessage = process.env.NODE_ENV === 'production' 
-        ? 'Something went wrong!' 
+// Every error is answered with an RFC 7807 problem details body:
+// { type, title, status, detail, instance, code } (+ errors for validation failures)
+export const errorHandler = (err: HttpError, req: Request, res: Response, _next: NextFunction): void => {
+    // Errors raised by Express itself (e.g. malformed JSON bodies) carry a 4xx status
+    const status = err instanceof AppError ? err.status
+        : err.status !== undefined && err.status >= 400 && err.status < 500 ? err.status
+        : 500;
+
+    // Unexpected errors are logged with their stack (and the request ID, via req.log);
+    // the access log of requestLogger already records every 4xx
+    if (status >= 500) {
+        (req.log ?? logger).error({ err }, 'Unhandled error');
+    }
+
+    // Don't expose unexpected error details in production
+    const detail = status >= 500 && config.isProduction
+        ? 'Something went wrong!'
         : err.message;
-    
-    res.status(err.status || 500).json({ 
-        error: errorMessage 
+
+    res.status(status).type('application/problem+json').json({
+        type: 'about:blank',
+        title: STATUS_CODES[status],
+        status,
+        detail,
+        instance: req.originalUrl,
+        code: err instanceof AppError ? err.code : status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST',
+        success: false,
+        ...(err instanceof ValidationError && err.errors.length > 0 && { errors: err.errors })
     });
 };
 
 // 404 handler
-export const notFoundHandler = (req: Request, res: Response): void => {
-    res.status(404).json({
-        error: 'Route not found'
-    });
+export const notFoundHandler = (req: Request, _res: Response, next: NextFunction): void => {
+    next(new NotFoundError(\`Route \${req.method} \${req.originalUrl} not found\`, 'ROUTE_NOT_FOUND'));
 };
 `;
 }
@@ -1,16 +1,22 @@
 // Central export for middleware templates
+// Projects can override them in .lazycrud/templates/middlewares (see src/utils/templateUtils.js)
 
-export { 
-    getSecurityMiddlewareTemplate, 
-    getSecurityMiddlewareTemplateTS 
-} from './securityMiddleware.js';
+import { defineTemplateLayer } from '../../utils/templateUtils.js';
+import * as securityMiddleware from './securityMiddleware.js';
+import * as corsMiddleware from './corsMiddleware.js';
+import * as errorHandler from './errorHandler.js';
+import * as validateMiddleware from './validateMiddleware.js';
+import * as requestLoggerMiddleware from './requestLoggerMiddleware.js';
 
-export { 
-    getCorsMiddlewareTemplate, 
-    getCorsMiddlewareTemplateTS 
-} from './corsMiddleware.js';
-
-export { 
-    getErrorHandlerTemplate, 
-    getErrorHandlerTemplateTS 
-} from './errorHandler.js';
+export const {
+    getSecurityMiddlewareTemplate,
+    getSecurityMiddlewareTemplateTS,
+    getCorsMiddlewareTemplate,
+    getCorsMiddlewareTemplateTS,
+    getErrorHandlerTemplate,
+    getErrorHandlerTemplateTS,
+    getValidateMiddlewareTemplate,
+    getValidateMiddlewareTemplateTS,
+    getRequestLoggerTemplate,
+    getRequestLoggerTemplateTS
+} = defineTemplateLayer('middlewares', securityMiddleware, corsMiddleware, errorHandler, validateMiddleware, requestLoggerMiddleware);
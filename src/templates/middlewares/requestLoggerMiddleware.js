@@ -0,0 +1,92 @@
+// Request ID and access log middleware templates
+
+/**
+ * Generate request logger middleware template
+ * Honours an incoming X-Request-Id (or creates one), echoes it on the response,
+ * gives the request a child logger (req.log) and logs every finished request.
+ * @returns {string} Request logger middleware code
+ */
+export function getRequestLoggerTemplate() {
+    return `import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+
+// Incoming IDs are reused only if they are short and safe to print
+const REQUEST_ID_PATTERN = /^[\\w.:-]{1,128}$/;
+
+// Correlate every log line of a request: req.id is the X-Request-Id sent by the
+// client or a proxy (or a new UUID), and req.log is a child logger carrying it
+export const requestLogger = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = id;
+    req.log = logger.child({ requestId: id });
+    res.setHeader('X-Request-Id', id);
+
+    // Access log
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        req.log[level]({
+            method: req.method,
+            url: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10
+        }, 'request completed');
+    });
+
+    next();
+};
+`;
+}
+
+/**
+ * Generate TypeScript request logger middleware template
+ * @returns {string} TypeScript request logger middleware code
+ */
+export function getRequestLoggerTemplateTS() {
+    return `import { randomUUID } from 'crypto';
+import { Request, Response, NextFunction } from 'express';
+import { Logger } from 'pino';
+import { logger } from '../utils/logger.js';
+
+declare global {
+    namespace Express {
+        interface Request {
+            id: string;
+            log: Logger;
+        }
+    }
+}
+
+// Incoming IDs are reused only if they are short and safe to print
+const REQUEST_ID_PATTERN = /^[\\w.:-]{1,128}$/;
+
+// Correlate every log line of a request: req.id is the X-Request-Id sent by the
+// client or a proxy (or a new UUID), and req.log is a child logger carrying it
+export const requestLogger = (req: Request, res: Response, next: NextFunction): void => {
+    const incoming = req.get('X-Request-Id');
+    const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = id;
+    req.log = logger.child({ requestId: id });
+    res.setHeader('X-Request-Id', id);
+
+    // Access log
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        req.log[level]({
+            method: req.method,
+            url: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10
+        }, 'request completed');
+    });
+
+    next();
+};
+`;
+}
@@ -7,13 +7,14 @@
 export function getSecurityMiddlewareTemplate() {
     return `import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import { config } from '../config/env.js';
 
 // Security headers middleware
 export const securityHeaders = helmet();
 
 // HTTPS enforcement middleware
 export const httpsRedirect = (req, res, next) => {
-    if (process.env.NODE_ENV === 'production') {
+    if (config.isProduction) {
         if (req.header('x-forwarded-proto') !== 'https') {
             res.redirect(\`https://\${req.header('host')}\${req.url}\`);
         } else {
@@ -42,6 +43,7 @@ export const rateLimiter = rateLimit({
 export function getSecurityMiddlewareTemplateTS() {
     return `import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import { config } from '../config/env.js';
 import { Request, Response, NextFunction } from 'express';
 
 // Security headers middleware
@@ -49,7 +51,7 @@ export const securityHeaders = helmet();
 
 // HTTPS enforcement middleware
 export const httpsRedirect = (req: Request, res: Response, next: NextFunction): void => {
-    if (process.env.NODE_ENV === 'production') {
+    if (config.isProduction) {
         if (req.header('x-forwarded-proto') !== 'https') {
             res.redirect(\`https://\${req.header('host')}\${req.url}\`);
         } else {
@@ -0,0 +1,58 @@
+// Request validation middleware templates
+
+/**
+ * Generate validate(schema) middleware template
+ * Runs the zod schemas of src/schemas against req.body
+ * @returns {string} Validation middleware code
+ */
+export function getValidateMiddlewareTemplate() {
+    return `import { ValidationError } from '../utils/errors.js';
+
+// Validate req.body against a zod schema (see src/schemas)
+// Invalid bodies become a ValidationError (422 listing every field error);
+// valid ones continue with the parsed data (unknown fields dropped, strings trimmed)
+export const validate = (schema) => (req, res, next) => {
+    const result = schema.safeParse(req.body ?? {});
+
+    if (!result.success) {
+        return next(new ValidationError('Validation failed', result.error.issues.map((issue) => ({
+            field: issue.path.join('.'),
+            message: issue.message
+        }))));
+    }
+
+    req.body = result.data;
+    next();
+};
+`;
+}
+
+/**
+ * Generate TypeScript validate(schema) middleware template
+ * @returns {string} TypeScript validation middleware code
+ */
+export function getValidateMiddlewareTemplateTS() {
+    return `import { Request, Response, NextFunction, RequestHandler } from 'express';
+import { ZodSchema } from 'zod';
+import { FieldError, ValidationError } from '../utils/errors.js';
+
+// Validate req.body against a zod schema (see src/schemas)
+// Invalid bodies become a ValidationError (422 listing every field error);
+// valid ones continue with the parsed data (unknown fields dropped, strings trimmed)
+export const validate = (schema: ZodSchema): RequestHandler => (req: Request, _res: Response, next: NextFunction): void => {
+    const result = schema.safeParse(req.body ?? {});
+
+    if (!result.success) {
+        const errors: FieldError[] = result.error.issues.map((issue) => ({
+            field: issue.path.join('.'),
+            message: issue.message
+        }));
+        next(new ValidationError('Validation failed', errors));
+        return;
+    }
+
+    req.body = result.data;
+    next();
+};
+`;
+}
@@ -0,0 +1,14 @@
+// Central export point for migration templates
+// Projects can override them in .lazycrud/templates/migrations (see src/utils/templateUtils.js)
+
+import { defineTemplateLayer } from '../../utils/templateUtils.js';
+import * as migrationTemplate from './migrationTemplate.js';
+import * as migrateScriptTemplate from './migrateScriptTemplate.js';
+
+export const {
+    getMigrationFileName,
+    getCreateTableMigrationTemplate,
+    getAuthMigrationTemplate,
+    getMigrationScripts,
+    getMigrateScriptTemplate
+} = defineTemplateLayer('migrations', migrationTemplate, migrateScriptTemplate);
@@ -0,0 +1,159 @@
+// Migration runner template (scripts/migrate.js) for MySQL and PostgreSQL projects
+
+/**
+ * npm scripts that run the migration runner
+ * TypeScript projects build first: the runner reads the compiled config/env under dist/.
+ * @param {boolean} [isTypeScript] - Whether the project is TypeScript
+ * @returns {object} Scripts to merge into package.json
+ */
+export function getMigrationScripts(isTypeScript = false) {
+    const build = isTypeScript ? 'npm run build && ' : '';
+    return {
+        migrate: `${build}node scripts/migrate.js up`,
+        'migrate:rollback': `${build}node scripts/migrate.js down`
+    };
+}
+
+/**
+ * Generate the migration runner
+ * Plain JavaScript in both JS and TS projects. The connection settings come from the
+ * validated config/env module: src/ in JavaScript projects, the build under dist/ in TypeScript ones.
+ * @param {string} dbChoice - 'mysql' or 'postgres'
+ * @param {boolean} [isTypeScript] - Whether the project is TypeScript
+ * @returns {string} scripts/migrate.js content
+ */
+export function getMigrateScriptTemplate(dbChoice, isTypeScript = false) {
+    const isPostgres = dbChoice === 'postgres';
+
+    const connection = isPostgres
+        ? `import pg from 'pg';
+
+async function connect() {
+    const client = new pg.Client({
+        host: config.db.host,
+        port: config.db.port,
+        user: config.db.user,
+        password: config.db.password,
+        database: config.db.name,
+        ssl: config.db.ssl ? { rejectUnauthorized: true } : false
+    });
+    await client.connect();
+    return {
+        query: async (sql, params) => (await client.query(sql, params)).rows,
+        end: () => client.end()
+    };
+}`
+        : `import mysql from 'mysql2/promise';
+
+async function connect() {
+    // Migration files may contain several statements
+    const connection = await mysql.createConnection({
+        host: config.db.host,
+        user: config.db.user,
+        password: config.db.password,
+        database: config.db.name,
+        multipleStatements: true
+    });
+    return {
+        query: async (sql, params) => (await connection.query(sql, params))[0],
+        end: () => connection.end()
+    };
+}`;
+
+    const placeholder = isPostgres ? '$1' : '?';
+
+    // PostgreSQL DDL is transactional, so a failed migration leaves no partial changes.
+    // MySQL commits DDL implicitly, so statements run as they are.
+    const runStep = (sql, bookkeeping) => isPostgres
+        ? `await db.query('BEGIN');
+            try {
+                await db.query(${sql});
+                await db.query(${bookkeeping});
+                await db.query('COMMIT');
+            } catch (error) {
+                await db.query('ROLLBACK');
+                throw error;
+            }`
+        : `await db.query(${sql});
+            await db.query(${bookkeeping});`;
+
+    return `// Versioned SQL migrations
+// Usage:
+//   npm run migrate            Apply all pending migrations in migrations/
+//   npm run migrate:rollback   Revert the most recently applied migration
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+// DB_* settings are read and validated by config/env, like the app does${isTypeScript ? ' (npm run build compiles it to dist/)' : ''}
+import { config } from '../${isTypeScript ? 'dist' : 'src'}/config/env.js';
+${connection}
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const migrationsDir = path.join(__dirname, '..', 'migrations');
+
+// Reads migrations/NNN_name.sql files in order and splits their up/down sections
+function readMigrations() {
+    if (!fs.existsSync(migrationsDir)) {
+        return [];
+    }
+    return fs.readdirSync(migrationsDir)
+        .filter(file => /^\\d+_[\\w-]+\\.sql$/.test(file))
+        .sort()
+        .map(file => {
+            const content = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+            const [up, down = ''] = content.split(/^-- migrate:down\\s*$/m);
+            return {
+                version: file.replace(/\\.sql$/, ''),
+                up: up.split(/^-- migrate:up\\s*$/m).pop().trim(),
+                down: down.trim()
+            };
+        });
+}
+
+async function migrate(direction) {
+    const db = await connect();
+    try {
+        await db.query(\`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(255) PRIMARY KEY,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+)\`);
+        const rows = await db.query('SELECT version FROM schema_migrations');
+        const applied = new Set(rows.map(row => row.version));
+        const migrations = readMigrations();
+
+        if (direction === 'down') {
+            const last = migrations.filter(migration => applied.has(migration.version)).pop();
+            if (!last) {
+                console.log('ℹ️  No applied migrations to roll back');
+                return;
+            }
+            if (!last.down) {
+                throw new Error(\`\${last.version} has no "-- migrate:down" section\`);
+            }
+            ${runStep('last.down', `'DELETE FROM schema_migrations WHERE version = ${placeholder}', [last.version]`)}
+            console.log(\`↩️  Rolled back \${last.version}\`);
+            return;
+        }
+
+        const pending = migrations.filter(migration => !applied.has(migration.version));
+        if (pending.length === 0) {
+            console.log('✅ Database is up to date');
+            return;
+        }
+        for (const migration of pending) {
+            ${runStep('migration.up', `'INSERT INTO schema_migrations (version) VALUES (${placeholder})', [migration.version]`)}
+            console.log(\`✅ Applied \${migration.version}\`);
+        }
+    } finally {
+        await db.end();
+    }
+}
+
+const direction = process.argv[2] === 'down' ? 'down' : 'up';
+migrate(direction).catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
+`;
+}
@@ -0,0 +1,61 @@
+// SQL migration file templates (MySQL and PostgreSQL)
+
+import { generateCreateTableSQL } from '../shared/index.js';
+import { getUsersTableSQL, getRefreshTokensTableSQL } from '../auth/index.js';
+
+/**
+ * Build the file name of a numbered migration
+ * @param {number} number - Migration number (1-based)
+ * @param {string} resourceName - Resource name (e.g. 'Product')
+ * @returns {string} File name (e.g. '002_create_products.sql')
+ */
+export function getMigrationFileName(number, resourceName) {
+    return `${String(number).padStart(3, '0')}_create_${resourceName.toLowerCase()}s.sql`;
+}
+
+/**
+ * Generate the migration that creates a resource table
+ * The runner (scripts/migrate.js) applies the part after `-- migrate:up`
+ * and uses the part after `-- migrate:down` for rollbacks.
+ * @param {string} resourceName - Resource name
+ * @param {Array<object>} fields - Field definitions (see parseFieldDefinition)
+ * @param {string} dbChoice - 'mysql' or 'postgres'
+ * @param {Object} [options] - { softDelete } adds the deleted_at column
+ * @returns {string} Migration file content
+ */
+export function getCreateTableMigrationTemplate(resourceName, fields, dbChoice, options = {}) {
+    const resourcePlural = resourceName.toLowerCase() + 's';
+
+    return `-- Create the ${resourcePlural} table
+
+-- migrate:up
+${generateCreateTableSQL(resourceName, fields, dbChoice, options)}
+
+-- migrate:down
+DROP TABLE IF EXISTS ${resourcePlural};
+`;
+}
+
+/**
+ * Generate the migration for add-auth: the users and refresh_tokens tables
+ * @param {string} dbChoice - 'mysql' or 'postgres'
+ * @param {boolean} [includeUsers=true] - false when the project already has its own User model
+ * @returns {string} Migration file content
+ */
+export function getAuthMigrationTemplate(dbChoice, includeUsers = true) {
+    const up = includeUsers
+        ? `${getUsersTableSQL(dbChoice)}\n\n${getRefreshTokensTableSQL(dbChoice)}`
+        : getRefreshTokensTableSQL(dbChoice);
+    const down = includeUsers
+        ? 'DROP TABLE IF EXISTS refresh_tokens;\nDROP TABLE IF EXISTS users;'
+        : 'DROP TABLE IF EXISTS refresh_tokens;';
+
+    return `-- Create the ${includeUsers ? 'users and refresh_tokens tables' : 'refresh_tokens table'} (add-auth)
+
+-- migrate:up
+${up}
+
+-- migrate:down
+${down}
+`;
+}
@@ -0,0 +1,9 @@
+// Export all OpenAPI templates
+
+export {
+    getResourceSchemas,
+    getResourcePaths,
+    getAuthPaths,
+    getHealthCheckPath,
+    getOpenApiDocument
+} from './openapiTemplate.js';
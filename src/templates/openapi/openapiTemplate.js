@@ -0,0 +1,775 @@
+// OpenAPI 3.1 document templates (openapi.json / openapi.yaml)
+import { getFieldKind, getReferenceFields, getNestedRoutes } from '../../utils/fieldUtils.js';
+
+const ERROR_RESPONSES = {
+    400: { $ref: '#/components/responses/BadRequest' },
+    404: { $ref: '#/components/responses/NotFound' },
+    500: { $ref: '#/components/responses/ServerError' }
+};
+
+// One item of a /bulk response: the record, or the error a single request would have got
+const BULK_RESULT = {
+    type: 'object',
+    properties: {
+        index: { type: 'integer', description: 'Position of the item in the request' },
+        status: { type: 'integer' },
+        data: { type: 'object' },
+        code: { type: 'string' },
+        detail: { type: 'string' },
+        errors: {
+            type: 'array',
+            items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } }
+        }
+    },
+    required: ['index', 'status']
+};
+
+// One operation of a JSON Patch (RFC 6902)
+const JSON_PATCH_OPERATION = {
+    type: 'object',
+    properties: {
+        op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+        path: { type: 'string', description: 'JSON Pointer, e.g. /price' },
+        from: { type: 'string', description: 'JSON Pointer read by move and copy' },
+        value: {}
+    },
+    required: ['op', 'path']
+};
+
+const ETAG_HEADER = { description: 'Version of the record, e.g. "3"', schema: { type: 'string' } };
+
+/**
+ * Build the JSON Schema of a single field value
+ * @param {object} field - Field definition (see parseFieldDefinition)
+ * @param {string} dbChoice - Database choice (references hold the target's id)
+ * @returns {object} JSON Schema
+ */
+function getFieldSchema(field, dbChoice) {
+    const kind = getFieldKind(field);
+    const schema = field.kind === 'ref' ? { ...getIdSchema(dbChoice), description: `${field.ref} id` }
+        : kind === 'int' ? { type: 'integer' }
+        : kind === 'number' ? { type: 'number' }
+        : kind === 'boolean' ? { type: 'boolean' }
+        : kind === 'date' ? { type: 'string', format: 'date-time' }
+        : { type: 'string' };
+
+    if (field.enum) schema.enum = field.enum;
+    if (field.maxlength !== undefined) schema.maxLength = field.maxlength;
+    if (field.min !== undefined) schema.minimum = field.min;
+    if (field.max !== undefined) schema.maximum = field.max;
+
+    return field.isArray ? { type: 'array', items: schema } : schema;
+}
+
+/**
+ * JSON Schema of a record id
+ * @param {string} dbChoice - Database choice
+ * @returns {object} Integer for SQL databases, string otherwise
+ */
+function getIdSchema(dbChoice) {
+    return dbChoice === 'mysql' || dbChoice === 'postgres' || dbChoice === 'sqlite' ? { type: 'integer' } : { type: 'string' };
+}
+
+/**
+ * The id and timestamp properties each database adds to stored resources
+ * @param {string} dbChoice - Database choice
+ * @returns {{id: object, timestamps: object}} Property schemas keyed by name
+ */
+function getStoredProperties(dbChoice) {
+    const timestamp = { type: 'string', format: 'date-time', readOnly: true };
+
+    if (dbChoice === 'mongodb') {
+        return {
+            id: { _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$', readOnly: true } },
+            timestamps: { createdAt: timestamp, updatedAt: timestamp }
+        };
+    }
+    if (dbChoice === 'mysql' || dbChoice === 'postgres' || dbChoice === 'sqlite') {
+        return {
+            id: { id: { type: 'integer', readOnly: true } },
+            timestamps: { created_at: timestamp, updated_at: timestamp }
+        };
+    }
+    return {
+        id: { id: { type: 'string', readOnly: true } },
+        timestamps: { createdAt: timestamp, updatedAt: timestamp }
+    };
+}
+
+/**
+ * Generate the component schemas of a resource
+ * `<Resource>` is what the API returns, `<Resource>Input` the POST body and
+ * `<Resource>Update` the body of PATCH (or of PUT in projects without PATCH), every field optional.
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @param {Array<object>|null} fields - Field definitions, or null if they could not be read
+ * @param {string} dbChoice - Database choice (mongodb, mysql, postgres, sqlite, memory)
+ * @returns {object} Schemas keyed by name
+ */
+export function getResourceSchemas(resourceName, fields, dbChoice) {
+    if (!fields) {
+        const anyObject = { type: 'object', additionalProperties: true };
+        return { [resourceName]: anyObject, [`${resourceName}Input`]: anyObject, [`${resourceName}Update`]: anyObject };
+    }
+
+    const { id, timestamps } = getStoredProperties(dbChoice);
+    const properties = Object.fromEntries(fields.map(field => [field.name, getFieldSchema(field, dbChoice)]));
+    const required = fields.filter(field => field.required).map(field => field.name);
+
+    return {
+        [resourceName]: {
+            type: 'object',
+            properties: { ...id, ...properties, ...timestamps }
+        },
+        [`${resourceName}Input`]: {
+            type: 'object',
+            properties,
+            ...(required.length > 0 && { required })
+        },
+        [`${resourceName}Update`]: {
+            type: 'object',
+            properties
+        }
+    };
+}
+
+/**
+ * Generate the query parameters of a GET collection endpoint
+ * @param {Array<object>|null} fields - Field definitions
+ * @returns {Array<object>} OpenAPI parameters
+ */
+function getListParameters(fields) {
+    const filters = (fields || [])
+        .filter(field => !field.isArray)
+        .map(field => ({
+            name: field.name,
+            in: 'query',
+            required: false,
+            description: `Filter by ${field.name}. Use ${field.name}[op]=value for the eq, ne, gt, gte, lt, lte and in (comma-separated) operators`,
+            schema: getFieldSchema(field)
+        }));
+
+    return [
+        { name: 'page', in: 'query', required: false, description: 'Page number (starts at 1)', schema: { type: 'integer', minimum: 1, default: 1 } },
+        { name: 'limit', in: 'query', required: false, description: 'Items per page', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+        { name: 'sort', in: 'query', required: false, description: 'Comma-separated fields, prefix with - for descending', schema: { type: 'string', default: '-createdAt' } },
+        ...filters
+    ];
+}
+
+// Members of the problem details body written by the generated errorHandler
+const PROBLEM_PROPERTIES = {
+    type: { type: 'string', default: 'about:blank' },
+    title: { type: 'string', description: 'HTTP status text' },
+    status: { type: 'integer' },
+    detail: { type: 'string' },
+    instance: { type: 'string', description: 'Request path' },
+    code: { type: 'string', description: 'Stable error code, e.g. NOT_FOUND or INVALID_QUERY' },
+    success: { type: 'boolean', const: false }
+};
+
+function jsonContent(schema) {
+    return { 'application/json': { schema } };
+}
+
+function dataResponse(description, dataSchema) {
+    return {
+        description,
+        content: jsonContent({
+            type: 'object',
+            properties: { success: { type: 'boolean', const: true }, data: dataSchema }
+        })
+    };
+}
+
+/**
+ * Mark an operation as requiring a JWT (and optionally one of some roles)
+ * @param {object} operation - OpenAPI operation
+ * @param {Array<string>} roles - Allowed roles (empty = any authenticated user)
+ * @returns {object} Operation with security and 401/403 responses
+ */
+function withAccess(operation, roles) {
+    return {
+        ...operation,
+        ...(roles.length > 0 && { description: `Requires one of the roles: ${roles.join(', ')}` }),
+        security: [{ bearerAuth: [] }],
+        responses: {
+            ...operation.responses,
+            401: { $ref: '#/components/responses/Unauthorized' },
+            ...(roles.length > 0 && { 403: { $ref: '#/components/responses/Forbidden' } })
+        }
+    };
+}
+
+/**
+ * Generate the CRUD paths of a resource
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @param {string} routePath - Path segment under the API prefix (e.g., 'products')
+ * @param {Array<object>|null} fields - Field definitions
+ * @param {string} dbChoice - Database choice
+ * @param {object|null} [access] - Roles keyed by HTTP method (see parseRouteAccess)
+ * @param {string} [apiPrefix] - Path the API is mounted under
+ * @param {Object} [options] - { softDelete } adds the trash and restore paths;
+ *   { bulk: { maxItems } } adds the /bulk paths (maxItems may be null when unknown);
+ *   { validation } documents the 422 of the validate() middleware on POST and PUT;
+ *   { patch } adds PATCH /{id} and documents PUT as a full replacement;
+ *   { etag } adds the ETag headers and the If-Match precondition of PUT and PATCH
+ * @returns {object} OpenAPI paths keyed by URL
+ */
+export function getResourcePaths(resourceName, routePath, fields, dbChoice, access = null, apiPrefix = '/api', options = {}) {
+    const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+    const tags = [resourceName];
+    const idParameter = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        description: dbChoice === 'mongodb' ? 'MongoDB ObjectId' : `${resourceName} id`,
+        schema: getIdSchema(dbChoice)
+    };
+    const references = getReferenceFields(fields || []);
+    const includeParameter = {
+        name: 'include',
+        in: 'query',
+        required: false,
+        description: `Comma-separated references to expand: ${references.map(field => field.name).join(', ')}`,
+        schema: { type: 'string' }
+    };
+
+    const paths = {
+        [`${apiPrefix}/${routePath}`]: {
+            get: {
+                tags,
+                summary: `Get all ${routePath}`,
+                operationId: `getAll${resourceName}s`,
+                parameters: getListParameters(fields),
+                responses: {
+                    200: {
+                        description: `A page of ${routePath}`,
+                        content: jsonContent({
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean', const: true },
+                                count: { type: 'integer' },
+                                data: { type: 'array', items: ref(resourceName) },
+                                meta: ref('ListMeta')
+                            }
+                        })
+                    },
+                    400: ERROR_RESPONSES[400],
+                    500: ERROR_RESPONSES[500]
+                }
+            },
+            post: {
+                tags,
+                summary: `Create a ${resourceName}`,
+                operationId: `create${resourceName}`,
+                requestBody: { required: true, content: jsonContent(ref(`${resourceName}Input`)) },
+                responses: {
+                    201: dataResponse(`${resourceName} created`, ref(resourceName)),
+                    400: ERROR_RESPONSES[400],
+                    500: ERROR_RESPONSES[500]
+                }
+            }
+        },
+        [`${apiPrefix}/${routePath}/{id}`]: {
+            parameters: [idParameter],
+            get: {
+                tags,
+                summary: `Get a ${resourceName} by id`,
+                operationId: `get${resourceName}ById`,
+                ...(references.length > 0 && { parameters: [includeParameter] }),
+                responses: { 200: dataResponse(`The ${resourceName}`, ref(resourceName)), ...ERROR_RESPONSES }
+            },
+            put: {
+                tags,
+                summary: `${options.patch ? 'Replace' : 'Update'} a ${resourceName}`,
+                operationId: `${options.patch ? 'replace' : 'update'}${resourceName}`,
+                requestBody: { required: true, content: jsonContent(ref(`${resourceName}${options.patch ? 'Input' : 'Update'}`)) },
+                responses: { 200: dataResponse(`${resourceName} updated`, ref(resourceName)), ...ERROR_RESPONSES }
+            },
+            delete: {
+                tags,
+                summary: `Delete a ${resourceName}`,
+                operationId: `delete${resourceName}`,
+                responses: {
+                    200: {
+                        description: `${resourceName} deleted`,
+                        content: jsonContent({
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean', const: true },
+                                message: { type: 'string' },
+                                data: { type: 'object' }
+                            }
+                        })
+                    },
+                    ...ERROR_RESPONSES
+                }
+            }
+        }
+    };
+
+    // Bodies checked by validate() (src/schemas) are rejected with a list of field errors
+    if (options.validation) {
+        const collection = paths[`${apiPrefix}/${routePath}`];
+        const item = paths[`${apiPrefix}/${routePath}/{id}`];
+        collection.post.responses = { ...collection.post.responses, 422: { $ref: '#/components/responses/ValidationError' } };
+        item.put.responses = { ...item.put.responses, 422: { $ref: '#/components/responses/ValidationError' } };
+    }
+
+    // GET /api/<targets>/{<field>Id}/<resources> for each reference
+    for (const { field, mountPath } of getNestedRoutes(resourceName, fields || [], apiPrefix)) {
+        const handlerName = `get${resourceName}sBy${field.name.charAt(0).toUpperCase()}${field.name.slice(1)}`;
+        paths[mountPath.replace(/:(\w+)/, '{$1}')] = {
+            parameters: [{ name: `${field.name}Id`, in: 'path', required: true, description: `${field.ref} id`, schema: getIdSchema(dbChoice) }],
+            get: {
+                ...paths[`${apiPrefix}/${routePath}`].get,
+                summary: `Get the ${routePath} of a ${field.ref}`,
+                operationId: handlerName,
+                responses: { ...paths[`${apiPrefix}/${routePath}`].get.responses, 404: ERROR_RESPONSES[404] }
+            }
+        };
+    }
+
+    // Taken before the access rules of GET are applied
+    const listOperation = paths[`${apiPrefix}/${routePath}`].get;
+    for (const [method, roles] of Object.entries(access || {})) {
+        for (const pathItem of Object.values(paths)) {
+            if (pathItem[method]) {
+                pathItem[method] = withAccess(pathItem[method], roles);
+            }
+        }
+    }
+
+    // PATCH takes a merge patch (the fields to change) or a JSON Patch, guarded like PUT
+    if (options.patch) {
+        const item = paths[`${apiPrefix}/${routePath}/{id}`];
+        const patch = {
+            tags,
+            summary: `Update a ${resourceName}`,
+            description: 'application/json bodies are read as merge patches.',
+            operationId: `patch${resourceName}`,
+            requestBody: {
+                required: true,
+                content: {
+                    'application/merge-patch+json': { schema: ref(`${resourceName}Update`) },
+                    'application/json-patch+json': { schema: { type: 'array', items: JSON_PATCH_OPERATION } }
+                }
+            },
+            responses: {
+                200: dataResponse(`${resourceName} updated`, ref(resourceName)),
+                ...ERROR_RESPONSES,
+                409: { $ref: '#/components/responses/Conflict' },
+                415: { $ref: '#/components/responses/UnsupportedMediaType' },
+                422: { $ref: '#/components/responses/ValidationError' }
+            }
+        };
+        item.patch = access && access.put ? withAccess(patch, access.put) : patch;
+    }
+
+    // add-crud --etag: reads carry the version as an ETag, and writes sent with a stale If-Match fail
+    if (options.etag) {
+        const item = paths[`${apiPrefix}/${routePath}/{id}`];
+        const collection = paths[`${apiPrefix}/${routePath}`];
+        const withETag = (response) => ({ ...response, headers: { ETag: ETAG_HEADER } });
+        const ifMatch = {
+            name: 'If-Match',
+            in: 'header',
+            required: false,
+            description: 'ETag the change is based on; 412 when the record has changed since',
+            schema: { type: 'string' }
+        };
+
+        item.get.responses = { ...item.get.responses, 200: withETag(item.get.responses[200]) };
+        collection.post.responses = { ...collection.post.responses, 201: withETag(collection.post.responses[201]) };
+        // DELETE answers with the deleted record, without an ETag
+        for (const method of ['put', 'patch', 'delete'].filter(method => item[method])) {
+            item[method] = {
+                ...item[method],
+                parameters: [...(item[method].parameters || []), ifMatch],
+                responses: {
+                    ...item[method].responses,
+                    ...(method !== 'delete' && { 200: withETag(item[method].responses[200]) }),
+                    412: { $ref: '#/components/responses/PreconditionFailed' }
+                }
+            };
+        }
+    }
+
+    // add-crud --soft-delete: DELETE moves records to the trash, guarded like DELETE
+    if (options.softDelete) {
+        const guard = (operation) => access && access.delete ? withAccess(operation, access.delete) : operation;
+        paths[`${apiPrefix}/${routePath}/trash`] = {
+            get: guard({
+                ...listOperation,
+                summary: `Get the deleted ${routePath}`,
+                operationId: `getDeleted${resourceName}s`,
+                parameters: listOperation.parameters.map(parameter => parameter.name === 'sort'
+                    ? { ...parameter, schema: { ...parameter.schema, default: '-updatedAt' } }
+                    : parameter)
+            })
+        };
+        paths[`${apiPrefix}/${routePath}/{id}/restore`] = {
+            parameters: [idParameter],
+            post: guard({
+                tags,
+                summary: `Restore a deleted ${resourceName}`,
+                operationId: `restore${resourceName}`,
+                responses: { 200: dataResponse(`${resourceName} restored`, ref(resourceName)), ...ERROR_RESPONSES }
+            })
+        };
+    }
+
+    // add-crud --bulk: batches guarded like POST, PUT and DELETE, answered with one result per item
+    if (options.bulk) {
+        const guard = (operation, method) => access && access[method] ? withAccess(operation, access[method]) : operation;
+        const batch = (items) => ({
+            type: 'array',
+            minItems: 1,
+            ...(options.bulk.maxItems && { maxItems: options.bulk.maxItems }),
+            items
+        });
+        const bulkBody = (name, items) => ({
+            required: true,
+            content: jsonContent({ type: 'object', required: [name], properties: { [name]: batch(items) } })
+        });
+        const bulkResponses = (status, description) => {
+            const response = {
+                description,
+                content: jsonContent({
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        count: { type: 'integer' },
+                        data: { type: 'array', items: BULK_RESULT },
+                        meta: {
+                            type: 'object',
+                            properties: { succeeded: { type: 'integer' }, failed: { type: 'integer' } }
+                        }
+                    }
+                })
+            };
+            return {
+                [status]: response,
+                207: { ...response, description: 'Some of the items failed (see the status of each result)' },
+                400: ERROR_RESPONSES[400],
+                500: ERROR_RESPONSES[500]
+            };
+        };
+
+        paths[`${apiPrefix}/${routePath}/bulk`] = {
+            post: guard({
+                tags,
+                summary: `Create several ${routePath}`,
+                operationId: `bulkCreate${resourceName}s`,
+                requestBody: bulkBody('items', ref(`${resourceName}Input`)),
+                responses: bulkResponses(201, `${resourceName}s created`)
+            }, 'post'),
+            patch: guard({
+                tags,
+                summary: `Update several ${routePath}`,
+                operationId: `bulkUpdate${resourceName}s`,
+                requestBody: bulkBody('items', {
+                    allOf: [
+                        { type: 'object', required: ['id'], properties: { id: getIdSchema(dbChoice) } },
+                        ref(`${resourceName}Update`)
+                    ]
+                }),
+                responses: bulkResponses(200, `${resourceName}s updated`)
+            }, 'put'),
+            delete: guard({
+                tags,
+                summary: `Delete several ${routePath}`,
+                operationId: `bulkDelete${resourceName}s`,
+                requestBody: bulkBody('ids', getIdSchema(dbChoice)),
+                responses: bulkResponses(200, `${resourceName}s deleted`)
+            }, 'delete')
+        };
+    }
+
+    return paths;
+}
+
+/**
+ * Generate the auth paths added by add-auth
+ * @param {string} [apiPrefix] - Path the API is mounted under
+ * @returns {object} OpenAPI paths keyed by URL
+ */
+export function getAuthPaths(apiPrefix = '/api') {
+    const tags = ['Auth'];
+    const session = { $ref: '#/components/schemas/AuthSession' };
+    const refreshBody = {
+        required: true,
+        content: jsonContent({ type: 'object', properties: { refreshToken: { type: 'string', maxLength: 200 } }, required: ['refreshToken'] })
+    };
+    const credentials = {
+        email: { type: 'string', format: 'email', maxLength: 255 },
+        password: { type: 'string', minLength: 6, maxLength: 128 }
+    };
+
+    return {
+        [`${apiPrefix}/auth/register`]: {
+            post: {
+                tags,
+                summary: 'Register a new user',
+                operationId: 'register',
+                requestBody: {
+                    required: true,
+                    content: jsonContent({
+                        type: 'object',
+                        properties: { username: { type: 'string', maxLength: 100 }, ...credentials },
+                        required: ['username', 'email', 'password']
+                    })
+                },
+                responses: {
+                    201: dataResponse('User registered', session),
+                    400: ERROR_RESPONSES[400],
+                    409: { description: 'A user with this email already exists', content: jsonContent({ $ref: '#/components/schemas/Error' }) },
+                    500: ERROR_RESPONSES[500]
+                }
+            }
+        },
+        [`${apiPrefix}/auth/login`]: {
+            post: {
+                tags,
+                summary: 'Login and receive a JWT',
+                operationId: 'login',
+                requestBody: {
+                    required: true,
+                    content: jsonContent({ type: 'object', properties: credentials, required: ['email', 'password'] })
+                },
+                responses: {
+                    200: dataResponse('Logged in', session),
+                    401: { $ref: '#/components/responses/Unauthorized' },
+                    500: ERROR_RESPONSES[500]
+                }
+            }
+        },
+        [`${apiPrefix}/auth/refresh`]: {
+            post: {
+                tags,
+                summary: 'Rotate the refresh token and receive a new token pair',
+                description: 'The presented refresh token is revoked. Presenting a revoked token again revokes every token issued from the same login.',
+                operationId: 'refreshToken',
+                requestBody: refreshBody,
+                responses: {
+                    200: dataResponse('New access and refresh tokens', { $ref: '#/components/schemas/AuthTokens' }),
+                    400: ERROR_RESPONSES[400],
+                    401: { $ref: '#/components/responses/Unauthorized' },
+                    500: ERROR_RESPONSES[500]
+                }
+            }
+        },
+        [`${apiPrefix}/auth/logout`]: {
+            post: {
+                tags,
+                summary: 'Revoke the refresh token and its family',
+                operationId: 'logout',
+                requestBody: refreshBody,
+                responses: {
+                    200: {
+                        description: 'Logged out',
+                        content: jsonContent({ type: 'object', properties: { success: { type: 'boolean', const: true }, message: { type: 'string' } } })
+                    },
+                    400: ERROR_RESPONSES[400],
+                    500: ERROR_RESPONSES[500]
+                }
+            }
+        },
+        [`${apiPrefix}/auth/me`]: {
+            get: {
+                tags,
+                summary: 'Get the authenticated user',
+                operationId: 'getCurrentUser',
+                security: [{ bearerAuth: [] }],
+                responses: {
+                    200: dataResponse('The authenticated user', { $ref: '#/components/schemas/AuthUser' }),
+                    401: { $ref: '#/components/responses/Unauthorized' },
+                    404: ERROR_RESPONSES[404],
+                    500: ERROR_RESPONSES[500]
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Generate the health check path (GET /), plus the probes of src/utils/health
+ * @param {object} [options]
+ * @param {boolean} [options.probes] - Whether the server mounts /health/live and /health/ready
+ * @returns {object} OpenAPI paths keyed by URL
+ */
+export function getHealthCheckPath({ probes = false } = {}) {
+    const probeStatus = (properties) => jsonContent({ type: 'object', properties });
+
+    return {
+        '/': {
+            get: {
+                tags: ['Health'],
+                summary: 'Check API health and view available endpoints',
+                operationId: 'healthCheck',
+                responses: {
+                    200: {
+                        description: 'API is running',
+                        content: jsonContent({ type: 'object', properties: { message: { type: 'string' }, database: { type: 'string' } } })
+                    }
+                }
+            }
+        },
+        ...(probes && {
+            '/health/live': {
+                get: {
+                    tags: ['Health'],
+                    summary: 'Liveness probe',
+                    operationId: 'healthLive',
+                    responses: {
+                        200: {
+                            description: 'The process is up',
+                            content: probeStatus({ status: { type: 'string', const: 'ok' }, uptime: { type: 'integer', description: 'Seconds since start' } })
+                        }
+                    }
+                }
+            },
+            '/health/ready': {
+                get: {
+                    tags: ['Health'],
+                    summary: 'Readiness probe (pings the database)',
+                    operationId: 'healthReady',
+                    responses: {
+                        200: {
+                            description: 'Ready to serve requests',
+                            content: probeStatus({ status: { type: 'string', const: 'ready' }, database: { type: 'string' } })
+                        },
+                        503: {
+                            description: 'The database does not answer or the server is shutting down',
+                            content: probeStatus({ status: { type: 'string' }, database: { type: 'string' } })
+                        }
+                    }
+                }
+            }
+        })
+    };
+}
+
+/**
+ * Generate the complete OpenAPI document
+ * @param {object} options
+ * @param {string} options.title - API title (project name)
+ * @param {string} options.version - API version (package.json version)
+ * @param {object} options.paths - Paths from getResourcePaths/getAuthPaths/getHealthCheckPath
+ * @param {object} options.schemas - Resource schemas from getResourceSchemas
+ * @param {boolean} [options.hasAuth] - Whether to include the JWT security scheme and auth schemas
+ * @param {boolean} [options.problemDetails] - Whether the errorHandler answers with RFC 7807 problem details
+ * @returns {object} OpenAPI 3.1 document
+ */
+export function getOpenApiDocument({ title, version, paths, schemas, hasAuth = false, problemDetails = false }) {
+    const errorContent = jsonContent({ $ref: '#/components/schemas/Error' });
+    // Resource errors go through errorHandler; the auth routes keep the plain Error envelope
+    const resourceErrorContent = problemDetails
+        ? { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } }
+        : errorContent;
+    const validationErrorProperties = problemDetails
+        ? { ...PROBLEM_PROPERTIES, code: { type: 'string', const: 'VALIDATION_FAILED' } }
+        : { success: { type: 'boolean', const: false }, error: { type: 'string', const: 'Validation failed' } };
+    const authUser = {
+        type: 'object',
+        properties: { id: { type: ['string', 'integer'] }, username: { type: 'string' }, email: { type: 'string', format: 'email' }, role: { type: 'string' } }
+    };
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title,
+            version,
+            description: `CRUD API for ${title}`
+        },
+        servers: [{ url: 'http://localhost:3000', description: 'Local development server' }],
+        paths,
+        components: {
+            schemas: {
+                ...schemas,
+                Error: {
+                    type: 'object',
+                    description: 'Error envelope returned by every failing request',
+                    properties: {
+                        success: { type: 'boolean', const: false },
+                        error: { type: 'string' }
+                    },
+                    required: ['error']
+                },
+                ...(problemDetails && {
+                    Problem: {
+                        type: 'object',
+                        description: 'RFC 7807 problem details returned by errorHandler; code is stable across message changes',
+                        properties: PROBLEM_PROPERTIES,
+                        required: ['title', 'status', 'code']
+                    }
+                }),
+                ValidationError: {
+                    type: 'object',
+                    description: 'Returned by the validate() middleware when the request body does not match its schema',
+                    properties: {
+                        ...validationErrorProperties,
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: { field: { type: 'string' }, message: { type: 'string' } },
+                                required: ['field', 'message']
+                            }
+                        }
+                    },
+                    required: problemDetails ? ['title', 'status', 'code', 'errors'] : ['error', 'errors']
+                },
+                ListMeta: {
+                    type: 'object',
+                    properties: {
+                        total: { type: 'integer' },
+                        page: { type: 'integer' },
+                        limit: { type: 'integer' },
+                        totalPages: { type: 'integer' }
+                    },
+                    required: ['total', 'page', 'limit', 'totalPages']
+                },
+                ...(hasAuth && {
+                    AuthUser: authUser,
+                    AuthTokens: {
+                        type: 'object',
+                        properties: {
+                            token: { type: 'string', description: 'Short-lived JWT access token' },
+                            refreshToken: { type: 'string', description: 'Single-use refresh token' }
+                        }
+                    },
+                    AuthSession: {
+                        allOf: [
+                            { $ref: '#/components/schemas/AuthTokens' },
+                            { type: 'object', properties: { user: { $ref: '#/components/schemas/AuthUser' } } }
+                        ]
+                    }
+                })
+            },
+            responses: {
+                BadRequest: { description: 'Invalid input or query parameters', content: resourceErrorContent },
+                NotFound: { description: 'Resource not found', content: resourceErrorContent },
+                ValidationError: {
+                    description: 'The request body failed validation',
+                    content: problemDetails
+                        ? { 'application/problem+json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+                        : jsonContent({ $ref: '#/components/schemas/ValidationError' })
+                },
+                Conflict: { description: 'The change clashes with the stored data', content: resourceErrorContent },
+                PreconditionFailed: { description: 'If-Match names a version the record is no longer at', content: resourceErrorContent },
+                UnsupportedMediaType: { description: 'The body is not a merge patch or a JSON Patch', content: resourceErrorContent },
+                ServerError: { description: 'Unexpected server error', content: resourceErrorContent },
+                ...(hasAuth && {
+                    Unauthorized: { description: 'Missing, invalid or expired credentials', content: errorContent },
+                    Forbidden: { description: 'The user\'s role is not allowed to do this', content: errorContent }
+                })
+            },
+            ...(hasAuth && {
+                securitySchemes: {
+                    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+                }
+            })
+        }
+    };
+}
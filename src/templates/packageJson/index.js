@@ -1,13 +1,52 @@
 // Package.json template generator
 
+import { getMigrationScripts } from '../migrations/index.js';
+import { getPluginDependencies } from '../../utils/pluginUtils.js';
+
+/**
+ * Packages used by the generated validation schemas (src/schemas) and validate() middleware
+ * @returns {object} Dependencies keyed by package name
+ */
+export function getValidationDependencies() {
+    return { zod: '^3.23.8' };
+}
+
+/**
+ * Packages used by the generated logger (src/utils/logger) and request logger middleware
+ * pino-pretty is a dependency because NODE_ENV=development also selects it in Docker images
+ * @returns {object} Dependencies keyed by package name
+ */
+export function getLoggingDependencies() {
+    return { pino: '^9.5.0', 'pino-pretty': '^11.3.0' };
+}
+
+/**
+ * Packages used by the generated GraphQL endpoint (src/graphql)
+ * @returns {object} Dependencies keyed by package name
+ */
+export function getGraphqlDependencies() {
+    return {
+        graphql: '^16.9.0',
+        'graphql-http': '^1.22.1',
+        '@graphql-tools/schema': '^10.0.6',
+        dataloader: '^2.2.2'
+    };
+}
+
 /**
  * Generate package.json content for new project
  * @param {string} projectName - Project name
- * @param {string} dbChoice - Database choice ('mongodb', 'mysql', 'memory')
+ * @param {string} dbChoice - Database choice ('mongodb', 'mysql', 'postgres', 'sqlite', 'memory')
  * @param {boolean} isTypeScript - Whether to use TypeScript
+ * @param {Object} [options] - { graphql } adds the packages of the GraphQL endpoint
  * @returns {object} Package.json content
  */
-export function getPackageJsonTemplate(projectName, dbChoice, isTypeScript) {
+export function getPackageJsonTemplate(projectName, dbChoice, isTypeScript, options = {}) {
+    // MySQL and PostgreSQL tables are managed by versioned migrations
+    const migrationScripts = dbChoice === 'mysql' || dbChoice === 'postgres' ? getMigrationScripts(isTypeScript) : {};
+    // Packages added by lazy-crud-plugin-* plugins (see src/utils/pluginUtils.js)
+    const plugins = getPluginDependencies({ database: dbChoice, isTypeScript });
+
     return {
         name: projectName,
         version: '1.0.0',
@@ -21,25 +60,37 @@ export function getPackageJsonTemplate(projectName, dbChoice, isTypeScript) {
             'type-check': 'tsc --noEmit',
             test: 'node --experimental-vm-modules node_modules/jest/bin/jest.js',
             'test:watch': 'node --experimental-vm-modules node_modules/jest/bin/jest.js --watch',
-            'test:coverage': 'node --experimental-vm-modules node_modules/jest/bin/jest.js --coverage'
+            'test:coverage': 'node --experimental-vm-modules node_modules/jest/bin/jest.js --coverage',
+            ...migrationScripts
         } : {
             start: 'node src/server.js',
             dev: 'nodemon src/server.js',
             test: 'node --experimental-vm-modules node_modules/jest/bin/jest.js',
             'test:watch': 'node --experimental-vm-modules node_modules/jest/bin/jest.js --watch',
-            'test:coverage': 'node --experimental-vm-modules node_modules/jest/bin/jest.js --coverage'
+            'test:coverage': 'node --experimental-vm-modules node_modules/jest/bin/jest.js --coverage',
+            ...migrationScripts
         },
         keywords: ['express', 'crud', 'api'],
         author: '',
         license: 'ISC',
+        // server.closeIdleConnections() (src/utils/shutdown) and pino 9 need Node 18.2
+        engines: {
+            node: '>=18.2'
+        },
         dependencies: {
             express: '^4.18.2',
             cors: '^2.8.5',
             dotenv: '^16.3.1',
             helmet: '^7.1.0',
             'express-rate-limit': '^7.1.5',
+            ...getValidationDependencies(),
+            ...getLoggingDependencies(),
+            ...(options.graphql && getGraphqlDependencies()),
             ...(dbChoice === 'mongodb' && { mongoose: '^8.0.3' }),
-            ...(dbChoice === 'mysql' && { mysql2: '^3.6.5' })
+            ...(dbChoice === 'mysql' && { mysql2: '^3.6.5' }),
+            ...(dbChoice === 'postgres' && { pg: '^8.11.3' }),
+            ...(dbChoice === 'sqlite' && { 'better-sqlite3': '^11.10.0' }),
+            ...plugins.dependencies
         },
         devDependencies: {
             jest: '^29.7.0',
@@ -48,6 +99,8 @@ export function getPackageJsonTemplate(projectName, dbChoice, isTypeScript) {
                 typescript: '^5.3.3',
                 tsx: '^4.7.0',
                 '@types/node': '^20.10.6',
+                ...(dbChoice === 'postgres' && { '@types/pg': '^8.10.9' }),
+                ...(dbChoice === 'sqlite' && { '@types/better-sqlite3': '^7.6.13' }),
                 '@types/express': '^4.17.21',
                 '@types/cors': '^2.8.17',
                 '@types/jest': '^29.5.11',
@@ -55,7 +108,8 @@ export function getPackageJsonTemplate(projectName, dbChoice, isTypeScript) {
                 'ts-jest': '^29.1.1'
             } : {
                 nodemon: '^3.0.1'
-            })
+            }),
+            ...plugins.devDependencies
         }
     };
 }
@@ -63,7 +117,7 @@ export function getPackageJsonTemplate(projectName, dbChoice, isTypeScript) {
 /**
  * Generate next steps instructions
  * @param {string} projectName - Project name
- * @param {string} dbChoice - Database choice ('mongodb', 'mysql', 'memory')
+ * @param {string} dbChoice - Database choice ('mongodb', 'mysql', 'postgres', 'sqlite', 'memory')
  * @returns {string} Next steps text
  */
 export function getNextStepsText(projectName, dbChoice) {
@@ -80,7 +134,23 @@ export function getNextStepsText(projectName, dbChoice) {
   2. npm install
   3. Create MySQL database: CREATE DATABASE ${projectName};
   4. Update .env file with your MySQL credentials
-  5. npm run dev (tables will be created automatically)
+  5. npm run migrate (creates the tables from migrations/)
+  6. npm run dev
+`;
+    } else if (dbChoice === 'postgres') {
+        return `
+  1. cd ${projectName}
+  2. npm install
+  3. Create PostgreSQL database: createdb ${projectName}
+  4. Update .env file with your PostgreSQL credentials
+  5. npm run migrate (creates the tables from migrations/)
+  6. npm run dev
+`;
+    } else if (dbChoice === 'sqlite') {
+        return `
+  1. cd ${projectName}
+  2. npm install
+  3. npm run dev (the database file and tables are created automatically)
 `;
     } else {
         return `
@@ -99,5 +169,7 @@ export function getNextStepsText(projectName, dbChoice) {
 export function getDatabaseDisplayName(dbChoice) {
     if (dbChoice === 'mongodb') return '🍃 MongoDB';
     if (dbChoice === 'mysql') return '🐬 MySQL';
+    if (dbChoice === 'postgres') return '🐘 PostgreSQL';
+    if (dbChoice === 'sqlite') return '🪶 SQLite';
     return '💾 In-Memory';
 }
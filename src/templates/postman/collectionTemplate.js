@@ -1,13 +1,24 @@
 // Postman collection template
 
+/**
+ * Split an API prefix into Postman URL path segments
+ * @param {string} apiPrefix - API prefix (e.g., '/api', '/api/v1' or '')
+ * @returns {Array<string>} Path segments (e.g., ['api', 'v1'])
+ */
+function getPrefixSegments(apiPrefix) {
+    return apiPrefix.split('/').filter(Boolean);
+}
+
 /**
  * Generate Postman collection item for a resource
  * @param {string} resourceName - Resource name (e.g., 'Product', 'User')
+ * @param {string} [apiPrefix] - Path the API is mounted under
  * @returns {object} Postman collection item
  */
-export function getResourceCollectionItem(resourceName) {
+export function getResourceCollectionItem(resourceName, apiPrefix = '/api') {
     const baseName = resourceName.toLowerCase();
     const routePath = baseName + 's';
+    const prefixSegments = getPrefixSegments(apiPrefix);
     
     return {
         name: resourceName,
@@ -18,11 +29,16 @@ export function getResourceCollectionItem(resourceName) {
                     method: 'GET',
                     header: [],
                     url: {
-                        raw: `{{baseUrl}}/api/${routePath}`,
+                        raw: `{{baseUrl}}${apiPrefix}/${routePath}?page=1&limit=20&sort=-createdAt`,
                         host: ['{{baseUrl}}'],
-                        path: ['api', routePath]
+                        path: [...prefixSegments, routePath],
+                        query: [
+                            { key: 'page', value: '1', description: 'Page number (starts at 1)' },
+                            { key: 'limit', value: '20', description: 'Items per page (max 100)' },
+                            { key: 'sort', value: '-createdAt', description: 'Comma-separated fields, prefix with - for descending' }
+                        ]
                     },
-                    description: `Retrieve all ${routePath} from the database`
+                    description: `Retrieve a page of ${routePath}. Filter with ?field=value or ?field[gte]=value (eq, ne, gt, gte, lt, lte, in)`
                 },
                 response: []
             },
@@ -32,9 +48,9 @@ export function getResourceCollectionItem(resourceName) {
                     method: 'GET',
                     header: [],
                     url: {
-                        raw: `{{baseUrl}}/api/${routePath}/:id`,
+                        raw: `{{baseUrl}}${apiPrefix}/${routePath}/:id`,
                         host: ['{{baseUrl}}'],
-                        path: ['api', routePath, ':id'],
+                        path: [...prefixSegments, routePath, ':id'],
                         variable: [
                             {
                                 key: 'id',
@@ -62,9 +78,9 @@ export function getResourceCollectionItem(resourceName) {
                         raw: `{\n  "name": "New ${resourceName}",\n  "description": "${resourceName} description"\n}`
                     },
                     url: {
-                        raw: `{{baseUrl}}/api/${routePath}`,
+                        raw: `{{baseUrl}}${apiPrefix}/${routePath}`,
                         host: ['{{baseUrl}}'],
-                        path: ['api', routePath]
+                        path: [...prefixSegments, routePath]
                     },
                     description: `Create a new ${baseName}`
                 },
@@ -85,9 +101,9 @@ export function getResourceCollectionItem(resourceName) {
                         raw: `{\n  "name": "Updated ${resourceName}",\n  "description": "Updated description"\n}`
                     },
                     url: {
-                        raw: `{{baseUrl}}/api/${routePath}/:id`,
+                        raw: `{{baseUrl}}${apiPrefix}/${routePath}/:id`,
                         host: ['{{baseUrl}}'],
-                        path: ['api', routePath, ':id'],
+                        path: [...prefixSegments, routePath, ':id'],
                         variable: [
                             {
                                 key: 'id',
@@ -106,9 +122,9 @@ export function getResourceCollectionItem(resourceName) {
                     method: 'DELETE',
                     header: [],
                     url: {
-                        raw: `{{baseUrl}}/api/${routePath}/:id`,
+                        raw: `{{baseUrl}}${apiPrefix}/${routePath}/:id`,
                         host: ['{{baseUrl}}'],
-                        path: ['api', routePath, ':id'],
+                        path: [...prefixSegments, routePath, ':id'],
                         variable: [
                             {
                                 key: 'id',
@@ -126,13 +142,39 @@ export function getResourceCollectionItem(resourceName) {
 }
 
 /**
- * Generate Postman collection item for the auth routes (register/login/me)
+ * Test script that stores the tokens from an auth response in collection
+ * variables, so later requests can use {{authToken}} and {{refreshToken}}
+ * @returns {Array<object>} Postman event list
+ */
+function getSaveTokensEvent() {
+    return [
+        {
+            listen: 'test',
+            script: {
+                type: 'text/javascript',
+                exec: [
+                    'const data = pm.response.json().data;',
+                    'if (data && data.token) {',
+                    '    pm.collectionVariables.set(\'authToken\', data.token);',
+                    '    pm.collectionVariables.set(\'refreshToken\', data.refreshToken);',
+                    '}'
+                ]
+            }
+        }
+    ];
+}
+
+/**
+ * Generate Postman collection item for the auth routes
+ * (register/login/refresh/logout/me)
  * These routes don't follow the generic CRUD pattern or plural naming
  * (they are mounted at '/api/auth', not '/api/auths'), so they need a
  * dedicated template instead of getResourceCollectionItem().
+ * @param {string} [apiPrefix] - Path the API is mounted under
  * @returns {object} Postman collection item for auth
  */
-export function getAuthCollectionItem() {
+export function getAuthCollectionItem(apiPrefix = '/api') {
+    const prefixSegments = getPrefixSegments(apiPrefix);
     return {
         name: 'Auth',
         item: [
@@ -148,15 +190,16 @@ export function getAuthCollectionItem() {
                     ],
                     body: {
                         mode: 'raw',
-                        raw: `{\n  "email": "user@example.com",\n  "password": "password123",\n  "name": "John Doe"\n}`
+                        raw: `{\n  "username": "johndoe",\n  "email": "user@example.com",\n  "password": "password123"\n}`
                     },
                     url: {
-                        raw: '{{baseUrl}}/api/auth/register',
+                        raw: `{{baseUrl}}${apiPrefix}/auth/register`,
                         host: ['{{baseUrl}}'],
-                        path: ['api', 'auth', 'register']
+                        path: [...prefixSegments, 'auth', 'register']
                     },
                     description: 'Register a new user'
                 },
+                event: getSaveTokensEvent(),
                 response: []
             },
             {
@@ -174,11 +217,59 @@ export function getAuthCollectionItem() {
                         raw: `{\n  "email": "user@example.com",\n  "password": "password123"\n}`
                     },
                     url: {
-                        raw: '{{baseUrl}}/api/auth/login',
+                        raw: `{{baseUrl}}${apiPrefix}/auth/login`,
+                        host: ['{{baseUrl}}'],
+                        path: [...prefixSegments, 'auth', 'login']
+                    },
+                    description: 'Login and receive an access token and a refresh token'
+                },
+                event: getSaveTokensEvent(),
+                response: []
+            },
+            {
+                name: 'Refresh Token',
+                request: {
+                    method: 'POST',
+                    header: [
+                        {
+                            key: 'Content-Type',
+                            value: 'application/json'
+                        }
+                    ],
+                    body: {
+                        mode: 'raw',
+                        raw: `{\n  "refreshToken": "{{refreshToken}}"\n}`
+                    },
+                    url: {
+                        raw: `{{baseUrl}}${apiPrefix}/auth/refresh`,
                         host: ['{{baseUrl}}'],
-                        path: ['api', 'auth', 'login']
+                        path: [...prefixSegments, 'auth', 'refresh']
                     },
-                    description: 'Login and receive a JWT token'
+                    description: 'Exchange the refresh token for a new token pair (the old refresh token is revoked)'
+                },
+                event: getSaveTokensEvent(),
+                response: []
+            },
+            {
+                name: 'Logout',
+                request: {
+                    method: 'POST',
+                    header: [
+                        {
+                            key: 'Content-Type',
+                            value: 'application/json'
+                        }
+                    ],
+                    body: {
+                        mode: 'raw',
+                        raw: `{\n  "refreshToken": "{{refreshToken}}"\n}`
+                    },
+                    url: {
+                        raw: `{{baseUrl}}${apiPrefix}/auth/logout`,
+                        host: ['{{baseUrl}}'],
+                        path: [...prefixSegments, 'auth', 'logout']
+                    },
+                    description: 'Revoke the refresh token and every token rotated from the same login'
                 },
                 response: []
             },
@@ -193,9 +284,9 @@ export function getAuthCollectionItem() {
                         }
                     ],
                     url: {
-                        raw: '{{baseUrl}}/api/auth/me',
+                        raw: `{{baseUrl}}${apiPrefix}/auth/me`,
                         host: ['{{baseUrl}}'],
-                        path: ['api', 'auth', 'me']
+                        path: [...prefixSegments, 'auth', 'me']
                     },
                     description: 'Get the currently authenticated user (requires JWT token)'
                 },
@@ -206,26 +297,51 @@ export function getAuthCollectionItem() {
 }
 
 /**
- * Generate health check collection item
- * @returns {object} Health check Postman collection item
+ * Build a GET request item for a path without the API prefix
+ * @param {string} name - Item name
+ * @param {string} urlPath - Path such as 'health/live' ('' for the root)
+ * @param {string} description - Request description
+ * @returns {object} Postman request item
  */
-export function getHealthCheckItem() {
+function getRootRequestItem(name, urlPath, description) {
     return {
-        name: 'Health Check',
+        name,
         request: {
             method: 'GET',
             header: [],
             url: {
-                raw: '{{baseUrl}}/',
+                raw: `{{baseUrl}}/${urlPath}`,
                 host: ['{{baseUrl}}'],
-                path: ['']
+                path: urlPath.split('/')
             },
-            description: 'Check API health and view available endpoints'
+            description
         },
         response: []
     };
 }
 
+/**
+ * Generate health check collection item
+ * @param {object} [options]
+ * @param {boolean} [options.probes] - Whether the server mounts the /health/live and /health/ready probes
+ * @returns {object} Health check Postman collection item (a folder when the probes exist)
+ */
+export function getHealthCheckItem({ probes = false } = {}) {
+    const apiInfo = getRootRequestItem('Health Check', '', 'Check API health and view available endpoints');
+    if (!probes) {
+        return apiInfo;
+    }
+
+    return {
+        name: 'Health Check',
+        item: [
+            { ...apiInfo, name: 'API Info' },
+            getRootRequestItem('Liveness', 'health/live', 'The process is up and serving requests'),
+            getRootRequestItem('Readiness', 'health/ready', 'The database answers and the server is not shutting down (503 otherwise)')
+        ]
+    };
+}
+
 /**
  * Generate complete Postman collection
  * @param {string} projectName - Project name
@@ -1,36 +1,32 @@
 // Database configuration templates for JavaScript projects
-// Supports MongoDB and MySQL
+// Supports MongoDB, MySQL, PostgreSQL and SQLite
 
 /**
  * Generate database configuration template
- * @param {string} dbChoice - Database choice: 'mongodb' or 'mysql'
+ * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', 'postgres' or 'sqlite'
  * @returns {string} Database configuration template code
  */
 export function getDatabaseConfigTemplate(dbChoice) {
     if (dbChoice === 'mongodb') {
         return `import mongoose from 'mongoose';
+import { config } from './env.js';
 
 // MongoDB Connection with security options
-if (!process.env.MONGODB_HOST || !process.env.MONGODB_DATABASE) {
-    console.error('❌ Missing MongoDB configuration in .env file');
-    console.error('Required: MONGODB_HOST, MONGODB_DATABASE');
-    console.error('Optional: MONGODB_USER, MONGODB_PASSWORD, MONGODB_PORT');
-    process.exit(1);
-}
+// MONGODB_HOST and MONGODB_DATABASE are required (checked by config/env at startup)
 
 const connectDB = async () => {
     try {
         // Build MongoDB URI from components
-        const port = process.env.MONGODB_PORT || '27017';
-        const hasAuth = process.env.MONGODB_USER && process.env.MONGODB_PASSWORD;
+        const { host, port, database, user, password } = config.db;
+        const hasAuth = user && password;
         
         const uri = hasAuth
-            ? \`mongodb://\${process.env.MONGODB_USER}:\${process.env.MONGODB_PASSWORD}@\${process.env.MONGODB_HOST}:\${port}/\${process.env.MONGODB_DATABASE}\`
-            : \`mongodb://\${process.env.MONGODB_HOST}:\${port}/\${process.env.MONGODB_DATABASE}\`;
+            ? \`mongodb://\${user}:\${password}@\${host}:\${port}/\${database}\`
+            : \`mongodb://\${host}:\${port}/\${database}\`;
         
         await mongoose.connect(uri, {
             // Security: Use TLS/SSL in production
-            ssl: process.env.NODE_ENV === 'production',
+            ssl: config.isProduction,
             // Timeout settings
             serverSelectionTimeoutMS: 5000,
             socketTimeoutMS: 45000,
@@ -43,23 +39,32 @@ const connectDB = async () => {
     }
 };
 
+// Readiness probe (GET /health/ready): fails until connectDB() has connected
+export const pingDatabase = async () => {
+    if (mongoose.connection.readyState !== 1) {
+        throw new Error('MongoDB is not connected');
+    }
+    await mongoose.connection.db?.admin().ping();
+};
+
+// Graceful shutdown: close the connection once in-flight requests are done
+export const closeDatabase = async () => {
+    await mongoose.connection.close();
+};
+
 export default connectDB;
 `;
     } else if (dbChoice === 'mysql') {
         return `import mysql from 'mysql2/promise';
+import { config } from './env.js';
 
 // MySQL Connection Pool
-if (!process.env.DB_HOST || !process.env.DB_USER || !process.env.DB_NAME) {
-    console.error('❌ Missing MySQL configuration in .env file');
-    console.error('Required: DB_HOST, DB_USER, DB_NAME, DB_PASSWORD');
-    process.exit(1);
-}
-
+// DB_HOST, DB_USER and DB_NAME are required (checked by config/env at startup)
 const db = mysql.createPool({
-    host: process.env.DB_HOST,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    database: process.env.DB_NAME,
+    host: config.db.host,
+    user: config.db.user,
+    password: config.db.password,
+    database: config.db.name,
     waitForConnections: true,
     connectionLimit: 10,
     queueLimit: 0
@@ -76,6 +81,93 @@ db.getConnection()
         process.exit(1);
     });
 
+// Readiness probe (GET /health/ready): a round trip through the pool
+export const pingDatabase = async () => {
+    await db.query('SELECT 1');
+};
+
+// Graceful shutdown: end the pool once in-flight requests are done
+export const closeDatabase = async () => {
+    await db.end();
+};
+
+export default db;
+`;
+    } else if (dbChoice === 'postgres') {
+        return `import pg from 'pg';
+import { config } from './env.js';
+
+const { Pool } = pg;
+
+// PostgreSQL Connection Pool
+// DB_HOST, DB_USER and DB_NAME are required (checked by config/env at startup)
+const db = new Pool({
+    host: config.db.host,
+    port: config.db.port,
+    user: config.db.user,
+    password: config.db.password,
+    database: config.db.name,
+    // Security: Use TLS/SSL when DB_SSL=true (required by most hosted providers)
+    ssl: config.db.ssl ? { rejectUnauthorized: true } : false,
+    max: 10,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 5000
+});
+
+// Test connection
+db.query('SELECT 1')
+    .then(() => {
+        console.log('✅ PostgreSQL connected successfully');
+    })
+    .catch(err => {
+        console.error('❌ PostgreSQL connection error:', err);
+        process.exit(1);
+    });
+
+// Readiness probe (GET /health/ready): a round trip through the pool
+export const pingDatabase = async () => {
+    await db.query('SELECT 1');
+};
+
+// Graceful shutdown: end the pool once in-flight requests are done
+export const closeDatabase = async () => {
+    await db.end();
+};
+
+export default db;
+`;
+    } else if (dbChoice === 'sqlite') {
+        return `import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { config } from './env.js';
+
+// SQLite database file (created on first connect)
+// Jest sets NODE_ENV=test, so tests run against a throwaway in-memory database
+const dbFile = config.nodeEnv === 'test' ? ':memory:' : config.db.file;
+
+if (dbFile !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+}
+
+const db = new Database(dbFile);
+
+// Write-ahead logging lets reads continue while a write is in progress
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+console.log(\`✅ SQLite connected (\${dbFile})\`);
+
+// Readiness probe (GET /health/ready)
+export const pingDatabase = async () => {
+    db.prepare('SELECT 1').get();
+};
+
+// Graceful shutdown: checkpoint the WAL and close the file
+export const closeDatabase = async () => {
+    db.close();
+};
+
 export default db;
 `;
     }
@@ -0,0 +1,221 @@
+// Environment configuration templates (src/config/env.js|ts)
+// Validates every variable of the .env template (see envTemplate.js) at startup
+
+/**
+ * Database settings read by config/env, per database
+ * Each entry: [config key, env variable, parser, default ('REQUIRED' when there is none), TypeScript type]
+ */
+const DATABASE_VARIABLES = {
+    mongodb: [
+        ['host', 'MONGODB_HOST', 'asString', 'REQUIRED', 'string'],
+        ['port', 'MONGODB_PORT', 'asPort', '27017', 'number'],
+        ['database', 'MONGODB_DATABASE', 'asString', 'REQUIRED', 'string'],
+        ['user', 'MONGODB_USER', 'asString', 'undefined', 'string | undefined'],
+        ['password', 'MONGODB_PASSWORD', 'asString', 'undefined', 'string | undefined']
+    ],
+    mysql: [
+        ['host', 'DB_HOST', 'asString', 'REQUIRED', 'string'],
+        ['user', 'DB_USER', 'asString', 'REQUIRED', 'string'],
+        ['password', 'DB_PASSWORD', 'asString', "''", 'string'],
+        ['name', 'DB_NAME', 'asString', 'REQUIRED', 'string']
+    ],
+    postgres: [
+        ['host', 'DB_HOST', 'asString', 'REQUIRED', 'string'],
+        ['port', 'DB_PORT', 'asPort', '5432', 'number'],
+        ['user', 'DB_USER', 'asString', 'REQUIRED', 'string'],
+        ['password', 'DB_PASSWORD', 'asString', "''", 'string'],
+        ['name', 'DB_NAME', 'asString', 'REQUIRED', 'string'],
+        ['ssl', 'DB_SSL', 'asBoolean', 'false', 'boolean']
+    ],
+    sqlite: [
+        ['file', 'DB_FILE', 'asString', "'./data/database.sqlite'", 'string']
+    ]
+};
+
+/**
+ * Token settings read by config/env once add-auth has run (same format as DATABASE_VARIABLES)
+ * JWT_SECRET has no default outside of tests, so a server never signs tokens with a known secret.
+ */
+const AUTH_VARIABLES = [
+    ['secret', 'JWT_SECRET', 'asString', "nodeEnv === 'test' ? 'test-jwt-secret' : REQUIRED", 'string'],
+    ['expiresIn', 'JWT_EXPIRES_IN', 'asString', "'15m'", 'string'],
+    ['refreshTokenTtlDays', 'REFRESH_TOKEN_TTL_DAYS', 'asInteger', '7', 'number']
+];
+
+/**
+ * Render a nested section of the Config interface and of the config object
+ * @param {string} key - Config key of the section (e.g., 'db')
+ * @param {Array<Array<string>>} variables - Rows of DATABASE_VARIABLES or AUTH_VARIABLES
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {{types: string, values: string}} Interface members and config entries, each starting with a newline
+ */
+function renderConfigSection(key, variables, isTypeScript) {
+    return {
+        types: `
+    ${key}: {
+${variables.map(([name, , , , type]) => `        ${name}: ${type};`).join('\n')}
+    };`,
+        values: `,
+        ${key}: {
+${variables.map(([name, variable, parser, fallback, type]) =>
+        `            ${name}: read${isTypeScript && fallback === 'undefined' ? `<${type}>` : ''}('${variable}', ${parser}, ${fallback})`).join(',\n')}
+        }`
+    };
+}
+
+/**
+ * Get the JWT section add-auth adds to an existing config/env (see AUTH_VARIABLES)
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {{types: string, values: string}} Config interface members and config entries
+ */
+export function getEnvConfigAuthSection(isTypeScript) {
+    return renderConfigSection('jwt', AUTH_VARIABLES, isTypeScript);
+}
+
+/**
+ * Generate the environment configuration module
+ * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', 'postgres', 'sqlite', or 'memory'
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Object} [options] - { auth } also reads the JWT settings of add-auth
+ * @returns {string} Environment configuration code
+ */
+function generateEnvConfigModule(dbChoice, isTypeScript, options = {}) {
+    const databaseVariables = DATABASE_VARIABLES[dbChoice] || [];
+    const t = (annotation) => isTypeScript ? annotation : '';
+    const usesParser = (name) => [...databaseVariables, ...(options.auth ? AUTH_VARIABLES : [])].some(([, , parser]) => parser === name);
+
+    const sections = [
+        ...(databaseVariables.length > 0 ? [renderConfigSection('db', databaseVariables, isTypeScript)] : []),
+        ...(options.auth ? [getEnvConfigAuthSection(isTypeScript)] : [])
+    ];
+    const sectionTypes = sections.map(section => section.types).join('');
+    const sectionValues = sections.map(section => section.values).join('');
+
+    return `// Environment configuration
+// Every variable of .env is read, converted and validated here once, when the
+// process starts; the rest of the app imports config instead of reading process.env.
+// server.${isTypeScript ? 'ts' : 'js'} loads .env (dotenv) before this module is evaluated.
+${isTypeScript ? `
+export type NodeEnv = 'development' | 'production' | 'test';
+export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'fatal' | 'silent';
+
+export interface Config {
+    port: number;
+    nodeEnv: NodeEnv;
+    isProduction: boolean;
+    logLevel: LogLevel;
+    shutdownTimeoutMs: number;
+    allowedOrigins: string[];${sectionTypes}
+}
+` : ''}
+const NODE_ENVS${t(': NodeEnv[]')} = ['development', 'production', 'test'];
+const LOG_LEVELS${t(': LogLevel[]')} = ['trace', 'debug', 'info', 'warn', 'error', 'fatal', 'silent'];
+
+// Default for variables that must be set
+const REQUIRED = Symbol('required');
+
+// Parsers turn a raw value into a typed one, or throw with the reason it is invalid
+${usesParser('asString') ? `// (strings are kept as they are: passwords may start or end with spaces)
+const asString = (value${t(': string')})${t(': string')} => value;
+
+` : ''}const asInteger = (value${t(': string')})${t(': number')} => {
+    if (!/^\\d+$/.test(value.trim())) {
+        throw new Error('must be a whole number');
+    }
+    return Number(value);
+};
+
+const asPort = (value${t(': string')})${t(': number')} => {
+    const port = asInteger(value);
+    if (port < 1 || port > 65535) {
+        throw new Error('must be a port between 1 and 65535');
+    }
+    return port;
+};
+${usesParser('asBoolean') ? `
+const asBoolean = (value${t(': string')})${t(': boolean')} => {
+    const flag = value.trim();
+    if (flag !== 'true' && flag !== 'false') {
+        throw new Error('must be true or false');
+    }
+    return flag === 'true';
+};
+` : ''}
+const asList = (value${t(': string')})${t(': string[]')} => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+const oneOf = ${t('<T extends string>')}(choices${t(': T[]')}) => (value${t(': string')})${t(': T')} => {
+    const choice = value.trim()${t(' as T')};
+    if (!choices.includes(choice)) {
+        throw new Error(\`must be one of: \${choices.join(', ')}\`);
+    }
+    return choice;
+};
+
+/**
+ * Read the configuration from a set of environment variables
+ * Every problem is collected, so a single run reports all of them.
+ */
+export const loadConfig = (env${t(': NodeJS.ProcessEnv')})${t(': { config: Config; errors: string[] }')} => {
+    const errors${t(': string[]')} = [];
+
+    const read = ${t('<T>')}(name${t(': string')}, parse${t(': (value: string) => T')}, fallback${t(': T | typeof REQUIRED')})${t(': T')} => {
+        const value = env[name];
+        if (value === undefined || value.trim() === '') {
+            if (fallback === REQUIRED) {
+                errors.push(\`\${name} is required\`);
+            }
+        } else {
+            try {
+                return parse(value);
+            } catch (error) {
+                errors.push(\`\${name}=\${JSON.stringify(value)} \${${isTypeScript ? '(error as Error)' : 'error'}.message}\`);
+            }
+        }
+        // Missing or invalid values are reported above; the process exits before using them
+        return ${isTypeScript ? '(fallback === REQUIRED ? undefined : fallback) as T' : 'fallback === REQUIRED ? undefined : fallback'};
+    };
+
+    const nodeEnv = read('NODE_ENV', oneOf(NODE_ENVS), 'development');
+    const config${t(': Config')} = {
+        port: read('PORT', asPort, 3000),
+        nodeEnv,
+        isProduction: nodeEnv === 'production',
+        logLevel: read('LOG_LEVEL', oneOf(LOG_LEVELS), nodeEnv === 'test' ? 'silent' : 'info'),
+        shutdownTimeoutMs: read('SHUTDOWN_TIMEOUT_MS', asInteger, 10000),
+        allowedOrigins: read('ALLOWED_ORIGINS', asList, ['http://localhost:3000', 'http://localhost:5173'])${sectionValues}
+    };
+
+    return { config, errors };
+};
+
+const result = loadConfig(process.env);
+if (result.errors.length > 0) {
+    console.error('❌ Invalid environment configuration:');
+    result.errors.forEach((error) => console.error(\`   - \${error}\`));
+    console.error('Please check your .env file');
+    process.exit(1);
+}
+
+export const config${t(': Config')} = result.config;
+`;
+}
+
+/**
+ * Generate the JavaScript environment configuration (src/config/env.js)
+ * @param {string} dbChoice - Database choice
+ * @param {Object} [options] - { auth } also reads the JWT settings of add-auth
+ * @returns {string} Environment configuration code
+ */
+export function getEnvConfigTemplate(dbChoice, options = {}) {
+    return generateEnvConfigModule(dbChoice, false, options);
+}
+
+/**
+ * Generate the TypeScript environment configuration (src/config/env.ts)
+ * @param {string} dbChoice - Database choice
+ * @param {Object} [options] - { auth } also reads the JWT settings of add-auth
+ * @returns {string} Environment configuration code
+ */
+export function getEnvConfigTemplateTS(dbChoice, options = {}) {
+    return generateEnvConfigModule(dbChoice, true, options);
+}
@@ -2,7 +2,7 @@
 
 /**
  * Generate .env template based on database choice
- * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', or 'memory'
+ * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', 'postgres', 'sqlite', or 'memory'
  * @param {string} projectName - Project name for database naming
  * @returns {string} .env template content
  */
@@ -10,6 +10,12 @@ export function getEnvTemplate(dbChoice, projectName) {
     let template = `PORT=3000
 NODE_ENV=development
 
+# Logging (pino): trace, debug, info, warn, error, fatal or silent
+# LOG_LEVEL=info
+
+# Graceful shutdown: milliseconds in-flight requests get after SIGTERM/SIGINT
+# SHUTDOWN_TIMEOUT_MS=10000
+
 # CORS Configuration
 # Comma-separated list of allowed origins for production
 # ALLOWED_ORIGINS=https://yourdomain.com,https://www.yourdomain.com,https://app.yourdomain.com
@@ -50,6 +56,30 @@ DB_NAME=${projectName}
 # DB_USER=your-db-user
 # DB_PASSWORD=your-secure-password
 # DB_NAME=${projectName}
+`;
+    } else if (dbChoice === 'postgres') {
+        template += `
+# PostgreSQL Connection
+DB_HOST=localhost
+DB_PORT=5432
+DB_USER=postgres
+DB_PASSWORD=
+DB_NAME=${projectName}
+# DB_SSL=true
+
+# Production PostgreSQL (with strong password - REQUIRED!):
+# DB_HOST=your-production-host
+# DB_PORT=5432
+# DB_USER=your-db-user
+# DB_PASSWORD=your-secure-password
+# DB_NAME=${projectName}
+# DB_SSL=true
+`;
+    } else if (dbChoice === 'sqlite') {
+        template += `
+# SQLite Database File
+# Created automatically on first start (Jest uses an in-memory database)
+DB_FILE=./data/${projectName}.sqlite
 `;
     }
     
@@ -2,12 +2,13 @@
 
 /**
  * Generate .gitignore content
+ * @param {string} [dbChoice] - Database choice (SQLite projects also ignore their data directory)
  * @returns {string} .gitignore content
  */
-export function getGitignoreTemplate() {
+export function getGitignoreTemplate(dbChoice) {
     return `node_modules/
 .env
 .DS_Store
 *.log
-`;
+${dbChoice === 'sqlite' ? 'data/\n' : ''}`;
 }
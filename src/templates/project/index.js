@@ -1,8 +1,25 @@
 // Central export for all project template generators
+// Projects can override them in .lazycrud/templates/project (see src/utils/templateUtils.js)
 
-export { getDatabaseConfigTemplate } from './databaseConfigTemplate.js';
-export { getServerTemplate } from './serverTemplate.js';
-export { getRoutesTemplate } from './routesTemplate.js';
-export { getEnvTemplate } from './envTemplate.js';
-export { getGitignoreTemplate } from './gitignoreTemplate.js';
-export { getReadmeTemplate } from './readmeTemplate.js';
+import { defineTemplateLayer } from '../../utils/templateUtils.js';
+import * as databaseConfigTemplate from './databaseConfigTemplate.js';
+import * as serverTemplate from './serverTemplate.js';
+import * as appTemplate from './appTemplate.js';
+import * as routesTemplate from './routesTemplate.js';
+import * as envTemplate from './envTemplate.js';
+import * as envConfigTemplate from './envConfigTemplate.js';
+import * as gitignoreTemplate from './gitignoreTemplate.js';
+import * as readmeTemplate from './readmeTemplate.js';
+
+export const {
+    getDatabaseConfigTemplate,
+    getServerTemplate,
+    getAppTemplate,
+    getRoutesTemplate,
+    getEnvTemplate,
+    getEnvConfigTemplate,
+    getEnvConfigTemplateTS,
+    getEnvConfigAuthSection,
+    getGitignoreTemplate,
+    getReadmeTemplate
+} = defineTemplateLayer('project', databaseConfigTemplate, serverTemplate, appTemplate, routesTemplate, envTemplate, envConfigTemplate, gitignoreTemplate, readmeTemplate);
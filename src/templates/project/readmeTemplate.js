@@ -2,17 +2,32 @@
 
 /**
  * Generate README.md template based on database choice
- * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', or 'memory'
+ * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', 'postgres', 'sqlite', or 'memory'
  * @param {string} projectName - Project name
+ * @param {Object} [options] - { graphql } documents the /graphql endpoint
  * @returns {string} README.md content
  */
-export function getReadmeTemplate(dbChoice, projectName) {
+export function getReadmeTemplate(dbChoice, projectName, options = {}) {
+    const migrationsSection = `
+### Migrations
+
+Tables are managed by numbered SQL files in \`migrations/\` (\`001_create_items.sql\`, ...).
+\`add-crud\` writes a new migration for every resource it creates.
+
+\`\`\`bash
+npm run migrate            # apply pending migrations
+npm run migrate:rollback   # revert the last applied migration
+\`\`\`
+
+Applied migrations are recorded in the \`schema_migrations\` table, so running \`npm run migrate\` again is safe.
+`;
+
     const dbSetup = dbChoice === 'mongodb' ? `
 ### Database Setup (MongoDB)
 
 1. Install MongoDB on your machine
 2. Start MongoDB service
-3. Update the \`MONGODB_URI\` in \`.env\` file if needed
+3. Update \`MONGODB_HOST\` and \`MONGODB_DATABASE\` in \`.env\` file if needed
 
 The database will be created automatically when you start the server.
 ` : dbChoice === 'mysql' ? `
@@ -26,30 +41,67 @@ CREATE DATABASE ${projectName};
 
 3. Update the database credentials in \`.env\` file
 
-4. Run the table initialization (the table will be created automatically on first run, or you can create it manually):
-\`\`\`sql
-USE ${projectName};
+4. Create the tables:
+\`\`\`bash
+npm run migrate
+\`\`\`
+${migrationsSection}` : dbChoice === 'postgres' ? `
+### Database Setup (PostgreSQL)
 
-CREATE TABLE items (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    name VARCHAR(255) NOT NULL,
-    description TEXT,
-    price DECIMAL(10, 2) DEFAULT 0,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-);
+1. Install PostgreSQL on your machine
+2. Create a database:
+\`\`\`bash
+createdb ${projectName}
 \`\`\`
+
+3. Update the database credentials in \`.env\` file (set \`DB_SSL=true\` for hosted databases)
+
+4. Create the tables:
+\`\`\`bash
+npm run migrate
+\`\`\`
+${migrationsSection}` : dbChoice === 'sqlite' ? `
+### Database Setup (SQLite)
+
+No database server is needed. The database file (\`DB_FILE\` in \`.env\`, default \`./data/${projectName}.sqlite\`)
+and its tables are created automatically on first start, so data survives restarts.
+
+Tests run against an in-memory SQLite database, so \`npm test\` never touches your data file.
 ` : `
 ### Note
 
 This project uses in-memory storage for demonstration purposes.
 Data will be lost when the server restarts.
-For production, consider using a real database like MongoDB or MySQL.
+For production, consider using a real database like MongoDB, MySQL or PostgreSQL (or SQLite for a zero-setup file database).
 `;
 
+    const graphqlSection = options.graphql ? `
+## GraphQL
+
+\`POST http://localhost:3000/graphql\` serves the same items through GraphQL (\`src/graphql\`). The resolvers
+call the services of the REST routes, so validation, errors and list options are the same:
+
+\`\`\`graphql
+query {
+  items(page: 1, limit: 10, sort: "-price", filter: [{ field: "price", op: gte, value: "10" }]) {
+    data { id name price createdAt }
+    meta { total totalPages }
+  }
+}
+
+mutation {
+  createItem(input: { name: "New Item", price: 150 }) { id name }
+}
+\`\`\`
+
+Errors carry the code of the REST problem details in \`extensions.code\` (e.g. \`NOT_FOUND\`, \`VALIDATION_FAILED\`
+with the invalid fields in \`extensions.errors\`). References between resources are resolved to the
+referenced record, batched per request with DataLoader. \`add-crud\` adds every new resource to the endpoint.
+` : '';
+
     return `# ${projectName}
 
-Express CRUD API with ${dbChoice === 'mongodb' ? 'MongoDB' : dbChoice === 'mysql' ? 'MySQL' : 'In-Memory Storage'}
+Express CRUD API with ${dbChoice === 'mongodb' ? 'MongoDB' : dbChoice === 'mysql' ? 'MySQL' : dbChoice === 'postgres' ? 'PostgreSQL' : dbChoice === 'sqlite' ? 'SQLite' : 'In-Memory Storage'}
 
 ## Installation
 
@@ -69,13 +121,28 @@ npm run dev
 npm start
 \`\`\`
 
+### Configuration
+
+Settings are read from \`.env\` by \`src/config/env.js\` when the server starts. A missing or invalid
+variable stops the server with a list of every problem. Import \`config\` from there instead of reading \`process.env\`.
+
+\`src/app.js\` exports \`createApp()\`, which builds the Express app without listening, so tests can pass it to supertest.
+
 ## API Endpoints
 
 ### Get all items
 \`\`\`
 GET http://localhost:3000/api/items
+GET http://localhost:3000/api/items?page=2&limit=10&sort=-price,name&price[gte]=10
 \`\`\`
 
+- \`page\` / \`limit\` - pagination (default 20 per page, max 100)
+- \`sort\` - comma-separated fields, \`-\` for descending (default \`-createdAt\`)
+- \`<field>=value\` or \`<field>[op]=value\` - filters with \`eq\`, \`ne\`, \`gt\`, \`gte\`, \`lt\`, \`lte\`, \`in\` (comma-separated)
+
+Only the resource's own fields can be filtered and sorted; anything else returns 400.
+The response includes \`meta: { total, page, limit, totalPages }\`.
+
 ### Get item by ID
 \`\`\`
 GET http://localhost:3000/api/items/:id
@@ -93,7 +160,7 @@ Content-Type: application/json
 }
 \`\`\`
 
-### Update item
+### Replace item
 \`\`\`
 PUT http://localhost:3000/api/items/:id
 Content-Type: application/json
@@ -105,26 +172,56 @@ Content-Type: application/json
 }
 \`\`\`
 
+PUT replaces the whole item: fields left out are cleared.
+
+### Update item
+\`\`\`
+PATCH http://localhost:3000/api/items/:id
+Content-Type: application/merge-patch+json
+
+{
+    "price": 180,
+    "description": null
+}
+\`\`\`
+
+A JSON Merge Patch changes the fields it lists (\`null\` clears one). JSON Patch operations work too:
+
+\`\`\`
+PATCH http://localhost:3000/api/items/:id
+Content-Type: application/json-patch+json
+
+[
+    { "op": "test", "path": "/price", "value": 180 },
+    { "op": "replace", "path": "/price", "value": 200 }
+]
+\`\`\`
+
 ### Delete item
 \`\`\`
 DELETE http://localhost:3000/api/items/:id
 \`\`\`
-
+${graphqlSection}
 ## Project Structure
 
 \`\`\`
 ${projectName}/
 ├── src/
 │   ├── config/
-│   │   └── database.js${dbChoice === 'mongodb' || dbChoice === 'mysql' ? ' (database connection)' : ''}
+│   │   ├── env.js (validated environment variables)${dbChoice !== 'memory' ? `
+│   │   └── database.js (database connection)` : ''}
 │   ├── controllers/
-│   │   └── itemController.js
+│   │   └── itemController.js${options.graphql ? `
+│   ├── graphql/
+│   │   ├── index.js (schema and /graphql handler)
+│   │   └── itemGraphql.js (types and resolvers)` : ''}
 │   ├── models/
 │   │   └── Item.js
 │   ├── routes/
 │   │   └── itemRoutes.js
 │   ├── middlewares/
-│   └── server.js
+│   ├── app.js (createApp(): middleware and routes)
+│   └── server.js (starts listening)
 ├── .env
 ├── .gitignore
 ├── package.json
@@ -134,8 +231,10 @@ ${projectName}/
 ## Technologies
 
 - Express.js - Web framework
-- ${dbChoice === 'mongodb' ? 'MongoDB with Mongoose - Database' : dbChoice === 'mysql' ? 'MySQL - Database' : 'In-Memory Storage (for demo)'}
+- ${dbChoice === 'mongodb' ? 'MongoDB with Mongoose - Database' : dbChoice === 'mysql' ? 'MySQL - Database' : dbChoice === 'postgres' ? 'PostgreSQL (pg) - Database' : dbChoice === 'sqlite' ? 'SQLite (better-sqlite3) - Database' : 'In-Memory Storage (for demo)'}
 - helmet - Security headers
+- pino - Structured logging with request IDs${options.graphql ? `
+- graphql-http and DataLoader - GraphQL endpoint with batched relation lookups` : ''}
 - express-rate-limit - Rate limiting protection
 - CORS - Cross-origin resource sharing
 - dotenv - Environment variables
@@ -148,7 +247,7 @@ This API includes several security measures:
 - **Rate Limiting**: 100 requests per 15 minutes per IP
 - **Input Validation**: Type and length validation on all inputs
 - **MongoDB ObjectId Validation**: Prevents NoSQL injection${dbChoice === 'mongodb' ? '' : ' (when using MongoDB)'}
-- **SQL Parameterized Queries**: Prevents SQL injection${dbChoice === 'mysql' ? '' : ' (when using MySQL)'}
+- **SQL Parameterized Queries**: Prevents SQL injection${dbChoice === 'mysql' || dbChoice === 'postgres' || dbChoice === 'sqlite' ? '' : ' (when using MySQL, PostgreSQL or SQLite)'}
 - **Payload Size Limit**: 10MB max to prevent DoS
 - **Error Message Sanitization**: No sensitive data exposed in production
 
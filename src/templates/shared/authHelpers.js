@@ -7,17 +7,9 @@
  * JWT token helpers
  */
 export const jwtHelpers = {
-    /**
-     * Generate JWT configuration constants
-     * @returns {string} JWT config code
-     */
-    generateConfig: () => {
-        return `const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';`;
-    },
-
     /**
      * Generate JWT token generation function
+     * The secret and lifetime come from config/env (JWT_SECRET, JWT_EXPIRES_IN)
      * @param {boolean} isTypeScript - TypeScript flag
      * @returns {string} Token generation code
      */
@@ -26,32 +18,73 @@ const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';`;
             return `/**
  * Generate JWT token for user
  * @param userId - User ID to encode in token
+ * @param role - User role, checked by requireRole()
  * @returns JWT token string
  */
-function generateToken(userId: string): string {
-    return jwt.sign({ id: userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+function generateToken(userId: string, role: string): string {
+    return jwt.sign({ id: userId, role }, config.jwt.secret, { expiresIn: config.jwt.expiresIn as jwt.SignOptions['expiresIn'] });
 }`;
         }
 
         return `/**
  * Generate JWT token for user
  * @param {string} userId - User ID to encode in token
+ * @param {string} role - User role, checked by requireRole()
  * @returns {string} JWT token
  */
-function generateToken(userId) {
-    return jwt.sign({ id: userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+function generateToken(userId, role) {
+    return jwt.sign({ id: userId, role }, config.jwt.secret, { expiresIn: config.jwt.expiresIn });
+}`;
+    },
+
+    /**
+     * Generate refresh token helpers (hashing and issuing a token pair)
+     * Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+     * They live REFRESH_TOKEN_TTL_DAYS days (config.jwt.refreshTokenTtlDays)
+     * @param {boolean} isTypeScript - TypeScript flag
+     * @returns {string} Refresh token helper code
+     */
+    generateRefreshTokenFunctions: (isTypeScript = false) => {
+        const t = (annotation) => isTypeScript ? annotation : '';
+        const docType = (type) => isTypeScript ? '' : `{${type}} `;
+
+        return `/**
+ * Hash a refresh token for storage and lookup
+ * @param ${docType('string')}token - Refresh token sent by the client
+ * @returns ${docType('string')}SHA-256 hex digest
+ */
+function hashToken(token${t(': string')})${t(': string')} {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a short-lived access token and a new refresh token
+ * @param ${docType('Object')}user - User whose id and role go into the access token
+ * @param ${docType('string')}family - Token family; a new one is started on every login
+ * @returns ${docType('Promise<Object>')}The access token and the refresh token
+ */
+async function issueTokens(user${t(': { id: string; role: string }')}, family${t(': string')} = crypto.randomUUID())${t(': Promise<{ token: string; refreshToken: string }>')} {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    await RefreshToken.create({
+        userId: user.id,
+        tokenHash: hashToken(refreshToken),
+        family,
+        expiresAt: new Date(Date.now() + config.jwt.refreshTokenTtlDays * 24 * 60 * 60 * 1000)
+    });
+    return { token: generateToken(user.id, user.role), refreshToken };
 }`;
     },
 
     /**
      * Generate JWT token verification middleware
+     * Missing and invalid tokens go to next() as UnauthorizedError (401 from errorHandler)
      * @param {boolean} isTypeScript - TypeScript flag
      * @returns {string} Verification middleware code
      */
     generateVerificationMiddleware: (isTypeScript = false) => {
         const typeImport = isTypeScript ? `import { Request, Response, NextFunction } from 'express';\n` : '';
         const typeAnnotations = isTypeScript 
-            ? '(req: Request, res: Response, next: NextFunction)' 
+            ? '(req: Request, _res: Response, next: NextFunction)' 
             : '(req, res, next)';
 
         return `${typeImport}/**
@@ -59,42 +92,63 @@ function generateToken(userId) {
  * Middleware to protect routes
  */
 export const verifyToken = ${typeAnnotations} => {
-    try {
-        // Get token from header
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ 
-                success: false,
-                error: 'No token provided' 
-            });
-        }
+    // Get token from header
+    const authHeader = req.headers.authorization;
 
-        const token = authHeader.substring(7);
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return next(new UnauthorizedError('No token provided', 'TOKEN_MISSING'));
+    }
 
-        // Security: Input validation
-        if (!token || typeof token !== 'string' || token.length > 500) {
-            return res.status(401).json({ 
-                success: false,
-                error: 'Invalid token' 
-            });
-        }
+    const token = authHeader.substring(7);
 
-        // Verify token
-        const decoded = jwt.verify(token, JWT_SECRET)${isTypeScript ? ' as { id: string }' : ''};
-        ${isTypeScript ? 'req.userId = decoded.id;' : 'req.userId = decoded.id;'}
-        next();
-    } catch (error) {
-        console.error('Token verification error:', error);
-        return res.status(401).json({ 
-            success: false,
-            error: 'Invalid or expired token' 
-        });
+    // Security: Input validation
+    if (!token || typeof token !== 'string' || token.length > 500) {
+        return next(new UnauthorizedError('Invalid token', 'INVALID_TOKEN'));
+    }
+
+    // Verify token (bad signature, malformed or expired)
+    let decoded${isTypeScript ? ': { id: string; role?: string }' : ''};
+    try {
+        decoded = jwt.verify(token, config.jwt.secret)${isTypeScript ? ' as { id: string; role?: string }' : ''};
+    } catch {
+        return next(new UnauthorizedError('Invalid or expired token', 'INVALID_TOKEN'));
     }
+
+    ${isTypeScript ? '(req as any).userId = decoded.id;' : 'req.userId = decoded.id;'}
+    ${isTypeScript ? '(req as any).userRole = decoded.role;' : 'req.userRole = decoded.role;'}
+    next();
 };`;
     }
 };
 
+/**
+ * Generate the role check middleware (used after verifyToken)
+ * @param {boolean} isTypeScript - TypeScript flag
+ * @returns {string} requireRole middleware code
+ */
+export function generateRoleMiddleware(isTypeScript = false) {
+    const params = isTypeScript ? '(req: Request, _res: Response, next: NextFunction)' : '(req, res, next)';
+
+    return `/**
+ * Allow only users with one of the given roles
+ * Must run after verifyToken, which reads the role claim from the JWT
+ * @example router.delete('/:id', verifyToken, requireRole('admin'), controller.remove)
+ */
+export const requireRole = (...roles${isTypeScript ? ': string[]' : ''}) => ${params} => {
+    const role = ${isTypeScript ? '(req as any).userRole' : 'req.userRole'};
+
+    if (!role) {
+        return next(new UnauthorizedError());
+    }
+
+    if (!roles.includes(role)) {
+        return next(new ForbiddenError('Insufficient permissions'));
+    }
+
+    next();
+};`;
+}
+
 /**
  * Password hashing helpers
  */
@@ -175,21 +229,21 @@ export const userValidationHelpers = {
     generateRegistrationValidation: () => {
         return `    // Security: Input validation
     if (!userData.email || typeof userData.email !== 'string' || userData.email.length > 255) {
-        throw new Error('Invalid email');
+        throw new BadRequestError('Invalid email', 'INVALID_USER');
     }
     
     const emailRegex = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
     if (!emailRegex.test(userData.email)) {
-        throw new Error('Invalid email format');
+        throw new BadRequestError('Invalid email format', 'INVALID_USER');
     }
     
     if (!userData.password || typeof userData.password !== 'string' || 
         userData.password.length < 6 || userData.password.length > 128) {
-        throw new Error('Password must be between 6 and 128 characters');
+        throw new BadRequestError('Password must be between 6 and 128 characters', 'INVALID_USER');
     }
     
     if (!userData.username || typeof userData.username !== 'string' || userData.username.length > 100) {
-        throw new Error('Invalid username');
+        throw new BadRequestError('Invalid username', 'INVALID_USER');
     }`;
     },
 
@@ -200,42 +254,37 @@ export const userValidationHelpers = {
     generateLoginValidation: () => {
         return `    // Security: Input validation
     if (!credentials.email || typeof credentials.email !== 'string' || credentials.email.length > 255) {
-        throw new Error('Invalid email');
+        throw new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS');
     }
     
     if (!credentials.password || typeof credentials.password !== 'string' || credentials.password.length > 128) {
-        throw new Error('Invalid password');
+        throw new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS');
     }`;
     }
 };
 
 /**
  * Generate complete auth controller methods
+ * Failures go to next() as AppErrors, so errorHandler answers them like every other route
  * @param {boolean} isTypeScript - TypeScript flag
  * @returns {Object} Auth controller methods
  */
 export function generateAuthControllerMethods(isTypeScript = false) {
-    const typeAnnotations = isTypeScript ? {
-        req: 'req: Request',
-        res: 'res: Response',
-        returnType: ': Promise<void>'
-    } : {
-        req: 'req',
-        res: 'res',
-        returnType: ''
-    };
+    const signature = isTypeScript
+        ? '(req: Request, res: Response, next: NextFunction): Promise<void>'
+        : '(req, res, next)';
 
     return {
         register: `/**
  * Register new user
  * @route POST /api/auth/register
  */
-export const register = async (${typeAnnotations.req}, ${typeAnnotations.res})${typeAnnotations.returnType} => {
+export const register = async ${signature} => {
     try {
-        const user = await userService.registerUser(req.body);
+        const user = await User.create(req.body);
         
-        // Generate token
-        const token = generateToken(user.id);
+        // Generate access and refresh tokens
+        const tokens = await issueTokens(user);
         
         res.status(201).json({
             success: true,
@@ -243,32 +292,15 @@ export const register = async (${typeAnnotations.req}, ${typeAnnotations.res})${
                 user: {
                     id: user.id,
                     username: user.username,
-                    email: user.email
+                    email: user.email,
+                    role: user.role
                 },
-                token
+                ...tokens
             }
         });
     } catch (error) {
-        console.error('Registration error:', error);
-        
-        if (error.message.includes('already exists') || error.message.includes('Duplicate')) {
-            return res.status(409).json({
-                success: false,
-                error: error.message
-            });
-        }
-        
-        if (error.message.includes('Invalid') || error.message.includes('required')) {
-            return res.status(400).json({
-                success: false,
-                error: error.message
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            error: 'Failed to register user'
-        });
+        // User.create throws BadRequestError (INVALID_USER) and ConflictError (USER_EXISTS)
+        next(error);
     }
 };`,
 
@@ -276,12 +308,23 @@ export const register = async (${typeAnnotations.req}, ${typeAnnotations.res})${
  * Login user
  * @route POST /api/auth/login
  */
-export const login = async (${typeAnnotations.req}, ${typeAnnotations.res})${typeAnnotations.returnType} => {
+export const login = async ${signature} => {
     try {
-        const user = await userService.loginUser(req.body);
+        const { email, password } = req.body;
         
-        // Generate token
-        const token = generateToken(user.id);
+        // Malformed credentials are answered like wrong passwords
+        if (!email || typeof email !== 'string' || email.length > 255
+            || !password || typeof password !== 'string' || password.length > 128) {
+            throw new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS');
+        }
+        
+        const user = await User.findByEmail(email);
+        if (!user || !(await User.comparePassword(password, user.password))) {
+            throw new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS');
+        }
+        
+        // Generate access and refresh tokens
+        const tokens = await issueTokens(user);
         
         res.json({
             success: true,
@@ -289,41 +332,98 @@ export const login = async (${typeAnnotations.req}, ${typeAnnotations.res})${typ
                 user: {
                     id: user.id,
                     username: user.username,
-                    email: user.email
+                    email: user.email,
+                    role: user.role
                 },
-                token
+                ...tokens
             }
         });
     } catch (error) {
-        console.error('Login error:', error);
+        next(error);
+    }
+};`,
+
+        refresh: `/**
+ * Exchange a refresh token for a new access token and refresh token
+ * The presented token is revoked (rotation); presenting a revoked token again
+ * means it leaked, so every token in its family is revoked.
+ * @route POST /api/auth/refresh
+ */
+export const refresh = async ${signature} => {
+    try {
+        const { refreshToken } = req.body;
         
-        if (error.message.includes('Invalid') || error.message.includes('not found')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid credentials'
-            });
+        // Security: Input validation
+        if (!refreshToken || typeof refreshToken !== 'string' || refreshToken.length > 200) {
+            throw new BadRequestError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
         }
         
-        res.status(500).json({
-            success: false,
-            error: 'Failed to login'
+        const stored = await RefreshToken.findByHash(hashToken(refreshToken));
+        if (!stored || stored.expiresAt.getTime() <= Date.now()) {
+            throw new UnauthorizedError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+        }
+        
+        // Reuse detection: the token was already rotated (or revoked by a concurrent request)
+        if (stored.revokedAt || !(await RefreshToken.revoke(stored.id))) {
+            await RefreshToken.revokeFamily(stored.family);
+            throw new UnauthorizedError('Refresh token reuse detected', 'REFRESH_TOKEN_REUSED');
+        }
+        
+        // Reload the user so role changes apply to the new access token
+        const user = await User.findById(stored.userId);
+        if (!user) {
+            throw new UnauthorizedError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+        }
+        
+        const tokens = await issueTokens(user, stored.family);
+        
+        res.json({
+            success: true,
+            data: tokens
         });
+    } catch (error) {
+        next(error);
+    }
+};`,
+
+        logout: `/**
+ * Logout by revoking the refresh token and the rest of its family
+ * Access tokens stay valid until they expire (JWT_EXPIRES_IN)
+ * @route POST /api/auth/logout
+ */
+export const logout = async ${signature} => {
+    try {
+        const { refreshToken } = req.body;
+        
+        // Security: Input validation
+        if (!refreshToken || typeof refreshToken !== 'string' || refreshToken.length > 200) {
+            throw new BadRequestError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+        }
+        
+        const stored = await RefreshToken.findByHash(hashToken(refreshToken));
+        if (stored) {
+            await RefreshToken.revokeFamily(stored.family);
+        }
+        
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+    } catch (error) {
+        next(error);
     }
 };`,
 
         getProfile: `/**
  * Get user profile
- * @route GET /api/auth/profile
+ * @route GET /api/auth/me
  */
-export const getProfile = async (${typeAnnotations.req}, ${typeAnnotations.res})${typeAnnotations.returnType} => {
+export const getProfile = async ${signature} => {
     try {
-        const user = await userService.getUserById(${isTypeScript ? '(req as any).userId' : 'req.userId'});
+        const user = await User.findById(${isTypeScript ? '(req as any).userId' : 'req.userId'});
         
         if (!user) {
-            return res.status(404).json({
-                success: false,
-                error: 'User not found'
-            });
+            throw new NotFoundError('User not found', 'USER_NOT_FOUND');
         }
         
         res.json({
@@ -331,15 +431,12 @@ export const getProfile = async (${typeAnnotations.req}, ${typeAnnotations.res})
             data: {
                 id: user.id,
                 username: user.username,
-                email: user.email
+                email: user.email,
+                role: user.role
             }
         });
     } catch (error) {
-        console.error('Profile fetch error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch profile'
-        });
+        next(error);
     }
 };`
     };
@@ -360,6 +457,8 @@ const router = express.Router();
 // Public routes
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
 
 // Protected routes
 router.get('/profile', verifyToken, authController.getProfile);
@@ -3,239 +3,228 @@
  * Eliminates duplicate error handling and response patterns
  */
 
+import { resolveTemplate } from '../../utils/templateUtils.js';
+import { getNestedRoutes, getReferenceFields } from '../../utils/fieldUtils.js';
+
 /**
  * Standard success response format
  * @param {any} data - Response data
  * @param {number} count - Optional count for list responses
+ * @param {Object} meta - Optional pagination block for list responses ({ total, page, limit, totalPages })
  * @returns {Object} Formatted success response
  */
-export const successResponse = (data, count) => ({
+export const successResponse = (data, count, meta) => ({
     success: true,
     ...(count !== undefined && { count }),
-    data
+    data,
+    ...(meta !== undefined && { meta })
 });
 
 /**
- * Standard error response with automatic status code detection
- * @param {Error} error - Error object
- * @returns {Object} {statusCode, body}
- */
-export const errorResponse = (error) => {
-    // Determine status code from error message
-    const statusCode = 
-        error.message.includes('Invalid ID') || error.message.includes('Invalid') ? 400 :
-        error.message.includes('not found') || error.message.includes('does not exist') ? 404 :
-        error.message.includes('already exists') || error.message.includes('Duplicate') ? 409 :
-        error.message.includes('Unauthorized') || error.message.includes('token') ? 401 :
-        error.message.includes('Forbidden') || error.message.includes('permission') ? 403 :
-        500;
-
-    return {
-        statusCode,
-        body: {
-            success: false,
-            error: error.message
-        }
-    };
-};
-
-/**
- * Wrap async handler with error handling
+ * Wrap async handler so errors reach the error handler middleware
  * @param {Function} handler - Async handler function
- * @returns {Function} Wrapped handler with automatic error handling
+ * @returns {Function} Wrapped handler passing thrown errors to next()
  */
-export const wrapHandler = (handler) => async (req, res) => {
+export const wrapHandler = (handler) => async (req, res, next) => {
     try {
         const result = await handler(req, res);
         if (result && !res.headersSent) {
             res.json(successResponse(result));
         }
     } catch (error) {
-        console.error('Error:', error);
-        const { statusCode, body } = errorResponse(error);
-        res.status(statusCode).json(body);
+        next(error);
     }
 };
 
 /**
- * Generate controller code for templates
- * Creates standardized CRUD controller methods
+ * Get the handler signature of generated controller methods
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {string} Parameter list (and return type)
  */
-export function generateControllerMethod(methodType, resourceName, serviceName, isTypeScript) {
-    const resourceLower = resourceName.toLowerCase();
-    const resourcePlural = resourceLower + 's';
-
-    const typeAnnotations = isTypeScript ? {
-        req: 'req: Request',
-        res: 'res: Response',
-        returnType: ': Promise<void>'
-    } : {
-        req: 'req',
-        res: 'res',
-        returnType: ''
-    };
+function getHandlerSignature(isTypeScript) {
+    return isTypeScript ? '(req: Request, res: Response, next: NextFunction): Promise<void>' : '(req, res, next)';
+}
 
-    const methods = {
-        getAll: `/**
- * Get all ${resourcePlural}
- * @route GET /api/${resourcePlural}
+/**
+ * Build a controller method: the service call in a try block whose errors go to
+ * next(), where errorHandler maps the AppErrors thrown by services to their status
+ * @param {string} doc - JSDoc lines of the method
+ * @param {string} name - Exported handler name
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {string} body - Statements of the try block (indented by 8 spaces)
+ * @returns {string} Method code
+ */
+function buildHandler(doc, name, isTypeScript, body) {
+    return `/**
+${doc}
  */
-export const getAll${resourceName}s = async (${typeAnnotations.req}, ${typeAnnotations.res})${typeAnnotations.returnType} => {
+export const ${name} = async ${getHandlerSignature(isTypeScript)} => {
     try {
-        const ${resourcePlural} = await ${serviceName}.getAll${resourceName}s();
-        res.json({
-            success: true,
-            count: ${resourcePlural}.length,
-            data: ${resourcePlural}
-        });
+${body}
     } catch (error) {
-        console.error('Error fetching ${resourcePlural}:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch ${resourcePlural}'
-        });
+        next(error);
     }
-};`,
+};`;
+}
+
+// Body of handlers answering with a page of records
+const LIST_RESPONSE = `        res.json({
+            success: true,
+            count: data.length,
+            data,
+            meta
+        });`;
 
-        getById: `/**
- * Get ${resourceLower} by ID
- * @route GET /api/${resourcePlural}/:id
+/**
+ * Build the CRUD controller methods keyed by method type
+ * @param {boolean} withInclude - getById passes ?include= to the service
+ * @param {boolean} etag - Answers carry the ETag of the record, and PUT, PATCH and DELETE pass If-Match on
  */
-export const get${resourceName}ById = async (${typeAnnotations.req}, ${typeAnnotations.res})${typeAnnotations.returnType} => {
-    try {
-        const ${resourceLower} = await ${serviceName}.get${resourceName}ById(req.params.id);
-        
-        if (!${resourceLower}) {
-            return res.status(404).json({
-                success: false,
-                error: '${resourceName} not found'
-            });
-        }
-        
+function buildControllerMethods(resourceName, serviceName, isTypeScript, withInclude, etag = false) {
+    const resourceLower = resourceName.toLowerCase();
+    const resourcePlural = resourceLower + 's';
+    const setETag = etag ? `\n        res.set('ETag', toETag(${resourceLower}));` : '';
+    const ifMatch = etag ? ", parseIfMatch(req.get('If-Match'))" : '';
+
+    return {
+        getAll: buildHandler(` * Get all ${resourcePlural}
+ * @route GET /api/${resourcePlural}?page=1&limit=20&sort=-createdAt&<field>[gte]=<value>`, `getAll${resourceName}s`, isTypeScript,
+        `        const { data, meta } = await ${serviceName}.getAll${resourceName}s(req.query);
+${LIST_RESPONSE}`),
+
+        getById: buildHandler(` * Get ${resourceLower} by ID
+ * @route GET /api/${resourcePlural}/:id`, `get${resourceName}ById`, isTypeScript,
+        `        const ${resourceLower} = await ${serviceName}.get${resourceName}ById(req.params.id${withInclude ? ', req.query.include' : ''});${setETag}
         res.json({
             success: true,
             data: ${resourceLower}
-        });
-    } catch (error) {
-        console.error('Error fetching ${resourceLower}:', error);
-        
-        if (error.message.includes('Invalid ID')) {
-            return res.status(400).json({
-                success: false,
-                error: error.message
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch ${resourceLower}'
-        });
-    }
-};`,
+        });`),
 
-        create: `/**
- * Create new ${resourceLower}
- * @route POST /api/${resourcePlural}
- */
-export const create${resourceName} = async (${typeAnnotations.req}, ${typeAnnotations.res})${typeAnnotations.returnType} => {
-    try {
-        const ${resourceLower} = await ${serviceName}.create${resourceName}(req.body);
+        create: buildHandler(` * Create new ${resourceLower}
+ * @route POST /api/${resourcePlural}`, `create${resourceName}`, isTypeScript,
+        `        const ${resourceLower} = await ${serviceName}.create${resourceName}(req.body);${setETag}
         res.status(201).json({
             success: true,
             data: ${resourceLower}
-        });
-    } catch (error) {
-        console.error('Error creating ${resourceLower}:', error);
-        
-        if (error.message.includes('required') || error.message.includes('Invalid')) {
-            return res.status(400).json({
-                success: false,
-                error: error.message
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            error: 'Failed to create ${resourceLower}'
-        });
-    }
-};`,
+        });`),
 
-        update: `/**
- * Update ${resourceLower}
- * @route PUT /api/${resourcePlural}/:id
- */
-export const update${resourceName} = async (${typeAnnotations.req}, ${typeAnnotations.res})${typeAnnotations.returnType} => {
-    try {
-        const ${resourceLower} = await ${serviceName}.update${resourceName}(req.params.id, req.body);
-        
-        if (!${resourceLower}) {
-            return res.status(404).json({
-                success: false,
-                error: '${resourceName} not found'
-            });
-        }
-        
+        replace: buildHandler(` * Replace ${resourceLower} (fields left out are reset to their default)
+ * @route PUT /api/${resourcePlural}/:id`, `replace${resourceName}`, isTypeScript,
+        `        const ${resourceLower} = await ${serviceName}.replace${resourceName}(req.params.id, req.body${ifMatch});${setETag}
         res.json({
             success: true,
             data: ${resourceLower}
-        });
-    } catch (error) {
-        console.error('Error updating ${resourceLower}:', error);
-        
-        if (error.message.includes('Invalid ID') || error.message.includes('Invalid')) {
-            return res.status(400).json({
-                success: false,
-                error: error.message
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            error: 'Failed to update ${resourceLower}'
-        });
-    }
-};`,
+        });`),
 
-        delete: `/**
- * Delete ${resourceLower}
- * @route DELETE /api/${resourcePlural}/:id
- */
-export const delete${resourceName} = async (${typeAnnotations.req}, ${typeAnnotations.res})${typeAnnotations.returnType} => {
-    try {
-        const ${resourceLower} = await ${serviceName}.delete${resourceName}(req.params.id);
-        
-        if (!${resourceLower}) {
-            return res.status(404).json({
-                success: false,
-                error: '${resourceName} not found'
-            });
-        }
-        
+        patch: buildHandler(` * Update ${resourceLower} with a JSON Merge Patch, or a JSON Patch (application/json-patch+json)
+ * @route PATCH /api/${resourcePlural}/:id`, `patch${resourceName}`, isTypeScript,
+        `        const ${resourceLower} = await ${serviceName}.patch${resourceName}(req.params.id, readPatch(req, update${resourceName}Schema)${ifMatch});${setETag}
+        res.json({
+            success: true,
+            data: ${resourceLower}
+        });`),
+
+        delete: buildHandler(` * Delete ${resourceLower}
+ * @route DELETE /api/${resourcePlural}/:id`, `delete${resourceName}`, isTypeScript,
+        `        const ${resourceLower} = await ${serviceName}.delete${resourceName}(req.params.id${ifMatch});
         res.json({
             success: true,
             message: '${resourceName} deleted successfully',
             data: ${resourceLower}
-        });
-    } catch (error) {
-        console.error('Error deleting ${resourceLower}:', error);
-        
-        if (error.message.includes('Invalid ID')) {
-            return res.status(400).json({
-                success: false,
-                error: error.message
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            error: 'Failed to delete ${resourceLower}'
-        });
-    }
-};`
+        });`)
     };
+}
 
-    return methods[methodType] || '';
+/**
+ * Generate controller code for templates
+ * Creates standardized CRUD controller methods
+ * @param {Object} [options] - { etag } sets the ETag header and passes If-Match to the service
+ */
+export function generateControllerMethod(methodType, resourceName, serviceName, isTypeScript, options = {}) {
+    return buildControllerMethods(resourceName, serviceName, isTypeScript, false, Boolean(options.etag))[methodType] || '';
+}
+
+/**
+ * Generate the getById controller method of a resource with reference fields
+ * Passes ?include= to the service, which rejects unknown references with a BadRequestError.
+ * @param {string} resourceName - Resource name (e.g., 'Comment')
+ * @param {string} serviceName - Service variable name (e.g., 'commentService')
+ * @param {boolean} isTypeScript - Whether to generate TypeScript code
+ * @param {Object} [options] - { etag } sets the ETag header
+ * @returns {string} getById method
+ */
+export function generateIncludeControllerMethod(resourceName, serviceName, isTypeScript = false, options = {}) {
+    return buildControllerMethods(resourceName, serviceName, isTypeScript, true, Boolean(options.etag)).getById;
+}
+
+/**
+ * Generate the controller methods of the nested list routes of a resource's
+ * references (GET /api/<targets>/:<field>Id/<resources>)
+ * @param {string} resourceName - Resource name (e.g., 'Comment')
+ * @param {string} serviceName - Service variable name (e.g., 'commentService')
+ * @param {boolean} isTypeScript - Whether to generate TypeScript code
+ * @param {Array<string|object>} fields - Field names or definitions
+ * @returns {Array<string>} One method per reference field
+ */
+export function generateReferenceControllerMethods(resourceName, serviceName, isTypeScript = false, fields = []) {
+    const resourcePlural = resourceName.toLowerCase() + 's';
+
+    return getNestedRoutes(resourceName, fields).map(({ field, mountPath }) => {
+        const handlerName = `get${resourceName}sBy${field.name.charAt(0).toUpperCase()}${field.name.slice(1)}`;
+
+        return buildHandler(` * Get the ${resourcePlural} of a ${field.ref.toLowerCase()}
+ * @route GET ${mountPath}`, handlerName, isTypeScript,
+        `        const { data, meta } = await ${serviceName}.${handlerName}(req.params.${field.name}Id, req.query);
+${LIST_RESPONSE}`);
+    });
+}
+
+/**
+ * Generate the trash and restore controller methods of a soft-deleted resource
+ * (GET /api/<resources>/trash and POST /api/<resources>/:id/restore)
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @param {string} serviceName - Service variable name (e.g., 'productService')
+ * @param {boolean} isTypeScript - Whether to generate TypeScript code
+ * @returns {Array<string>} getDeleted and restore methods
+ */
+export function generateSoftDeleteControllerMethods(resourceName, serviceName, isTypeScript = false) {
+    const resourceLower = resourceName.toLowerCase();
+    const resourcePlural = resourceLower + 's';
+
+    return [buildHandler(` * Get soft-deleted ${resourcePlural}
+ * @route GET /api/${resourcePlural}/trash?page=1&limit=20&sort=-updatedAt`, `getDeleted${resourceName}s`, isTypeScript,
+    `        const { data, meta } = await ${serviceName}.getDeleted${resourceName}s(req.query);
+${LIST_RESPONSE}`), buildHandler(` * Restore a soft-deleted ${resourceLower}
+ * @route POST /api/${resourcePlural}/:id/restore`, `restore${resourceName}`, isTypeScript,
+    `        const ${resourceLower} = await ${serviceName}.restore${resourceName}(req.params.id);
+        res.json({
+            success: true,
+            message: '${resourceName} restored successfully',
+            data: ${resourceLower}
+        });`)];
+}
+
+/**
+ * Generate the bulk controller methods of a resource (add-crud --bulk):
+ * POST, PATCH and DELETE /api/<resources>/bulk answer with one result per item,
+ * and 207 Multi-Status when some of the items failed
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @param {string} serviceName - Service variable name (e.g., 'productService')
+ * @param {boolean} isTypeScript - Whether to generate TypeScript code
+ * @returns {Array<string>} bulkCreate, bulkUpdate and bulkDelete methods
+ */
+export function generateBulkControllerMethods(resourceName, serviceName, isTypeScript = false) {
+    const resourcePlural = resourceName.toLowerCase() + 's';
+    const bulkHandler = (action, method, source, status) => buildHandler(` * ${action} several ${resourcePlural}
+ * @route ${method} /api/${resourcePlural}/bulk { ${source}: [...] }`, `bulk${action}${resourceName}s`, isTypeScript,
+    `        const results = await ${serviceName}.bulk${action}${resourceName}s(req.body?.${source});
+        res.status(getBulkStatus(results, ${status})).json(buildBulkResponse(results));`);
+
+    return [
+        bulkHandler('Create', 'POST', 'items', 201),
+        bulkHandler('Update', 'PATCH', 'items', 200),
+        bulkHandler('Delete', 'DELETE', 'ids', 200)
+    ];
 }
 
 /**
@@ -243,13 +232,26 @@ export const delete${resourceName} = async (${typeAnnotations.req}, ${typeAnnota
  * @param {string} resourceName - Resource name (e.g., 'Product')
  * @param {string} serviceName - Service variable name (e.g., 'productService')
  * @param {boolean} isTypeScript - Whether to generate TypeScript code
+ * @param {Array<string|object>} [fields] - Field names or definitions (reference fields add nested list handlers)
+ * @param {Object} [options] - { softDelete } adds the trash and restore handlers;
+ *   { bulk } adds the bulk handlers; { etag } answers with ETags and passes If-Match on
  * @returns {string} All controller methods
  */
-export function generateAllControllerMethods(resourceName, serviceName, isTypeScript = false) {
-    const methods = ['getAll', 'getById', 'create', 'update', 'delete'];
-    return methods
-        .map(method => generateControllerMethod(method, resourceName, serviceName, isTypeScript))
-        .join('\n\n');
+export function generateAllControllerMethods(resourceName, serviceName, isTypeScript = false, fields = [], options = {}) {
+    const methods = ['getAll', 'getById', 'create', 'replace', 'patch', 'delete'];
+    const hasReferences = getReferenceFields(fields).length > 0;
+    return [
+        ...methods.map(method => method === 'getById' && hasReferences
+            ? resolveTemplate('shared', 'generateIncludeControllerMethod', generateIncludeControllerMethod)(resourceName, serviceName, isTypeScript, options)
+            : resolveTemplate('shared', 'generateControllerMethod', generateControllerMethod)(method, resourceName, serviceName, isTypeScript, options)),
+        ...(options.softDelete
+            ? resolveTemplate('shared', 'generateSoftDeleteControllerMethods', generateSoftDeleteControllerMethods)(resourceName, serviceName, isTypeScript)
+            : []),
+        ...(options.bulk
+            ? resolveTemplate('shared', 'generateBulkControllerMethods', generateBulkControllerMethods)(resourceName, serviceName, isTypeScript)
+            : []),
+        ...resolveTemplate('shared', 'generateReferenceControllerMethods', generateReferenceControllerMethods)(resourceName, serviceName, isTypeScript, fields)
+    ].join('\n\n');
 }
 
 /**
@@ -259,7 +261,23 @@ export function generateAllControllerMethods(resourceName, serviceName, isTypeSc
  */
 export function generateControllerImports(isTypeScript = false) {
     if (isTypeScript) {
-        return `import { Request, Response } from 'express';`;
+        return `import { Request, Response, NextFunction } from 'express';`;
     }
     return '';
 }
+
+/**
+ * Generate the imports of the helpers the controller methods call: the PATCH handler
+ * always reads the patch and the schema its changes are checked with
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @param {Object} [options] - { bulk } imports the bulk answers; { etag } the ETag helpers
+ * @returns {string} Import statements
+ */
+export function generateControllerUtilImports(resourceName, options = {}) {
+    return [
+        `import { update${resourceName}Schema } from '../schemas/${resourceName.toLowerCase()}Schema.js';`,
+        "import { readPatch } from '../utils/patch.js';",
+        ...(options.bulk ? ["import { buildBulkResponse, getBulkStatus } from '../utils/bulk.js';"] : []),
+        ...(options.etag ? ["import { parseIfMatch, toETag } from '../utils/etag.js';"] : [])
+    ].join('\n');
+}
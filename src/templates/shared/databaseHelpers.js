@@ -116,7 +116,7 @@ export const memoryHelpers = {
 
 /**
  * Generate ID validation code based on database choice
- * @param {string} dbChoice - Database type ('mongodb', 'mysql', 'memory')
+ * @param {string} dbChoice - Database type ('mongodb', 'mysql', 'postgres', 'sqlite', 'memory')
  * @param {string} idVariable - Variable name containing ID
  * @returns {string} Database-specific validation code
  */
@@ -124,6 +124,8 @@ export function generateIdValidation(dbChoice, idVariable = 'id') {
     const generators = {
         mongodb: mongoHelpers.generateIdValidation,
         mysql: mysqlHelpers.generateIdValidation,
+        postgres: mysqlHelpers.generateIdValidation,
+        sqlite: mysqlHelpers.generateIdValidation,
         memory: memoryHelpers.generateIdValidation
     };
 
@@ -1,7 +1,8 @@
 /**
  * Shared template helpers index
  * Central export point for all shared helpers
- * 
+ * Projects can override them in .lazycrud/templates/shared (see src/utils/templateUtils.js)
+ *
  * Usage:
  * import { validators, generateValidationCode } from '../shared/index.js';
  * import { successResponse, generateControllerMethod } from '../shared/index.js';
@@ -9,57 +10,72 @@
  * import { jwtHelpers, passwordHelpers } from '../shared/index.js';
  */
 
-// Validation helpers
-export {
+import { defineTemplateLayer } from '../../utils/templateUtils.js';
+import * as validationHelpers from './validationHelpers.js';
+import * as controllerHelpers from './controllerHelpers.js';
+import * as serviceHelpers from './serviceHelpers.js';
+import * as modelHelpers from './modelHelpers.js';
+import * as databaseHelpers from './databaseHelpers.js';
+import * as authHelpers from './authHelpers.js';
+
+export const {
+    // Validation helpers
     validators,
     generateValidationCode,
-    generateValidatorsCode
-} from './validationHelpers.js';
+    generateValidatorsCode,
+    generateValidationSchema,
 
-// Controller helpers
-export {
+    // Controller helpers
     successResponse,
-    errorResponse,
     wrapHandler,
     generateControllerMethod,
     generateAllControllerMethods,
-    generateControllerImports
-} from './controllerHelpers.js';
+    generateIncludeControllerMethod,
+    generateReferenceControllerMethods,
+    generateSoftDeleteControllerMethods,
+    generateBulkControllerMethods,
+    generateControllerImports,
+    generateControllerUtilImports,
 
-// Service helpers
-export {
+    // Service helpers
     generateGetAllMethod,
     generateGetByIdMethod,
+    generateGetByIdsMethod,
     generateCreateMethod,
     generateUpdateMethod,
+    generateReplaceMethod,
+    generatePatchMethod,
     generateDeleteMethod,
+    generateSoftDeleteMethods,
+    generateBulkMethods,
+    generateGetByReferenceMethods,
     generateServiceMethods,
-    generateServiceImports
-} from './serviceHelpers.js';
+    generateServiceImports,
+    generateBulkImports,
+    generateErrorImports,
 
-// Model helpers
-export {
+    // Model helpers
     generateMongoSchema,
     generateMySQLModel,
+    generatePostgresModel,
+    generateSQLiteModel,
     generateMemoryModel,
-    generateModel
-} from './modelHelpers.js';
+    generateCreateTableSQL,
+    generateModel,
 
-// Database helpers
-export {
+    // Database helpers
     mongoHelpers,
     mysqlHelpers,
     memoryHelpers,
     generateIdValidation,
     generateDatabaseConnection,
-    generateDbErrorHandling
-} from './databaseHelpers.js';
+    generateDbErrorHandling,
 
-// Auth helpers
-export {
+    // Auth helpers
     jwtHelpers,
     passwordHelpers,
     userValidationHelpers,
     generateAuthControllerMethods,
+    generateRoleMiddleware,
     generateAuthRoutes
-} from './authHelpers.js';
+} = defineTemplateLayer('shared', validationHelpers, controllerHelpers, serviceHelpers, modelHelpers, databaseHelpers, authHelpers);
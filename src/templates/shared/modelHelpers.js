@@ -1,14 +1,18 @@
 // Shared Model Helpers
 // Reusable functions for model template generation
 
+import { getDefaultItemFields, getFieldKind, getReferenceFields, getSampleValue, toCodeLiteral } from '../../utils/fieldUtils.js';
+import { resolveTemplate } from '../../utils/templateUtils.js';
+
 /**
  * Generate MongoDB schema for a resource
  * @param {string} resourceName - Resource name
- * @param {Array<{name: string, type: string, required?: boolean, trim?: boolean, maxlength?: number, min?: number}>} fields - Schema fields
+ * @param {Array<{name: string, type: string, required?: boolean, trim?: boolean, maxlength?: number, min?: number, max?: number, enum?: Array<string>}>} fields - Schema fields
  * @param {boolean} isTypeScript - Whether to include TypeScript interface
+ * @param {Object} [options] - { softDelete } adds a deletedAt field that queries skip
  * @returns {string} MongoDB schema code
  */
-export function generateMongoSchema(resourceName, fields, isTypeScript = false) {
+export function generateMongoSchema(resourceName, fields, isTypeScript = false, options = {}) {
     const resourceLower = resourceName.toLowerCase();
     
     // Generate field definitions
@@ -16,24 +20,36 @@ export function generateMongoSchema(resourceName, fields, isTypeScript = false)
         const def = [];
         def.push(`    ${field.name}: {`);
         def.push(`        type: ${field.type},`);
+        if (field.ref) def.push(`        ref: '${field.ref}',`);
         if (field.required) def.push(`        required: [true, '${field.displayName || field.name} is required'],`);
         if (field.trim) def.push(`        trim: true,`);
         if (field.maxlength) def.push(`        maxlength: [${field.maxlength}, '${field.displayName || field.name} cannot be more than ${field.maxlength} characters'],`);
-        if (field.min !== undefined) def.push(`        min: [${field.min}, '${field.displayName || field.name} cannot be negative'],`);
-        if (field.default !== undefined) def.push(`        default: ${typeof field.default === 'string' ? `'${field.default}'` : field.default}`);
+        if (field.min !== undefined) def.push(`        min: [${field.min}, '${field.displayName || field.name} ${field.min === 0 ? 'cannot be negative' : `must be at least ${field.min}`}'],`);
+        if (field.max !== undefined) def.push(`        max: [${field.max}, '${field.displayName || field.name} must be at most ${field.max}'],`);
+        if (field.enum) def.push(`        enum: ${toCodeLiteral(field.enum)},`);
+        if (field.integer) def.push(`        validate: { validator: Number.isInteger, message: '${field.displayName || field.name} must be an integer' },`);
+        if (field.default !== undefined) def.push(`        default: ${toCodeLiteral(field.default)}`);
         def.push(`    }`);
         return def.join('\n');
-    }).join(',\n');
+    }).join(',\n') + (options.softDelete ? `,
+    deletedAt: {
+        type: Date,
+        default: null
+    }` : '');
     
     // TypeScript interface
     const tsInterface = isTypeScript ? `
 export interface I${resourceName} extends Document {
-${fields.map(f => `    ${f.name}${f.required ? '' : '?'}: ${f.tsType || 'string'};`).join('\n')}
+${fields.map(f => `    ${f.name}${f.required ? '' : '?'}: ${f.ref ? 'mongoose.Types.ObjectId' : f.tsType || 'string'};`).join('\n')}${options.softDelete ? '\n    deletedAt: Date | null;' : ''}
 }
 
 ` : '';
     
     const schemaType = isTypeScript ? `<I${resourceName}>` : '';
+
+    // Index the 'name' field when present, otherwise the first required scalar field
+    const indexField = (fields.find(f => f.name === 'name') ||
+        fields.find(f => f.required && !f.isArray) || {}).name;
     
     return `${isTypeScript ? "import mongoose, { Schema, Document } from 'mongoose';" : "import mongoose from 'mongoose';"}
 ${tsInterface}
@@ -45,36 +61,247 @@ ${fieldDefs}
     toObject: { virtuals: true }`}
 });
 
-// Security: Add index for performance
-${resourceLower}Schema.index({ name: 1 });
-
+${indexField ? `// Security: Add index for performance
+${resourceLower}Schema.index({ ${indexField}: 1 });
+` : ''}${options.softDelete ? `
+// Soft delete: queries skip deleted documents unless their filter asks for deletedAt
+${resourceLower}Schema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments'], function () {
+    if (this.getFilter().deletedAt === undefined) {
+        this.where({ deletedAt: null });
+    }
+});
+` : ''}
 const ${resourceName} = mongoose.model${isTypeScript ? `<I${resourceName}>` : ''}('${resourceName}', ${resourceLower}Schema);
 
 export default ${resourceName};
 `;
 }
 
+/**
+ * Convert a SQL model field (name or field object) into the expressions used
+ * for INSERT values and update bindings
+ * @param {string|object} field - Field name (legacy) or field definition
+ * @param {string} dbChoice - 'mysql', 'postgres' or 'sqlite'
+ * @returns {{name: string, insertValue: string, returnValue: string, updateValue: string}}
+ */
+function toSQLFieldExpressions(field, dbChoice = 'mysql') {
+    if (typeof field === 'string') {
+        // Legacy field-name lists keep their historical fallbacks
+        const fallback = field === 'description' || field === 'price'
+            ? `${field} || ${field === 'price' ? '0' : "''"}`
+            : field;
+        return { name: field, insertValue: fallback, returnValue: fallback, updateValue: field };
+    }
+
+    const { name } = field;
+    if (field.isArray && (dbChoice === 'mysql' || dbChoice === 'sqlite')) {
+        // MySQL and SQLite store arrays as JSON (PostgreSQL has native array columns)
+        return {
+            name,
+            insertValue: `${name} === undefined ? null : JSON.stringify(${name})`,
+            returnValue: name,
+            updateValue: `JSON.stringify(${name})`
+        };
+    }
+    if (dbChoice === 'sqlite') {
+        // better-sqlite3 only binds numbers, strings and null: booleans become 0/1
+        // and missing values must be passed as an explicit null
+        if (getFieldKind(field) === 'boolean') {
+            const fallback = field.default !== undefined ? Number(field.default) : 'null';
+            return { name, insertValue: `${name} === undefined ? ${fallback} : Number(${name})`, returnValue: name, updateValue: `Number(${name})` };
+        }
+        const fallback = field.default !== undefined ? toCodeLiteral(field.default) : 'null';
+        return { name, insertValue: `${name} ?? ${fallback}`, returnValue: name, updateValue: name };
+    }
+    const withDefault = field.default !== undefined ? `${name} ?? ${toCodeLiteral(field.default)}` : name;
+    return { name, insertValue: withDefault, returnValue: withDefault, updateValue: name };
+}
+
+/**
+ * Generate the model method that loads a record together with the records its
+ * reference fields point at (GET /api/<resources>/:id?include=<field>), using a
+ * LEFT JOIN per included reference. The service validates `include` against the
+ * reference fields, so only known joins end up in the SQL.
+ * @param {string} resourceName - Resource name
+ * @param {Array<string|object>} fields - Field names or definitions
+ * @param {string} dbChoice - 'mysql' or 'postgres'
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {boolean} softDelete - Skip soft-deleted records
+ * @returns {string} Method code (empty when the resource has no references)
+ */
+function generateGetByIdWithRelationsMethod(resourceName, fields, dbChoice, isTypeScript, softDelete) {
+    const references = getReferenceFields(fields);
+    if (references.length === 0) {
+        return '';
+    }
+
+    const resourcePlural = resourceName.toLowerCase() + 's';
+    const join = (field) => `LEFT JOIN ${field.ref.toLowerCase()}s AS ${field.name}_ref ON ${field.name}_ref.id = ${resourcePlural}.${field.name}`;
+    const notDeleted = softDelete ? ` AND ${resourcePlural}.deleted_at IS NULL` : '';
+    const signature = `static async getByIdWithRelations(id${isTypeScript ? ': string' : ''}, include${isTypeScript ? ': string[]' : ''})${isTypeScript ? ': Promise<Record<string, unknown> | undefined>' : ''}`;
+
+    if (dbChoice === 'postgres') {
+        const joins = references.map(field => `            ${field.name}: {
+                select: 'CASE WHEN ${field.name}_ref.id IS NULL THEN NULL ELSE to_jsonb(${field.name}_ref.*) END AS ${field.name}',
+                join: '${join(field)}'
+            }`).join(',\n');
+        return `
+
+    // Get a ${resourceName.toLowerCase()} with its referenced records (?include=${references[0].name})
+    ${signature} {
+        const joins${isTypeScript ? ': Record<string, { select: string; join: string }>' : ''} = {
+${joins}
+        };
+        // The JSON columns come after ${resourcePlural}.*, so they replace the plain ids in the row
+        const { rows } = await db.query(
+            \`SELECT ${resourcePlural}.*, \${include.map(name => joins[name].select).join(', ')} FROM ${resourcePlural} \${include.map(name => joins[name].join).join(' ')} WHERE ${resourcePlural}.id = $1${notDeleted}\`,
+            [id]
+        );
+        return rows[0];
+    }`;
+    }
+
+    const joins = references.map(field => `            ${field.name}: '${join(field)}'`).join(',\n');
+    return `
+
+    // Get a ${resourceName.toLowerCase()} with its referenced records (?include=${references[0].name})
+    ${signature} {
+        const joins${isTypeScript ? ': Record<string, string>' : ''} = {
+${joins}
+        };
+        const [rows] = await ${isTypeScript ? 'db' : 'pool'}.query${isTypeScript ? '<RowDataPacket[]>' : ''}({
+            sql: \`SELECT * FROM ${resourcePlural} \${include.map(name => joins[name]).join(' ')} WHERE ${resourcePlural}.id = ?${notDeleted}\`,
+            nestTables: true
+        }, [id]);
+        if (!rows[0]) return undefined;
+
+        // nestTables groups the columns by table: { ${resourcePlural}: {...}, ${references[0].name}_ref: {...} }
+        const { ${resourcePlural}: row, ...related } = rows[0]${isTypeScript ? ' as Record<string, any>' : ''};
+        for (const name of include) {
+            const record = related[\`\${name}_ref\`];
+            row[name] = record.id === null ? null : record;
+        }
+        return row;
+    }`;
+}
+
+/**
+ * Build the pieces of a SQL model that keep soft-deleted rows out of its queries.
+ * Without soft delete they leave the generated SQL as it was.
+ * @param {boolean} softDelete - Whether the table has a deleted_at column
+ * @returns {{findAllParams: string, scope: string, where: string, active: string}}
+ */
+function getSoftDeleteClauses(softDelete) {
+    if (!softDelete) {
+        return { findAllParams: '', scope: '', where: 'where', active: '' };
+    }
+    return {
+        findAllParams: ', trashed = false',
+        // Soft-deleted rows are only listed in the trash (findAll(listQuery, true))
+        scope: `
+        const deleted = trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL';
+        const scope = where ? \`\${where} AND \${deleted}\` : \`WHERE \${deleted}\`;`,
+        where: 'scope',
+        active: ' AND deleted_at IS NULL'
+    };
+}
+
+/**
+ * Build the pieces of a SQL model that let its single-record queries join a
+ * transaction (the batch methods of add-crud --bulk pass their connection).
+ * Without bulk methods they leave the generated SQL as it was.
+ * @param {boolean} bulk - Whether the model gets the batch methods
+ * @param {string} dbRef - Pool variable of the model
+ * @param {string} type - TypeScript type of the connection parameter ('' in JavaScript)
+ * @returns {{param: string, ref: string, arg: string}}
+ */
+function getConnectionClauses(bulk, dbRef, type) {
+    if (!bulk) {
+        return { param: '', ref: dbRef, arg: '' };
+    }
+    return { param: `, connection${type ? `: ${type}` : ''} = ${dbRef}`, ref: 'connection', arg: ', connection' };
+}
+
+/**
+ * Build the pieces of a SQL model's update that implement optimistic concurrency
+ * (add-crud --etag): every update bumps the version column, and an update given
+ * the version it is based on matches no row once another one bumped it.
+ * Without --etag they leave the generated SQL as it was.
+ * @param {boolean} etag - Whether the table has a version column
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {string} dbChoice - 'mysql', 'postgres' or 'sqlite'
+ * @returns {{param: string, arg: string, bump: string, bind: string, check: string}}
+ */
+function getVersionClauses(etag, isTypeScript, dbChoice) {
+    if (!etag) {
+        return { param: '', arg: '', bump: '', bind: '', check: '' };
+    }
+    return {
+        param: `, version${isTypeScript ? ': number | null' : ''} = null`,
+        arg: ', null',
+        bump: `
+        updates.push('version = version + 1');`,
+        // The version is bound right before the id
+        bind: `
+        if (version !== null) values.push(version);`,
+        check: dbChoice === 'postgres'
+            ? "${version === null ? '' : `version = $${values.length - 1} AND `}"
+            : "${version === null ? '' : 'version = ? AND '}"
+    };
+}
+
+/**
+ * Build the WHERE clause and values of a SQL model's delete and soft delete by id.
+ * With --etag they take the version the delete is based on (see getVersionClauses),
+ * and match no row once another write bumped it.
+ * @param {boolean} etag - Whether the table has a version column
+ * @param {string} dbChoice - 'mysql', 'postgres' or 'sqlite'
+ * @returns {{quote: string, where: string, values: string, args: string}} Quote of the SQL string,
+ *   its WHERE condition, the array of values bound to it and those values as arguments (better-sqlite3)
+ */
+function getDeleteKey(etag, dbChoice) {
+    const id = dbChoice === 'postgres' ? 'id = $1' : 'id = ?';
+    if (!etag) {
+        return { quote: "'", where: id, values: '[id]', args: 'id' };
+    }
+    return {
+        quote: '`',
+        where: `${id}\${version === null ? '' : ' AND version = ${dbChoice === 'postgres' ? '$2' : '?'}'}`,
+        values: 'version === null ? [id] : [id, version]',
+        args: '...(version === null ? [id] : [id, version])'
+    };
+}
+
 /**
  * Generate MySQL model class
  * @param {string} resourceName - Resource name
- * @param {Array<string>} fields - Field names
+ * @param {Array<string|object>} fields - Field names, or field definitions (see parseFieldDefinition)
  * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Object} [options] - { softDelete } keeps deleted rows (deleted_at) out of the queries;
+ *   { bulk } adds createMany, updateMany and deleteMany (one transaction each);
+ *   { etag } versions the rows (update and delete take the version they are based on)
  * @returns {string} MySQL model code
  */
-export function generateMySQLModel(resourceName, fields, isTypeScript = false) {
+export function generateMySQLModel(resourceName, fields, isTypeScript = false, options = {}) {
     const resourceLower = resourceName.toLowerCase();
     const resourcePlural = resourceLower + 's';
-    const fieldsStr = fields.join(', ');
-    const placeholders = fields.map(() => '?').join(', ');
+    const softDelete = getSoftDeleteClauses(options.softDelete);
+    const className = `${resourceName}${isTypeScript ? 'Model' : ''}`;
+    const columns = fields.map(field => toSQLFieldExpressions(field, 'mysql'));
+    const fieldsStr = columns.map(c => c.name).join(', ');
+    const placeholders = columns.map(() => '?').join(', ');
     
     const imports = isTypeScript 
         ? `import db from '../config/database.js';
+import { toSQLClauses } from '../utils/listQuery.js';
+import type { ListQuery, ListResult } from '../utils/listQuery.js';
 import type { ${resourceName}, ${resourceName}Input } from '../types/${resourceName}.types.js';
-import { RowDataPacket, ResultSetHeader } from 'mysql2';`
-        : `import ${isTypeScript ? 'db' : 'pool'} from '../config/database.js';`;
+import { RowDataPacket, ResultSetHeader } from 'mysql2';${options.bulk ? "\nimport type { Pool, PoolConnection } from 'mysql2/promise';" : ''}`
+        : `import ${isTypeScript ? 'db' : 'pool'} from '../config/database.js';
+import { toSQLClauses } from '../utils/listQuery.js';`;
     
     const returnTypes = {
-        getAll: isTypeScript ? `: Promise<${resourceName}[]>` : '',
+        findAll: isTypeScript ? `: Promise<ListResult<${resourceName}>>` : '',
         getById: isTypeScript ? `: Promise<${resourceName} | undefined>` : '',
         create: isTypeScript ? `: Promise<${resourceName}>` : '',
         update: isTypeScript ? `: Promise<${resourceName} | null>` : '',
@@ -82,10 +309,12 @@ import { RowDataPacket, ResultSetHeader } from 'mysql2';`
     };
     
     const paramTypes = isTypeScript ? {
+        listQuery: ': ListQuery',
         id: ': string',
         data: `: ${resourceName}Input`,
         partialData: `: Partial<${resourceName}Input>`
     } : {
+        listQuery: '',
         id: '',
         data: '',
         partialData: ''
@@ -94,79 +323,670 @@ import { RowDataPacket, ResultSetHeader } from 'mysql2';`
     const rowType = isTypeScript ? '<RowDataPacket[]>' : '';
     const resultType = isTypeScript ? '<ResultSetHeader>' : '';
     const dbRef = isTypeScript ? 'db' : 'pool';
+    const connection = getConnectionClauses(options.bulk, dbRef, isTypeScript ? 'Pool | PoolConnection' : '');
+    const version = getVersionClauses(options.etag, isTypeScript, 'mysql');
+    const deleteKey = getDeleteKey(options.etag, 'mysql');
+    const returnVersion = options.etag ? ',\n            version: 1' : '';
     
     // Generate UPDATE SET clause with dynamic fields
-    const updateFields = fields.map(field => {
-        return `        if (${field} !== undefined) {
-            updates.push('${field} = ?');
-            values.push(${field});
+    const updateFields = columns.map(column => {
+        return `        if (${column.name} !== undefined) {
+            updates.push('${column.name} = ?');
+            values.push(${column.updateValue});
         }`;
     }).join('\n');
     
     const extractFields = `const { ${fieldsStr} } = data;`;
-    const insertValues = fields.map(f => f === 'description' || f === 'price' ? `${f} || ${f === 'price' ? '0' : "''"}` : f).join(', ');
+    const insertValues = columns.map(c => c.insertValue).join(', ');
     
     return `${imports}
 
 class ${resourceName}${isTypeScript ? 'Model' : ''} {
-    static async getAll()${returnTypes.getAll} {
-        const [rows] = await ${dbRef}.query${rowType}('SELECT * FROM ${resourcePlural} ORDER BY created_at DESC');
-        return rows${isTypeScript ? ` as ${resourceName}[]` : ''};
+    static async findAll(listQuery${paramTypes.listQuery}${softDelete.findAllParams})${returnTypes.findAll} {
+        const { where, orderBy, values } = toSQLClauses(listQuery);${softDelete.scope}
+        const [countRows] = await ${dbRef}.query${rowType}(\`SELECT COUNT(*) AS total FROM ${resourcePlural} \${${softDelete.where}}\`, values);
+        const [rows] = await ${dbRef}.query${rowType}(
+            \`SELECT * FROM ${resourcePlural} \${${softDelete.where}} \${orderBy} LIMIT ? OFFSET ?\`,
+            [...values, listQuery.limit, listQuery.offset]
+        );
+        return { rows: rows${isTypeScript ? ` as ${resourceName}[]` : ''}, total: Number(countRows[0].total) };
     }
 
-    static async getById(id${paramTypes.id})${returnTypes.getById} {
-        const [rows] = await ${dbRef}.query${rowType}('SELECT * FROM ${resourcePlural} WHERE id = ?', [id]);
+    static async getById(id${paramTypes.id}${connection.param})${returnTypes.getById} {
+        const [rows] = await ${connection.ref}.query${rowType}('SELECT * FROM ${resourcePlural} WHERE id = ?${softDelete.active}', [id]);
         return rows[0]${isTypeScript ? ` as ${resourceName} | undefined` : ''};
     }
 
-    static async create(data${paramTypes.data})${returnTypes.create} {
+    static async getByIds(ids${isTypeScript ? ': string[]' : ''})${isTypeScript ? `: Promise<${resourceName}[]>` : ''} {
+        if (ids.length === 0) return [];
+        const [rows] = await ${dbRef}.query${rowType}('SELECT * FROM ${resourcePlural} WHERE id IN (?)${softDelete.active}', [ids]);
+        return rows${isTypeScript ? ` as ${resourceName}[]` : ''};
+    }${generateGetByIdWithRelationsMethod(resourceName, fields, 'mysql', isTypeScript, options.softDelete)}
+
+    static async create(data${paramTypes.data}${connection.param})${returnTypes.create} {
         ${extractFields}
-        const [result] = await ${dbRef}.query${resultType}(
+        const [result] = await ${connection.ref}.query${resultType}(
             'INSERT INTO ${resourcePlural} (${fieldsStr}) VALUES (${placeholders})',
             [${insertValues}]
         );
         return {
             id: ${isTypeScript ? 'result.insertId.toString()' : 'result.insertId'},
-            ${fields.map(f => `${f}: ${f === 'description' || f === 'price' ? `${f} || ${f === 'price' ? '0' : "''"}` : f}`).join(',\n            ')}
+            ${columns.map(c => `${c.name}: ${c.returnValue}`).join(',\n            ')}${returnVersion}
         };
     }
 
-    static async update(id${paramTypes.id}, data${paramTypes.partialData})${returnTypes.update} {
+    static async update(id${paramTypes.id}, data${paramTypes.partialData}${version.param}${connection.param})${returnTypes.update} {
         ${extractFields}
         const updates${isTypeScript ? ': string[]' : ''} = [];
         const values${isTypeScript ? ': any[]' : ''} = [];
         
 ${updateFields}
         
-        if (updates.length === 0) return null;
-        
+        if (updates.length === 0) return null;${version.bump}
+        ${version.bind}
         values.push(id);
-        const [result] = await ${dbRef}.query${resultType}(
-            \`UPDATE ${resourcePlural} SET \${updates.join(', ')} WHERE id = ?\`,
+        const [result] = await ${connection.ref}.query${resultType}(
+            \`UPDATE ${resourcePlural} SET \${updates.join(', ')} WHERE ${version.check}id = ?${softDelete.active}\`,
             values
         );
         
         if (result.affectedRows === 0) return null;
-        return await ${resourceName}${isTypeScript ? 'Model' : ''}.getById(id)${isTypeScript ? ' || null' : ''};
+        return await ${className}.getById(id${connection.arg})${isTypeScript ? ' || null' : ''};
     }
 
-    static async delete(id${paramTypes.id})${returnTypes.delete} {
-        const [result] = await ${dbRef}.query${resultType}('DELETE FROM ${resourcePlural} WHERE id = ?', [id]);
+    static async delete(id${paramTypes.id}${version.param}${connection.param})${returnTypes.delete} {
+        const [result] = await ${connection.ref}.query${resultType}(${deleteKey.quote}DELETE FROM ${resourcePlural} WHERE ${deleteKey.where}${deleteKey.quote}, ${deleteKey.values});
+        return result.affectedRows > 0${isTypeScript ? '' : ' ? { id } : null'};
+    }${options.softDelete ? `
+
+    // Soft delete: the row stays in the table with deleted_at set (see findAll(listQuery, true))
+    static async softDelete(id${paramTypes.id}${version.param}${connection.param})${returnTypes.delete} {
+        const [result] = await ${connection.ref}.query${resultType}(
+            ${deleteKey.quote}UPDATE ${resourcePlural} SET deleted_at = CURRENT_TIMESTAMP WHERE ${deleteKey.where} AND deleted_at IS NULL${deleteKey.quote},
+            ${deleteKey.values}
+        );
         return result.affectedRows > 0${isTypeScript ? '' : ' ? { id } : null'};
     }
+
+    static async restore(id${paramTypes.id})${returnTypes.update} {
+        const [result] = await ${dbRef}.query${resultType}('UPDATE ${resourcePlural} SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL', [id]);
+        if (result.affectedRows === 0) return null;
+        return await ${className}.getById(id)${isTypeScript ? ' || null' : ''};
+    }` : ''}${options.bulk ? `
+
+    // Run callback(connection) in one transaction: all of its queries are saved, or none
+    static async transaction${isTypeScript ? '<T>' : ''}(callback${isTypeScript ? ': (connection: PoolConnection) => Promise<T>' : ''})${isTypeScript ? ': Promise<T>' : ''} {
+        const connection = await ${dbRef}.getConnection();
+        try {
+            await connection.beginTransaction();
+            const result = await callback(connection);
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Insert several ${resourcePlural} in one transaction, one INSERT each: a multi-row INSERT
+    // only has consecutive ids with innodb_autoinc_lock_mode 0 or 1, and MySQL 8 defaults to 2
+    static async createMany(items${isTypeScript ? `: ${resourceName}Input[]` : ''})${isTypeScript ? `: Promise<${resourceName}[]>` : ''} {
+        return await ${className}.transaction(async (connection) => {
+            const created = [];
+            for (const item of items) {
+                created.push(await ${className}.create(item, connection));
+            }
+            return created;
+        });
+    }
+
+    static async updateMany(changes${isTypeScript ? `: Array<{ id: string; data: Partial<${resourceName}Input> }>` : ''})${isTypeScript ? `: Promise<Array<${resourceName} | null>>` : ''} {
+        return await ${className}.transaction(async (connection) => {
+            const updated = [];
+            for (const { id, data } of changes) {
+                updated.push(await ${className}.update(id, data${version.arg}, connection));
+            }
+            return updated;
+        });
+    }
+
+    // ${options.softDelete ? 'Soft delete' : 'Delete'} several ${resourcePlural}: true for each id that was found
+    static async deleteMany(ids${isTypeScript ? ': string[]' : ''})${isTypeScript ? ': Promise<boolean[]>' : ''} {
+        return await ${className}.transaction(async (connection) => {
+            const deleted = [];
+            for (const id of ids) {
+                deleted.push(Boolean(await ${className}.${options.softDelete ? 'softDelete' : 'delete'}(id${version.arg}, connection)));
+            }
+            return deleted;
+        });
+    }` : ''}
 }
 
-export default ${resourceName}${isTypeScript ? 'Model as any' : ''};
+export default ${className}${isTypeScript ? ' as any' : ''};
 `;
 }
 
+/**
+ * Generate PostgreSQL model class (node-postgres pool, $n placeholders, RETURNING *)
+ * @param {string} resourceName - Resource name
+ * @param {Array<string|object>} fields - Field names, or field definitions (see parseFieldDefinition)
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Object} [options] - { softDelete } keeps deleted rows (deleted_at) out of the queries;
+ *   { bulk } adds createMany (multi-row INSERT), updateMany and deleteMany (one transaction);
+ *   { etag } versions the rows (update and delete take the version they are based on)
+ * @returns {string} PostgreSQL model code
+ */
+export function generatePostgresModel(resourceName, fields, isTypeScript = false, options = {}) {
+    const resourceLower = resourceName.toLowerCase();
+    const resourcePlural = resourceLower + 's';
+    const softDelete = getSoftDeleteClauses(options.softDelete);
+    const className = `${resourceName}${isTypeScript ? 'Model' : ''}`;
+    const columns = fields.map(field => toSQLFieldExpressions(field, 'postgres'));
+    const fieldsStr = columns.map(c => c.name).join(', ');
+    const placeholders = columns.map((_, index) => `$${index + 1}`).join(', ');
+    const insertValues = columns.map(c => c.insertValue).join(', ');
+    const connection = getConnectionClauses(options.bulk, 'db', isTypeScript ? 'Pool | PoolClient' : '');
+    const version = getVersionClauses(options.etag, isTypeScript, 'postgres');
+    const deleteKey = getDeleteKey(options.etag, 'postgres');
+
+    const imports = isTypeScript
+        ? `import db from '../config/database.js';
+import { toSQLClauses } from '../utils/listQuery.js';
+import type { ListQuery, ListResult } from '../utils/listQuery.js';
+import type { ${resourceName}, ${resourceName}Input } from '../types/${resourceName}.types.js';${options.bulk ? "\nimport type { Pool, PoolClient } from 'pg';" : ''}`
+        : `import db from '../config/database.js';
+import { toSQLClauses } from '../utils/listQuery.js';`;
+
+    const types = isTypeScript ? {
+        findAll: `: Promise<ListResult<${resourceName}>>`,
+        listQuery: ': ListQuery',
+        getById: `: Promise<${resourceName} | undefined>`,
+        getByIds: `: Promise<${resourceName}[]>`,
+        create: `: Promise<${resourceName}>`,
+        update: `: Promise<${resourceName} | null>`,
+        delete: ': Promise<boolean>',
+        id: ': string',
+        ids: ': string[]',
+        data: `: ${resourceName}Input`,
+        partialData: `: Partial<${resourceName}Input>`
+    } : { findAll: '', listQuery: '', getById: '', getByIds: '', create: '', update: '', delete: '', id: '', ids: '', data: '', partialData: '' };
+
+    const cast = (type) => isTypeScript ? ` as ${type}` : '';
+
+    // Each provided field gets the next $n placeholder
+    const updateFields = columns.map(column => {
+        return `        if (${column.name} !== undefined) {
+            values.push(${column.updateValue});
+            updates.push(\`${column.name} = $\${values.length}\`);
+        }`;
+    }).join('\n');
+
+    return `${imports}
+
+class ${className} {
+    static async findAll(listQuery${types.listQuery}${softDelete.findAllParams})${types.findAll} {
+        const { where, orderBy, values } = toSQLClauses(listQuery);${softDelete.scope}
+        const count = await db.query(\`SELECT COUNT(*) AS total FROM ${resourcePlural} \${${softDelete.where}}\`, values);
+        // LIMIT and OFFSET take the next placeholders after the filter values
+        const { rows } = await db.query(
+            \`SELECT * FROM ${resourcePlural} \${${softDelete.where}} \${orderBy} LIMIT $\${values.length + 1} OFFSET $\${values.length + 2}\`,
+            [...values, listQuery.limit, listQuery.offset]
+        );
+        // COUNT(*) is a bigint, which node-postgres returns as a string
+        return { rows: rows${cast(`${resourceName}[]`)}, total: Number(count.rows[0].total) };
+    }
+
+    static async getById(id${types.id}${connection.param})${types.getById} {
+        const { rows } = await ${connection.ref}.query('SELECT * FROM ${resourcePlural} WHERE id = $1${softDelete.active}', [id]);
+        return rows[0]${cast(`${resourceName} | undefined`)};
+    }
+
+    static async getByIds(ids${types.ids})${types.getByIds} {
+        const { rows } = await db.query('SELECT * FROM ${resourcePlural} WHERE id = ANY($1::int[])${softDelete.active}', [ids]);
+        return rows${cast(`${resourceName}[]`)};
+    }${generateGetByIdWithRelationsMethod(resourceName, fields, 'postgres', isTypeScript, options.softDelete)}
+
+    static async create(data${types.data})${types.create} {
+        const { ${fieldsStr} } = data;
+        const { rows } = await db.query(
+            'INSERT INTO ${resourcePlural} (${fieldsStr}) VALUES (${placeholders}) RETURNING *',
+            [${insertValues}]
+        );
+        return rows[0]${cast(resourceName)};
+    }
+
+    static async update(id${types.id}, data${types.partialData}${version.param}${connection.param})${types.update} {
+        const { ${fieldsStr} } = data;
+        const updates${isTypeScript ? ': string[]' : ''} = [];
+        const values${isTypeScript ? ': unknown[]' : ''} = [];
+        
+${updateFields}
+        
+        if (updates.length === 0) return null;${version.bump}
+        ${version.bind}
+        values.push(id);
+        const { rows } = await ${connection.ref}.query(
+            \`UPDATE ${resourcePlural} SET \${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE ${version.check}id = $\${values.length}${softDelete.active} RETURNING *\`,
+            values
+        );
+        return ${isTypeScript ? `(rows[0] as ${resourceName})` : 'rows[0]'} || null;
+    }
+
+    static async delete(id${types.id}${version.param}${connection.param})${types.delete} {
+        const { rowCount } = await ${connection.ref}.query(${deleteKey.quote}DELETE FROM ${resourcePlural} WHERE ${deleteKey.where}${deleteKey.quote}, ${deleteKey.values});
+        return (rowCount ?? 0) > 0${isTypeScript ? '' : ' ? { id } : null'};
+    }${options.softDelete ? `
+
+    // Soft delete: the row stays in the table with deleted_at set (see findAll(listQuery, true))
+    static async softDelete(id${types.id}${version.param}${connection.param})${types.delete} {
+        const { rowCount } = await ${connection.ref}.query(
+            ${deleteKey.quote}UPDATE ${resourcePlural} SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE ${deleteKey.where} AND deleted_at IS NULL${deleteKey.quote},
+            ${deleteKey.values}
+        );
+        return (rowCount ?? 0) > 0${isTypeScript ? '' : ' ? { id } : null'};
+    }
+
+    static async restore(id${types.id})${types.update} {
+        const { rows } = await db.query(
+            'UPDATE ${resourcePlural} SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *',
+            [id]
+        );
+        return ${isTypeScript ? `(rows[0] as ${resourceName})` : 'rows[0]'} || null;
+    }` : ''}${options.bulk ? `
+
+    // Run callback(client) in one transaction: all of its queries are saved, or none
+    static async transaction${isTypeScript ? '<T>' : ''}(callback${isTypeScript ? ': (client: PoolClient) => Promise<T>' : ''})${isTypeScript ? ': Promise<T>' : ''} {
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await callback(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Insert several ${resourcePlural} with one multi-row INSERT: ($1, $2), ($3, $4), ...
+    static async createMany(items${isTypeScript ? `: ${resourceName}Input[]` : ''})${types.getByIds} {
+        const columns = ${columns.length};
+        const placeholders = items
+            .map((_, row) => \`(\${Array.from({ length: columns }, (_, column) => \`$\${row * columns + column + 1}\`).join(', ')})\`)
+            .join(', ');
+        const { rows } = await db.query(
+            \`INSERT INTO ${resourcePlural} (${fieldsStr}) VALUES \${placeholders} RETURNING *\`,
+            items.flatMap(({ ${fieldsStr} }) => [${insertValues}])
+        );
+        return rows${cast(`${resourceName}[]`)};
+    }
+
+    static async updateMany(changes${isTypeScript ? `: Array<{ id: string; data: Partial<${resourceName}Input> }>` : ''})${isTypeScript ? `: Promise<Array<${resourceName} | null>>` : ''} {
+        return await ${className}.transaction(async (client) => {
+            const updated = [];
+            for (const { id, data } of changes) {
+                updated.push(await ${className}.update(id, data${version.arg}, client));
+            }
+            return updated;
+        });
+    }
+
+    // ${options.softDelete ? 'Soft delete' : 'Delete'} several ${resourcePlural}: true for each id that was found
+    static async deleteMany(ids${types.ids})${isTypeScript ? ': Promise<boolean[]>' : ''} {
+        return await ${className}.transaction(async (client) => {
+            const deleted = [];
+            for (const id of ids) {
+                deleted.push(Boolean(await ${className}.${options.softDelete ? 'softDelete' : 'delete'}(id${version.arg}, client)));
+            }
+            return deleted;
+        });
+    }` : ''}
+}
+
+export default ${className}${isTypeScript ? ' as any' : ''};
+`;
+}
+
+/**
+ * Generate SQLite model class (better-sqlite3, synchronous prepared statements).
+ * The table is created when the model is first imported.
+ * @param {string} resourceName - Resource name
+ * @param {Array<object>} fields - Field definitions (see parseFieldDefinition)
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Object} [options] - { softDelete } keeps deleted rows (deleted_at) out of the queries;
+ *   { bulk } adds createMany, updateMany and deleteMany (one transaction each);
+ *   { etag } versions the rows (update and delete take the version they are based on)
+ * @returns {string} SQLite model code
+ */
+export function generateSQLiteModel(resourceName, fields, isTypeScript = false, options = {}) {
+    const resourceLower = resourceName.toLowerCase();
+    const resourcePlural = resourceLower + 's';
+    const softDelete = getSoftDeleteClauses(options.softDelete);
+    const className = `${resourceName}${isTypeScript ? 'Model' : ''}`;
+    const columns = fields.map(field => toSQLFieldExpressions(field, 'sqlite'));
+    const fieldsStr = columns.map(c => c.name).join(', ');
+    const placeholders = columns.map(() => '?').join(', ');
+    const insertValues = columns.map(c => c.insertValue).join(', ');
+    const createTableSQL = resolveTemplate('shared', 'generateCreateTableSQL', generateCreateTableSQL)(resourceName, fields, 'sqlite', options).replace(/;$/, '');
+    const version = getVersionClauses(options.etag, isTypeScript, 'sqlite');
+    const deleteKey = getDeleteKey(options.etag, 'sqlite');
+
+    const imports = isTypeScript
+        ? `import db from '../config/database.js';
+import { toSQLClauses } from '../utils/listQuery.js';
+import type { ListQuery, ListResult } from '../utils/listQuery.js';
+import type { ${resourceName}, ${resourceName}Input } from '../types/${resourceName}.types.js';`
+        : `import db from '../config/database.js';
+import { toSQLClauses } from '../utils/listQuery.js';`;
+
+    const types = isTypeScript ? {
+        findAll: `: ListResult<${resourceName}>`,
+        listQuery: ': ListQuery',
+        getById: `: ${resourceName} | undefined`,
+        getByIds: `: ${resourceName}[]`,
+        create: `: ${resourceName}`,
+        update: `: ${resourceName} | null`,
+        delete: ': boolean',
+        id: ': string',
+        ids: ': string[]',
+        data: `: ${resourceName}Input`,
+        partialData: `: Partial<${resourceName}Input>`
+    } : { findAll: '', listQuery: '', getById: '', getByIds: '', create: '', update: '', delete: '', id: '', ids: '', data: '', partialData: '' };
+
+    // Booleans come back as 0/1 and arrays as JSON text, so rows are mapped back
+    const conversions = fields.filter(f => f.isArray || getFieldKind(f) === 'boolean').map(f => f.isArray
+        ? `        ${f.name}: row.${f.name} === null ? null : JSON.parse(row.${f.name})`
+        : `        ${f.name}: row.${f.name} === null ? null : Boolean(row.${f.name})`);
+    const fromRow = conversions.length > 0 ? `
+// SQLite has no boolean or array columns: convert 0/1 and JSON text back
+function fromRow(row${isTypeScript ? ': any' : ''})${isTypeScript ? `: ${resourceName} | undefined` : ''} {
+    if (!row) return row;
+    return {
+        ...row,
+${conversions.join(',\n')}
+    };
+}
+` : '';
+    const mapAll = conversions.length > 0 ? '.map(fromRow)' : '';
+    const mapOne = (expression) => conversions.length > 0 ? `fromRow(${expression})` : expression;
+    const cast = (type) => isTypeScript ? ` as ${type}` : '';
+
+    const updateFields = columns.map(column => {
+        return `        if (${column.name} !== undefined) {
+            updates.push('${column.name} = ?');
+            values.push(${column.updateValue});
+        }`;
+    }).join('\n');
+
+    return `${imports}
+
+// Create the table on first connect
+db.exec(\`
+    ${createTableSQL.split('\n').join('\n    ')}
+\`);
+${fromRow}
+class ${className} {
+    static findAll(listQuery${types.listQuery}${softDelete.findAllParams})${types.findAll} {
+        const { where, orderBy, values } = toSQLClauses(listQuery);${softDelete.scope}
+        const { total } = db.prepare(\`SELECT COUNT(*) AS total FROM ${resourcePlural} \${${softDelete.where}}\`).get(...values)${cast('{ total: number }')};
+        const rows = db.prepare(
+            \`SELECT * FROM ${resourcePlural} \${${softDelete.where}} \${orderBy} LIMIT ? OFFSET ?\`
+        ).all(...values, listQuery.limit, listQuery.offset);
+        return { rows: rows${mapAll}${cast(`${resourceName}[]`)}, total };
+    }
+
+    static getById(id${types.id})${types.getById} {
+        const row = db.prepare('SELECT * FROM ${resourcePlural} WHERE id = ?${softDelete.active}').get(id);
+        return ${mapOne('row')}${cast(`${resourceName} | undefined`)};
+    }
+
+    static getByIds(ids${types.ids})${types.getByIds} {
+        if (ids.length === 0) return [];
+        const rows = db.prepare(
+            \`SELECT * FROM ${resourcePlural} WHERE id IN (\${ids.map(() => '?').join(', ')})${softDelete.active}\`
+        ).all(...ids);
+        return rows${mapAll}${cast(`${resourceName}[]`)};
+    }
+
+    static create(data${types.data})${types.create} {
+        const { ${fieldsStr} } = data;
+        const result = db.prepare(
+            'INSERT INTO ${resourcePlural} (${fieldsStr}) VALUES (${placeholders})'
+        ).run(${insertValues});
+        return ${className}.getById(String(result.lastInsertRowid))${isTypeScript ? '!' : ''};
+    }
+
+    static update(id${types.id}, data${types.partialData}${version.param})${types.update} {
+        const { ${fieldsStr} } = data;
+        const updates${isTypeScript ? ': string[]' : ''} = [];
+        const values${isTypeScript ? ': unknown[]' : ''} = [];
+
+${updateFields}
+
+        if (updates.length === 0) return null;${version.bump}
+${version.bind}
+        values.push(id);
+        const result = db.prepare(
+            \`UPDATE ${resourcePlural} SET \${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE ${version.check}id = ?${softDelete.active}\`
+        ).run(...values);
+
+        if (result.changes === 0) return null;
+        return ${className}.getById(id)${isTypeScript ? ' || null' : ''};
+    }
+
+    static delete(id${types.id}${version.param})${types.delete} {
+        const result = db.prepare(${deleteKey.quote}DELETE FROM ${resourcePlural} WHERE ${deleteKey.where}${deleteKey.quote}).run(${deleteKey.args});
+        return result.changes > 0${isTypeScript ? '' : ' ? { id } : null'};
+    }${options.softDelete ? `
+
+    // Soft delete: the row stays in the table with deleted_at set (see findAll(listQuery, true))
+    static softDelete(id${types.id}${version.param})${types.delete} {
+        const result = db.prepare(
+            ${deleteKey.quote}UPDATE ${resourcePlural} SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE ${deleteKey.where} AND deleted_at IS NULL${deleteKey.quote}
+        ).run(${deleteKey.args});
+        return result.changes > 0${isTypeScript ? '' : ' ? { id } : null'};
+    }
+
+    static restore(id${types.id})${types.update} {
+        const result = db.prepare(
+            'UPDATE ${resourcePlural} SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NOT NULL'
+        ).run(id);
+        if (result.changes === 0) return null;
+        return ${className}.getById(id)${isTypeScript ? ' || null' : ''};
+    }` : ''}${options.bulk ? `
+
+    // Batch writes run in one transaction: all of them are saved, or none
+    static createMany(items${isTypeScript ? `: ${resourceName}Input[]` : ''})${types.getByIds} {
+        return db.transaction(() => items.map((data) => ${className}.create(data)))();
+    }
+
+    static updateMany(changes${isTypeScript ? `: Array<{ id: string; data: Partial<${resourceName}Input> }>` : ''})${isTypeScript ? `: Array<${resourceName} | null>` : ''} {
+        return db.transaction(() => changes.map(({ id, data }) => ${className}.update(id, data)))();
+    }
+
+    // ${options.softDelete ? 'Soft delete' : 'Delete'} several ${resourcePlural}: true for each id that was found
+    static deleteMany(ids${types.ids})${isTypeScript ? ': boolean[]' : ''} {
+        return db.transaction(() => ids.map((id) => Boolean(${className}.${options.softDelete ? 'softDelete' : 'delete'}(id))))();
+    }` : ''}
+}
+
+export default ${className}${isTypeScript ? ' as any' : ''};
+`;
+}
+
+/**
+ * Get the REFERENCES clause of a reference field. Deleting the referenced record
+ * deletes the records that require it and clears optional references.
+ * @param {object} field - Reference field (kind 'ref')
+ * @returns {string} Clause (e.g. "REFERENCES posts(id) ON DELETE CASCADE")
+ */
+function getForeignKeyReference(field) {
+    return `REFERENCES ${field.ref.toLowerCase()}s(id) ON DELETE ${field.required ? 'CASCADE' : 'SET NULL'}`;
+}
+
+/**
+ * Get the MySQL column definition for a field
+ * @param {object} field - Field definition
+ * @returns {string} Column definition (e.g. "title VARCHAR(120) NOT NULL")
+ */
+function getMySQLColumnDefinition(field) {
+    const kind = getFieldKind(field);
+    let columnType;
+    if (field.isArray) {
+        columnType = 'JSON';
+    } else if (field.enum) {
+        columnType = `ENUM(${field.enum.map(v => `'${v}'`).join(', ')})`;
+    } else if (kind === 'int' || kind === 'ref') {
+        columnType = 'INT';
+    } else if (kind === 'number') {
+        columnType = field.name === 'price' ? 'DECIMAL(10, 2)' : 'DOUBLE';
+    } else if (kind === 'boolean') {
+        columnType = 'BOOLEAN';
+    } else if (kind === 'date') {
+        columnType = 'DATETIME';
+    } else {
+        columnType = field.maxlength && field.maxlength > 255 ? 'TEXT' : `VARCHAR(${field.maxlength || 255})`;
+    }
+
+    const parts = [field.name, columnType];
+    if (field.required) parts.push('NOT NULL');
+    // MySQL does not allow literal defaults on TEXT/JSON columns
+    if (field.default !== undefined && columnType !== 'TEXT' && columnType !== 'JSON') {
+        parts.push(`DEFAULT ${typeof field.default === 'string' ? `'${field.default}'` : field.default}`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Get the PostgreSQL column definition for a field
+ * @param {object} field - Field definition
+ * @returns {string} Column definition (e.g. "tags TEXT[]")
+ */
+function getPostgresColumnDefinition(field) {
+    const kind = getFieldKind(field);
+    let columnType;
+    if (kind === 'int' || kind === 'ref') {
+        columnType = 'INTEGER';
+    } else if (kind === 'number') {
+        // DOUBLE PRECISION comes back from node-postgres as a JS number (NUMERIC is a string)
+        columnType = 'DOUBLE PRECISION';
+    } else if (kind === 'boolean') {
+        columnType = 'BOOLEAN';
+    } else if (kind === 'date') {
+        columnType = 'TIMESTAMPTZ';
+    } else {
+        columnType = !field.maxlength || field.maxlength > 255 ? 'TEXT' : `VARCHAR(${field.maxlength})`;
+    }
+    if (field.isArray) {
+        columnType += '[]';
+    }
+
+    const parts = [field.name, columnType];
+    if (field.required) parts.push('NOT NULL');
+    if (field.default !== undefined) {
+        parts.push(`DEFAULT ${typeof field.default === 'string' ? `'${field.default}'` : field.default}`);
+    }
+    if (field.enum) {
+        parts.push(`CHECK (${field.name} IN (${field.enum.map(v => `'${v}'`).join(', ')}))`);
+    }
+    if (field.ref) {
+        parts.push(getForeignKeyReference(field));
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Get the SQLite column definition for a field
+ * @param {object} field - Field definition
+ * @returns {string} Column definition (e.g. "stock INTEGER NOT NULL")
+ */
+function getSQLiteColumnDefinition(field) {
+    const kind = getFieldKind(field);
+    let columnType;
+    if (field.isArray) {
+        columnType = 'TEXT';
+    } else if (kind === 'int' || kind === 'boolean' || kind === 'ref') {
+        columnType = 'INTEGER';
+    } else if (kind === 'number') {
+        columnType = 'REAL';
+    } else {
+        // SQLite ignores VARCHAR lengths; maxlength is enforced by the service
+        columnType = 'TEXT';
+    }
+
+    const parts = [field.name, columnType];
+    if (field.required) parts.push('NOT NULL');
+    if (field.default !== undefined) {
+        const value = typeof field.default === 'boolean' ? Number(field.default) : field.default;
+        parts.push(`DEFAULT ${typeof value === 'string' ? `'${value}'` : value}`);
+    }
+    if (field.enum) {
+        parts.push(`CHECK (${field.name} IN (${field.enum.map(v => `'${v}'`).join(', ')}))`);
+    }
+    if (field.ref) {
+        parts.push(getForeignKeyReference(field));
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Generate the CREATE TABLE statement for a resource
+ * @param {string} resourceName - Resource name
+ * @param {Array<object>} fields - Field definitions
+ * @param {string} dbChoice - 'mysql' (default), 'postgres' or 'sqlite'
+ * @param {Object} [options] - { softDelete } adds a nullable deleted_at column;
+ *   { etag } adds the version column updates bump
+ * @returns {string} CREATE TABLE statement
+ */
+export function generateCreateTableSQL(resourceName, fields, dbChoice = 'mysql', options = {}) {
+    const resourcePlural = resourceName.toLowerCase() + 's';
+    const deletedAt = (column) => options.softDelete ? [column] : [];
+    const version = (column) => options.etag ? [column] : [];
+    const columns = dbChoice === 'postgres' ? [
+        'id SERIAL PRIMARY KEY',
+        ...fields.map(getPostgresColumnDefinition),
+        'created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP',
+        'updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP',
+        ...version('version INTEGER NOT NULL DEFAULT 1'),
+        ...deletedAt('deleted_at TIMESTAMPTZ')
+    ] : dbChoice === 'sqlite' ? [
+        'id INTEGER PRIMARY KEY AUTOINCREMENT',
+        ...fields.map(getSQLiteColumnDefinition),
+        'created_at TEXT DEFAULT CURRENT_TIMESTAMP',
+        'updated_at TEXT DEFAULT CURRENT_TIMESTAMP',
+        ...version('version INTEGER NOT NULL DEFAULT 1'),
+        ...deletedAt('deleted_at TEXT')
+    ] : [
+        'id INT AUTO_INCREMENT PRIMARY KEY',
+        ...fields.map(getMySQLColumnDefinition),
+        'created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+        'updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP',
+        ...version('version INT NOT NULL DEFAULT 1'),
+        ...deletedAt('deleted_at TIMESTAMP NULL DEFAULT NULL'),
+        // MySQL ignores inline REFERENCES, so foreign keys are table constraints
+        ...getReferenceFields(fields).map(field => `FOREIGN KEY (${field.name}) ${getForeignKeyReference(field)}`)
+    ];
+
+    return `CREATE TABLE IF NOT EXISTS ${resourcePlural} (
+${columns.map(c => `    ${c}`).join(',\n')}
+);`;
+}
+
 /**
  * Generate in-memory model class
  * @param {string} resourceName - Resource name
- * @param {Array<{name: string, value: any}>} fields - Sample fields
+ * @param {Array<{name: string, value: any, optional?: boolean, default?: any}>} fields - Sample fields
+ * @param {Object} [options] - { softDelete } keeps deleted records (deletedAt) out of the queries;
+ *   { bulk } adds createMany, updateMany and deleteMany;
+ *   { etag } versions the records (update and delete take the version they are based on);
+ *   { isTypeScript } types that version parameter, which TypeScript would otherwise read as null only
  * @returns {string} In-memory model code
  */
-export function generateMemoryModel(resourceName, fields) {
+export function generateMemoryModel(resourceName, fields, options = {}) {
     const resourceLower = resourceName.toLowerCase();
     const resourcePlural = resourceLower + 's';
 
@@ -174,67 +994,122 @@ export function generateMemoryModel(resourceName, fields) {
     // per demo record below (so each sample row gets a distinct, readable name),
     // and including it again here would create a duplicate 'name' key in the
     // generated object literal (invalid/misleading code, and a TS compile error).
+    const hasNameField = fields.some(f => f.name === 'name');
     const sampleFieldsList = fields.filter(f => f.name !== 'name');
-    const sampleFieldsStr = sampleFieldsList.map(f => `        ${f.name}: ${typeof f.value === 'string' ? `'${f.value}'` : f.value}`).join(',\n');
+    const sampleFieldsStr = sampleFieldsList.map(f => `        ${f.name}: ${toCodeLiteral(f.value)}`).join(',\n');
     const sampleFieldsBlock = sampleFieldsStr ? `${sampleFieldsStr},\n` : '';
+    const sampleName = (index) => hasNameField ? `        name: 'Sample ${resourceName} ${index}',\n` : '';
 
-    const fieldsList = fields.map(f => f.name).join(', ');
-    const fieldAssignments = fields.map(f => `            ${f.name}: data.${f.name}${f.optional ? ` || ${typeof f.default === 'string' ? `'${f.default}'` : f.default}` : ''}`).join(',\n');
+    const fieldAssignments = fields.map(f => `            ${f.name}: data.${f.name}${f.optional && f.default !== undefined ? ` ?? ${toCodeLiteral(f.default)}` : ''}`).join(',\n');
+    const deletedAt = options.softDelete ? ',\n        deletedAt: null' : '';
+    const version = options.etag ? ',\n        version: 1' : '';
+    const isActive = options.softDelete ? ` && !${resourceLower}.deletedAt` : '';
+    const versionParam = options.etag ? `, version${options.isTypeScript ? ': number | null' : ''} = null` : '';
+    const versionCheck = (record) => options.etag ? `
+        // Writes based on an older version are refused (see src/utils/etag)
+        if (version !== null && ${record}.version !== version) return null;` : '';
 
-    return `// In-memory storage (for demo purposes only - data will be lost on server restart)
+    return `import { applyListQuery } from '../utils/listQuery.js';
+
+// In-memory storage (for demo purposes only - data will be lost on server restart)
 let ${resourcePlural} = [
     {
         id: '1',
-        name: 'Sample ${resourceName} 1',
-${sampleFieldsBlock}        createdAt: new Date().toISOString()
+${sampleName(1)}${sampleFieldsBlock}        createdAt: new Date().toISOString()${version}${deletedAt}
     },
     {
         id: '2',
-        name: 'Sample ${resourceName} 2',
-${sampleFieldsBlock}        createdAt: new Date().toISOString()
+${sampleName(2)}${sampleFieldsBlock}        createdAt: new Date().toISOString()${version}${deletedAt}
     }
 ];
 let nextId = 3;
 
 class ${resourceName} {
-    static getAll() {
-        return ${resourcePlural};
-    }
+${options.softDelete ? `    // Pass trashed = true to list the soft-deleted records instead
+    static findAll(listQuery, trashed = false) {
+        return applyListQuery(${resourcePlural}.filter(${resourceLower} => Boolean(${resourceLower}.deletedAt) === trashed), listQuery);
+    }` : `    static findAll(listQuery) {
+        return applyListQuery(${resourcePlural}, listQuery);
+    }`}
 
     static getById(id) {
-        return ${resourcePlural}.find(${resourceLower} => ${resourceLower}.id === id);
+        return ${resourcePlural}.find(${resourceLower} => ${resourceLower}.id === id${isActive});
+    }
+
+    static getByIds(ids) {
+        return ${resourcePlural}.filter(${resourceLower} => ids.includes(${resourceLower}.id)${isActive});
     }
 
     static create(data) {
         const new${resourceName} = {
             id: String(nextId++),
 ${fieldAssignments},
-            createdAt: new Date().toISOString()
+            createdAt: new Date().toISOString()${version.replace('\n', '\n    ')}${deletedAt.replace('\n', '\n    ')}
         };
         ${resourcePlural}.push(new${resourceName});
         return new${resourceName};
     }
 
-    static update(id, data) {
-        const index = ${resourcePlural}.findIndex(${resourceLower} => ${resourceLower}.id === id);
-        if (index === -1) return null;
+    static update(id, data${versionParam}) {
+        const index = ${resourcePlural}.findIndex(${resourceLower} => ${resourceLower}.id === id${isActive});
+        if (index === -1) return null;${versionCheck(`${resourcePlural}[index]`)}
         
+        // Fields left undefined keep their value
         ${resourcePlural}[index] = { 
             ...${resourcePlural}[index], 
-            ...data,
+            ...Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined)),${options.etag ? `
+            version: ${resourcePlural}[index].version + 1,` : ''}
             updatedAt: new Date().toISOString()
         };
         return ${resourcePlural}[index];
     }
 
-    static delete(id) {
+    static delete(id${versionParam}) {
         const index = ${resourcePlural}.findIndex(${resourceLower} => ${resourceLower}.id === id);
-        if (index === -1) return null;
+        if (index === -1) return null;${versionCheck(`${resourcePlural}[index]`)}
         
         const deleted = ${resourcePlural}[index];
         ${resourcePlural}.splice(index, 1);
         return deleted;
     }
+
+    // Empty the storage (the generated tests start each test from an empty store)
+    static deleteAll() {
+        ${resourcePlural} = [];
+        nextId = 1;
+    }${options.softDelete ? `
+
+    // Soft delete: the record stays in storage with deletedAt set
+    static softDelete(id${versionParam}) {
+        const ${resourceLower} = ${resourceName}.getById(id);
+        if (!${resourceLower}) return null;${versionCheck(resourceLower)}
+
+        ${resourceLower}.deletedAt = new Date().toISOString();
+        ${resourceLower}.updatedAt = ${resourceLower}.deletedAt;
+        return ${resourceLower};
+    }
+
+    static restore(id) {
+        const ${resourceLower} = ${resourcePlural}.find(item => item.id === id && item.deletedAt);
+        if (!${resourceLower}) return null;
+
+        ${resourceLower}.deletedAt = null;
+        ${resourceLower}.updatedAt = new Date().toISOString();
+        return ${resourceLower};
+    }` : ''}${options.bulk ? `
+
+    static createMany(items) {
+        return items.map(data => ${resourceName}.create(data));
+    }
+
+    static updateMany(changes) {
+        return changes.map(({ id, data }) => ${resourceName}.update(id, data));
+    }
+
+    // ${options.softDelete ? 'Soft delete' : 'Delete'} several ${resourcePlural}: true for each id that was found
+    static deleteMany(ids) {
+        return ids.map(id => Boolean(${resourceName}.${options.softDelete ? 'softDelete' : 'delete'}(id)));
+    }` : ''}
 }
 
 export default ${resourceName};
@@ -244,32 +1119,37 @@ export default ${resourceName};
 /**
  * Generate complete model based on database choice
  * @param {string} resourceName - Resource name
- * @param {string} dbChoice - Database choice (mongodb, mysql, memory)
+ * @param {string} dbChoice - Database choice (mongodb, mysql, postgres, sqlite, memory)
  * @param {boolean} isTypeScript - Whether to include TypeScript
  * @param {Object} options - Additional options
  * @returns {string} Complete model code
  */
 export function generateModel(resourceName, dbChoice, isTypeScript = false, options = {}) {
-    const defaultFields = options.fields || [
-        { name: 'name', type: 'String', required: true, trim: true, maxlength: 255, tsType: 'string', displayName: 'Name' },
-        { name: 'description', type: 'String', trim: true, maxlength: 2000, tsType: 'string', default: '' },
-        { name: 'price', type: 'Number', min: 0, tsType: 'number', default: 0 }
-    ];
+    const defaultFields = options.fields || getDefaultItemFields();
+    const modelOptions = { softDelete: Boolean(options.softDelete), bulk: Boolean(options.bulk), etag: Boolean(options.etag) };
     
     if (dbChoice === 'mongodb') {
-        return generateMongoSchema(resourceName, defaultFields, isTypeScript);
+        return resolveTemplate('shared', 'generateMongoSchema', generateMongoSchema)(resourceName, defaultFields, isTypeScript, modelOptions);
     } else if (dbChoice === 'mysql') {
-        const fieldNames = defaultFields.map(f => f.name);
-        return generateMySQLModel(resourceName, fieldNames, isTypeScript);
+        // Custom field definitions carry defaults/array handling; the built-in
+        // fields keep the name-only form (and its historical fallbacks)
+        const mysqlFields = options.fields ? defaultFields : defaultFields.map(f => f.name);
+        return resolveTemplate('shared', 'generateMySQLModel', generateMySQLModel)(resourceName, mysqlFields, isTypeScript, modelOptions);
+    } else if (dbChoice === 'postgres') {
+        const postgresFields = options.fields ? defaultFields : defaultFields.map(f => f.name);
+        return resolveTemplate('shared', 'generatePostgresModel', generatePostgresModel)(resourceName, postgresFields, isTypeScript, modelOptions);
+    } else if (dbChoice === 'sqlite') {
+        // The model creates its own table, so it always needs the full definitions
+        return resolveTemplate('shared', 'generateSQLiteModel', generateSQLiteModel)(resourceName, defaultFields, isTypeScript, modelOptions);
     } else {
         const memoryFields = defaultFields.map(f => ({
             name: f.name,
-            value: f.name === 'name' ? `${f.displayName || f.name} for demo` : 
-                   f.name === 'description' ? 'This is a sample description' :
-                   f.name === 'price' ? 10.99 : '',
+            value: f.name === 'description' && getFieldKind(f) === 'string' ? 'This is a sample description' :
+                   f.name === 'price' && getFieldKind(f) === 'number' ? 10.99 :
+                   getSampleValue(f),
             optional: !f.required,
-            default: f.default !== undefined ? f.default : (f.name === 'description' ? '' : 0)
+            default: f.default
         }));
-        return generateMemoryModel(resourceName, memoryFields);
+        return resolveTemplate('shared', 'generateMemoryModel', generateMemoryModel)(resourceName, memoryFields, { ...modelOptions, isTypeScript });
     }
 }
@@ -1,186 +1,657 @@
 // Shared Service Helpers
 // Reusable functions for service template generation
 
+import { getDefaultItemFields, getFieldKind, getNestedRoutes, getReferenceFields, toCodeLiteral } from '../../utils/fieldUtils.js';
+import { resolveTemplate } from '../../utils/templateUtils.js';
+
+/**
+ * Get the field names from a list of field names or field definitions
+ * @param {Array<string|object>} fields - Field names or definitions
+ * @returns {Array<string>} Field names
+ */
+function getFieldNames(fields) {
+    return fields.map(f => typeof f === 'string' ? f : f.name);
+}
+
+/**
+ * Check whether the model layer for a database returns promises
+ * @param {string} dbChoice - Database choice
+ * @returns {boolean} True for server-backed models (SQLite and memory models are synchronous)
+ */
+function isAsyncDatabase(dbChoice) {
+    return dbChoice === 'mongodb' || dbChoice === 'mysql' || dbChoice === 'postgres';
+}
+
+/**
+ * Generate the id format check that opens getById/update/delete
+ * @param {string} dbChoice - Database choice
+ * @param {string} [variable] - Variable holding the id
+ * @returns {string} Validation code (empty when the database accepts any id)
+ */
+function generateIdCheck(dbChoice, variable = 'id') {
+    if (dbChoice === 'mongodb') {
+        return `// Validate MongoDB ObjectId
+    if (!mongoose.Types.ObjectId.isValid(${variable})) {
+        throw new BadRequestError('Invalid ID format', 'INVALID_ID');
+    }
+    `;
+    }
+    if (dbChoice === 'postgres' || dbChoice === 'sqlite') {
+        // PostgreSQL raises a query error for non-numeric SERIAL ids, so reject them up front
+        // (SQLite would just miss, but integer ids keep both APIs consistent)
+        return `// Validate integer ID
+    if (!/^\\d+$/.test(String(${variable}))) {
+        throw new BadRequestError('Invalid ID format', 'INVALID_ID');
+    }
+    `;
+    }
+    return '';
+}
+
+/**
+ * Get the list filter kind of a reference field: SQL ids are integers,
+ * ObjectIds and in-memory ids are strings
+ * @param {string} dbChoice - Database choice
+ * @returns {string} 'int' or 'string'
+ */
+function getReferenceKind(dbChoice) {
+    return dbChoice === 'mysql' || dbChoice === 'postgres' || dbChoice === 'sqlite' ? 'int' : 'string';
+}
+
+/**
+ * Map the fields of a resource to the kinds its list endpoint can filter by.
+ * Array fields are left out: they cannot be compared with a single value.
+ * @param {Array<string|object>} fields - Field names or definitions
+ * @param {string} dbChoice - Database choice (decides the kind of reference fields)
+ * @returns {object} Field name -> kind ('string', 'number', 'int', 'boolean', 'date')
+ */
+function getListFieldKinds(fields, dbChoice) {
+    return Object.fromEntries(fields
+        .filter(f => typeof f === 'string' || !f.isArray)
+        .map(f => typeof f === 'string'
+            ? [f, f === 'price' ? 'number' : 'string']
+            : [f.name, getFieldKind(f) === 'ref' ? getReferenceKind(dbChoice) : getFieldKind(f)]));
+}
+
+/**
+ * Generate the expression that looks up a referenced record (truthy when it exists)
+ * @param {object} field - Reference field
+ * @param {string} dbChoice - Database choice
+ * @param {string} id - Expression holding the referenced id
+ * @returns {string} Lookup expression
+ */
+function generateReferenceLookup(field, dbChoice, id) {
+    if (dbChoice === 'mongodb') {
+        return `await ${field.ref}.exists({ _id: ${id} })`;
+    }
+    return `${isAsyncDatabase(dbChoice) ? 'await ' : ''}${field.ref}.getById(String(${id}))`;
+}
+
+/**
+ * Generate the expression that is true when a referenced record does not exist
+ * @param {object} field - Reference field
+ * @param {string} dbChoice - Database choice
+ * @param {string} id - Expression holding the referenced id
+ * @returns {string} Negated lookup expression
+ */
+function generateMissingReference(field, dbChoice, id) {
+    const lookup = generateReferenceLookup(field, dbChoice, id);
+    return lookup.startsWith('await ') ? `!(${lookup})` : `!${lookup}`;
+}
+
+/**
+ * Generate the checks that the records referenced by create/update data exist
+ * A missing record is a ValidationError of the field, like other invalid values.
+ * @param {Array<string|object>} fields - Field names or definitions
+ * @param {string} dbChoice - Database choice
+ * @returns {string} Validation code (empty when the resource has no references)
+ */
+function generateReferenceChecks(fields, dbChoice) {
+    const references = getReferenceFields(fields);
+    if (references.length === 0) {
+        return '';
+    }
+
+    // Malformed ids would make the lookup itself fail, so they are rejected first
+    const missing = (field) => {
+        const lookup = generateMissingReference(field, dbChoice, field.name);
+        return dbChoice === 'mongodb' ? `(!mongoose.Types.ObjectId.isValid(${field.name}) || ${lookup})`
+            : dbChoice === 'postgres' || dbChoice === 'sqlite' ? `(!/^\\d+$/.test(String(${field.name})) || ${lookup})`
+            : lookup;
+    };
+
+    return `
+    // Referenced records must exist
+${references.map(field => `    if (${field.name} !== undefined && ${field.name} !== null && ${missing(field)}) {
+        throw new ValidationError('Invalid ${field.name}: referenced ${field.ref} does not exist');
+    }`).join('\n')}`;
+}
+
 /**
  * Generate service method for getting all resources
+ * Pagination, sorting and filtering are parsed by src/utils/listQuery against
+ * the resource's whitelisted fields.
  * @param {string} resourceName - Resource name (e.g., 'User', 'Product')
- * @param {string} dbChoice - Database choice (mongodb, mysql, memory)
+ * @param {string} dbChoice - Database choice (mongodb, mysql, postgres, sqlite, memory)
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Array<string|object>} fields - Field names or definitions
  * @returns {string} Method code
  */
-export function generateGetAllMethod(resourceName, dbChoice) {
-    const isAsync = dbChoice === 'mongodb' || dbChoice === 'mysql';
+export function generateGetAllMethod(resourceName, dbChoice, isTypeScript = false, fields = ['name', 'description', 'price']) {
+    const isAsync = isAsyncDatabase(dbChoice);
     const resourceLower = resourceName.toLowerCase();
     const resourcePlural = resourceLower + 's';
+    const listFields = Object.entries(getListFieldKinds(fields, dbChoice))
+        .map(([name, kind]) => `${name}: '${kind}'`)
+        .join(', ');
+
+    const query = dbChoice === 'mongodb'
+        ? `const { filter, sort } = toMongoQuery(listQuery);
+    const [rows, total] = await Promise.all([
+        ${resourceName}.find(filter).sort(sort).skip(listQuery.offset).limit(listQuery.limit),
+        ${resourceName}.countDocuments(filter)
+    ]);`
+        : `const { rows, total } = ${isAsync ? 'await ' : ''}${resourceName}.findAll(listQuery);`;
     
-    return `// Get all ${resourcePlural}
-export const getAll${resourceName}s = async () => {
-    return ${isAsync ? 'await ' : ''}${resourceName}.${dbChoice === 'mongodb' ? 'find()' : 'getAll()'};
+    return `// Fields GET /api/${resourcePlural} can filter and sort by (anything else is rejected)
+const LIST_FIELDS${isTypeScript ? ': ListOptions[\'fields\']' : ''} = { ${listFields} };
+
+// Get all ${resourcePlural} (paginated, sorted and filtered)
+export const getAll${resourceName}s = async (query${isTypeScript ? ': Record<string, unknown>' : ''} = {}) => {
+    const listQuery = parseListQuery(query, {
+        fields: LIST_FIELDS,
+        sortable: [...Object.keys(LIST_FIELDS), 'createdAt', 'updatedAt']
+    });
+    ${query}
+    return { data: rows, meta: buildListMeta(listQuery, total) };
 };`;
 }
 
 /**
  * Generate service method for getting resource by ID
+ * Resources with reference fields accept `?include=<field>[,<field>]`, which
+ * replaces the stored ids with the referenced records (Mongoose populate,
+ * a SQL JOIN for MySQL/PostgreSQL, a lookup through the target model otherwise).
  * @param {string} resourceName - Resource name
  * @param {string} dbChoice - Database choice
  * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Array<string|object>} [fields] - Field names or definitions
  * @returns {string} Method code
  */
-export function generateGetByIdMethod(resourceName, dbChoice, isTypeScript = false) {
-    const isAsync = dbChoice === 'mongodb' || dbChoice === 'mysql';
+export function generateGetByIdMethod(resourceName, dbChoice, isTypeScript = false, fields = []) {
+    const isAsync = isAsyncDatabase(dbChoice);
     const resourceLower = resourceName.toLowerCase();
+    const resourcePlural = resourceLower + 's';
     const typeAnnotation = isTypeScript ? ': string' : '';
+    const references = getReferenceFields(fields);
+
+    if (references.length > 0) {
+        const names = references.map(field => field.name);
+        let lookup;
+        if (dbChoice === 'mongodb') {
+            lookup = `const ${resourceLower} = await ${resourceName}.findById(id).populate(relations);
+    if (!${resourceLower}) {
+        throw new NotFoundError('${resourceName} not found');
+    }
+    return ${resourceLower};`;
+        } else if (dbChoice === 'mysql' || dbChoice === 'postgres') {
+            lookup = `const ${resourceLower} = relations.length > 0
+        ? await ${resourceName}.getByIdWithRelations(id, relations)
+        : await ${resourceName}.getById(id);
+    if (!${resourceLower}) {
+        throw new NotFoundError('${resourceName} not found');
+    }
+    return ${resourceLower};`;
+        } else {
+            lookup = `const ${resourceLower} = ${resourceName}.getById(id);
+    if (!${resourceLower}) {
+        throw new NotFoundError('${resourceName} not found');
+    }
+
+    // Replace the requested ids with the referenced records
+    const expanded = { ...${resourceLower} };
+${references.map(field => `    if (relations.includes('${field.name}')) {
+        expanded.${field.name} = ${resourceLower}.${field.name} === undefined || ${resourceLower}.${field.name} === null
+            ? null
+            : ${generateReferenceLookup(field, dbChoice, `${resourceLower}.${field.name}`)} || null;
+    }`).join('\n')}
+    return expanded;`;
+        }
+
+        return `// References GET /api/${resourcePlural}/:id can expand with ?include=
+const INCLUDE_FIELDS = ${toCodeLiteral(names)};
+
+// Get ${resourceLower} by id (?include=${names.join(',')} adds the referenced records)
+export const get${resourceName}ById = async (id${typeAnnotation}, include${isTypeScript ? '?: unknown' : ''}) => {
+    ${generateIdCheck(dbChoice)}const relations = typeof include === 'string' && include !== '' ? include.split(',') : [];
+    if (relations.some((name) => !INCLUDE_FIELDS.includes(name))) {
+        throw new BadRequestError('Invalid include: must be a comma-separated list of ${names.join(', ')}', 'INVALID_INCLUDE');
+    }
+    ${lookup}
+};`;
+    }
     
     return `// Get ${resourceLower} by id
 export const get${resourceName}ById = async (id${typeAnnotation}) => {
-    ${dbChoice === 'mongodb' ? `// Validate MongoDB ObjectId
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-        throw new Error('Invalid ID format');
-    }
-    ` : ''}const ${resourceLower} = ${isAsync ? 'await ' : ''}${resourceName}.${dbChoice === 'mongodb' ? 'findById(id)' : 'getById(id)'};
+    ${generateIdCheck(dbChoice)}const ${resourceLower} = ${isAsync ? 'await ' : ''}${resourceName}.${dbChoice === 'mongodb' ? 'findById(id)' : 'getById(id)'};
     if (!${resourceLower}) {
-        throw new Error('${resourceName} not found');
+        throw new NotFoundError('${resourceName} not found');
     }
     return ${resourceLower};
 };`;
 }
 
+/**
+ * Generate the service method that loads several resources by id in one query
+ * (the GraphQL DataLoaders batch reference lookups through it). Malformed or
+ * unknown ids are left out rather than rejected.
+ * @param {string} resourceName - Resource name
+ * @param {string} dbChoice - Database choice
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {string} Method code
+ */
+export function generateGetByIdsMethod(resourceName, dbChoice, isTypeScript = false) {
+    const resourcePlural = resourceName.toLowerCase() + 's';
+
+    let lookup;
+    if (dbChoice === 'mongodb') {
+        lookup = `return await ${resourceName}.find({ _id: { $in: ids.filter((id) => mongoose.Types.ObjectId.isValid(id)) } });`;
+    } else if (dbChoice === 'postgres' || dbChoice === 'sqlite') {
+        lookup = `const validIds = ids.filter((id) => /^\\d+$/.test(String(id)));
+    return ${isAsyncDatabase(dbChoice) ? 'await ' : ''}${resourceName}.getByIds(validIds);`;
+    } else {
+        lookup = `return ${isAsyncDatabase(dbChoice) ? 'await ' : ''}${resourceName}.getByIds(ids);`;
+    }
+
+    return `// Get the ${resourcePlural} with the given ids (ids that match no ${resourceName.toLowerCase()} are skipped)
+export const get${resourceName}sByIds = async (ids${isTypeScript ? ': string[]' : ''}) => {
+    ${lookup}
+};`;
+}
+
 /**
  * Generate service method for creating a resource
+ * The data was checked with create<Resource>Schema before (validate() on POST,
+ * the GraphQL resolvers, the bulk item checks); only referenced records are looked up here.
  * @param {string} resourceName - Resource name
  * @param {string} dbChoice - Database choice
  * @param {boolean} isTypeScript - Whether to include TypeScript types
- * @param {Array<string>} fields - Fields to include (default: ['name', 'description', 'price'])
+ * @param {Array<string|object>} fields - Field names or definitions (default: ['name', 'description', 'price'])
  * @returns {string} Method code
  */
 export function generateCreateMethod(resourceName, dbChoice, isTypeScript = false, fields = ['name', 'description', 'price']) {
-    const isAsync = dbChoice === 'mongodb' || dbChoice === 'mysql';
+    const isAsync = isAsyncDatabase(dbChoice);
     const resourceLower = resourceName.toLowerCase();
     const typeAnnotation = isTypeScript ? `: ${resourceName}Input` : '';
-    const fieldsStr = fields.join(', ');
-    
-    // Generate validation for common fields
-    const validations = [];
-    if (fields.includes('name')) {
-        validations.push(`    // Validation
-    if (!name || typeof name !== 'string') {
-        throw new Error('Name is required and must be a string');
-    }
-    if (name.length > 255) {
-        throw new Error('Name must be less than 255 characters');
-    }`);
-    }
-    if (fields.includes('description')) {
-        validations.push(`    if (description && typeof description !== 'string') {
-        throw new Error('Description must be a string');
-    }
-    if (description && description.length > 2000) {
-        throw new Error('Description must be less than 2000 characters');
-    }`);
-    }
-    
-    const validationCode = validations.length > 0 ? validations.join('\n') : '    // Add your validation here';
+    const fieldsStr = getFieldNames(fields).join(', ');
     
     return `// Create new ${resourceLower}
 export const create${resourceName} = async (data${typeAnnotation}) => {
-    const { ${fieldsStr} } = data;
-    
-${validationCode}
+    const { ${fieldsStr} } = data;${generateReferenceChecks(fields, dbChoice)}
 
     return ${isAsync ? 'await ' : ''}${resourceName}.create({ ${fieldsStr} });
 };`;
 }
 
 /**
- * Generate service method for updating a resource
+ * Generate service method for updating a resource: a partial update, where fields
+ * left undefined keep their value (PUT and PATCH build on it, see generateReplaceMethod
+ * and generatePatchMethod). The changes were checked with the resource's zod schema before.
  * @param {string} resourceName - Resource name
  * @param {string} dbChoice - Database choice
  * @param {boolean} isTypeScript - Whether to include TypeScript types
- * @param {Array<string>} fields - Fields to include
+ * @param {Array<string|object>} fields - Field names or definitions
+ * @param {Object} [options] - { etag } takes the versions of an If-Match header and only
+ *   writes while the record is at one of them (compare-and-set on the version)
  * @returns {string} Method code
  */
-export function generateUpdateMethod(resourceName, dbChoice, isTypeScript = false, fields = ['name', 'description', 'price']) {
-    const isAsync = dbChoice === 'mongodb' || dbChoice === 'mysql';
+export function generateUpdateMethod(resourceName, dbChoice, isTypeScript = false, fields = ['name', 'description', 'price'], options = {}) {
+    const isAsync = isAsyncDatabase(dbChoice);
     const resourceLower = resourceName.toLowerCase();
     const idType = isTypeScript ? ': string' : '';
     const dataType = isTypeScript ? `: Partial<${resourceName}Input>` : '';
-    const fieldsStr = fields.join(', ');
+    const fieldsStr = getFieldNames(fields).join(', ');
+    const ifMatchParam = options.etag ? `, ifMatch${isTypeScript ? ': number[] | null' : ''} = null` : '';
     
-    // Generate validation for optional fields
-    const validations = [];
-    if (fields.includes('name')) {
-        validations.push(`    if (name !== undefined) {
-        if (typeof name !== 'string' || name.length > 255) {
-            throw new Error('Name must be a string with max 255 characters');
-        }
-    }`);
-    }
-    if (fields.includes('description')) {
-        validations.push(`    if (description !== undefined) {
-        if (typeof description !== 'string' || description.length > 2000) {
-            throw new Error('Description must be a string with max 2000 characters');
-        }
-    }`);
-    }
-    
-    const validationCode = validations.length > 0 ? validations.join('\n') : '    // Add your validation here';
-    
-    const updateLogic = dbChoice === 'mongodb' 
-        ? `const updated${resourceName} = await ${resourceName}.findByIdAndUpdate(
+    let updateLogic;
+    if (options.etag) {
+        // The version is read before the write, which only matches the record while it is still at that version
+        updateLogic = `const version = ifMatch === null ? null : checkIfMatch(await get${resourceName}ById(id), ifMatch);
+    ${dbChoice === 'mongodb'
+        ? `const updated${resourceName} = await ${resourceName}.findOneAndUpdate(
+        version === null ? { _id: id } : { _id: id, __v: version },
+        { ${fieldsStr}, $inc: { __v: 1 } },
+        { new: true, runValidators: true }
+    );`
+        : `const updated${resourceName} = ${isAsync ? 'await ' : ''}${resourceName}.update(id, { ${fieldsStr} }, version);`}`;
+    } else {
+        updateLogic = dbChoice === 'mongodb' 
+            ? `const updated${resourceName} = await ${resourceName}.findByIdAndUpdate(
         id,
         { ${fieldsStr} },
         { new: true, runValidators: true }
     );`
-        : `const updated${resourceName} = ${isAsync ? 'await ' : ''}${resourceName}.update(id, { ${fieldsStr} });`;
-    
-    return `// Update ${resourceLower}
-export const update${resourceName} = async (id${idType}, data${dataType}) => {
-    ${dbChoice === 'mongodb' ? `// Validate MongoDB ObjectId
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-        throw new Error('Invalid ID format');
+            : `const updated${resourceName} = ${isAsync ? 'await ' : ''}${resourceName}.update(id, { ${fieldsStr} });`;
     }
-    ` : ''}const { ${fieldsStr} } = data;
+    const versionRecheck = options.etag ? `
+        // Changed (412) or deleted (404) since its version was read
+        if (version !== null) {
+            checkIfMatch(await get${resourceName}ById(id), [version]);
+        }` : '';
     
-    // Validation
-${validationCode}
+    return `// Update ${resourceLower} (fields left undefined keep their value)
+export const update${resourceName} = async (id${idType}, data${dataType}${ifMatchParam}) => {
+    ${generateIdCheck(dbChoice)}const { ${fieldsStr} } = data;${generateReferenceChecks(fields, dbChoice)}
 
     ${updateLogic}
     
-    if (!updated${resourceName}) {
-        throw new Error('${resourceName} not found');
+    if (!updated${resourceName}) {${versionRecheck}
+        throw new NotFoundError('${resourceName} not found');
     }
     return updated${resourceName};
 };`;
 }
 
+/**
+ * Generate the service method behind PUT /api/<resources>/:id: a full replacement,
+ * where fields left out of the body are reset to their default, or cleared when they have none.
+ * The body was checked with create<Resource>Schema by validate(), so required fields are present.
+ * @param {string} resourceName - Resource name
+ * @param {string} dbChoice - Database choice
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Array<string|object>} fields - Field names or definitions
+ * @param {Object} [options] - { etag } passes the If-Match versions on to update
+ * @returns {string} Method code
+ */
+export function generateReplaceMethod(resourceName, dbChoice, isTypeScript = false, fields = ['name', 'description', 'price'], options = {}) {
+    const resourceLower = resourceName.toLowerCase();
+    // Legacy field names take the defaults of the Item model they describe (description '', price 0)
+    const itemFields = getDefaultItemFields();
+    const defaults = fields.map(item => {
+        const field = typeof item === 'string' ? itemFields.find(f => f.name === item) || { name: item } : item;
+        if (field.required) return field.name;
+        return `${field.name} = ${field.default !== undefined ? toCodeLiteral(field.default) : 'null'}`;
+    });
+    // Cleared fields are null, which the optional properties of the input type leave out
+    const changes = `{ ${getFieldNames(fields).join(', ')} }${isTypeScript && defaults.some(item => item.endsWith('= null')) ? ` as Partial<${resourceName}Input>` : ''}`;
+
+    return `// Replace ${resourceLower} (fields left out are reset to their default, or cleared)
+export const replace${resourceName} = async (id${isTypeScript ? ': string' : ''}, data${isTypeScript ? `: ${resourceName}Input` : ''}${options.etag ? `, ifMatch${isTypeScript ? ': number[] | null' : ''} = null` : ''}) => {
+    const { ${defaults.join(', ')} } = data;
+    return update${resourceName}(id, ${changes}${options.etag ? ', ifMatch' : ''});
+};`;
+}
+
+/**
+ * Generate the service method behind PATCH /api/<resources>/:id: a JSON Merge Patch
+ * or JSON Patch (see src/utils/patch) turned into a partial update
+ * @param {string} resourceName - Resource name
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Object} [options] - { etag } checks the If-Match versions, even when nothing changes
+ * @returns {string} Method code
+ */
+export function generatePatchMethod(resourceName, isTypeScript = false, options = {}) {
+    const resourceLower = resourceName.toLowerCase();
+
+    return `// Patch ${resourceLower}: apply a merge patch or a JSON Patch to the stored ${resourceLower}
+export const patch${resourceName} = async (id${isTypeScript ? ': string' : ''}, patch${isTypeScript ? ': Patch' : ''}${options.etag ? `, ifMatch${isTypeScript ? ': number[] | null' : ''} = null` : ''}) => {
+    const current = await get${resourceName}ById(id);
+    const changes = parsePatch(patch, current);
+
+    // Nothing to change: answer with the ${resourceLower} as it is
+    if (Object.keys(changes).length === 0) {${options.etag ? `
+        checkIfMatch(current, ifMatch);` : ''}
+        return current;
+    }
+    return update${resourceName}(id, changes${isTypeScript ? ` as Partial<${resourceName}Input>` : ''}${options.etag ? ', ifMatch' : ''});
+};`;
+}
+
+/**
+ * Build the If-Match parts of a delete or soft delete (add-crud --etag): like
+ * update, the write only matches the record while it is at the version read before
+ * @param {string} resourceName - Resource name
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {boolean} etag - Whether the resource is versioned
+ * @returns {{param: string, check: string, arg: string, mongoFilter: Function, recheck: string}} Code snippets
+ */
+function getDeleteIfMatch(resourceName, isTypeScript, etag) {
+    if (!etag) {
+        return { param: '', check: '', arg: '', mongoFilter: (fields) => `{ ${fields} }`, recheck: '' };
+    }
+    return {
+        param: `, ifMatch${isTypeScript ? ': number[] | null' : ''} = null`,
+        check: `const version = ifMatch === null ? null : checkIfMatch(await get${resourceName}ById(id), ifMatch);
+    `,
+        arg: ', version',
+        mongoFilter: (fields) => `version === null ? { ${fields} } : { ${fields}, __v: version }`,
+        recheck: `
+        // Changed (412) or deleted (404) since its version was read
+        if (version !== null) {
+            checkIfMatch(await get${resourceName}ById(id), [version]);
+        }`
+    };
+}
+
 /**
  * Generate service method for deleting a resource
  * @param {string} resourceName - Resource name
  * @param {string} dbChoice - Database choice
  * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Object} [options] - { etag } takes the versions of an If-Match header and only
+ *   deletes while the record is at one of them
  * @returns {string} Method code
  */
-export function generateDeleteMethod(resourceName, dbChoice, isTypeScript = false) {
-    const isAsync = dbChoice === 'mongodb' || dbChoice === 'mysql';
+export function generateDeleteMethod(resourceName, dbChoice, isTypeScript = false, options = {}) {
+    const isAsync = isAsyncDatabase(dbChoice);
     const resourceLower = resourceName.toLowerCase();
     const typeAnnotation = isTypeScript ? ': string' : '';
+    const ifMatch = getDeleteIfMatch(resourceName, isTypeScript, options.etag);
     
     const deleteLogic = dbChoice === 'mongodb'
-        ? `const deleted = await ${resourceName}.findByIdAndDelete(id);`
-        : `const deleted = ${isAsync ? 'await ' : ''}${resourceName}.delete(id);`;
+        ? (options.etag
+            ? `const deleted = await ${resourceName}.findOneAndDelete(${ifMatch.mongoFilter('_id: id')});`
+            : `const deleted = await ${resourceName}.findByIdAndDelete(id);`)
+        : `const deleted = ${isAsync ? 'await ' : ''}${resourceName}.delete(id${ifMatch.arg});`;
     
     return `// Delete ${resourceLower}
-export const delete${resourceName} = async (id${typeAnnotation}) => {
-    ${dbChoice === 'mongodb' ? `// Validate MongoDB ObjectId
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-        throw new Error('Invalid ID format');
+export const delete${resourceName} = async (id${typeAnnotation}${ifMatch.param}) => {
+    ${generateIdCheck(dbChoice)}${ifMatch.check}${deleteLogic}
+    
+    if (!deleted) {${ifMatch.recheck}
+        throw new NotFoundError('${resourceName} not found');
     }
-    ` : ''}${deleteLogic}
+    return deleted;
+};`;
+}
+
+/**
+ * Generate the service methods of a soft-deleted resource: delete only sets
+ * deletedAt, restore clears it and getDeleted lists the trash. The models keep
+ * deleted records out of every other query.
+ * @param {string} resourceName - Resource name
+ * @param {string} dbChoice - Database choice
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Object} [options] - { etag } checks If-Match on delete, like generateDeleteMethod
+ * @returns {Array<string>} delete, restore and getDeleted methods
+ */
+export function generateSoftDeleteMethods(resourceName, dbChoice, isTypeScript = false, options = {}) {
+    const isAsync = isAsyncDatabase(dbChoice);
+    const resourceLower = resourceName.toLowerCase();
+    const resourcePlural = resourceLower + 's';
+    const typeAnnotation = isTypeScript ? ': string' : '';
+    const call = (method) => `${isAsync ? 'await ' : ''}${resourceName}.${method}`;
+    const ifMatch = getDeleteIfMatch(resourceName, isTypeScript, options.etag);
+
+    const deleteLogic = dbChoice === 'mongodb'
+        ? `const deleted = await ${resourceName}.findOneAndUpdate(${ifMatch.mongoFilter('_id: id, deletedAt: null')}, { deletedAt: new Date() }, { new: true });`
+        : `const deleted = ${call('softDelete')}(id${ifMatch.arg});`;
+    const restoreLogic = dbChoice === 'mongodb'
+        ? `const restored = await ${resourceName}.findOneAndUpdate({ _id: id, deletedAt: { $ne: null } }, { deletedAt: null }, { new: true });`
+        : `const restored = ${call('restore')}(id);`;
+    const trashQuery = dbChoice === 'mongodb'
+        ? `const { filter, sort } = toMongoQuery(listQuery);
+    const trashFilter = { ...filter, deletedAt: { $ne: null } };
+    const [rows, total] = await Promise.all([
+        ${resourceName}.find(trashFilter).sort(sort).skip(listQuery.offset).limit(listQuery.limit),
+        ${resourceName}.countDocuments(trashFilter)
+    ]);`
+        : `const { rows, total } = ${call('findAll')}(listQuery, true);`;
+
+    return [
+        `// Delete ${resourceLower} (soft delete: it moves to the trash and can be restored)
+export const delete${resourceName} = async (id${typeAnnotation}${ifMatch.param}) => {
+    ${generateIdCheck(dbChoice)}${ifMatch.check}${deleteLogic}
     
-    if (!deleted) {
-        throw new Error('${resourceName} not found');
+    if (!deleted) {${ifMatch.recheck}
+        throw new NotFoundError('${resourceName} not found');
     }
     return deleted;
+};`,
+        `// Restore a soft-deleted ${resourceLower}
+export const restore${resourceName} = async (id${typeAnnotation}) => {
+    ${generateIdCheck(dbChoice)}${restoreLogic}
+    
+    if (!restored) {
+        throw new NotFoundError('${resourceName} not found in trash');
+    }
+    return restored;
+};`,
+        `// Get soft-deleted ${resourcePlural} (most recently deleted first by default)
+export const getDeleted${resourceName}s = async (query${isTypeScript ? ': Record<string, unknown>' : ''} = {}) => {
+    const listQuery = parseListQuery(query, {
+        fields: LIST_FIELDS,
+        sortable: [...Object.keys(LIST_FIELDS), 'createdAt', 'updatedAt'],
+        defaultSort: '-updatedAt'
+    });
+    ${trashQuery}
+    return { data: rows, meta: buildListMeta(listQuery, total) };
+};`
+    ];
+}
+
+/**
+ * Generate the service methods behind POST, PATCH and DELETE /api/<resources>/bulk
+ * (add-crud --bulk). Items are checked one by one with the zod schemas of the
+ * resource and the valid ones are written together: insertMany and bulkWrite for
+ * MongoDB, the batch methods of the model otherwise (see generateMySQLModel).
+ * @param {string} resourceName - Resource name
+ * @param {string} dbChoice - Database choice
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Array<string|object>} fields - Field names or definitions
+ * @param {Object} [options] - { bulk: { maxItems } } sets the largest batch;
+ *   { softDelete } makes the bulk delete a soft delete
+ * @returns {Array<string>} Batch size, item checks and the three bulk methods
+ */
+export function generateBulkMethods(resourceName, dbChoice, isTypeScript = false, fields = [], options = {}) {
+    const resourceLower = resourceName.toLowerCase();
+    const resourcePlural = resourceLower + 's';
+    const t = (annotation) => isTypeScript ? annotation : '';
+    const references = getReferenceFields(fields);
+    const referenceChecks = (source) => references.length > 0
+        ? `\n    const { ${references.map(field => field.name).join(', ')} } = ${source};${generateReferenceChecks(fields, dbChoice)}`
+        : '';
+
+    let writeChanges = `(changes) => ${resourceName}.updateMany(changes)`;
+    let deleteIds = `${resourceName}.deleteMany(validIds)`;
+    let mongoWrites = [];
+    if (dbChoice === 'mongodb') {
+        const notDeleted = options.softDelete ? ', deletedAt: null' : '';
+        const versionBump = options.etag ? ', $inc: { __v: 1 }' : '';
+        const removal = options.softDelete
+            ? `await ${resourceName}.updateMany({ _id: { $in: foundIds } }, { deletedAt: new Date() });`
+            : `await ${resourceName}.deleteMany({ _id: { $in: foundIds } });`;
+        mongoWrites = [`// Apply the changes with one bulkWrite, then read the updated ${resourcePlural} back
+const update${resourceName}Batch = async (changes${t(': Array<{ id: string; data: Record<string, unknown> }>')}) => {
+    await ${resourceName}.bulkWrite(changes.map(({ id, data }) => ({
+        updateOne: { filter: { _id: id${notDeleted} }, update: { $set: data${versionBump} } }
+    })));
+    const updated = await ${resourceName}.find({ _id: { $in: changes.map(({ id }) => id) } });
+    return changes.map(({ id }) => updated.find((${resourceLower}) => String(${resourceLower}._id) === id) ?? null);
+};`, `// ${options.softDelete ? 'Soft delete' : 'Delete'} the ${resourcePlural} that exist with one query: true for each id that was found
+const delete${resourceName}Batch = async (ids${t(': string[]')}) => {
+    const foundIds = (await ${resourceName}.find({ _id: { $in: ids } }, '_id')).map((${resourceLower}) => String(${resourceLower}._id));
+    ${removal}
+    return ids.map((id) => foundIds.includes(id));
+};`];
+        writeChanges = `update${resourceName}Batch`;
+        deleteIds = `delete${resourceName}Batch(validIds)`;
+    }
+
+    return [
+        `// Largest batch POST, PATCH and DELETE /api/${resourcePlural}/bulk accept (add-crud --bulk=<max>)
+const BULK_MAX_ITEMS = ${options.bulk.maxItems};`,
+        `// Check one item of POST /api/${resourcePlural}/bulk with the create rules
+const checkNew${resourceName} = ${references.length > 0 ? `async (item${t(': unknown')}) => {
+    const data = parseBulkItem(create${resourceName}Schema, item);${referenceChecks('data')}
+    return data;
+};` : `(item${t(': unknown')}) => parseBulkItem(create${resourceName}Schema, item);`}`,
+        `// Check one item of PATCH /api/${resourcePlural}/bulk: the ${resourceLower} id and at least one field to change
+const check${resourceName}Change = async (item${t(': unknown')}) => {
+    const { id: rawId, ...changes } = ${isTypeScript ? '(item ?? {}) as Record<string, unknown>' : 'item ?? {}'};
+    const id = toBulkId(rawId);
+    ${generateIdCheck(dbChoice)}const data = parseBulkItem(update${resourceName}Schema, changes);
+    if (Object.keys(data).length === 0) {
+        throw new BadRequestError('No fields to update', 'NO_FIELDS_TO_UPDATE');
+    }${referenceChecks('data')}
+    return { id, data };
+};`,
+        `// Check one id of DELETE /api/${resourcePlural}/bulk
+const check${resourceName}Id = ${generateIdCheck(dbChoice) ? `(value${t(': unknown')}) => {
+    const id = toBulkId(value);
+    ${generateIdCheck(dbChoice)}return id;
+};` : `(value${t(': unknown')}) => toBulkId(value);`}`,
+        ...mongoWrites,
+        `// Create several ${resourcePlural}: invalid items are reported with their index, the valid ones are inserted together
+export const bulkCreate${resourceName}s = async (items${t(': unknown')}) => runBulk(items, {
+    max: BULK_MAX_ITEMS,
+    status: 201,
+    check: checkNew${resourceName},
+    write: (records) => ${resourceName}.${dbChoice === 'mongodb' ? 'insertMany' : 'createMany'}(records)
+});`,
+        `// Update several ${resourcePlural} (partial updates, all written in one go)
+export const bulkUpdate${resourceName}s = async (items${t(': unknown')}) => runBulk(items, {
+    max: BULK_MAX_ITEMS,
+    status: 200,
+    check: check${resourceName}Change,
+    write: ${writeChanges},
+    notFound: '${resourceName} not found'
+});`,
+        `// Delete several ${resourcePlural}${options.softDelete ? ' (soft delete: they move to the trash)' : ''}
+export const bulkDelete${resourceName}s = async (ids${t(': unknown')}) => runBulk(ids, {
+    max: BULK_MAX_ITEMS,
+    status: 200,
+    check: check${resourceName}Id,
+    write: async (validIds) => (await ${deleteIds}).map((deleted${t(': boolean')}, index${t(': number')}) => deleted ? { id: validIds[index] } : null),
+    notFound: '${resourceName} not found'
+});`
+    ];
+}
+
+/**
+ * Generate the service methods behind the nested list routes of a resource's
+ * references, e.g. getCommentsByPost for GET /api/posts/:postId/comments
+ * @param {string} resourceName - Resource name
+ * @param {string} dbChoice - Database choice
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @param {Array<string|object>} fields - Field names or definitions
+ * @returns {Array<string>} One method per reference field
+ */
+export function generateGetByReferenceMethods(resourceName, dbChoice, isTypeScript = false, fields = []) {
+    const resourcePlural = resourceName.toLowerCase() + 's';
+
+    return getNestedRoutes(resourceName, fields).map(({ field, mountPath }) => {
+        const fieldCapitalized = field.name.charAt(0).toUpperCase() + field.name.slice(1);
+        const idVariable = `${field.name}Id`;
+
+        return `// Get the ${resourcePlural} of a ${field.ref.toLowerCase()} (GET ${mountPath})
+export const get${resourceName}sBy${fieldCapitalized} = async (${idVariable}${isTypeScript ? ': string' : ''}, query${isTypeScript ? ': Record<string, unknown>' : ''} = {}) => {
+    ${generateIdCheck(dbChoice, idVariable)}if (${generateMissingReference(field, dbChoice, idVariable)}) {
+        throw new NotFoundError('${field.ref} not found');
+    }
+    return getAll${resourceName}s({ ...query, ${field.name}: ${idVariable} });
 };`;
+    });
 }
 
 /**
@@ -188,16 +659,29 @@ export const delete${resourceName} = async (id${typeAnnotation}) => {
  * @param {string} resourceName - Resource name
  * @param {string} dbChoice - Database choice
  * @param {boolean} isTypeScript - Whether to include TypeScript types
- * @param {Array<string>} fields - Fields to include in create/update
+ * @param {Array<string|object>} fields - Field names or definitions to include in create/update
+ * @param {Object} [options] - { softDelete } replaces delete with soft delete, restore and trash listing;
+ *   { bulk: { maxItems } } adds the bulk create, update and delete methods;
+ *   { etag } makes update, replace, patch and delete check If-Match against the record's version
  * @returns {string} Complete service code
  */
-export function generateServiceMethods(resourceName, dbChoice, isTypeScript = false, fields = ['name', 'description', 'price']) {
+export function generateServiceMethods(resourceName, dbChoice, isTypeScript = false, fields = ['name', 'description', 'price'], options = {}) {
+    const deleteMethods = options.softDelete
+        ? resolveTemplate('shared', 'generateSoftDeleteMethods', generateSoftDeleteMethods)(resourceName, dbChoice, isTypeScript, options)
+        : [resolveTemplate('shared', 'generateDeleteMethod', generateDeleteMethod)(resourceName, dbChoice, isTypeScript, options)];
     const methods = [
-        generateGetAllMethod(resourceName, dbChoice),
-        generateGetByIdMethod(resourceName, dbChoice, isTypeScript),
-        generateCreateMethod(resourceName, dbChoice, isTypeScript, fields),
-        generateUpdateMethod(resourceName, dbChoice, isTypeScript, fields),
-        generateDeleteMethod(resourceName, dbChoice, isTypeScript)
+        resolveTemplate('shared', 'generateGetAllMethod', generateGetAllMethod)(resourceName, dbChoice, isTypeScript, fields),
+        resolveTemplate('shared', 'generateGetByIdMethod', generateGetByIdMethod)(resourceName, dbChoice, isTypeScript, fields),
+        resolveTemplate('shared', 'generateGetByIdsMethod', generateGetByIdsMethod)(resourceName, dbChoice, isTypeScript),
+        resolveTemplate('shared', 'generateCreateMethod', generateCreateMethod)(resourceName, dbChoice, isTypeScript, fields),
+        resolveTemplate('shared', 'generateUpdateMethod', generateUpdateMethod)(resourceName, dbChoice, isTypeScript, fields, options),
+        resolveTemplate('shared', 'generateReplaceMethod', generateReplaceMethod)(resourceName, dbChoice, isTypeScript, fields, options),
+        resolveTemplate('shared', 'generatePatchMethod', generatePatchMethod)(resourceName, isTypeScript, options),
+        ...deleteMethods,
+        ...(options.bulk
+            ? resolveTemplate('shared', 'generateBulkMethods', generateBulkMethods)(resourceName, dbChoice, isTypeScript, fields, options)
+            : []),
+        ...resolveTemplate('shared', 'generateGetByReferenceMethods', generateGetByReferenceMethods)(resourceName, dbChoice, isTypeScript, fields)
     ];
     
     return methods.join('\n\n');
@@ -209,19 +693,54 @@ export function generateServiceMethods(resourceName, dbChoice, isTypeScript = fa
  * @param {string} modelFileName - Model file name (without extension)
  * @param {string} dbChoice - Database choice
  * @param {boolean} isTypeScript - Whether this is TypeScript
+ * @param {Array<string|object>} [fields] - Field names or definitions (referenced models are imported)
+ * @param {Object} [options] - { etag } imports the If-Match check of src/utils/etag
  * @returns {string} Import statements
  */
-export function generateServiceImports(resourceName, modelFileName, dbChoice, isTypeScript = false) {
+export function generateServiceImports(resourceName, modelFileName, dbChoice, isTypeScript = false, fields = [], options = {}) {
     const imports = [`import ${resourceName} from '../models/${modelFileName}';`];
+    const referencedModels = [...new Set(getReferenceFields(fields).map(field => field.ref))]
+        .filter(ref => ref !== resourceName);
+    referencedModels.forEach(ref => imports.push(`import ${ref} from '../models/${ref}.js';`));
     
     if (dbChoice === 'mongodb') {
         imports.push("import mongoose from 'mongoose';");
+        imports.push("import { parseListQuery, buildListMeta, toMongoQuery } from '../utils/listQuery.js';");
+    } else {
+        imports.push("import { parseListQuery, buildListMeta } from '../utils/listQuery.js';");
+    }
+    imports.push("import { parsePatch } from '../utils/patch.js';");
+    if (options.etag) {
+        imports.push("import { checkIfMatch } from '../utils/etag.js';");
     }
     
     if (isTypeScript) {
         // Import from separate types file for the resource
         imports.push(`import type { ${resourceName}Input } from '../types/${resourceName}.types.js';`);
+        imports.push("import type { ListOptions } from '../utils/listQuery.js';");
+        imports.push("import type { Patch } from '../utils/patch.js';");
     }
     
     return imports.join('\n');
 }
+
+/**
+ * Generate the imports of the bulk methods: the helpers of src/utils/bulk and
+ * the zod schemas items are checked with
+ * @param {string} resourceName - Resource name
+ * @returns {string} Import statements
+ */
+export function generateBulkImports(resourceName) {
+    return `import { parseBulkItem, runBulk, toBulkId } from '../utils/bulk.js';
+import { create${resourceName}Schema, update${resourceName}Schema } from '../schemas/${resourceName.toLowerCase()}Schema.js';`;
+}
+
+/**
+ * Generate the import of the error classes (src/utils/errors) thrown by service methods
+ * @param {string} methods - Generated service methods (see generateServiceMethods)
+ * @returns {string} Import statement, or '' when the methods throw none
+ */
+export function generateErrorImports(methods) {
+    const classes = [...new Set([...methods.matchAll(/new (\w+Error)\(/g)].map(match => match[1]))].sort();
+    return classes.length > 0 ? `import { ${classes.join(', ')} } from '../utils/errors.js';` : '';
+}
@@ -3,6 +3,8 @@
  * Eliminates duplicate validation code across all templates
  */
 
+import { getFieldKind, toCodeLiteral } from '../../utils/fieldUtils.js';
+
 export const validators = {
     /**
      * Validate string input with customizable options
@@ -258,3 +260,93 @@ export function generateValidatorsCode() {
     }
 };`;
 }
+
+/**
+ * Build the zod schema of a single field value (arrays use it for their items)
+ * Type errors go through fieldError() in the generated file, so every message names
+ * the field ("<Label> is required", "Invalid <name>: must be ...").
+ * @param {object} field - Field definition (see parseFieldDefinition)
+ * @returns {string} Zod expression
+ */
+function getZodValueSchema(field) {
+    const { name } = field;
+    const label = field.displayName || name;
+    const kind = getFieldKind(field);
+    const fieldError = (expected) => `fieldError('${label}', '${name}', '${expected}')`;
+
+    if (field.enum) {
+        return `z.enum(${toCodeLiteral(field.enum)}, ${fieldError(`one of: ${field.enum.join(', ')}`)})`;
+    }
+    if (kind === 'number' || kind === 'int') {
+        return `z.number(${fieldError(kind === 'int' ? 'an integer' : 'a number')})`
+            + (kind === 'int' ? `.int('Invalid ${name}: must be an integer')` : '')
+            + (field.min !== undefined ? `.min(${field.min}, 'Invalid ${name}: must be at least ${field.min}')` : '')
+            + (field.max !== undefined ? `.max(${field.max}, 'Invalid ${name}: must be at most ${field.max}')` : '');
+    }
+    if (kind === 'boolean') {
+        return `z.boolean(${fieldError('a boolean')})`;
+    }
+    if (kind === 'date') {
+        return `z.union([z.string(), z.number()], ${fieldError('a valid date')})
+        .refine((value) => !Number.isNaN(new Date(value).getTime()), 'Invalid ${name}: must be a valid date')`;
+    }
+    if (kind === 'ref') {
+        return `z.union([z.string(), z.number().int()], ${fieldError('a valid id')})`;
+    }
+    return `z.string(${fieldError('a string')})`
+        + (field.trim ? '.trim()' : '')
+        + (field.required && !field.isArray ? `.min(1, '${label} is required')` : '')
+        + (field.maxlength ? `.max(${field.maxlength}, 'Invalid ${name}: must be at most ${field.maxlength} characters')` : '');
+}
+
+/**
+ * Generate the zod validation schemas of a resource (src/schemas/<resource>Schema)
+ * The routes run them through the validate() middleware before the controller:
+ * create<Resource>Schema for POST and PUT (a full replacement). update<Resource>Schema
+ * (every field optional) checks the changes of PATCH (the controller hands it to src/utils/patch), GraphQL and bulk updates.
+ * They are the only field checks: the service only looks up referenced records.
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @param {Array<object>} fields - Field definitions
+ * @param {boolean} isTypeScript - Whether to generate TypeScript
+ * @returns {string} Schema module code
+ *
+ * @example
+ * generateValidationSchema('Product', parseFieldDefinitions(['title:string!', 'price:number:min=0']), false);
+ * // title: z.string(fieldError('Title', 'title', 'a string')).trim().min(1, 'Title is required').max(255, ...),
+ * // price: z.number(fieldError('Price', 'price', 'a number')).min(0, ...).nullish()
+ */
+export function generateValidationSchema(resourceName, fields, isTypeScript = false) {
+    const resourceLower = resourceName.toLowerCase();
+    const shape = fields.map(field => {
+        const label = field.displayName || field.name;
+        const value = field.isArray
+            ? `z.array(${getZodValueSchema({ ...field, isArray: false, trim: false })}, fieldError('${label}', '${field.name}', 'an array of ${getFieldKind(field)} values'))`
+            : getZodValueSchema(field);
+        return `    ${field.name}: ${value}${field.required ? '' : '.nullish()'}`;
+    }).join(',\n');
+    const fieldErrorSignature = isTypeScript
+        ? '(label: string, name: string, expected: string): z.RawCreateParams'
+        : '(label, name, expected)';
+
+    return `// Request validation schemas for ${resourceName}
+// Checked by validate() in ${resourceLower}Routes before the controller runs (failures get a 422)
+import { z } from 'zod';
+
+// Messages name the field: "<Label> is required" / "Invalid <name>: must be ..."
+const fieldError = ${fieldErrorSignature} => ({
+    errorMap: (_issue, ctx) => ({
+        message: ctx.data === undefined || ctx.data === null ? \`\${label} is required\` : \`Invalid \${name}: must be \${expected}\`
+    })
+});
+
+const ${resourceLower}Fields = {
+${shape}
+};
+
+// POST and PUT: required fields must be present
+export const create${resourceName}Schema = z.object(${resourceLower}Fields);
+
+// PATCH: partial update, only the fields that change are checked
+export const update${resourceName}Schema = z.object(${resourceLower}Fields).partial();
+`;
+}
@@ -1,6 +1,571 @@
 // Test Templates for lazy-express-crud
 // Jest test templates for JavaScript and TypeScript
 
+import { getDefaultResourceFields, getFieldKind, getSampleValue, toCodeLiteral } from '../../utils/fieldUtils.js';
+import { generateCreateTableSQL } from '../shared/index.js';
+
+/**
+ * Format a test value as source code. Reference fields get `{ code }` values
+ * that point at the records created by withTestReferences.
+ * @param {any} value - Plain value or `{ code }`
+ * @returns {string} Source code
+ */
+function toTestLiteral(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) ? value.code : toCodeLiteral(value);
+}
+
+/**
+ * Format an object as a single-line JavaScript object literal
+ * @param {object} data - Plain data object
+ * @returns {string} Object literal source code
+ */
+function toObjectLiteral(data) {
+    const entries = Object.entries(data).map(([key, value]) => `${key}: ${toTestLiteral(value)}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+}
+
+/**
+ * Build the mock payloads and assertions used by the CRUD test templates
+ * from a resource's fields (defaults to name + description)
+ * @param {string} resourceName - Resource name
+ * @param {Array<object>|null} fields - Field definitions
+ * @param {string} [dbChoice] - SQL dialect used for the CREATE TABLE statement
+ * @param {Object} [options] - { softDelete } adds deleted_at to the CREATE TABLE statement
+ * @returns {object} Template fragments
+ */
+function getTestFixtures(resourceName, fields, dbChoice = 'mysql', options = {}) {
+    const testFields = fields || getDefaultResourceFields();
+    const isFreeText = (f) => getFieldKind(f) === 'string' && !f.isArray && !f.enum;
+    const primary = testFields.find(f => f.required && isFreeText(f)) ||
+        testFields.find(isFreeText) ||
+        testFields[0];
+    const required = testFields.find(f => f.required);
+    const fit = (f, value) => value.slice(0, f.maxlength || 255);
+
+    // primaryValue/otherText replace free-text values; other fields get valid samples
+    const buildData = (primaryValue, otherText, sample = (f) => getSampleValue(f, 'Test'), only = testFields) =>
+        Object.fromEntries(only.map(f => {
+            if (getFieldKind(f) === 'ref') return [f.name, { code: `refIds.${f.name}` }];
+            if (!isFreeText(f)) return [f.name, sample(f)];
+            return [f.name, fit(f, f === primary ? primaryValue : otherText(f))];
+        }));
+    const label = (f) => (f.displayName || f.name).toLowerCase();
+    const updatedSample = (f) => {
+        if (f.enum && !f.isArray) return f.enum[f.enum.length - 1];
+        if (getFieldKind(f) === 'boolean' && !f.isArray) return false;
+        return getSampleValue(f, 'Updated');
+    };
+
+    const mock = buildData(`Test ${resourceName}`, f => `Test ${label(f)}`);
+    const updated = buildData('Updated Name', f => `Updated ${label(f)}`, updatedSample);
+    const freeTextNames = testFields.filter(isFreeText).map(f => f.name);
+    const primaryValue = isFreeText(primary) ? 'Updated' : updated[primary.name];
+    const assertPrimary = (source) => isFreeText(primary)
+        ? `expect(response.body.data.${primary.name}).toBe(${source}.${primary.name});`
+        : `expect(response.body.data.${primary.name}).toEqual(${source}.${primary.name});`;
+
+    return {
+        primary: primary.name,
+        required: required ? required.name : null,
+        hasFreeTextPrimary: isFreeText(primary),
+        // The mock data is built before beforeAll creates the referenced records, so it reads their ids lazily
+        mockBody: Object.entries(mock).map(([key, value]) => typeof value === 'object' && value !== null && value.code
+            ? `    get ${key}() { return ${value.code}; }`
+            : `    ${key}: ${toCodeLiteral(value)}`).join(',\n'),
+        updatedBody: Object.entries(updated).map(([key, value]) => `                ${key}: ${toTestLiteral(value)}`).join(',\n'),
+        secondData: toObjectLiteral(buildData(`Second ${resourceName}`, () => 'Second')),
+        secondRequiredData: toObjectLiteral(buildData(`Second ${resourceName}`, () => 'Second', undefined,
+            testFields.filter(f => f.required || f === primary))),
+        partialUpdate: toObjectLiteral({ [primary.name]: primaryValue }),
+        // A free-text field a patch of the primary field leaves alone
+        kept: freeTextNames.find(name => name !== primary.name) || null,
+        missingRequired: required
+            ? toObjectLiteral(buildData(`Missing ${required.name}`, () => `Missing ${required.name}`, undefined, testFields.filter(f => f !== required)))
+            : null,
+        withPrimary: (value) => toObjectLiteral(buildData(value, () => 'Test')),
+        createAssertions: freeTextNames.map(name => `            expect(response.body.data.${name}).toBe(mock${resourceName}.${name});`).join('\n'),
+        updateAssertions: freeTextNames.map(name => `            expect(response.body.data.${name}).toBe(updatedData.${name});`).join('\n'),
+        getAssertion: `            ${assertPrimary(`mock${resourceName}`)}`,
+        createTableSQL: generateCreateTableSQL(resourceName, testFields, dbChoice, options).replace(/;$/, '')
+    };
+}
+
+/**
+ * Build the pagination/filter/sort cases appended to the GET collection tests
+ * (expects the two records created by the surrounding beforeEach)
+ * @param {string} resourceName - Resource name
+ * @param {object} fx - Fixtures from getTestFixtures
+ * @returns {string} Test cases
+ */
+function getListQueryTests(resourceName, fx) {
+    const resourcePlural = resourceName.toLowerCase() + 's';
+
+    return `
+        it('should paginate ${resourcePlural}', async () => {
+            const response = await request(app)
+                .get('/api/${resourcePlural}?page=2&limit=1')
+                .expect(200);
+
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.meta).toEqual({ total: 2, page: 2, limit: 1, totalPages: 2 });
+        });${fx.hasFreeTextPrimary ? `
+
+        it('should filter ${resourcePlural} by ${fx.primary}', async () => {
+            const response = await request(app)
+                .get('/api/${resourcePlural}')
+                .query({ ${fx.primary}: mock${resourceName}.${fx.primary} })
+                .expect(200);
+
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.meta.total).toBe(1);
+        });` : ''}
+
+        it('should return 400 for fields that are not sortable', async () => {
+            const response = await request(app)
+                .get('/api/${resourcePlural}?sort=notAField')
+                .expect(400);
+
+            expect(response.body.success).toBe(false);
+        });`;
+}
+
+/**
+ * Build the trash/restore cases of a resource generated with --soft-delete
+ * (appended after the DELETE tests)
+ * @param {string} resourceName - Resource name
+ * @param {object} fx - Fixtures from getTestFixtures
+ * @param {string} [idField] - Id property of the records ('_id' for MongoDB)
+ * @param {string} [idType] - TypeScript annotation of the id variable
+ * @returns {string} Test cases
+ */
+function getSoftDeleteTests(resourceName, fx, idField = 'id', idType = '') {
+    const resourceLower = resourceName.toLowerCase();
+    const resourcePlural = resourceLower + 's';
+
+    return `
+
+    describe('Soft delete (trash and restore)', () => {
+        let testId${idType};
+
+        beforeEach(async () => {
+            const createResponse = await request(app)
+                .post('/api/${resourcePlural}')
+                .send(mock${resourceName});
+            testId = createResponse.body.data.${idField};
+            await request(app).delete(\`/api/${resourcePlural}/\${testId}\`).expect(200);
+        });
+
+        it('should hide deleted ${resourcePlural} from the list', async () => {
+            const response = await request(app)
+                .get('/api/${resourcePlural}')
+                .expect(200);
+
+            expect(response.body.data.map((${resourceLower}${idType ? `: { ${idField}${idType} }` : ''}) => ${resourceLower}.${idField})).not.toContain(testId);
+        });
+
+        it('should list deleted ${resourcePlural} in the trash', async () => {
+            const response = await request(app)
+                .get('/api/${resourcePlural}/trash')
+                .expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0].${idField}).toBe(testId);
+        });
+
+        it('should restore a deleted ${resourceLower}', async () => {
+            const response = await request(app)
+                .post(\`/api/${resourcePlural}/\${testId}/restore\`)
+                .expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(response.body.data.${idField}).toBe(testId);
+
+            await request(app)
+                .get(\`/api/${resourcePlural}/\${testId}\`)
+                .expect(200);
+            const trashResponse = await request(app).get('/api/${resourcePlural}/trash');
+            expect(trashResponse.body.data).toHaveLength(0);
+        });
+
+        it('should return 404 when restoring a ${resourceLower} that is not deleted', async () => {
+            await request(app).post(\`/api/${resourcePlural}/\${testId}/restore\`);
+
+            const response = await request(app)
+                .post(\`/api/${resourcePlural}/\${testId}/restore\`)
+                .expect(404);
+
+            expect(response.body.success).toBe(false);
+        });
+    });`;
+}
+
+/**
+ * Build the bulk create, update and delete cases of a resource generated with --bulk
+ * (appended after the DELETE tests)
+ * @param {string} resourceName - Resource name
+ * @param {object} fx - Fixtures from getTestFixtures
+ * @param {number} maxItems - Largest batch the endpoints accept
+ * @param {string} [idField] - Id property of the records ('_id' for MongoDB)
+ * @param {string} [missingId] - Expression of an id no record has
+ * @param {string} [idType] - TypeScript annotation of the ids
+ * @returns {string} Test cases
+ */
+function getBulkTests(resourceName, fx, maxItems, idField = 'id', missingId = "'999999'", idType = '') {
+    const resourceLower = resourceName.toLowerCase();
+    const resourcePlural = resourceLower + 's';
+
+    return `
+
+    describe('Bulk endpoints', () => {
+        it('should create several ${resourcePlural}', async () => {
+            const response = await request(app)
+                .post('/api/${resourcePlural}/bulk')
+                .send({ items: [mock${resourceName}, ${fx.secondData}] })
+                .expect(201);
+
+            expect(response.body.success).toBe(true);
+            expect(response.body.data).toHaveLength(2);
+            expect(response.body.data[1].index).toBe(1);
+            expect(response.body.data[1].status).toBe(201);
+            expect(response.body.meta).toEqual({ succeeded: 2, failed: 0 });
+        });${fx.missingRequired ? `
+
+        it('should report invalid items and create the others', async () => {
+            const response = await request(app)
+                .post('/api/${resourcePlural}/bulk')
+                .send({ items: [mock${resourceName}, ${fx.missingRequired}] })
+                .expect(207);
+
+            expect(response.body.success).toBe(false);
+            expect(response.body.data[0].status).toBe(201);
+            expect(response.body.data[1].status).toBe(422);
+            expect(response.body.data[1].code).toBe('VALIDATION_FAILED');
+            expect(response.body.meta).toEqual({ succeeded: 1, failed: 1 });
+
+            const listResponse = await request(app).get('/api/${resourcePlural}');
+            expect(listResponse.body.data).toHaveLength(1);
+        });` : ''}
+
+        it('should update several ${resourcePlural}', async () => {
+            const createResponse = await request(app)
+                .post('/api/${resourcePlural}')
+                .send(mock${resourceName});
+            const id = createResponse.body.data.${idField};
+
+            const response = await request(app)
+                .patch('/api/${resourcePlural}/bulk')
+                .send({ items: [{ id, ...${fx.partialUpdate} }, { id: ${missingId}, ...${fx.partialUpdate} }] })
+                .expect(207);
+
+            expect(response.body.data[0].status).toBe(200);
+            expect(response.body.data[0].data.${idField}).toBe(id);
+            expect(response.body.data[1].status).toBe(404);
+        });
+
+        it('should delete several ${resourcePlural}', async () => {
+            const first = await request(app).post('/api/${resourcePlural}').send(mock${resourceName});
+            const second = await request(app).post('/api/${resourcePlural}').send(${fx.secondData});
+            const ids = [first.body.data.${idField}, second.body.data.${idField}];
+
+            const response = await request(app)
+                .delete('/api/${resourcePlural}/bulk')
+                .send({ ids })
+                .expect(200);
+
+            expect(response.body.data.map((result${idType ? `: { data: { id${idType} } }` : ''}) => result.data.id)).toEqual(ids.map(String));
+            const listResponse = await request(app).get('/api/${resourcePlural}');
+            expect(listResponse.body.data).toHaveLength(0);
+        });
+
+        it('should reject empty and oversized batches', async () => {
+            const emptyResponse = await request(app)
+                .post('/api/${resourcePlural}/bulk')
+                .send({ items: [] })
+                .expect(400);
+            expect(emptyResponse.body.code).toBe('INVALID_BULK_BODY');
+
+            const response = await request(app)
+                .delete('/api/${resourcePlural}/bulk')
+                .send({ ids: Array.from({ length: ${maxItems + 1} }, () => ${missingId}) })
+                .expect(400);
+            expect(response.body.code).toBe('BULK_LIMIT_EXCEEDED');
+        });
+    });`;
+}
+
+/**
+ * Build the PATCH cases (merge patch and JSON Patch), plus the ETag and If-Match
+ * cases of a resource generated with --etag (appended after the DELETE tests)
+ * @param {string} resourceName - Resource name
+ * @param {object} fx - Fixtures from getTestFixtures
+ * @param {boolean} etag - Whether the resource was generated with --etag
+ * @param {string} [idField] - Id property of the records ('_id' for MongoDB)
+ * @param {string} [idType] - TypeScript annotation of the id variable
+ * @param {string} [missingId] - Expression of an id no record has
+ * @returns {string} Test cases
+ */
+function getPatchTests(resourceName, fx, etag, idField = 'id', idType = '', missingId = "'999999'") {
+    const resourceLower = resourceName.toLowerCase();
+    const resourcePlural = resourceLower + 's';
+
+    return `
+
+    describe('PATCH /api/${resourcePlural}/:id', () => {
+        let testId${idType};
+
+        beforeEach(async () => {
+            const createResponse = await request(app)
+                .post('/api/${resourcePlural}')
+                .send(mock${resourceName});
+            testId = createResponse.body.data.${idField};
+        });
+
+        it('should update only the fields of a merge patch', async () => {
+            const response = await request(app)
+                .patch(\`/api/${resourcePlural}/\${testId}\`)
+                .set('Content-Type', 'application/merge-patch+json')
+                .send(${fx.partialUpdate})
+                .expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(response.body.data.${fx.primary}).toEqual(${fx.partialUpdate}.${fx.primary});${fx.kept ? `
+            expect(response.body.data.${fx.kept}).toBe(mock${resourceName}.${fx.kept});` : ''}
+        });
+
+        it('should apply a JSON Patch', async () => {
+            const response = await request(app)
+                .patch(\`/api/${resourcePlural}/\${testId}\`)
+                .set('Content-Type', 'application/json-patch+json')
+                .send([{ op: 'replace', path: '/${fx.primary}', value: ${fx.partialUpdate}.${fx.primary} }])
+                .expect(200);
+
+            expect(response.body.data.${fx.primary}).toEqual(${fx.partialUpdate}.${fx.primary});
+        });
+
+        it('should return 409 when a test operation fails', async () => {
+            const response = await request(app)
+                .patch(\`/api/${resourcePlural}/\${testId}\`)
+                .set('Content-Type', 'application/json-patch+json')
+                .send([{ op: 'test', path: '/${fx.primary}', value: 'Not the stored value' }, { op: 'remove', path: '/${fx.primary}' }])
+                .expect(409);
+
+            expect(response.body.code).toBe('PATCH_TEST_FAILED');
+        });${fx.required ? `
+
+        it('should return 422 when a patch clears a required field', async () => {
+            const response = await request(app)
+                .patch(\`/api/${resourcePlural}/\${testId}\`)
+                .set('Content-Type', 'application/merge-patch+json')
+                .send({ ${fx.required}: null })
+                .expect(422);
+
+            expect(response.body.code).toBe('VALIDATION_FAILED');
+        });` : ''}
+
+        it('should return 415 for bodies that are not patches', async () => {
+            const response = await request(app)
+                .patch(\`/api/${resourcePlural}/\${testId}\`)
+                .set('Content-Type', 'text/plain')
+                .send('${fx.primary}=Updated')
+                .expect(415);
+
+            expect(response.body.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+        });
+
+        it('should return 404 for non-existent ${resourceLower}', async () => {
+            const response = await request(app)
+                .patch(\`/api/${resourcePlural}/\${${missingId}}\`)
+                .send(${fx.partialUpdate})
+                .expect(404);
+
+            expect(response.body.success).toBe(false);
+        });
+    });${etag ? `
+
+    describe('ETag and If-Match', () => {
+        let testId${idType};
+
+        beforeEach(async () => {
+            const createResponse = await request(app)
+                .post('/api/${resourcePlural}')
+                .send(mock${resourceName});
+            testId = createResponse.body.data.${idField};
+        });
+
+        it('should return the version of a ${resourceLower} as its ETag', async () => {
+            const response = await request(app)
+                .get(\`/api/${resourcePlural}/\${testId}\`)
+                .expect(200);
+
+            expect(response.headers.etag).toMatch(/^"\\d+"$/);
+        });
+
+        it('should update a ${resourceLower} while If-Match names its version', async () => {
+            const getResponse = await request(app).get(\`/api/${resourcePlural}/\${testId}\`);
+
+            const response = await request(app)
+                .patch(\`/api/${resourcePlural}/\${testId}\`)
+                .set('If-Match', getResponse.headers.etag)
+                .send(${fx.partialUpdate})
+                .expect(200);
+
+            expect(response.headers.etag).not.toBe(getResponse.headers.etag);
+        });
+
+        it('should return 412 for a stale If-Match', async () => {
+            const getResponse = await request(app).get(\`/api/${resourcePlural}/\${testId}\`);
+            await request(app)
+                .patch(\`/api/${resourcePlural}/\${testId}\`)
+                .set('If-Match', getResponse.headers.etag)
+                .send(${fx.partialUpdate})
+                .expect(200);
+
+            const response = await request(app)
+                .put(\`/api/${resourcePlural}/\${testId}\`)
+                .set('If-Match', getResponse.headers.etag)
+                .send(mock${resourceName})
+                .expect(412);
+
+            expect(response.body.code).toBe('PRECONDITION_FAILED');
+        });
+
+        it('should not delete a ${resourceLower} for a stale If-Match', async () => {
+            const getResponse = await request(app).get(\`/api/${resourcePlural}/\${testId}\`);
+            await request(app)
+                .patch(\`/api/${resourcePlural}/\${testId}\`)
+                .set('If-Match', getResponse.headers.etag)
+                .send(${fx.partialUpdate})
+                .expect(200);
+
+            await request(app)
+                .delete(\`/api/${resourcePlural}/\${testId}\`)
+                .set('If-Match', getResponse.headers.etag)
+                .expect(412);
+            await request(app)
+                .get(\`/api/${resourcePlural}/\${testId}\`)
+                .expect(200);
+        });
+    });` : ''}`;
+}
+
+/**
+ * Authenticate every request of a generated CRUD test, for resources whose
+ * routes were protected with add-crud --protect. Each HTTP method gets a token
+ * with a role its route accepts.
+ * @param {string} testContent - Test file from one of the getTestTemplate* functions
+ * @param {object} access - Roles keyed by HTTP method (see parseProtectOptions)
+ * @param {boolean} isTypeScript - Whether the test file is TypeScript
+ * @returns {string} Test file that signs a JWT for protected routes
+ */
+export function withTestAuthentication(testContent, access, isTypeScript = false) {
+    const appSetup = testContent.match(/^const app(: Express)? = express\(\);\napp\.use\(express\.json\(\)\);\n/m);
+    if (!testContent.startsWith("import request from 'supertest';\n") || !appSetup) {
+        throw new Error('Unexpected test template: cannot add authentication');
+    }
+
+    // PATCH routes are guarded like PUT
+    const testRoles = Object.entries({ ...access, ...(access.put && { patch: access.put }) })
+        .map(([method, roles]) => `${method.toUpperCase()}: '${roles[0] || 'user'}'`)
+        .join(', ');
+    // The trash and restore routes of --soft-delete are guarded like DELETE
+    const roleKey = testContent.includes("describe('Soft delete (trash and restore)'")
+        ? "/\\/(trash|restore)$/.test(req.path) ? 'DELETE' : req.method"
+        : 'req.method';
+
+    const authSetup = `
+// Routes are protected (add-crud --protect): send a token with an allowed role
+const testRoles${isTypeScript ? ': Record<string, string>' : ''} = { ${testRoles} };
+app.use((req, _res, next) => {
+    const role = testRoles[${roleKey}];
+    if (role) {
+        req.headers.authorization = \`Bearer \${jwt.sign({ id: 'test-user', role }, config.jwt.secret)}\`;
+    }
+    next();
+});
+
+`;
+
+    return testContent
+        .replace("import request from 'supertest';\n", "import request from 'supertest';\nimport jwt from 'jsonwebtoken';\nimport { config } from '../src/config/env.js';\n")
+        .replace(appSetup[0], appSetup[0] + authSetup);
+}
+
+/**
+ * Create the records a resource's reference fields point at before its CRUD
+ * tests run (add-crud Comment post:ref:Post). The test payloads read the ids
+ * from `refIds`, so creating a comment always references an existing post.
+ * @param {string} testContent - Test file from one of the getTestTemplate* functions
+ * @param {Array<{field: object, fields: Array<object>}>} references - Reference fields and the
+ *   fields of the resources they point at (as recorded in the manifest)
+ * @param {string} dbChoice - Database choice
+ * @param {boolean} isTypeScript - Whether the test file is TypeScript
+ * @returns {string} Test file that creates the referenced records first
+ */
+export function withTestReferences(testContent, references, dbChoice, isTypeScript = false) {
+    const routesImport = testContent.match(/^import (\w+)Routes from '\.\.\/src\/routes\/\w+Routes\.js';\n/m);
+    const suite = testContent.match(/^describe\('(\w+) CRUD Operations[^']*', \(\) => \{\n/m);
+    const firstGroup = testContent.indexOf("\n    describe('POST /api/");
+    if (!routesImport || !suite || firstGroup === -1 || !testContent.includes('// Mock data\n')) {
+        throw new Error('Unexpected test template: cannot add referenced records');
+    }
+    const resourceName = suite[1];
+    const resourcePlural = resourceName.toLowerCase() + 's';
+
+    const targets = [...new Map(references.map(({ field, fields }) => [field.ref, fields])).entries()];
+    // The MongoDB and in-memory templates already import the resource's own model
+    const imports = targets
+        .filter(([target]) => !testContent.includes(`import ${target} from '../src/models/${target}.js';`))
+        .map(([target]) => `import ${target} from '../src/models/${target}.js';\n`)
+        .join('');
+
+    const sampleData = (fields) => Object.fromEntries(fields
+        .filter(f => getFieldKind(f) !== 'ref')
+        .map(f => [f.name, getSampleValue(f, 'Test')]));
+    const createRecords = references.map(({ field, fields }) =>
+        `        refIds.${field.name} = (await ${field.ref}.create(${toObjectLiteral(sampleData(fields))})).id;`).join('\n');
+
+    // MySQL and PostgreSQL need the referenced tables before the foreign keys of this one
+    let tableSetup = '';
+    if (dbChoice === 'mysql' || dbChoice === 'postgres') {
+        const statements = targets
+            .filter(([target]) => target !== resourceName)
+            .map(([target, fields]) => generateCreateTableSQL(target, fields, dbChoice).replace(/;$/, ''));
+        tableSetup = statements.length === 0 ? '' : `    // Setup: Create the tables ${resourcePlural} reference
+    beforeAll(async () => {
+${statements.map(sql => dbChoice === 'postgres'
+        ? `        await db.query(\`${sql.split('\n').join('\n        ')}\`);`
+        : `        await new Promise((resolve, reject) => {
+            db.query(
+                \`${sql.split('\n').join('\n                ')}\`,
+                (error) => {
+                    if (error) reject(error);
+                    else resolve();
+                }
+            );
+        });`).join('\n')}
+    });
+
+`;
+    }
+
+    const recordSetup = `
+    // Setup: Create the records the mock data references
+    beforeAll(async () => {
+${createRecords}
+    });
+`;
+
+    return testContent.slice(0, firstGroup)
+        .replace(routesImport[0], routesImport[0] + imports)
+        .replace('// Mock data\n', `// Records referenced by the mock data (created before the tests)
+const refIds${isTypeScript ? ': Record<string, string | number>' : ''} = {};
+
+// Mock data
+`)
+        .replace(suite[0], suite[0] + tableSetup) + recordSetup + testContent.slice(firstGroup);
+}
+
 // Jest config for JavaScript projects
 export function getJestConfigJS() {
     return `export default {
@@ -58,24 +623,26 @@ export function getJestConfigTS() {
 }
 
 // JavaScript test template for MongoDB
-export function getTestTemplateMongoJS(resourceName) {
+export function getTestTemplateMongoJS(resourceName, fields = null, options = {}) {
     const resourceLower = resourceName.toLowerCase();
     const resourcePlural = resourceLower + 's';
+    const fx = getTestFixtures(resourceName, fields);
     
     return `import request from 'supertest';
 import express from 'express';
 import mongoose from 'mongoose';
 import ${resourceName} from '../src/models/${resourceName}.js';
 import ${resourceLower}Routes from '../src/routes/${resourceLower}Routes.js';
+import { errorHandler } from '../src/middlewares/errorHandler.js';
 
 const app = express();
 app.use(express.json());
 app.use('/api/${resourcePlural}', ${resourceLower}Routes);
+app.use(errorHandler);
 
 // Mock data
 const mock${resourceName} = {
-    name: 'Test ${resourceName}',
-    description: 'Test description'
+${fx.mockBody}
 };
 
 describe('${resourceName} CRUD Operations', () => {
@@ -104,36 +671,38 @@ describe('${resourceName} CRUD Operations', () => {
 
             expect(response.body.success).toBe(true);
             expect(response.body.data).toHaveProperty('_id');
-            expect(response.body.data.name).toBe(mock${resourceName}.name);
-            expect(response.body.data.description).toBe(mock${resourceName}.description);
+${fx.createAssertions}
             
             created${resourceName}Id = response.body.data._id;
-        });
+        });${fx.missingRequired ? `
 
-        it('should return 400 if name is missing', async () => {
+        it('should return 422 if ${fx.required} is missing', async () => {
             const response = await request(app)
                 .post('/api/${resourcePlural}')
-                .send({ description: 'Missing name' })
-                .expect(400);
+                .send(${fx.missingRequired})
+                .expect(422);
 
             expect(response.body.success).toBe(false);
-        });
+            expect(response.body.errors).toEqual(
+                expect.arrayContaining([expect.objectContaining({ field: '${fx.required}' })])
+            );
+        });` : ''}${fx.hasFreeTextPrimary ? `
 
-        it('should trim whitespace from name', async () => {
+        it('should trim whitespace from ${fx.primary}', async () => {
             const response = await request(app)
                 .post('/api/${resourcePlural}')
-                .send({ name: '  Test Name  ', description: 'Test' })
+                .send(${fx.withPrimary('  Test Name  ')})
                 .expect(201);
 
-            expect(response.body.data.name).toBe('Test Name');
-        });
+            expect(response.body.data.${fx.primary}).toBe('Test Name');
+        });` : ''}
     });
 
     describe('GET /api/${resourcePlural}', () => {
         beforeEach(async () => {
             // Create test data
             await ${resourceName}.create(mock${resourceName});
-            await ${resourceName}.create({ name: 'Second ${resourceName}', description: 'Second' });
+            await ${resourceName}.create(${fx.secondData});
         });
 
         it('should get all ${resourcePlural}', async () => {
@@ -156,6 +725,7 @@ describe('${resourceName} CRUD Operations', () => {
             expect(response.body.data).toHaveLength(0);
             expect(response.body.count).toBe(0);
         });
+${getListQueryTests(resourceName, fx)}
     });
 
     describe('GET /api/${resourcePlural}/:id', () => {
@@ -172,7 +742,7 @@ describe('${resourceName} CRUD Operations', () => {
                 .expect(200);
 
             expect(response.body.success).toBe(true);
-            expect(response.body.data.name).toBe(mock${resourceName}.name);
+${fx.getAssertion}
             expect(response.body.data._id).toBe(testId);
         });
 
@@ -205,8 +775,7 @@ describe('${resourceName} CRUD Operations', () => {
 
         it('should update a ${resourceLower}', async () => {
             const updatedData = {
-                name: 'Updated Name',
-                description: 'Updated description'
+${fx.updatedBody}
             };
 
             const response = await request(app)
@@ -215,8 +784,7 @@ describe('${resourceName} CRUD Operations', () => {
                 .expect(200);
 
             expect(response.body.success).toBe(true);
-            expect(response.body.data.name).toBe(updatedData.name);
-            expect(response.body.data.description).toBe(updatedData.description);
+${fx.updateAssertions}
         });
 
         it('should return 404 for non-existent ${resourceLower}', async () => {
@@ -224,7 +792,7 @@ describe('${resourceName} CRUD Operations', () => {
             
             const response = await request(app)
                 .put(\`/api/${resourcePlural}/\${fakeId}\`)
-                .send({ name: 'Updated' })
+                .send(mock${resourceName})
                 .expect(404);
 
             expect(response.body.success).toBe(false);
@@ -233,7 +801,7 @@ describe('${resourceName} CRUD Operations', () => {
         it('should return 400 for invalid ObjectId', async () => {
             const response = await request(app)
                 .put('/api/${resourcePlural}/invalid-id')
-                .send({ name: 'Updated' })
+                .send(mock${resourceName})
                 .expect(400);
 
             expect(response.body.success).toBe(false);
@@ -278,44 +846,61 @@ describe('${resourceName} CRUD Operations', () => {
 
             expect(response.body.success).toBe(false);
         });
-    });
+    });${getPatchTests(resourceName, fx, options.etag, '_id', '', 'new mongoose.Types.ObjectId().toString()')}${options.softDelete ? getSoftDeleteTests(resourceName, fx, '_id') : ''}${options.bulk ? getBulkTests(resourceName, fx, options.bulk.maxItems, '_id', 'new mongoose.Types.ObjectId().toString()') : ''}
 });
 `;
 }
 
-// JavaScript test template for MySQL
-export function getTestTemplateMySQLJS(resourceName) {
-    const resourceLower = resourceName.toLowerCase();
-    const resourcePlural = resourceLower + 's';
-    
-    return `import request from 'supertest';
-import express from 'express';
-import ${resourceName} from '../src/models/${resourceName}.js';
-import ${resourceLower}Routes from '../src/routes/${resourceLower}Routes.js';
-import db from '../src/config/database.js';
+/**
+ * Build the table setup/cleanup hooks for the SQL test templates
+ * @param {string} resourcePlural - Table name
+ * @param {string} createTableSQL - CREATE TABLE statement
+ * @param {string} dbChoice - 'mysql', 'postgres' or 'sqlite'
+ * @returns {{setupHooks: string, clearTable: string}} Template fragments
+ */
+function getSQLTestHooks(resourcePlural, createTableSQL, dbChoice) {
+    if (dbChoice === 'sqlite') {
+        // The model creates its table on import and tests use an in-memory database
+        return {
+            setupHooks: `    // Cleanup: Clear table after each test
+    afterEach(() => {
+        db.prepare('DELETE FROM ${resourcePlural}').run();
+    });
 
-const app = express();
-app.use(express.json());
-app.use('/api/${resourcePlural}', ${resourceLower}Routes);
+    // Teardown: Close database connection
+    afterAll(() => {
+        db.close();
+    });`,
+            clearTable: `            db.prepare('DELETE FROM ${resourcePlural}').run();`
+        };
+    }
+
+    if (dbChoice === 'postgres') {
+        return {
+            setupHooks: `    // Setup: Create test table
+    beforeAll(async () => {
+        await db.query(\`${createTableSQL.split('\n').join('\n        ')}\`);
+    });
 
-// Mock data
-const mock${resourceName} = {
-    name: 'Test ${resourceName}',
-    description: 'Test description'
-};
+    // Cleanup: Clear table after each test
+    afterEach(async () => {
+        await db.query('DELETE FROM ${resourcePlural}');
+    });
 
-describe('${resourceName} CRUD Operations', () => {
-    // Setup: Create test table
+    // Teardown: Close database connection
+    afterAll(async () => {
+        await db.end();
+    });`,
+            clearTable: `            await db.query('DELETE FROM ${resourcePlural}');`
+        };
+    }
+
+    return {
+        setupHooks: `    // Setup: Create test table
     beforeAll(async () => {
         await new Promise((resolve, reject) => {
             db.query(
-                \`CREATE TABLE IF NOT EXISTS ${resourcePlural} (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    name VARCHAR(255) NOT NULL,
-                    description TEXT,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-                )\`,
+                \`${createTableSQL.split('\n').join('\n                ')}\`,
                 (error) => {
                     if (error) reject(error);
                     else resolve();
@@ -339,7 +924,41 @@ describe('${resourceName} CRUD Operations', () => {
         await new Promise((resolve) => {
             db.end(() => resolve());
         });
-    });
+    });`,
+        clearTable: `            await new Promise((resolve, reject) => {
+                db.query('DELETE FROM ${resourcePlural}', (error) => {
+                    if (error) reject(error);
+                    else resolve();
+                });
+            });`
+    };
+}
+
+// JavaScript test template for SQL databases (MySQL, PostgreSQL and SQLite)
+function getSQLTestTemplate(resourceName, fields, dbChoice, options = {}) {
+    const resourceLower = resourceName.toLowerCase();
+    const resourcePlural = resourceLower + 's';
+    const fx = getTestFixtures(resourceName, fields, dbChoice, options);
+    const { setupHooks, clearTable } = getSQLTestHooks(resourcePlural, fx.createTableSQL, dbChoice);
+    
+    return `import request from 'supertest';
+import express from 'express';
+import ${resourceLower}Routes from '../src/routes/${resourceLower}Routes.js';
+import { errorHandler } from '../src/middlewares/errorHandler.js';
+import db from '../src/config/database.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/${resourcePlural}', ${resourceLower}Routes);
+app.use(errorHandler);
+
+// Mock data
+const mock${resourceName} = {
+${fx.mockBody}
+};
+
+describe('${resourceName} CRUD Operations', () => {
+${setupHooks}
 
     describe('POST /api/${resourcePlural}', () => {
         it('should create a new ${resourceLower}', async () => {
@@ -350,34 +969,36 @@ describe('${resourceName} CRUD Operations', () => {
 
             expect(response.body.success).toBe(true);
             expect(response.body.data).toHaveProperty('id');
-            expect(response.body.data.name).toBe(mock${resourceName}.name);
-            expect(response.body.data.description).toBe(mock${resourceName}.description);
-        });
+${fx.createAssertions}
+        });${fx.missingRequired ? `
 
-        it('should return 400 if name is missing', async () => {
+        it('should return 422 if ${fx.required} is missing', async () => {
             const response = await request(app)
                 .post('/api/${resourcePlural}')
-                .send({ description: 'Missing name' })
-                .expect(400);
+                .send(${fx.missingRequired})
+                .expect(422);
 
             expect(response.body.success).toBe(false);
-        });
+            expect(response.body.errors).toEqual(
+                expect.arrayContaining([expect.objectContaining({ field: '${fx.required}' })])
+            );
+        });` : ''}${fx.hasFreeTextPrimary ? `
 
-        it('should handle special characters in name', async () => {
+        it('should handle special characters in ${fx.primary}', async () => {
             const response = await request(app)
                 .post('/api/${resourcePlural}')
-                .send({ name: "Test's ${resourceName}", description: 'Test' })
+                .send(${fx.withPrimary(`Test's ${resourceName}`)})
                 .expect(201);
 
-            expect(response.body.data.name).toBe("Test's ${resourceName}");
-        });
+            expect(response.body.data.${fx.primary}).toBe("Test's ${resourceName}");
+        });` : ''}
     });
 
     describe('GET /api/${resourcePlural}', () => {
         beforeEach(async () => {
             // Create test data
             await request(app).post('/api/${resourcePlural}').send(mock${resourceName});
-            await request(app).post('/api/${resourcePlural}').send({ name: 'Second ${resourceName}', description: 'Second' });
+            await request(app).post('/api/${resourcePlural}').send(${fx.secondData});
         });
 
         it('should get all ${resourcePlural}', async () => {
@@ -391,12 +1012,7 @@ describe('${resourceName} CRUD Operations', () => {
         });
 
         it('should return empty array when no ${resourcePlural} exist', async () => {
-            await new Promise((resolve, reject) => {
-                db.query('DELETE FROM ${resourcePlural}', (error) => {
-                    if (error) reject(error);
-                    else resolve();
-                });
-            });
+${clearTable}
             
             const response = await request(app)
                 .get('/api/${resourcePlural}')
@@ -405,6 +1021,7 @@ describe('${resourceName} CRUD Operations', () => {
             expect(response.body.data).toHaveLength(0);
             expect(response.body.count).toBe(0);
         });
+${getListQueryTests(resourceName, fx)}
     });
 
     describe('GET /api/${resourcePlural}/:id', () => {
@@ -423,7 +1040,7 @@ describe('${resourceName} CRUD Operations', () => {
                 .expect(200);
 
             expect(response.body.success).toBe(true);
-            expect(response.body.data.name).toBe(mock${resourceName}.name);
+${fx.getAssertion}
             expect(response.body.data.id).toBe(testId);
         });
 
@@ -456,8 +1073,7 @@ describe('${resourceName} CRUD Operations', () => {
 
         it('should update a ${resourceLower}', async () => {
             const updatedData = {
-                name: 'Updated Name',
-                description: 'Updated description'
+${fx.updatedBody}
             };
 
             const response = await request(app)
@@ -466,14 +1082,13 @@ describe('${resourceName} CRUD Operations', () => {
                 .expect(200);
 
             expect(response.body.success).toBe(true);
-            expect(response.body.data.name).toBe(updatedData.name);
-            expect(response.body.data.description).toBe(updatedData.description);
+${fx.updateAssertions}
         });
 
         it('should return 404 for non-existent ${resourceLower}', async () => {
             const response = await request(app)
                 .put('/api/${resourcePlural}/99999')
-                .send({ name: 'Updated' })
+                .send(mock${resourceName})
                 .expect(404);
 
             expect(response.body.success).toBe(false);
@@ -499,7 +1114,7 @@ describe('${resourceName} CRUD Operations', () => {
             expect(response.body.message).toContain('deleted');
 
             // Verify it's actually deleted
-            const getResponse = await request(app)
+            await request(app)
                 .get(\`/api/${resourcePlural}/\${testId}\`)
                 .expect(404);
         });
@@ -511,29 +1126,46 @@ describe('${resourceName} CRUD Operations', () => {
 
             expect(response.body.success).toBe(false);
         });
-    });
+    });${getPatchTests(resourceName, fx, options.etag)}${options.softDelete ? getSoftDeleteTests(resourceName, fx, 'id') : ''}${options.bulk ? getBulkTests(resourceName, fx, options.bulk.maxItems) : ''}
 });
 `;
 }
 
+// JavaScript test template for MySQL
+export function getTestTemplateMySQLJS(resourceName, fields = null, options = {}) {
+    return getSQLTestTemplate(resourceName, fields, 'mysql', options);
+}
+
+// JavaScript test template for PostgreSQL
+export function getTestTemplatePostgresJS(resourceName, fields = null, options = {}) {
+    return getSQLTestTemplate(resourceName, fields, 'postgres', options);
+}
+
+// JavaScript test template for SQLite
+export function getTestTemplateSQLiteJS(resourceName, fields = null, options = {}) {
+    return getSQLTestTemplate(resourceName, fields, 'sqlite', options);
+}
+
 // JavaScript test template for In-Memory
-export function getTestTemplateMemoryJS(resourceName) {
+export function getTestTemplateMemoryJS(resourceName, fields = null, options = {}) {
     const resourceLower = resourceName.toLowerCase();
     const resourcePlural = resourceLower + 's';
+    const fx = getTestFixtures(resourceName, fields);
     
     return `import request from 'supertest';
 import express from 'express';
 import ${resourceName} from '../src/models/${resourceName}.js';
 import ${resourceLower}Routes from '../src/routes/${resourceLower}Routes.js';
+import { errorHandler } from '../src/middlewares/errorHandler.js';
 
 const app = express();
 app.use(express.json());
 app.use('/api/${resourcePlural}', ${resourceLower}Routes);
+app.use(errorHandler);
 
 // Mock data
 const mock${resourceName} = {
-    name: 'Test ${resourceName}',
-    description: 'Test description'
+${fx.mockBody}
 };
 
 describe('${resourceName} CRUD Operations (In-Memory)', () => {
@@ -552,19 +1184,21 @@ describe('${resourceName} CRUD Operations (In-Memory)', () => {
 
             expect(response.body.success).toBe(true);
             expect(response.body.data).toHaveProperty('id');
-            expect(response.body.data.name).toBe(mock${resourceName}.name);
-            expect(response.body.data.description).toBe(mock${resourceName}.description);
+${fx.createAssertions}
             expect(response.body.data).toHaveProperty('createdAt');
-        });
+        });${fx.missingRequired ? `
 
-        it('should return 400 if name is missing', async () => {
+        it('should return 422 if ${fx.required} is missing', async () => {
             const response = await request(app)
                 .post('/api/${resourcePlural}')
-                .send({ description: 'Missing name' })
-                .expect(400);
+                .send(${fx.missingRequired})
+                .expect(422);
 
             expect(response.body.success).toBe(false);
-        });
+            expect(response.body.errors).toEqual(
+                expect.arrayContaining([expect.objectContaining({ field: '${fx.required}' })])
+            );
+        });` : ''}
 
         it('should generate unique IDs', async () => {
             const response1 = await request(app)
@@ -583,7 +1217,7 @@ describe('${resourceName} CRUD Operations (In-Memory)', () => {
         beforeEach(async () => {
             // Create test data
             await request(app).post('/api/${resourcePlural}').send(mock${resourceName});
-            await request(app).post('/api/${resourcePlural}').send({ name: 'Second ${resourceName}', description: 'Second' });
+            await request(app).post('/api/${resourcePlural}').send(${fx.secondData});
         });
 
         it('should get all ${resourcePlural}', async () => {
@@ -606,6 +1240,7 @@ describe('${resourceName} CRUD Operations (In-Memory)', () => {
             expect(response.body.data).toHaveLength(0);
             expect(response.body.count).toBe(0);
         });
+${getListQueryTests(resourceName, fx)}
     });
 
     describe('GET /api/${resourcePlural}/:id', () => {
@@ -624,7 +1259,7 @@ describe('${resourceName} CRUD Operations (In-Memory)', () => {
                 .expect(200);
 
             expect(response.body.success).toBe(true);
-            expect(response.body.data.name).toBe(mock${resourceName}.name);
+${fx.getAssertion}
             expect(response.body.data.id).toBe(testId);
         });
 
@@ -649,8 +1284,7 @@ describe('${resourceName} CRUD Operations (In-Memory)', () => {
 
         it('should update a ${resourceLower}', async () => {
             const updatedData = {
-                name: 'Updated Name',
-                description: 'Updated description'
+${fx.updatedBody}
             };
 
             const response = await request(app)
@@ -659,15 +1293,14 @@ describe('${resourceName} CRUD Operations (In-Memory)', () => {
                 .expect(200);
 
             expect(response.body.success).toBe(true);
-            expect(response.body.data.name).toBe(updatedData.name);
-            expect(response.body.data.description).toBe(updatedData.description);
+${fx.updateAssertions}
             expect(response.body.data).toHaveProperty('updatedAt');
         });
 
         it('should return 404 for non-existent ${resourceLower}', async () => {
             const response = await request(app)
                 .put('/api/${resourcePlural}/non-existent-id')
-                .send({ name: 'Updated' })
+                .send(mock${resourceName})
                 .expect(404);
 
             expect(response.body.success).toBe(false);
@@ -679,7 +1312,7 @@ describe('${resourceName} CRUD Operations (In-Memory)', () => {
 
             await request(app)
                 .put(\`/api/${resourcePlural}/\${testId}\`)
-                .send({ name: 'Updated' });
+                .send(mock${resourceName});
 
             const updatedResponse = await request(app).get(\`/api/${resourcePlural}/\${testId}\`);
             expect(updatedResponse.body.data.createdAt).toBe(originalCreatedAt);
@@ -721,7 +1354,7 @@ describe('${resourceName} CRUD Operations (In-Memory)', () => {
         it('should not affect other ${resourcePlural}', async () => {
             const response2 = await request(app)
                 .post('/api/${resourcePlural}')
-                .send({ name: 'Second ${resourceName}' });
+                .send(${fx.secondRequiredData});
             
             await request(app).delete(\`/api/${resourcePlural}/\${testId}\`);
 
@@ -729,30 +1362,32 @@ describe('${resourceName} CRUD Operations (In-Memory)', () => {
             expect(getAllResponse.body.data).toHaveLength(1);
             expect(getAllResponse.body.data[0].id).toBe(response2.body.data.id);
         });
-    });
+    });${getPatchTests(resourceName, fx, options.etag)}${options.softDelete ? getSoftDeleteTests(resourceName, fx, 'id') : ''}${options.bulk ? getBulkTests(resourceName, fx, options.bulk.maxItems) : ''}
 });
 `;
 }
 
 // TypeScript test templates (similar structure but with types)
-export function getTestTemplateMongoTS(resourceName) {
+export function getTestTemplateMongoTS(resourceName, fields = null, options = {}) {
     const resourceLower = resourceName.toLowerCase();
     const resourcePlural = resourceLower + 's';
+    const fx = getTestFixtures(resourceName, fields);
     
     return `import request from 'supertest';
 import express, { Express } from 'express';
 import mongoose from 'mongoose';
 import ${resourceName}, { I${resourceName} } from '../src/models/${resourceName}.js';
 import ${resourceLower}Routes from '../src/routes/${resourceLower}Routes.js';
+import { errorHandler } from '../src/middlewares/errorHandler.js';
 
 const app: Express = express();
 app.use(express.json());
 app.use('/api/${resourcePlural}', ${resourceLower}Routes);
+app.use(errorHandler);
 
 // Mock data
 const mock${resourceName}: Partial<I${resourceName}> = {
-    name: 'Test ${resourceName}',
-    description: 'Test description'
+${fx.mockBody}
 };
 
 describe('${resourceName} CRUD Operations', () => {
@@ -781,36 +1416,38 @@ describe('${resourceName} CRUD Operations', () => {
 
             expect(response.body.success).toBe(true);
             expect(response.body.data).toHaveProperty('_id');
-            expect(response.body.data.name).toBe(mock${resourceName}.name);
-            expect(response.body.data.description).toBe(mock${resourceName}.description);
+${fx.createAssertions}
             
             created${resourceName}Id = response.body.data._id;
-        });
+        });${fx.missingRequired ? `
 
-        it('should return 400 if name is missing', async () => {
+        it('should return 422 if ${fx.required} is missing', async () => {
             const response = await request(app)
                 .post('/api/${resourcePlural}')
-                .send({ description: 'Missing name' })
-                .expect(400);
+                .send(${fx.missingRequired})
+                .expect(422);
 
             expect(response.body.success).toBe(false);
-        });
+            expect(response.body.errors).toEqual(
+                expect.arrayContaining([expect.objectContaining({ field: '${fx.required}' })])
+            );
+        });` : ''}${fx.hasFreeTextPrimary ? `
 
-        it('should trim whitespace from name', async () => {
+        it('should trim whitespace from ${fx.primary}', async () => {
             const response = await request(app)
                 .post('/api/${resourcePlural}')
-                .send({ name: '  Test Name  ', description: 'Test' })
+                .send(${fx.withPrimary('  Test Name  ')})
                 .expect(201);
 
-            expect(response.body.data.name).toBe('Test Name');
-        });
+            expect(response.body.data.${fx.primary}).toBe('Test Name');
+        });` : ''}
     });
 
     describe('GET /api/${resourcePlural}', () => {
         beforeEach(async () => {
             // Create test data
             await ${resourceName}.create(mock${resourceName});
-            await ${resourceName}.create({ name: 'Second ${resourceName}', description: 'Second' });
+            await ${resourceName}.create(${fx.secondData});
         });
 
         it('should get all ${resourcePlural}', async () => {
@@ -833,6 +1470,7 @@ describe('${resourceName} CRUD Operations', () => {
             expect(response.body.data).toHaveLength(0);
             expect(response.body.count).toBe(0);
         });
+${getListQueryTests(resourceName, fx)}
     });
 
     describe('GET /api/${resourcePlural}/:id', () => {
@@ -849,7 +1487,7 @@ describe('${resourceName} CRUD Operations', () => {
                 .expect(200);
 
             expect(response.body.success).toBe(true);
-            expect(response.body.data.name).toBe(mock${resourceName}.name);
+${fx.getAssertion}
             expect(response.body.data._id).toBe(testId);
         });
 
@@ -882,8 +1520,7 @@ describe('${resourceName} CRUD Operations', () => {
 
         it('should update a ${resourceLower}', async () => {
             const updatedData = {
-                name: 'Updated Name',
-                description: 'Updated description'
+${fx.updatedBody}
             };
 
             const response = await request(app)
@@ -892,8 +1529,7 @@ describe('${resourceName} CRUD Operations', () => {
                 .expect(200);
 
             expect(response.body.success).toBe(true);
-            expect(response.body.data.name).toBe(updatedData.name);
-            expect(response.body.data.description).toBe(updatedData.description);
+${fx.updateAssertions}
         });
 
         it('should return 404 for non-existent ${resourceLower}', async () => {
@@ -901,7 +1537,7 @@ describe('${resourceName} CRUD Operations', () => {
             
             const response = await request(app)
                 .put(\`/api/${resourcePlural}/\${fakeId}\`)
-                .send({ name: 'Updated' })
+                .send(mock${resourceName})
                 .expect(404);
 
             expect(response.body.success).toBe(false);
@@ -910,7 +1546,7 @@ describe('${resourceName} CRUD Operations', () => {
         it('should return 400 for invalid ObjectId', async () => {
             const response = await request(app)
                 .put('/api/${resourcePlural}/invalid-id')
-                .send({ name: 'Updated' })
+                .send(mock${resourceName})
                 .expect(400);
 
             expect(response.body.success).toBe(false);
@@ -955,25 +1591,51 @@ describe('${resourceName} CRUD Operations', () => {
 
             expect(response.body.success).toBe(false);
         });
-    });
+    });${getPatchTests(resourceName, fx, options.etag, '_id', ': string', 'new mongoose.Types.ObjectId().toString()')}${options.softDelete ? getSoftDeleteTests(resourceName, fx, '_id', ': string') : ''}${options.bulk ? getBulkTests(resourceName, fx, options.bulk.maxItems, '_id', 'new mongoose.Types.ObjectId().toString()', ': string') : ''}
 });
 `;
 }
 
-export function getTestTemplateMySQLTS(resourceName) {
-    const js = getTestTemplateMySQLJS(resourceName);
+export function getTestTemplateMySQLTS(resourceName, fields = null, options = {}) {
+    const js = getTestTemplateMySQLJS(resourceName, fields, options);
+    // Convert to TypeScript by adding types
+    return js
+        .replace(/const app = express\(\);/g, 'const app: Express = express();')
+        .replace(/import express from 'express';/g, "import express, { Express } from 'express';")
+        .replace(/let testId;/g, 'let testId: number;')
+        .replace(/\.map\(\((\w+)\) => \1\.id\)/g, '.map(($1: { id: number }) => $1.id)')
+        .replace(/\.map\(\(result\) => result\.data\.id\)/g, '.map((result: { data: { id: number } }) => result.data.id)');
+}
+
+export function getTestTemplatePostgresTS(resourceName, fields = null, options = {}) {
+    const js = getTestTemplatePostgresJS(resourceName, fields, options);
+    // Convert to TypeScript by adding types
+    return js
+        .replace(/const app = express\(\);/g, 'const app: Express = express();')
+        .replace(/import express from 'express';/g, "import express, { Express } from 'express';")
+        .replace(/let testId;/g, 'let testId: number;')
+        .replace(/\.map\(\((\w+)\) => \1\.id\)/g, '.map(($1: { id: number }) => $1.id)')
+        .replace(/\.map\(\(result\) => result\.data\.id\)/g, '.map((result: { data: { id: number } }) => result.data.id)');
+}
+
+export function getTestTemplateSQLiteTS(resourceName, fields = null, options = {}) {
+    const js = getTestTemplateSQLiteJS(resourceName, fields, options);
     // Convert to TypeScript by adding types
     return js
         .replace(/const app = express\(\);/g, 'const app: Express = express();')
         .replace(/import express from 'express';/g, "import express, { Express } from 'express';")
-        .replace(/let testId;/g, 'let testId: number;');
+        .replace(/let testId;/g, 'let testId: number;')
+        .replace(/\.map\(\((\w+)\) => \1\.id\)/g, '.map(($1: { id: number }) => $1.id)')
+        .replace(/\.map\(\(result\) => result\.data\.id\)/g, '.map((result: { data: { id: number } }) => result.data.id)');
 }
 
-export function getTestTemplateMemoryTS(resourceName) {
-    const js = getTestTemplateMemoryJS(resourceName);
+export function getTestTemplateMemoryTS(resourceName, fields = null, options = {}) {
+    const js = getTestTemplateMemoryJS(resourceName, fields, options);
     // Convert to TypeScript by adding types
     return js
         .replace(/const app = express\(\);/g, 'const app: Express = express();')
         .replace(/import express from 'express';/g, "import express, { Express } from 'express';")
-        .replace(/let testId;/g, 'let testId: string;');
+        .replace(/let testId;/g, 'let testId: string;')
+        .replace(/\.map\(\((\w+)\) => \1\.id\)/g, '.map(($1: { id: string }) => $1.id)')
+        .replace(/\.map\(\(result\) => result\.data\.id\)/g, '.map((result: { data: { id: string } }) => result.data.id)');
 }
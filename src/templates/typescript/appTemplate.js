@@ -0,0 +1,73 @@
+// TypeScript app.ts template
+
+export function getAppTemplateTS(resourceName, dbChoice, options = {}) {
+    const lowerResource = resourceName.toLowerCase();
+    const pluralResource = lowerResource + 's';
+
+    return `import express, { Express, Request, Response } from 'express';
+import ${lowerResource}Routes from './routes/${lowerResource}Routes.js';
+import { securityHeaders, httpsRedirect, rateLimiter } from './middlewares/security.js';
+import { corsMiddleware } from './middlewares/cors.js';
+import { errorHandler, notFoundHandler } from './middlewares/errorHandler.js';
+import { requestLogger } from './middlewares/requestLogger.js';
+import healthRouter from './utils/health.js';${options.graphql ? "\nimport { graphqlHandler } from './graphql/index.js';" : ''}
+
+// Build the Express application without listening on a port
+// server.ts listens; tests pass createApp() straight to supertest
+export const createApp = (): Express => {
+    const app = express();
+
+    // Health probes (/health/live, /health/ready) come before logging, HTTPS redirects
+    // and rate limiting, so orchestrators polling them always get a direct answer
+    app.use('/health', healthRouter);
+
+    // Request ID, child logger and access log (every other response is logged)
+    app.use(requestLogger);
+
+    // Security Middleware
+    app.use(securityHeaders);
+    app.use(httpsRedirect);
+    app.use(rateLimiter);
+
+    // CORS Middleware
+    app.use(corsMiddleware);
+
+    // Body parser middleware
+    app.use(express.json({ limit: '10mb' })); // Limit payload size
+    app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+    // Routes
+    app.get('/', (_req: Request, res: Response) => {
+        res.json({
+            message: 'Welcome to Express CRUD API',
+            database: '${dbChoice === 'mongodb' ? 'MongoDB' : dbChoice === 'mysql' ? 'MySQL' : dbChoice === 'postgres' ? 'PostgreSQL' : dbChoice === 'sqlite' ? 'SQLite' : 'In-Memory'}',
+            endpoints: {
+                'GET /api/${pluralResource}': 'Get all ${pluralResource}',
+                'GET /api/${pluralResource}/:id': 'Get ${lowerResource} by id',
+                'POST /api/${pluralResource}': 'Create new ${lowerResource}',
+                'PUT /api/${pluralResource}/:id': 'Replace ${lowerResource} (the whole ${lowerResource}, like POST)',
+                'PATCH /api/${pluralResource}/:id': 'Update ${lowerResource} (JSON Merge Patch or JSON Patch)',
+                'DELETE /api/${pluralResource}/:id': '${options.softDelete ? `Move ${lowerResource} to the trash` : `Delete ${lowerResource}`}'${options.softDelete ? `,
+                'GET /api/${pluralResource}/trash': 'Get deleted ${pluralResource}',
+                'POST /api/${pluralResource}/:id/restore': 'Restore ${lowerResource} from the trash'` : ''}
+            }
+        });
+    });
+
+    app.use('/api/${pluralResource}', ${lowerResource}Routes);
+${options.graphql ? `
+    // GraphQL endpoint over the same services (see src/graphql)
+    app.all('/graphql', graphqlHandler);
+` : ''}
+    // 404 handler for undefined routes
+    app.use(notFoundHandler);
+
+    // Error handling middleware (must be last)
+    app.use(errorHandler);
+
+    return app;
+};
+
+export default createApp;
+`;
+}
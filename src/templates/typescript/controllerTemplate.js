@@ -1,17 +1,18 @@
 // TypeScript controller template - HTTP layer
-import { generateAllControllerMethods, generateControllerImports } from '../shared/controllerHelpers.js';
+import { generateAllControllerMethods, generateControllerImports, generateControllerUtilImports } from '../shared/index.js';
 
-export function getControllerTemplateTS(resourceName, dbChoice) {
+export function getControllerTemplateTS(resourceName, dbChoice, options = {}) {
     const lowerResource = resourceName.toLowerCase();
     
     // Generate TypeScript-specific imports
     const imports = generateControllerImports(true);
     
     // Generate all CRUD methods using shared helper
-    const methods = generateAllControllerMethods(resourceName, `${lowerResource}Service`, true);
+    const methods = generateAllControllerMethods(resourceName, `${lowerResource}Service`, true, [], options);
     
     return `${imports}
 import * as ${lowerResource}Service from '../services/${lowerResource}Service.js';
+${generateControllerUtilImports(resourceName, options)}
 
 ${methods}
 `;
@@ -1,10 +1,27 @@
 // Central export point for TypeScript templates
+// Projects can override them in .lazycrud/templates/typescript (see src/utils/templateUtils.js)
 
-export { getTsConfigTemplate } from './configTemplate.js';
-export { getTypesTemplate, getItemTypesTemplate, getCommonTypesTemplate } from './typesTemplate.js';
-export { getServerTemplateTS } from './serverTemplate.js';
-export { getDatabaseConfigTemplateTS } from './databaseTemplate.js';
-export { getRoutesTemplateTS } from './routesTemplate.js';
-export { getControllerTemplateTS } from './controllerTemplate.js';
-export { getServiceTemplateTS } from './serviceTemplate.js';
-export { getModelTemplateTS } from './modelTemplate.js';
+import { defineTemplateLayer } from '../../utils/templateUtils.js';
+import * as configTemplate from './configTemplate.js';
+import * as typesTemplate from './typesTemplate.js';
+import * as serverTemplate from './serverTemplate.js';
+import * as appTemplate from './appTemplate.js';
+import * as databaseTemplate from './databaseTemplate.js';
+import * as routesTemplate from './routesTemplate.js';
+import * as controllerTemplate from './controllerTemplate.js';
+import * as serviceTemplate from './serviceTemplate.js';
+import * as modelTemplate from './modelTemplate.js';
+
+export const {
+    getTsConfigTemplate,
+    getTypesTemplate,
+    getItemTypesTemplate,
+    getCommonTypesTemplate,
+    getServerTemplateTS,
+    getAppTemplateTS,
+    getDatabaseConfigTemplateTS,
+    getRoutesTemplateTS,
+    getControllerTemplateTS,
+    getServiceTemplateTS,
+    getModelTemplateTS
+} = defineTemplateLayer('typescript', configTemplate, typesTemplate, serverTemplate, appTemplate, databaseTemplate, routesTemplate, controllerTemplate, serviceTemplate, modelTemplate);
@@ -1,7 +1,7 @@
 // TypeScript model template - Database access layer
 
-import { generateModel } from '../shared/modelHelpers.js';
+import { generateModel } from '../shared/index.js';
 
-export function getModelTemplateTS(resourceName, dbChoice) {
-    return generateModel(resourceName, dbChoice, true);
+export function getModelTemplateTS(resourceName, dbChoice, options = {}) {
+    return generateModel(resourceName, dbChoice, true, options);
 }
@@ -1,29 +1,44 @@
 // TypeScript routes template
 
-export function getRoutesTemplateTS(resourceName) {
+export function getRoutesTemplateTS(resourceName, options = {}) {
     const lowerResource = resourceName.toLowerCase();
     const pluralResource = lowerResource + 's';
     
     return `import express from 'express';
 import * as ${lowerResource}Controller from '../controllers/${lowerResource}Controller.js';
+import { validate } from '../middlewares/validate.js';
+import { create${resourceName}Schema } from '../schemas/${lowerResource}Schema.js';
+import { PATCH_TYPES } from '../utils/patch.js';
 
 const router = express.Router();
 
+// Merge patch and JSON Patch bodies (app.js only parses application/json)
+const parsePatchBody = express.json({ type: PATCH_TYPES });
+
 // GET all ${pluralResource}
 router.get('/', ${lowerResource}Controller.getAll${resourceName}s);
-
+${options.softDelete ? `
+// GET soft-deleted ${pluralResource} (registered before /:id)
+router.get('/trash', ${lowerResource}Controller.getDeleted${resourceName}s);
+` : ''}
 // GET ${lowerResource} by id
 router.get('/:id', ${lowerResource}Controller.get${resourceName}ById);
 
 // POST create new ${lowerResource}
-router.post('/', ${lowerResource}Controller.create${resourceName});
+router.post('/', validate(create${resourceName}Schema), ${lowerResource}Controller.create${resourceName});
 
-// PUT update ${lowerResource}
-router.put('/:id', ${lowerResource}Controller.update${resourceName});
+// PUT replace ${lowerResource} (the whole ${lowerResource}, like POST)
+router.put('/:id', validate(create${resourceName}Schema), ${lowerResource}Controller.replace${resourceName});
+
+// PATCH update ${lowerResource} (JSON Merge Patch or JSON Patch)
+router.patch('/:id', parsePatchBody, ${lowerResource}Controller.patch${resourceName});
 
 // DELETE ${lowerResource}
 router.delete('/:id', ${lowerResource}Controller.delete${resourceName});
-
+${options.softDelete ? `
+// POST restore a soft-deleted ${lowerResource}
+router.post('/:id/restore', ${lowerResource}Controller.restore${resourceName});
+` : ''}
 export default router;
 `;
 }
@@ -1,11 +1,14 @@
 // TypeScript service template - Business logic layer
 
-import { generateServiceImports, generateServiceMethods } from '../shared/serviceHelpers.js';
+import { generateServiceImports, generateServiceMethods, generateErrorImports } from '../shared/index.js';
 
-export function getServiceTemplateTS(resourceName, dbChoice) {
+export function getServiceTemplateTS(resourceName, dbChoice, options = {}) {
     const modelFileName = `${resourceName}.js`;
-    const imports = generateServiceImports(resourceName, modelFileName, dbChoice, true);
-    const methods = generateServiceMethods(resourceName, dbChoice, true);
+    const methods = generateServiceMethods(resourceName, dbChoice, true, ['name', 'description', 'price'], options);
+    const imports = [
+        generateServiceImports(resourceName, modelFileName, dbChoice, true, [], options),
+        generateErrorImports(methods)
+    ].filter(Boolean).join('\n');
     
     return `${imports}
 
@@ -1,16 +1,27 @@
 // Types templates for TypeScript projects
 
+import { resolveTemplate } from '../../utils/templateUtils.js';
+
 /**
  * Generate Item-specific types in separate file
  * @param {string} dbChoice - Database choice
+ * @param {Object} [options] - { softDelete } adds the deletion date
  * @returns {string} Item types template
  */
-export function getItemTypesTemplate(dbChoice) {
+export function getItemTypesTemplate(dbChoice, options = {}) {
     const idField = dbChoice === 'mongodb' ? '_id' : 'id';
     const idType = dbChoice === 'mongodb' ? '?: string | undefined' : ': string';
-    const timestampFields = dbChoice === 'mysql' 
+    const timestampFields = dbChoice === 'mysql' || dbChoice === 'postgres'
         ? '    created_at?: Date;\n    updated_at?: Date;'
-        : '    createdAt?: Date;\n    updatedAt?: Date;';
+        : dbChoice === 'sqlite'
+            ? '    created_at?: string;\n    updated_at?: string;'
+            : '    createdAt?: Date;\n    updatedAt?: Date;';
+    const deletedAtField = !options.softDelete ? ''
+        : dbChoice === 'mysql' || dbChoice === 'postgres'
+            ? '\n    deleted_at?: Date | null;'
+            : dbChoice === 'sqlite'
+                ? '\n    deleted_at?: string | null;'
+                : '\n    deletedAt?: Date | null;';
 
     return `// TypeScript types for Item resource
 
@@ -19,7 +30,7 @@ export interface Item {
     name: string;
     description?: string;
     price?: number;
-    ${timestampFields}
+    ${timestampFields}${deletedAtField}
 }
 
 export interface ItemInput {
@@ -53,5 +64,6 @@ export interface ApiResponse<T = any> {
  * @returns {string} All types template
  */
 export function getTypesTemplate(dbChoice) {
-    return getItemTypesTemplate(dbChoice) + '\n' + getCommonTypesTemplate();
+    return resolveTemplate('typescript', 'getItemTypesTemplate', getItemTypesTemplate)(dbChoice) + '\n' +
+        resolveTemplate('typescript', 'getCommonTypesTemplate', getCommonTypesTemplate)();
 }
@@ -0,0 +1,138 @@
+// Bulk operation templates (src/utils/bulk.js|ts)
+// Batch checks and per-item results shared by the /bulk endpoints of add-crud --bulk
+
+/**
+ * Generate the bulk operations module
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {string} Bulk module code
+ */
+function generateBulkModule(isTypeScript) {
+    const t = (annotation) => isTypeScript ? annotation : '';
+
+    return `// Bulk operations (POST, PATCH and DELETE /api/<resources>/bulk)
+// Every item is checked on its own: the valid ones are written together and the
+// response has one result per item, in request order. Failed items carry the
+// status and code errorHandler would have answered with for a single request.
+${isTypeScript ? `import { ZodSchema } from 'zod';
+import { AppError, BadRequestError, FieldError, NotFoundError, ValidationError } from './errors.js';
+
+export interface BulkResult {
+    index: number;
+    status: number;
+    data?: unknown;
+    code?: string;
+    detail?: string;
+    errors?: FieldError[];
+}
+
+export interface BulkOptions<T, R> {
+    max: number;
+    status: number;
+    check: (item: unknown) => T | Promise<T>;
+    write: (values: T[]) => Promise<Array<R | null>> | Array<R | null>;
+    notFound?: string;
+}
+` : `import { AppError, BadRequestError, NotFoundError, ValidationError } from './errors.js';
+`}
+// The body must hold a non-empty array of at most \`max\` items
+export const parseBulkItems = (items${t(': unknown')}, max${t(': number')})${t(': unknown[]')} => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new BadRequestError('Expected a non-empty array of items', 'INVALID_BULK_BODY');
+    }
+    if (items.length > max) {
+        throw new BadRequestError(\`Too many items: at most \${max} per request\`, 'BULK_LIMIT_EXCEEDED');
+    }
+    return items;
+};
+
+// Check one item against a zod schema of src/schemas, like validate() does for single requests
+export const parseBulkItem = ${t('<T>')}(schema${t(': ZodSchema<T>')}, item${t(': unknown')})${t(': T')} => {
+    const result = schema.safeParse(item ?? {});
+
+    if (!result.success) {
+        const errors${t(': FieldError[]')} = result.error.issues.map((issue) => ({
+            field: issue.path.join('.'),
+            message: issue.message
+        }));
+        throw new ValidationError('Validation failed', errors);
+    }
+    return result.data;
+};
+
+// Ids are strings or numbers; anything else cannot name a record
+export const toBulkId = (id${t(': unknown')})${t(': string')} => {
+    if ((typeof id !== 'string' && typeof id !== 'number') || String(id) === '') {
+        throw new BadRequestError('Invalid ID format', 'INVALID_ID');
+    }
+    return String(id);
+};
+
+// Result of an item that failed; unexpected errors still fail the whole request
+const toBulkFailure = (index${t(': number')}, error${t(': unknown')})${t(': BulkResult')} => {
+    if (!(error instanceof AppError)) {
+        throw error;
+    }
+    return {
+        index,
+        status: error.status,
+        code: error.code,
+        detail: error.message,
+        ...(error instanceof ValidationError && error.errors.length > 0 ? { errors: error.errors } : {})
+    };
+};
+
+// Check every item, write the valid ones in one call and collect a result per item.
+// \`write\` returns one record per value, or null when the record does not exist.
+export const runBulk = async ${t('<T, R>')}(items${t(': unknown')}, { max, status, check, write, notFound = 'Not found' }${t(': BulkOptions<T, R>')})${t(': Promise<BulkResult[]>')} => {
+    const batch = parseBulkItems(items, max);
+    const results${t(': BulkResult[]')} = new Array(batch.length);
+    const accepted${t(': Array<{ index: number; value: T }>')} = [];
+
+    for (const [index, item] of batch.entries()) {
+        try {
+            accepted.push({ index, value: await check(item) });
+        } catch (error) {
+            results[index] = toBulkFailure(index, error);
+        }
+    }
+
+    const written = accepted.length > 0 ? await write(accepted.map(({ value }) => value)) : [];
+    accepted.forEach(({ index }, position) => {
+        const record = written[position];
+        results[index] = record ? { index, status, data: record } : toBulkFailure(index, new NotFoundError(notFound));
+    });
+    return results;
+};
+
+// 207 Multi-Status as soon as one item failed
+export const getBulkStatus = (results${t(': BulkResult[]')}, status${t(': number')})${t(': number')} =>
+    results.every((result) => result.status === status) ? status : 207;
+
+// Response body: the per-item results and how many succeeded
+export const buildBulkResponse = (results${t(': BulkResult[]')}) => {
+    const failed = results.filter((result) => result.status >= 400).length;
+    return {
+        success: failed === 0,
+        count: results.length,
+        data: results,
+        meta: { succeeded: results.length - failed, failed }
+    };
+};
+`;
+}
+
+/**
+ * Generate the JavaScript bulk operations module (src/utils/bulk.js)
+ * @returns {string} Bulk module code
+ */
+export function getBulkTemplate() {
+    return generateBulkModule(false);
+}
+
+/**
+ * Generate the TypeScript bulk operations module (src/utils/bulk.ts)
+ * @returns {string} Bulk module code
+ */
+export function getBulkTemplateTS() {
+    return generateBulkModule(true);
+}
@@ -0,0 +1,80 @@
+// Application error templates (src/utils/errors.js|ts)
+// Typed errors thrown by the generated services and middlewares
+
+/**
+ * Describe the AppError subclasses: class name, HTTP status, default code and message
+ * ValidationError is written separately because it carries the field errors.
+ */
+const ERROR_CLASSES = [
+    { name: 'BadRequestError', status: 400, code: 'BAD_REQUEST', message: 'Bad request', comment: 'Malformed ids, query parameters or ?include=' },
+    { name: 'UnauthorizedError', status: 401, code: 'UNAUTHORIZED', message: 'Authentication required', comment: 'Missing or invalid credentials' },
+    { name: 'ForbiddenError', status: 403, code: 'FORBIDDEN', message: 'Forbidden', comment: 'Authenticated, but not allowed to do this' },
+    { name: 'NotFoundError', status: 404, code: 'NOT_FOUND', message: 'Resource not found', comment: 'The record (or the record it belongs to) does not exist' },
+    { name: 'ConflictError', status: 409, code: 'CONFLICT', message: 'Conflict', comment: 'Duplicates and other clashes with the stored data' }
+];
+
+/**
+ * Generate the errors module
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {string} Errors module code
+ */
+function generateErrorsModule(isTypeScript) {
+    const t = (annotation) => isTypeScript ? annotation : '';
+    const subclasses = ERROR_CLASSES.map(({ name, status, code, message, comment }) => `// ${status}: ${comment}
+export class ${name} extends AppError {
+    constructor(message${t(': string')} = '${message}', code${t(': string')} = '${code}') {
+        super(message, ${status}, code);
+    }
+}`).join('\n\n');
+
+    return `// Application errors
+// Services and middlewares throw these instead of plain Errors; errorHandler
+// (src/middlewares/errorHandler) answers them with an RFC 7807 problem details
+// body whose "code" stays the same even when the message is reworded.
+${isTypeScript ? `
+export interface FieldError {
+    field: string;
+    message: string;
+}
+` : ''}
+export class AppError extends Error {
+${isTypeScript ? `    status: number;
+    code: string;
+
+` : ''}    constructor(message${t(': string')}, status${t(': number')} = 500, code${t(': string')} = 'INTERNAL_ERROR') {
+        super(message);
+        this.name = new.target.name;
+        this.status = status;
+        this.code = code;
+    }
+}
+
+${subclasses}
+
+// 422: the request body failed validation (errors lists every invalid field)
+export class ValidationError extends AppError {
+${isTypeScript ? `    errors: FieldError[];
+
+` : ''}    constructor(message${t(': string')} = 'Validation failed', errors${t(': FieldError[]')} = [], code${t(': string')} = 'VALIDATION_FAILED') {
+        super(message, 422, code);
+        this.errors = errors;
+    }
+}
+`;
+}
+
+/**
+ * Generate the JavaScript errors module
+ * @returns {string} Errors module code
+ */
+export function getErrorsTemplate() {
+    return generateErrorsModule(false);
+}
+
+/**
+ * Generate the TypeScript errors module
+ * @returns {string} Errors module code
+ */
+export function getErrorsTemplateTS() {
+    return generateErrorsModule(true);
+}
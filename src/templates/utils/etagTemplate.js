@@ -0,0 +1,75 @@
+// ETag templates (src/utils/etag.js|ts)
+// Optimistic concurrency of the add-crud --etag resources
+
+/**
+ * Generate the ETag module
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {string} ETag module code
+ */
+function generateEtagModule(isTypeScript) {
+    const t = (annotation) => isTypeScript ? annotation : '';
+
+    return `// ETag and If-Match (optimistic concurrency)
+// Every update bumps the version of the record: a version column, or __v for
+// MongoDB documents. Responses carry it as the ETag header, and a PUT, PATCH or
+// DELETE sent with If-Match only applies while the record is at one of the named versions.
+import { AppError } from './errors.js';
+
+// 412: the record changed since the client read it
+export class PreconditionFailedError extends AppError {
+    constructor(message${t(': string')} = 'The record was modified by another request', code${t(': string')} = 'PRECONDITION_FAILED') {
+        super(message, 412, code);
+    }
+}
+
+// Version of a record
+export const getVersion = (record${t(': object')})${t(': number')} => {
+    const { version, __v } = record${t(' as { version?: number; __v?: number }')};
+    return Number(version ?? __v ?? 0);
+};
+
+// Strong ETag of a record, e.g. "3"
+export const toETag = (record${t(': object')})${t(': string')} => \`"\${getVersion(record)}"\`;
+
+// Version a write to \`record\` is based on: null when any version will do, otherwise the
+// current version, which must be one of those If-Match named (412 when it is not)
+export const checkIfMatch = (record${t(': object')}, ifMatch${t(': number[] | null')})${t(': number | null')} => {
+    if (ifMatch === null) {
+        return null;
+    }
+    const version = getVersion(record);
+    if (!ifMatch.includes(version)) {
+        throw new PreconditionFailedError();
+    }
+    return version;
+};
+
+// Versions named by an If-Match header, or null when any version will do (no header, or *).
+// If-Match compares strongly, so weak tags (W/"3") match no version.
+export const parseIfMatch = (header${t(': string | undefined')})${t(': number[] | null')} => {
+    if (!header || header.trim() === '*') {
+        return null;
+    }
+    return header.split(',')
+        .map((tag) => tag.trim())
+        .filter((tag) => /^"\\d+"$/.test(tag))
+        .map((tag) => Number(tag.slice(1, -1)));
+};
+`;
+}
+
+/**
+ * Generate the JavaScript ETag module (src/utils/etag.js)
+ * @returns {string} ETag module code
+ */
+export function getEtagTemplate() {
+    return generateEtagModule(false);
+}
+
+/**
+ * Generate the TypeScript ETag module (src/utils/etag.ts)
+ * @returns {string} ETag module code
+ */
+export function getEtagTemplateTS() {
+    return generateEtagModule(true);
+}
@@ -0,0 +1,80 @@
+// Health probe templates (src/utils/health.js|ts)
+// Liveness and readiness endpoints mounted at /health by the server
+
+/**
+ * Generate the health router module
+ * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', 'postgres', 'sqlite', or 'memory'
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {string} Health router code
+ */
+function generateHealthModule(dbChoice, isTypeScript) {
+    const hasDatabase = dbChoice !== 'memory';
+    const t = (annotation) => isTypeScript ? annotation : '';
+
+    const ready = hasDatabase ? `    try {
+        await withTimeout(pingDatabase(), READY_TIMEOUT_MS);
+        res.json({ status: 'ready', database: 'ok' });
+    } catch (error) {
+        logger.warn({ err: error }, 'Readiness check failed');
+        res.status(503).json({ status: 'unavailable', database: 'unreachable' });
+    }` : `    // In-memory storage is always available
+    res.json({ status: 'ready', database: 'in-memory' });`;
+
+    return `import { Router${isTypeScript ? ', Request, Response' : ''} } from 'express';
+import { isShuttingDown } from './shutdown.js';
+${hasDatabase ? `import { logger } from './logger.js';
+import { pingDatabase } from '../config/database.js';
+` : ''}
+// Health probes for Docker, Kubernetes and load balancers
+//   GET /health/live  - the process is up (GET /health answers the same)
+//   GET /health/ready - the database answers and the server is not shutting down
+const router = Router();
+${hasDatabase ? `
+// Readiness fails when the database does not answer within this time
+const READY_TIMEOUT_MS = 2000;
+
+const withTimeout = ${t('<T>')}(promise${t(': Promise<T>')}, ms${t(': number')})${t(': Promise<T>')} => {
+    let timer${t(': NodeJS.Timeout | undefined')};
+    const timeout = new Promise${t('<never>')}((_resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(\`Database did not answer within \${ms}ms\`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+` : ''}
+const live = (_req${t(': Request')}, res${t(': Response')})${t(': void')} => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+};
+
+router.get('/', live);
+router.get('/live', live);
+
+router.get('/ready', ${hasDatabase ? 'async ' : ''}(_req${t(': Request')}, res${t(': Response')})${t(hasDatabase ? ': Promise<void>' : ': void')} => {
+    if (isShuttingDown()) {
+        res.status(503).json({ status: 'shutting down' });
+        return;
+    }
+
+${ready}
+});
+
+export default router;
+`;
+}
+
+/**
+ * Generate the JavaScript health router
+ * @param {string} dbChoice - Database choice
+ * @returns {string} Health router code
+ */
+export function getHealthTemplate(dbChoice) {
+    return generateHealthModule(dbChoice, false);
+}
+
+/**
+ * Generate the TypeScript health router
+ * @param {string} dbChoice - Database choice
+ * @returns {string} Health router code
+ */
+export function getHealthTemplateTS(dbChoice) {
+    return generateHealthModule(dbChoice, true);
+}
@@ -0,0 +1,31 @@
+// Central export for generated utility templates
+// Projects can override them in .lazycrud/templates/utils (see src/utils/templateUtils.js)
+
+import { defineTemplateLayer } from '../../utils/templateUtils.js';
+import * as listQueryTemplate from './listQueryTemplate.js';
+import * as errorsTemplate from './errorsTemplate.js';
+import * as loggerTemplate from './loggerTemplate.js';
+import * as healthTemplate from './healthTemplate.js';
+import * as shutdownTemplate from './shutdownTemplate.js';
+import * as bulkTemplate from './bulkTemplate.js';
+import * as patchTemplate from './patchTemplate.js';
+import * as etagTemplate from './etagTemplate.js';
+
+export const {
+    getListQueryTemplate,
+    getListQueryTemplateTS,
+    getErrorsTemplate,
+    getErrorsTemplateTS,
+    getLoggerTemplate,
+    getLoggerTemplateTS,
+    getHealthTemplate,
+    getHealthTemplateTS,
+    getShutdownTemplate,
+    getShutdownTemplateTS,
+    getBulkTemplate,
+    getBulkTemplateTS,
+    getPatchTemplate,
+    getPatchTemplateTS,
+    getEtagTemplate,
+    getEtagTemplateTS
+} = defineTemplateLayer('utils', listQueryTemplate, errorsTemplate, loggerTemplate, healthTemplate, shutdownTemplate, bulkTemplate, patchTemplate, etagTemplate);
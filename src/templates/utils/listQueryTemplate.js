@@ -0,0 +1,294 @@
+// List query utility templates (src/utils/listQuery.js|ts)
+// Pagination, sorting and filtering shared by the generated GET collection endpoints
+
+/**
+ * Generate the database-specific half of the utility
+ * @param {string} dbChoice - Database choice
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {string} Code that turns a parsed list query into a database query
+ */
+function generateDatabaseSection(dbChoice, isTypeScript) {
+    const t = (annotation) => isTypeScript ? annotation : '';
+
+    if (dbChoice === 'mongodb') {
+        return `const MONGO_OPERATORS${t(': Record<string, string>')} = { eq: '$eq', ne: '$ne', gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte', in: '$in' };
+
+/**
+ * Convert a parsed list query into a Mongoose filter and sort
+ * Mongoose casts the filter values to the schema types.
+ */
+export function toMongoQuery({ filters, sort }${t(': ListQuery')})${t(': { filter: Record<string, any>; sort: Record<string, 1 | -1> }')} {
+    const filter${t(': Record<string, any>')} = {};
+    for (const { field, operator, value } of filters) {
+        filter[field] = { ...filter[field], [MONGO_OPERATORS[operator]]: value };
+    }
+
+    const sortSpec${t(': Record<string, 1 | -1>')} = {};
+    for (const { field, direction } of sort) {
+        sortSpec[field] = direction === 'asc' ? 1 : -1;
+    }
+    // _id breaks ties so pages never overlap
+    sortSpec._id = sort[0]?.direction === 'asc' ? 1 : -1;
+
+    return { filter, sort: sortSpec };
+}
+`;
+    }
+
+    if (dbChoice === 'mysql' || dbChoice === 'postgres' || dbChoice === 'sqlite') {
+        const placeholder = dbChoice === 'postgres' ? '`$${values.length}`' : "'?'";
+        const bind = dbChoice === 'sqlite'
+            ? `// better-sqlite3 cannot bind booleans (they are stored as 0/1)
+        values.push(typeof value === 'boolean' ? Number(value) : value);`
+            : 'values.push(value);';
+
+        return `// API field names that differ from their column names
+const COLUMNS${t(': Record<string, string>')} = { createdAt: 'created_at', updatedAt: 'updated_at' };
+
+const SQL_OPERATORS${t(': Record<string, string>')} = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+/**
+ * Build the WHERE and ORDER BY clauses of a parsed list query
+ * Column names come from the whitelist; values are always bound as parameters.
+ */
+export function toSQLClauses({ filters, sort }${t(': ListQuery')})${t(': { where: string; orderBy: string; values: unknown[] }')} {
+    const values${t(': unknown[]')} = [];
+    const param = (value${t(': unknown')})${t(': string')} => {
+        ${bind}
+        return ${placeholder};
+    };
+
+    const conditions = filters.map(({ field, operator, value }) => {
+        const column = COLUMNS[field] || field;
+        if (operator === 'in') {
+            return \`\${column} IN (\${(value${t(' as unknown[]')}).map((item) => param(item)).join(', ')})\`;
+        }
+        return \`\${column} \${SQL_OPERATORS[operator]} \${param(value)}\`;
+    });
+
+    const order = sort.map(({ field, direction }) => \`\${COLUMNS[field] || field} \${direction.toUpperCase()}\`);
+    // id breaks ties so pages never overlap
+    order.push(\`id \${sort[0]?.direction === 'asc' ? 'ASC' : 'DESC'}\`);
+
+    return {
+        where: conditions.length > 0 ? \`WHERE \${conditions.join(' AND ')}\` : '',
+        orderBy: \`ORDER BY \${order.join(', ')}\`,
+        values
+    };
+}
+`;
+    }
+
+    return `// Missing values sort last
+function compare(a${t(': any')}, b${t(': any')})${t(': number')} {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return 1;
+    if (b === undefined || b === null) return -1;
+    return a < b ? -1 : 1;
+}
+
+const MATCHERS${t(': Record<string, (actual: any, expected: any) => boolean>')} = {
+    eq: (actual, expected) => actual === expected,
+    ne: (actual, expected) => actual !== expected,
+    gt: (actual, expected) => actual > expected,
+    gte: (actual, expected) => actual >= expected,
+    lt: (actual, expected) => actual < expected,
+    lte: (actual, expected) => actual <= expected,
+    in: (actual, expected) => expected.includes(actual)
+};
+
+/**
+ * Filter, sort and paginate an in-memory array with a parsed list query
+ */
+export function applyListQuery${t('<T extends Record<string, any>>')}(items${t(': T[]')}, { filters, sort, offset, limit }${t(': ListQuery')})${t(': ListResult<T>')} {
+    const matching = items.filter((item) =>
+        filters.every(({ field, operator, value }) => MATCHERS[operator](item[field], value))
+    );
+    const sorted = [...matching].sort((a, b) => {
+        for (const { field, direction } of sort) {
+            const result = compare(a[field], b[field]);
+            if (result !== 0) return direction === 'asc' ? result : -result;
+        }
+        return 0;
+    });
+    return { rows: sorted.slice(offset, offset + limit), total: matching.length };
+}
+`;
+}
+
+/**
+ * Generate the list query utility
+ * @param {string} dbChoice - Database choice (mongodb, mysql, postgres, sqlite, memory)
+ * @param {boolean} isTypeScript - Whether to generate TypeScript
+ * @returns {string} Utility code
+ */
+function generateListQueryUtil(dbChoice, isTypeScript) {
+    const t = (annotation) => isTypeScript ? annotation : '';
+
+    const types = isTypeScript ? `
+export type FieldKind = 'string' | 'number' | 'int' | 'boolean' | 'date';
+
+export interface ListFilter {
+    field: string;
+    operator: string;
+    value: unknown;
+}
+
+export interface ListSort {
+    field: string;
+    direction: 'asc' | 'desc';
+}
+
+export interface ListQuery {
+    page: number;
+    limit: number;
+    offset: number;
+    sort: ListSort[];
+    filters: ListFilter[];
+}
+
+export interface ListOptions {
+    fields: Record<string, FieldKind>;
+    sortable: string[];
+    defaultSort?: string;
+}
+
+export interface ListResult<T> {
+    rows: T[];
+    total: number;
+}
+
+export interface ListMeta {
+    total: number;
+    page: number;
+    limit: number;
+    totalPages: number;
+}
+` : '';
+
+    return `// Pagination, sorting and filtering for list endpoints, e.g.
+// GET /api/items?page=2&limit=10&sort=-price,name&price[gte]=10&name=Laptop
+import { BadRequestError } from './errors.js';
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// ?field[op]=value operators; a plain ?field=value means eq.
+// in takes a comma-separated list: ?status[in]=draft,published
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'];
+${types}
+function parsePositiveInt(name${t(': string')}, value${t(': unknown')}, fallback${t(': number')})${t(': number')} {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new BadRequestError(\`Invalid \${name}: must be a positive integer\`, 'INVALID_QUERY');
+    }
+    return number;
+}
+
+function coerceValue(field${t(': string')}, kind${t(': FieldKind')}, value${t(': unknown')})${t(': unknown')} {
+    if (typeof value !== 'string') {
+        throw new BadRequestError(\`Invalid value for \${field}\`, 'INVALID_QUERY');
+    }
+    if (kind === 'number' || kind === 'int') {
+        const number = Number(value);
+        if (value.trim() === '' || !Number.isFinite(number) || (kind === 'int' && !Number.isInteger(number))) {
+            throw new BadRequestError(\`Invalid value for \${field}: must be \${kind === 'int' ? 'an integer' : 'a number'}\`, 'INVALID_QUERY');
+        }
+        return number;
+    }
+    if (kind === 'boolean') {
+        if (value !== 'true' && value !== 'false') {
+            throw new BadRequestError(\`Invalid value for \${field}: must be true or false\`, 'INVALID_QUERY');
+        }
+        return value === 'true';
+    }
+    if (kind === 'date' && Number.isNaN(new Date(value).getTime())) {
+        throw new BadRequestError(\`Invalid value for \${field}: must be a valid date\`, 'INVALID_QUERY');
+    }
+    return value;
+}
+
+/**
+ * Parse req.query against the fields a resource allows
+ * Unknown fields, operators and malformed values throw a BadRequestError
+ * (400, code INVALID_QUERY).
+ */
+export function parseListQuery(query${t(': Record<string, unknown>')}, { fields, sortable, defaultSort = '-createdAt' }${t(': ListOptions')})${t(': ListQuery')} {
+    const page = parsePositiveInt('page', query.page, 1);
+    const limit = parsePositiveInt('limit', query.limit, DEFAULT_LIMIT);
+    if (limit > MAX_LIMIT) {
+        throw new BadRequestError(\`Invalid limit: must be at most \${MAX_LIMIT}\`, 'INVALID_QUERY');
+    }
+
+    const sortParam = query.sort === undefined || query.sort === '' ? defaultSort : query.sort;
+    if (typeof sortParam !== 'string') {
+        throw new BadRequestError('Invalid sort: must be a comma-separated list of fields', 'INVALID_QUERY');
+    }
+    const sort = sortParam.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry)${t(': ListSort')} => {
+        const field = entry.replace(/^-/, '');
+        if (!sortable.includes(field)) {
+            throw new BadRequestError(\`Invalid sort field "\${field}"\`, 'INVALID_QUERY');
+        }
+        return { field, direction: entry.startsWith('-') ? 'desc' : 'asc' };
+    });
+
+    const filters${t(': ListFilter[]')} = [];
+    for (const [key, raw] of Object.entries(query)) {
+        if (key === 'page' || key === 'limit' || key === 'sort') continue;
+
+        // ?price[gte]=10 arrives as { price: { gte: '10' } } with Express's extended
+        // query parser, or as { 'price[gte]': '10' } with the simple one
+        const match = key.match(/^(\\w+)\\[(\\w+)\\]$/);
+        const field = match ? match[1] : key;
+        const conditions${t(': Record<string, unknown>')} = match ? { [match[2]]: raw }
+            : raw !== null && typeof raw === 'object' && !Array.isArray(raw) ? raw${t(' as Record<string, unknown>')}
+            : { eq: raw };
+
+        if (!Object.keys(fields).includes(field)) {
+            throw new BadRequestError(\`Invalid filter field "\${field}"\`, 'INVALID_QUERY');
+        }
+        for (const [operator, value] of Object.entries(conditions)) {
+            if (!OPERATORS.includes(operator)) {
+                throw new BadRequestError(\`Invalid filter operator "\${operator}" for \${field}\`, 'INVALID_QUERY');
+            }
+            filters.push({
+                field,
+                operator,
+                value: operator === 'in'
+                    ? (typeof value === 'string' ? value.split(',') : [value]).map((item) => coerceValue(field, fields[field], item))
+                    : coerceValue(field, fields[field], value)
+            });
+        }
+    }
+
+    return { page, limit, offset: (page - 1) * limit, sort, filters };
+}
+
+/**
+ * Build the meta block returned next to the data of a list response
+ */
+export function buildListMeta({ page, limit }${t(': ListQuery')}, total${t(': number')})${t(': ListMeta')} {
+    return { total, page, limit, totalPages: Math.ceil(total / limit) };
+}
+
+${generateDatabaseSection(dbChoice, isTypeScript)}`;
+}
+
+/**
+ * Generate the JavaScript list query utility
+ * @param {string} dbChoice - Database choice (mongodb, mysql, postgres, sqlite, memory)
+ * @returns {string} src/utils/listQuery.js content
+ */
+export function getListQueryTemplate(dbChoice) {
+    return generateListQueryUtil(dbChoice, false);
+}
+
+/**
+ * Generate the TypeScript list query utility
+ * @param {string} dbChoice - Database choice (mongodb, mysql, postgres, sqlite, memory)
+ * @returns {string} src/utils/listQuery.ts content
+ */
+export function getListQueryTemplateTS(dbChoice) {
+    return generateListQueryUtil(dbChoice, true);
+}
@@ -0,0 +1,58 @@
+// Logger templates (src/utils/logger.js|ts)
+// pino instance shared by the request logger, errorHandler and server
+
+/**
+ * Generate the logger module
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {string} Logger module code
+ */
+function generateLoggerModule(isTypeScript) {
+    return `import pino${isTypeScript ? ', { Logger }' : ''} from 'pino';
+import { config } from '../config/env.js';
+
+// Application logger
+// JSON lines by default, pretty output when NODE_ENV=development; LOG_LEVEL overrides
+// the level (tests are silent unless it is set). Requests log through req.log, a child
+// of this logger carrying the request ID (see src/middlewares/requestLogger).
+export const logger${isTypeScript ? ': Logger' : ''} = pino({
+    level: config.logLevel,
+    // Credentials are replaced before a line is written, however deep they are logged
+    redact: {
+        paths: [
+            'authorization',
+            'password',
+            '*.authorization',
+            '*.password',
+            '*.*.authorization',
+            '*.*.password',
+            'req.headers.cookie'
+        ],
+        censor: '[Redacted]'
+    },
+    ...(config.nodeEnv === 'development' ? {
+        transport: {
+            target: 'pino-pretty',
+            options: { colorize: true, translateTime: 'SYS:HH:MM:ss', ignore: 'pid,hostname' }
+        }
+    } : {})
+});
+
+export default logger;
+`;
+}
+
+/**
+ * Generate the JavaScript logger module
+ * @returns {string} Logger module code
+ */
+export function getLoggerTemplate() {
+    return generateLoggerModule(false);
+}
+
+/**
+ * Generate the TypeScript logger module
+ * @returns {string} Logger module code
+ */
+export function getLoggerTemplateTS() {
+    return generateLoggerModule(true);
+}
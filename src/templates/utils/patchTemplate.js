@@ -0,0 +1,240 @@
+// PATCH templates (src/utils/patch.js|ts)
+// JSON Merge Patch and JSON Patch documents turned into the partial updates of the services
+
+/**
+ * Generate the PATCH module
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {string} PATCH module code
+ */
+function generatePatchModule(isTypeScript) {
+    const t = (annotation) => isTypeScript ? annotation : '';
+
+    return `// PATCH /api/<resources>/:id
+// A JSON Merge Patch (RFC 7386) lists the fields to change, null clearing a field.
+// A JSON Patch (RFC 6902) is a list of operations applied to the stored record.
+// Both come out as the changed fields, checked with the update schema of src/schemas.
+${isTypeScript ? `import type { Request } from 'express';
+import type { AnyZodObject } from 'zod';
+import { AppError, BadRequestError, ConflictError, FieldError, ValidationError } from './errors.js';
+
+export type PatchFormat = 'merge' | 'json-patch';
+
+export interface Patch {
+    format: PatchFormat;
+    document: unknown;
+    schema: AnyZodObject;
+}
+
+interface PatchOperation {
+    op: string;
+    path: string;
+    from?: string;
+    value?: unknown;
+}
+
+type Container = Record<string, unknown> | unknown[];
+` : `import { AppError, BadRequestError, ConflictError, ValidationError } from './errors.js';
+`}
+export const MERGE_PATCH = 'application/merge-patch+json';
+export const JSON_PATCH = 'application/json-patch+json';
+
+// 415: the body is neither kind of patch document
+export class UnsupportedMediaTypeError extends AppError {
+    constructor(message${t(': string')} = 'Unsupported media type', code${t(': string')} = 'UNSUPPORTED_MEDIA_TYPE') {
+        super(message, 415, code);
+    }
+}
+
+// Media types the routes parse for PATCH
+export const PATCH_TYPES = [MERGE_PATCH, JSON_PATCH];
+
+// The patch document of a request, with the schema its changes must pass;
+// plain application/json bodies are merge patches
+export const readPatch = (req${t(': Request')}, schema${t(': AnyZodObject')})${t(': Patch')} => {
+    if (req.is(JSON_PATCH)) {
+        return { format: 'json-patch', document: req.body, schema };
+    }
+    if (req.is(MERGE_PATCH) || req.is('application/json')) {
+        return { format: 'merge', document: req.body, schema };
+    }
+    throw new UnsupportedMediaTypeError(\`Send a \${MERGE_PATCH} or \${JSON_PATCH} body\`);
+};
+
+const isObject = (value${t(': unknown')})${t(': value is Record<string, unknown>')} =>
+    typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const invalidPatch = (message${t(': string')}) => new BadRequestError(message, 'INVALID_PATCH');
+
+// Tokens of a JSON Pointer (RFC 6901), e.g. '/tags/0' -> ['tags', '0']
+const parsePointer = (pointer${t(': unknown')})${t(': string[]')} => {
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw invalidPatch(\`Invalid path: \${String(pointer)}\`);
+    }
+    const tokens = pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (tokens.some((token) => token === '__proto__' || token === 'constructor' || token === 'prototype')) {
+        throw invalidPatch(\`Invalid path: \${pointer}\`);
+    }
+    return tokens;
+};
+
+const missingPath = (tokens${t(': string[]')}) => new ConflictError(\`Path not found: /\${tokens.join('/')}\`, 'PATCH_CONFLICT');
+
+const has = (object${t(': object')}, key${t(': string')}) => Object.prototype.hasOwnProperty.call(object, key);
+
+const clone = ${t('<T>')}(value${t(': T')})${t(': T')} => JSON.parse(JSON.stringify(value));
+
+// Position of an existing array element, or where \`add\` inserts ('-' appends)
+const toIndex = (array${t(': unknown[]')}, token${t(': string')}, tokens${t(': string[]')}, adding = false)${t(': number')} => {
+    const index = adding && token === '-' ? array.length : /^(0|[1-9]\\d*)$/.test(token) ? Number(token) : NaN;
+    if (!(index < array.length || (adding && index === array.length))) {
+        throw missingPath(tokens);
+    }
+    return index;
+};
+
+// The object or array holding the last token of a path
+const getParent = (document${t(': Container')}, tokens${t(': string[]')})${t(': Container')} => {
+    let container${t(': unknown')} = document;
+    for (const token of tokens.slice(0, -1)) {
+        container = Array.isArray(container)
+            ? container[toIndex(container, token, tokens)]
+            : isObject(container) && has(container, token) ? container[token] : undefined;
+        if (!Array.isArray(container) && !isObject(container)) {
+            throw missingPath(tokens);
+        }
+    }
+    return container${t(' as Container')};
+};
+
+const getValue = (document${t(': Container')}, tokens${t(': string[]')})${t(': unknown')} => {
+    const parent = getParent(document, tokens);
+    const token = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        return parent[toIndex(parent, token, tokens)];
+    }
+    if (!has(parent, token)) {
+        throw missingPath(tokens);
+    }
+    return parent[token];
+};
+
+const addValue = (document${t(': Container')}, tokens${t(': string[]')}, value${t(': unknown')}) => {
+    const parent = getParent(document, tokens);
+    const token = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(toIndex(parent, token, tokens, true), 0, value);
+    } else {
+        parent[token] = value;
+    }
+};
+
+const removeValue = (document${t(': Container')}, tokens${t(': string[]')})${t(': unknown')} => {
+    const parent = getParent(document, tokens);
+    const token = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        return parent.splice(toIndex(parent, token, tokens), 1)[0];
+    }
+    if (!has(parent, token)) {
+        throw missingPath(tokens);
+    }
+    const value = parent[token];
+    delete parent[token];
+    return value;
+};
+
+const isEqual = (a${t(': unknown')}, b${t(': unknown')}) => JSON.stringify(a) === JSON.stringify(b);
+
+// Apply one JSON Patch operation in place
+const applyOperation = (document${t(': Container')}, operation${t(': unknown')}) => {
+    if (!isObject(operation)) {
+        throw invalidPatch('Each operation must be an object');
+    }
+    const { op, path, from, value } = operation${t(' as Partial<PatchOperation>')};
+    const tokens = parsePointer(path);
+    const needsValue = op === 'add' || op === 'replace' || op === 'test';
+    if (needsValue && value === undefined) {
+        throw invalidPatch(\`The \${op} operation needs a value\`);
+    }
+
+    switch (op) {
+        case 'add':
+            addValue(document, tokens, value);
+            break;
+        case 'remove':
+            removeValue(document, tokens);
+            break;
+        case 'replace':
+            removeValue(document, tokens);
+            addValue(document, tokens, value);
+            break;
+        case 'move':
+            addValue(document, tokens, removeValue(document, parsePointer(from)));
+            break;
+        case 'copy':
+            addValue(document, tokens, clone(getValue(document, parsePointer(from))));
+            break;
+        case 'test':
+            if (!isEqual(getValue(document, tokens), value)) {
+                throw new ConflictError(\`Test failed: \${path}\`, 'PATCH_TEST_FAILED');
+            }
+            break;
+        default:
+            throw invalidPatch(\`Unknown operation: \${String(op)}\`);
+    }
+};
+
+// Apply a JSON Patch to the fields of the stored record and keep the ones that changed
+// (a removed field is cleared); the operations apply all together, or not at all
+const toJsonPatchChanges = (keys${t(': string[]')}, operations${t(': unknown')}, current${t(': unknown')}) => {
+    if (!Array.isArray(operations)) {
+        throw invalidPatch('A JSON Patch must be an array of operations');
+    }
+    const record = current${t(' as Record<string, unknown>')};
+    const before${t(': Record<string, unknown>')} = clone(
+        Object.fromEntries(keys.filter((key) => record[key] !== undefined).map((key) => [key, record[key]]))
+    );
+    const after = clone(before);
+    operations.forEach((operation) => applyOperation(after, operation));
+
+    return Object.fromEntries(keys
+        .filter((key) => has(before, key) || has(after, key))
+        .filter((key) => !isEqual(before[key] ?? null, after[key] ?? null))
+        .map((key) => [key, after[key] ?? null]));
+};
+
+// The changes a patch makes to \`current\` (the stored record), checked with the schema
+// of the patch: fields that fail are a ValidationError, like validate() answers for PUT
+export const parsePatch = ({ format, document, schema }${t(': Patch')}, current${t(': unknown')})${t(': Record<string, unknown>')} => {
+    if (format === 'merge' && !isObject(document)) {
+        throw invalidPatch('A merge patch must be a JSON object');
+    }
+    const changes = format === 'merge' ? document : toJsonPatchChanges(Object.keys(schema.shape), document, current);
+    const result = schema.safeParse(changes);
+
+    if (!result.success) {
+        const errors${t(': FieldError[]')} = result.error.issues.map((issue) => ({
+            field: issue.path.join('.'),
+            message: issue.message
+        }));
+        throw new ValidationError('Validation failed', errors);
+    }
+    return result.data;
+};
+`;
+}
+
+/**
+ * Generate the JavaScript PATCH module (src/utils/patch.js)
+ * @returns {string} PATCH module code
+ */
+export function getPatchTemplate() {
+    return generatePatchModule(false);
+}
+
+/**
+ * Generate the TypeScript PATCH module (src/utils/patch.ts)
+ * @returns {string} PATCH module code
+ */
+export function getPatchTemplateTS() {
+    return generatePatchModule(true);
+}
@@ -0,0 +1,77 @@
+// Graceful shutdown templates (src/utils/shutdown.js|ts)
+
+/**
+ * Generate the graceful shutdown module
+ * @param {string} dbChoice - Database choice: 'mongodb', 'mysql', 'postgres', 'sqlite', or 'memory'
+ * @param {boolean} isTypeScript - Whether to include TypeScript types
+ * @returns {string} Shutdown module code
+ */
+function generateShutdownModule(dbChoice, isTypeScript) {
+    const hasDatabase = dbChoice !== 'memory';
+    const t = (annotation) => isTypeScript ? annotation : '';
+
+    return `${isTypeScript ? "import { Server } from 'http';\n" : ''}import { config } from '../config/env.js';
+import { logger } from './logger.js';
+${hasDatabase ? "import { closeDatabase } from '../config/database.js';\n" : ''}
+// How long in-flight requests may take to finish before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = config.shutdownTimeoutMs;
+
+let shuttingDown = false;
+
+// True once SIGTERM/SIGINT was received (GET /health/ready then answers 503)
+export const isShuttingDown = ()${t(': boolean')} => shuttingDown;
+
+// On SIGTERM (docker stop, Kubernetes) or SIGINT (Ctrl+C): stop accepting connections,
+// let in-flight requests finish, ${hasDatabase ? 'close the database, ' : ''}then exit. If that takes longer
+// than SHUTDOWN_TIMEOUT_MS, the process exits with code 1.
+export const registerGracefulShutdown = (server${t(': Server')})${t(': void')} => {
+    const shutdown = (signal${t(': NodeJS.Signals')})${t(': void')} => {
+        if (shuttingDown) {
+            return;
+        }
+        shuttingDown = true;
+        logger.info({ signal, timeoutMs: SHUTDOWN_TIMEOUT_MS }, 'Shutting down');
+
+        const forceExit = setTimeout(() => {
+            logger.error({ timeoutMs: SHUTDOWN_TIMEOUT_MS }, 'Shutdown timed out, exiting');
+            process.exit(1);
+        }, SHUTDOWN_TIMEOUT_MS);
+        forceExit.unref();
+
+        server.close(${hasDatabase ? 'async ' : ''}(error${t('?: Error')}) => {
+${hasDatabase ? `            try {
+                await closeDatabase();
+            } catch (closeError) {
+                logger.error({ err: closeError }, 'Could not close the database');
+                process.exit(1);
+            }
+` : ''}            logger.info('Shutdown complete');
+            process.exit(error ? 1 : 0);
+        });
+        // Idle keep-alive connections would otherwise hold server.close() open
+        server.closeIdleConnections();
+    };
+
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
+};
+`;
+}
+
+/**
+ * Generate the JavaScript graceful shutdown module
+ * @param {string} dbChoice - Database choice
+ * @returns {string} Shutdown module code
+ */
+export function getShutdownTemplate(dbChoice) {
+    return generateShutdownModule(dbChoice, false);
+}
+
+/**
+ * Generate the TypeScript graceful shutdown module
+ * @param {string} dbChoice - Database choice
+ * @returns {string} Shutdown module code
+ */
+export function getShutdownTemplateTS(dbChoice) {
+    return generateShutdownModule(dbChoice, true);
+}
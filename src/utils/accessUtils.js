@@ -0,0 +1,100 @@
+// Route access utilities
+// Parses the add-crud --protect option (e.g. "--protect=write:admin") into
+// the per-HTTP-method rules used by the routes and test generators
+
+// Route methods generated by add-crud, and the scopes that group them
+export const ROUTE_METHODS = ['get', 'post', 'put', 'delete'];
+
+const PROTECT_SCOPES = {
+    all: ROUTE_METHODS,
+    read: ['get'],
+    write: ['post', 'put', 'delete'],
+    ...Object.fromEntries(ROUTE_METHODS.map(method => [method, [method]]))
+};
+
+// Role names end up in generated source code and JWT claims
+const ROLE_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{0,49}$/;
+
+/**
+ * Check whether a command line argument is a --protect option
+ * @param {string} arg - Command line argument
+ * @returns {boolean} True for "--protect" and "--protect=..."
+ */
+export function isProtectOption(arg) {
+    return arg === '--protect' || (typeof arg === 'string' && arg.startsWith('--protect='));
+}
+
+/**
+ * Parse --protect options into access rules per HTTP method
+ *
+ * Syntax: `--protect[=<scope>[:<role>,<role>...]]`
+ * - scope: all (default), read (GET), write (POST/PUT/DELETE) or a single method
+ * - roles: users must have one of them; without roles any valid token is enough
+ * Options are applied in order, so later options override earlier ones.
+ *
+ * @example
+ * parseProtectOptions(['--protect=write:admin']);
+ * // => { post: ['admin'], put: ['admin'], delete: ['admin'] }
+ * parseProtectOptions(['--protect', '--protect=delete:admin,owner']);
+ * // => { get: [], post: [], put: [], delete: ['admin', 'owner'] }
+ * @param {Array<string>} options - --protect arguments from the command line
+ * @returns {object|null} Roles keyed by method (empty array = authenticated only), or null when nothing is protected
+ * @throws {Error} If a scope or role is invalid
+ */
+export function parseProtectOptions(options) {
+    const rules = {};
+
+    for (const option of options) {
+        const value = option === '--protect' ? 'all' : option.slice('--protect='.length);
+        const separatorIndex = value.indexOf(':');
+        const scope = (separatorIndex === -1 ? value : value.slice(0, separatorIndex)).trim().toLowerCase() || 'all';
+        const methods = PROTECT_SCOPES[scope];
+        if (!methods) {
+            throw new Error(`Unknown --protect scope "${scope}". Supported scopes: ${Object.keys(PROTECT_SCOPES).join(', ')}`);
+        }
+
+        const roles = separatorIndex === -1 ? [] : value.slice(separatorIndex + 1).split(',').map(role => role.trim()).filter(Boolean);
+        if (separatorIndex !== -1 && roles.length === 0) {
+            throw new Error(`--protect=${scope}: needs at least one role (e.g. --protect=${scope}:admin)`);
+        }
+        for (const role of roles) {
+            if (!ROLE_PATTERN.test(role)) {
+                throw new Error(`Invalid role "${role}": use letters, numbers, "_" or "-" (max 50 characters, starting with a letter)`);
+            }
+        }
+
+        for (const method of methods) {
+            rules[method] = [...new Set(roles)];
+        }
+    }
+
+    return Object.keys(rules).length > 0 ? rules : null;
+}
+
+/**
+ * Check whether any access rule restricts routes to specific roles
+ * @param {object|null} rules - Rules from parseProtectOptions
+ * @returns {boolean} True if requireRole is needed
+ */
+export function usesRoles(rules) {
+    return Boolean(rules) && Object.values(rules).some(roles => roles.length > 0);
+}
+
+/**
+ * Read the access rules back from a generated routes file
+ * count: the --soft-delete trash and restore routes reuse the DELETE guard, and PATCH reuses PUT's.
+ * count: the --soft-delete trash and restore routes reuse the DELETE guard.
+ * @param {string} source - Routes file source code
+ * @returns {object|null} Roles keyed by HTTP method, or null when no route is protected
+ */
+export function parseRouteAccess(source) {
+    const rules = {};
+    const routePattern = /router\.(get|post|put|delete)\(\s*'\/(?::id)?',\s*verifyToken\s*,(\s*requireRole\(([^)]*)\)\s*,)?/g;
+
+    for (const match of source.matchAll(routePattern)) {
+        const roles = match[3] ? [...match[3].matchAll(/'([^']+)'/g)].map(role => role[1]) : [];
+        rules[match[1]] = roles;
+    }
+
+    return Object.keys(rules).length > 0 ? rules : null;
+}
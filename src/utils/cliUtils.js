@@ -0,0 +1,434 @@
+// Command line utilities
+// The commands of the lazy-crud CLI, the argument parser every bin shares and
+// the help text generated from the command definitions
+import fs from 'fs';
+
+const CLI_NAME = 'lazy-crud';
+
+// Options every generator that writes files accepts
+const DRY_RUN_OPTIONS = [
+    { name: 'dry-run', description: 'Print the changes as a unified diff without writing any file' },
+    { name: 'json', description: 'With --dry-run, print the changes as JSON', requires: 'dry-run' }
+];
+
+// Items a /bulk request of add-crud --bulk accepts when no <max> is given
+const DEFAULT_BULK_MAX_ITEMS = 100;
+
+// Options every command accepts
+const GLOBAL_OPTIONS = [
+    { name: 'help', short: 'h', description: 'Show this help' },
+    { name: 'version', short: 'v', description: 'Show the lazy-express-crud version' }
+];
+
+/**
+ * Commands of the lazy-crud CLI
+ * Each one runs a script of the package; `bin` is the standalone alias it is also installed as.
+ * Options with `value` take an argument (--name=value or --name value), `optionalValue` ones
+ * only --name=value. `inPlace` options stay in the positionals, in command line order.
+ */
+export const CLI_COMMANDS = [
+    {
+        name: 'new',
+        bin: 'lazy-crud',
+        script: 'generateExpressCrud.js',
+        summary: 'Create a new Express CRUD project',
+        usage: 'new [project-name] [--lang=<language>] [--db=<database>] [--graphql] [--soft-delete]',
+        arguments: [
+            { name: 'project-name', description: 'Directory to create (default: express-crud-app)' }
+        ],
+        maxPositionals: 1,
+        options: [
+            { name: 'lang', aliases: ['language'], value: '<language>', description: 'javascript or typescript (skips the prompt)' },
+            { name: 'db', aliases: ['database'], value: '<database>', description: 'mongodb, mysql, postgres, sqlite or memory (skips the prompt)' },
+            { name: 'graphql', description: 'Also serve the Item resource through a GraphQL endpoint at /graphql' },
+            { name: 'soft-delete', description: 'Soft delete the Item resource: DELETE moves items to a trash (GET /trash, POST /:id/restore)' },
+            ...DRY_RUN_OPTIONS
+        ],
+        examples: ['new my-api', 'new my-api --lang=typescript --db=postgres', 'new my-api --graphql', 'new my-api --soft-delete']
+    },
+    {
+        name: 'add',
+        bin: 'add-crud',
+        script: 'addCrudResource.js',
+        summary: 'Add CRUD resources (model, service, controller, routes, tests)',
+        usage: 'add <ResourceName> [field:type[!] ...] [--protect[=<scope>[:<roles>]]] [--soft-delete] [--bulk[=<max>]] [--etag] [<ResourceName> ...] [--graphql]',
+        arguments: [
+            { name: 'ResourceName', description: 'Resource to generate, in PascalCase (several can be given)' },
+            { name: 'field:type[!]', description: 'Field of the resource before it, e.g. title:string! price:number:min=0' },
+            { name: 'field:ref[!]:Resource', description: 'Reference to an existing resource, e.g. post:ref!:Post' }
+        ],
+        options: [
+            { name: 'protect', optionalValue: '<scope>[:<roles>]', inPlace: true, description: 'Require a login for the resource before it (scopes: all, read, write, get, post, put, delete)' },
+            { name: 'soft-delete', inPlace: true, description: 'Soft delete the resource before it: DELETE moves records to a trash (GET /trash, POST /:id/restore)' },
+            { name: 'bulk', optionalValue: '<max>', inPlace: true, description: `Add POST, PATCH and DELETE /bulk endpoints to the resource before it (at most <max> items per request, default ${DEFAULT_BULK_MAX_ITEMS})` },
+            { name: 'etag', inPlace: true, description: 'Version the resource before it: responses carry an ETag, and PUT, PATCH or DELETE with a stale If-Match fail with 412' },
+            { name: 'graphql', description: 'Also serve the resources through the GraphQL endpoint at /graphql (automatic once the project has one)' },
+            ...DRY_RUN_OPTIONS
+        ],
+        examples: ['add Product', 'add Product title:string! price:number tags:string[]', 'add Product --protect=write:admin Tag', 'add Order --soft-delete', 'add Product title:string! --bulk=500', 'add Order --etag', 'add Post title:string! Comment body:string! post:ref!:Post', 'add Post title:string! --graphql']
+    },
+    {
+        name: 'remove',
+        bin: 'remove-crud',
+        script: 'removeCrudResource.js',
+        summary: 'Remove a resource generated by add',
+        usage: 'remove <ResourceName> [--yes] [--force]',
+        arguments: [
+            { name: 'ResourceName', description: 'Resource to remove' }
+        ],
+        maxPositionals: 1,
+        options: [
+            { name: 'yes', short: 'y', description: 'Do not ask for confirmation' },
+            { name: 'force', short: 'f', description: 'Also remove files that were edited since they were generated' }
+        ],
+        examples: ['remove Product --yes']
+    },
+    {
+        name: 'auth',
+        bin: 'add-auth',
+        script: 'generateAuth.js',
+        summary: 'Add JWT authentication with refresh tokens and roles',
+        usage: 'auth',
+        maxPositionals: 0,
+        options: [...DRY_RUN_OPTIONS],
+        examples: ['auth']
+    },
+    {
+        name: 'docker',
+        bin: 'add-docker',
+        script: 'addDocker.js',
+        summary: 'Add a Dockerfile and Docker Compose setup',
+        usage: 'docker',
+        maxPositionals: 0,
+        options: [...DRY_RUN_OPTIONS],
+        examples: ['docker']
+    },
+    {
+        name: 'postman',
+        bin: 'gen-postman',
+        script: 'generatePostmanCollection.js',
+        summary: 'Generate a Postman collection for the project routes',
+        usage: 'postman',
+        maxPositionals: 0,
+        options: [...DRY_RUN_OPTIONS],
+        examples: ['postman']
+    },
+    {
+        name: 'openapi',
+        bin: 'gen-openapi',
+        script: 'generateOpenApiSpec.js',
+        summary: 'Generate an OpenAPI 3.1 spec, optionally served with Swagger UI',
+        usage: 'openapi [--format=json|yaml] [--swagger-ui]',
+        maxPositionals: 0,
+        options: [
+            { name: 'format', value: '<json|yaml>', description: 'Write openapi.json (default) or openapi.yaml' },
+            { name: 'swagger-ui', description: 'Serve Swagger UI at /docs from the server file' },
+            ...DRY_RUN_OPTIONS
+        ],
+        examples: ['openapi --format=yaml --swagger-ui']
+    },
+    {
+        name: 'eject',
+        bin: 'eject-templates',
+        script: 'ejectTemplates.js',
+        summary: 'List the template layers, or copy them to .lazycrud/templates',
+        usage: 'eject [<layer> ...] [--force]',
+        arguments: [
+            { name: 'layer', description: 'Template layer to copy (without a layer, lists the templates)' }
+        ],
+        options: [
+            { name: 'force', short: 'f', description: 'Overwrite files that were ejected before' },
+            ...DRY_RUN_OPTIONS
+        ],
+        examples: ['eject', 'eject addResource shared']
+    },
+    {
+        name: 'plugin',
+        bin: 'run-plugin',
+        script: 'runPlugin.js',
+        summary: 'List the installed plugins, or run a plugin command',
+        usage: 'plugin [<command> [args ...]]',
+        arguments: [
+            { name: 'command', description: 'Command registered by a lazy-crud-plugin-* package' },
+            { name: 'args', description: 'Passed to the plugin command' }
+        ],
+        passThrough: true,
+        options: [...DRY_RUN_OPTIONS],
+        examples: ['plugin', 'plugin request-id-docs']
+    }
+];
+
+/**
+ * Get the version of lazy-express-crud
+ * @returns {string} Version from the package's package.json
+ */
+export function getToolVersion() {
+    return JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8')).version;
+}
+
+/**
+ * Find a command by name or by the name of its standalone bin
+ * @param {string} name - Command name (e.g. "add") or bin name (e.g. "add-crud")
+ * @returns {object|null} Command definition
+ */
+export function getCliCommand(name) {
+    return CLI_COMMANDS.find(command => command.name === name || command.bin === name) || null;
+}
+
+/**
+ * Check whether a command line argument is add's --soft-delete option
+ * @param {string} arg - Command line argument
+ * @returns {boolean} True for "--soft-delete"
+ */
+export function isSoftDeleteOption(arg) {
+    return arg === '--soft-delete';
+}
+
+/**
+ * Check whether a command line argument is add's --bulk option
+ * @param {string} arg - Command line argument
+ * @returns {boolean} True for "--bulk" and "--bulk=<max>"
+ */
+export function isBulkOption(arg) {
+    return arg === '--bulk' || arg.startsWith('--bulk=');
+}
+
+/**
+ * Read the largest batch the /bulk endpoints accept from a --bulk option
+ * @param {string} arg - "--bulk" or "--bulk=<max>"
+ * @returns {number} Maximum number of items per request
+ * @throws {Error} If <max> is not a positive whole number
+ */
+export function parseBulkOption(arg) {
+    if (arg === '--bulk') {
+        return DEFAULT_BULK_MAX_ITEMS;
+    }
+    const value = arg.slice('--bulk='.length);
+    if (!/^[1-9]\d*$/.test(value)) {
+        throw new Error(`Invalid --bulk value "${value}": expected the maximum number of items per request, e.g. --bulk=500`);
+    }
+    return Number(value);
+}
+
+/**
+ * Check whether a command line argument is add's --etag option
+ * @param {string} arg - Command line argument
+ * @returns {boolean} True for "--etag"
+ */
+export function isEtagOption(arg) {
+    return arg === '--etag';
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits between the strings
+ */
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/**
+ * Find the candidate closest to a mistyped name
+ * Short names allow one edit, longer ones two, so real project names are rarely mistaken for typos.
+ * @param {string} input - What the user typed
+ * @param {Array<string>} candidates - Valid names
+ * @returns {string|null} Closest candidate, or null if none is close enough
+ */
+export function findClosestName(input, candidates) {
+    const maxDistance = input.replace(/^-+/, '').length <= 4 ? 1 : 2;
+    let closest = null;
+    let closestDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = editDistance(input.toLowerCase(), candidate.toLowerCase());
+        if (distance <= maxDistance && distance < closestDistance) {
+            closest = candidate;
+            closestDistance = distance;
+        }
+    }
+    return closest;
+}
+
+/**
+ * Parse command line arguments against a command definition
+ *
+ * @example
+ * parseArgs(['my-api', '--db', 'sqlite', '--dry-run'], getCliCommand('new'));
+ * // => { positionals: ['my-api'], options: { db: 'sqlite', 'dry-run': true } }
+ * @param {Array<string>} args - Arguments after the command name
+ * @param {object} command - Entry of CLI_COMMANDS
+ * @returns {{positionals: Array<string>, options: object}} Positionals and options keyed by option name
+ * @throws {Error} On unknown options, missing values or too many arguments
+ */
+export function parseArgs(args, command) {
+    const options = {};
+    const positionals = [];
+    const known = [...command.options, ...GLOBAL_OPTIONS];
+    let optionsEnded = false;
+
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (optionsEnded || arg === '-' || !arg.startsWith('-')) {
+            positionals.push(arg);
+            continue;
+        }
+        if (arg === '--') {
+            optionsEnded = true;
+            continue;
+        }
+
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+        // After a plugin command name only run-plugin's own options are kept, the rest goes to the plugin
+        const candidates = command.passThrough && positionals.length > 0 ? command.options : known;
+        const option = candidates.find(entry => flag === `--${entry.name}` ||
+            (entry.aliases || []).some(alias => flag === `--${alias}`) ||
+            (entry.short && flag === `-${entry.short}`));
+
+        if (!option) {
+            if (candidates !== known) {
+                positionals.push(arg);
+                continue;
+            }
+            const suggestion = findClosestName(flag, known.flatMap(entry => [entry.name, ...(entry.aliases || [])].map(name => `--${name}`)));
+            throw new Error(`Unknown option "${flag}"${suggestion ? `. Did you mean "${suggestion}"?` : ''}`);
+        }
+
+        if (option.inPlace) {
+            positionals.push(arg);
+            continue;
+        }
+        if (option.value) {
+            const value = inlineValue !== undefined ? inlineValue : args[++index];
+            if (value === undefined || (inlineValue === undefined && value.startsWith('-'))) {
+                throw new Error(`Missing value for --${option.name}. Use --${option.name}=${option.value}`);
+            }
+            options[option.name] = value;
+        } else if (inlineValue !== undefined && !option.optionalValue) {
+            throw new Error(`--${option.name} does not take a value`);
+        } else {
+            options[option.name] = inlineValue !== undefined ? inlineValue : true;
+        }
+    }
+
+    if (options.help || options.version) {
+        return { positionals, options };
+    }
+    for (const option of command.options) {
+        if (option.requires && options[option.name] !== undefined && options[option.requires] === undefined) {
+            throw new Error(`--${option.name} can only be used with --${option.requires}`);
+        }
+    }
+    if (command.maxPositionals !== undefined && positionals.length > command.maxPositionals) {
+        throw new Error(`Unexpected argument "${positionals[command.maxPositionals]}"`);
+    }
+    return { positionals, options };
+}
+
+/**
+ * Format a two-column list (name, description) aligned on the longest name
+ * @param {Array<Array<string>>} rows - [name, description] pairs
+ * @returns {string} Indented lines
+ */
+function formatRows(rows) {
+    const width = Math.max(...rows.map(([name]) => name.length)) + 2;
+    return rows.map(([name, description]) => `  ${name.padEnd(width)}${description}`).join('\n');
+}
+
+/**
+ * Generate the help text of a command from its definition
+ * @param {object} command - Entry of CLI_COMMANDS
+ * @returns {string} Help text
+ */
+export function formatCommandHelp(command) {
+    const optionRows = [...command.options, ...GLOBAL_OPTIONS].map(option => {
+        const flags = [
+            ...(option.short ? [`-${option.short}`] : []),
+            ...[option.name, ...(option.aliases || [])].map(name => `--${name}`)
+        ].join(', ');
+        const value = option.value ? `=${option.value}` : option.optionalValue ? `[=${option.optionalValue}]` : '';
+        return [`${flags}${value}`, option.description];
+    });
+
+    return [
+        `${CLI_NAME} ${command.name} - ${command.summary}`,
+        '',
+        `Usage: ${CLI_NAME} ${command.usage}`,
+        `Alias: ${command.bin}${command.name === 'new' ? ' <project-name>' : ''}`,
+        ...(command.arguments ? ['', 'Arguments:', formatRows(command.arguments.map(({ name, description }) => [name, description]))] : []),
+        '',
+        'Options:',
+        formatRows(optionRows),
+        '',
+        'Examples:',
+        ...command.examples.map(example => `  ${CLI_NAME} ${example}`)
+    ].join('\n');
+}
+
+/**
+ * Generate the overview printed by "lazy-crud --help"
+ * @param {Array<{name: string, usage: string, description: string, pluginName: string}>} pluginCommands - Commands registered by plugins
+ * @returns {string} Help text
+ */
+export function formatGeneralHelp(pluginCommands = []) {
+    return [
+        `${CLI_NAME} ${getToolVersion()} - Express CRUD API generator`,
+        '',
+        `Usage: ${CLI_NAME} <command> [options]`,
+        '',
+        'Commands:',
+        formatRows(CLI_COMMANDS.map(command => [command.name, `${command.summary} (${command.bin})`])),
+        ...(pluginCommands.length > 0 ? ['', 'Plugin commands:', formatRows(pluginCommands.map(command =>
+            [command.name, `${command.description || command.usage || ''} (${command.pluginName})`]))] : []),
+        '',
+        'Options:',
+        formatRows(GLOBAL_OPTIONS.map(option => [`-${option.short}, --${option.name}`, option.description])),
+        '',
+        `Run "${CLI_NAME} <command> --help" for the arguments and options of a command.`,
+        `"${CLI_NAME} <project-name>" still creates a project, like "${CLI_NAME} new <project-name>"`,
+        `(use "${CLI_NAME} new <project-name>" for a project named like a command, e.g. "${CLI_NAME} new auth").`
+    ].join('\n');
+}
+
+/**
+ * Parse process.argv for a command, handling --help, --version and invalid arguments
+ * Prints the help or version and exits, or prints the error and exits with code 1.
+ * @param {string} commandName - Name of the command in CLI_COMMANDS
+ * @param {Array<string>} args - Arguments after the command name
+ * @returns {{positionals: Array<string>, options: object}} Parsed arguments
+ */
+export function parseCommandLine(commandName, args = process.argv.slice(2)) {
+    const command = getCliCommand(commandName);
+    let parsed;
+    try {
+        parsed = parseArgs(args, command);
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        console.error(`Run "${CLI_NAME} ${command.name} --help" for usage.`);
+        process.exit(1);
+    }
+
+    if (parsed.options.help) {
+        console.log(formatCommandHelp(command));
+        process.exit(0);
+    }
+    if (parsed.options.version) {
+        console.log(getToolVersion());
+        process.exit(0);
+    }
+    return parsed;
+}
@@ -0,0 +1,191 @@
+// Project config file
+// lazy-crud records how a project was generated in lazycrud.config.json. The other
+// commands read it first and only sniff package.json when it is missing (projects
+// generated by older versions). Users change settings through its "overrides" section.
+import path from 'path';
+import { readFileSafe, writeFile } from './fileUtils.js';
+
+export const CONFIG_FILE_NAME = 'lazycrud.config.json';
+
+const LANGUAGES = ['javascript', 'typescript'];
+const DATABASES = ['mongodb', 'mysql', 'postgres', 'sqlite', 'memory'];
+
+// Settings a project may override; everything else is maintained by the commands
+const OVERRIDABLE_PROPERTIES = {
+    language: { type: 'string', enum: LANGUAGES },
+    database: { type: 'string', enum: DATABASES },
+    // '' mounts resources at the root, e.g. /products
+    apiPrefix: { type: 'string', pattern: '^(/[a-zA-Z0-9_-]+)*$', maxLength: 100 }
+};
+
+/**
+ * Schema of lazycrud.config.json (the subset of JSON Schema understood by validateConfig)
+ */
+export const CONFIG_SCHEMA = {
+    type: 'object',
+    required: ['version', 'language', 'database', 'apiPrefix', 'resources'],
+    additionalProperties: false,
+    properties: {
+        version: { type: 'integer', enum: [1] },
+        ...OVERRIDABLE_PROPERTIES,
+        resources: {
+            type: 'array',
+            uniqueItems: true,
+            items: { type: 'string', pattern: '^[A-Z][a-zA-Z0-9]*$', maxLength: 100 }
+        },
+        overrides: { type: 'object', additionalProperties: false, properties: OVERRIDABLE_PROPERTIES }
+    }
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * Supports type, enum, pattern, maxLength, required, properties,
+ * additionalProperties, items and uniqueItems.
+ * @param {*} value - Value to validate
+ * @param {object} schema - Schema (e.g. CONFIG_SCHEMA)
+ * @param {string} location - Name of the value in error messages
+ * @returns {Array<string>} Error messages (empty if the value is valid)
+ */
+export function validateConfig(value, schema = CONFIG_SCHEMA, location = 'config') {
+    const actualType = typeOf(value);
+    if (schema.type && actualType !== schema.type && !(schema.type === 'number' && actualType === 'integer')) {
+        return [`${location} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${location} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+    }
+
+    const errors = [];
+    if (actualType === 'string') {
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${location} must be at most ${schema.maxLength} characters`);
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${location} has an invalid format ("${value}")`);
+        }
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => errors.push(...validateConfig(item, schema.items, `${location}[${index}]`)));
+        if (schema.uniqueItems && new Set(value).size !== value.length) {
+            errors.push(`${location} must not contain duplicates`);
+        }
+    }
+
+    if (actualType === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${location}.${key} is required`);
+            }
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertySchema = schema.properties?.[key] ?? schema.additionalProperties;
+            if (propertySchema === false || (propertySchema === undefined && schema.properties)) {
+                errors.push(`${location}.${key} is not a supported setting`);
+            } else if (propertySchema && propertySchema !== true) {
+                errors.push(...validateConfig(propertyValue, propertySchema, `${location}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Create the config lazy-crud writes for a new project
+ * @param {object} options
+ * @param {string} options.language - 'javascript' or 'typescript'
+ * @param {string} options.database - Database choice
+ * @param {Array<string>} [options.resources] - Generated resources
+ * @returns {object} Config matching CONFIG_SCHEMA
+ */
+export function createConfig({ language, database, resources = [] }) {
+    return {
+        version: 1,
+        language,
+        database,
+        apiPrefix: '/api',
+        resources,
+        overrides: {}
+    };
+}
+
+/**
+ * Read and validate a project's lazycrud.config.json
+ * @param {string} projectPath - Project root
+ * @returns {object|null} Config as stored (overrides not applied), or null if the project has none
+ * @throws {Error} If the file is not valid JSON or does not match CONFIG_SCHEMA
+ */
+export function readConfigFile(projectPath = process.cwd()) {
+    const content = readFileSafe(path.join(projectPath, CONFIG_FILE_NAME), projectPath);
+    if (content === null) {
+        return null;
+    }
+
+    let config;
+    try {
+        config = JSON.parse(content);
+    } catch {
+        throw new Error(`${CONFIG_FILE_NAME} is not valid JSON`);
+    }
+
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${CONFIG_FILE_NAME}: ${errors.join('; ')}`);
+    }
+    return config;
+}
+
+/**
+ * Read a project's config with its overrides applied
+ * @param {string} projectPath - Project root
+ * @returns {object|null} Effective settings, or null if the project has no config file
+ * @throws {Error} If the config file is invalid
+ */
+export function loadProjectConfigFile(projectPath = process.cwd()) {
+    const config = readConfigFile(projectPath);
+    if (!config) {
+        return null;
+    }
+    const { overrides = {}, ...settings } = config;
+    return { ...settings, ...overrides };
+}
+
+/**
+ * Write a project's lazycrud.config.json
+ * @param {string} projectPath - Project root
+ * @param {object} config - Config matching CONFIG_SCHEMA
+ * @throws {Error} If the config does not match CONFIG_SCHEMA
+ */
+export function writeConfigFile(projectPath, config) {
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${CONFIG_FILE_NAME}: ${errors.join('; ')}`);
+    }
+    writeFile(path.join(projectPath, CONFIG_FILE_NAME), `${JSON.stringify(config, null, 2)}\n`);
+}
+
+/**
+ * Add or remove a resource in the config's resource list
+ * @param {string} projectPath - Project root
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @param {boolean} present - True to add the resource, false to remove it
+ * @returns {boolean} True if the config file was updated (false if there is none or nothing changed)
+ */
+export function updateConfigResources(projectPath, resourceName, present = true) {
+    const config = readConfigFile(projectPath);
+    if (!config || config.resources.includes(resourceName) === present) {
+        return false;
+    }
+    config.resources = present
+        ? [...config.resources, resourceName]
+        : config.resources.filter(name => name !== resourceName);
+    writeConfigFile(projectPath, config);
+    return true;
+}
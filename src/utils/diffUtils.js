@@ -0,0 +1,127 @@
+// Unified diff utilities
+// Renders the changes planned by --dry-run in the format of `diff -u` / `git diff`
+
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+/**
+ * Split text into lines, remembering whether the last line ends with a newline
+ * @param {string|null} text - File content (null for a missing file)
+ * @returns {Array<{text: string, eol: boolean}>} Lines
+ */
+function splitLines(text) {
+    if (!text) {
+        return [];
+    }
+    const lines = text.split('\n');
+    const endsWithNewline = lines[lines.length - 1] === '';
+    if (endsWithNewline) {
+        lines.pop();
+    }
+    return lines.map((line, index) => ({ text: line, eol: endsWithNewline || index < lines.length - 1 }));
+}
+
+/**
+ * Line-level edit script between two texts (longest common subsequence)
+ * @returns {Array<{type: string, line: object}>} ' ' (kept), '-' (removed) and '+' (added) lines
+ */
+function diffLines(oldLines, newLines) {
+    const same = (a, b) => a.text === b.text && a.eol === b.eol;
+
+    // Skip the common prefix and suffix so the table only covers the changed region
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && same(oldLines[start], newLines[start])) {
+        start++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && same(oldLines[oldEnd - 1], newLines[newEnd - 1])) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const rows = oldEnd - start;
+    const columns = newEnd - start;
+    const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = columns - 1; j >= 0; j--) {
+            lengths[i][j] = same(oldLines[start + i], newLines[start + j])
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const ops = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < columns) {
+        if (i < rows && j < columns && same(oldLines[start + i], newLines[start + j])) {
+            ops.push({ type: ' ', line: oldLines[start + i] });
+            i++;
+            j++;
+        } else if (j < columns && (i === rows || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            ops.push({ type: '+', line: newLines[start + j] });
+            j++;
+        } else {
+            ops.push({ type: '-', line: oldLines[start + i] });
+            i++;
+        }
+    }
+    oldLines.slice(oldEnd).forEach(line => ops.push({ type: ' ', line }));
+    return ops;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string|null} oldText - Current content (null if the file does not exist)
+ * @param {string|null} newText - Planned content (null if the file is deleted)
+ * @param {string} filePath - Path shown in the ---/+++ headers (relative, forward slashes)
+ * @param {number} context - Unchanged lines shown around each change
+ * @returns {string} Unified diff, or an empty string when nothing changes
+ */
+export function createUnifiedDiff(oldText, newText, filePath, context = 3) {
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+    const changed = ops.map((op, index) => op.type !== ' ' ? index : -1).filter(index => index !== -1);
+    if (changed.length === 0) {
+        return '';
+    }
+
+    // Group changes whose context overlaps into hunks
+    const hunks = [];
+    for (const index of changed) {
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.end <= context * 2 + 1) {
+            last.end = index;
+        } else {
+            hunks.push({ start: index, end: index });
+        }
+    }
+
+    const output = [
+        `--- ${oldText === null ? '/dev/null' : `a/${filePath}`}`,
+        `+++ ${newText === null ? '/dev/null' : `b/${filePath}`}`
+    ];
+
+    for (const hunk of hunks) {
+        const from = Math.max(0, hunk.start - context);
+        const to = Math.min(ops.length - 1, hunk.end + context);
+        const before = ops.slice(0, from);
+        const body = ops.slice(from, to + 1);
+
+        const oldStart = before.filter(op => op.type !== '+').length;
+        const newStart = before.filter(op => op.type !== '-').length;
+        const oldCount = body.filter(op => op.type !== '+').length;
+        const newCount = body.filter(op => op.type !== '-').length;
+        // An empty range starts at the line before it (e.g. "-0,0" for a new file)
+        const range = (startLine, count) => `${count === 0 ? startLine : startLine + 1},${count}`;
+
+        output.push(`@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`);
+        for (const op of body) {
+            output.push(`${op.type}${op.line.text}`);
+            if (!op.line.eol) {
+                output.push(NO_NEWLINE_MARKER);
+            }
+        }
+    }
+
+    return `${output.join('\n')}\n`;
+}
@@ -0,0 +1,368 @@
+// Field definition utilities
+// Parses the add-crud field DSL (e.g. "title:string!", "price:number:min=0")
+// into the field objects consumed by the model/service/types/test generators
+import { validateFieldName, validateResourceName } from '../validators/index.js';
+import { SECURITY_LIMITS, RESERVED_NAMES } from '../config/security.js';
+
+/**
+ * Supported field types and how each maps onto the generated layers
+ */
+export const FIELD_TYPES = {
+    string: { type: 'String', tsType: 'string' },
+    number: { type: 'Number', tsType: 'number' },
+    int: { type: 'Number', tsType: 'number', integer: true },
+    boolean: { type: 'Boolean', tsType: 'boolean' },
+    date: { type: 'Date', tsType: 'Date' },
+    // Reference to another resource: "post:ref:Post" (the record's id)
+    ref: { type: 'mongoose.Schema.Types.ObjectId', tsType: 'string' }
+};
+
+// Aliases accepted on the command line
+const TYPE_ALIASES = {
+    str: 'string',
+    text: 'string',
+    float: 'number',
+    double: 'number',
+    integer: 'int',
+    bool: 'boolean',
+    datetime: 'date'
+};
+
+// Options that can follow the type, e.g. "price:number:min=0:max=1000"
+const SUPPORTED_OPTIONS = ['min', 'max', 'maxlength', 'default', 'enum'];
+
+// Enum values and string defaults are embedded into generated source code and
+// SQL, so they are restricted to a conservative character set
+const SAFE_LITERAL_PATTERN = /^[a-zA-Z0-9 _.@-]*$/;
+
+/**
+ * Default fields used when a resource is added without field definitions
+ * @returns {Array<object>} Field definitions (name + description)
+ */
+export function getDefaultResourceFields() {
+    return [
+        { name: 'name', kind: 'string', type: 'String', required: true, trim: true, maxlength: 255, tsType: 'string', displayName: 'Name' },
+        { name: 'description', kind: 'string', type: 'String', trim: true, maxlength: 2000, tsType: 'string', default: '', displayName: 'Description' }
+    ];
+}
+
+/**
+ * Default fields of the Item resource scaffolded by lazy-crud (name, description, price)
+ * @returns {Array<object>} Field definitions
+ */
+export function getDefaultItemFields() {
+    return [
+        { name: 'name', type: 'String', required: true, trim: true, maxlength: 255, tsType: 'string', displayName: 'Name' },
+        { name: 'description', type: 'String', trim: true, maxlength: 2000, tsType: 'string', default: '' },
+        { name: 'price', type: 'Number', min: 0, tsType: 'number', default: 0 }
+    ];
+}
+
+/**
+ * Get the DSL kind of a field ('string', 'number', 'int', 'boolean', 'date', 'ref').
+ * Falls back to the Mongoose type for field objects created without a kind.
+ * @param {object} field - Field definition
+ * @returns {string} Field kind
+ */
+export function getFieldKind(field) {
+    if (field.kind) {
+        return field.kind;
+    }
+    const byType = { String: 'string', Number: 'number', Boolean: 'boolean', Date: 'date' };
+    return byType[field.type] || 'string';
+}
+
+function parseNumberOption(fieldName, optionName, value) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+        throw new Error(`Invalid ${optionName} "${value}" for field "${fieldName}": must be a number`);
+    }
+    return number;
+}
+
+function parseSafeLiteral(fieldName, optionName, value) {
+    if (!SAFE_LITERAL_PATTERN.test(value) || value.length > 255) {
+        throw new Error(`Invalid ${optionName} "${value}" for field "${fieldName}": only letters, numbers, spaces and _ . @ - are allowed`);
+    }
+    return value;
+}
+
+function parseDefault(field, value) {
+    if (field.isArray || field.kind === 'date') {
+        throw new Error(`Defaults are not supported for ${field.isArray ? 'array' : 'date'} field "${field.name}"`);
+    }
+    if (field.kind === 'boolean') {
+        if (value !== 'true' && value !== 'false') {
+            throw new Error(`Invalid default "${value}" for field "${field.name}": must be true or false`);
+        }
+        return value === 'true';
+    }
+    if (field.kind === 'number' || field.kind === 'int') {
+        const number = parseNumberOption(field.name, 'default', value);
+        if (field.kind === 'int' && !Number.isInteger(number)) {
+            throw new Error(`Invalid default "${value}" for field "${field.name}": must be an integer`);
+        }
+        return number;
+    }
+    return parseSafeLiteral(field.name, 'default', value);
+}
+
+/**
+ * Build the field object of a reference ("post:ref:Post")
+ * The field stores the id of a record of the target resource (belongs to);
+ * the target gets a nested list route for the records that point at it (has many).
+ * @param {string} name - Field name
+ * @param {Array<string>} rawOptions - Segments after the type (the target resource)
+ * @param {boolean} required - Whether the reference is required
+ * @param {boolean} isArray - Whether "ref[]" was used
+ * @returns {object} Field object with kind 'ref' and the target in `ref`
+ * @throws {Error} If the target is missing or invalid
+ */
+function parseReference(name, rawOptions, required, isArray) {
+    if (isArray) {
+        throw new Error(`Array references are not supported ("${name}"). Declare the reference on the other resource instead (e.g. add-crud Comment post:ref:Post)`);
+    }
+    const [target, ...extra] = rawOptions;
+    if (!target) {
+        throw new Error(`Field "${name}" needs the resource it references (e.g. ${name}:ref:Post)`);
+    }
+    if (extra.length > 0) {
+        throw new Error(`Reference "${name}" does not support options`);
+    }
+    try {
+        validateResourceName(target);
+    } catch (error) {
+        throw new Error(`Invalid reference target "${target}" for field "${name}": ${error.message}`);
+    }
+
+    return {
+        name,
+        kind: 'ref',
+        ref: target,
+        type: FIELD_TYPES.ref.type,
+        tsType: FIELD_TYPES.ref.tsType,
+        displayName: name.charAt(0).toUpperCase() + name.slice(1),
+        ...(required && { required: true })
+    };
+}
+
+/**
+ * Get the reference fields of a resource
+ * @param {Array<object>|null} fields - Field definitions
+ * @returns {Array<object>} Fields with kind 'ref' (see parseFieldDefinition)
+ */
+export function getReferenceFields(fields) {
+    return (fields || []).filter(field => typeof field === 'object' && field.kind === 'ref');
+}
+
+/**
+ * List the nested list routers of a resource's reference fields
+ * When several fields reference the same resource, their paths end in
+ * "<field>-<resources>" so they do not collide (e.g. /api/users/:authorId/author-posts).
+ * @param {string} resourceName - Resource name (e.g., 'Comment')
+ * @param {Array<object>|null} fields - Field definitions
+ * @param {string} [apiPrefix] - Prefix of the API routes
+ * @returns {Array<{field: object, variable: string, mountPath: string}>} Router export name and
+ *   mount path per reference field (e.g. postCommentRoutes at /api/posts/:postId/comments)
+ */
+export function getNestedRoutes(resourceName, fields, apiPrefix = '/api') {
+    const resourcePlural = resourceName.toLowerCase() + 's';
+    const references = getReferenceFields(fields);
+    const isShared = (field) => references.filter(other => other.ref === field.ref).length > 1;
+
+    return references.map(field => ({
+        field,
+        variable: `${field.name}${resourceName}Routes`,
+        mountPath: `${apiPrefix}/${field.ref.toLowerCase()}s/:${field.name}Id/${isShared(field) ? `${field.name}-` : ''}${resourcePlural}`
+    }));
+}
+
+/**
+ * Parse a single field definition
+ *
+ * Syntax: `name:type[!][:option=value ...]`, or `name:ref[!]:Resource` for a reference
+ * - type: string, number, int, boolean, date (append `[]` for an array)
+ * - `!` marks the field as required
+ * - options: min, max, maxlength, default, enum (comma-separated values)
+ *
+ * @example
+ * parseFieldDefinition('title:string!:maxlength=120');
+ * parseFieldDefinition('status:string:enum=draft,published:default=draft');
+ * parseFieldDefinition('post:ref!:Post');
+ * @param {string} definition - Field definition from the command line
+ * @returns {object} Normalized field object
+ * @throws {Error} If the definition is invalid
+ */
+export function parseFieldDefinition(definition) {
+    if (typeof definition !== 'string' || definition.length > 500) {
+        throw new Error('Invalid field definition');
+    }
+
+    const [name, rawType = 'string', ...rawOptions] = definition.split(':');
+    validateFieldName(name);
+
+    const required = rawType.endsWith('!');
+    let typeName = (required ? rawType.slice(0, -1) : rawType).toLowerCase();
+    const isArray = typeName.endsWith('[]');
+    if (isArray) {
+        typeName = typeName.slice(0, -2);
+    }
+    typeName = TYPE_ALIASES[typeName] || typeName;
+
+    const typeInfo = FIELD_TYPES[typeName];
+    if (!typeInfo) {
+        throw new Error(`Unknown type "${rawType}" for field "${name}". Supported types: ${Object.keys(FIELD_TYPES).join(', ')} (append [] for arrays)`);
+    }
+    if (typeName === 'ref') {
+        return parseReference(name, rawOptions, required, isArray);
+    }
+
+    const field = {
+        name,
+        kind: typeName,
+        type: isArray ? `[${typeInfo.type}]` : typeInfo.type,
+        tsType: isArray ? `${typeInfo.tsType}[]` : typeInfo.tsType,
+        displayName: name.charAt(0).toUpperCase() + name.slice(1),
+        ...(isArray && { isArray: true }),
+        ...(typeInfo.integer && { integer: true }),
+        ...(required && { required: true }),
+        ...(typeName === 'string' && !isArray && { trim: true })
+    };
+
+    for (const rawOption of rawOptions) {
+        const separatorIndex = rawOption.indexOf('=');
+        const optionName = separatorIndex === -1 ? rawOption : rawOption.slice(0, separatorIndex);
+        const value = separatorIndex === -1 ? '' : rawOption.slice(separatorIndex + 1);
+
+        if (!SUPPORTED_OPTIONS.includes(optionName)) {
+            throw new Error(`Unknown option "${optionName}" for field "${name}". Supported options: ${SUPPORTED_OPTIONS.join(', ')}`);
+        }
+
+        if (optionName === 'maxlength') {
+            if (typeName !== 'string') {
+                throw new Error(`Option "maxlength" is only supported for string fields ("${name}" is ${typeName})`);
+            }
+            const maxlength = parseNumberOption(name, optionName, value);
+            if (!Number.isInteger(maxlength) || maxlength < 1) {
+                throw new Error(`Invalid maxlength "${value}" for field "${name}": must be a positive integer`);
+            }
+            field.maxlength = maxlength;
+        } else if (optionName === 'min' || optionName === 'max') {
+            if (typeName !== 'number' && typeName !== 'int') {
+                throw new Error(`Option "${optionName}" is only supported for number and int fields ("${name}" is ${typeName})`);
+            }
+            field[optionName] = parseNumberOption(name, optionName, value);
+        } else if (optionName === 'enum') {
+            if (typeName !== 'string' || isArray) {
+                throw new Error(`Option "enum" is only supported for string fields ("${name}" is ${rawType})`);
+            }
+            const values = value.split(',').map(v => parseSafeLiteral(name, optionName, v.trim())).filter(Boolean);
+            if (values.length === 0) {
+                throw new Error(`Option "enum" for field "${name}" needs at least one value (e.g. enum=draft,published)`);
+            }
+            field.enum = [...new Set(values)];
+            field.tsType = field.enum.map(v => `'${v}'`).join(' | ');
+        } else {
+            field.default = parseDefault(field, value);
+        }
+    }
+
+    if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+        throw new Error(`Invalid range for field "${name}": min (${field.min}) is greater than max (${field.max})`);
+    }
+    if (field.enum && field.default !== undefined && !field.enum.includes(field.default)) {
+        throw new Error(`Default "${field.default}" for field "${name}" is not one of its enum values (${field.enum.join(', ')})`);
+    }
+    if (typeName === 'string' && !isArray && !field.enum && field.maxlength === undefined) {
+        field.maxlength = 255;
+    }
+
+    return field;
+}
+
+/**
+ * Parse a list of field definitions
+ * @param {Array<string>} definitions - Field definitions from the command line
+ * @param {object} [options] - add-crud options of the resource (e.g. { softDelete: true })
+ * @returns {Array<object>} Normalized field objects (in declaration order)
+ * @throws {Error} If any definition is invalid, a field is declared twice or an option adds it
+ */
+export function parseFieldDefinitions(definitions, options = {}) {
+    if (definitions.length > SECURITY_LIMITS.MAX_FIELDS_PER_RESOURCE) {
+        throw new Error(`Too many fields (max ${SECURITY_LIMITS.MAX_FIELDS_PER_RESOURCE})`);
+    }
+
+    const fields = definitions.map(parseFieldDefinition);
+    const seen = new Set();
+    for (const field of fields) {
+        if (seen.has(field.name)) {
+            throw new Error(`Field "${field.name}" is declared more than once`);
+        }
+        seen.add(field.name);
+    }
+
+    for (const [key, { option, fields: optionFields }] of Object.entries(RESERVED_NAMES.optionFields)) {
+        const field = options[key] && fields.find(f => optionFields.includes(f.name));
+        if (field) {
+            throw new Error(`"${field.name}" is added by ${option} and cannot be used as a field name`);
+        }
+    }
+    return fields;
+}
+
+/**
+ * Check whether a command line argument looks like a field definition
+ * @param {string} arg - Command line argument
+ * @returns {boolean} True if the argument is a field definition (contains ':')
+ */
+export function isFieldDefinition(arg) {
+    return typeof arg === 'string' && !arg.startsWith('-') && arg.includes(':');
+}
+
+/**
+ * Format a field value as a JavaScript literal for generated code
+ * @param {any} value - Value (string, number, boolean or array)
+ * @returns {string} Source code literal
+ */
+export function toCodeLiteral(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(toCodeLiteral).join(', ')}]`;
+    }
+    if (typeof value !== 'string') {
+        return String(value);
+    }
+    const escaped = value.replace(/\\/g, '\\\\');
+    // Prefer double quotes over escaping when the value contains an apostrophe
+    return value.includes("'") && !value.includes('"') ? `"${escaped}"` : `'${escaped.replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Build a sample value for a field (used for demo data and generated tests)
+ * @param {object} field - Field definition
+ * @param {string} [label] - Label used for string samples (e.g. 'Test Product')
+ * @returns {any} Sample value that passes the field's validation
+ */
+export function getSampleValue(field, label = 'Sample') {
+    const kind = getFieldKind(field);
+    let value;
+
+    if (field.enum) {
+        value = field.enum[0];
+    } else if (kind === 'ref') {
+        // Id of the first demo record of the in-memory models
+        value = '1';
+    } else if (kind === 'number' || kind === 'int') {
+        const base = kind === 'int' ? 5 : 10.5;
+        value = field.min !== undefined && base < field.min ? field.min
+            : field.max !== undefined && base > field.max ? field.max
+            : base;
+    } else if (kind === 'boolean') {
+        value = true;
+    } else if (kind === 'date') {
+        value = '2024-01-01T00:00:00.000Z';
+    } else {
+        value = `${label} ${field.displayName || field.name}`.slice(0, field.maxlength || 255);
+    }
+
+    return field.isArray ? [value] : value;
+}
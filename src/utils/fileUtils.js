@@ -3,6 +3,138 @@ import fs from 'fs';
 import path from 'path';
 import { validatePath, isPathInProject } from '../validators/index.js';
 import { SECURITY_LIMITS } from '../config/security.js';
+import { createUnifiedDiff } from './diffUtils.js';
+
+// Dry-run mode (--dry-run): writes are recorded here instead of touching the
+// filesystem. Keyed by absolute path; later reads see the planned content, so
+// edits such as updateServerWithRoute() build on earlier planned writes.
+let plannedChanges = null;
+
+// Plugin hooks (registered through pluginUtils.js) that every writeFile() call goes through
+const writeHooks = { transform: [], beforeWrite: [], afterWrite: [] };
+
+/**
+ * Register a hook for every file written with writeFile()
+ * transform hooks return the new content, beforeWrite hooks may throw to stop the
+ * write, and afterWrite hooks run once the file is on disk (never in dry-run mode).
+ * @param {string} type - 'transform', 'beforeWrite' or 'afterWrite'
+ * @param {Function} hook - transform: (content, file) => string; others: (file) => void
+ */
+export function addWriteHook(type, hook) {
+    if (!writeHooks[type]) {
+        throw new Error(`Unknown write hook "${type}"`);
+    }
+    writeHooks[type].push(hook);
+}
+
+/**
+ * Run the transform and beforeWrite hooks for a file
+ * @param {string} filePath - File path
+ * @param {string} content - Content to write
+ * @returns {{path: string, content: string}} File as the hooks left it (path relative to the working directory)
+ */
+function prepareWrite(filePath, content) {
+    const file = {
+        path: path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/'),
+        content
+    };
+    for (const hook of writeHooks.transform) {
+        const transformed = hook(file.content, { ...file });
+        if (typeof transformed !== 'string') {
+            throw new Error('a transform hook did not return a string');
+        }
+        file.content = transformed;
+    }
+    writeHooks.beforeWrite.forEach(hook => hook({ ...file }));
+    return file;
+}
+
+/**
+ * Switch file writes to dry-run mode for the rest of the process
+ * Progress messages move to stderr so stdout only carries the final report.
+ */
+export function enableDryRun() {
+    plannedChanges = new Map();
+    console.log = console.error;
+}
+
+/**
+ * Check whether dry-run mode is enabled
+ * @returns {boolean} True if writes are only being recorded
+ */
+export function isDryRun() {
+    return plannedChanges !== null;
+}
+
+/**
+ * Seed dry-run mode with changes planned by an earlier command
+ * (add-crud passes them from one resource to the next)
+ * @param {Array<{path: string, previousContent: string|null, content: string}>} changes - Changes from getPlannedChanges()
+ * @param {string} root - Directory the change paths are relative to
+ */
+export function loadPlannedChanges(changes, root = process.cwd()) {
+    if (!isDryRun()) {
+        enableDryRun();
+    }
+    for (const change of changes) {
+        const filePath = validatePath(path.resolve(root, change.path));
+        if (!isPathInProject(filePath, root)) {
+            throw new Error('Security: Planned change is outside project directory');
+        }
+        plannedChanges.set(filePath, { before: change.previousContent ?? null, after: String(change.content) });
+    }
+}
+
+/**
+ * Get the changes recorded in dry-run mode
+ * @param {string} root - Directory the returned paths are relative to
+ * @returns {Array<{path: string, action: string, previousContent: string|null, content: string, diff: string}>}
+ *   One entry per file ('create' or 'modify'), in the order they were first written
+ */
+export function getPlannedChanges(root = process.cwd()) {
+    if (!isDryRun()) {
+        return [];
+    }
+    return [...plannedChanges.entries()]
+        .filter(([, change]) => change.before !== change.after)
+        .map(([filePath, change]) => {
+            const relativePath = path.relative(root, filePath).split(path.sep).join('/');
+            return {
+                path: relativePath,
+                action: change.before === null ? 'create' : 'modify',
+                previousContent: change.before,
+                content: change.after,
+                diff: createUnifiedDiff(change.before, change.after, relativePath)
+            };
+        });
+}
+
+/**
+ * Print the changes recorded in dry-run mode to stdout
+ * @param {object} options
+ * @param {boolean} options.json - Print JSON ({ dryRun, changes }) instead of a unified diff
+ * @param {string} options.root - Directory the paths are relative to
+ */
+export function printPlannedChanges({ json = false, root = process.cwd() } = {}) {
+    const changes = getPlannedChanges(root);
+
+    // A reader that stops early (`| head`) closes the pipe: stop quietly instead of crashing with EPIPE
+    process.stdout.on('error', (error) => {
+        if (error.code === 'EPIPE') {
+            process.exit(0);
+        }
+        throw error;
+    });
+
+    if (json) {
+        process.stdout.write(`${JSON.stringify({ dryRun: true, changes }, null, 2)}\n`);
+        return;
+    }
+
+    changes.forEach(change => process.stdout.write(change.diff));
+    const created = changes.filter(change => change.action === 'create').length;
+    console.error(`\n🔍 Dry run: ${created} file${created !== 1 ? 's' : ''} to create, ${changes.length - created} to modify. Nothing was written.`);
+}
 
 /**
  * Create directory recursively if it doesn't exist
@@ -15,6 +147,9 @@ export function ensureDirectory(dirPath) {
         validatePath(dirPath);
         
         if (!fs.existsSync(dirPath)) {
+            if (isDryRun()) {
+                return true;
+            }
             fs.mkdirSync(dirPath, { recursive: true });
             return true;
         }
@@ -50,14 +185,29 @@ export function createDirectories(directories, verbose = false) {
  * @param {string} filePath - File path
  * @param {string} content - File content
  * @param {object} options - Write options
+ * @returns {string} Content as written, after the plugin transform hooks
  */
 export function writeFile(filePath, content, options = {}) {
     try {
+        const file = prepareWrite(filePath, content);
+        content = file.content;
+
+        if (isDryRun()) {
+            const absolutePath = path.resolve(validatePath(filePath));
+            const before = plannedChanges.has(absolutePath)
+                ? plannedChanges.get(absolutePath).before
+                : fs.existsSync(absolutePath) ? fs.readFileSync(absolutePath, 'utf8') : null;
+            plannedChanges.set(absolutePath, { before, after: String(content) });
+            return content;
+        }
+
         // Ensure directory exists
         const dirPath = path.dirname(filePath);
         ensureDirectory(dirPath);
         
         fs.writeFileSync(filePath, content, options);
+        writeHooks.afterWrite.forEach(hook => hook({ ...file }));
+        return content;
     } catch (error) {
         throw new Error(`Failed to write file ${filePath}: ${error.message}`);
     }
@@ -67,15 +217,14 @@ export function writeFile(filePath, content, options = {}) {
  * Write multiple files
  * @param {Array<{path: string, content: string, type?: string}>} files - Array of file objects
  * @param {boolean} verbose - Whether to log each creation
- * @returns {Array<string>} Array of created file paths
+ * @returns {Array<{path: string, content: string}>} Created files, with the content as written
  */
 export function writeFiles(files, verbose = false) {
     const created = [];
     
     files.forEach(file => {
         try {
-            writeFile(file.path, file.content);
-            created.push(file.path);
+            created.push({ path: file.path, content: writeFile(file.path, file.content) });
             
             if (verbose) {
                 const displayName = file.type 
@@ -100,7 +249,8 @@ export function writeFiles(files, verbose = false) {
  */
 export function readFileSafe(filePath, projectRoot = process.cwd()) {
     try {
-        if (!fs.existsSync(filePath)) {
+        const planned = isDryRun() && plannedChanges.get(path.resolve(filePath));
+        if (!planned && !fs.existsSync(filePath)) {
             return null;
         }
         
@@ -109,6 +259,9 @@ export function readFileSafe(filePath, projectRoot = process.cwd()) {
         if (projectRoot && !isPathInProject(filePath, projectRoot)) {
             throw new Error('Security: File path is outside project directory');
         }
+        if (planned) {
+            return planned.after;
+        }
         
         // Security: Check file size before reading
         const stats = fs.statSync(filePath);
@@ -133,21 +286,24 @@ export function readFileSafe(filePath, projectRoot = process.cwd()) {
  */
 export function fileExists(filePath) {
     try {
-        return fs.existsSync(filePath);
+        return (isDryRun() && plannedChanges.has(path.resolve(filePath))) || fs.existsSync(filePath);
     } catch {
         return false;
     }
 }
 
 /**
- * Update server file with new route import and registration
- * @param {string} serverPath - Path to server file
+ * Update the app file with new route import and registration
+ * New route lines are indented like the existing ones (inside createApp() in src/app)
+ * @param {string} serverPath - Path to the file that mounts the routes (see getAppFilePath)
  * @param {string} resourceName - Resource name (e.g., 'Product')
  * @param {string} ext - File extension ('js' or 'ts')
  * @param {string|null} routePath - Optional explicit mount path (e.g., '/api/auth'). Defaults to '/api/<resourceName>s'
+ * @param {Array<{variable: string, mountPath: string}>} [nestedRoutes] - Named routers exported by the
+ *   same routes file, mounted next to it (see getNestedRoutes)
  * @returns {boolean} True if updated successfully
  */
-export function updateServerWithRoute(serverPath, resourceName, ext = 'js', routePath = null) {
+export function updateServerWithRoute(serverPath, resourceName, ext = 'js', routePath = null, nestedRoutes = []) {
     try {
         // Security: Validate inputs
         if (!serverPath || typeof serverPath !== 'string') {
@@ -177,13 +333,16 @@ export function updateServerWithRoute(serverPath, resourceName, ext = 'js', rout
         if (serverContent.includes(importStatement)) {
             return false; // Already exists
         }
+        const nestedImport = nestedRoutes.length > 0
+            ? `\nimport { ${nestedRoutes.map(route => route.variable).join(', ')} } from './routes/${routeFileName}';`
+            : '';
 
         // Find the last import statement
         const importRegex = /import .+ from .+;/g;
         const imports = serverContent.match(importRegex);
         if (imports && imports.length > 0) {
             const lastImport = imports[imports.length - 1];
-            serverContent = serverContent.replace(lastImport, `${lastImport}\n${importStatement}`);
+            serverContent = serverContent.replace(lastImport, `${lastImport}\n${importStatement}${nestedImport}`);
         }
 
         // Check if route already registered
@@ -193,17 +352,14 @@ export function updateServerWithRoute(serverPath, resourceName, ext = 'js', rout
         }
         
         // Find where to add the route (after other app.use routes)
-        const routeRegex = /app\.use\('\/api\/\w+',\s+\w+Routes\);/g;
+        const routeRegex = /^[ \t]*app\.use\('[^']*',\s+\w+Routes\);/gm;
         const routes = serverContent.match(routeRegex);
         if (routes && routes.length > 0) {
             const lastRoute = routes[routes.length - 1];
-            serverContent = serverContent.replace(lastRoute, `${lastRoute}\n${routeStatement}`);
-        } else {
-            // If no routes exist, add after items route
-            const itemsRoute = "app.use('/api/items', itemRoutes);";
-            if (serverContent.includes(itemsRoute)) {
-                serverContent = serverContent.replace(itemsRoute, `${itemsRoute}\n${routeStatement}`);
-            }
+            const indent = lastRoute.match(/^\s*/)[0];
+            const statements = [routeStatement, ...nestedRoutes.map(route => `app.use('${route.mountPath}', ${route.variable});`)]
+                .map(statement => `\n${indent}${statement}`).join('');
+            serverContent = serverContent.replace(lastRoute, `${lastRoute}${statements}`);
         }
         
         writeFile(serverPath, serverContent);
@@ -214,33 +370,86 @@ export function updateServerWithRoute(serverPath, resourceName, ext = 'js', rout
     }
 }
 
+/**
+ * Remove a resource's routes imports and app.use() lines from the app file,
+ * including the nested routers of its reference fields (the inverse of updateServerWithRoute)
+ * @param {string} serverPath - Path to app.js/app.ts (server.js/server.ts in older projects)
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @returns {Array<string>} The removed lines (empty if none were found)
+ */
+export function removeRouteFromServer(serverPath, resourceName) {
+    validatePath(serverPath);
+    if (!resourceName || typeof resourceName !== 'string' || resourceName.length > SECURITY_LIMITS.MAX_RESOURCE_NAME_LENGTH) {
+        throw new Error('Invalid resource name');
+    }
+
+    const serverContent = readFileSafe(serverPath);
+    if (!serverContent) {
+        return [];
+    }
+
+    const routesVariable = `${resourceName.toLowerCase()}Routes`;
+    const lines = serverContent.split('\n');
+
+    // Nested routers are imported by name: import { postCommentRoutes } from './routes/commentRoutes.js';
+    const nestedImport = new RegExp(`^import \\{ ([\\w, ]+) \\} from '\\./routes/${routesVariable}\\.js';$`);
+    const variables = [routesVariable, ...lines.flatMap(line => {
+        const match = line.trim().match(nestedImport);
+        return match ? match[1].split(',').map(name => name.trim()) : [];
+    })];
+    const isRouteLine = (line) => line.trim() === `import ${routesVariable} from './routes/${routesVariable}.js';` ||
+        nestedImport.test(line.trim()) ||
+        variables.some(variable => new RegExp(`^app\\.use\\('[^']*',\\s*${variable}\\);$`).test(line.trim()));
+
+    const removed = lines.filter(isRouteLine);
+    if (removed.length > 0) {
+        writeFile(serverPath, lines.filter(line => !isRouteLine(line)).join('\n'));
+    }
+    return removed.map(line => line.trim());
+}
+
 /**
  * Generate TypeScript types for a resource in a separate file
  * @param {string} resourceName - Name of the resource
- * @param {string} dbChoice - Database choice (mongodb, mysql, memory)
+ * @param {string} dbChoice - Database choice (mongodb, mysql, postgres, sqlite, memory)
+ * @param {Array<object>|null} fields - Optional field definitions (see parseFieldDefinition).
+ *   Defaults to the built-in name/description/price fields.
+ * @param {Object} [options] - { softDelete } adds the deleted_at / deletedAt timestamp;
+ *   { etag } adds the version updates bump (__v for MongoDB)
  * @returns {string} - TypeScript types content
  */
-export function generateResourceTypes(resourceName, dbChoice) {
+export function generateResourceTypes(resourceName, dbChoice, fields = null, options = {}) {
     const idField = dbChoice === 'mongodb' ? '_id' : 'id';
     const idType = dbChoice === 'mongodb' ? '?: string | undefined' : ': string';
-    const timestampFields = dbChoice === 'mysql' 
+    const timestampFields = dbChoice === 'mysql' || dbChoice === 'postgres'
         ? '    created_at?: Date;\n    updated_at?: Date;'
-        : '    createdAt?: Date;\n    updatedAt?: Date;';
+        : dbChoice === 'sqlite'
+            ? '    created_at?: string;\n    updated_at?: string;'
+            : '    createdAt?: Date;\n    updatedAt?: Date;';
+    const deletedAtField = !options.softDelete ? ''
+        : dbChoice === 'mysql' || dbChoice === 'postgres'
+            ? '\n    deleted_at?: Date | null;'
+            : dbChoice === 'sqlite'
+                ? '\n    deleted_at?: string | null;'
+                : '\n    deletedAt?: Date | null;';
+    const versionField = !options.etag ? ''
+        : dbChoice === 'mongodb' ? '\n    __v?: number;' : '\n    version?: number;';
+    // References hold the target's id: a number for SQL databases
+    const referenceType = dbChoice === 'mysql' || dbChoice === 'postgres' || dbChoice === 'sqlite' ? 'number' : 'string';
+    const fieldLines = fields
+        ? fields.map(f => `    ${f.name}${f.required ? '' : '?'}: ${f.kind === 'ref' ? referenceType : f.tsType || 'string'};`).join('\n')
+        : '    name: string;\n    description?: string;\n    price?: number;';
     
     return `// TypeScript types for ${resourceName} resource
 
 export interface ${resourceName} {
     ${idField}${idType};
-    name: string;
-    description?: string;
-    price?: number;
-    ${timestampFields}
+${fieldLines}
+    ${timestampFields}${versionField}${deletedAtField}
 }
 
 export interface ${resourceName}Input {
-    name: string;
-    description?: string;
-    price?: number;
+${fieldLines}
 }
 `;
 }
@@ -249,7 +458,7 @@ export interface ${resourceName}Input {
  * Update types.ts file with new resource types (DEPRECATED - use generateResourceTypes instead)
  * @param {string} typesPath - Path to types/index.ts file
  * @param {string} resourceName - Name of the resource
- * @param {string} dbChoice - Database choice (mongodb, mysql, memory)
+ * @param {string} dbChoice - Database choice (mongodb, mysql, postgres, sqlite, memory)
  * @returns {boolean} - True if updated successfully
  */
 export function updateTypesWithResource(typesPath, resourceName, dbChoice) {
@@ -275,9 +484,11 @@ export function updateTypesWithResource(typesPath, resourceName, dbChoice) {
         // Generate the new types
         const idField = dbChoice === 'mongodb' ? '_id' : 'id';
         const idType = dbChoice === 'mongodb' ? '?: string | undefined' : ': string';
-        const timestampFields = dbChoice === 'mysql' 
+        const timestampFields = dbChoice === 'mysql' || dbChoice === 'postgres'
             ? '    created_at?: Date;\n    updated_at?: Date;'
-            : '    createdAt?: Date;\n    updatedAt?: Date;';
+            : dbChoice === 'sqlite'
+                ? '    created_at?: string;\n    updated_at?: string;'
+                : '    createdAt?: Date;\n    updatedAt?: Date;';
         
         const newTypes = `
 export interface ${resourceName} {
@@ -326,3 +537,151 @@ export function copyFile(srcPath, destPath) {
         throw new Error(`Failed to copy file from ${srcPath} to ${destPath}: ${error.message}`);
     }
 }
+
+/**
+ * Get the number for the next migration in a migrations directory
+ * @param {string} migrationsDir - Path to the migrations/ directory
+ * @returns {number} Highest existing NNN_ prefix + 1 (1 when there are none)
+ */
+export function getNextMigrationNumber(migrationsDir) {
+    validatePath(migrationsDir);
+    // Migrations planned earlier in a dry run count as existing
+    const planned = isDryRun()
+        ? [...plannedChanges.keys()].filter(filePath => path.dirname(filePath) === path.resolve(migrationsDir)).map(filePath => path.basename(filePath))
+        : [];
+    const files = fs.existsSync(migrationsDir) ? [...fs.readdirSync(migrationsDir), ...planned] : planned;
+    const numbers = files
+        .map(file => file.match(/^(\d+)_.*\.sql$/))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10));
+    return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+}
+
+/**
+ * Mount Swagger UI at /docs in the app file, serving the project's openapi.json
+ * The mount is skipped at runtime when openapi.json does not exist, so the server
+ * still starts before gen-openapi has been run.
+ * @param {string} serverPath - Path to the file that mounts the routes (see getAppFilePath)
+ * @returns {boolean} True if updated, false if already mounted or the file could not be updated
+ */
+export function updateServerWithSwaggerUi(serverPath) {
+    validatePath(serverPath);
+    let serverContent = readFileSafe(serverPath);
+
+    if (!serverContent || serverContent.includes("from 'swagger-ui-express'")) {
+        return false;
+    }
+
+    const anchor = serverContent.match(/^[ \t]*\/\/ 404 handler for undefined routes$/m);
+    const imports = serverContent.match(/^import .+ from .+;$/gm);
+    if (!anchor || !imports) {
+        return false;
+    }
+    const indent = anchor[0].match(/^\s*/)[0];
+
+    const lastImport = imports[imports.length - 1];
+    serverContent = serverContent.replace(lastImport, `${lastImport}
+import { existsSync, readFileSync } from 'fs';
+import swaggerUi from 'swagger-ui-express';`);
+
+    const mount = `// API documentation (regenerate openapi.json with "npx gen-openapi")
+const openApiPath = new URL('../openapi.json', import.meta.url);
+if (existsSync(openApiPath)) {
+    app.use('/docs', swaggerUi.serve, swaggerUi.setup(JSON.parse(readFileSync(openApiPath, 'utf8'))));
+}
+`;
+    serverContent = serverContent.replace(anchor[0], `${mount.split('\n').map(line => line && indent + line).join('\n')}\n${anchor[0]}`);
+
+    writeFile(serverPath, serverContent);
+    return true;
+}
+
+/**
+ * Mount the GraphQL endpoint of src/graphql at /graphql in the app file,
+ * after the REST routes and before the 404 handler
+ * @param {string} serverPath - Path to the file that mounts the routes (see getAppFilePath)
+ * @returns {boolean} True if updated, false if already mounted or the file could not be updated
+ */
+export function updateServerWithGraphql(serverPath) {
+    validatePath(serverPath);
+    let serverContent = readFileSafe(serverPath);
+
+    if (!serverContent || serverContent.includes("from './graphql/index.js'")) {
+        return false;
+    }
+
+    const anchor = serverContent.match(/^[ \t]*\/\/ 404 handler for undefined routes$/m);
+    const imports = serverContent.match(/^import .+ from .+;$/gm);
+    if (!anchor || !imports) {
+        return false;
+    }
+    const indent = anchor[0].match(/^\s*/)[0];
+
+    const lastImport = imports[imports.length - 1];
+    serverContent = serverContent.replace(lastImport, `${lastImport}\nimport { graphqlHandler } from './graphql/index.js';`);
+    serverContent = serverContent.replace(anchor[0],
+        `${indent}// GraphQL endpoint over the same services (see src/graphql)\n${indent}app.all('/graphql', graphqlHandler);\n\n${anchor[0]}`);
+
+    writeFile(serverPath, serverContent);
+    return true;
+}
+
+/**
+ * Register a resource module in the GraphQL endpoint (src/graphql/index)
+ * @param {string} indexPath - Path to src/graphql/index.js|ts
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @returns {boolean} True if updated, false if already registered or the file could not be updated
+ */
+export function updateGraphqlWithResource(indexPath, resourceName) {
+    validatePath(indexPath);
+    let indexContent = readFileSafe(indexPath);
+
+    const resourceLower = resourceName.toLowerCase();
+    const variable = `${resourceLower}Graphql`;
+    const resourceList = indexContent && indexContent.match(/^const resources(: \w+\[\])? = \[([\w, ]*)\];$/m);
+    if (!resourceList || indexContent.includes(`import * as ${variable} from`)) {
+        return false;
+    }
+
+    const modules = resourceList[2].split(',').map(name => name.trim()).filter(Boolean);
+    indexContent = indexContent.replace(resourceList[0], resourceList[0].replace(`[${resourceList[2]}]`, `[${[...modules, variable].join(', ')}]`));
+
+    const importStatement = `import * as ${variable} from './${resourceLower}Graphql.js';`;
+    const imports = indexContent.match(/^import .+ from .+;$/gm);
+    const lastImport = imports[imports.length - 1];
+    indexContent = indexContent.replace(lastImport, `${lastImport}\n${importStatement}`);
+
+    writeFile(indexPath, indexContent);
+    return true;
+}
+
+/**
+ * Unregister a resource module from the GraphQL endpoint (the inverse of updateGraphqlWithResource)
+ * @param {string} indexPath - Path to src/graphql/index.js|ts
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @returns {Array<string>|null} The modules still registered, or null if the resource was not registered
+ */
+export function removeResourceFromGraphql(indexPath, resourceName) {
+    validatePath(indexPath);
+    const indexContent = readFileSafe(indexPath);
+
+    const resourceLower = resourceName.toLowerCase();
+    const variable = `${resourceLower}Graphql`;
+    const importStatement = `import * as ${variable} from './${resourceLower}Graphql.js';`;
+    if (!indexContent || !indexContent.includes(importStatement)) {
+        return null;
+    }
+
+    let remaining = [];
+    const updated = indexContent
+        .split('\n')
+        .filter(line => line !== importStatement)
+        .join('\n')
+        .replace(/^(const resources(?:: \w+\[\])? = \[)([\w, ]*)(\];)$/m, (_match, start, modules, end) => {
+            remaining = modules.split(',').map(name => name.trim()).filter(name => name && name !== variable);
+            return `${start}${remaining.join(', ')}${end}`;
+        });
+
+    writeFile(indexPath, updated);
+    return remaining;
+}
@@ -11,7 +11,8 @@ export {
 
 export { 
     validateProjectName,
-    validateResourceName 
+    validateResourceName,
+    validateFieldName
 } from '../validators/nameValidators.js';
 
 // Project utilities
@@ -22,9 +23,61 @@ export {
     isExpressProject,
     getProjectExtension,
     getProjectConfig,
-    hasCrudStructure
+    getAppFilePath,
+    hasCrudStructure,
+    getResourceFilePaths,
+    findRouteResources
 } from './projectUtils.js';
 
+// Project config file (lazycrud.config.json)
+export {
+    CONFIG_FILE_NAME,
+    CONFIG_SCHEMA,
+    validateConfig,
+    createConfig,
+    readConfigFile,
+    loadProjectConfigFile,
+    writeConfigFile,
+    updateConfigResources
+} from './configUtils.js';
+
+// Template overrides (.lazycrud/templates)
+export {
+    TEMPLATES_DIR,
+    TEMPLATE_LAYERS,
+    resolveTemplate,
+    defineTemplateLayer,
+    getBundledTemplates,
+    loadTemplateOverrides,
+    getEjectedTemplateFiles
+} from './templateUtils.js';
+
+// Plugins (lazy-crud-plugin-*)
+export {
+    PLUGIN_API_VERSION,
+    findPluginPackages,
+    loadPlugins,
+    getPluginCommands,
+    getPluginDependencies,
+    addPluginMiddleware
+} from './pluginUtils.js';
+
+// Command line (lazy-crud <command>)
+export {
+    CLI_COMMANDS,
+    getToolVersion,
+    getCliCommand,
+    isSoftDeleteOption,
+    isBulkOption,
+    parseBulkOption,
+    isEtagOption,
+    findClosestName,
+    parseArgs,
+    formatCommandHelp,
+    formatGeneralHelp,
+    parseCommandLine
+} from './cliUtils.js';
+
 // Prompt utilities
 export {
     createPromptInterface,
@@ -35,6 +88,30 @@ export {
     promptConfirm
 } from './promptUtils.js';
 
+// Field definition utilities
+export {
+    FIELD_TYPES,
+    getDefaultResourceFields,
+    getDefaultItemFields,
+    getFieldKind,
+    getReferenceFields,
+    getNestedRoutes,
+    parseFieldDefinition,
+    parseFieldDefinitions,
+    isFieldDefinition,
+    toCodeLiteral,
+    getSampleValue
+} from './fieldUtils.js';
+
+// Route access (--protect) utilities
+export {
+    ROUTE_METHODS,
+    isProtectOption,
+    parseProtectOptions,
+    usesRoles,
+    parseRouteAccess
+} from './accessUtils.js';
+
 // File utilities
 export {
     ensureDirectory,
@@ -46,5 +123,34 @@ export {
     updateServerWithRoute,
     generateResourceTypes,
     updateTypesWithResource,
-    copyFile
+    copyFile,
+    getNextMigrationNumber,
+    updateServerWithSwaggerUi,
+    updateServerWithGraphql,
+    updateGraphqlWithResource,
+    removeResourceFromGraphql,
+    removeRouteFromServer,
+    addWriteHook,
+    enableDryRun,
+    isDryRun,
+    loadPlannedChanges,
+    getPlannedChanges,
+    printPlannedChanges
 } from './fileUtils.js';
+
+// Generated resource manifest
+export {
+    MANIFEST_FILE_NAME,
+    hashContent,
+    readManifest,
+    recordGeneratedFiles,
+    getRecordedFields,
+    forgetResource,
+    getGeneratedFileStatus
+} from './manifestUtils.js';
+
+// Unified diffs (dry-run previews)
+export { createUnifiedDiff } from './diffUtils.js';
+
+// YAML serialization
+export { toYaml } from './yamlUtils.js';
@@ -0,0 +1,123 @@
+// Generated resource manifest
+// add-crud records a hash of every file it generates in .lazycrud-manifest.json,
+// so remove-crud can tell whether those files were edited afterwards, and the
+// resource's field definitions, which gen-openapi and later references read back
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { validatePath, isPathInProject } from '../validators/index.js';
+import { readFileSafe, writeFile } from './fileUtils.js';
+
+export const MANIFEST_FILE_NAME = '.lazycrud-manifest.json';
+
+/**
+ * Hash file content the way it is stored in the manifest
+ * @param {string} content - File content
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read the manifest of a project
+ * @param {string} projectPath - Project root
+ * @returns {{resources: object}} Manifest (empty if the project has none)
+ * @throws {Error} If the manifest exists but is not valid JSON
+ */
+export function readManifest(projectPath = process.cwd()) {
+    const content = readFileSafe(path.join(projectPath, MANIFEST_FILE_NAME), projectPath);
+    if (!content) {
+        return { resources: {} };
+    }
+
+    try {
+        const manifest = JSON.parse(content);
+        return { ...manifest, resources: manifest.resources || {} };
+    } catch {
+        throw new Error(`${MANIFEST_FILE_NAME} is not valid JSON`);
+    }
+}
+
+function writeManifest(projectPath, manifest) {
+    writeFile(path.join(projectPath, MANIFEST_FILE_NAME), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+/**
+ * Record the files and fields generated for a resource
+ * @param {string} projectPath - Project root
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @param {Array<{path: string, content: string}>} files - Generated files (absolute paths)
+ * @param {Array<object>} fields - Field definitions the files were generated from (see parseFieldDefinition)
+ */
+export function recordGeneratedFiles(projectPath, resourceName, files, fields) {
+    const manifest = readManifest(projectPath);
+    manifest.resources[resourceName] = {
+        generatedAt: new Date().toISOString(),
+        files: Object.fromEntries(files.map(file => [
+            path.relative(projectPath, file.path).split(path.sep).join('/'),
+            hashContent(file.content)
+        ])),
+        fields
+    };
+    writeManifest(projectPath, manifest);
+}
+
+/**
+ * Get the field definitions recorded for a resource
+ * @param {string} projectPath - Project root
+ * @param {string} resourceName - Resource name, in any casing (route files are lowercase)
+ * @returns {{resourceName: string, fields: Array<object>}|null} Resource name as recorded
+ *   (e.g. 'OrderItem') and its fields, or null for resources generated by older versions
+ * @throws {Error} If the manifest exists but is not valid JSON
+ */
+export function getRecordedFields(projectPath, resourceName) {
+    const { resources } = readManifest(projectPath);
+    const recordedName = Object.keys(resources).find(name => name.toLowerCase() === resourceName.toLowerCase());
+    if (!recordedName || !Array.isArray(resources[recordedName].fields)) {
+        return null;
+    }
+    return { resourceName: recordedName, fields: resources[recordedName].fields };
+}
+
+/**
+ * Remove a resource from the manifest
+ * @param {string} projectPath - Project root
+ * @param {string} resourceName - Resource name
+ * @returns {boolean} True if the resource was recorded
+ */
+export function forgetResource(projectPath, resourceName) {
+    const manifest = readManifest(projectPath);
+    if (!manifest.resources[resourceName]) {
+        return false;
+    }
+    delete manifest.resources[resourceName];
+    writeManifest(projectPath, manifest);
+    return true;
+}
+
+/**
+ * Compare a resource's files on disk with the hashes recorded at generation
+ * @param {string} projectPath - Project root
+ * @param {string} resourceName - Resource name
+ * @param {Array<string>} relativePaths - Files to check (relative to the project root)
+ * @returns {Array<{path: string, status: string}>} Status per existing file:
+ *   'unchanged', 'modified' or 'untracked' (not recorded in the manifest)
+ */
+export function getGeneratedFileStatus(projectPath, resourceName, relativePaths) {
+    const recorded = readManifest(projectPath).resources[resourceName]?.files || {};
+
+    return relativePaths
+        .filter(relativePath => fs.existsSync(path.join(projectPath, relativePath)))
+        .map(relativePath => {
+            const filePath = validatePath(path.join(projectPath, relativePath));
+            if (!isPathInProject(filePath, projectPath)) {
+                throw new Error('Security: File path is outside project directory');
+            }
+            if (!recorded[relativePath]) {
+                return { path: relativePath, status: 'untracked' };
+            }
+            const unchanged = hashContent(readFileSafe(filePath, projectPath)) === recorded[relativePath];
+            return { path: relativePath, status: unchanged ? 'unchanged' : 'modified' };
+        });
+}
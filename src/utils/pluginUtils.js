@@ -0,0 +1,230 @@
+// Plugin API
+// npm packages named lazy-crud-plugin-* (or @scope/lazy-crud-plugin-*) listed in a project's
+// package.json are loaded by the generators. A plugin default-exports
+// { apiVersion, register(api) }; everything it may use is on the api object, so plugins
+// never import from src/. Bump PLUGIN_API_VERSION when the api object changes incompatibly.
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { isPathInProject } from '../validators/index.js';
+import { addWriteHook, writeFile, readFileSafe } from './fileUtils.js';
+import { getProjectConfig } from './projectUtils.js';
+
+export const PLUGIN_API_VERSION = 1;
+
+const PLUGIN_NAME_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?lazy-crud-plugin-[a-z0-9-._~]+$/;
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// Everything registered by the loaded plugins
+const loadedPlugins = [];
+const pluginCommands = new Map();
+const pluginDependencies = [];
+const pluginMiddleware = [];
+
+/**
+ * Resolve a registration that is either a value or a function of the generation context
+ * @param {object|Function} entry - Registered value or (context) => value
+ * @param {object} context - Generation context ({ database, isTypeScript })
+ * @returns {*} Resolved value
+ */
+function resolveEntry(entry, context) {
+    return typeof entry === 'function' ? entry(context) : entry;
+}
+
+/**
+ * Create the api object handed to a plugin's register()
+ * @param {string} pluginName - Package name of the plugin
+ * @param {string} projectPath - Directory the plugin was loaded for
+ * @returns {object} Frozen plugin API (version PLUGIN_API_VERSION)
+ */
+function createPluginApi(pluginName, projectPath) {
+    const toProjectPath = (relativePath) => {
+        const filePath = path.resolve(projectPath, relativePath);
+        if (!isPathInProject(filePath, projectPath)) {
+            throw new Error(`${pluginName}: ${relativePath} is outside the project directory`);
+        }
+        return filePath;
+    };
+
+    return Object.freeze({
+        version: PLUGIN_API_VERSION,
+        pluginName,
+        projectPath,
+
+        // Subcommands, run with: run-plugin <name> [args...]
+        addCommand(name, { description = '', usage = '', run } = {}) {
+            if (!COMMAND_NAME_PATTERN.test(name)) {
+                throw new Error(`${pluginName}: invalid command name "${name}"`);
+            }
+            if (typeof run !== 'function') {
+                throw new Error(`${pluginName}: command "${name}" needs a run(args) function`);
+            }
+            if (pluginCommands.has(name)) {
+                throw new Error(`${pluginName}: command "${name}" is already registered by ${pluginCommands.get(name).pluginName}`);
+            }
+            pluginCommands.set(name, { name, description, usage, run, pluginName });
+        },
+
+        // Generation pipeline
+        onBeforeWrite(hook) {
+            addWriteHook('beforeWrite', hook);
+        },
+        transformFile(hook) {
+            addWriteHook('transform', hook);
+        },
+        onAfterWrite(hook) {
+            addWriteHook('afterWrite', hook);
+        },
+        addDependencies(dependencies) {
+            pluginDependencies.push({ pluginName, dependencies, dev: false });
+        },
+        addDevDependencies(dependencies) {
+            pluginDependencies.push({ pluginName, dependencies, dev: true });
+        },
+        addMiddleware(middleware) {
+            pluginMiddleware.push({ pluginName, middleware });
+        },
+
+        // Project access
+        getProjectConfig() {
+            const { isTypeScript, database, extension, apiPrefix, resources } = getProjectConfig(projectPath);
+            return { isTypeScript, database, extension, apiPrefix, resources };
+        },
+        readFile(relativePath) {
+            return readFileSafe(toProjectPath(relativePath), projectPath);
+        },
+        writeFile(relativePath, content) {
+            writeFile(toProjectPath(relativePath), content);
+        },
+        log(message) {
+            console.log(`[${pluginName}] ${message}`);
+        }
+    });
+}
+
+/**
+ * List the plugin packages a project depends on
+ * @param {string} projectPath - Directory containing package.json
+ * @returns {Array<string>} Package names (sorted)
+ * @throws {Error} If package.json cannot be parsed
+ */
+export function findPluginPackages(projectPath = process.cwd()) {
+    const content = readFileSafe(path.join(projectPath, 'package.json'), projectPath);
+    if (content === null) {
+        return [];
+    }
+
+    let packageJson;
+    try {
+        packageJson = JSON.parse(content);
+    } catch {
+        throw new Error('package.json is not valid JSON');
+    }
+    const names = Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies });
+    return names.filter(name => PLUGIN_NAME_PATTERN.test(name)).sort();
+}
+
+/**
+ * Load and register the plugins a project depends on
+ * Safe to call more than once; each plugin is only registered the first time.
+ * @param {string} projectPath - Directory containing package.json and node_modules
+ * @returns {Promise<Array<{name: string, version: string|null}>>} Loaded plugins
+ * @throws {Error} If a plugin is not installed, invalid, or targets another API version
+ */
+export async function loadPlugins(projectPath = process.cwd()) {
+    const requireFromProject = createRequire(path.join(path.resolve(projectPath), 'package.json'));
+
+    for (const name of findPluginPackages(projectPath)) {
+        if (loadedPlugins.some(plugin => plugin.name === name)) {
+            continue;
+        }
+
+        let entryPath;
+        try {
+            entryPath = requireFromProject.resolve(name);
+        } catch {
+            throw new Error(`Plugin ${name} is listed in package.json but not installed. Run npm install`);
+        }
+
+        let plugin;
+        try {
+            plugin = (await import(pathToFileURL(entryPath).href)).default;
+        } catch (error) {
+            throw new Error(`Could not load plugin ${name}: ${error.message}`);
+        }
+        if (!plugin || typeof plugin.register !== 'function') {
+            throw new Error(`Plugin ${name} must default-export { apiVersion, register(api) }`);
+        }
+        if (plugin.apiVersion !== PLUGIN_API_VERSION) {
+            throw new Error(`Plugin ${name} targets plugin API version ${plugin.apiVersion}, but this version of lazy-express-crud provides version ${PLUGIN_API_VERSION}`);
+        }
+
+        let version = null;
+        try {
+            version = JSON.parse(fs.readFileSync(requireFromProject.resolve(`${name}/package.json`), 'utf8')).version || null;
+        } catch {
+            // packages with an "exports" map may hide their package.json
+        }
+
+        await plugin.register(createPluginApi(name, path.resolve(projectPath)));
+        loadedPlugins.push({ name, version });
+    }
+
+    return [...loadedPlugins];
+}
+
+/**
+ * Get the commands registered by plugins
+ * @returns {Array<{name: string, description: string, usage: string, pluginName: string, run: Function}>}
+ */
+export function getPluginCommands() {
+    return [...pluginCommands.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the dependencies plugins add to a new project's package.json
+ * @param {object} context - Generation context ({ database, isTypeScript })
+ * @returns {{dependencies: object, devDependencies: object}} Package versions keyed by name
+ */
+export function getPluginDependencies(context) {
+    const result = { dependencies: {}, devDependencies: {} };
+    for (const { dependencies, dev } of pluginDependencies) {
+        Object.assign(dev ? result.devDependencies : result.dependencies, resolveEntry(dependencies, context));
+    }
+    return result;
+}
+
+/**
+ * Add the middleware registered by plugins to a generated app
+ * Imports go after the app's last import, app.use() lines after the body parsers
+ * (indented like them, so they land inside createApp()).
+ * @param {string} appContent - Generated app.js/app.ts (server.js/server.ts before the app/server split)
+ * @param {object} context - Generation context ({ database, isTypeScript })
+ * @returns {string} App code with the plugin middleware
+ * @throws {Error} If the app has no body parser section to insert the middleware after
+ */
+export function addPluginMiddleware(appContent, context) {
+    const entries = pluginMiddleware.map(({ pluginName, middleware }) => ({ pluginName, ...resolveEntry(middleware, context) }));
+    if (entries.length === 0) {
+        return appContent;
+    }
+
+    const imports = entries.flatMap(entry => [].concat(entry.imports || []));
+    const uses = entries.flatMap(entry => [`// ${entry.pluginName}`, ...[].concat(entry.use || [])]);
+
+    const lines = appContent.split('\n');
+    let lastImport = -1;
+    lines.forEach((line, index) => {
+        if (/^import .* from '.*';$|^import '.*';$/.test(line)) lastImport = index;
+    });
+    const bodyParser = lines.findIndex(line => line.trimStart().startsWith('app.use(express.urlencoded('));
+    if (bodyParser === -1) {
+        throw new Error('Could not find where to register plugin middleware in the app file');
+    }
+
+    const indent = lines[bodyParser].match(/^\s*/)[0];
+    lines.splice(bodyParser + 1, 0, '', `${indent}// Plugin middleware`, ...uses.map(line => indent + line));
+    lines.splice(lastImport + 1, 0, ...imports);
+    return lines.join('\n');
+}
@@ -3,6 +3,7 @@ import fs from 'fs';
 import path from 'path';
 import { validatePath, isPathInProject } from '../validators/index.js';
 import { SECURITY_LIMITS } from '../config/security.js';
+import { loadProjectConfigFile } from './configUtils.js';
 
 /**
  * Read and parse package.json safely
@@ -40,10 +41,17 @@ export function readPackageJson(projectPath) {
 
 /**
  * Check if project is TypeScript
+ * Uses lazycrud.config.json when present, otherwise looks for typescript/tsx in devDependencies.
  * @param {string} projectPath - Path to project directory
  * @returns {boolean} True if TypeScript project
+ * @throws {Error} If lazycrud.config.json is invalid
  */
 export function isTypeScriptProject(projectPath = process.cwd()) {
+    const config = loadProjectConfigFile(projectPath);
+    if (config) {
+        return config.language === 'typescript';
+    }
+
     const packageJson = readPackageJson(projectPath);
     
     if (!packageJson) {
@@ -55,11 +63,18 @@ export function isTypeScriptProject(projectPath = process.cwd()) {
 }
 
 /**
- * Detect database type from package.json dependencies
+ * Detect database type
+ * Uses lazycrud.config.json when present, otherwise the database driver in package.json dependencies.
  * @param {string} projectPath - Path to project directory
- * @returns {string} Database type: 'mongodb', 'mysql', or 'memory'
+ * @returns {string} Database type: 'mongodb', 'mysql', 'postgres', 'sqlite', or 'memory'
+ * @throws {Error} If lazycrud.config.json is invalid
  */
 export function detectDatabase(projectPath = process.cwd()) {
+    const config = loadProjectConfigFile(projectPath);
+    if (config) {
+        return config.database;
+    }
+
     const packageJson = readPackageJson(projectPath);
     
     if (!packageJson) {
@@ -72,6 +87,10 @@ export function detectDatabase(projectPath = process.cwd()) {
         return 'mongodb';
     } else if (dependencies.mysql2) {
         return 'mysql';
+    } else if (dependencies.pg) {
+        return 'postgres';
+    } else if (dependencies['better-sqlite3']) {
+        return 'sqlite';
     } else {
         return 'memory';
     }
@@ -101,12 +120,29 @@ export function getProjectExtension(projectPath = process.cwd()) {
     return isTypeScriptProject(projectPath) ? 'ts' : 'js';
 }
 
+/**
+ * Find the file that mounts the project's routes and middleware
+ * Projects generated since the app/server split build the app in src/app.(js|ts)
+ * (createApp()) and only listen in src/server; older projects do both in src/server.
+ * @param {string} projectPath - Path to project directory
+ * @param {string} ext - File extension ('js' or 'ts')
+ * @returns {string} Path relative to the project root, with '/' separators
+ */
+export function getAppFilePath(projectPath = process.cwd(), ext = getProjectExtension(projectPath)) {
+    const appFile = `src/app.${ext}`;
+    return fs.existsSync(path.join(projectPath, appFile)) ? appFile : `src/server.${ext}`;
+}
+
 /**
  * Get project configuration
+ * Reads lazycrud.config.json (with its overrides applied) and falls back to
+ * detection from package.json for projects that have no config file.
  * @param {string} projectPath - Path to project directory
  * @returns {object} Project configuration object
+ * @throws {Error} If lazycrud.config.json is invalid
  */
 export function getProjectConfig(projectPath = process.cwd()) {
+    const config = loadProjectConfigFile(projectPath);
     const isTypeScript = isTypeScriptProject(projectPath);
     const database = detectDatabase(projectPath);
     const extension = isTypeScript ? 'ts' : 'js';
@@ -115,7 +151,10 @@ export function getProjectConfig(projectPath = process.cwd()) {
         isTypeScript,
         database,
         extension,
-        isExpress: isExpressProject(projectPath)
+        isExpress: isExpressProject(projectPath),
+        apiPrefix: config ? config.apiPrefix : '/api',
+        resources: config ? config.resources : null,
+        hasConfigFile: Boolean(config)
     };
 }
 
@@ -137,3 +176,64 @@ export function hasCrudStructure(projectPath = process.cwd()) {
            fs.existsSync(servicesDir) &&
            fs.existsSync(modelsDir);
 }
+
+/**
+ * List the files add-crud generates for a resource
+ * (shared files such as src/utils/listQuery and migrations are not included)
+ * @param {string} resourceName - Resource name (e.g., 'Product')
+ * @param {string} ext - File extension ('js' or 'ts')
+ * @returns {Array<string>} Paths relative to the project root, with '/' separators
+ */
+export function getResourceFilePaths(resourceName, ext = 'js') {
+    const resourceLower = resourceName.toLowerCase();
+    return [
+        `src/models/${resourceName}.${ext}`,
+        `src/services/${resourceLower}Service.${ext}`,
+        `src/controllers/${resourceLower}Controller.${ext}`,
+        `src/routes/${resourceLower}Routes.${ext}`,
+        `src/schemas/${resourceLower}Schema.${ext}`,
+        `tests/${resourceName}.test.${ext}`,
+        `src/graphql/${resourceLower}Graphql.${ext}`,
+        ...(ext === 'ts' ? [`src/types/${resourceName}.types.ts`] : [])
+    ];
+}
+
+/**
+ * Discover the resources mounted by a project from its src/routes/*Routes.(js|ts) files
+ * The auth routes file is flagged separately: it is mounted at '/api/auth' (not pluralized)
+ * and exposes register/login/me instead of CRUD endpoints.
+ * @param {string} projectPath - Path to project directory
+ * @returns {Array<{file: string, baseName: string, resourceName: string, routePath: string, isAuth: boolean}>}
+ *   Route resources, with routePath relative to /api (e.g. 'products')
+ * @throws {Error} If the routes directory cannot be read
+ */
+export function findRouteResources(projectPath = process.cwd()) {
+    const routesDir = path.join(projectPath, 'src', 'routes');
+    const validPattern = /^[a-zA-Z0-9_-]+Routes\.(js|ts)$/;
+
+    return fs.readdirSync(routesDir)
+        .filter(file => {
+            // Security: Check for valid filename pattern and that it is a file inside the project
+            const filePath = path.join(routesDir, file);
+            if (!validPattern.test(file) || !isPathInProject(filePath, projectPath)) {
+                return false;
+            }
+            try {
+                return fs.statSync(filePath).isFile();
+            } catch {
+                return false;
+            }
+        })
+        .map(file => {
+            const baseName = file.replace(/Routes\.(js|ts)$/, '').replace(/[^a-zA-Z0-9_-]/g, '');
+            const isAuth = baseName.toLowerCase() === 'auth';
+            return {
+                file,
+                baseName,
+                resourceName: baseName.charAt(0).toUpperCase() + baseName.slice(1),
+                routePath: isAuth ? 'auth' : baseName.toLowerCase() + 's',
+                isAuth
+            };
+        })
+        .filter(resource => resource.baseName.length > 0 && resource.baseName.length <= 100);
+}
@@ -1,6 +1,10 @@
 // User prompt utilities using readline
 import readline from 'readline';
 
+// Map from readline.Interface -> the stream its questions and menus are
+// written to, so a --dry-run --json report on stdout stays parseable.
+const promptOutputs = new WeakMap();
+
 /**
  * Create a readline interface.
  *
@@ -27,13 +31,26 @@ import readline from 'readline';
  * (`rl[Symbol.asyncIterator]()`), which is created once per interface and
  * buffers every 'line' event internally regardless of when `.next()` is
  * called, so piped multi-line input is never dropped.
+ * @param {NodeJS.WritableStream} output - Stream the questions are written to
+ *   (stderr keeps stdout free for a --dry-run report)
  * @returns {readline.Interface} Readline interface
  */
-export function createPromptInterface() {
-    return readline.createInterface({
+export function createPromptInterface(output = process.stdout) {
+    const rl = readline.createInterface({
         input: process.stdin,
-        output: process.stdout
+        output
     });
+    promptOutputs.set(rl, output);
+    return rl;
+}
+
+/**
+ * Write prompt text to the output stream of an interface
+ * @param {readline.Interface} rl - Readline interface the prompt belongs to
+ * @param {string} text - Text to write
+ */
+function writePrompt(rl, text) {
+    (promptOutputs.get(rl) ?? process.stdout).write(text);
 }
 
 // Map from readline.Interface -> its async line iterator, so repeated calls
@@ -51,7 +68,7 @@ function getLineIterator(rl) {
 }
 
 /**
- * Write a question/prompt to stdout and read the next line of input.
+ * Write a question/prompt to the interface's output and read the next line of input.
  * Rejects instead of hanging forever if stdin closes/ends before an answer
  * is provided (e.g. piped input with too few lines, or input from
  * /dev/null), so callers fail loudly instead of exiting silently with
@@ -62,7 +79,7 @@ function getLineIterator(rl) {
  */
 async function askQuestion(rl, question) {
     if (question) {
-        process.stdout.write(question);
+        writePrompt(rl, question);
     }
 
     const iterator = getLineIterator(rl);
@@ -112,9 +129,9 @@ export function promptChoice(title, options, defaultValue = null, rl) {
     const ownsInterface = !rl;
     const activeRl = rl || createPromptInterface();
 
-    console.log(`\n${title}`);
+    writePrompt(activeRl, `\n${title}\n`);
     options.forEach((option, index) => {
-        console.log(`${index + 1}. ${option.label}`);
+        writePrompt(activeRl, `${index + 1}. ${option.label}\n`);
     });
 
     const choiceNumbers = options.map((_, i) => String(i + 1)).join('/');
@@ -128,11 +145,11 @@ export function promptChoice(title, options, defaultValue = null, rl) {
             }
 
             if (defaultValue !== null) {
-                console.log(`Invalid choice. Using ${defaultValue} as default.`);
+                writePrompt(activeRl, `Invalid choice. Using ${defaultValue} as default.\n`);
                 return defaultValue;
             }
 
-            console.log('Invalid choice.');
+            writePrompt(activeRl, 'Invalid choice.\n');
             return null;
         })
         .finally(() => {
@@ -162,7 +179,7 @@ export async function promptLanguage(rl) {
 /**
  * Ask user to choose database
  * @param {readline.Interface} [rl] - Optional shared readline interface (see `prompt`)
- * @returns {Promise<string>} 'mongodb', 'mysql', or 'memory'
+ * @returns {Promise<string>} 'mongodb', 'mysql', 'memory', 'postgres', or 'sqlite'
  */
 export async function promptDatabase(rl) {
     return promptChoice(
@@ -170,7 +187,9 @@ export async function promptDatabase(rl) {
         [
             { value: 'mongodb', label: 'MongoDB (NoSQL)' },
             { value: 'mysql', label: 'MySQL (SQL)' },
-            { value: 'memory', label: 'In-Memory (No database - for demo)' }
+            { value: 'memory', label: 'In-Memory (No database - for demo)' },
+            { value: 'postgres', label: 'PostgreSQL (SQL)' },
+            { value: 'sqlite', label: 'SQLite (File-based SQL - no server needed)' }
         ],
         'memory',
         rl
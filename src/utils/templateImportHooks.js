@@ -0,0 +1,33 @@
+// Module resolution hooks for template overrides (registered by loadTemplateOverrides)
+// Ejected templates import the bundled layers as 'lazy-express-crud/src/...'; those
+// specifiers resolve to the lazy-express-crud that is running, wherever it is installed.
+
+let packageName = null;
+let packageRoot = null;
+
+/**
+ * Receive the package to resolve to
+ * @param {{packageName: string, packageRoot: string}} data - Package name and root directory URL (with a trailing slash)
+ */
+export function initialize(data) {
+    packageName = data.packageName;
+    packageRoot = data.packageRoot;
+}
+
+/**
+ * Resolve '<packageName>/<path>' inside the running package, everything else as usual
+ * @param {string} specifier - Import specifier
+ * @param {object} context - Resolution context
+ * @param {Function} nextResolve - Next resolve hook
+ * @returns {Promise<object>} Resolution result
+ */
+export async function resolve(specifier, context, nextResolve) {
+    if (packageRoot && specifier.startsWith(`${packageName}/`)) {
+        const url = new URL(specifier.slice(packageName.length + 1), packageRoot);
+        // Paths that climb out of the package resolve like any other package import
+        if (url.href.startsWith(packageRoot)) {
+            return nextResolve(url.href, context);
+        }
+    }
+    return nextResolve(specifier, context);
+}
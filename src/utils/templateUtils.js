@@ -0,0 +1,294 @@
+// Template overrides
+// A project can replace any function exported by a template layer (src/templates/<layer>/index.js)
+// by dropping a file into .lazycrud/templates/<layer>: a JS module exporting functions with the
+// same names and signatures, or an EJS/Handlebars file named after the template. Layers look up
+// overrides every time a template is called and fall back to the bundled function.
+import fs from 'fs';
+import path from 'path';
+import nodeModule, { createRequire } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { isPathInProject } from '../validators/pathValidators.js';
+
+export const TEMPLATES_DIR = '.lazycrud/templates';
+
+// Layers whose index.js is built with defineTemplateLayer()
+export const TEMPLATE_LAYERS = [
+    'addResource',
+    'auth',
+    'docker',
+    'graphql',
+    'javascript',
+    'middlewares',
+    'migrations',
+    'project',
+    'shared',
+    'typescript',
+    'utils'
+];
+
+const bundledTemplatesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates');
+const packageDir = path.join(bundledTemplatesDir, '..', '..');
+const packageJson = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+
+let importHooksRegistered = false;
+
+// layer -> everything its index.js exports (functions and constants)
+const bundledLayers = new Map();
+// 'layer/name' -> override function
+const templateOverrides = new Map();
+
+// Engines are loaded from the project's node_modules; lazy-express-crud has no dependencies
+const TEMPLATE_ENGINES = {
+    '.ejs': {
+        packageName: 'ejs',
+        // Generated code must not be HTML-escaped, so <%= %> prints values as-is
+        compile: (ejs, source) => (data) => ejs.render(source, data, { escape: String })
+    },
+    '.hbs': {
+        packageName: 'handlebars',
+        compile: (handlebars, source) => handlebars.compile(source, { noEscape: true })
+    }
+};
+
+/**
+ * Get the override for a template, or the bundled function
+ * @param {string} layer - Template layer (e.g., 'shared')
+ * @param {string} name - Template function name (e.g., 'generateControllerMethod')
+ * @param {Function} bundled - Bundled implementation
+ * @returns {Function} Function to call
+ */
+export function resolveTemplate(layer, name, bundled) {
+    return templateOverrides.get(`${layer}/${name}`) || bundled;
+}
+
+/**
+ * Register a layer's templates and wrap them so overrides take effect
+ * Used by the index.js of every layer in TEMPLATE_LAYERS.
+ * @param {string} layer - Template layer name
+ * @param {...object} modules - Module namespaces of the layer
+ * @returns {object} Exports of the modules, with functions resolved through resolveTemplate()
+ */
+export function defineTemplateLayer(layer, ...modules) {
+    const templates = Object.assign({}, ...modules);
+    const exported = {};
+
+    for (const [name, value] of Object.entries(templates)) {
+        if (typeof value !== 'function') {
+            exported[name] = value;
+            continue;
+        }
+        const wrapper = (...args) => resolveTemplate(layer, name, value)(...args);
+        Object.defineProperty(wrapper, 'name', { value: name });
+        exported[name] = wrapper;
+    }
+
+    bundledLayers.set(layer, templates);
+    return exported;
+}
+
+/**
+ * Get the bundled exports of a layer
+ * @param {string} layer - Template layer name
+ * @returns {Promise<object>} Exports keyed by name (unwrapped)
+ * @throws {Error} If the layer does not exist
+ */
+export async function getBundledTemplates(layer) {
+    if (!TEMPLATE_LAYERS.includes(layer)) {
+        throw new Error(`Unknown template layer "${layer}". Available layers: ${TEMPLATE_LAYERS.join(', ')}`);
+    }
+    if (!bundledLayers.has(layer)) {
+        await import(pathToFileURL(path.join(bundledTemplatesDir, layer, 'index.js')).href);
+    }
+    return bundledLayers.get(layer);
+}
+
+/**
+ * Read the parameter names of a function (destructured parameters are skipped)
+ * @param {Function} fn - Function to inspect
+ * @returns {Array<string|null>} Parameter names by position
+ */
+function getParameterNames(fn) {
+    const source = fn.toString();
+    const start = source.indexOf('(') + 1;
+    const parameters = [];
+    let depth = 0;
+    let current = '';
+
+    for (let index = start; index < source.length; index++) {
+        const char = source[index];
+        if (depth === 0 && (char === ',' || char === ')')) {
+            parameters.push(current.trim());
+            current = '';
+            if (char === ')') break;
+            continue;
+        }
+        if ('([{'.includes(char)) depth++;
+        if (')]}'.includes(char)) depth--;
+        current += char;
+    }
+
+    return parameters
+        .filter(parameter => parameter !== '')
+        .map(parameter => (parameter.match(/^[A-Za-z_$][\w$]*/) || [null])[0]);
+}
+
+/**
+ * Compile an EJS/Handlebars override into a template function
+ * The template sees the arguments by the bundled function's parameter names, plus `args`.
+ * @param {string} filePath - Template file
+ * @param {string} relativePath - Path shown in error messages
+ * @param {Function} bundled - Bundled function with the same name
+ * @param {string} projectPath - Project root (engines are resolved from its node_modules)
+ * @returns {Function} Template function
+ */
+function compileTemplateFile(filePath, relativePath, bundled, projectPath) {
+    const { packageName, compile } = TEMPLATE_ENGINES[path.extname(filePath)];
+    let engine;
+    try {
+        engine = createRequire(path.join(projectPath, 'package.json'))(packageName);
+    } catch {
+        throw new Error(`${relativePath} needs the "${packageName}" package. Install it with: npm install --save-dev ${packageName}`);
+    }
+
+    const render = compile(engine, fs.readFileSync(filePath, 'utf8'));
+    const parameterNames = getParameterNames(bundled);
+    return (...args) => {
+        const data = { args };
+        parameterNames.forEach((name, index) => {
+            if (name) data[name] = args[index];
+        });
+        return render(data);
+    };
+}
+
+/**
+ * Let ejected templates import the bundled layers as 'lazy-express-crud/src/...'
+ * The specifiers resolve to this package (see templateImportHooks.js), so ejected files work on
+ * every machine and after upgrades. Without module.register (Node < 20.6), they resolve from the
+ * project's node_modules like any package import.
+ */
+function registerTemplateImportHooks() {
+    if (importHooksRegistered || typeof nodeModule.register !== 'function') {
+        return;
+    }
+    nodeModule.register(new URL('./templateImportHooks.js', import.meta.url), {
+        data: { packageName: packageJson.name, packageRoot: pathToFileURL(`${packageDir}${path.sep}`).href }
+    });
+    importHooksRegistered = true;
+}
+
+/**
+ * Load the template overrides of a project
+ * @param {string} projectPath - Directory containing .lazycrud/templates
+ * @returns {Promise<Array<{layer: string, name: string, file: string}>>} Overrides now in effect
+ * @throws {Error} If an override file cannot be loaded or does not match a bundled template
+ */
+export async function loadTemplateOverrides(projectPath = process.cwd()) {
+    const templatesDir = path.join(projectPath, TEMPLATES_DIR);
+    if (!fs.existsSync(templatesDir)) {
+        return [];
+    }
+
+    const loaded = [];
+    for (const layer of fs.readdirSync(templatesDir).sort()) {
+        const layerDir = path.join(templatesDir, layer);
+        if (!fs.statSync(layerDir).isDirectory()) {
+            continue;
+        }
+        if (!TEMPLATE_LAYERS.includes(layer)) {
+            throw new Error(`Unknown template layer "${layer}" in ${TEMPLATES_DIR}. Available layers: ${TEMPLATE_LAYERS.join(', ')}`);
+        }
+        const bundled = await getBundledTemplates(layer);
+
+        for (const fileName of fs.readdirSync(layerDir).sort()) {
+            const filePath = path.join(layerDir, fileName);
+            const relativePath = `${TEMPLATES_DIR}/${layer}/${fileName}`;
+            const extension = path.extname(fileName);
+            if (!isPathInProject(filePath, projectPath)) {
+                throw new Error(`Security: ${relativePath} is outside the project directory`);
+            }
+
+            let templates;
+            if (extension === '.js' || extension === '.mjs') {
+                let module;
+                try {
+                    registerTemplateImportHooks();
+                    module = await import(pathToFileURL(filePath).href);
+                } catch (error) {
+                    throw new Error(`Could not load ${relativePath}: ${error.message}`);
+                }
+                // A default export is named after the file (e.g. getServerTemplate.js)
+                templates = Object.fromEntries(Object.entries(module).map(([name, value]) =>
+                    [name === 'default' ? path.basename(fileName, extension) : name, value]));
+            } else if (TEMPLATE_ENGINES[extension]) {
+                const name = path.basename(fileName, extension);
+                if (typeof bundled[name] !== 'function') {
+                    throw new Error(`${relativePath} does not match a template of the ${layer} layer`);
+                }
+                templates = { [name]: compileTemplateFile(filePath, relativePath, bundled[name], projectPath) };
+            } else {
+                continue;
+            }
+
+            for (const [name, template] of Object.entries(templates)) {
+                if (!(name in bundled)) {
+                    throw new Error(`${relativePath} exports "${name}", which is not a template of the ${layer} layer`);
+                }
+                // Constants copied along by eject-templates are not overridable
+                if (typeof bundled[name] !== 'function') {
+                    continue;
+                }
+                if (typeof template !== 'function') {
+                    throw new Error(`${relativePath}: "${name}" must be a function`);
+                }
+                templateOverrides.set(`${layer}/${name}`, template);
+                loaded.push({ layer, name, file: relativePath });
+            }
+        }
+    }
+
+    return loaded;
+}
+
+/**
+ * Get copies of a layer's bundled source files for editing
+ * Imports of other layers and utilities are rewritten to 'lazy-express-crud/src/...',
+ * so ejected files keep working outside src/templates (see registerTemplateImportHooks).
+ * @param {string} layer - Template layer name
+ * @returns {Promise<Array<{fileName: string, content: string}>>} Files to write to .lazycrud/templates/<layer>
+ * @throws {Error} If the layer does not exist
+ */
+export async function getEjectedTemplateFiles(layer) {
+    await getBundledTemplates(layer);
+    const layerDir = path.join(bundledTemplatesDir, layer);
+
+    return fs.readdirSync(layerDir)
+        .filter(fileName => fileName.endsWith('.js') && fileName !== 'index.js')
+        .sort()
+        .map(fileName => {
+            const lines = fs.readFileSync(path.join(layerDir, fileName), 'utf8').split('\n');
+            // Only the file's own import block; generated code further down also contains imports
+            for (let index = 0; index < lines.length; index++) {
+                const line = lines[index];
+                const importMatch = line.match(/^(import .* from ')([^']+)(';?)$/);
+                if (importMatch) {
+                    // Packages and node built-ins (e.g. 'http') resolve from anywhere
+                    const target = path.resolve(layerDir, importMatch[2]);
+                    if (/^\.\.?\//.test(importMatch[2]) && path.dirname(target) !== layerDir) {
+                        const specifier = `${packageJson.name}/${path.relative(packageDir, target).split(path.sep).join('/')}`;
+                        lines[index] = `${importMatch[1]}${specifier}${importMatch[3]}`;
+                    }
+                } else if (line.trim() !== '' && !/^\s*(\/\/|\/\*|\*)/.test(line)) {
+                    break;
+                }
+            }
+
+            const header = [
+                `// Ejected from lazy-express-crud ${packageJson.version} (src/templates/${layer}/${fileName})`,
+                '// Exported functions replace the bundled templates with the same name; delete the ones',
+                '// you do not change. Run eject-templates again after upgrading to pick up new defaults.',
+                ''
+            ];
+            return { fileName, content: [...header, ...lines].join('\n') };
+        });
+}
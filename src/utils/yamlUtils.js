@@ -0,0 +1,64 @@
+// YAML serialization utilities
+// A small emitter for JSON-compatible data (objects, arrays, strings, numbers,
+// booleans, null), enough to write OpenAPI documents without a YAML dependency
+
+// Words a YAML parser would read as booleans or null when left unquoted
+const RESERVED_SCALARS = ['true', 'false', 'yes', 'no', 'on', 'off', 'null', '~', 'y', 'n'];
+
+function formatScalar(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value !== 'string') {
+        return String(value);
+    }
+    // Plain scalars are limited to a safe character set; anything else is written
+    // as a JSON string, which is also a valid YAML double-quoted scalar
+    const isPlain = /^[A-Za-z_][\w./-]*$/.test(value) && !RESERVED_SCALARS.includes(value.toLowerCase());
+    return isPlain ? value : JSON.stringify(value);
+}
+
+function isEmptyCollection(value) {
+    return value !== null && typeof value === 'object' && Object.keys(value).length === 0;
+}
+
+function formatValue(value, indent) {
+    if (isEmptyCollection(value)) {
+        return ` ${Array.isArray(value) ? '[]' : '{}'}`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `\n${formatBlock(value, indent + 1)}`;
+    }
+    return ` ${formatScalar(value)}`;
+}
+
+function formatBlock(value, indent) {
+    const pad = '  '.repeat(indent);
+
+    if (Array.isArray(value)) {
+        return value.map(item => {
+            if (item !== null && typeof item === 'object' && !isEmptyCollection(item)) {
+                // The first key of an object item shares the line with the dash
+                return `${pad}- ${formatBlock(item, indent + 1).trimStart()}`;
+            }
+            return `${pad}-${formatValue(item, indent)}`;
+        }).join('\n');
+    }
+
+    return Object.entries(value)
+        .filter(([, entry]) => entry !== undefined)
+        .map(([key, entry]) => `${pad}${formatScalar(key)}:${formatValue(entry, indent)}`)
+        .join('\n');
+}
+
+/**
+ * Serialize JSON-compatible data as a YAML document
+ * @param {object|Array} value - Data to serialize (undefined object values are skipped)
+ * @returns {string} YAML text ending with a newline
+ */
+export function toYaml(value) {
+    if (value === null || typeof value !== 'object' || isEmptyCollection(value)) {
+        return `${formatValue(value, 0).trimStart()}\n`;
+    }
+    return `${formatBlock(value, 0)}\n`;
+}
@@ -2,4 +2,4 @@
 // Central export for all validation functions
 
 export { validatePath, isPathInProject } from './pathValidators.js';
-export { validateResourceName, validateProjectName } from './nameValidators.js';
+export { validateResourceName, validateProjectName, validateFieldName } from './nameValidators.js';
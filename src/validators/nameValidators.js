@@ -65,3 +65,37 @@ export function validateProjectName(name) {
 
     return true;
 }
+
+/**
+ * Validate a resource field name (camelCase, used as a model property and DB column)
+ * @param {string} name - Field name to validate
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateFieldName(name) {
+    // Check length (prevent DoS)
+    if (!name || name.length < SECURITY_LIMITS.MIN_FIELD_NAME_LENGTH ||
+        name.length > SECURITY_LIMITS.MAX_FIELD_NAME_LENGTH) {
+        throw new Error(`Field name must be between ${SECURITY_LIMITS.MIN_FIELD_NAME_LENGTH} and ${SECURITY_LIMITS.MAX_FIELD_NAME_LENGTH} characters`);
+    }
+
+    // Check for dangerous patterns
+    checkDangerousPatterns(name);
+
+    // Check for valid camelCase pattern
+    const validPattern = /^[a-z][a-zA-Z0-9]*$/;
+    if (!validPattern.test(name)) {
+        throw new Error(`Field name "${name}" must be in camelCase (e.g., title, unitPrice)`);
+    }
+
+    // Prevent reserved keywords and fields managed by the generated models
+    if (RESERVED_NAMES.resources.includes(name.toLowerCase()) || RESERVED_NAMES.fields.includes(name)) {
+        throw new Error(`"${name}" is a reserved name and cannot be used as a field name`);
+    }
+
+    if (RESERVED_NAMES.listQuery.includes(name)) {
+        throw new Error(`"${name}" is a query parameter of the list endpoint (?${name}=) and cannot be used as a field name`);
+    }
+
+    return true;
+}
@@ -0,0 +1,310 @@
+/**
+ * Helpers shared by the test-*.js files
+ * Not a test itself: run-all.js only runs the files it lists.
+ *
+ * Besides scaffolding projects, the helpers install a generated project's
+ * dependencies (cached in the OS temp directory, keyed by the dependency list),
+ * start its app on a free port and type-check TypeScript projects, so tests
+ * check what the generated code does rather than how it is written.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawn, spawnSync } from 'child_process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const createScript = path.join(__dirname, '..', 'generateExpressCrud.js');
+const dependencyCache = path.join(os.tmpdir(), 'lazycrud-test-deps');
+
+// Stands in for the MySQL pool of src/config/database.js: records the queries
+// the models send (counts are 0, SELECTs find no rows, writes affect one row with id 7).
+// Transactions of pool.getConnection() are recorded as BEGIN, COMMIT and ROLLBACK.
+const RECORDING_POOL = `export const queries = [];
+
+const answer = (sql) => {
+    if (sql.startsWith('SELECT COUNT')) return [{ total: 0 }];
+    return sql.startsWith('SELECT') ? [] : { insertId: 7, affectedRows: 1 };
+};
+
+const query = async (sql, values) => {
+    queries.push({ sql, values });
+    return [answer(sql)];
+};
+
+export default {
+    query,
+    getConnection: async () => ({
+        query,
+        beginTransaction: () => query('BEGIN'),
+        commit: () => query('COMMIT'),
+        rollback: () => query('ROLLBACK'),
+        release: () => {}
+    })
+};
+`;
+
+// Stands in for the pg pool of src/config/database.js: pg-mem, with the tables
+// of the project's migrations
+const PG_MEM_DATABASE = `import fs from 'fs';
+import { newDb } from 'pg-mem';
+
+const { Pool } = newDb().adapters.createPg();
+const db = new Pool();
+
+for (const file of fs.readdirSync('migrations').sort()) {
+    await db.query(fs.readFileSync('migrations/' + file, 'utf8').split('-- migrate:down')[0]);
+}
+
+export const pingDatabase = async () => {
+    await db.query('SELECT 1');
+};
+
+export const closeDatabase = async () => {
+    await db.end();
+};
+
+export default db;
+`;
+
+// Loads .env like src/server.js, listens with the app of src/app.js on a free port and prints the port
+const START_APP_SCRIPT = `import 'dotenv/config';
+import { createApp } from './src/app.js';
+
+const server = createApp().listen(0, '127.0.0.1', () => console.log('listening on ' + server.address().port));
+`;
+
+/**
+ * Fail the test with a message
+ * @param {*} condition - Passes when truthy
+ * @param {string} message - Error message otherwise
+ */
+export function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * Run a CLI script with the current Node
+ * @param {string} script - Script path
+ * @param {string[]} args - Arguments
+ * @param {string} cwd - Working directory
+ * @param {string} [input] - Piped stdin
+ * @returns {import('child_process').SpawnSyncReturns<string>} Result (status, stdout, stderr)
+ */
+export function run(script, args, cwd, input) {
+    return spawnSync(process.execPath, [script, ...args], { cwd, input, encoding: 'utf-8' });
+}
+
+/**
+ * Run a CLI script that must succeed (see run)
+ * @param {string} script - Script path
+ * @param {string[]} args - Arguments
+ * @param {string} cwd - Working directory
+ * @param {string} [input] - Piped stdin
+ * @returns {import('child_process').SpawnSyncReturns<string>} Result
+ */
+export function runOk(script, args, cwd, input) {
+    const result = run(script, args, cwd, input);
+    assert(result.status === 0, `${path.basename(script)} ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+/**
+ * Read a file of a generated project
+ * @param {string} projectPath - Project directory
+ * @param {string} relativePath - Path inside the project
+ * @returns {string} File content
+ */
+export function read(projectPath, relativePath) {
+    return fs.readFileSync(path.join(projectPath, relativePath), 'utf8');
+}
+
+/**
+ * Write a file into a project, creating its directories
+ * @param {string} projectPath - Project directory
+ * @param {string} relativePath - Path inside the project
+ * @param {string} content - File content
+ */
+export function write(projectPath, relativePath, content) {
+    fs.mkdirSync(path.dirname(path.join(projectPath, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(projectPath, relativePath), content);
+}
+
+/**
+ * Check that a generated JavaScript file parses (node --check)
+ * @param {string} filePath - File path
+ */
+export function checkSyntax(filePath) {
+    const result = spawnSync(process.execPath, ['--check', filePath], { encoding: 'utf-8' });
+    assert(result.status === 0, `Generated file has syntax errors: ${path.basename(filePath)}\n${result.stderr}`);
+}
+
+/**
+ * Scaffold a fresh project in the current directory with lazy-crud
+ * @param {string} projectName - Project name (an existing directory is removed first)
+ * @param {string} language - 'javascript' or 'typescript'
+ * @param {string} db - Database choice
+ * @param {string[]} [extraArgs] - More lazy-crud options, e.g. ['--graphql']
+ * @returns {string} Project directory
+ */
+export function createProject(projectName, language, db, extraArgs = []) {
+    const projectPath = path.join(process.cwd(), projectName);
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    runOk(createScript, [projectName, `--lang=${language}`, `--db=${db}`, ...extraArgs], process.cwd());
+    return projectPath;
+}
+
+/**
+ * Install a generated project's dependencies
+ * Each dependency list is installed once into the OS temp directory and linked
+ * into the project as node_modules, so later runs and projects reuse it.
+ * @param {string} projectPath - Project directory
+ * @param {Object} [options]
+ * @param {boolean} [options.dev] - Also install devDependencies (TypeScript, @types)
+ * @param {Object} [options.extra] - More packages the test needs, e.g. { 'pg-mem': '^3.0.0' }
+ */
+export function installDependencies(projectPath, { dev = false, extra = {} } = {}) {
+    const packageJson = JSON.parse(read(projectPath, 'package.json'));
+    const dependencies = {
+        dependencies: { ...packageJson.dependencies, ...extra },
+        ...(dev && { devDependencies: packageJson.devDependencies })
+    };
+    const key = createHash('sha256').update(JSON.stringify(dependencies)).digest('hex').slice(0, 16);
+    const cachePath = path.join(dependencyCache, key);
+
+    if (!fs.existsSync(path.join(cachePath, 'node_modules'))) {
+        // Install next to the cache entry and rename it, so an interrupted install is never reused
+        const installPath = `${cachePath}-${process.pid}`;
+        fs.rmSync(installPath, { recursive: true, force: true });
+        write(installPath, 'package.json', JSON.stringify({ name: 'lazycrud-test-deps', private: true, ...dependencies }, null, 2));
+        const result = spawnSync('npm', ['install', '--no-audit', '--no-fund', '--loglevel=error'], {
+            cwd: installPath,
+            encoding: 'utf-8',
+            shell: process.platform === 'win32'
+        });
+        assert(result.status === 0, `npm install failed for ${path.basename(projectPath)}:\n${result.stdout}${result.stderr}`);
+        fs.rmSync(cachePath, { recursive: true, force: true });
+        fs.renameSync(installPath, cachePath);
+    }
+
+    fs.rmSync(path.join(projectPath, 'node_modules'), { recursive: true, force: true });
+    fs.symlinkSync(path.join(cachePath, 'node_modules'), path.join(projectPath, 'node_modules'), 'junction');
+}
+
+/**
+ * Type-check a generated TypeScript project (tsc --noEmit)
+ * Needs installDependencies(projectPath, { dev: true }) first.
+ * @param {string} projectPath - Project directory
+ */
+export function typeCheck(projectPath) {
+    const tsc = path.join(projectPath, 'node_modules', 'typescript', 'bin', 'tsc');
+    const result = spawnSync(process.execPath, [tsc, '--noEmit', '-p', projectPath], { encoding: 'utf-8' });
+    assert(result.status === 0, `tsc found errors in ${path.basename(projectPath)}:\n${result.stdout}${result.stderr}`);
+}
+
+/**
+ * Start the app of a generated JavaScript project on a free port
+ * Needs installDependencies(projectPath) first. The server is stopped with
+ * stop(), and at the latest when the test process exits.
+ * @param {string} projectPath - Project directory
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<{request: Function, stop: Function}>} request(method, path, body, headers)
+ *   resolves to { status, headers, body } (body parsed as JSON when it is JSON)
+ */
+export async function startApp(projectPath, env = {}) {
+    write(projectPath, 'start-test-app.js', START_APP_SCRIPT);
+    const child = spawn(process.execPath, ['start-test-app.js'], {
+        cwd: projectPath,
+        env: { ...process.env, NODE_ENV: 'test', ...env }
+    });
+    const stop = () => child.kill();
+    process.on('exit', stop);
+
+    let output = '';
+    const port = await new Promise((resolve, reject) => {
+        child.stdout.on('data', (chunk) => {
+            output += chunk;
+            const match = output.match(/listening on (\d+)/);
+            if (match) {
+                resolve(match[1]);
+            }
+        });
+        child.stderr.on('data', (chunk) => { output += chunk; });
+        child.on('exit', (code) => reject(new Error(`${path.basename(projectPath)} exited with code ${code}:\n${output}`)));
+    });
+
+    const request = async (method, urlPath, body, headers = {}) => {
+        const response = await fetch(`http://127.0.0.1:${port}${urlPath}`, {
+            method,
+            headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch {
+            // Not JSON: keep the text
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    };
+
+    return { request, stop };
+}
+
+/**
+ * Run the Jest suite a project was generated with
+ * Needs installDependencies(projectPath, { dev: true }) first.
+ * @param {string} projectPath - Project directory
+ * @param {string[]} [args] - More Jest arguments, e.g. a test file
+ */
+export function runJest(projectPath, args = []) {
+    const jest = path.join(projectPath, 'node_modules', 'jest', 'bin', 'jest.js');
+    const result = spawnSync(process.execPath, ['--experimental-vm-modules', jest, '--ci', ...args], {
+        cwd: projectPath,
+        encoding: 'utf-8',
+        env: { ...process.env, NODE_ENV: 'test' }
+    });
+    assert(result.status === 0, `Generated Jest suite failed in ${path.basename(projectPath)}:\n${result.stdout}${result.stderr}`);
+}
+
+/**
+ * Run a module inside a project and return what it printed as JSON
+ * Lets tests import generated modules (models, schemas) and report on them.
+ * @param {string} projectPath - Project directory
+ * @param {string} source - ES module source; its last line of output is the result, as JSON
+ * @returns {*} Parsed result
+ */
+export function runModule(projectPath, source) {
+    write(projectPath, 'module-check.js', source);
+    const result = spawnSync(process.execPath, ['module-check.js'], { cwd: projectPath, encoding: 'utf-8' });
+    assert(result.status === 0, `Module check failed in ${path.basename(projectPath)}:\n${result.stdout}${result.stderr}`);
+    return JSON.parse(result.stdout.trim().split('\n').at(-1));
+}
+
+/**
+ * Replace a MySQL project's pool with one that records the queries
+ * Modules run with runModule can import { queries } from './src/config/database.js'.
+ * @param {string} projectPath - Project directory
+ */
+export function useRecordingPool(projectPath) {
+    write(projectPath, 'src/config/database.js', RECORDING_POOL);
+}
+
+/**
+ * Install a PostgreSQL project's dependencies and run it against pg-mem
+ * The pool of src/config/database.js is replaced with an in-memory database
+ * holding the tables of the project's migrations/*.sql files.
+ * @param {string} projectPath - Project directory
+ */
+export function usePgMem(projectPath) {
+    installDependencies(projectPath, { extra: { 'pg-mem': '^3.0.14' } });
+    write(projectPath, 'src/config/database.js', PG_MEM_DATABASE);
+}
@@ -20,7 +20,31 @@ const testFiles = [
     'test-crud-mysql-ts.js',
     'test-docker-typescript.js',
     'test-add-crud-ts-import.js',
-    'test-cli-piped-stdin.js'
+    'test-cli-piped-stdin.js',
+    'test-add-crud-fields.js',
+    'test-crud-postgres.js',
+    'test-crud-sqlite.js',
+    'test-migrations.js',
+    'test-list-query.js',
+    'test-openapi.js',
+    'test-add-auth.js',
+    'test-protect.js',
+    'test-remove-crud.js',
+    'test-dry-run.js',
+    'test-config.js',
+    'test-templates.js',
+    'test-plugins.js',
+    'test-cli.js',
+    'test-relations.js',
+    'test-soft-delete.js',
+    'test-validation.js',
+    'test-errors.js',
+    'test-logging.js',
+    'test-health.js',
+    'test-app-config.js',
+    'test-graphql.js',
+    'test-bulk.js',
+    'test-patch.js'
 ];
 
 let failed = 0;
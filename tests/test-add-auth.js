@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Automated add-auth testing
+ * Creates projects for each database through the CLI, runs add-auth and checks
+ * that the User and RefreshToken models are stored in the project's database
+ * (with a migration for MySQL/PostgreSQL) and that the auth files and the
+ * Postman entries are wired together. A SQLite project is started to run
+ * register, login, refresh token rotation, reuse detection and logout.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+import { assert, runOk, read, checkSyntax, createProject, installDependencies, startApp } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const addAuthScript = path.join(rootDir, 'generateAuth.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const postmanScript = path.join(rootDir, 'generatePostmanCollection.js');
+
+function createAuthProject(projectName, language, db) {
+    const projectPath = createProject(projectName, language, db);
+    runOk(addAuthScript, [], projectPath);
+    return projectPath;
+}
+
+console.log('🚀 Starting automated add-auth test...\n');
+
+try {
+    // --- MongoDB: Mongoose schema with a unique email ---
+    {
+        const projectPath = createAuthProject('test-auth-mongodb', 'javascript', 'mongodb');
+        const model = read(projectPath, 'src/models/User.js');
+        assert(model.includes("import mongoose from 'mongoose';"), 'MongoDB User model does not use mongoose');
+        assert(model.includes('email: { type: String, required: true, unique: true, lowercase: true'), 'MongoDB User schema has no unique email index');
+        assert(!model.includes('this.users'), 'MongoDB User model still stores users in memory');
+        const refreshModel = read(projectPath, 'src/models/RefreshToken.js');
+        assert(refreshModel.includes('tokenHash: { type: String, required: true, unique: true }'), 'MongoDB RefreshToken model does not store token hashes');
+        for (const file of ['src/models/User.js', 'src/models/RefreshToken.js', 'src/controllers/authController.js', 'src/routes/authRoutes.js', 'src/middlewares/authMiddleware.js']) {
+            checkSyntax(path.join(projectPath, file));
+        }
+
+        const controller = read(projectPath, 'src/controllers/authController.js');
+        assert(controller.includes('await User.create(req.body)') && controller.includes('User.comparePassword('), 'Auth controller does not use the User model');
+        assert(!controller.includes('userService'), 'Auth controller references an undefined userService');
+        const routes = read(projectPath, 'src/routes/authRoutes.js');
+        assert(routes.includes("router.get('/me', verifyToken, getProfile);"), 'GET /me is not wired to getProfile');
+        console.log('✅ MongoDB projects store users with Mongoose');
+
+        // Refresh token rotation runs against SQLite below
+        assert(controller.includes('{ expiresIn: config.jwt.expiresIn }') && !controller.includes('process.env'), 'Tokens should be signed with the validated config');
+        const env = read(projectPath, '.env');
+        assert(env.includes('JWT_EXPIRES_IN=15m') && env.includes('REFRESH_TOKEN_TTL_DAYS=7'), '.env is missing the token lifetimes');
+
+        runOk(postmanScript, [], projectPath);
+        const collection = JSON.parse(read(projectPath, 'postman-collection.json'));
+        const authItem = collection.item.find(item => item.name === 'Auth');
+        assert(authItem.item.map(item => item.name).join(',') === 'Register,Login,Refresh Token,Logout,Get Current User', 'Postman auth entries are incomplete');
+        assert(authItem.item[2].request.body.raw.includes('{{refreshToken}}'), 'Postman refresh request does not use {{refreshToken}}');
+        console.log('✅ Postman collection includes refresh and logout');
+    }
+
+    // --- MySQL and PostgreSQL: users table migration ---
+    for (const [db, language, ext] of [['mysql', 'javascript', 'js'], ['postgres', 'typescript', 'ts']]) {
+        const projectPath = createAuthProject(`test-auth-${db}`, language, db);
+        const model = read(projectPath, `src/models/User.${ext}`);
+        assert(model.includes("import db from '../config/database.js';") && !model.includes('this.users'), `${db} User model does not use the database`);
+        assert(model.includes('SELECT * FROM users WHERE email = '), `${db} User model does not query the users table`);
+
+        const migration = read(projectPath, 'migrations/002_create_users.sql');
+        assert(migration.includes('email VARCHAR(255) NOT NULL UNIQUE'), `${db} users migration has no unique email`);
+        assert(migration.includes('CREATE TABLE IF NOT EXISTS refresh_tokens'), `${db} migration does not create refresh_tokens`);
+        assert(migration.indexOf('DROP TABLE IF EXISTS refresh_tokens;') < migration.indexOf('DROP TABLE IF EXISTS users;'), `${db} migration drops users before refresh_tokens`);
+        if (ext === 'js') {
+            checkSyntax(path.join(projectPath, 'src/models/User.js'));
+            checkSyntax(path.join(projectPath, 'src/models/RefreshToken.js'));
+        }
+        console.log(`✅ ${db} projects get a users and refresh_tokens migration`);
+    }
+
+    // --- Existing User model: only the refresh_tokens table is migrated ---
+    {
+        const projectPath = createProject('test-auth-existing-user', 'javascript', 'mysql');
+        runOk(addCrudScript, ['User'], projectPath);
+        runOk(addAuthScript, [], projectPath);
+        const migration = read(projectPath, 'migrations/003_create_refresh_tokens.sql');
+        assert(!migration.includes('CREATE TABLE IF NOT EXISTS users'), 'An existing User model should keep its own users table');
+        assert(migration.includes('CREATE TABLE IF NOT EXISTS refresh_tokens'), 'refresh_tokens migration is missing');
+        console.log('✅ Existing User models only get a refresh_tokens migration');
+    }
+
+    // --- SQLite: table created on first load ---
+    {
+        const projectPath = createAuthProject('test-auth-sqlite', 'javascript', 'sqlite');
+        const model = read(projectPath, 'src/models/User.js');
+        assert(model.includes('CREATE TABLE IF NOT EXISTS users') && model.includes('email TEXT NOT NULL UNIQUE'), 'SQLite User model does not create the users table');
+        assert(!fs.existsSync(path.join(projectPath, 'migrations')), 'SQLite projects should not get migrations');
+        assert(read(projectPath, 'src/models/RefreshToken.js').includes('CREATE TABLE IF NOT EXISTS refresh_tokens'), 'SQLite RefreshToken model does not create its table');
+        checkSyntax(path.join(projectPath, 'src/models/User.js'));
+        checkSyntax(path.join(projectPath, 'src/models/RefreshToken.js'));
+
+        // Outside NODE_ENV=test the app uses the database file of .env (development logs with pino-pretty)
+        installDependencies(projectPath, { dev: true });
+        const development = { NODE_ENV: 'development' };
+        const credentials = { email: 'ann@example.com', password: 'secret123' };
+        let app = await startApp(projectPath, development);
+        let login;
+        try {
+            let response = await app.request('POST', '/api/auth/register', { username: 'ann', ...credentials });
+            assert(response.status === 201 && response.body.data.refreshToken, `Register failed: ${JSON.stringify(response.body)}`);
+            response = await app.request('POST', '/api/auth/register', { username: 'ann', ...credentials });
+            assert(response.status === 409 && response.body.code === 'USER_EXISTS', `Duplicate registration answered ${response.status} ${response.body.code}`);
+            response = await app.request('POST', '/api/auth/register', { username: 'bob', email: 'bob@example.com', password: '123' });
+            assert(response.status === 400 && response.body.code === 'INVALID_USER', `A short password answered ${response.status} ${response.body.code}`);
+            response = await app.request('POST', '/api/auth/login', { email: credentials.email, password: 'wrong-password' });
+            assert(response.status === 401 && response.body.code === 'INVALID_CREDENTIALS', `A wrong password answered ${response.status} ${response.body.code}`);
+            response = await app.request('POST', '/api/auth/login', { email: 42, password: [] });
+            assert(response.status === 401 && response.body.code === 'INVALID_CREDENTIALS', `Malformed credentials answered ${response.status} ${response.body.code}`);
+        } finally {
+            app.stop();
+        }
+
+        // Accounts survive a restart
+        app = await startApp(projectPath, development);
+        try {
+            login = await app.request('POST', '/api/auth/login', credentials);
+            assert(login.status === 200 && login.body.data.user.role === 'user', `Login after a restart failed: ${JSON.stringify(login.body)}`);
+            const profile = await app.request('GET', '/api/auth/me', undefined, { Authorization: `Bearer ${login.body.data.token}` });
+            assert(profile.status === 200 && profile.body.data.email === credentials.email, `GET /me failed: ${JSON.stringify(profile.body)}`);
+            console.log('✅ SQLite projects store users in the database file');
+
+            // Rotation: the presented token is replaced by a new one
+            const first = login.body.data.refreshToken;
+            const rotated = await app.request('POST', '/api/auth/refresh', { refreshToken: first });
+            assert(rotated.status === 200 && rotated.body.data.token && rotated.body.data.refreshToken !== first, `Refresh failed: ${JSON.stringify(rotated.body)}`);
+            const second = rotated.body.data.refreshToken;
+
+            // Reuse detection: presenting the rotated token again revokes the whole family
+            const reused = await app.request('POST', '/api/auth/refresh', { refreshToken: first });
+            assert(reused.status === 401 && reused.body.code === 'REFRESH_TOKEN_REUSED', `Reusing a refresh token answered ${reused.status} ${reused.body.code}`);
+            const revoked = await app.request('POST', '/api/auth/refresh', { refreshToken: second });
+            assert(revoked.status === 401, `The token rotated from a reused one still works: ${JSON.stringify(revoked.body)}`);
+            const unknown = await app.request('POST', '/api/auth/refresh', { refreshToken: 'not-a-token' });
+            assert(unknown.status === 401 && unknown.body.code === 'INVALID_REFRESH_TOKEN', `An unknown refresh token answered ${unknown.status} ${unknown.body.code}`);
+
+            // Logout revokes the refresh token
+            const next = (await app.request('POST', '/api/auth/login', credentials)).body.data.refreshToken;
+            const logout = await app.request('POST', '/api/auth/logout', { refreshToken: next });
+            assert(logout.status === 200, `Logout failed: ${JSON.stringify(logout.body)}`);
+            const afterLogout = await app.request('POST', '/api/auth/refresh', { refreshToken: next });
+            assert(afterLogout.status === 401, `A refresh token still works after logout: ${JSON.stringify(afterLogout.body)}`);
+        } finally {
+            app.stop();
+        }
+        console.log('✅ Refresh rotates tokens, reuse revokes the family and logout revokes the token');
+    }
+
+    // --- In-memory projects keep the in-memory model ---
+    {
+        const projectPath = createAuthProject('test-auth-memory', 'typescript', 'memory');
+        assert(read(projectPath, 'src/models/User.ts').includes('private users: UserData[] = [];'), 'In-memory projects should keep users in memory');
+        console.log('✅ In-memory projects keep the in-memory User model');
+
+        const envConfig = read(projectPath, 'src/config/env.ts');
+        assert(envConfig.includes('    jwt: {\n        secret: string;') && envConfig.includes("secret: read('JWT_SECRET', asString, nodeEnv === 'test' ? 'test-jwt-secret' : REQUIRED),")
+            && envConfig.includes('const asString = (value: string): string => value;'), 'add-auth did not add the JWT settings to config/env.ts');
+        assert(read(projectPath, 'src/middlewares/authMiddleware.ts').includes('jwt.verify(token, config.jwt.secret)'), 'Tokens should be verified with the validated config');
+    }
+
+    // --- config/env validates the JWT settings ---
+    {
+        const projectPath = createAuthProject('test-auth-env', 'javascript', 'memory');
+        const loadConfig = (env) => spawnSync(process.execPath, ['--input-type=module', '-e', "const { config } = await import('./src/config/env.js'); console.log(JSON.stringify(config.jwt));"],
+            { cwd: projectPath, encoding: 'utf-8', env: { PATH: process.env.PATH, ...env } });
+
+        const missing = loadConfig({});
+        assert(missing.status !== 0 && missing.stderr.includes('JWT_SECRET is required'), `A missing JWT_SECRET was accepted:\n${missing.stdout}${missing.stderr}`);
+        const invalid = loadConfig({ JWT_SECRET: 's3cret', REFRESH_TOKEN_TTL_DAYS: 'week' });
+        assert(invalid.status !== 0 && invalid.stderr.includes('REFRESH_TOKEN_TTL_DAYS="week" must be a whole number'), 'An invalid REFRESH_TOKEN_TTL_DAYS was accepted');
+        const valid = loadConfig({ JWT_SECRET: 's3cret', JWT_EXPIRES_IN: '1h' });
+        assert(valid.status === 0 && valid.stdout.trim() === '{"secret":"s3cret","expiresIn":"1h","refreshTokenTtlDays":7}', `Unexpected JWT settings:\n${valid.stdout}${valid.stderr}`);
+        assert(loadConfig({ NODE_ENV: 'test' }).status === 0, 'Test runs should not need a JWT_SECRET');
+        console.log('✅ config/env requires JWT_SECRET and validates the token lifetimes');
+
+        // --- Auth failures reach errorHandler as AppErrors ---
+        const controller = read(projectPath, 'src/controllers/authController.js');
+        const middleware = read(projectPath, 'src/middlewares/authMiddleware.js');
+        for (const [name, code] of [['controller', controller], ['middleware', middleware]]) {
+            assert(!code.includes('success: false') && !code.includes('console.error') && !code.includes('res.status(4'), `Auth ${name} still answers errors itself`);
+        }
+        assert(!controller.includes('message.includes(')
+            && controller.includes("throw new UnauthorizedError('Refresh token reuse detected', 'REFRESH_TOKEN_REUSED');"), 'Auth controller does not throw AppErrors');
+        const model = read(projectPath, 'src/models/User.js');
+        assert(!model.includes('new Error(') && model.includes("throw new ConflictError('User already exists', 'USER_EXISTS');"), 'User model still throws plain Errors');
+
+        // Run the middleware with a stand-in jsonwebtoken that accepts the token "valid"
+        fs.mkdirSync(path.join(projectPath, 'node_modules/jsonwebtoken'), { recursive: true });
+        fs.writeFileSync(path.join(projectPath, 'node_modules/jsonwebtoken/package.json'), '{ "name": "jsonwebtoken", "type": "module", "main": "index.js" }\n');
+        fs.writeFileSync(path.join(projectPath, 'node_modules/jsonwebtoken/index.js'), `export default {
+    verify(token) {
+        if (token !== 'valid') throw new Error('jwt malformed');
+        return { id: '1', role: 'user' };
+    }
+};
+`);
+        const checks = spawnSync(process.execPath, ['--input-type=module', '-e', `
+const { verifyToken, requireRole } = await import('./src/middlewares/authMiddleware.js');
+const outcome = (middleware, req) => {
+    let result = 'next()';
+    middleware(req, {}, (error) => { if (error) result = error.status + ' ' + error.code; });
+    return result;
+};
+console.log(JSON.stringify([
+    outcome(verifyToken, { headers: {} }),
+    outcome(verifyToken, { headers: { authorization: 'Bearer forged' } }),
+    outcome(verifyToken, { headers: { authorization: 'Bearer valid' } }),
+    outcome(requireRole('admin'), {}),
+    outcome(requireRole('admin'), { userRole: 'user' }),
+    outcome(requireRole('admin', 'user'), { userRole: 'user' })
+]));`], { cwd: projectPath, encoding: 'utf-8', env: { PATH: process.env.PATH, NODE_ENV: 'test' } });
+        assert(checks.status === 0, `Auth middleware failed to run:\n${checks.stdout}${checks.stderr}`);
+        assert(checks.stdout.trim() === JSON.stringify(['401 TOKEN_MISSING', '401 INVALID_TOKEN', 'next()', '401 UNAUTHORIZED', '403 FORBIDDEN', 'next()']),
+            `Unexpected auth middleware outcomes: ${checks.stdout}`);
+        console.log('✅ Auth failures go to errorHandler as UnauthorizedError, ForbiddenError and ConflictError');
+    }
+
+    // --- Projects without src/utils/errors get it from add-auth ---
+    {
+        const projectPath = createProject('test-auth-old-project', 'typescript', 'memory');
+        fs.rmSync(path.join(projectPath, 'src/utils/errors.ts'));
+        runOk(addAuthScript, [], projectPath);
+        assert(read(projectPath, 'src/utils/errors.ts').includes('export class UnauthorizedError extends AppError'), 'add-auth did not create src/utils/errors.ts');
+        console.log('✅ add-auth creates src/utils/errors when it is missing');
+    }
+
+    console.log('\n✨ All add-auth tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
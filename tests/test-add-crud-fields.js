@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the add-crud field DSL:
+ *   add-crud Product title:string! price:number:min=0 stock:int tags:string[]
+ *
+ * Scaffolds real projects through the CLI entry points and checks what the
+ * generated code does with the fields: the in-memory API (and its generated
+ * Jest suite) accepts and rejects bodies by them, the Mongoose model validates
+ * them, and the MySQL model sends them to the database. Invalid definitions
+ * are rejected before anything is written.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { assert, run, runOk, read, checkSyntax, createProject, installDependencies, startApp, runJest, runModule, useRecordingPool } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const addCrudScript = path.join(__dirname, '..', 'addCrudResource.js');
+
+const fieldArgs = [
+    'title:string!:maxlength=120',
+    'price:number:min=0',
+    'stock:int',
+    'tags:string[]',
+    'status:string:enum=draft,published:default=draft'
+];
+
+console.log('🚀 Testing add-crud field definitions...\n');
+
+try {
+    // --- Case 1: the in-memory API accepts and rejects bodies by the fields ---
+    {
+        const projectPath = createProject('test-fields-memory', 'javascript', 'memory');
+        runOk(addCrudScript, ['Product', ...fieldArgs], projectPath);
+        installDependencies(projectPath, { dev: true });
+        runJest(projectPath, ['tests/Product.test.js']);
+
+        const app = await startApp(projectPath);
+        try {
+            let response = await app.request('POST', '/api/products', { title: ' Lamp ', price: 0, stock: 3, tags: ['desk'] });
+            assert(response.status === 201, `Valid product was refused: ${JSON.stringify(response.body)}`);
+            const product = response.body.data;
+            assert(product.title === 'Lamp' && product.stock === 3 && product.tags[0] === 'desk' && product.status === 'draft',
+                `Product does not keep its fields (trimmed title, default status): ${JSON.stringify(product)}`);
+            assert(!('description' in product), 'Product still has the default description field');
+
+            const invalid = { title: 'x'.repeat(121), price: -1, stock: 1.5, tags: 'desk', status: 'archived' };
+            response = await app.request('POST', '/api/products', invalid);
+            const fieldsWithErrors = (response.body.errors || []).map(error => error.field).sort().join(',');
+            assert(response.status === 422 && fieldsWithErrors === 'price,status,stock,tags,title',
+                `Each invalid field should be reported: ${JSON.stringify(response.body)}`);
+
+            response = await app.request('POST', '/api/products', { price: 2 });
+            assert(response.status === 422 && response.body.errors.some(error => error.field === 'title' && error.message === 'Title is required'),
+                `Missing required title should be reported: ${JSON.stringify(response.body)}`);
+        } finally {
+            app.stop();
+        }
+        console.log('✅ In-memory API validates the fields (and its Jest suite passes)');
+    }
+
+    // --- Case 2: the Mongoose model validates the fields ---
+    {
+        const projectPath = createProject('test-fields-mongo', 'javascript', 'mongodb');
+        runOk(addCrudScript, ['Product', ...fieldArgs], projectPath);
+        installDependencies(projectPath);
+
+        const result = runModule(projectPath, `import Product from './src/models/Product.js';
+
+const errors = (data) => Object.fromEntries(Object.entries(new Product(data).validateSync()?.errors || {}).map(([field, error]) => [field, error.message]));
+const product = new Product({ title: ' Lamp ' });
+console.log(JSON.stringify({
+    valid: errors({ title: 'Lamp', price: 0, stock: 3, tags: ['desk'], status: 'published' }),
+    invalid: errors({ title: 'x'.repeat(121), price: -1, stock: 1.5, status: 'archived' }),
+    missing: errors({}),
+    product: { title: product.title, status: product.status },
+    description: Boolean(Product.schema.path('description'))
+}));
+`);
+        assert(Object.keys(result.valid).length === 0, `Valid product fails validation: ${JSON.stringify(result.valid)}`);
+        assert(Object.keys(result.invalid).sort().join(',') === 'price,status,stock,title', `Invalid fields are not all rejected: ${JSON.stringify(result.invalid)}`);
+        assert(result.missing.title === 'Title is required', `Missing title is not rejected: ${JSON.stringify(result.missing)}`);
+        assert(result.product.title === 'Lamp' && result.product.status === 'draft', `Title is not trimmed or status has no default: ${JSON.stringify(result.product)}`);
+        assert(!result.description, 'Model still contains the default description field');
+
+        for (const file of ['src/services/productService.js', 'src/schemas/productSchema.js', 'tests/Product.test.js']) {
+            checkSyntax(path.join(projectPath, file));
+        }
+        console.log('✅ MongoDB model validates the fields');
+    }
+
+    // --- Case 3: MySQL stores the fields in columns created by a migration ---
+    {
+        const projectPath = createProject('test-fields-mysql', 'javascript', 'mysql');
+        runOk(addCrudScript, ['Product', ...fieldArgs], projectPath);
+        const migration = read(projectPath, 'migrations/002_create_products.sql');
+        assert(migration.includes('title VARCHAR(120) NOT NULL'), 'CREATE TABLE migration does not use the custom fields');
+        assert(migration.includes('tags JSON'), 'CREATE TABLE migration is missing the JSON column for tags');
+
+        useRecordingPool(projectPath);
+        const result = runModule(projectPath, `import Product from './src/models/Product.js';
+import { queries } from './src/config/database.js';
+
+const created = await Product.create({ title: 'Lamp', price: 2, stock: 3, tags: ['desk'] });
+await Product.update('7', { tags: ['lamp'] });
+console.log(JSON.stringify({ created, queries }));
+`);
+        const [insert, update] = result.queries;
+        assert(/^INSERT INTO products \(title, price, stock, tags, status\)/.test(insert.sql)
+            && JSON.stringify(insert.values) === JSON.stringify(['Lamp', 2, 3, '["desk"]', 'draft']),
+            `MySQL model does not insert the fields (arrays as JSON, status defaulted): ${JSON.stringify(insert)}`);
+        assert(result.created.id === 7 && result.created.status === 'draft', `Created product is not returned: ${JSON.stringify(result.created)}`);
+        assert(update.sql.startsWith('UPDATE products SET tags = ?') && update.values[0] === '["lamp"]', `MySQL model does not update array fields: ${JSON.stringify(update)}`);
+
+        checkSyntax(path.join(projectPath, 'tests/Product.test.js'));
+        console.log('✅ MySQL resource generated from field definitions');
+    }
+
+    // --- Case 4: TypeScript types reflect the fields; multiple resources group their fields ---
+    {
+        const projectPath = createProject('test-fields-ts', 'typescript', 'memory');
+        runOk(addCrudScript, ['Product', ...fieldArgs, 'Tag', 'label:string!'], projectPath);
+
+        const types = read(projectPath, 'src/types/Product.types.ts');
+        assert(types.includes('title: string;'), 'Types are missing title');
+        assert(types.includes('tags?: string[];'), 'Types are missing tags');
+        assert(types.includes("status?: 'draft' | 'published';"), 'Types are missing the status union');
+
+        const tagModel = read(projectPath, 'src/models/Tag.ts');
+        assert(tagModel.includes('label'), 'Second resource did not receive its own fields');
+        assert(!tagModel.includes('stock'), 'Second resource received fields of the first resource');
+        console.log('✅ TypeScript types and multi-resource field grouping');
+    }
+
+    // --- Case 5: invalid definitions are rejected before anything is written ---
+    {
+        const projectPath = createProject('test-fields-invalid', 'javascript', 'memory');
+        const invalidCases = [
+            ['Product', 'price:money'],
+            ['Product', 'Title:string'],
+            ['Product', 'id:string'],
+            ['Product', 'name:string', 'name:int'],
+            ['Product', 'title:string:min=1'],
+            ['Product', "status:string:enum=a,b'c"],
+            ['title:string', 'Product']
+        ];
+
+        for (const args of invalidCases) {
+            const result = run(addCrudScript, args, projectPath);
+            assert(result.status !== 0, `Expected add-crud ${args.join(' ')} to fail`);
+            assert(!fs.existsSync(path.join(projectPath, 'src/models/Product.js')), `Files were written for invalid input: ${args.join(' ')}`);
+        }
+        console.log('✅ Invalid field definitions are rejected');
+    }
+
+    console.log('\n✨ All field definition tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
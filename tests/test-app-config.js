@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the app/server split and the environment config of generated projects:
+ *   src/app.js (createApp) + src/server.js (listen) + src/config/env.js
+ *
+ * Runs the generated config module against sample environments (defaults,
+ * typed values, the report of every invalid variable), checks that it covers
+ * every variable of .env and is the only reader of process.env, and that
+ * add-crud, remove-crud and gen-openapi --swagger-ui edit app.js (server.js in
+ * projects generated before the split).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+import { getEnvTemplate } from '../src/templates/project/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const removeCrudScript = path.join(rootDir, 'removeCrudResource.js');
+const openApiScript = path.join(rootDir, 'generateOpenApiSpec.js');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function runOk(script, args, cwd) {
+    const result = spawnSync(process.execPath, [script, ...args], { cwd, encoding: 'utf-8' });
+    assert(result.status === 0, `${path.basename(script)} ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+function read(projectPath, relativePath) {
+    return fs.readFileSync(path.join(projectPath, relativePath), 'utf8');
+}
+
+function checkSyntax(filePath) {
+    const result = spawnSync(process.execPath, ['--check', filePath], { encoding: 'utf-8' });
+    assert(result.status === 0, `Generated file has syntax errors: ${path.basename(filePath)}\n${result.stderr}`);
+}
+
+function createProject(projectName, language, db) {
+    const projectPath = path.join(process.cwd(), projectName);
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    runOk(createScript, [projectName, `--lang=${language}`, `--db=${db}`], process.cwd());
+    return projectPath;
+}
+
+// Files under src/ (recursively), relative to the project
+function listSourceFiles(projectPath, dir = 'src') {
+    return fs.readdirSync(path.join(projectPath, dir), { withFileTypes: true }).flatMap(entry => {
+        const relativePath = `${dir}/${entry.name}`;
+        return entry.isDirectory() ? listSourceFiles(projectPath, relativePath) : [relativePath];
+    });
+}
+
+// Imports the generated config module in a fresh process with only the given variables
+function loadConfigModule(projectPath, env) {
+    const script = "const { config } = await import('./src/config/env.js'); console.log(JSON.stringify(config));";
+    return spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+        cwd: projectPath,
+        encoding: 'utf-8',
+        env: { PATH: process.env.PATH, ...env }
+    });
+}
+
+console.log('🚀 Starting app/server split and config test...\n');
+
+try {
+    const projectPath = createProject('test-app-config-memory', 'javascript', 'memory');
+
+    // --- app.js builds the app, server.js listens ---
+    {
+        const app = read(projectPath, 'src/app.js');
+        assert(app.includes('export const createApp = () => {') && app.includes('    return app;') && app.includes('export default createApp;'),
+            'app.js does not export a createApp() factory');
+        assert(!app.includes('listen(') && !app.includes('dotenv'), 'app.js should not listen or load .env');
+        assert(app.includes("    app.use('/api/items', itemRoutes);") && app.includes('    app.use(errorHandler);'), 'app.js does not mount the routes and error handlers');
+
+        const server = read(projectPath, 'src/server.js');
+        assert(server.startsWith("import 'dotenv/config';\nimport { config } from './config/env.js';\nimport { createApp } from './app.js';"),
+            'server.js should load .env before the config and the app');
+        assert(server.includes('const app = createApp();') && server.includes('const server = app.listen(config.port,') && !server.includes('app.use('),
+            'server.js should only listen with the app built by createApp()');
+        for (const file of ['src/app.js', 'src/server.js', 'src/config/env.js']) {
+            checkSyntax(path.join(projectPath, file));
+        }
+        console.log('✅ New projects split createApp() (app.js) from listen (server.js)');
+    }
+
+    // --- The generated config module, run as it is ---
+    {
+        const { loadConfig } = await import(pathToFileURL(path.join(projectPath, 'src/config/env.js')).href);
+
+        const defaults = loadConfig({});
+        assert(defaults.errors.length === 0, `An empty environment should use the defaults: ${defaults.errors.join('; ')}`);
+        assert(defaults.config.port === 3000 && defaults.config.nodeEnv === 'development' && defaults.config.isProduction === false
+            && defaults.config.logLevel === 'info' && defaults.config.shutdownTimeoutMs === 10000
+            && defaults.config.allowedOrigins.join(',') === 'http://localhost:3000,http://localhost:5173', `Unexpected defaults: ${JSON.stringify(defaults.config)}`);
+        assert(loadConfig({ NODE_ENV: 'test' }).config.logLevel === 'silent', 'Tests should be silent unless LOG_LEVEL is set');
+
+        const typed = loadConfig({ PORT: '8080', NODE_ENV: 'production', SHUTDOWN_TIMEOUT_MS: '500', ALLOWED_ORIGINS: 'https://a.com, https://b.com,' });
+        assert(typed.errors.length === 0 && typed.config.port === 8080 && typed.config.isProduction && typed.config.shutdownTimeoutMs === 500
+            && typed.config.allowedOrigins.join(',') === 'https://a.com,https://b.com', `Values are not converted: ${JSON.stringify(typed.config)}`);
+
+        const invalid = loadConfig({ PORT: 'abc', NODE_ENV: 'staging', LOG_LEVEL: 'loud', SHUTDOWN_TIMEOUT_MS: '-1' });
+        assert(invalid.errors.length === 4, `Every invalid variable should be reported at once: ${invalid.errors.join('; ')}`);
+        assert(invalid.errors.includes('PORT="abc" must be a whole number')
+            && invalid.errors.includes('NODE_ENV="staging" must be one of: development, production, test'), `Unreadable errors: ${invalid.errors.join('; ')}`);
+        assert(loadConfig({ PORT: '70000' }).errors[0] === 'PORT="70000" must be a port between 1 and 65535', 'Out-of-range ports should be rejected');
+        console.log('✅ config/env.js applies typed defaults and collects every problem');
+    }
+
+    // --- Database variables: required values stop the process with a report ---
+    {
+        const pgPath = createProject('test-app-config-postgres', 'javascript', 'postgres');
+        let result = loadConfigModule(pgPath, { DB_PORT: 'x', DB_SSL: 'yes' });
+        assert(result.status === 1, `Missing database variables should stop the process:\n${result.stdout}${result.stderr}`);
+        assert(result.stderr.includes('❌ Invalid environment configuration:\n   - DB_HOST is required\n')
+            && ['DB_USER is required', 'DB_NAME is required', 'DB_PORT="x" must be a whole number', 'DB_SSL="yes" must be true or false', 'Please check your .env file']
+                .every(line => result.stderr.includes(line)), `Unexpected report:\n${result.stderr}`);
+
+        result = loadConfigModule(pgPath, { DB_HOST: 'db', DB_USER: 'app', DB_NAME: 'shop', DB_PASSWORD: ' secret ', DB_SSL: 'true' });
+        assert(result.status === 0, `A complete environment should load:\n${result.stderr}`);
+        const { db } = JSON.parse(result.stdout);
+        assert(db.host === 'db' && db.port === 5432 && db.ssl === true && db.password === ' secret ', `Unexpected database settings: ${JSON.stringify(db)}`);
+        assert(read(pgPath, 'src/config/database.js').includes('port: config.db.port,'), 'database.js should use the validated settings');
+        console.log('✅ Missing or invalid database variables are reported before anything connects');
+    }
+
+    // --- config/env reads every .env variable and is the only reader of process.env ---
+    for (const db of ['memory', 'mongodb', 'mysql', 'postgres', 'sqlite']) {
+        for (const language of ['javascript', 'typescript']) {
+            const ext = language === 'typescript' ? 'ts' : 'js';
+            const dbPath = db === 'memory' && language === 'javascript'
+                ? projectPath
+                : createProject(`test-app-config-${db}-${ext}`, language, db);
+            const env = read(dbPath, `src/config/env.${ext}`);
+            const variables = [...getEnvTemplate(db, 'shop').matchAll(/^#? ?([A-Z][A-Z_]+)=/gm)].map(match => match[1]);
+            const unread = [...new Set(variables)].filter(name => !env.includes(`read('${name}',`) && !env.includes(`read<string | undefined>('${name}',`));
+            assert(unread.length === 0, `${db}/${language}: config/env.${ext} does not read ${unread.join(', ')}`);
+
+            const readers = listSourceFiles(dbPath).filter(file => read(dbPath, file).includes('process.env'));
+            assert(readers.join(',') === `src/config/env.${ext}`, `${db}/${language}: process.env is read outside config/env: ${readers.join(', ')}`);
+        }
+    }
+    {
+        const tsPath = path.join(process.cwd(), 'test-app-config-postgres-ts');
+        assert(read(tsPath, 'src/app.ts').includes('export const createApp = (): Express => {'), 'TypeScript createApp() is not typed');
+        assert(read(tsPath, 'src/config/env.ts').includes('export interface Config {') && read(tsPath, 'src/config/env.ts').includes('        ssl: boolean;'),
+            'TypeScript config is not typed');
+    }
+    console.log('✅ Every .env variable goes through config/env');
+
+    // --- Commands that edit the app: app.js, or server.js in older projects ---
+    {
+        runOk(addCrudScript, ['Product'], projectPath);
+        const app = read(projectPath, 'src/app.js');
+        assert(app.includes("import productRoutes from './routes/productRoutes.js';")
+            && app.includes("    app.use('/api/items', itemRoutes);\n    app.use('/api/products', productRoutes);\n"), 'add-crud does not mount the routes inside createApp()');
+        assert(!read(projectPath, 'src/server.js').includes('productRoutes'), 'add-crud should leave server.js alone');
+
+        runOk(openApiScript, ['--swagger-ui'], projectPath);
+        assert(read(projectPath, 'src/app.js').includes("    if (existsSync(openApiPath)) {\n        app.use('/docs', swaggerUi.serve,"), 'Swagger UI is not mounted inside createApp()');
+        checkSyntax(path.join(projectPath, 'src/app.js'));
+
+        runOk(removeCrudScript, ['Product', '--yes'], projectPath);
+        assert(!read(projectPath, 'src/app.js').includes('productRoutes'), 'remove-crud did not unmount the routes from app.js');
+        console.log('✅ add-crud, gen-openapi and remove-crud edit createApp() in app.js');
+
+        // Projects generated before the split mount their routes in server.js
+        fs.rmSync(path.join(projectPath, 'src/app.js'));
+        fs.writeFileSync(path.join(projectPath, 'src/server.js'), `import express from 'express';
+import itemRoutes from './routes/itemRoutes.js';
+
+const app = express();
+app.use('/api/items', itemRoutes);
+
+// 404 handler for undefined routes
+app.listen(3000);
+`);
+        const result = runOk(addCrudScript, ['Order'], projectPath);
+        assert(result.stdout.includes('✅ Updated server.js with Order routes'), 'add-crud does not report the server.js update');
+        assert(read(projectPath, 'src/server.js').includes("app.use('/api/items', itemRoutes);\napp.use('/api/orders', orderRoutes);\n"),
+            'Older projects should keep getting their routes in server.js');
+        console.log('✅ Projects without app.js keep using server.js');
+    }
+
+    console.log('\n✨ All app/server split and config tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
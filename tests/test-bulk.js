@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * Tests bulk endpoints:
+ *   add-crud Product title:string! price:number --bulk=3
+ *
+ * Sends POST, PATCH and DELETE /bulk requests to the generated API of the
+ * in-memory, SQLite and PostgreSQL (pg-mem) projects and checks the per-item
+ * results (207 on partial failures) and the --bulk limit. MySQL runs against a
+ * recording pool to check its transactions; the generated
+ * Jest cases and gen-openapi are run too. Resources without --bulk get none of it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import {
+    assert, run, runOk, read, checkSyntax, createProject, installDependencies,
+    typeCheck, startApp, runJest, runModule, useRecordingPool, usePgMem
+} from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const openApiScript = path.join(rootDir, 'generateOpenApiSpec.js');
+const addAuthScript = path.join(rootDir, 'generateAuth.js');
+
+function addProducts(projectPath, extraArgs = []) {
+    const result = runOk(addCrudScript, ['Product', 'title:string!', 'price:number', '--bulk=3', ...extraArgs, 'Tag', 'name:string!'], projectPath);
+    for (const file of ['models/Product.js', 'services/productService.js', 'controllers/productController.js', 'routes/productRoutes.js', 'utils/bulk.js']) {
+        checkSyntax(path.join(projectPath, 'src', file));
+    }
+    return result;
+}
+
+// Sends POST, PATCH and DELETE /bulk requests to a started app with a Product (--bulk=3) resource
+async function checkBulkEndpoints(app, label) {
+    let response = await app.request('POST', '/api/products/bulk', { items: [{ title: 'Desk', price: 10 }, { price: 2 }, { title: 'Lamp' }] });
+    const results = response.body.data;
+    assert(response.status === 207 && results?.map(result => result.status).join() === '201,422,201',
+        `${label}: POST /bulk does not answer 207 with a result per item: ${JSON.stringify(response.body)}`);
+    assert(results[0].data.title === 'Desk' && results[1].index === 1 && results[1].errors[0].field === 'title'
+        && JSON.stringify(response.body.meta) === JSON.stringify({ succeeded: 2, failed: 1 }), `${label}: unexpected POST /bulk results: ${JSON.stringify(response.body)}`);
+    const [deskId, lampId] = [results[0].data.id, results[2].data.id];
+    assert((await app.request('GET', `/api/products/${lampId}`)).status === 200, `${label}: POST /bulk did not store the valid items`);
+
+    response = await app.request('POST', '/api/products/bulk', { items: Array.from({ length: 4 }, (_, index) => ({ title: `P${index}` })) });
+    assert(response.status === 400 && response.body.code === 'BULK_LIMIT_EXCEEDED', `${label}: batches over --bulk=3 should answer 400 BULK_LIMIT_EXCEEDED, got ${response.status}`);
+    response = await app.request('POST', '/api/products/bulk', { items: [] });
+    assert(response.status === 400 && response.body.code === 'INVALID_BULK_BODY', `${label}: empty batches should answer 400 INVALID_BULK_BODY, got ${response.status}`);
+
+    response = await app.request('PATCH', '/api/products/bulk', { items: [{ id: deskId, price: 12 }, { id: 999, price: 1 }, { price: 1 }] });
+    assert(response.status === 207 && response.body.data.map(result => result.status).join() === '200,404,400',
+        `${label}: PATCH /bulk does not report missing records and ids: ${JSON.stringify(response.body)}`);
+    response = await app.request('PATCH', '/api/products/bulk', { items: [{ id: lampId }] });
+    assert(response.status === 207 && response.body.data[0].status === 400 && response.body.data[0].code === 'NO_FIELDS_TO_UPDATE',
+        `${label}: PATCH /bulk items without changes should answer 400 NO_FIELDS_TO_UPDATE: ${JSON.stringify(response.body)}`);
+    response = await app.request('GET', `/api/products/${deskId}`);
+    assert(response.body.data.price === 12 && response.body.data.title === 'Desk', `${label}: PATCH /bulk did not update the product: ${JSON.stringify(response.body)}`);
+
+    response = await app.request('DELETE', '/api/products/bulk', { ids: [deskId, lampId] });
+    assert(response.status === 200 && response.body.meta.failed === 0, `${label}: DELETE /bulk should answer 200 when every id is found, got ${response.status}`);
+    assert((await app.request('GET', `/api/products/${deskId}`)).status === 404, `${label}: DELETE /bulk did not delete the products`);
+
+    response = await app.request('POST', '/api/tags/bulk', { items: [{ name: 'a' }] });
+    assert(response.status === 404, `${label}: --bulk leaked into the next resource (${response.status})`);
+}
+
+console.log('🚀 Starting bulk endpoints test...\n');
+
+try {
+    // --- In-memory project: run the API and the generated Jest suite ---
+    {
+        const projectPath = createProject('test-bulk-memory', 'javascript', 'memory');
+        const orphan = run(addCrudScript, ['--bulk', 'Product'], projectPath);
+        assert(orphan.status !== 0 && orphan.stderr.includes('must follow a resource name'), '--bulk before any resource should be rejected');
+        const invalid = run(addCrudScript, ['Product', '--bulk=0'], projectPath);
+        assert(invalid.status !== 0 && `${invalid.stdout}${invalid.stderr}`.includes('Invalid --bulk value "0"'), '--bulk=0 should be rejected');
+        assert(!fs.existsSync(path.join(projectPath, 'src/models/Product.js')), 'An invalid --bulk value still created the resource');
+
+        const result = addProducts(projectPath);
+        assert(result.stdout.includes('POST   /api/products/bulk  - Create up to 3 products'), 'add-crud does not list the bulk endpoints');
+        const service = read(projectPath, 'src/services/productService.js');
+        assert(service.includes('const checkNewProduct = (item) => parseBulkItem(createProductSchema, item);')
+            && service.includes('const checkProductId = (value) => toBulkId(value);'), 'Bulk checks without references or id formats should return the parsed value directly');
+
+        installDependencies(projectPath, { dev: true });
+        const app = await startApp(projectPath);
+        try {
+            await checkBulkEndpoints(app, 'In-memory');
+        } finally {
+            app.stop();
+        }
+        console.log('✅ In-memory bulk endpoints report a result per item');
+
+        runJest(projectPath);
+        console.log('✅ Generated Jest cases for the bulk endpoints pass');
+    }
+
+    // --- MongoDB: insertMany and bulkWrite ---
+    {
+        const projectPath = createProject('test-bulk-mongodb', 'javascript', 'mongodb');
+        addProducts(projectPath, ['--soft-delete']);
+        const service = read(projectPath, 'src/services/productService.js');
+        assert(service.includes('write: (records) => Product.insertMany(records)'), 'MongoDB bulk create does not use insertMany');
+        assert(service.includes('await Product.bulkWrite(changes.map(({ id, data }) => ({')
+            && service.includes('updateOne: { filter: { _id: id, deletedAt: null }, update: { $set: data } }'), 'MongoDB bulk update does not use bulkWrite');
+        assert(service.includes('await Product.updateMany({ _id: { $in: foundIds } }, { deletedAt: new Date() });'), 'MongoDB bulk delete ignores --soft-delete');
+        assert(service.includes("throw new BadRequestError('Invalid ID format', 'INVALID_ID');"), 'MongoDB bulk ids are not checked');
+        console.log('✅ MongoDB writes batches with insertMany and bulkWrite');
+    }
+
+    // --- SQL: transactions ---
+    {
+        const mysqlPath = createProject('test-bulk-mysql', 'javascript', 'mysql');
+        addProducts(mysqlPath);
+        useRecordingPool(mysqlPath);
+        const queries = runModule(mysqlPath, `import Product from './src/models/Product.js';
+import { queries } from './src/config/database.js';
+
+await Product.createMany([{ title: 'Desk', price: 10 }, { title: 'Lamp' }]);
+await Product.updateMany([{ id: 7, data: { price: 12 } }]);
+await Product.deleteMany([7, 8]);
+console.log(JSON.stringify(queries));
+`);
+        // One INSERT per item reads every id from its own insertId (auto-increment ids need not be consecutive)
+        assert(queries[1].sql === 'INSERT INTO products (title, price) VALUES (?, ?)' && JSON.stringify(queries[2].values) === '["Lamp",null]',
+            `MySQL createMany does not insert the items one by one: ${JSON.stringify(queries)}`);
+        assert(queries.map(query => query.sql.split(' ')[0]).join() === 'BEGIN,INSERT,INSERT,COMMIT,BEGIN,UPDATE,SELECT,COMMIT,BEGIN,DELETE,DELETE,COMMIT',
+            `MySQL createMany/updateMany/deleteMany do not run in a transaction: ${queries.map(query => query.sql).join(' | ')}`);
+        assert(!runModule(mysqlPath, "import Tag from './src/models/Tag.js';\nconsole.log(JSON.stringify('createMany' in Tag));\n"),
+            'Resources without --bulk should not get batch methods');
+        console.log('✅ MySQL inserts, updates and deletes batches in a transaction');
+
+        const sqlitePath = createProject('test-bulk-sqlite', 'javascript', 'sqlite');
+        addProducts(sqlitePath);
+        installDependencies(sqlitePath);
+        let app = await startApp(sqlitePath);
+        try {
+            await checkBulkEndpoints(app, 'SQLite');
+        } finally {
+            app.stop();
+        }
+
+        const postgresPath = createProject('test-bulk-postgres', 'javascript', 'postgres');
+        addProducts(postgresPath);
+        usePgMem(postgresPath);
+        app = await startApp(postgresPath);
+        try {
+            await checkBulkEndpoints(app, 'PostgreSQL');
+        } finally {
+            app.stop();
+        }
+        console.log('✅ SQLite and PostgreSQL bulk endpoints report a result per item');
+
+        runOk(openApiScript, [], sqlitePath);
+        const spec = JSON.parse(read(sqlitePath, 'openapi.json'));
+        const bulkPath = spec.paths['/api/products/bulk'];
+        assert(bulkPath?.post.operationId === 'bulkCreateProducts' && bulkPath.patch.operationId === 'bulkUpdateProducts'
+            && bulkPath.delete.operationId === 'bulkDeleteProducts', 'OpenAPI does not document the bulk routes');
+        assert(bulkPath.post.requestBody.content['application/json'].schema.properties.items.maxItems === 3, 'OpenAPI does not document the --bulk limit');
+        assert(bulkPath.post.responses[207], 'OpenAPI does not document partial failures');
+        assert(!spec.paths['/api/tags/bulk'], 'OpenAPI documents bulk routes for a resource without --bulk');
+        console.log('✅ gen-openapi documents the bulk routes');
+    }
+
+    // --- Protected resources and TypeScript ---
+    {
+        const projectPath = createProject('test-bulk-typescript', 'typescript', 'mysql');
+        runOk(addAuthScript, [], projectPath);
+        runOk(addCrudScript, ['Product', 'title:string!', '--bulk', '--protect=write:admin'], projectPath);
+        const routes = read(projectPath, 'src/routes/productRoutes.ts');
+        assert(routes.includes("router.post('/bulk', verifyToken, requireRole('admin'), productController.bulkCreateProducts);")
+            && routes.includes("router.delete('/bulk', verifyToken, requireRole('admin'), productController.bulkDeleteProducts);"), 'Bulk routes are not guarded like writes');
+        assert(read(projectPath, 'src/services/productService.ts').includes('const BULK_MAX_ITEMS = 100;'), '--bulk without a value should allow 100 items');
+        installDependencies(projectPath, { dev: true });
+        typeCheck(projectPath);
+        console.log('✅ Protected and TypeScript resources get guarded bulk endpoints that type-check');
+    }
+
+    console.log('\n✨ All bulk endpoint tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
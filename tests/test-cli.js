@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the lazy-crud umbrella CLI
+ *
+ * Runs the subcommands through lazy-crud and the standalone bins, and checks
+ * --help/--version, the shared argument parser's errors, typo suggestions,
+ * the "lazy-crud <project-name>" shortcut and plugin commands.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const cliScript = path.join(rootDir, 'lazyCrud.js');
+const packageJson = JSON.parse(fs.readFileSync(path.join(rootDir, 'package.json'), 'utf8'));
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function run(script, args, cwd) {
+    return spawnSync(process.execPath, [script, ...args], { cwd, encoding: 'utf-8' });
+}
+
+function runOk(script, args, cwd) {
+    const result = run(script, args, cwd);
+    assert(result.status === 0, `${path.basename(script)} ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+function runFails(script, args, cwd, expected) {
+    const result = run(script, args, cwd);
+    assert(result.status !== 0 && result.stderr.includes(expected), `${path.basename(script)} ${args.join(' ')} should fail with "${expected}":\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+function write(projectPath, relativePath, content) {
+    fs.mkdirSync(path.dirname(path.join(projectPath, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(projectPath, relativePath), content);
+}
+
+console.log('🚀 Starting lazy-crud CLI test...\n');
+
+try {
+    const workspace = path.join(process.cwd(), 'test-cli');
+    fs.rmSync(workspace, { recursive: true, force: true });
+    fs.mkdirSync(workspace);
+
+    // --- Help and version ---
+    {
+        const help = runOk(cliScript, ['--help'], workspace);
+        for (const command of ['new', 'add', 'remove', 'auth', 'docker', 'postman', 'openapi', 'eject', 'plugin']) {
+            assert(new RegExp(`^  ${command} `, 'm').test(help.stdout), `--help does not list the ${command} command`);
+        }
+        assert(runOk(cliScript, [], workspace).stdout === help.stdout, 'lazy-crud without arguments should print the help');
+        assert(runOk(cliScript, ['--version'], workspace).stdout.trim() === packageJson.version, '--version does not print the package version');
+        assert(runOk(cliScript, ['add', '-v'], workspace).stdout.trim() === packageJson.version, 'Commands should accept --version');
+
+        const addHelp = runOk(cliScript, ['add', '--help'], workspace).stdout;
+        assert(addHelp.includes('Usage: lazy-crud add <ResourceName>') && addHelp.includes('--protect[=<scope>[:<roles>]]') && addHelp.includes('Alias: add-crud'),
+            `add --help is incomplete:\n${addHelp}`);
+        assert(runOk(cliScript, ['help', 'add'], workspace).stdout === addHelp, '"lazy-crud help add" should match "lazy-crud add --help"');
+        assert(runOk(path.join(rootDir, 'addCrudResource.js'), ['--help'], workspace).stdout === addHelp, 'add-crud --help should match lazy-crud add --help');
+        assert(runOk(path.join(rootDir, 'generateOpenApiSpec.js'), ['-h'], workspace).stdout.includes('--format=<json|yaml>'), 'gen-openapi -h does not list its options');
+        assert(fs.readdirSync(workspace).length === 0, '--help should not create files');
+        console.log('✅ --help and --version work for lazy-crud and every command');
+    }
+
+    // --- Invalid arguments are rejected instead of becoming names ---
+    {
+        runFails(cliScript, ['dokcer', '--help'], workspace, 'Unknown command "dokcer". Did you mean "docker"?');
+        runFails(cliScript, ['ad', 'Product'], workspace, 'Did you mean "add"?');
+        runFails(cliScript, ['ad.d'], workspace, 'Did you mean "add"?');
+        runFails(cliScript, ['help', 'deploy'], workspace, 'Unknown command "deploy"');
+        runFails(cliScript, ['new', 'api', '--dbb=sqlite'], workspace, 'Unknown option "--dbb". Did you mean "--db"?');
+        runFails(cliScript, ['new', 'api', 'extra', '--db=memory'], workspace, 'Unexpected argument "extra"');
+        runFails(cliScript, ['new', 'api', '--db'], workspace, 'Missing value for --db');
+        runFails(path.join(rootDir, 'addCrudResource.js'), ['Product', '--verbose'], workspace, 'Unknown option "--verbose"');
+        runFails(path.join(rootDir, 'addDocker.js'), ['--swagger-ui'], workspace, 'Unknown option "--swagger-ui"');
+        assert(fs.readdirSync(workspace).length === 0, 'Rejected commands should not create files');
+        console.log('✅ Unknown commands and options are rejected with suggestions');
+    }
+
+    // --- Creating projects, with the old shortcut too ---
+    {
+        runOk(cliScript, ['new', 'api', '--lang', 'javascript', '--db', 'memory'], workspace);
+        assert(fs.existsSync(path.join(workspace, 'api/src/server.js')), 'lazy-crud new did not create the project');
+        runOk(cliScript, ['shop', '--lang=ts', '--db=sqlite'], workspace);
+        assert(fs.existsSync(path.join(workspace, 'shop/src/server.ts')), '"lazy-crud <project-name>" did not create the project');
+        runOk(cliScript, ['--db=memory', '--lang=js', 'blog'], workspace);
+        assert(fs.existsSync(path.join(workspace, 'blog/src/server.js')), 'Options before the project name should still work');
+        for (const name of ['news', 'auto']) {
+            runOk(cliScript, [name, '--lang=js', '--db=memory'], workspace);
+            assert(fs.existsSync(path.join(workspace, `${name}/src/server.js`)), `"lazy-crud ${name}" should create a project, not suggest a command`);
+        }
+        console.log('✅ lazy-crud new and lazy-crud <project-name> create projects');
+    }
+
+    // --- Project commands run through lazy-crud and their bin names ---
+    {
+        const projectPath = path.join(workspace, 'api');
+        runOk(cliScript, ['auth'], projectPath);
+        assert(fs.existsSync(path.join(projectPath, 'src/routes/authRoutes.js')), 'lazy-crud auth did not add authentication');
+        runOk(cliScript, ['add', 'Product', 'title:string!', '--protect=write', 'Tag'], projectPath);
+        assert(fs.readFileSync(path.join(projectPath, 'src/routes/productRoutes.js'), 'utf8').includes("router.post('/', verifyToken"), '--protect was not passed to the resource before it');
+        assert(fs.existsSync(path.join(projectPath, 'src/routes/tagRoutes.js')), 'lazy-crud add did not create the resources');
+        runOk(cliScript, ['add-crud', 'Order', '--dry-run'], projectPath);
+        assert(!fs.existsSync(path.join(projectPath, 'src/routes/orderRoutes.js')), 'lazy-crud add-crud --dry-run wrote files');
+        runOk(cliScript, ['openapi', '--format', 'yaml'], projectPath);
+        assert(fs.existsSync(path.join(projectPath, 'openapi.yaml')), 'lazy-crud openapi --format yaml did not write openapi.yaml');
+        runOk(cliScript, ['remove', 'Tag', '-y'], projectPath);
+        assert(!fs.existsSync(path.join(projectPath, 'src/routes/tagRoutes.js')), 'lazy-crud remove did not remove the resource');
+        console.log('✅ Project commands run through lazy-crud');
+    }
+
+    // --- Plugin commands are lazy-crud commands ---
+    {
+        const projectPath = path.join(workspace, 'api');
+        write(projectPath, 'node_modules/lazy-crud-plugin-hello/package.json', '{ "name": "lazy-crud-plugin-hello", "type": "module", "main": "index.js" }\n');
+        write(projectPath, 'node_modules/lazy-crud-plugin-hello/index.js', `export default {
+    apiVersion: 1,
+    register(api) {
+        api.addCommand('hello', {
+            description: 'Write hello.txt',
+            usage: 'hello <name> [--shout]',
+            run(args) {
+                const text = 'Hello ' + args[0];
+                api.writeFile('hello.txt', args.includes('--shout') ? text.toUpperCase() : text);
+            }
+        });
+    }
+};
+`);
+        const projectPackage = JSON.parse(fs.readFileSync(path.join(projectPath, 'package.json'), 'utf8'));
+        projectPackage.devDependencies['lazy-crud-plugin-hello'] = '^1.0.0';
+        write(projectPath, 'package.json', JSON.stringify(projectPackage, null, 2));
+
+        const help = runOk(cliScript, ['--help'], projectPath).stdout;
+        assert(help.includes('Plugin commands:') && /hello\s+Write hello\.txt \(lazy-crud-plugin-hello\)/.test(help), `Plugin commands are missing from --help:\n${help}`);
+        assert(runOk(cliScript, ['hello', '--help'], projectPath).stdout.includes('Usage: lazy-crud hello <name> [--shout]'), 'Plugin command --help is missing');
+
+        runOk(cliScript, ['hello', 'World', '--shout'], projectPath);
+        assert(fs.readFileSync(path.join(projectPath, 'hello.txt'), 'utf8') === 'HELLO WORLD', 'Plugin command did not get its arguments');
+        runFails(cliScript, ['helo', 'World'], projectPath, 'Did you mean "hello"?');
+        console.log('✅ Plugin commands run as lazy-crud <command>');
+    }
+
+    console.log('\n✨ All lazy-crud CLI tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the project config file (lazycrud.config.json)
+ *
+ * Scaffolds a project through the CLI and checks that lazy-crud writes the
+ * config, add-crud/remove-crud keep its resource list in sync, the overrides
+ * are honoured by the other commands, invalid files are rejected and projects
+ * without a config fall back to detection.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+import { getProjectConfig, validateConfig } from '../src/utils/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const removeCrudScript = path.join(rootDir, 'removeCrudResource.js');
+const addAuthScript = path.join(rootDir, 'generateAuth.js');
+const openApiScript = path.join(rootDir, 'generateOpenApiSpec.js');
+const postmanScript = path.join(rootDir, 'generatePostmanCollection.js');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function run(script, args, cwd) {
+    return spawnSync(process.execPath, [script, ...args], { cwd, encoding: 'utf-8' });
+}
+
+function runOk(script, args, cwd) {
+    const result = run(script, args, cwd);
+    assert(result.status === 0, `${path.basename(script)} ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+function readJson(projectPath, relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(projectPath, relativePath), 'utf8'));
+}
+
+function writeJson(projectPath, relativePath, value) {
+    fs.writeFileSync(path.join(projectPath, relativePath), JSON.stringify(value, null, 2));
+}
+
+console.log('🚀 Starting lazycrud.config.json test...\n');
+
+try {
+    const projectName = 'test-config';
+    const projectPath = path.join(process.cwd(), projectName);
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    runOk(createScript, [projectName, '--lang=javascript', '--db=memory'], process.cwd());
+
+    // --- lazy-crud records how the project was generated ---
+    {
+        const config = readJson(projectPath, 'lazycrud.config.json');
+        assert(config.version === 1 && config.language === 'javascript' && config.database === 'memory', 'Config does not record language/database');
+        assert(config.apiPrefix === '/api', 'Config does not record the API prefix');
+        // Only settings the commands read are recorded
+        assert(config.idStrategy === undefined && config.layout === undefined, 'Config records settings no command reads');
+        assert(JSON.stringify(config.resources) === '["Item"]', `Unexpected resources: ${JSON.stringify(config.resources)}`);
+        assert(validateConfig(config).length === 0, 'Generated config does not match the schema');
+
+        const mongoPath = path.join(process.cwd(), 'test-config-mongo');
+        fs.rmSync(mongoPath, { recursive: true, force: true });
+        runOk(createScript, ['test-config-mongo', '--lang=typescript', '--db=mongodb'], process.cwd());
+        const mongoConfig = readJson(mongoPath, 'lazycrud.config.json');
+        assert(mongoConfig.language === 'typescript' && mongoConfig.database === 'mongodb', 'TypeScript/MongoDB config is wrong');
+        console.log('✅ lazy-crud writes lazycrud.config.json');
+    }
+
+    // --- add-crud and remove-crud keep the resource list in sync ---
+    {
+        runOk(addCrudScript, ['Product', 'Tag'], projectPath);
+        assert(JSON.stringify(readJson(projectPath, 'lazycrud.config.json').resources) === '["Item","Product","Tag"]', 'add-crud did not record the resources');
+        runOk(removeCrudScript, ['Tag', '--yes'], projectPath);
+        assert(JSON.stringify(readJson(projectPath, 'lazycrud.config.json').resources) === '["Item","Product"]', 'remove-crud did not drop the resource');
+        console.log('✅ add-crud / remove-crud update the resource list');
+    }
+
+    // --- overrides.apiPrefix is used for new routes and the API docs ---
+    {
+        const config = readJson(projectPath, 'lazycrud.config.json');
+        writeJson(projectPath, 'lazycrud.config.json', { ...config, overrides: { apiPrefix: '/api/v1' } });
+
+        runOk(addCrudScript, ['Order'], projectPath);
+        runOk(addAuthScript, [], projectPath);
+        const server = fs.readFileSync(path.join(projectPath, 'src/app.js'), 'utf8');
+        assert(server.includes("app.use('/api/v1/orders', orderRoutes);"), 'add-crud ignored overrides.apiPrefix');
+        assert(server.includes("app.use('/api/v1/auth', authRoutes);"), 'add-auth ignored overrides.apiPrefix');
+        assert(server.includes("app.use('/api/products', productRoutes);"), 'Existing routes should not be moved');
+
+        runOk(postmanScript, [], projectPath);
+        const collection = JSON.stringify(readJson(projectPath, 'postman-collection.json'));
+        assert(collection.includes('{{baseUrl}}/api/v1/orders') && collection.includes('{{baseUrl}}/api/v1/auth/login'), 'gen-postman ignored overrides.apiPrefix');
+        assert(collection.includes('"path":["api","v1","orders"]'), 'gen-postman URL path segments are wrong');
+
+        runOk(openApiScript, [], projectPath);
+        const spec = readJson(projectPath, 'openapi.json');
+        assert(spec.paths['/api/v1/orders/{id}'] && spec.paths['/api/v1/auth/me'], 'gen-openapi ignored overrides.apiPrefix');
+        console.log('✅ overrides.apiPrefix is used by add-crud, add-auth, gen-postman and gen-openapi');
+    }
+
+    // --- overrides take precedence over detection ---
+    {
+        const config = readJson(projectPath, 'lazycrud.config.json');
+        writeJson(projectPath, 'lazycrud.config.json', { ...config, overrides: { database: 'sqlite', language: 'typescript' } });
+        const settings = getProjectConfig(projectPath);
+        assert(settings.database === 'sqlite' && settings.isTypeScript && settings.extension === 'ts', 'Overrides were not applied');
+        assert(settings.apiPrefix === '/api' && settings.hasConfigFile, 'Config settings were not read');
+        writeJson(projectPath, 'lazycrud.config.json', config);
+        console.log('✅ Overrides take precedence over package.json');
+    }
+
+    // --- Invalid config files are rejected ---
+    {
+        const config = readJson(projectPath, 'lazycrud.config.json');
+        writeJson(projectPath, 'lazycrud.config.json', { ...config, overrides: { port: 8080, apiPrefix: 'api' } });
+        const result = run(addCrudScript, ['Invoice'], projectPath);
+        assert(result.status !== 0, 'add-crud accepted an invalid config');
+        assert(result.stderr.includes('config.overrides.port is not a supported setting'), `Unknown override not reported:\n${result.stderr}`);
+        assert(result.stderr.includes('config.overrides.apiPrefix has an invalid format'), `Invalid apiPrefix not reported:\n${result.stderr}`);
+        assert(!fs.existsSync(path.join(projectPath, 'src/models/Invoice.js')), 'add-crud generated files despite the invalid config');
+
+        fs.writeFileSync(path.join(projectPath, 'lazycrud.config.json'), '{ "version": 1,');
+        const broken = run(postmanScript, [], projectPath);
+        assert(broken.status !== 0 && broken.stderr.includes('lazycrud.config.json is not valid JSON'), 'Malformed JSON not reported');
+        console.log('✅ Invalid config files are rejected with a clear error');
+    }
+
+    // --- Projects without a config fall back to detection ---
+    {
+        fs.rmSync(path.join(projectPath, 'lazycrud.config.json'));
+        const settings = getProjectConfig(projectPath);
+        assert(settings.database === 'memory' && !settings.isTypeScript && !settings.hasConfigFile, 'Detection fallback failed');
+        runOk(addCrudScript, ['Invoice'], projectPath);
+        const server = fs.readFileSync(path.join(projectPath, 'src/app.js'), 'utf8');
+        assert(server.includes("app.use('/api/invoices', invoiceRoutes);"), 'Fallback should mount routes under /api');
+        assert(!fs.existsSync(path.join(projectPath, 'lazycrud.config.json')), 'add-crud should not create a config file');
+        console.log('✅ Commands fall back to detection without a config file');
+    }
+
+    console.log('\n✨ All lazycrud.config.json tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
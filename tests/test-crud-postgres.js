@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Automated CRUD testing with PostgreSQL
+ * Creates JavaScript and TypeScript projects with --db=postgres through the
+ * CLI, adds a resource and Docker setup, and runs the generated app against
+ * pg-mem (an in-memory PostgreSQL) with the tables of its migrations.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { assert, runOk, read, checkSyntax, startApp, usePgMem } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const addDockerScript = path.join(rootDir, 'addDocker.js');
+
+console.log('🚀 Starting automated CRUD test with PostgreSQL...\n');
+
+try {
+    // --- JavaScript project ---
+    {
+        const projectName = 'test-postgres-crud';
+        const projectPath = path.join(process.cwd(), projectName);
+        fs.rmSync(projectPath, { recursive: true, force: true });
+
+        runOk(createScript, [projectName, '--lang=javascript', '--db=postgresql'], process.cwd());
+
+        const packageJson = JSON.parse(read(projectPath, 'package.json'));
+        assert(packageJson.dependencies.pg, 'package.json is missing the pg dependency');
+        assert(!packageJson.dependencies.mysql2, 'package.json should not include mysql2');
+
+        const env = read(projectPath, '.env');
+        assert(env.includes('DB_PORT=5432') && env.includes('DB_USER=postgres'), '.env is missing PostgreSQL keys');
+
+        const database = read(projectPath, 'src/config/database.js');
+        assert(database.includes("import pg from 'pg';") && database.includes('new Pool('), 'database.js does not create a pg pool');
+
+        const test = read(projectPath, 'tests/Item.test.js');
+        assert(test.includes('id SERIAL PRIMARY KEY') && test.includes('price DOUBLE PRECISION'), 'Item test does not create the PostgreSQL table');
+        assert(test.includes('await db.end();'), 'Item test does not close the pg pool');
+
+        for (const file of ['src/server.js', 'src/config/database.js', 'src/models/Item.js', 'src/services/itemService.js', 'tests/Item.test.js']) {
+            checkSyntax(path.join(projectPath, file));
+        }
+        console.log('✅ JavaScript project generated with PostgreSQL');
+
+        // add-crud detects PostgreSQL from package.json
+        const addResult = runOk(addCrudScript, ['Product', 'title:string!', 'tags:string[]'], projectPath);
+        assert(addResult.stdout.includes('PostgreSQL (pg)'), 'add-crud did not detect PostgreSQL');
+        assert(read(projectPath, 'migrations/002_create_products.sql').includes('tags TEXT[]'), 'add-crud did not write the PostgreSQL CREATE TABLE migration');
+
+        // Run the API against the migrated tables
+        usePgMem(projectPath);
+        const app = await startApp(projectPath);
+        try {
+            let response = await app.request('POST', '/api/products', { title: 'Lamp', tags: ['desk', 'light'] });
+            assert(response.status === 201, `Product was not created: ${JSON.stringify(response.body)}`);
+            const id = response.body.data.id;
+            assert(Number.isInteger(id) && response.body.data.tags.join(',') === 'desk,light', `Created product is not returned from RETURNING: ${JSON.stringify(response.body)}`);
+
+            response = await app.request('PUT', `/api/products/${id}`, { title: 'Desk lamp', tags: [] });
+            assert(response.status === 200 && response.body.data.title === 'Desk lamp', `Product was not updated: ${JSON.stringify(response.body)}`);
+
+            await app.request('POST', '/api/products', { title: 'Chair' });
+            response = await app.request('GET', '/api/products?sort=-title&limit=1');
+            assert(response.status === 200 && response.body.data.length === 1 && response.body.data[0].title === 'Desk lamp' && response.body.meta.total === 2,
+                `List does not sort and page with $n placeholders: ${JSON.stringify(response.body)}`);
+
+            response = await app.request('GET', '/api/products/abc');
+            assert(response.status === 400, `Non-integer ids should be refused: ${response.status}`);
+
+            response = await app.request('DELETE', `/api/products/${id}`);
+            assert(response.status === 200, `Product was not deleted: ${JSON.stringify(response.body)}`);
+            response = await app.request('GET', `/api/products/${id}`);
+            assert(response.status === 404, `Deleted product is still found: ${response.status}`);
+
+            response = await app.request('GET', '/api/items');
+            assert(response.status === 200 && response.body.data.length === 0, `Item routes do not read the items table: ${JSON.stringify(response.body)}`);
+        } finally {
+            app.stop();
+        }
+        checkSyntax(path.join(projectPath, 'src/models/Product.js'));
+        checkSyntax(path.join(projectPath, 'tests/Product.test.js'));
+        console.log('✅ add-crud generated a PostgreSQL resource that runs against its migration');
+
+        // add-docker adds a postgres service
+        runOk(addDockerScript, [], projectPath);
+        const compose = read(projectPath, 'docker-compose.yml');
+        assert(compose.includes('image: postgres:16-alpine'), 'docker-compose.yml is missing the postgres service');
+        assert(compose.includes('DB_HOST=postgres'), 'docker-compose.yml app service does not point at postgres');
+        assert(compose.includes('pg_isready'), 'docker-compose.yml is missing the postgres healthcheck');
+        console.log('✅ add-docker generated a PostgreSQL compose service');
+    }
+
+    // --- TypeScript project ---
+    {
+        const projectName = 'test-postgres-crud-ts';
+        const projectPath = path.join(process.cwd(), projectName);
+        fs.rmSync(projectPath, { recursive: true, force: true });
+
+        runOk(createScript, [projectName, '--lang=typescript', '--db=pg'], process.cwd());
+
+        const packageJson = JSON.parse(read(projectPath, 'package.json'));
+        assert(packageJson.devDependencies['@types/pg'], 'package.json is missing @types/pg');
+
+        const model = read(projectPath, 'src/models/Item.ts');
+        assert(model.includes('static async getById(id: string): Promise<Item | undefined>'), 'Item.ts is missing typed methods');
+        assert(model.includes('RETURNING *'), 'Item.ts does not use RETURNING *');
+
+        const env = read(projectPath, 'src/config/env.ts');
+        assert(["read('DB_HOST', asString, REQUIRED)", "read('DB_PORT', asPort, 5432)", "read('DB_SSL', asBoolean, false)"].every(line => env.includes(line)),
+            'config/env.ts does not validate the PostgreSQL env vars');
+
+        const types = read(projectPath, 'src/types/Item.types.ts');
+        assert(types.includes('created_at?: Date;'), 'Item types do not use snake_case timestamps');
+
+        const test = read(projectPath, 'tests/Item.test.ts');
+        assert(test.includes('let testId: number;'), 'Item.test.ts is missing typed ids');
+        console.log('✅ TypeScript project generated with PostgreSQL');
+    }
+
+    console.log('\n✨ All PostgreSQL tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
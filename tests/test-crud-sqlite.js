@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Automated CRUD testing with SQLite
+ * Creates JavaScript and TypeScript projects with --db=sqlite through the
+ * CLI, adds a resource and Docker setup, and runs the generated Jest suites
+ * (ts-jest for TypeScript) and API (self-creating tables, in-memory database
+ * under NODE_ENV=test).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { assert, runOk, read, installDependencies, startApp, runJest } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const addDockerScript = path.join(rootDir, 'addDocker.js');
+
+console.log('🚀 Starting automated CRUD test with SQLite...\n');
+
+try {
+    // --- JavaScript project ---
+    {
+        const projectName = 'test-sqlite-crud';
+        const projectPath = path.join(process.cwd(), projectName);
+        fs.rmSync(projectPath, { recursive: true, force: true });
+
+        runOk(createScript, [projectName, '--lang=javascript', '--db=sqlite'], process.cwd());
+
+        const packageJson = JSON.parse(read(projectPath, 'package.json'));
+        assert(packageJson.dependencies['better-sqlite3'], 'package.json is missing the better-sqlite3 dependency');
+
+        const env = read(projectPath, '.env');
+        assert(env.includes(`DB_FILE=./data/${projectName}.sqlite`), '.env is missing DB_FILE');
+        assert(read(projectPath, '.gitignore').includes('data/'), '.gitignore does not ignore the data directory');
+
+        // add-crud detects SQLite from package.json
+        const addResult = runOk(addCrudScript, ['Product', 'title:string!', 'active:boolean:default=true', 'tags:string[]'], projectPath);
+        assert(addResult.stdout.includes('SQLite (better-sqlite3)'), 'add-crud did not detect SQLite');
+
+        // The models create their tables, so the generated suites run against a fresh in-memory database
+        installDependencies(projectPath, { dev: true });
+        runJest(projectPath);
+
+        const app = await startApp(projectPath);
+        try {
+            let response = await app.request('POST', '/api/products', { title: 'Lamp', tags: ['desk'] });
+            assert(response.status === 201 && response.body.data.active === true && response.body.data.tags[0] === 'desk',
+                `Booleans and arrays do not round-trip (0/1 and JSON text): ${JSON.stringify(response.body)}`);
+            const id = response.body.data.id;
+
+            response = await app.request('PUT', `/api/products/${id}`, { title: 'Lamp', active: false, tags: [] });
+            assert(response.status === 200 && response.body.data.active === false && response.body.data.tags.length === 0,
+                `Product was not updated: ${JSON.stringify(response.body)}`);
+
+            await app.request('POST', '/api/products', { title: 'Chair' });
+            response = await app.request('GET', '/api/products?active=false');
+            assert(response.status === 200 && response.body.data.map(product => product.title).join(',') === 'Lamp',
+                `Boolean filters do not match 0/1 columns: ${JSON.stringify(response.body)}`);
+
+            response = await app.request('GET', '/api/items/abc');
+            assert(response.status === 400, `Non-integer ids should be refused: ${response.status}`);
+        } finally {
+            app.stop();
+        }
+        assert(!fs.existsSync(path.join(projectPath, 'data')), 'NODE_ENV=test should use an in-memory database, not DB_FILE');
+        console.log('✅ JavaScript project generated with SQLite: the Jest suites and API run');
+
+        // add-docker keeps the database file in a volume
+        runOk(addDockerScript, [], projectPath);
+        const compose = read(projectPath, 'docker-compose.yml');
+        assert(compose.includes('sqlite-data:/app/data'), 'docker-compose.yml does not mount the data volume');
+        assert(compose.includes(`DB_FILE=/app/data/${projectName}.sqlite`), 'docker-compose.yml does not set DB_FILE');
+        assert(read(projectPath, 'Dockerfile').includes('chown nodejs:nodejs /app/data'), 'Dockerfile does not create a writable data directory');
+        console.log('✅ add-docker generated a SQLite volume');
+    }
+
+    // --- TypeScript project ---
+    {
+        const projectName = 'test-sqlite-crud-ts';
+        const projectPath = path.join(process.cwd(), projectName);
+        fs.rmSync(projectPath, { recursive: true, force: true });
+
+        runOk(createScript, [projectName, '--lang=typescript', '--db=sqlite3'], process.cwd());
+
+        const packageJson = JSON.parse(read(projectPath, 'package.json'));
+        assert(packageJson.devDependencies['@types/better-sqlite3'], 'package.json is missing @types/better-sqlite3');
+
+        const database = read(projectPath, 'src/config/database.ts');
+        assert(database.includes('const db: Database.Database = new Database(dbFile);'), 'database.ts is missing the typed connection');
+
+        const model = read(projectPath, 'src/models/Item.ts');
+        assert(model.includes('static getById(id: string): Item | undefined'), 'Item.ts is missing typed methods');
+
+        const types = read(projectPath, 'src/types/Item.types.ts');
+        assert(types.includes('created_at?: string;'), 'Item types do not use SQLite timestamp strings');
+
+        const test = read(projectPath, 'tests/Item.test.ts');
+        assert(test.includes('let testId: number;'), 'Item.test.ts is missing typed ids');
+        assert(!test.includes("import Item from '../src/models/Item.js';"), 'Item.test.ts imports the model it never uses');
+
+        // ts-jest type-checks the suites with noUnusedLocals, like tsc does for src/
+        runOk(addCrudScript, ['Product', 'title:string!', 'active:boolean:default=true'], projectPath);
+        installDependencies(projectPath, { dev: true });
+        runJest(projectPath);
+        console.log('✅ TypeScript project generated with SQLite: the Jest suites run');
+    }
+
+    console.log('\n✨ All SQLite tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Tests --dry-run / --json for the generator commands
+ *
+ * Runs lazy-crud, add-crud, add-auth, add-docker, gen-openapi and gen-postman
+ * with --dry-run, checks the unified diff and JSON reports, and verifies that
+ * nothing in the project changed on disk.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawn, spawnSync } from 'child_process';
+import { createUnifiedDiff } from '../src/utils/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const addAuthScript = path.join(rootDir, 'generateAuth.js');
+const addDockerScript = path.join(rootDir, 'addDocker.js');
+const openApiScript = path.join(rootDir, 'generateOpenApiSpec.js');
+const postmanScript = path.join(rootDir, 'generatePostmanCollection.js');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function run(script, args, cwd) {
+    return spawnSync(process.execPath, [script, ...args], { cwd, encoding: 'utf-8' });
+}
+
+function runOk(script, args, cwd) {
+    const result = run(script, args, cwd);
+    assert(result.status === 0, `${path.basename(script)} ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+function runJson(script, args, cwd) {
+    const { stdout } = runOk(script, [...args, '--dry-run', '--json'], cwd);
+    try {
+        return JSON.parse(stdout);
+    } catch {
+        throw new Error(`${path.basename(script)} --json did not print JSON:\n${stdout}`);
+    }
+}
+
+// Every file in the project with its content, to prove a dry run wrote nothing
+function snapshot(projectPath) {
+    const files = {};
+    const stack = [projectPath];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+            const entryPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                stack.push(entryPath);
+            } else {
+                files[path.relative(projectPath, entryPath)] = fs.readFileSync(entryPath, 'utf8');
+            }
+        }
+    }
+    return JSON.stringify(files);
+}
+
+console.log('🚀 Starting --dry-run test...\n');
+
+try {
+    // --- Unified diff format ---
+    {
+        const modified = createUnifiedDiff('a\nb\nc\n', 'a\nb\nB\nc\n', 'file.txt');
+        assert(modified === '--- a/file.txt\n+++ b/file.txt\n@@ -1,3 +1,4 @@\n a\n b\n+B\n c\n', `Unexpected diff:\n${modified}`);
+        const created = createUnifiedDiff(null, 'x\ny', 'new.txt');
+        assert(created === '--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1,2 @@\n+x\n+y\n\\ No newline at end of file\n', `Unexpected diff for a new file:\n${created}`);
+        assert(createUnifiedDiff('same\n', 'same\n', 'file.txt') === '', 'Unchanged files should have no diff');
+        console.log('✅ Unified diffs match diff -u');
+    }
+
+    // --- lazy-crud --dry-run creates nothing ---
+    {
+        const projectName = 'test-dry-run-new';
+        fs.rmSync(path.join(process.cwd(), projectName), { recursive: true, force: true });
+        const { stdout } = runOk(createScript, [projectName, '--lang=javascript', '--db=postgres', '--dry-run'], process.cwd());
+        assert(!fs.existsSync(path.join(process.cwd(), projectName)), 'lazy-crud --dry-run created the project directory');
+        assert(stdout.startsWith('--- /dev/null\n+++ b/test-dry-run-new/package.json\n'), 'stdout should start with the diff');
+        assert(stdout.includes('+++ b/test-dry-run-new/migrations/001_create_items.sql'), 'Diff is missing the first migration');
+        assert(!stdout.includes('✅ Created file'), 'Progress messages should go to stderr');
+
+        const report = runJson(createScript, [projectName, '--lang=javascript', '--db=postgres'], process.cwd());
+        assert(report.dryRun === true && report.changes.every(change => change.action === 'create'), 'New projects should only create files');
+        assert(report.changes.some(change => change.path === `${projectName}/.lazycrud-manifest.json`), 'Manifest is missing from the plan');
+        console.log('✅ lazy-crud --dry-run prints the project without creating it');
+    }
+
+    // --- Prompts and closed pipes do not break the report ---
+    {
+        const projectName = 'test-dry-run-prompts';
+        const prompted = spawnSync(process.execPath, [createScript, projectName, '--dry-run', '--json'], { input: '2\n4\n', encoding: 'utf-8' });
+        assert(prompted.status === 0, `Prompted dry run failed:\n${prompted.stdout}${prompted.stderr}`);
+        assert(prompted.stderr.includes('Choose your language:') && prompted.stderr.includes('Enter your choice (1/2/3/4/5): '), 'Prompts should be written to stderr');
+        let report;
+        try {
+            report = JSON.parse(prompted.stdout);
+        } catch {
+            throw new Error(`Prompts leaked into the --json report:\n${prompted.stdout}`);
+        }
+        assert(report.changes.some(change => change.path === `${projectName}/migrations/001_create_items.sql`)
+            && report.changes.some(change => change.path === `${projectName}/tsconfig.json`), 'Prompted answers (TypeScript, PostgreSQL) were not used');
+
+        // The reader goes away before anything is printed, like `| head` after the first lines
+        const child = spawn(process.execPath, [createScript, projectName, '--lang=typescript', '--db=postgres', '--dry-run'], { stdio: ['ignore', 'pipe', 'pipe'] });
+        child.stdout.destroy();
+        let stderr = '';
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        const status = await new Promise(resolve => child.on('close', resolve));
+        assert(status === 0 && !stderr.includes('EPIPE'), `A closed stdout should end the dry run quietly:\n${stderr}`);
+        assert(!fs.existsSync(path.join(process.cwd(), projectName)), 'Dry runs should not create the project');
+        console.log('✅ Prompts go to stderr and a closed stdout ends the dry run quietly');
+    }
+
+    const projectPath = path.join(process.cwd(), 'test-dry-run');
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    runOk(createScript, ['test-dry-run', '--lang=typescript', '--db=postgres'], process.cwd());
+    const before = snapshot(projectPath);
+
+    // --- add-crud: each resource builds on the changes planned before it ---
+    {
+        const report = runJson(addCrudScript, ['Product', 'title:string!', 'Tag'], projectPath);
+        const paths = report.changes.map(change => change.path);
+        assert(paths.includes('migrations/002_create_products.sql') && paths.includes('migrations/003_create_tags.sql'), `Migrations are not numbered in sequence: ${paths.join(', ')}`);
+
+        const app = report.changes.filter(change => change.path === 'src/app.ts');
+        assert(app.length === 1 && app[0].action === 'modify', 'app.ts should be modified once');
+        assert(app[0].content.includes('app.use(\'/api/products\', productRoutes);') && app[0].content.includes('app.use(\'/api/tags\', tagRoutes);'), 'app.ts does not register both resources');
+        assert(app[0].diff.includes("+import productRoutes from './routes/productRoutes.js';") && app[0].diff.includes("+import tagRoutes from './routes/tagRoutes.js';"), 'app.ts diff is missing the imports');
+        assert(app[0].previousContent === fs.readFileSync(path.join(projectPath, 'src/app.ts'), 'utf8'), 'previousContent should be the file on disk');
+
+        const { stdout } = runOk(addCrudScript, ['Product', '--dry-run'], projectPath);
+        assert(stdout.includes('--- a/src/app.ts\n+++ b/src/app.ts\n@@ '), 'add-crud --dry-run does not print a unified diff');
+        console.log('✅ add-crud --dry-run plans every resource and the app.ts rewrite');
+    }
+
+    // --- The other generators ---
+    {
+        const auth = runJson(addAuthScript, [], projectPath);
+        assert(auth.changes.some(change => change.path === 'src/routes/authRoutes.ts' && change.action === 'create'), 'add-auth plan is missing the routes');
+        assert(auth.changes.some(change => change.path === '.env' && change.action === 'modify'), 'add-auth plan is missing .env');
+
+        const docker = runJson(addDockerScript, [], projectPath);
+        assert(docker.changes.some(change => change.path === 'Dockerfile'), 'add-docker plan is missing the Dockerfile');
+
+        const openApi = runJson(openApiScript, ['--swagger-ui'], projectPath);
+        assert(openApi.changes.some(change => change.path === 'openapi.json') && openApi.changes.some(change => change.path === 'package.json'), 'gen-openapi plan is incomplete');
+
+        const postman = runJson(postmanScript, [], projectPath);
+        assert(postman.changes.length === 1 && postman.changes[0].path === 'postman-collection.json', 'gen-postman plan is incomplete');
+        console.log('✅ add-auth, add-docker, gen-openapi and gen-postman support --dry-run');
+    }
+
+    assert(snapshot(projectPath) === before, 'A dry run modified the project');
+    console.log('✅ Dry runs left the project untouched');
+
+    // --- --json needs --dry-run ---
+    {
+        const result = run(addDockerScript, ['--json'], projectPath);
+        assert(result.status !== 0 && result.stderr.includes('--json can only be used with --dry-run'), '--json without --dry-run should be rejected');
+        console.log('✅ --json without --dry-run rejected');
+    }
+
+    console.log('\n✨ All --dry-run tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
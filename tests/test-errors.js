@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the AppError hierarchy of generated projects:
+ *   src/utils/errors.js + the problem+json errorHandler
+ *
+ * Runs the generated errorHandler against mock requests, and checks that
+ * services, list queries and the validate() middleware throw the typed errors,
+ * that controllers forward them with next(), that add-crud gives older projects
+ * the errors module, and that gen-openapi documents the problem details.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const openApiScript = path.join(rootDir, 'generateOpenApiSpec.js');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function runOk(script, args, cwd) {
+    const result = spawnSync(process.execPath, [script, ...args], { cwd, encoding: 'utf-8' });
+    assert(result.status === 0, `${path.basename(script)} ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+function read(projectPath, relativePath) {
+    return fs.readFileSync(path.join(projectPath, relativePath), 'utf8');
+}
+
+function checkSyntax(filePath) {
+    const result = spawnSync(process.execPath, ['--check', filePath], { encoding: 'utf-8' });
+    assert(result.status === 0, `Generated file has syntax errors: ${path.basename(filePath)}\n${result.stderr}`);
+}
+
+function createProject(projectName, language, db) {
+    const projectPath = path.join(process.cwd(), projectName);
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    runOk(createScript, [projectName, `--lang=${language}`, `--db=${db}`], process.cwd());
+    return projectPath;
+}
+
+// Minimal stand-in for the Express response object
+function mockResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        type(value) { this.headers['content-type'] = value; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+console.log('🚀 Starting error classes test...\n');
+
+try {
+    const projectPath = createProject('test-errors-memory', 'javascript', 'memory');
+
+    // --- The generated modules, run as they are ---
+    {
+        for (const file of ['src/utils/errors.js', 'src/middlewares/errorHandler.js', 'src/middlewares/validate.js']) {
+            checkSyntax(path.join(projectPath, file));
+        }
+        // Generated projects are not installed here: swap the pino logger for one that records
+        fs.writeFileSync(path.join(projectPath, 'src/utils/logger.js'),
+            'export const logged = [];\nexport const logger = { error: (...args) => logged.push(args) };\n');
+        const { logged } = await import(pathToFileURL(path.join(projectPath, 'src/utils/logger.js')).href);
+        const errors = await import(pathToFileURL(path.join(projectPath, 'src/utils/errors.js')).href);
+        const { errorHandler, notFoundHandler } = await import(pathToFileURL(path.join(projectPath, 'src/middlewares/errorHandler.js')).href);
+        const { config } = await import(pathToFileURL(path.join(projectPath, 'src/config/env.js')).href);
+
+        const notFound = new errors.NotFoundError('Item not found');
+        assert(notFound instanceof errors.AppError && notFound.status === 404 && notFound.code === 'NOT_FOUND' && notFound.name === 'NotFoundError',
+            'NotFoundError should be a 404 AppError with the NOT_FOUND code');
+        assert(new errors.ConflictError().status === 409 && new errors.BadRequestError('Bad', 'INVALID_ID').code === 'INVALID_ID',
+            'Subclasses should keep their status and accept a custom code');
+        console.log('✅ errors.js exports the AppError hierarchy');
+
+        const respond = (err) => {
+            const res = mockResponse();
+            errorHandler(err, { originalUrl: '/api/items/42', method: 'GET' }, res, () => {});
+            return res;
+        };
+
+        let res = respond(notFound);
+        assert(res.statusCode === 404 && res.headers['content-type'] === 'application/problem+json', 'AppErrors should be answered as problem+json with their status');
+        assert(res.body.type === 'about:blank' && res.body.title === 'Not Found' && res.body.status === 404 && res.body.detail === 'Item not found'
+            && res.body.instance === '/api/items/42' && res.body.code === 'NOT_FOUND', `Unexpected problem details: ${JSON.stringify(res.body)}`);
+
+        res = respond(new errors.ValidationError('Validation failed', [{ field: 'name', message: 'Name is required' }]));
+        assert(res.statusCode === 422 && res.body.code === 'VALIDATION_FAILED' && res.body.errors[0].field === 'name',
+            'ValidationErrors should list the field errors');
+
+        // Messages no longer decide the status
+        res = respond(new Error('Invalid token for item not found'));
+        assert(res.statusCode === 500 && res.body.code === 'INTERNAL_ERROR', 'Plain errors should be 500s whatever their message says');
+
+        // body-parser errors carry a 4xx status of their own
+        res = respond(Object.assign(new Error('Unexpected token } in JSON'), { status: 400 }));
+        assert(res.statusCode === 400 && res.body.code === 'BAD_REQUEST', 'Malformed JSON should stay a 400');
+
+        // config/env.js read NODE_ENV once, at import
+        config.isProduction = true;
+        res = respond(new Error('connection refused'));
+        assert(res.body.detail === 'Something went wrong!', 'Unexpected error details should be hidden in production');
+        res = respond(notFound);
+        assert(res.body.detail === 'Item not found', 'AppError messages are meant for clients, even in production');
+        config.isProduction = false;
+        assert(logged.length === 2 && logged.every(([fields]) => fields.err instanceof Error), 'Only the 500s should be logged, with their error');
+
+        let forwarded = null;
+        notFoundHandler({ method: 'GET', originalUrl: '/nope' }, mockResponse(), (err) => { forwarded = err; });
+        assert(forwarded instanceof errors.NotFoundError && forwarded.code === 'ROUTE_NOT_FOUND', 'Unknown routes should become NotFoundErrors');
+        console.log('✅ errorHandler answers with RFC 7807 problem details and stable codes');
+    }
+
+    // --- Generated services, controllers and middlewares ---
+    {
+        const service = read(projectPath, 'src/services/itemService.js');
+        assert(service.includes("from '../utils/errors.js';") && service.includes("throw new NotFoundError('Item not found');"),
+            'Item service should throw NotFoundError');
+        const controller = read(projectPath, 'src/controllers/itemController.js');
+        assert(controller.includes('next(error);') && !controller.includes("includes('not found')") && !controller.includes("includes('Invalid')"),
+            'Controllers should forward errors instead of matching messages');
+        assert(read(projectPath, 'src/utils/listQuery.js').includes("throw new BadRequestError("), 'listQuery should throw BadRequestError');
+        assert(read(projectPath, 'src/middlewares/validate.js').includes("next(new ValidationError('Validation failed'"), 'validate() should raise a ValidationError');
+
+        runOk(addCrudScript, ['Product', 'title:string!', 'price:number:min=0'], projectPath);
+        const productService = read(projectPath, 'src/services/productService.js');
+        checkSyntax(path.join(projectPath, 'src/services/productService.js'));
+        checkSyntax(path.join(projectPath, 'src/controllers/productController.js'));
+        assert(productService.includes("import { NotFoundError } from '../utils/errors.js';")
+            && productService.includes("throw new NotFoundError('Product not found');"), 'add-crud services should import and throw the error classes');
+        console.log('✅ Services, list queries and validate() throw typed errors; controllers forward them');
+    }
+
+    // --- Projects generated before the error classes existed ---
+    {
+        const legacyPath = createProject('test-errors-legacy', 'typescript', 'postgres');
+        fs.rmSync(path.join(legacyPath, 'src/utils/errors.ts'));
+        runOk(addCrudScript, ['Order', 'total:number!'], legacyPath);
+        const errorsModule = read(legacyPath, 'src/utils/errors.ts');
+        assert(errorsModule.includes('export class AppError extends Error {') && errorsModule.includes('    status: number;')
+            && errorsModule.includes('export interface FieldError {'), 'add-crud did not add the TypeScript errors module');
+        assert(read(legacyPath, 'src/services/orderService.ts').includes("throw new BadRequestError('Invalid ID format', 'INVALID_ID');"),
+            'SQL services should reject malformed ids with BadRequestError');
+        console.log('✅ Older projects get src/utils/errors on the next add-crud');
+    }
+
+    // --- gen-openapi documents problem+json ---
+    {
+        runOk(openApiScript, [], projectPath);
+        const spec = JSON.parse(read(projectPath, 'openapi.json'));
+        const notFound = spec.components.responses.NotFound.content['application/problem+json'];
+        assert(notFound?.schema.$ref === '#/components/schemas/Problem', 'NotFound should be documented as problem+json');
+        assert(spec.components.schemas.Problem.properties.code && spec.components.schemas.ValidationError.properties.errors.type === 'array',
+            'Problem and ValidationError schemas are missing');
+
+        // Projects that kept the old handler keep the old envelope
+        fs.writeFileSync(path.join(projectPath, 'src/middlewares/errorHandler.js'), 'export const errorHandler = (err, req, res, next) => res.status(500).json({ error: err.message });\n');
+        runOk(openApiScript, [], projectPath);
+        const legacySpec = JSON.parse(read(projectPath, 'openapi.json'));
+        assert(legacySpec.components.responses.NotFound.content['application/json'] && !legacySpec.components.schemas.Problem,
+            'Older error handlers should keep the Error envelope');
+        console.log('✅ gen-openapi documents problem details when the project uses them');
+    }
+
+    console.log('\n✨ All error classes tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the GraphQL endpoint of generated projects:
+ *   new my-api --graphql, add-crud Post title:string! --graphql
+ *
+ * Sends queries and mutations to the /graphql endpoint of a started app,
+ * including relations resolved through the DataLoader of the referenced
+ * resource (one getByIds call per request), and checks how add-crud and
+ * remove-crud keep src/graphql/index in step with the resources
+ * (registration, --protect, reserved names).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import {
+    assert, run, runOk, read, checkSyntax, createProject, installDependencies,
+    typeCheck, startApp, runModule, useRecordingPool
+} from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const removeCrudScript = path.join(rootDir, 'removeCrudResource.js');
+const addAuthScript = path.join(rootDir, 'generateAuth.js');
+
+// Runs a query through the schema of src/graphql/index.js with fresh loaders and
+// counts the Post.getByIds calls the comment list makes
+const LOADER_CHECK = `import { graphql } from 'graphql';
+import { schema } from './src/graphql/index.js';
+import * as postGraphql from './src/graphql/postGraphql.js';
+import Post from './src/models/Post.js';
+import { createComment } from './src/services/commentService.js';
+
+const lookups = [];
+const getByIds = Post.getByIds.bind(Post);
+Post.getByIds = (ids) => {
+    lookups.push(ids);
+    return getByIds(ids);
+};
+
+const posts = [Post.create({ title: 'First' }), Post.create({ title: 'Second' })];
+for (const [index, body] of ['a', 'b', 'c'].entries()) {
+    await createComment({ body, post: String(posts[index % 2].id) });
+}
+const result = await graphql({
+    schema,
+    source: '{ comments(sort: "body", filter: [{ field: "body", op: in, value: "a,b,c" }]) { data { body post { title } } } }',
+    contextValue: { loaders: { Post: postGraphql.createLoader() } }
+});
+console.log(JSON.stringify({ result, lookups }));
+`;
+
+console.log('🚀 Starting GraphQL test...\n');
+
+try {
+    const projectPath = createProject('test-graphql-memory', 'javascript', 'memory', ['--graphql']);
+
+    // --- new --graphql: queries and mutations of the Item module ---
+    {
+        for (const file of ['src/graphql/index.js', 'src/graphql/utils.js', 'src/graphql/itemGraphql.js', 'src/app.js']) {
+            checkSyntax(path.join(projectPath, file));
+        }
+        assert(read(projectPath, 'README.md').includes('/graphql'), 'README does not document the endpoint');
+
+        installDependencies(projectPath);
+        const app = await startApp(projectPath);
+        const graphql = async (query, variables) => (await app.request('POST', '/graphql', { query, variables })).body;
+        try {
+            let body = await graphql('mutation ($input: CreateItemInput!) { createItem(input: $input) { id name price } }', { input: { name: ' Lamp ', price: 20 } });
+            const item = body.data?.createItem;
+            assert(item?.name === 'Lamp' && item.price === 20, `createItem does not validate its input like the REST API: ${JSON.stringify(body)}`);
+
+            body = await graphql('query ($id: ID!) { item(id: $id) { name } items(filter: [{ field: "price", op: gte, value: "10" }], limit: 5) { data { id } meta { total limit } } }', { id: item.id });
+            assert(body.data?.item.name === 'Lamp' && body.data.items.data.some(listed => listed.id === item.id) && body.data.items.meta.limit === 5,
+                `Item queries do not go through the services and list query: ${JSON.stringify(body)}`);
+
+            body = await graphql('mutation { createItem(input: { name: "" }) { id } }');
+            assert(body.errors?.[0].extensions.code === 'VALIDATION_FAILED' && body.errors[0].extensions.errors.length > 0,
+                `Invalid input does not answer the validation errors: ${JSON.stringify(body)}`);
+            body = await graphql('{ item(id: "missing") { id } }');
+            assert(body.errors?.[0].extensions.code === 'NOT_FOUND' && body.errors[0].extensions.status === 404, `AppErrors do not keep their code: ${JSON.stringify(body)}`);
+
+            body = await graphql('mutation ($id: ID!) { deleteItem(id: $id) }', { id: item.id });
+            assert(body.data?.deleteItem === true && (await app.request('GET', `/api/items/${item.id}`)).status === 404,
+                `deleteItem did not delete through the service: ${JSON.stringify(body)}`);
+        } finally {
+            app.stop();
+        }
+        console.log('✅ new --graphql answers queries and mutations on /graphql');
+    }
+
+    // --- Projects without --graphql are unchanged ---
+    {
+        const plainPath = createProject('test-graphql-plain', 'javascript', 'memory');
+        assert(!fs.existsSync(path.join(plainPath, 'src/graphql')), 'Projects without --graphql should have no src/graphql');
+        assert(!read(plainPath, 'src/app.js').includes('graphql') && !JSON.parse(read(plainPath, 'package.json')).dependencies.graphql,
+            'Projects without --graphql should not mount or depend on GraphQL');
+
+        // add-crud --graphql creates the endpoint in an existing project
+        const dryRun = JSON.parse(runOk(addCrudScript, ['Product', 'title:string!', '--graphql', '--dry-run', '--json'], plainPath).stdout);
+        const planned = dryRun.changes.map(change => change.path);
+        assert(['src/graphql/productGraphql.js', 'src/graphql/utils.js', 'src/graphql/index.js'].every(file => planned.includes(file)),
+            `Dry run does not list the GraphQL files: ${planned.join(', ')}`);
+        assert(!fs.existsSync(path.join(plainPath, 'src/graphql')), 'Dry run should not write anything');
+
+        runOk(addCrudScript, ['Product', 'title:string!', '--graphql'], plainPath);
+        assert(read(plainPath, 'src/graphql/index.js').includes('const resources = [productGraphql];'), 'The endpoint does not start with Product');
+        const app = read(plainPath, 'src/app.js');
+        assert(app.includes("import { graphqlHandler } from './graphql/index.js';") && app.includes("    app.all('/graphql', graphqlHandler);\n"),
+            'add-crud --graphql does not mount /graphql');
+        assert(JSON.parse(read(plainPath, 'package.json')).dependencies.dataloader, 'add-crud --graphql does not add the dependencies');
+        checkSyntax(path.join(plainPath, 'src/app.js'));
+
+        // Later resources join the endpoint without the flag, and /graphql is mounted once
+        runOk(addCrudScript, ['Tag', 'label:string!'], plainPath);
+        assert(read(plainPath, 'src/graphql/index.js').includes('const resources = [productGraphql, tagGraphql];'), 'Tag is not registered');
+        assert(read(plainPath, 'src/app.js').split("app.all('/graphql'").length === 2, '/graphql should be mounted once');
+        console.log('✅ add-crud --graphql adds the endpoint to existing projects');
+    }
+
+    // --- Relations resolve through the DataLoader of the referenced resource ---
+    {
+        runOk(addCrudScript, ['Post', 'title:string!', 'Comment', 'body:string!', 'post:ref!:Post', 'tags:string[]', 'postedOn:date'], projectPath);
+        checkSyntax(path.join(projectPath, 'src/graphql/commentGraphql.js'));
+
+        const app = await startApp(projectPath);
+        const graphql = async (query, variables) => (await app.request('POST', '/graphql', { query, variables })).body;
+        try {
+            let body = await graphql('mutation { createPost(input: { title: "Hello" }) { id } }');
+            const postId = body.data?.createPost.id;
+            body = await graphql('mutation ($input: CreateCommentInput!) { createComment(input: $input) { id body tags postedOn post { id title } } }',
+                { input: { body: 'Nice', post: postId, tags: ['a'], postedOn: '2026-01-02' } });
+            const comment = body.data?.createComment;
+            assert(comment?.post?.title === 'Hello' && comment.tags.join() === 'a' && comment.postedOn.startsWith('2026-01-02'),
+                `Comment fields or its post are not resolved: ${JSON.stringify(body)}`);
+
+            body = await graphql('mutation ($id: ID!) { updateComment(id: $id, input: { body: "Edited" }) { body post { title } } }', { id: comment.id });
+            assert(body.data?.updateComment.body === 'Edited' && body.data.updateComment.post.title === 'Hello', `updateComment failed: ${JSON.stringify(body)}`);
+            body = await graphql('{ comments(filter: [{ field: "body", value: "Edited" }]) { data { post { title } } meta { total } } }');
+            assert(body.data?.comments.meta.total === 1 && body.data.comments.data[0].post.title === 'Hello', `comments does not resolve the posts: ${JSON.stringify(body)}`);
+        } finally {
+            app.stop();
+        }
+
+        const { result, lookups } = runModule(projectPath, LOADER_CHECK);
+        assert(!result.errors && result.data.comments.data.map(listed => `${listed.body}:${listed.post.title}`).join() === 'a:First,b:Second,c:First',
+            `Comments do not resolve their posts: ${JSON.stringify(result)}`);
+        assert(lookups.length === 1 && lookups[0].length === 2, `The posts of a comment list should load with one getByIds call, got ${JSON.stringify(lookups)}`);
+
+        const reserved = run(addCrudScript, ['Query', '--graphql'], projectPath);
+        assert(reserved.status !== 0 && reserved.stderr.includes('Query'), 'GraphQL type names should be refused');
+        console.log('✅ References resolve through DataLoaders of the resources they point to');
+    }
+
+    // --- --protect: /graphql does not check tokens ---
+    {
+        runOk(addAuthScript, [], projectPath);
+        const result = run(addCrudScript, ['Invoice', '--protect', '--graphql'], projectPath);
+        assert(result.status !== 0 && result.stderr.includes('--graphql cannot be combined with --protect'), '--graphql --protect should be rejected');
+
+        const skipped = runOk(addCrudScript, ['Invoice', '--protect'], projectPath);
+        assert(skipped.stdout.includes('it is not added to the GraphQL endpoint'), 'Skipping a protected resource is not reported');
+        assert(!fs.existsSync(path.join(projectPath, 'src/graphql/invoiceGraphql.js')) && !read(projectPath, 'src/graphql/index.js').includes('invoice'),
+            'Protected resources should stay REST-only');
+        console.log('✅ Protected resources stay out of /graphql');
+    }
+
+    // --- remove-crud unregisters the module ---
+    {
+        runOk(removeCrudScript, ['Comment', '--yes'], projectPath);
+        assert(!fs.existsSync(path.join(projectPath, 'src/graphql/commentGraphql.js')), 'The Comment module was not deleted');
+        const index = read(projectPath, 'src/graphql/index.js');
+        assert(index.includes('const resources = [itemGraphql, postGraphql];') && !index.includes('commentGraphql'), 'remove-crud does not unregister Comment');
+        checkSyntax(path.join(projectPath, 'src/graphql/index.js'));
+        console.log('✅ remove-crud unregisters the module');
+    }
+
+    // --- SQL databases batch lookups with getByIds; TypeScript type-checks ---
+    {
+        const sqlitePath = createProject('test-graphql-sqlite', 'javascript', 'sqlite', ['--graphql']);
+        runOk(addCrudScript, ['Post', 'title:string!', 'Comment', 'body:string!', 'post:ref!:Post'], sqlitePath);
+        installDependencies(sqlitePath);
+        const app = await startApp(sqlitePath);
+        const graphql = async (query, variables) => (await app.request('POST', '/graphql', { query, variables })).body;
+        try {
+            for (const title of ['First', 'Second']) {
+                const { data } = await graphql('mutation ($title: String!) { createPost(input: { title: $title }) { id } }', { title });
+                await graphql('mutation ($body: String!, $post: ID!) { createComment(input: { body: $body, post: $post }) { id } }', { body: `On ${title}`, post: data.createPost.id });
+            }
+            const body = await graphql('{ comments(sort: "body", filter: [{ field: "body", op: in, value: "On First,On Second" }]) { data { body post { title } } } }');
+            assert(body.data?.comments.data.map(comment => `${comment.body}:${comment.post.title}`).join() === 'On First:First,On Second:Second',
+                `SQLite comments do not resolve their posts: ${JSON.stringify(body)}`);
+        } finally {
+            app.stop();
+        }
+
+        const mysqlPath = createProject('test-graphql-mysql', 'javascript', 'mysql', ['--graphql']);
+        useRecordingPool(mysqlPath);
+        const [lookup] = runModule(mysqlPath, `import { getItemsByIds } from './src/services/itemService.js';
+import { queries } from './src/config/database.js';
+
+await getItemsByIds(['1', '2']);
+console.log(JSON.stringify(queries));
+`);
+        assert(lookup.sql === 'SELECT * FROM items WHERE id IN (?)' && JSON.stringify(lookup.values) === '[["1","2"]]',
+            `MySQL getByIds does not look the ids up in one query: ${JSON.stringify(lookup)}`);
+
+        const tsPath = createProject('test-graphql-sqlite-ts', 'typescript', 'sqlite', ['--graphql']);
+        runOk(addCrudScript, ['Post', 'title:string!', 'Comment', 'body:string!', 'post:ref!:Post'], tsPath);
+        installDependencies(tsPath, { dev: true });
+        typeCheck(tsPath);
+        console.log('✅ SQL databases batch lookups with getByIds, and TypeScript projects type-check');
+    }
+
+    console.log('\n✨ All GraphQL tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
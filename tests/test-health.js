@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/**
+ * Tests health probes and graceful shutdown in generated servers:
+ *   src/utils/health.js (/health/live, /health/ready) + src/utils/shutdown.js
+ *
+ * Checks the probes and database helpers for every database, the server
+ * wiring, and runs the generated shutdown module against a real HTTP server:
+ * in-flight requests finish on SIGTERM, and SHUTDOWN_TIMEOUT_MS forces the exit.
+ * Also checks gen-postman and gen-openapi list the probes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const postmanScript = path.join(rootDir, 'generatePostmanCollection.js');
+const openApiScript = path.join(rootDir, 'generateOpenApiSpec.js');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function runOk(script, args, cwd) {
+    const result = spawnSync(process.execPath, [script, ...args], { cwd, encoding: 'utf-8' });
+    assert(result.status === 0, `${path.basename(script)} ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+function read(projectPath, relativePath) {
+    return fs.readFileSync(path.join(projectPath, relativePath), 'utf8');
+}
+
+function checkSyntax(filePath) {
+    const result = spawnSync(process.execPath, ['--check', filePath], { encoding: 'utf-8' });
+    assert(result.status === 0, `Generated file has syntax errors: ${path.basename(filePath)}\n${result.stderr}`);
+}
+
+function createProject(projectName, language, db) {
+    const projectPath = path.join(process.cwd(), projectName);
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    runOk(createScript, [projectName, `--lang=${language}`, `--db=${db}`], process.cwd());
+    return projectPath;
+}
+
+// Serves one slow request, sends itself SIGTERM while it is in flight and
+// reports whether the client still got its answer
+const SHUTDOWN_SCRIPT = `import http from 'http';
+import { registerGracefulShutdown } from './src/utils/shutdown.js';
+
+const server = http.createServer((req, res) => setTimeout(() => res.end('done'), Number(process.env.REQUEST_MS)));
+registerGracefulShutdown(server);
+server.listen(0, () => {
+    http.get({ port: server.address().port, path: '/' }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => console.log('response: ' + body));
+    });
+    setTimeout(() => process.kill(process.pid, 'SIGTERM'), 50);
+});
+`;
+
+console.log('🚀 Starting health and shutdown test...\n');
+
+try {
+    // --- Probes and database helpers for every database ---
+    for (const db of ['mongodb', 'mysql', 'postgres', 'sqlite']) {
+        const projectPath = createProject(`test-health-${db}`, 'javascript', db);
+        const health = read(projectPath, 'src/utils/health.js');
+        assert(health.includes("import { pingDatabase } from '../config/database.js';") && health.includes('await withTimeout(pingDatabase(), READY_TIMEOUT_MS);')
+            && health.includes("res.status(503).json({ status: 'unavailable', database: 'unreachable' });"), `${db}: readiness does not ping the database`);
+        const database = read(projectPath, 'src/config/database.js');
+        assert(database.includes('export const pingDatabase = async () =>') && database.includes('export const closeDatabase = async () =>'),
+            `${db}: database.js has no ping/close helpers`);
+        assert(read(projectPath, 'src/utils/shutdown.js').includes('await closeDatabase();'), `${db}: shutdown does not close the database`);
+        for (const file of ['src/utils/health.js', 'src/utils/shutdown.js', 'src/config/database.js', 'src/app.js', 'src/server.js']) {
+            checkSyntax(path.join(projectPath, file));
+        }
+    }
+    assert(read(path.join(process.cwd(), 'test-health-mongodb'), 'src/config/database.js').includes('await mongoose.connection.db?.admin().ping();'),
+        'MongoDB readiness should ping through the mongoose connection');
+    assert(read(path.join(process.cwd(), 'test-health-postgres'), 'src/config/database.js').includes('await db.end();'), 'PostgreSQL pool is not ended');
+    console.log('✅ Readiness pings and shutdown closes each database');
+
+    const projectPath = createProject('test-health-memory', 'javascript', 'memory');
+    {
+        const health = read(projectPath, 'src/utils/health.js');
+        assert(!health.includes('pingDatabase') && health.includes("res.json({ status: 'ready', database: 'in-memory' });"), 'In-memory readiness should not need a database');
+        assert(health.includes("router.get('/live', live);") && health.includes("router.get('/', live);") && health.includes('if (isShuttingDown()) {'),
+            'Liveness (and the /health alias used by Docker) or the shutdown check is missing');
+        assert(!read(projectPath, 'src/utils/shutdown.js').includes('closeDatabase'), 'In-memory shutdown has no database to close');
+
+        const app = read(projectPath, 'src/app.js');
+        assert(app.includes("import healthRouter from './utils/health.js';"), 'app.js does not import the health router');
+        assert(app.indexOf("app.use('/health', healthRouter);") < app.indexOf('app.use(requestLogger);')
+            && app.indexOf('app.use(requestLogger);') < app.indexOf('app.use(httpsRedirect);'), 'Probes should be mounted before logging and HTTPS redirects');
+        const server = read(projectPath, 'src/server.js');
+        assert(server.includes("import { registerGracefulShutdown } from './utils/shutdown.js';") && server.includes('const server = app.listen(config.port,')
+            && server.includes('registerGracefulShutdown(server);'), 'server.js does not register the shutdown handler');
+        assert(read(projectPath, '.env').includes('# SHUTDOWN_TIMEOUT_MS=10000'), '.env does not document SHUTDOWN_TIMEOUT_MS');
+        assert(JSON.parse(read(projectPath, 'package.json')).engines?.node === '>=18.2', 'package.json does not require the Node version of server.closeIdleConnections()');
+        console.log('✅ Servers mount /health first and register the shutdown handler');
+    }
+
+    // --- The generated shutdown module, run against a real server ---
+    {
+        // Generated projects are not installed here: swap the pino logger for console output
+        fs.writeFileSync(path.join(projectPath, 'src/utils/logger.js'),
+            'export const logger = { info: (...args) => console.log(args.at(-1)), error: (...args) => console.log(args.at(-1)) };\n');
+        fs.writeFileSync(path.join(projectPath, 'shutdown-check.js'), SHUTDOWN_SCRIPT);
+        const runShutdown = (env) => spawnSync(process.execPath, ['shutdown-check.js'], {
+            cwd: projectPath,
+            encoding: 'utf-8',
+            timeout: 20000,
+            env: { ...process.env, ...env }
+        });
+
+        let result = runShutdown({ REQUEST_MS: '300' });
+        assert(result.status === 0, `Shutdown should exit 0 after draining:\n${result.stdout}${result.stderr}`);
+        assert(result.stdout.includes('Shutting down') && result.stdout.includes('response: done') && result.stdout.includes('Shutdown complete')
+            && result.stdout.indexOf('response: done') < result.stdout.indexOf('Shutdown complete'), `In-flight request was not drained:\n${result.stdout}`);
+
+        result = runShutdown({ REQUEST_MS: '5000', SHUTDOWN_TIMEOUT_MS: '200' });
+        assert(result.status === 1 && result.stdout.includes('Shutdown timed out, exiting') && !result.stdout.includes('response: done'),
+            `SHUTDOWN_TIMEOUT_MS should force the exit:\n${result.stdout}${result.stderr}`);
+        console.log('✅ SIGTERM drains in-flight requests within SHUTDOWN_TIMEOUT_MS');
+    }
+
+    // --- TypeScript projects ---
+    {
+        const tsPath = createProject('test-health-ts', 'typescript', 'postgres');
+        assert(read(tsPath, 'src/utils/shutdown.ts').includes('export const registerGracefulShutdown = (server: Server): void =>'), 'TypeScript shutdown is not typed');
+        assert(read(tsPath, 'src/utils/health.ts').includes("router.get('/ready', async (_req: Request, res: Response): Promise<void> =>"), 'TypeScript readiness is not typed');
+        assert(read(tsPath, 'src/config/database.ts').includes('export const closeDatabase = async (): Promise<void> =>'), 'TypeScript database helpers are not typed');
+        console.log('✅ TypeScript projects get typed probes and shutdown');
+    }
+
+    // --- gen-postman and gen-openapi list the probes ---
+    {
+        runOk(postmanScript, [], projectPath);
+        const collection = JSON.parse(read(projectPath, 'postman-collection.json'));
+        const health = collection.item.find(item => item.name === 'Health Check');
+        assert(health?.item?.map(item => item.request.url.raw).join(',') === '{{baseUrl}}/,{{baseUrl}}/health/live,{{baseUrl}}/health/ready',
+            'Postman collection does not list the probes');
+
+        runOk(openApiScript, [], projectPath);
+        const spec = JSON.parse(read(projectPath, 'openapi.json'));
+        assert(spec.paths['/health/live'].get && spec.paths['/health/ready'].get.responses[503], 'OpenAPI does not document the probes');
+
+        // Projects generated before the probes existed keep the single health check
+        fs.rmSync(path.join(projectPath, 'src/utils/health.js'));
+        runOk(postmanScript, [], projectPath);
+        assert(JSON.parse(read(projectPath, 'postman-collection.json')).item.at(-1).request.url.raw === '{{baseUrl}}/', 'Older projects should keep GET /');
+        console.log('✅ gen-postman and gen-openapi list the probes');
+    }
+
+    console.log('\n✨ All health and shutdown tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
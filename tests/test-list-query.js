@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Automated list endpoint testing
+ * Creates projects through the CLI and checks that GET collection endpoints
+ * paginate, sort and filter: the in-memory service and API are run directly,
+ * the database backends run against pg-mem, a recording MySQL pool and a
+ * stubbed Mongoose query.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+import { assert, runOk, createProject, installDependencies, startApp, runModule, useRecordingPool, usePgMem } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+
+async function expectInvalid(promise, message) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error.message.startsWith('Invalid'), `${message} (got "${error.message}")`);
+        return;
+    }
+    throw new Error(message);
+}
+
+// Records the filter and options of the Mongoose queries instead of sending them
+const MONGO_QUERY_CHECK = `import mongoose from 'mongoose';
+import { getAllItems } from './src/services/itemService.js';
+
+const queries = [];
+mongoose.Query.prototype.exec = async function () {
+    queries.push({ op: this.op, filter: this.getFilter(), options: this.getOptions() });
+    return this.op === 'countDocuments' ? 4 : [];
+};
+
+const result = await getAllItems({ page: '2', limit: '3', sort: '-price,name', price: { gte: '10' }, name: { in: 'a,b' } });
+console.log(JSON.stringify({ queries, meta: result.meta }));
+`;
+
+console.log('🚀 Starting automated list query test...\n');
+
+try {
+    // --- In-memory: run the generated service and API ---
+    {
+        const projectPath = createProject('test-list-memory', 'javascript', 'memory');
+        runOk(addCrudScript, ['Product', 'title:string!', 'price:number', 'active:boolean', 'tags:string[]'], projectPath);
+        assert(fs.existsSync(path.join(projectPath, 'src/utils/listQuery.js')), 'src/utils/listQuery.js was not generated');
+
+        const service = await import(pathToFileURL(path.join(projectPath, 'src/services/productService.js')).href);
+        for (const [title, price, active] of [['Desk', 120, true], ['Lamp', 30, false], ['Chair', 80, true]]) {
+            await service.createProduct({ title, price, active, tags: [] });
+        }
+
+        const page = await service.getAllProducts({ page: '2', limit: '2' });
+        assert(page.data.length === 2, `Expected 2 products on page 2, got ${page.data.length}`);
+        assert(JSON.stringify(page.meta) === JSON.stringify({ total: 5, page: 2, limit: 2, totalPages: 3 }), `Unexpected meta: ${JSON.stringify(page.meta)}`);
+
+        const filtered = await service.getAllProducts({ price: { gte: '50', lt: '150' }, active: 'true', sort: '-price' });
+        assert(filtered.data.map(p => p.title).join(',') === 'Desk,Chair', `Filter/sort returned ${filtered.data.map(p => p.title).join(',')}`);
+
+        const listed = await service.getAllProducts({ 'title[in]': 'Lamp,Chair', sort: 'title' });
+        assert(listed.data.map(p => p.title).join(',') === 'Chair,Lamp', 'Simple-parser filter keys are not supported');
+
+        await expectInvalid(service.getAllProducts({ sort: 'password' }), 'Unknown sort fields should be rejected');
+        await expectInvalid(service.getAllProducts({ secret: 'x' }), 'Unknown filter fields should be rejected');
+        await expectInvalid(service.getAllProducts({ tags: 'a' }), 'Array fields should not be filterable');
+        await expectInvalid(service.getAllProducts({ price: { regex: '.*' } }), 'Unknown operators should be rejected');
+        await expectInvalid(service.getAllProducts({ price: 'cheap' }), 'Non-numeric values for number fields should be rejected');
+        await expectInvalid(service.getAllProducts({ limit: '1000' }), 'Limits above the maximum should be rejected');
+
+        // The controller passes the query string through and answers with meta
+        installDependencies(projectPath, { dev: true });
+        const app = await startApp(projectPath);
+        try {
+            await app.request('POST', '/api/products', { title: 'Desk', price: 120, active: true });
+            await app.request('POST', '/api/products', { title: 'Lamp', price: 30, active: false });
+            let response = await app.request('GET', '/api/products?price[gte]=50&sort=-price&limit=5');
+            assert(response.status === 200 && response.body.data.map(p => p.title).join(',') === 'Desk',
+                `GET /api/products does not filter by the query string: ${JSON.stringify(response.body)}`);
+            assert(response.body.meta.limit === 5 && response.body.meta.page === 1, `GET /api/products does not return meta: ${JSON.stringify(response.body)}`);
+
+            response = await app.request('GET', '/api/products?sort=password');
+            assert(response.status === 400, `Unknown sort fields should answer 400, got ${response.status}`);
+        } finally {
+            app.stop();
+        }
+        console.log('✅ In-memory list endpoint paginates, sorts and filters');
+    }
+
+    // --- MySQL: the model binds the filters and LIMIT/OFFSET ---
+    {
+        const projectPath = createProject('test-list-mysql', 'javascript', 'mysql');
+        useRecordingPool(projectPath);
+        const result = runModule(projectPath, `import { getAllItems } from './src/services/itemService.js';
+import { queries } from './src/config/database.js';
+
+const list = await getAllItems({ page: '3', limit: '4', sort: 'name', price: { lt: '9' } });
+console.log(JSON.stringify({ queries, meta: list.meta }));
+`);
+        const [count, select] = result.queries;
+        assert(count.sql.trim() === 'SELECT COUNT(*) AS total FROM items WHERE price < ?' && count.values.join() === '9',
+            `MySQL count query does not bind the filter: ${JSON.stringify(count)}`);
+        assert(/WHERE price < \? ORDER BY name ASC, id ASC LIMIT \? OFFSET \?$/.test(select.sql) && select.values.join() === '9,4,8',
+            `MySQL list query does not page with LIMIT/OFFSET: ${JSON.stringify(select)}`);
+        assert(result.meta.page === 3 && result.meta.total === 0, `Unexpected meta: ${JSON.stringify(result.meta)}`);
+        console.log('✅ MySQL models page with LIMIT/OFFSET');
+    }
+
+    // --- PostgreSQL: run the API against pg-mem ---
+    {
+        const projectPath = createProject('test-list-postgres', 'javascript', 'postgresql');
+        usePgMem(projectPath);
+        const app = await startApp(projectPath);
+        try {
+            for (const [name, price] of [['Desk', 120], ['Lamp', 30], ['Chair', 80], ['Shelf', 60]]) {
+                await app.request('POST', '/api/items', { name, price });
+            }
+            const response = await app.request('GET', '/api/items?price[gte]=50&sort=-price&page=2&limit=2');
+            assert(response.status === 200 && response.body.data.map(item => item.name).join(',') === 'Shelf',
+                `PostgreSQL list does not bind $n filters and LIMIT/OFFSET: ${JSON.stringify(response.body)}`);
+            assert(JSON.stringify(response.body.meta) === JSON.stringify({ total: 3, page: 2, limit: 2, totalPages: 2 }),
+                `Unexpected meta: ${JSON.stringify(response.body.meta)}`);
+        } finally {
+            app.stop();
+        }
+        console.log('✅ PostgreSQL models bind $n placeholders');
+    }
+
+    // --- MongoDB: the service builds the filter, sort and paging ---
+    {
+        const mongoPath = createProject('test-list-mongodb', 'javascript', 'mongodb');
+        installDependencies(mongoPath);
+        const result = runModule(mongoPath, MONGO_QUERY_CHECK);
+        const find = result.queries.find(query => query.op === 'find');
+        const count = result.queries.find(query => query.op === 'countDocuments');
+        const expectedFilter = JSON.stringify({ price: { $gte: 10 }, name: { $in: ['a', 'b'] } });
+        assert(JSON.stringify(find.filter) === expectedFilter && JSON.stringify(count.filter) === expectedFilter,
+            `MongoDB service does not filter and count with the same filter: ${JSON.stringify(result.queries)}`);
+        assert(JSON.stringify(find.options.sort) === JSON.stringify({ price: -1, name: 1, _id: -1 }) && find.options.skip === 3 && find.options.limit === 3,
+            `MongoDB service does not sort and paginate: ${JSON.stringify(find.options)}`);
+        assert(result.meta.total === 4 && result.meta.totalPages === 2, `Unexpected meta: ${JSON.stringify(result.meta)}`);
+        console.log('✅ MongoDB services filter, sort and count');
+
+        // A field named like a list query parameter could never be filtered on
+        for (const name of ['page', 'limit', 'sort', 'include', 'includeDeleted']) {
+            const add = spawnSync(process.execPath, [addCrudScript, 'Product', `${name}:string`], { cwd: mongoPath, encoding: 'utf-8' });
+            assert(add.status !== 0, `add-crud accepted the field name "${name}"`);
+            assert(add.stderr.includes(`"${name}" is a query parameter of the list endpoint`), `Unclear error for the field name "${name}":\n${add.stderr}`);
+        }
+        assert(!fs.existsSync(path.join(mongoPath, 'src/models/Product.js')), 'Files were written for a reserved field name');
+        console.log('✅ List query parameters are reserved field names');
+    }
+
+    console.log('\n✨ All list query tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Automated migrations testing
+ * Creates MySQL and PostgreSQL projects through the CLI, adds resources and
+ * checks the numbered migration files, the Docker wiring and the migrate
+ * runner, which is run against pg-mem (an in-memory PostgreSQL).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { assert, runOk, read, write, checkSyntax, installDependencies } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const addDockerScript = path.join(rootDir, 'addDocker.js');
+
+console.log('🚀 Starting automated migrations test...\n');
+
+try {
+    // --- MySQL: numbered migrations, runner and Docker startup ---
+    {
+        const projectName = 'test-migrations-mysql';
+        const projectPath = path.join(process.cwd(), projectName);
+        fs.rmSync(projectPath, { recursive: true, force: true });
+
+        runOk(createScript, [projectName, '--lang=javascript', '--db=mysql'], process.cwd());
+
+        const packageJson = JSON.parse(read(projectPath, 'package.json'));
+        assert(packageJson.scripts.migrate === 'node scripts/migrate.js up', 'package.json is missing the migrate script');
+        assert(packageJson.scripts['migrate:rollback'] === 'node scripts/migrate.js down', 'package.json is missing the migrate:rollback script');
+
+        const itemMigration = read(projectPath, 'migrations/001_create_items.sql');
+        assert(itemMigration.includes('-- migrate:up') && itemMigration.includes('-- migrate:down'), 'Item migration is missing the up/down markers');
+        assert(itemMigration.includes('CREATE TABLE IF NOT EXISTS items') && itemMigration.includes('id INT AUTO_INCREMENT PRIMARY KEY'), 'Item migration does not create the MySQL items table');
+        assert(itemMigration.includes('DROP TABLE IF EXISTS items;'), 'Item migration does not drop the table on rollback');
+
+        const runner = read(projectPath, 'scripts/migrate.js');
+        assert(runner.includes("import mysql from 'mysql2/promise';"), 'migrate.js does not use mysql2');
+        assert(runner.includes('schema_migrations'), 'migrate.js does not track applied migrations');
+        assert(runner.includes("import { config } from '../src/config/env.js';") && runner.includes('host: config.db.host,')
+            && !runner.includes('process.env.DB_'), 'migrate.js does not connect with the validated config/env settings');
+        checkSyntax(path.join(projectPath, 'scripts/migrate.js'));
+        console.log('✅ MySQL project generated with migrations');
+
+        // Each add-crud resource gets the next migration number
+        runOk(addCrudScript, ['Product', 'title:string!', 'Tag', 'label:string!'], projectPath);
+        const migrations = fs.readdirSync(path.join(projectPath, 'migrations')).sort();
+        assert(
+            migrations.join(',') === '001_create_items.sql,002_create_products.sql,003_create_tags.sql',
+            `Unexpected migration files: ${migrations.join(', ')}`
+        );
+        assert(read(projectPath, 'migrations/002_create_products.sql').includes('title VARCHAR(255) NOT NULL'), 'Product migration does not use the custom fields');
+        console.log('✅ add-crud wrote numbered migrations');
+
+        // The app container applies migrations before starting
+        runOk(addDockerScript, [], projectPath);
+        const dockerfile = read(projectPath, 'Dockerfile');
+        assert(dockerfile.includes('CMD ["sh", "-c", "npm run migrate && npm start"]'), 'Dockerfile does not run migrations on startup');
+        console.log('✅ add-docker runs migrations on startup');
+    }
+
+    // --- PostgreSQL TypeScript: runner, Dockerfile copies and legacy projects ---
+    {
+        const projectName = 'test-migrations-postgres-ts';
+        const projectPath = path.join(process.cwd(), projectName);
+        fs.rmSync(projectPath, { recursive: true, force: true });
+
+        runOk(createScript, [projectName, '--lang=typescript', '--db=postgres'], process.cwd());
+
+        assert(read(projectPath, 'migrations/001_create_items.sql').includes('id SERIAL PRIMARY KEY'), 'Item migration is not PostgreSQL syntax');
+        const scripts = JSON.parse(read(projectPath, 'package.json')).scripts;
+        assert(scripts.migrate === 'npm run build && node scripts/migrate.js up', 'TypeScript migrate script should build config/env first');
+        // Run the runner against pg-mem: each run starts from an empty database
+        installDependencies(projectPath, { dev: true, extra: { 'pg-mem': '^3.0.14' } });
+        runOk(addCrudScript, ['Product', 'title:string!', 'tags:string[]'], projectPath);
+        const runner = read(projectPath, 'scripts/migrate.js');
+        assert(runner.includes("import pg from 'pg';"), 'migrate.js does not use pg');
+        assert(runner.includes("import { config } from '../dist/config/env.js';") && runner.includes('port: config.db.port,'),
+            'TypeScript migrate.js does not read the compiled config/env');
+        runOk(path.join(projectPath, 'node_modules/typescript/bin/tsc'), ['-p', projectPath], projectPath);
+        write(projectPath, 'scripts/migrate-pg-mem.js', runner.replace("import pg from 'pg';", "import { newDb } from 'pg-mem';\nconst pg = newDb().adapters.createPg();"));
+        let result = runOk(path.join(projectPath, 'scripts/migrate-pg-mem.js'), ['up'], projectPath);
+        assert(result.stdout.indexOf('Applied 001_create_items') !== -1 && result.stdout.indexOf('Applied 001_create_items') < result.stdout.indexOf('Applied 002_create_products'),
+            `migrate up does not apply the migrations in order:\n${result.stdout}`);
+        result = runOk(path.join(projectPath, 'scripts/migrate-pg-mem.js'), ['down'], projectPath);
+        assert(result.stdout.includes('No applied migrations to roll back'), `migrate down on an empty database should have nothing to do:\n${result.stdout}`);
+        fs.rmSync(path.join(projectPath, 'scripts/migrate-pg-mem.js'));
+
+        runOk(addDockerScript, [], projectPath);
+        const dockerfile = read(projectPath, 'Dockerfile');
+        assert(dockerfile.includes('COPY --from=builder --chown=nodejs:nodejs /app/migrations ./migrations'), 'TypeScript Dockerfile does not copy the migrations');
+        assert(dockerfile.includes('CMD ["sh", "-c", "node scripts/migrate.js up && npm start"]'), 'TypeScript Dockerfile should run the runner on the built dist/');
+        console.log('✅ TypeScript project generated with PostgreSQL migrations');
+
+        // Projects generated before migrations (and config/env) get the runner, its config and scripts from add-crud
+        fs.rmSync(path.join(projectPath, 'scripts'), { recursive: true, force: true });
+        fs.rmSync(path.join(projectPath, 'src/config/env.ts'));
+        const packageJson = JSON.parse(read(projectPath, 'package.json'));
+        delete packageJson.scripts.migrate;
+        delete packageJson.scripts['migrate:rollback'];
+        fs.writeFileSync(path.join(projectPath, 'package.json'), JSON.stringify(packageJson, null, 2));
+
+        runOk(addCrudScript, ['Order'], projectPath);
+        assert(fs.existsSync(path.join(projectPath, 'migrations/003_create_orders.sql')), 'add-crud did not write 003_create_orders.sql');
+        assert(fs.existsSync(path.join(projectPath, 'scripts/migrate.js')), 'add-crud did not restore scripts/migrate.js');
+        assert(read(projectPath, 'src/config/env.ts').includes('export const config: Config'), 'add-crud did not add the config/env the runner reads');
+        assert(JSON.parse(read(projectPath, 'package.json')).scripts.migrate, 'add-crud did not add the migrate script');
+        console.log('✅ add-crud added the runner to an existing project');
+    }
+
+    // --- Databases without migrations ---
+    {
+        const projectName = 'test-migrations-memory';
+        const projectPath = path.join(process.cwd(), projectName);
+        fs.rmSync(projectPath, { recursive: true, force: true });
+
+        runOk(createScript, [projectName, '--lang=javascript', '--db=memory'], process.cwd());
+        assert(!fs.existsSync(path.join(projectPath, 'migrations')), 'In-memory project should not have migrations');
+        assert(!JSON.parse(read(projectPath, 'package.json')).scripts.migrate, 'In-memory project should not have a migrate script');
+        console.log('✅ In-memory project has no migrations');
+    }
+
+    console.log('\n✨ All migrations tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
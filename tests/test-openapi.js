@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Automated OpenAPI generation testing
+ * Creates projects through the CLI, runs gen-openapi and checks the paths,
+ * field schemas, error envelope and YAML output, then serves Swagger UI from
+ * the generated app and type-checks it in a TypeScript project.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+import { assert, runOk, read, createProject, installDependencies, startApp, typeCheck } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const openApiScript = path.join(rootDir, 'generateOpenApiSpec.js');
+const postmanScript = path.join(rootDir, 'generatePostmanCollection.js');
+const addAuthScript = path.join(rootDir, 'generateAuth.js');
+
+console.log('🚀 Starting automated OpenAPI test...\n');
+
+try {
+    // --- JSON spec with schemas derived from the field DSL ---
+    {
+        const projectPath = createProject('test-openapi-postgres', 'javascript', 'postgres');
+        runOk(addCrudScript, ['OrderItem', 'title:string!:maxlength=120', 'qty:int:min=1', 'status:string:enum=draft,published', 'tags:string[]'], projectPath);
+        runOk(openApiScript, [], projectPath);
+
+        const spec = JSON.parse(read(projectPath, 'openapi.json'));
+        assert(spec.openapi === '3.1.0', `Expected OpenAPI 3.1.0, got ${spec.openapi}`);
+        assert(spec.info.title === 'test-openapi-postgres', `Unexpected title: ${spec.info.title}`);
+        for (const route of ['/api/items', '/api/items/{id}', '/api/orderitems', '/api/orderitems/{id}', '/']) {
+            assert(spec.paths[route], `Missing path ${route}`);
+        }
+
+        const { schemas } = spec.components;
+        const input = schemas.OrderItemInput;
+        assert(JSON.stringify(input.required) === '["title"]', `OrderItemInput.required is ${JSON.stringify(input.required)}`);
+        assert(input.properties.title.maxLength === 120, 'title maxLength was not derived');
+        assert(input.properties.qty.type === 'integer' && input.properties.qty.minimum === 1, 'qty is not an integer with a minimum');
+        assert(JSON.stringify(input.properties.status.enum) === '["draft","published"]', 'status enum was not derived');
+        assert(input.properties.tags.type === 'array' && input.properties.tags.items.type === 'string', 'tags is not a string array');
+        assert(schemas.OrderItem.properties.id.type === 'integer', 'PostgreSQL ids should be integers');
+        assert(!schemas.OrderItemUpdate.required, 'Update bodies should not require fields');
+        assert(schemas.ItemInput.properties.price.type === 'number', 'Default Item price should be a number');
+        console.log('✅ Schemas derived from model fields');
+
+        const list = spec.paths['/api/orderitems'].get;
+        const parameterNames = list.parameters.map(parameter => parameter.name);
+        assert(['page', 'limit', 'sort', 'title', 'qty'].every(name => parameterNames.includes(name)), `Missing list parameters: ${parameterNames.join(', ')}`);
+        assert(!parameterNames.includes('tags'), 'Array fields should not be filter parameters');
+        assert(list.responses[200].content['application/json'].schema.properties.meta.$ref === '#/components/schemas/ListMeta', 'List response has no meta');
+
+        assert(schemas.Error.properties.error.type === 'string' && schemas.Error.properties.success.const === false, 'Error envelope schema is wrong');
+        assert(spec.paths['/api/orderitems/{id}'].get.responses[404].$ref === '#/components/responses/NotFound', 'GET by id does not document 404');
+        assert(spec.components.responses.NotFound.content['application/problem+json'].schema.$ref === '#/components/schemas/Problem', 'NotFound does not use problem details');
+        console.log('✅ Paths document pagination and the error envelope');
+
+        // gen-postman shares the route discovery
+        runOk(postmanScript, [], projectPath);
+        const collection = JSON.parse(read(projectPath, 'postman-collection.json'));
+        assert(collection.info.name === 'test-openapi-postgres', `Postman collection is named ${collection.info.name}`);
+        assert(collection.item.map(item => item.name).join(',') === 'Item,Orderitem,Health Check', 'Postman collection items changed');
+        console.log('✅ gen-postman still discovers the same routes');
+
+        // Fields are read from the manifest, not from the generated sources
+        const manifestPath = path.join(projectPath, '.lazycrud-manifest.json');
+        const manifest = JSON.parse(read(projectPath, '.lazycrud-manifest.json'));
+        assert(manifest.resources.OrderItem.fields.map(field => field.name).join(',') === 'title,qty,status,tags', 'add-crud did not record the fields');
+        assert(manifest.resources.Item.fields.map(field => field.name).join(',') === 'name,description,price', 'lazy-crud did not record the Item fields');
+        fs.writeFileSync(path.join(projectPath, 'src/schemas/orderitemSchema.js'), '// rewritten by hand\n');
+        delete manifest.resources.Item.fields;
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+        const result = runOk(openApiScript, [], projectPath);
+        const rewritten = JSON.parse(read(projectPath, 'openapi.json')).components.schemas;
+        assert(rewritten.OrderItemInput.properties.qty.minimum === 1, 'Schemas should not depend on the generated sources');
+        assert(rewritten.ItemInput.additionalProperties === true && !rewritten.ItemInput.properties, 'Resources without recorded fields should get a generic schema');
+        assert(result.stdout.includes('Item (/api/items) - fields unknown'), 'Resources without recorded fields are not reported');
+        console.log('✅ Fields read from .lazycrud-manifest.json');
+    }
+
+    // --- YAML output and Swagger UI in a TypeScript MongoDB project ---
+    {
+        const projectPath = createProject('test-openapi-mongodb-ts', 'typescript', 'mongodb');
+        runOk(openApiScript, ['--format=yaml', '--swagger-ui'], projectPath);
+
+        const yaml = read(projectPath, 'openapi.yaml');
+        assert(yaml.startsWith('openapi: "3.1.0"\n'), 'openapi.yaml does not start with the version');
+        assert(yaml.includes('  "/api/items/{id}":\n'), 'openapi.yaml is missing the item path');
+        assert(yaml.includes('        - name: page\n'), 'openapi.yaml does not list parameters as a sequence');
+        assert(JSON.parse(read(projectPath, 'openapi.json')).components.schemas.Item.properties._id, 'MongoDB ids should be _id');
+        console.log('✅ YAML spec written next to the openapi.json served by Swagger UI');
+
+        // The Swagger UI mount and its @types type-check
+        const packageJson = JSON.parse(read(projectPath, 'package.json'));
+        assert(packageJson.dependencies['swagger-ui-express'] && packageJson.devDependencies['@types/swagger-ui-express'], 'Swagger UI dependencies were not added');
+        installDependencies(projectPath, { dev: true });
+        typeCheck(projectPath);
+
+        // Running it again does not mount the UI twice
+        runOk(openApiScript, ['--swagger-ui'], projectPath);
+        assert(read(projectPath, 'src/app.ts').split("app.use('/docs'").length === 2, 'Swagger UI was mounted twice');
+        console.log('✅ Swagger UI mounted at /docs');
+    }
+
+    // --- Auth paths, including token refresh and logout, served by Swagger UI ---
+    {
+        const projectPath = createProject('test-openapi-auth', 'javascript', 'memory');
+        runOk(addAuthScript, [], projectPath);
+        runOk(openApiScript, ['--swagger-ui'], projectPath);
+
+        const spec = JSON.parse(read(projectPath, 'openapi.json'));
+        for (const route of ['/api/auth/register', '/api/auth/login', '/api/auth/refresh', '/api/auth/logout', '/api/auth/me']) {
+            assert(spec.paths[route], `Missing path ${route}`);
+        }
+        assert(spec.components.schemas.AuthTokens.properties.refreshToken, 'AuthTokens has no refreshToken');
+        assert(spec.paths['/api/auth/me'].get.security[0].bearerAuth, 'GET /api/auth/me is not secured');
+        console.log('✅ Auth paths documented');
+
+        installDependencies(projectPath);
+        const app = await startApp(projectPath);
+        try {
+            let response = await app.request('GET', '/docs/');
+            assert(response.status === 200 && response.headers.get('content-type').startsWith('text/html'), `Swagger UI is not served at /docs: ${response.status}`);
+            response = await app.request('GET', '/docs/swagger-ui-init.js');
+            assert(response.status === 200 && response.body.includes('"/api/auth/refresh"'), 'Swagger UI does not serve openapi.json');
+            response = await app.request('GET', '/missing');
+            assert(response.status === 404, `Unknown paths should still answer 404, got ${response.status}`);
+        } finally {
+            app.stop();
+        }
+        console.log('✅ Swagger UI served at /docs before the 404 handler');
+    }
+
+    // --- Invalid arguments ---
+    {
+        const result = spawnSync(process.execPath, [openApiScript, '--format=xml'], { cwd: process.cwd(), encoding: 'utf-8' });
+        assert(result.status !== 0 && result.stderr.includes('Invalid --format'), 'Unknown formats should be rejected');
+        console.log('✅ Invalid --format rejected');
+    }
+
+    console.log('\n✨ All OpenAPI tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+/**
+ * Tests PATCH and optimistic concurrency:
+ *   add-crud Product title:string! price:number --etag Tag name:string!
+ *
+ * Runs the generated API of the in-memory, SQLite and PostgreSQL (pg-mem)
+ * projects: PUT replaces the whole record, PATCH takes merge patches and JSON
+ * Patches (415 for other media types, 409 for failed tests), and --etag
+ * resources send ETags and refuse stale If-Match headers on PUT, PATCH and
+ * DELETE with 412. MySQL and MongoDB are checked through a recording pool and
+ * a stubbed Mongoose query; the generated Jest cases and gen-openapi are run too.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname } from 'path';
+import {
+    assert, run, runOk, read, checkSyntax, createProject, installDependencies,
+    typeCheck, startApp, runJest, runModule, useRecordingPool, usePgMem
+} from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const openApiScript = path.join(rootDir, 'generateOpenApiSpec.js');
+
+const MERGE_PATCH = { 'Content-Type': 'application/merge-patch+json' };
+const JSON_PATCH = { 'Content-Type': 'application/json-patch+json' };
+
+// Records the filters and updates of the Mongoose queries: findById finds the
+// product at version 3, the writes answer with the product at version 4
+const MONGO_QUERY_CHECK = `import mongoose from 'mongoose';
+import { updateProduct, deleteProduct } from './src/services/productService.js';
+
+const id = new mongoose.Types.ObjectId().toString();
+const queries = [];
+mongoose.Query.prototype.exec = async function () {
+    queries.push({ op: this.op, filter: this.getFilter(), update: this.getUpdate() });
+    return { _id: id, title: 'Pen', __v: this.op === 'findOne' ? 3 : 4 };
+};
+
+const codes = [];
+for (const ifMatch of [[2], [3]]) {
+    await deleteProduct(id, ifMatch).then(() => codes.push(200), (error) => codes.push(error.status));
+}
+await updateProduct(id, { title: 'Ink' }, [3]);
+console.log(JSON.stringify({ id, codes, queries }));
+`;
+
+function addProducts(projectPath) {
+    const result = runOk(addCrudScript, ['Product', 'title:string!', 'price:number', '--etag', 'Tag', 'name:string!'], projectPath);
+    for (const file of ['models/Product.js', 'services/productService.js', 'controllers/productController.js', 'routes/productRoutes.js', 'utils/etag.js']) {
+        if (fs.existsSync(path.join(projectPath, 'src', file))) {
+            checkSyntax(path.join(projectPath, 'src', file));
+        }
+    }
+    return result;
+}
+
+// Runs PUT, PATCH and DELETE against a started app with a Product (--etag) resource
+async function checkProducts(app, label) {
+    let response = await app.request('POST', '/api/products', { title: 'Pen', price: 2 });
+    assert(response.status === 201 && response.headers.get('etag') === '"1"', `${label}: POST does not answer with the ETag of version 1 (${response.status} ${response.headers.get('etag')})`);
+    const url = `/api/products/${response.body.data.id}`;
+
+    response = await app.request('PUT', url, { title: 'Ink' });
+    assert(response.status === 200 && response.body.data.title === 'Ink' && response.body.data.price === null
+        && response.headers.get('etag') === '"2"', `${label}: PUT does not replace the whole product: ${JSON.stringify(response.body)}`);
+    response = await app.request('PUT', url, { price: 3 });
+    assert(response.status === 422, `${label}: PUT without a required field should answer 422, got ${response.status}`);
+
+    response = await app.request('PATCH', url, JSON.stringify({ price: 5 }), MERGE_PATCH);
+    assert(response.status === 200 && response.body.data.title === 'Ink' && response.body.data.price === 5
+        && response.headers.get('etag') === '"3"', `${label}: merge patch was not applied: ${JSON.stringify(response.body)}`);
+
+    response = await app.request('PATCH', url, JSON.stringify([
+        { op: 'test', path: '/title', value: 'Ink' },
+        { op: 'replace', path: '/title', value: 'Quill' }
+    ]), JSON_PATCH);
+    assert(response.status === 200 && response.body.data.title === 'Quill' && response.body.data.price === 5,
+        `${label}: JSON Patch was not applied: ${JSON.stringify(response.body)}`);
+
+    response = await app.request('PATCH', url, JSON.stringify([
+        { op: 'replace', path: '/price', value: 9 },
+        { op: 'test', path: '/title', value: 'Ink' }
+    ]), JSON_PATCH);
+    assert(response.status === 409 && response.body.code === 'PATCH_TEST_FAILED', `${label}: failed JSON Patch tests should answer 409, got ${response.status}`);
+    response = await app.request('PATCH', url, 'price=9', { 'Content-Type': 'text/plain' });
+    assert(response.status === 415, `${label}: PATCH with another media type should answer 415, got ${response.status}`);
+
+    response = await app.request('GET', url);
+    assert(response.body.data.price === 5 && response.headers.get('etag') === '"4"', `${label}: refused patches changed the product: ${JSON.stringify(response.body)}`);
+
+    response = await app.request('PUT', url, { title: 'Pencil' }, { 'If-Match': '"1"' });
+    assert(response.status === 412 && response.body.code === 'PRECONDITION_FAILED', `${label}: PUT with a stale If-Match should answer 412, got ${response.status}`);
+    response = await app.request('PATCH', url, JSON.stringify({ price: 6 }), { ...MERGE_PATCH, 'If-Match': '"3", "4"' });
+    assert(response.status === 200 && response.headers.get('etag') === '"5"', `${label}: PATCH with a current If-Match should apply, got ${response.status}`);
+
+    response = await app.request('DELETE', url, undefined, { 'If-Match': '"4"' });
+    assert(response.status === 412, `${label}: DELETE with a stale If-Match should answer 412, got ${response.status}`);
+    assert((await app.request('GET', url)).status === 200, `${label}: DELETE with a stale If-Match removed the product`);
+    response = await app.request('DELETE', url, undefined, { 'If-Match': '"5"' });
+    assert(response.status === 200 && (await app.request('GET', url)).status === 404, `${label}: DELETE with a current If-Match should remove the product`);
+}
+
+console.log('🚀 Starting PATCH and ETag test...\n');
+
+try {
+    // --- In-memory project: run the API and the generated Jest suite ---
+    {
+        const projectPath = createProject('test-patch-memory', 'javascript', 'memory');
+        checkSyntax(path.join(projectPath, 'src/utils/patch.js'));
+        assert(!fs.existsSync(path.join(projectPath, 'src/utils/etag.js')), 'etag.js should only be written for --etag resources');
+
+        const orphan = run(addCrudScript, ['--etag', 'Product'], projectPath);
+        assert(orphan.status !== 0 && orphan.stderr.includes('must follow a resource name'), '--etag before any resource should be rejected');
+        const taken = run(addCrudScript, ['Product', 'version:int', '--etag'], projectPath);
+        assert(taken.status !== 0 && taken.stderr.includes('"version" is added by --etag'), 'A version field should be rejected with --etag');
+        assert(!fs.existsSync(path.join(projectPath, 'src/models/Product.js')), 'Files were written for a field --etag adds');
+
+        const output = addProducts(projectPath).stdout;
+        assert(output.includes('PATCH  /api/products/:id') && output.includes('If-Match'), 'add-crud does not list PATCH and the ETag');
+
+        installDependencies(projectPath, { dev: true });
+        const app = await startApp(projectPath);
+        try {
+            await checkProducts(app, 'In-memory');
+
+            let response = await app.request('POST', '/api/tags', { name: 'new' });
+            const url = `/api/tags/${response.body.data.id}`;
+            response = await app.request('PATCH', url, { name: 'old' }, { 'If-Match': '"9"' });
+            // Express still sends its weak ETag, but not a version
+            assert(response.status === 200 && response.headers.get('etag')?.startsWith('W/'), `--etag leaked into the next resource (${response.status})`);
+
+            // The scaffolded Item resource resets description and price to the defaults of its model
+            response = await app.request('POST', '/api/items', { name: 'Lamp', description: 'Desk lamp', price: 20 });
+            response = await app.request('PUT', `/api/items/${response.body.data.id}`, { name: 'Lamp' });
+            assert(response.status === 200 && response.body.data.description === '' && response.body.data.price === 0,
+                `PUT should reset left out fields to their default: ${JSON.stringify(response.body)}`);
+        } finally {
+            app.stop();
+        }
+        console.log('✅ In-memory API replaces with PUT, patches with PATCH and checks If-Match');
+
+        const { parsePatch } = await import(pathToFileURL(path.join(projectPath, 'src/utils/patch.js')).href);
+        const schema = { shape: { title: {}, tags: {} }, safeParse: (changes) => ({ success: true, data: changes }) };
+        const current = { id: '1', title: 'Pen', tags: ['a'], createdAt: 'now' };
+        const patchCode = (patch) => {
+            try {
+                parsePatch({ ...patch, schema }, current);
+            } catch (error) {
+                return `${error.status} ${error.code}`;
+            }
+            return null;
+        };
+        const changes = parsePatch({ format: 'json-patch', document: [{ op: 'add', path: '/tags/-', value: 'b' }], schema }, current);
+        assert(JSON.stringify(changes) === '{"tags":["a","b"]}' && current.tags.length === 1, 'JSON Patches should return the changed fields without touching the record');
+        assert(JSON.stringify(parsePatch({ format: 'json-patch', document: [{ op: 'remove', path: '/tags' }], schema }, current)) === '{"tags":null}',
+            'Removed fields should be cleared');
+        assert(patchCode({ format: 'json-patch', document: [{ op: 'replace', path: '/missing', value: 1 }] }) === '409 PATCH_CONFLICT', 'Missing paths should answer 409');
+        assert(patchCode({ format: 'json-patch', document: [{ op: 'add', path: '/__proto__/x', value: 1 }] }) === '400 INVALID_PATCH'
+            && patchCode({ format: 'merge', document: [] }) === '400 INVALID_PATCH', 'Malformed patches should answer 400');
+        console.log('✅ src/utils/patch refuses malformed patches');
+
+        runJest(projectPath);
+        console.log('✅ Generated Jest cases for PATCH and If-Match pass');
+    }
+
+    // --- SQLite and PostgreSQL: run the API against a version column ---
+    {
+        const sqlitePath = createProject('test-patch-sqlite', 'javascript', 'sqlite');
+        addProducts(sqlitePath);
+        installDependencies(sqlitePath);
+        let app = await startApp(sqlitePath);
+        try {
+            await checkProducts(app, 'SQLite');
+        } finally {
+            app.stop();
+        }
+
+        const postgresPath = createProject('test-patch-postgres', 'javascript', 'postgres');
+        addProducts(postgresPath);
+        const migration = fs.readdirSync(path.join(postgresPath, 'migrations')).find(file => file.endsWith('_create_products.sql'));
+        assert(migration && read(postgresPath, `migrations/${migration}`).includes('version INTEGER NOT NULL DEFAULT 1'), 'The products table has no version column');
+        usePgMem(postgresPath);
+        app = await startApp(postgresPath);
+        try {
+            await checkProducts(app, 'PostgreSQL');
+        } finally {
+            app.stop();
+        }
+        console.log('✅ SQLite and PostgreSQL compare and bump a version column');
+
+        runOk(openApiScript, [], sqlitePath);
+        const spec = JSON.parse(read(sqlitePath, 'openapi.json'));
+        const item = spec.paths['/api/products/{id}'];
+        assert(item.put.requestBody.content['application/json'].schema.$ref === '#/components/schemas/ProductInput'
+            && item.put.operationId === 'replaceProduct', 'OpenAPI PUT should take the whole product');
+        assert(read(sqlitePath, 'src/routes/productRoutes.js').includes("router.put('/:id', validate(createProductSchema), productController.replaceProduct);"),
+            'PUT should be routed to replaceProduct');
+        assert(item.patch?.operationId === 'patchProduct' && item.patch.requestBody.content['application/merge-patch+json']
+            && item.patch.requestBody.content['application/json-patch+json'] && item.patch.responses[415], 'OpenAPI does not document PATCH');
+        assert(item.patch.parameters.some(parameter => parameter.name === 'If-Match') && item.put.responses[412]
+            && item.delete.parameters.some(parameter => parameter.name === 'If-Match') && item.delete.responses[412]
+            && item.get.responses[200].headers.ETag, 'OpenAPI does not document the ETag and If-Match');
+        const tag = spec.paths['/api/tags/{id}'];
+        assert(tag.patch && !tag.patch.parameters && !tag.put.responses[412] && !tag.delete.responses[412], 'OpenAPI documents If-Match for a resource without --etag');
+        console.log('✅ gen-openapi documents PATCH, ETag and If-Match');
+    }
+
+    // --- MySQL: the model compares and bumps the version ---
+    {
+        const projectPath = createProject('test-patch-mysql', 'javascript', 'mysql');
+        addProducts(projectPath);
+        useRecordingPool(projectPath);
+        const queries = runModule(projectPath, `import Product from './src/models/Product.js';
+import Tag from './src/models/Tag.js';
+import { queries } from './src/config/database.js';
+
+await Product.update(5, { title: 'Ink' }, 2);
+await Product.delete(5, 3);
+await Tag.update(5, { name: 'new' });
+console.log(JSON.stringify(queries));
+`);
+        const [update, , remove, tagUpdate] = queries;
+        assert(update.sql === 'UPDATE products SET title = ?, version = version + 1 WHERE version = ? AND id = ?' && update.values.join() === 'Ink,2,5',
+            `MySQL updates do not compare and bump the version: ${JSON.stringify(update)}`);
+        assert(remove.sql === 'DELETE FROM products WHERE id = ? AND version = ?' && remove.values.join() === '5,3',
+            `MySQL deletes do not compare the version: ${JSON.stringify(remove)}`);
+        assert(!tagUpdate.sql.includes('version'), 'Resources without --etag should not be versioned');
+        console.log('✅ MySQL models compare and bump the version column');
+    }
+
+    // --- MongoDB: __v ---
+    {
+        const projectPath = createProject('test-patch-mongodb', 'javascript', 'mongodb');
+        addProducts(projectPath);
+        installDependencies(projectPath);
+        const { id, codes, queries } = runModule(projectPath, MONGO_QUERY_CHECK);
+        assert(codes.join() === '412,200', `MongoDB deletes do not check If-Match: ${codes.join()}`);
+        const writes = queries.filter(query => query.op !== 'findOne');
+        assert(writes[0].op === 'findOneAndDelete' && JSON.stringify(writes[0].filter) === JSON.stringify({ _id: id, __v: 3 }),
+            `MongoDB deletes do not compare __v: ${JSON.stringify(writes[0])}`);
+        assert(writes[1].op === 'findOneAndUpdate' && writes[1].filter.__v === 3 && writes[1].update.$inc?.__v === 1,
+            `MongoDB updates do not compare and bump __v: ${JSON.stringify(writes[1])}`);
+        console.log('✅ MongoDB writes compare and bump __v');
+    }
+
+    // --- TypeScript ---
+    {
+        const projectPath = createProject('test-patch-typescript', 'typescript', 'sqlite');
+        addProducts(projectPath);
+        installDependencies(projectPath, { dev: true });
+        typeCheck(projectPath);
+        console.log('✅ TypeScript projects with --etag type-check');
+    }
+
+    console.log('\n✨ All PATCH and ETag tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
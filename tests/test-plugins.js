@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the lazy-crud-plugin-* plugin API
+ *
+ * Installs a small plugin into the test workspace's node_modules and checks its
+ * dependencies, middleware and write hooks in the generated project, runs its
+ * command through run-plugin, and checks that broken plugin setups are reported.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { assert, run, runOk, read, write } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const runPluginScript = path.join(rootDir, 'runPlugin.js');
+const removeCrudScript = path.join(rootDir, 'removeCrudResource.js');
+
+const PLUGIN_SOURCE = `import fs from 'fs';
+
+export default {
+    apiVersion: 1,
+    register(api) {
+        api.addDependencies(({ database }) => ({ 'express-request-id': database === 'memory' ? '^2.0.0' : '^1.0.0' }));
+        api.addDevDependencies({ 'eslint': '^8.56.0' });
+        api.addMiddleware({
+            imports: "import requestId from 'express-request-id';",
+            use: 'app.use(requestId());'
+        });
+        api.transformFile((content, file) =>
+            /(^|\\/)src\\/.*\\.(js|ts)$/.test(file.path) ? '// Demo header\\n' + content : content);
+        api.onBeforeWrite((file) => {
+            if (file.path.endsWith('Forbidden.js')) {
+                throw new Error('demo plugin refuses to write ' + file.path);
+            }
+        });
+        api.onAfterWrite((file) => {
+            fs.appendFileSync('demo-plugin.log', file.path + '\\n');
+        });
+        api.addCommand('demo-hello', {
+            description: 'Write hello.txt',
+            usage: 'demo-hello <name>',
+            run(args) {
+                const { database } = api.getProjectConfig();
+                api.writeFile('hello.txt', 'Hello ' + args[0] + ' (' + database + ')\\n');
+                api.log('wrote hello.txt');
+            }
+        });
+    }
+};
+`;
+
+function listPlugin(projectPath, name) {
+    const packageJson = JSON.parse(read(projectPath, 'package.json'));
+    packageJson.devDependencies = { ...packageJson.devDependencies, [name]: '^1.0.0' };
+    write(projectPath, 'package.json', JSON.stringify(packageJson, null, 2));
+}
+
+console.log('🚀 Starting plugin API test...\n');
+
+try {
+    const workspace = path.join(process.cwd(), 'test-plugins');
+    fs.rmSync(workspace, { recursive: true, force: true });
+    fs.mkdirSync(workspace);
+
+    write(workspace, 'package.json', '{ "name": "workspace", "private": true }\n');
+    write(workspace, 'node_modules/lazy-crud-plugin-demo/package.json',
+        '{ "name": "lazy-crud-plugin-demo", "version": "1.2.3", "type": "module", "main": "index.js" }\n');
+    write(workspace, 'node_modules/lazy-crud-plugin-demo/index.js', PLUGIN_SOURCE);
+    listPlugin(workspace, 'lazy-crud-plugin-demo');
+
+    // --- lazy-crud applies the plugin's dependencies, middleware and hooks ---
+    const projectPath = path.join(workspace, 'api');
+    {
+        const result = runOk(createScript, ['api', '--lang=javascript', '--db=memory'], workspace);
+        assert(result.stdout.includes('🧩 Using plugins: lazy-crud-plugin-demo'), 'lazy-crud does not report the plugin');
+
+        const packageJson = JSON.parse(read(projectPath, 'package.json'));
+        assert(packageJson.dependencies['express-request-id'] === '^2.0.0', 'Plugin dependency (computed from the context) is missing');
+        assert(packageJson.devDependencies.eslint === '^8.56.0', 'Plugin devDependency is missing');
+        assert(packageJson.dependencies.express, 'Bundled dependencies should be kept');
+
+        const app = read(projectPath, 'src/app.js');
+        const importIndex = app.indexOf("import requestId from 'express-request-id';");
+        const useIndex = app.indexOf('    app.use(requestId());');
+        assert(importIndex !== -1 && useIndex !== -1, 'Plugin middleware was not added inside createApp() in app.js');
+        assert(useIndex > app.indexOf('app.use(express.urlencoded(') && useIndex < app.indexOf("app.use('/api/items'"),
+            'Plugin middleware should run after the body parsers and before the routes');
+        assert(app.includes('    // Plugin middleware\n    // lazy-crud-plugin-demo\n'), 'Plugin middleware is not labelled');
+        assert(read(projectPath, 'src/server.js').startsWith('// Demo header\n'), 'transformFile hook was not applied to server.js');
+        assert(!read(projectPath, 'package.json').startsWith('// Demo header'), 'transformFile hook should see the file path');
+
+        const log = read(workspace, 'demo-plugin.log');
+        assert(log.includes('api/src/server.js\n') && log.includes('api/package.json\n'), 'onAfterWrite hook was not called for the written files');
+        console.log('✅ lazy-crud applies plugin dependencies, middleware and write hooks');
+    }
+
+    // --- Commands run in a generated project that lists the plugin ---
+    {
+        listPlugin(projectPath, 'lazy-crud-plugin-demo');
+        const result = runOk(addCrudScript, ['Product'], projectPath);
+        assert(result.stdout.includes('🧩 Using plugins: lazy-crud-plugin-demo'), 'add-crud does not report the plugin');
+        assert(read(projectPath, 'src/controllers/productController.js').startsWith('// Demo header\n'), 'add-crud files skip the transformFile hook');
+
+        const refused = run(addCrudScript, ['Forbidden'], projectPath);
+        assert(refused.status !== 0 && refused.stderr.includes('demo plugin refuses to write'), `onBeforeWrite error not reported:\n${refused.stderr}`);
+        assert(!fs.existsSync(path.join(projectPath, 'src/models/Forbidden.js')), 'onBeforeWrite did not stop the write');
+        console.log('✅ add-crud runs the plugin hooks');
+
+        // The manifest hashes the transformed files, so they do not count as edited
+        runOk(addCrudScript, ['Widget', 'name:string!'], projectPath);
+        const removed = run(removeCrudScript, ['Widget', '--yes'], projectPath);
+        assert(removed.status === 0 && !removed.stdout.includes('modified since generation'),
+            `remove-crud treats transformed files as edited:\n${removed.stdout}${removed.stderr}`);
+        assert(!fs.existsSync(path.join(projectPath, 'src/models/Widget.js')), 'remove-crud did not remove the Widget files');
+        console.log('✅ remove-crud accepts files transformed by plugins');
+    }
+
+    // --- run-plugin lists and runs plugin commands ---
+    {
+        const list = runOk(runPluginScript, [], projectPath);
+        assert(list.stdout.includes('lazy-crud-plugin-demo 1.2.3') && list.stdout.includes('demo-hello <name> - Write hello.txt'), `run-plugin does not list the plugin commands:\n${list.stdout}`);
+
+        const preview = runOk(runPluginScript, ['demo-hello', 'World', '--dry-run', '--json'], projectPath);
+        assert(JSON.parse(preview.stdout).changes.some(change => change.path === 'hello.txt'), 'run-plugin --dry-run does not report the planned file');
+        assert(!fs.existsSync(path.join(projectPath, 'hello.txt')), 'run-plugin --dry-run wrote a file');
+
+        const result = runOk(runPluginScript, ['demo-hello', 'World'], projectPath);
+        assert(result.stdout.includes('[lazy-crud-plugin-demo] wrote hello.txt'), 'api.log() output is missing');
+        assert(read(projectPath, 'hello.txt') === 'Hello World (memory)\n', 'Plugin command did not write hello.txt');
+
+        const unknown = run(runPluginScript, ['demo-bye'], projectPath);
+        assert(unknown.status !== 0 && unknown.stderr.includes('Unknown plugin command "demo-bye"'), 'Unknown command not reported');
+        console.log('✅ run-plugin lists and runs plugin commands');
+    }
+
+    // --- Broken plugin setups are reported ---
+    {
+        write(workspace, 'node_modules/lazy-crud-plugin-old/package.json', '{ "name": "lazy-crud-plugin-old", "type": "module", "main": "index.js" }\n');
+        write(workspace, 'node_modules/lazy-crud-plugin-old/index.js', 'export default { apiVersion: 0, register() {} };\n');
+        listPlugin(projectPath, 'lazy-crud-plugin-old');
+        const mismatch = run(runPluginScript, [], projectPath);
+        assert(mismatch.status !== 0 && mismatch.stderr.includes('lazy-crud-plugin-old targets plugin API version 0'), `API version mismatch not reported:\n${mismatch.stderr}`);
+
+        fs.rmSync(path.join(workspace, 'node_modules/lazy-crud-plugin-old'), { recursive: true });
+        const missing = run(addCrudScript, ['Invoice'], projectPath);
+        assert(missing.status !== 0 && missing.stderr.includes('lazy-crud-plugin-old is listed in package.json but not installed'), `Missing plugin not reported:\n${missing.stderr}`);
+        assert(!fs.existsSync(path.join(projectPath, 'src/models/Invoice.js')), 'add-crud generated files despite a missing plugin');
+        console.log('✅ Broken plugin setups are reported');
+    }
+
+    console.log('\n✨ All plugin API tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
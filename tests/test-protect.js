@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Tests role-based access control:
+ *   add-crud Product --protect=read --protect=write:admin,editor
+ *
+ * Scaffolds projects through the CLI, checks the role claim and requireRole
+ * middleware generated by add-auth, the guards wired into the routes per HTTP
+ * method, the authenticated Jest test (run for TypeScript), and the security
+ * added by gen-openapi.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+import { installDependencies, runJest } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const addAuthScript = path.join(rootDir, 'generateAuth.js');
+const openApiScript = path.join(rootDir, 'generateOpenApiSpec.js');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function run(script, args, cwd) {
+    return spawnSync(process.execPath, [script, ...args], { cwd, encoding: 'utf-8' });
+}
+
+function runOk(script, args, cwd) {
+    const result = run(script, args, cwd);
+    assert(result.status === 0, `${path.basename(script)} ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+function read(projectPath, relativePath) {
+    return fs.readFileSync(path.join(projectPath, relativePath), 'utf8');
+}
+
+function checkSyntax(filePath) {
+    const result = spawnSync(process.execPath, ['--check', filePath], { encoding: 'utf-8' });
+    assert(result.status === 0, `Generated file has syntax errors: ${path.basename(filePath)}\n${result.stderr}`);
+}
+
+function createProject(projectName, language, db) {
+    const projectPath = path.join(process.cwd(), projectName);
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    runOk(createScript, [projectName, `--lang=${language}`, `--db=${db}`], process.cwd());
+    return projectPath;
+}
+
+console.log('🚀 Starting --protect test...\n');
+
+try {
+    const projectPath = createProject('test-protect-sqlite', 'javascript', 'sqlite');
+
+    // --- Protecting routes requires add-auth ---
+    {
+        const result = run(addCrudScript, ['Product', '--protect=write:admin'], projectPath);
+        assert(result.status !== 0 && result.stderr.includes('Run "add-auth" first'), 'add-crud --protect should fail without add-auth');
+        assert(!fs.existsSync(path.join(projectPath, 'src/routes/productRoutes.js')), 'Routes were written despite the error');
+        console.log('✅ --protect without add-auth is rejected');
+    }
+
+    // --- Role claim and requireRole middleware ---
+    runOk(addAuthScript, [], projectPath);
+    {
+        const model = read(projectPath, 'src/models/User.js');
+        assert(model.includes("role TEXT NOT NULL DEFAULT 'user'"), 'users table has no role column');
+        const controller = read(projectPath, 'src/controllers/authController.js');
+        assert(controller.includes('jwt.sign({ id: userId, role }'), 'JWT does not carry the role claim');
+        const middleware = read(projectPath, 'src/middlewares/authMiddleware.js');
+        assert(middleware.includes('req.userRole = decoded.role;'), 'verifyToken does not expose the role');
+        assert(middleware.includes('export const requireRole = (...roles) =>'), 'requireRole middleware is missing');
+        checkSyntax(path.join(projectPath, 'src/middlewares/authMiddleware.js'));
+        console.log('✅ add-auth adds the role claim and requireRole');
+    }
+
+    // --- Guards per HTTP method; options belong to the resource before them ---
+    {
+        runOk(addCrudScript, ['Product', 'title:string!', '--protect=read', '--protect=write:admin,editor', 'Tag'], projectPath);
+        const routes = read(projectPath, 'src/routes/productRoutes.js');
+        assert(routes.includes("import { verifyToken, requireRole } from '../middlewares/authMiddleware.js';"), 'Routes do not import the auth middleware');
+        assert(routes.includes("router.get('/:id', verifyToken, productController.getProductById);"), 'GET is not authenticated');
+        for (const method of ['post', 'put', 'delete']) {
+            assert(new RegExp(`router\\.${method}\\('[^']*', verifyToken, requireRole\\('admin', 'editor'\\), `).test(routes), `${method.toUpperCase()} does not require admin/editor`);
+        }
+        checkSyntax(path.join(projectPath, 'src/routes/productRoutes.js'));
+        assert(read(projectPath, 'src/services/productService.js').includes('title'), 'Field definitions were lost next to --protect');
+
+        const tagRoutes = read(projectPath, 'src/routes/tagRoutes.js');
+        assert(!tagRoutes.includes('verifyToken'), 'Tag routes should stay public');
+        console.log('✅ Routes get verifyToken/requireRole per HTTP method');
+
+        const test = read(projectPath, 'tests/Product.test.js');
+        assert(test.includes("import jwt from 'jsonwebtoken';") && test.includes("const testRoles = { GET: 'user', POST: 'admin', PUT: 'admin', DELETE: 'admin', PATCH: 'admin' };"), 'Generated test does not authenticate its requests');
+        checkSyntax(path.join(projectPath, 'tests/Product.test.js'));
+        console.log('✅ Generated tests send a token with an allowed role');
+    }
+
+    // --- TypeScript: ts-jest type-checks the authenticated suite (noUnusedParameters) ---
+    {
+        const tsPath = createProject('test-protect-sqlite-ts', 'typescript', 'sqlite');
+        runOk(addAuthScript, [], tsPath);
+        runOk(addCrudScript, ['Product', 'title:string!', '--protect=write:admin'], tsPath);
+        const test = read(tsPath, 'tests/Product.test.ts');
+        assert(test.includes('const testRoles: Record<string, string> = {') && test.includes('app.use((req, _res, next) => {'), 'Product.test.ts does not type the test authentication');
+        installDependencies(tsPath, { dev: true });
+        runJest(tsPath);
+        console.log('✅ Generated TypeScript tests authenticate and pass');
+    }
+
+    // --- gen-openapi documents the security requirements ---
+    {
+        runOk(openApiScript, [], projectPath);
+        const spec = JSON.parse(read(projectPath, 'openapi.json'));
+        const create = spec.paths['/api/products'].post;
+        assert(create.security[0].bearerAuth && create.responses[403].$ref === '#/components/responses/Forbidden', 'POST /api/products is not documented as admin-only');
+        assert(spec.paths['/api/products'].get.security && !spec.paths['/api/products'].get.responses[403], 'GET /api/products should only need a token');
+        assert(!spec.paths['/api/tags'].get.security, 'Public routes should not require a token');
+        console.log('✅ gen-openapi marks protected operations');
+    }
+
+    // --- Invalid options ---
+    {
+        const unknownScope = run(addCrudScript, ['Order', '--protect=update:admin'], projectPath);
+        assert(unknownScope.status !== 0 && unknownScope.stderr.includes('Unknown --protect scope'), 'Unknown scopes should be rejected');
+        const badRole = run(addCrudScript, ['Order', "--protect=write:admin'"], projectPath);
+        assert(badRole.status !== 0 && badRole.stderr.includes('Invalid role'), 'Unsafe role names should be rejected');
+        const orphan = run(addCrudScript, ['--protect=write:admin', 'Order'], projectPath);
+        assert(orphan.status !== 0, '--protect before any resource should be rejected');
+        console.log('✅ Invalid --protect options rejected');
+    }
+
+    console.log('\n✨ All --protect tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
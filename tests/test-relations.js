@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Tests references between resources:
+ *   add-crud Post title:string! Comment body:string! post:ref!:Post
+ *
+ * Checks the field DSL, the ref/populate (MongoDB), JOIN and foreign key (SQL)
+ * output, the existence checks and ?include= of the service, the nested list
+ * route mounted in app.js and removed by remove-crud, the referenced
+ * records created by the generated Jest test and the gen-openapi output.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+import { parseFieldDefinition, getNestedRoutes } from '../src/utils/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const removeCrudScript = path.join(rootDir, 'removeCrudResource.js');
+const openApiScript = path.join(rootDir, 'generateOpenApiSpec.js');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertThrows(fn, expected, message) {
+    try {
+        fn();
+    } catch (error) {
+        assert(error.message.includes(expected), `${message}: unexpected error "${error.message}"`);
+        return;
+    }
+    throw new Error(`${message}: no error thrown`);
+}
+
+function run(script, args, cwd) {
+    return spawnSync(process.execPath, [script, ...args], { cwd, encoding: 'utf-8' });
+}
+
+function runOk(script, args, cwd) {
+    const result = run(script, args, cwd);
+    assert(result.status === 0, `${path.basename(script)} ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+function read(projectPath, relativePath) {
+    return fs.readFileSync(path.join(projectPath, relativePath), 'utf8');
+}
+
+function checkSyntax(filePath) {
+    const result = spawnSync(process.execPath, ['--check', filePath], { encoding: 'utf-8' });
+    assert(result.status === 0, `Generated file has syntax errors: ${path.basename(filePath)}\n${result.stderr}`);
+}
+
+function createProject(projectName, language, db) {
+    const projectPath = path.join(process.cwd(), projectName);
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    runOk(createScript, [projectName, `--lang=${language}`, `--db=${db}`], process.cwd());
+    return projectPath;
+}
+
+function addBlog(projectPath) {
+    runOk(addCrudScript, ['Post', 'title:string!', 'Comment', 'body:string!', 'post:ref!:Post'], projectPath);
+    for (const file of ['models/Comment.js', 'services/commentService.js', 'controllers/commentController.js', 'routes/commentRoutes.js', 'app.js']) {
+        checkSyntax(path.join(projectPath, 'src', file));
+    }
+    checkSyntax(path.join(projectPath, 'tests/Comment.test.js'));
+}
+
+console.log('🚀 Starting relations test...\n');
+
+try {
+    // --- Field DSL ---
+    {
+        const field = parseFieldDefinition('post:ref!:Post');
+        assert(field.kind === 'ref' && field.ref === 'Post' && field.required, 'post:ref!:Post was not parsed as a required reference');
+        assert(!parseFieldDefinition('author:ref:User').required, 'author:ref:User should be optional');
+        assertThrows(() => parseFieldDefinition('post:ref'), 'Post', 'A reference without a target should be rejected');
+        assertThrows(() => parseFieldDefinition('posts:ref[]:Post'), 'ref', 'Reference arrays should be rejected');
+        assertThrows(() => parseFieldDefinition('post:ref:post-item'), 'post-item', 'Invalid target names should be rejected');
+
+        const routes = getNestedRoutes('Comment', [field, parseFieldDefinition('body:string')]);
+        assert(routes.length === 1 && routes[0].mountPath === '/api/posts/:postId/comments' && routes[0].variable === 'postCommentRoutes',
+            `Unexpected nested route: ${JSON.stringify(routes)}`);
+        const shared = getNestedRoutes('Message', [parseFieldDefinition('sender:ref!:User'), parseFieldDefinition('recipient:ref!:User')]);
+        assert(shared[0].mountPath === '/api/users/:senderId/sender-messages' && shared[1].mountPath === '/api/users/:recipientId/recipient-messages',
+            'References to the same resource should get distinct nested paths');
+        console.log('✅ name:ref[!]:Resource is parsed and validated');
+    }
+
+    // --- The referenced resource must exist ---
+    {
+        const projectPath = createProject('test-relations-memory', 'javascript', 'memory');
+        const result = run(addCrudScript, ['Comment', 'post:ref!:Post'], projectPath);
+        assert(result.status !== 0 && result.stderr.includes('add-crud Post'), `Missing reference target should be an error:\n${result.stdout}${result.stderr}`);
+        assert(!fs.existsSync(path.join(projectPath, 'src/models/Comment.js')), 'Files were written despite the missing reference target');
+        console.log('✅ References to missing resources are rejected');
+
+        addBlog(projectPath);
+        const service = read(projectPath, 'src/services/commentService.js');
+        assert(service.includes("throw new ValidationError('Invalid post: referenced Post does not exist');"), 'create/update do not check the referenced record');
+        assert(service.includes('export const getCommentsByPost = async (postId, query = {}) =>') && service.includes("throw new NotFoundError('Post not found');"),
+            'Service has no nested list method');
+        assert(service.includes('Invalid include'), 'getById does not validate ?include=');
+
+        const controller = read(projectPath, 'src/controllers/commentController.js');
+        assert(controller.includes('commentService.getCommentById(req.params.id, req.query.include)'), 'Controller does not pass ?include=');
+        assert(controller.includes('export const getCommentsByPost = async (req, res, next) =>'), 'Controller has no nested list handler');
+
+        const routes = read(projectPath, 'src/routes/commentRoutes.js');
+        assert(routes.includes('export const postCommentRoutes = express.Router({ mergeParams: true });')
+            && routes.includes("postCommentRoutes.get('/', commentController.getCommentsByPost);"), 'Nested router is missing');
+
+        const app = read(projectPath, 'src/app.js');
+        assert(app.includes("import { postCommentRoutes } from './routes/commentRoutes.js';")
+            && app.includes("    app.use('/api/posts/:postId/comments', postCommentRoutes);"), 'Nested router is not mounted in app.js');
+        console.log('✅ Services check references, serve ?include= and nested lists');
+
+        const test = read(projectPath, 'tests/Comment.test.js');
+        assert(test.includes("import Post from '../src/models/Post.js';") && test.includes('const refIds = {};'), 'Generated test does not import the referenced model');
+        assert(/refIds\.post = \(await Post\.create\(\{[^}]*\}\)\)\.id;/.test(test), 'Generated test does not create the referenced record');
+        console.log('✅ Generated tests create the referenced records');
+
+        runOk(removeCrudScript, ['Comment', '-y'], projectPath);
+        const cleaned = read(projectPath, 'src/app.js');
+        assert(!cleaned.includes('postCommentRoutes') && !cleaned.includes('commentRoutes'), 'remove-crud left the nested router in app.js');
+        checkSyntax(path.join(projectPath, 'src/app.js'));
+        console.log('✅ remove-crud unmounts the nested routes');
+    }
+
+    // --- MongoDB: ref + populate ---
+    {
+        const projectPath = createProject('test-relations-mongodb', 'javascript', 'mongodb');
+        addBlog(projectPath);
+        assert(read(projectPath, 'src/models/Comment.js').includes("ref: 'Post',"), 'Mongoose schema has no ref');
+        const service = read(projectPath, 'src/services/commentService.js');
+        assert(service.includes('Comment.findById(id).populate(relations)'), 'getById does not populate the references');
+        assert(service.includes('Post.exists('), 'create does not check the referenced document');
+        console.log('✅ MongoDB uses ref and populate()');
+    }
+
+    // --- MySQL: foreign key + JOIN ---
+    {
+        const projectPath = createProject('test-relations-mysql', 'javascript', 'mysql');
+        addBlog(projectPath);
+        const migration = fs.readdirSync(path.join(projectPath, 'migrations')).find(file => file.endsWith('_create_comments.sql'));
+        assert(migration && read(projectPath, `migrations/${migration}`).includes('FOREIGN KEY (post) REFERENCES posts(id) ON DELETE CASCADE'), 'comments table has no foreign key');
+        const model = read(projectPath, 'src/models/Comment.js');
+        assert(model.includes('LEFT JOIN posts AS post_ref ON post_ref.id = comments.post') && model.includes('nestTables: true'), 'Model does not JOIN the references');
+        console.log('✅ MySQL adds a FOREIGN KEY and JOINs for ?include=');
+    }
+
+    // --- PostgreSQL and SQLite: REFERENCES ---
+    {
+        const postgresPath = createProject('test-relations-postgres', 'javascript', 'postgres');
+        addBlog(postgresPath);
+        const migration = fs.readdirSync(path.join(postgresPath, 'migrations')).find(file => file.endsWith('_create_comments.sql'));
+        assert(migration && read(postgresPath, `migrations/${migration}`).includes('post INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE'), 'comments table has no REFERENCES');
+        assert(read(postgresPath, 'src/models/Comment.js').includes('to_jsonb(post_ref.*)'), 'Postgres model does not JOIN the references');
+
+        const sqlitePath = createProject('test-relations-sqlite', 'javascript', 'sqlite');
+        addBlog(sqlitePath);
+        assert(read(sqlitePath, 'src/models/Comment.js').includes('post INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE'), 'SQLite table has no REFERENCES');
+        console.log('✅ PostgreSQL and SQLite declare REFERENCES');
+
+        runOk(openApiScript, [], sqlitePath);
+        const spec = JSON.parse(read(sqlitePath, 'openapi.json'));
+        assert(spec.components.schemas.Comment.properties.post.type === 'integer', 'OpenAPI does not type the reference as an id');
+        assert(spec.paths['/api/posts/{postId}/comments']?.get.operationId === 'getCommentsByPost', 'OpenAPI does not document the nested route');
+        assert(spec.paths['/api/comments/{id}'].get.parameters.some(parameter => parameter.name === 'include'), 'OpenAPI does not document ?include=');
+        console.log('✅ gen-openapi documents references, ?include= and nested routes');
+    }
+
+    // --- TypeScript ---
+    {
+        const projectPath = createProject('test-relations-typescript', 'typescript', 'mysql');
+        runOk(addCrudScript, ['Post', 'title:string!', 'Comment', 'body:string!', 'post:ref!:Post'], projectPath);
+        assert(read(projectPath, 'src/types/Comment.types.ts').includes('post: number;'), 'SQL references should be typed as numbers');
+        assert(read(projectPath, 'src/controllers/commentController.ts').includes('export const getCommentsByPost = async (req: Request, res: Response, next: NextFunction): Promise<void> =>'),
+            'TypeScript nested handler is missing');
+        console.log('✅ TypeScript projects type the references');
+    }
+
+    console.log('\n✨ All relations tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Tests the remove-crud command:
+ *   remove-crud Product [--yes] [--force]
+ *
+ * Scaffolds a project through the CLI, checks the manifest written by
+ * lazy-crud/add-crud, and removes resources: cancelled at the prompt, refused
+ * because a file was edited, forced, and confirmed with --yes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const removeCrudScript = path.join(rootDir, 'removeCrudResource.js');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function run(script, args, cwd, input) {
+    return spawnSync(process.execPath, [script, ...args], { cwd, input, encoding: 'utf-8' });
+}
+
+function runOk(script, args, cwd, input) {
+    const result = run(script, args, cwd, input);
+    assert(result.status === 0, `${path.basename(script)} ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+function read(projectPath, relativePath) {
+    return fs.readFileSync(path.join(projectPath, relativePath), 'utf8');
+}
+
+function exists(projectPath, relativePath) {
+    return fs.existsSync(path.join(projectPath, relativePath));
+}
+
+const productFiles = [
+    'src/models/Product.js',
+    'src/services/productService.js',
+    'src/controllers/productController.js',
+    'src/routes/productRoutes.js',
+    'src/schemas/productSchema.js',
+    'tests/Product.test.js'
+];
+
+console.log('🚀 Starting remove-crud test...\n');
+
+try {
+    const projectName = 'test-remove-crud';
+    const projectPath = path.join(process.cwd(), projectName);
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    runOk(createScript, [projectName, '--lang=javascript', '--db=memory'], process.cwd());
+    runOk(addCrudScript, ['Product', 'Tag'], projectPath);
+
+    // --- Generated files are recorded in the manifest ---
+    {
+        const manifest = JSON.parse(read(projectPath, '.lazycrud-manifest.json'));
+        assert(manifest.resources.Item && manifest.resources.Product && manifest.resources.Tag, 'Manifest does not list every resource');
+        const recorded = Object.keys(manifest.resources.Product.files).sort();
+        assert(JSON.stringify(recorded) === JSON.stringify([...productFiles].sort()), `Unexpected files in manifest: ${recorded.join(', ')}`);
+        assert(/^[0-9a-f]{64}$/.test(manifest.resources.Product.files['src/models/Product.js']), 'Manifest does not store SHA-256 hashes');
+        console.log('✅ Manifest records the generated files');
+    }
+
+    // --- Preview, then answer "no" ---
+    {
+        const result = runOk(removeCrudScript, ['Product'], projectPath, 'n\n');
+        assert(productFiles.every(file => result.stdout.includes(file)), 'Preview does not list the files');
+        assert(result.stdout.includes('productRoutes import and app.use() lines'), 'Preview does not mention the server lines');
+        assert(result.stdout.includes('Cancelled') && productFiles.every(file => exists(projectPath, file)), 'Answering "no" should keep the files');
+        console.log('✅ Shows the plan and cancels without confirmation');
+    }
+
+    // --- Edited files block removal unless forced ---
+    {
+        fs.appendFileSync(path.join(projectPath, 'src/services/productService.js'), '\n// custom logic\n');
+        const refused = run(removeCrudScript, ['Product', '--yes'], projectPath);
+        assert(refused.status !== 0 && refused.stderr.includes('--force'), 'Modified files should block removal');
+        assert(refused.stdout.includes('src/services/productService.js (modified since generation)'), 'Modified file is not flagged');
+        assert(productFiles.every(file => exists(projectPath, file)), 'Files were deleted despite the refusal');
+        console.log('✅ Refuses to remove edited files');
+
+        runOk(removeCrudScript, ['Product', '--yes', '--force'], projectPath);
+        assert(productFiles.every(file => !exists(projectPath, file)), 'Files were not deleted with --force');
+        const app = read(projectPath, 'src/app.js');
+        assert(!app.includes('productRoutes'), 'app.js still references productRoutes');
+        assert(app.includes("    app.use('/api/tags', tagRoutes);"), 'Other routes were removed from app.js');
+        const manifest = JSON.parse(read(projectPath, '.lazycrud-manifest.json'));
+        assert(!manifest.resources.Product && manifest.resources.Tag, 'Manifest was not updated');
+        console.log('✅ --force removes the files, app lines and manifest entry');
+    }
+
+    // --- Confirmed removal of an untouched resource ---
+    {
+        runOk(removeCrudScript, ['Tag'], projectPath, 'y\n');
+        assert(!exists(projectPath, 'src/routes/tagRoutes.js') && !read(projectPath, 'src/app.js').includes('tagRoutes'), 'Tag was not removed');
+        assert(exists(projectPath, 'src/routes/itemRoutes.js'), 'Unrelated resources were removed');
+        const check = spawnSync(process.execPath, ['--check', path.join(projectPath, 'src/app.js')], { encoding: 'utf-8' });
+        assert(check.status === 0, `app.js has syntax errors after removal:\n${check.stderr}`);
+        console.log('✅ Removes an unchanged resource after confirmation');
+    }
+
+    // --- Files still imported elsewhere block removal ---
+    {
+        fs.writeFileSync(path.join(projectPath, 'src/services/reportService.js'), "import Item from '../models/Item.js';\n");
+        const referenced = run(removeCrudScript, ['Item', '--yes'], projectPath);
+        assert(referenced.status !== 0 && referenced.stdout.includes('Still imported by: src/services/reportService.js'), 'Imports from other files should block removal');
+        assert(exists(projectPath, 'src/models/Item.js'), 'Item was deleted despite the refusal');
+        console.log('✅ Refuses to remove files that are still imported');
+    }
+
+    // --- Unknown resource ---
+    {
+        const result = run(removeCrudScript, ['Order', '--yes'], projectPath);
+        assert(result.status !== 0 && result.stderr.includes('was not found'), 'Unknown resources should be rejected');
+        console.log('✅ Unknown resources rejected');
+    }
+
+    console.log('\n✨ All remove-crud tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * Tests soft deletes:
+ *   add-crud Order title:string! total:number --soft-delete
+ *
+ * Runs the generated API of the in-memory, SQLite and PostgreSQL (pg-mem)
+ * projects: a deleted order answers 404, is listed in the trash and can be
+ * restored once. MySQL and MongoDB are checked through a recording pool and
+ * stubbed Mongoose queries; the generated Jest cases and gen-openapi are run
+ * too. Resources without --soft-delete keep their hard delete.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import {
+    assert, run, runOk, read, checkSyntax, createProject, installDependencies,
+    typeCheck, startApp, runJest, runModule, useRecordingPool, usePgMem
+} from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const openApiScript = path.join(rootDir, 'generateOpenApiSpec.js');
+
+// Records the filters of the Mongoose queries after the schema's middleware ran:
+// single documents are found (not deleted), lists are empty
+const MONGO_QUERY_CHECK = `import mongoose from 'mongoose';
+import { getAllOrders, getDeletedOrders, deleteOrder, restoreOrder } from './src/services/orderService.js';
+
+const id = new mongoose.Types.ObjectId().toString();
+const queries = [];
+for (const op of ['find', 'findOne', 'findOneAndUpdate', 'countDocuments']) {
+    mongoose.Query.prototype['_' + op] = async function () {
+        queries.push({ op, filter: this.getFilter(), update: this.getUpdate() });
+        return op === 'countDocuments' ? 0 : op === 'find' ? [] : { _id: id, title: 'Desk', deletedAt: null };
+    };
+}
+
+await getAllOrders();
+await getDeletedOrders();
+await deleteOrder(id);
+await restoreOrder(id);
+console.log(JSON.stringify(queries));
+`;
+
+function addOrders(projectPath) {
+    runOk(addCrudScript, ['Order', 'title:string!', 'total:number', '--soft-delete', 'Tag', 'name:string!'], projectPath);
+    for (const file of ['models/Order.js', 'services/orderService.js', 'controllers/orderController.js', 'routes/orderRoutes.js']) {
+        if (fs.existsSync(path.join(projectPath, 'src', file))) {
+            checkSyntax(path.join(projectPath, 'src', file));
+        }
+    }
+}
+
+function findMigration(projectPath, resourcePlural) {
+    const file = fs.readdirSync(path.join(projectPath, 'migrations')).find(name => name.endsWith(`_create_${resourcePlural}.sql`));
+    return read(projectPath, `migrations/${file}`);
+}
+
+// Deletes, lists and restores a record of a started app: DELETE, GET 404, in the trash, restore, restore again 404
+async function checkTrash(app, label, resourcePath, data) {
+    let response = await app.request('POST', resourcePath, data);
+    assert(response.status === 201, `${label}: POST ${resourcePath} failed: ${JSON.stringify(response.body)}`);
+    const url = `${resourcePath}/${response.body.data.id}`;
+    const id = String(response.body.data.id);
+
+    response = await app.request('DELETE', url);
+    assert(response.status === 200, `${label}: DELETE ${url} should answer 200, got ${response.status}`);
+    assert((await app.request('GET', url)).status === 404, `${label}: a deleted record is still readable`);
+    assert((await app.request('PUT', url, data)).status === 404, `${label}: a deleted record can still be updated`);
+    assert((await app.request('DELETE', url)).status === 404, `${label}: deleting a deleted record twice should answer 404`);
+
+    response = await app.request('GET', resourcePath);
+    assert(response.status === 200 && !response.body.data.some(record => String(record.id) === id), `${label}: GET ${resourcePath} lists a deleted record`);
+    response = await app.request('GET', `${resourcePath}/trash`);
+    assert(response.status === 200 && response.body.data.some(record => String(record.id) === id),
+        `${label}: the deleted record is not in the trash: ${JSON.stringify(response.body)}`);
+
+    response = await app.request('POST', `${url}/restore`);
+    assert(response.status === 200 && (await app.request('GET', url)).status === 200, `${label}: restore did not bring the record back (${response.status})`);
+    response = await app.request('GET', `${resourcePath}/trash`);
+    assert(!response.body.data.some(record => String(record.id) === id), `${label}: a restored record is still in the trash`);
+    response = await app.request('POST', `${url}/restore`);
+    assert(response.status === 404, `${label}: restoring a record that is not deleted should answer 404, got ${response.status}`);
+}
+
+// Checks that Tag (no --soft-delete) keeps its hard delete
+async function checkHardDelete(app, label) {
+    let response = await app.request('POST', '/api/tags', { name: 'sale' });
+    const url = `/api/tags/${response.body.data.id}`;
+    await app.request('DELETE', url);
+    response = await app.request('POST', `${url}/restore`);
+    assert(response.status === 404, `${label}: --soft-delete leaked into the next resource (${response.status})`);
+}
+
+console.log('🚀 Starting soft delete test...\n');
+
+try {
+    // --- In-memory project: run the API and the generated Jest suite ---
+    {
+        const projectPath = createProject('test-soft-delete-memory', 'javascript', 'memory');
+        const orphan = run(addCrudScript, ['--soft-delete', 'Order'], projectPath);
+        assert(orphan.status !== 0 && orphan.stderr.includes('must follow a resource name'), '--soft-delete before any resource should be rejected');
+        const taken = run(addCrudScript, ['Order', 'deletedAt:date', '--soft-delete'], projectPath);
+        assert(taken.status !== 0 && taken.stderr.includes('"deletedAt" is added by --soft-delete'), 'A deletedAt field should be rejected with --soft-delete');
+        assert(run(addCrudScript, ['Order', 'deleted_at:date', '--soft-delete'], projectPath).status !== 0, 'A deleted_at field should be rejected');
+        assert(!fs.existsSync(path.join(projectPath, 'src/models/Order.js')), 'Files were written for a field --soft-delete adds');
+
+        addOrders(projectPath);
+        installDependencies(projectPath, { dev: true });
+        const app = await startApp(projectPath);
+        try {
+            await checkTrash(app, 'In-memory', '/api/orders', { title: 'Desk', total: 120 });
+            await checkHardDelete(app, 'In-memory');
+        } finally {
+            app.stop();
+        }
+        console.log('✅ In-memory API moves deleted orders to the trash and restores them');
+
+        runJest(projectPath);
+        console.log('✅ Generated Jest cases for the trash and restore pass');
+    }
+
+    // --- SQLite and PostgreSQL: run the API against a deleted_at column ---
+    {
+        const sqlitePath = createProject('test-soft-delete-sqlite', 'javascript', 'sqlite');
+        addOrders(sqlitePath);
+        installDependencies(sqlitePath);
+        let app = await startApp(sqlitePath);
+        try {
+            await checkTrash(app, 'SQLite', '/api/orders', { title: 'Desk', total: 120 });
+            await checkHardDelete(app, 'SQLite');
+        } finally {
+            app.stop();
+        }
+
+        const postgresPath = createProject('test-soft-delete-postgres', 'javascript', 'postgres');
+        addOrders(postgresPath);
+        assert(findMigration(postgresPath, 'orders').includes('deleted_at TIMESTAMPTZ'), 'PostgreSQL migration has no deleted_at');
+        assert(!findMigration(postgresPath, 'tags').includes('deleted_at'), 'Hard-deleted tables should not get deleted_at');
+        usePgMem(postgresPath);
+        app = await startApp(postgresPath);
+        try {
+            await checkTrash(app, 'PostgreSQL', '/api/orders', { title: 'Desk', total: 120 });
+        } finally {
+            app.stop();
+        }
+        console.log('✅ SQLite and PostgreSQL scope their queries with deleted_at');
+
+        runOk(openApiScript, [], sqlitePath);
+        const spec = JSON.parse(read(sqlitePath, 'openapi.json'));
+        assert(spec.paths['/api/orders/trash']?.get.operationId === 'getDeletedOrders', 'OpenAPI does not document the trash');
+        assert(spec.paths['/api/orders/{id}/restore']?.post.operationId === 'restoreOrder', 'OpenAPI does not document restore');
+        assert(!spec.paths['/api/tags/trash'], 'OpenAPI documents a trash for a hard-deleted resource');
+        console.log('✅ gen-openapi documents the trash and restore routes');
+    }
+
+    // --- MySQL: the model scopes its queries with deleted_at ---
+    {
+        const projectPath = createProject('test-soft-delete-mysql', 'javascript', 'mysql');
+        addOrders(projectPath);
+        assert(findMigration(projectPath, 'orders').includes('deleted_at TIMESTAMP NULL DEFAULT NULL'), 'MySQL migration has no deleted_at');
+        useRecordingPool(projectPath);
+        const queries = runModule(projectPath, `import Order from './src/models/Order.js';
+import { queries } from './src/config/database.js';
+
+await Order.getById(5);
+await Order.softDelete(5);
+await Order.restore(5);
+await Order.findAll({ filters: [], sort: [], limit: 20, offset: 0 }, true);
+console.log(JSON.stringify(queries.map(query => query.sql)));
+`);
+        assert(queries[0] === 'SELECT * FROM orders WHERE id = ? AND deleted_at IS NULL', `MySQL reads deleted rows: ${queries[0]}`);
+        assert(queries[1] === 'UPDATE orders SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL', `MySQL delete does not set deleted_at: ${queries[1]}`);
+        assert(queries[2] === 'UPDATE orders SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL', `MySQL restore does not clear deleted_at: ${queries[2]}`);
+        assert(queries.at(-1).includes('WHERE deleted_at IS NOT NULL'), `MySQL trash does not list the deleted rows: ${queries.at(-1)}`);
+        console.log('✅ MySQL models set, clear and filter on deleted_at');
+    }
+
+    // --- MongoDB: deletedAt + query middleware ---
+    {
+        const projectPath = createProject('test-soft-delete-mongodb', 'javascript', 'mongodb');
+        addOrders(projectPath);
+        installDependencies(projectPath);
+        const [list, count, trash, , softDelete, restore] = runModule(projectPath, MONGO_QUERY_CHECK);
+        assert(list.op === 'find' && list.filter.deletedAt === null && count.filter.deletedAt === null, `Mongoose middleware does not skip deleted documents: ${JSON.stringify(list)}`);
+        assert(trash.op === 'find' && trash.filter.deletedAt?.$ne === null, `MongoDB trash does not filter on deletedAt: ${JSON.stringify(trash)}`);
+        assert(softDelete.op === 'findOneAndUpdate' && softDelete.filter.deletedAt === null && softDelete.update.deletedAt,
+            `MongoDB delete does not set deletedAt: ${JSON.stringify(softDelete)}`);
+        assert(restore.op === 'findOneAndUpdate' && restore.filter.deletedAt?.$ne === null && restore.update.deletedAt === null,
+            `MongoDB restore does not clear deletedAt: ${JSON.stringify(restore)}`);
+        console.log('✅ MongoDB stores deletedAt and skips deleted documents');
+    }
+
+    // --- TypeScript ---
+    {
+        const projectPath = createProject('test-soft-delete-typescript', 'typescript', 'sqlite');
+        addOrders(projectPath);
+        installDependencies(projectPath, { dev: true });
+        typeCheck(projectPath);
+        console.log('✅ TypeScript projects with --soft-delete type-check');
+    }
+
+    // --- lazy-crud new --soft-delete gives the Item resource a trash ---
+    {
+        const projectPath = createProject('test-soft-delete-new', 'javascript', 'memory', ['--soft-delete']);
+        for (const file of ['app.js', 'models/Item.js', 'services/itemService.js', 'controllers/itemController.js', 'routes/itemRoutes.js']) {
+            checkSyntax(path.join(projectPath, 'src', file));
+        }
+        assert(read(projectPath, 'src/app.js').includes("'POST /api/items/:id/restore': 'Restore item from the trash'"), 'The endpoint list of / has no restore endpoint');
+        installDependencies(projectPath);
+        let app = await startApp(projectPath);
+        try {
+            await checkTrash(app, 'lazy-crud new --soft-delete', '/api/items', { name: 'Lamp', price: 20 });
+        } finally {
+            app.stop();
+        }
+
+        const plain = createProject('test-soft-delete-new-plain', 'javascript', 'memory');
+        installDependencies(plain);
+        app = await startApp(plain);
+        try {
+            const response = await app.request('POST', '/api/items', { name: 'Lamp', price: 20 });
+            const url = `/api/items/${response.body.data.id}`;
+            await app.request('DELETE', url);
+            assert((await app.request('POST', `${url}/restore`)).status === 404, 'Projects without --soft-delete should keep the hard delete');
+        } finally {
+            app.stop();
+        }
+
+        const postgresPath = createProject('test-soft-delete-new-postgres', 'typescript', 'postgres', ['--soft-delete']);
+        assert(findMigration(postgresPath, 'items').includes('deleted_at TIMESTAMPTZ'), 'The items migration has no deleted_at column');
+        console.log('✅ lazy-crud new --soft-delete gives the Item resource a trash');
+    }
+
+    console.log('\n✨ All soft delete tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Tests template overrides (.lazycrud/templates) and eject-templates
+ *
+ * Overrides a project template from the directory lazy-crud runs in, a shared
+ * helper used by add-crud (through ejected files) and a Docker template written
+ * for a template engine, and checks that invalid override files are rejected.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const addDockerScript = path.join(rootDir, 'addDocker.js');
+const ejectScript = path.join(rootDir, 'ejectTemplates.js');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function run(script, args, cwd) {
+    return spawnSync(process.execPath, [script, ...args], { cwd, encoding: 'utf-8' });
+}
+
+function runOk(script, args, cwd) {
+    const result = run(script, args, cwd);
+    assert(result.status === 0, `${path.basename(script)} ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+function read(projectPath, relativePath) {
+    return fs.readFileSync(path.join(projectPath, relativePath), 'utf8');
+}
+
+function write(projectPath, relativePath, content) {
+    fs.mkdirSync(path.dirname(path.join(projectPath, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(projectPath, relativePath), content);
+}
+
+console.log('🚀 Starting template override test...\n');
+
+try {
+    const workspace = path.join(process.cwd(), 'test-templates');
+    fs.rmSync(workspace, { recursive: true, force: true });
+    fs.mkdirSync(workspace);
+
+    // --- lazy-crud uses overrides from the directory it runs in ---
+    {
+        write(workspace, '.lazycrud/templates/package.json', '{ "type": "module" }\n');
+        write(workspace, '.lazycrud/templates/project/getGitignoreTemplate.js',
+            'export default function getGitignoreTemplate(dbChoice) {\n    return `# house style (${dbChoice})\\nnode_modules/\\n`;\n}\n');
+        const result = runOk(createScript, ['api', '--lang=javascript', '--db=memory'], workspace);
+        assert(result.stdout.includes('🎨 Using template overrides: project/getGitignoreTemplate'), 'lazy-crud does not report the override');
+        assert(read(workspace, 'api/.gitignore') === '# house style (memory)\nnode_modules/\n', 'lazy-crud ignored the .gitignore override');
+        assert(read(workspace, 'api/src/app.js').includes("app.use('/api/items', itemRoutes);"), 'Other templates should stay bundled');
+        console.log('✅ lazy-crud uses .lazycrud/templates from the current directory');
+    }
+
+    const projectPath = path.join(workspace, 'api');
+    runOk(addCrudScript, ['Product'], projectPath);
+    const bundledController = read(projectPath, 'src/controllers/productController.js');
+
+    // --- eject-templates copies the defaults, which produce the same code ---
+    {
+        const list = runOk(ejectScript, [], projectPath);
+        assert(list.stdout.includes('shared:') && list.stdout.includes('generateControllerMethod'), 'eject-templates does not list the templates');
+
+        runOk(ejectScript, ['addResource', 'shared'], projectPath);
+        assert(fs.existsSync(path.join(projectPath, '.lazycrud/templates/shared/controllerHelpers.js')), 'shared layer was not ejected');
+        assert(read(projectPath, '.lazycrud/templates/package.json').includes('"type": "module"'), 'eject-templates should mark the files as ES modules');
+        const ejected = read(projectPath, '.lazycrud/templates/addResource/modelTemplates.js');
+        assert(ejected.includes("import { generateModel } from 'lazy-express-crud/src/templates/shared/index.js';"), 'Imports of other layers were not rewritten');
+        assert(!ejected.includes('file://') && !ejected.includes(rootDir), 'Ejected files must not point at this machine\'s install');
+        assert(read(projectPath, '.lazycrud/templates/shared/modelHelpers.js').includes("import { toSQLClauses } from '../utils/listQuery.js';"), 'Imports in generated code must not be rewritten');
+
+        const refused = run(ejectScript, ['shared'], projectPath);
+        assert(refused.status !== 0 && refused.stderr.includes('Re-run with --force'), 'eject-templates should not overwrite without --force');
+        runOk(ejectScript, ['shared', '--force'], projectPath);
+
+        runOk(addCrudScript, ['Tag'], projectPath);
+        const tagController = read(projectPath, 'src/controllers/tagController.js');
+        assert(tagController === bundledController.replace(/Product/g, 'Tag').replace(/product/g, 'tag'), 'Ejected templates should generate the bundled code');
+        console.log('✅ eject-templates copies the defaults for editing');
+    }
+
+    // --- An edited shared helper changes every controller add-crud generates ---
+    {
+        const helpersPath = '.lazycrud/templates/shared/controllerHelpers.js';
+        write(projectPath, helpersPath, read(projectPath, helpersPath).replace(
+            /^export function generateControllerMethod\(methodType, resourceName, serviceName, isTypeScript, options = \{\}\) \{$/m,
+            '$&\n    return `// house style: ${methodType} ${resourceName}`;'));
+        const result = runOk(addCrudScript, ['Order'], projectPath);
+        assert(result.stdout.includes('shared/generateControllerMethod'), 'add-crud does not report the override');
+        const controller = read(projectPath, 'src/controllers/orderController.js');
+        assert(controller.includes('// house style: getAll Order') && controller.includes('// house style: delete Order'), 'add-crud ignored the generateControllerMethod override');
+        assert(read(projectPath, 'src/routes/orderRoutes.js').includes('router.get'), 'Routes should still be generated');
+        console.log('✅ Overridden shared helpers are used by add-crud');
+    }
+
+    // --- Ejected files load from another install of lazy-express-crud (a teammate, CI, npx) ---
+    {
+        const otherInstall = path.join(workspace, 'other-install', 'lazy-express-crud');
+        fs.cpSync(path.join(rootDir, 'src'), path.join(otherInstall, 'src'), { recursive: true });
+        for (const fileName of fs.readdirSync(rootDir).filter(name => name.endsWith('.js') || name === 'package.json')) {
+            fs.copyFileSync(path.join(rootDir, fileName), path.join(otherInstall, fileName));
+        }
+        runOk(path.join(otherInstall, 'addCrudResource.js'), ['Receipt'], projectPath);
+        assert(read(projectPath, 'src/controllers/receiptController.js').includes('// house style: getAll Receipt'), 'Another install ignored the ejected templates');
+        fs.rmSync(path.join(workspace, 'other-install'), { recursive: true });
+        console.log('✅ Ejected templates load from another install path');
+    }
+
+    // --- Template engine files get the arguments by name ---
+    {
+        write(projectPath, '.lazycrud/templates/docker/getDockerReadmeTemplate.hbs', '# {{projectName}} on {{dbChoice}}\n');
+        const missingEngine = run(addDockerScript, [], projectPath);
+        assert(missingEngine.status !== 0 && missingEngine.stderr.includes('needs the "handlebars" package'), `Missing engine not reported:\n${missingEngine.stderr}`);
+
+        // Minimal stand-in for handlebars in the project's node_modules
+        write(projectPath, 'node_modules/handlebars/package.json', '{ "name": "handlebars", "main": "index.js" }\n');
+        write(projectPath, 'node_modules/handlebars/index.js',
+            'exports.compile = (source) => (data) => source.replace(/\\{\\{(\\w+)\\}\\}/g, (match, key) => data[key]);\n');
+        runOk(addDockerScript, [], projectPath);
+        assert(read(projectPath, 'README.docker.md') === '# api on memory\n', 'add-docker ignored the Handlebars override');
+        console.log('✅ Handlebars overrides are rendered with the template arguments');
+    }
+
+    // --- Invalid overrides are rejected ---
+    {
+        write(projectPath, '.lazycrud/templates/addResource/extra.js', 'export function getWidgetTemplate() { return ""; }\n');
+        const unknownExport = run(addCrudScript, ['Invoice'], projectPath);
+        assert(unknownExport.status !== 0 && unknownExport.stderr.includes('exports "getWidgetTemplate", which is not a template of the addResource layer'), `Unknown export not reported:\n${unknownExport.stderr}`);
+        fs.rmSync(path.join(projectPath, '.lazycrud/templates/addResource/extra.js'));
+
+        write(projectPath, '.lazycrud/templates/controllers/getControllerTemplate.js', 'export default () => "";\n');
+        const unknownLayer = run(addCrudScript, ['Invoice'], projectPath);
+        assert(unknownLayer.status !== 0 && unknownLayer.stderr.includes('Unknown template layer "controllers"'), `Unknown layer not reported:\n${unknownLayer.stderr}`);
+        assert(!fs.existsSync(path.join(projectPath, 'src/models/Invoice.js')), 'add-crud generated files despite invalid overrides');
+        console.log('✅ Invalid override files are rejected');
+    }
+
+    console.log('\n✨ All template override tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Tests request validation:
+ *   add-crud Product title:string! price:number:min=0 tags:string[] status:string:enum=draft,published
+ *
+ * Checks the zod schemas written to src/schemas, the validate() middleware and
+ * its ValidationError (422), the routes that use them (after the --protect guards), the
+ * zod dependency, projects generated before validation existed, remove-crud,
+ * the generated Jest cases and the gen-openapi output.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { spawnSync } from 'child_process';
+import { parseFieldDefinitions } from '../src/utils/index.js';
+import { generateValidationSchema } from '../src/templates/shared/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.join(__dirname, '..');
+const createScript = path.join(rootDir, 'generateExpressCrud.js');
+const addCrudScript = path.join(rootDir, 'addCrudResource.js');
+const removeCrudScript = path.join(rootDir, 'removeCrudResource.js');
+const addAuthScript = path.join(rootDir, 'generateAuth.js');
+const openApiScript = path.join(rootDir, 'generateOpenApiSpec.js');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function run(script, args, cwd) {
+    return spawnSync(process.execPath, [script, ...args], { cwd, encoding: 'utf-8' });
+}
+
+function runOk(script, args, cwd) {
+    const result = run(script, args, cwd);
+    assert(result.status === 0, `${path.basename(script)} ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+    return result;
+}
+
+function read(projectPath, relativePath) {
+    return fs.readFileSync(path.join(projectPath, relativePath), 'utf8');
+}
+
+function checkSyntax(filePath) {
+    const result = spawnSync(process.execPath, ['--check', filePath], { encoding: 'utf-8' });
+    assert(result.status === 0, `Generated file has syntax errors: ${path.basename(filePath)}\n${result.stderr}`);
+}
+
+function createProject(projectName, language, db) {
+    const projectPath = path.join(process.cwd(), projectName);
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    runOk(createScript, [projectName, `--lang=${language}`, `--db=${db}`], process.cwd());
+    return projectPath;
+}
+
+console.log('🚀 Starting request validation test...\n');
+
+try {
+    // --- Schema generation ---
+    {
+        const fields = parseFieldDefinitions(['title:string!:maxlength=120', 'price:number:min=0', 'stock:int', 'tags:string[]',
+            'status:string:enum=draft,published', 'dueDate:date', 'active:boolean']);
+        const schema = generateValidationSchema('Product', fields, false);
+        assert(schema.includes("import { z } from 'zod';"), 'Schema does not import zod');
+        assert(schema.includes("title: z.string(fieldError('Title', 'title', 'a string')).trim().min(1, 'Title is required').max(120, 'Invalid title: must be at most 120 characters'),"),
+            'Required strings should be trimmed, non-empty and bounded');
+        assert(schema.includes(".min(0, 'Invalid price: must be at least 0').nullish(),"), 'Optional numbers should accept null and keep their range');
+        assert(schema.includes(".int('Invalid stock: must be an integer')"), 'int fields should be integers');
+        assert(schema.includes("tags: z.array(z.string(fieldError('Tags', 'tags', 'a string')), fieldError('Tags', 'tags', 'an array of string values'))"),
+            'Array fields should validate their items');
+        assert(schema.includes("z.enum(['draft', 'published'], fieldError('Status', 'status', 'one of: draft, published'))"), 'enum fields should use z.enum');
+        assert(schema.includes("'Invalid dueDate: must be a valid date'") && schema.includes("z.boolean(fieldError('Active', 'active', 'a boolean'))"),
+            'Date and boolean fields are not validated');
+        assert(schema.includes('export const createProductSchema = z.object(productFields);')
+            && schema.includes('export const updateProductSchema = z.object(productFields).partial();'), 'Create/update schemas are missing');
+        assert(generateValidationSchema('Product', fields, true).includes('const fieldError = (label: string, name: string, expected: string): z.RawCreateParams =>'),
+            'TypeScript schemas should type fieldError');
+        console.log('✅ Field definitions become zod schemas with per-field messages');
+    }
+
+    // --- New projects: Item schema, middleware, routes and zod ---
+    {
+        const projectPath = createProject('test-validation-memory', 'javascript', 'memory');
+        assert(JSON.parse(read(projectPath, 'package.json')).dependencies.zod, 'package.json has no zod dependency');
+        const middleware = read(projectPath, 'src/middlewares/validate.js');
+        assert(middleware.includes('export const validate = (schema) => (req, res, next) =>') && middleware.includes("next(new ValidationError('Validation failed'")
+            && middleware.includes("field: issue.path.join('.')"), 'validate() middleware does not raise a ValidationError with the field errors');
+        assert(read(projectPath, 'src/schemas/itemSchema.js').includes("price: z.number(fieldError('price', 'price', 'a number')).min(0,"), 'Item schema is missing');
+        const itemRoutes = read(projectPath, 'src/routes/itemRoutes.js');
+        assert(itemRoutes.includes("router.post('/', validate(createItemSchema), itemController.createItem);")
+            && itemRoutes.includes("router.put('/:id', validate(createItemSchema), itemController.replaceItem);"), 'Item routes do not validate bodies');
+        for (const file of ['src/middlewares/validate.js', 'src/schemas/itemSchema.js', 'src/routes/itemRoutes.js']) {
+            checkSyntax(path.join(projectPath, file));
+        }
+        console.log('✅ New projects validate Item bodies with zod');
+
+        runOk(addCrudScript, ['Product', 'title:string!', 'price:number:min=0'], projectPath);
+        checkSyntax(path.join(projectPath, 'src/schemas/productSchema.js'));
+        const routes = read(projectPath, 'src/routes/productRoutes.js');
+        assert(routes.includes("import { createProductSchema } from '../schemas/productSchema.js';")
+            && routes.includes("router.post('/', validate(createProductSchema), productController.createProduct);"), 'add-crud routes do not validate bodies');
+        const test = read(projectPath, 'tests/Product.test.js');
+        assert(test.includes("it('should return 422 if title is missing'") && test.includes("expect.objectContaining({ field: 'title' })"),
+            'Generated test does not expect a 422 with the field error');
+        console.log('✅ add-crud writes the schema and validates POST/PUT');
+
+        // The schemas are the only field checks: services trust the data they are given
+        for (const [file, message] of [['src/services/itemService.js', 'Name is required'], ['src/services/productService.js', 'Title is required']]) {
+            const service = read(projectPath, file);
+            assert(!service.includes(message) && !service.includes('ValidationError'), `${file} still checks the fields itself`);
+        }
+        runOk(addCrudScript, ['Review', 'item:ref:Item'], projectPath);
+        assert(read(projectPath, 'src/services/reviewService.js').includes("throw new ValidationError('Invalid item: referenced Item does not exist');"),
+            'Services should still check that referenced records exist');
+        assert(read(projectPath, 'tests/Review.test.js').includes("await Item.create({ name: 'Test Name'"), 'Referenced fields are not read from the manifest');
+        console.log('✅ Services leave the field checks to the schemas');
+
+        runOk(removeCrudScript, ['Product', '-y'], projectPath);
+        assert(!fs.existsSync(path.join(projectPath, 'src/schemas/productSchema.js')), 'remove-crud left the schema behind');
+        assert(fs.existsSync(path.join(projectPath, 'src/middlewares/validate.js')), 'remove-crud removed the shared middleware');
+        console.log('✅ remove-crud removes the schema');
+    }
+
+    // --- Projects generated before validation existed ---
+    {
+        const projectPath = createProject('test-validation-legacy', 'typescript', 'mysql');
+        fs.rmSync(path.join(projectPath, 'src/middlewares/validate.ts'));
+        const packageJson = JSON.parse(read(projectPath, 'package.json'));
+        delete packageJson.dependencies.zod;
+        fs.writeFileSync(path.join(projectPath, 'package.json'), JSON.stringify(packageJson, null, 2));
+
+        runOk(addCrudScript, ['Order', 'total:number!'], projectPath);
+        assert(read(projectPath, 'src/middlewares/validate.ts').includes('export const validate = (schema: ZodSchema): RequestHandler =>'),
+            'add-crud did not add the missing middleware');
+        assert(JSON.parse(read(projectPath, 'package.json')).dependencies.zod, 'add-crud did not add zod to package.json');
+        assert(read(projectPath, 'src/schemas/orderSchema.ts').includes("total: z.number(fieldError('Total', 'total', 'a number'))"), 'TypeScript schema is missing');
+        console.log('✅ Older projects get the middleware and zod on the next add-crud');
+    }
+
+    // --- --protect guards run before validation; gen-openapi documents the 422 ---
+    {
+        const projectPath = createProject('test-validation-protect', 'javascript', 'sqlite');
+        runOk(addAuthScript, [], projectPath);
+        runOk(addCrudScript, ['Product', 'title:string!', '--protect=write:admin'], projectPath);
+        assert(read(projectPath, 'src/routes/productRoutes.js').includes("router.post('/', verifyToken, requireRole('admin'), validate(createProductSchema), productController.createProduct);"),
+            'Validation should run after the auth guards');
+
+        runOk(openApiScript, [], projectPath);
+        const spec = JSON.parse(read(projectPath, 'openapi.json'));
+        assert(spec.paths['/api/products'].post.responses[422]?.$ref === '#/components/responses/ValidationError'
+            && spec.paths['/api/products/{id}'].put.responses[422], 'OpenAPI does not document the 422 response');
+        assert(spec.paths['/api/products'].post.security, 'OpenAPI lost the --protect rules of validated routes');
+        assert(spec.components.schemas.ValidationError.properties.errors.type === 'array', 'OpenAPI has no ValidationError schema');
+        console.log('✅ Auth guards run first and gen-openapi documents the 422');
+    }
+
+    console.log('\n✨ All request validation tests passed!');
+} catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+}